@@ -0,0 +1,29 @@
+// Script to fill PaymentTransaction base-currency fields for payments taken before multi-currency
+// Run AFTER `prisma db push` adds baseCurrency / baseAmount / exchangeRate
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+async function backfillBaseCurrency() {
+  console.log('🔄 Starting base currency backfill...');
+
+  try {
+    // Every legacy payment was charged in the currency it is reported in
+    const updated = await prisma.$executeRaw`
+      UPDATE payment_transactions
+      SET "baseCurrency" = currency,
+          "baseAmount" = amount,
+          "exchangeRate" = 1
+      WHERE "baseAmount" IS NULL
+    `;
+
+    console.log(`✅ Backfilled ${updated} transactions`);
+  } catch (error) {
+    console.error('❌ Backfill failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+backfillBaseCurrency();
@@ -0,0 +1,130 @@
+// Script to load the offline gazetteer (GeoPlace) used for LifeLink donor proximity
+// Run AFTER `prisma db push` adds geo_places. Accepts:
+//   - GeoNames postal code dump (e.g. IN.txt from download.geonames.org/export/zip)
+//   - GeoNames cities dump (e.g. cities15000.txt from download.geonames.org/export/dump)
+//   - CSV with a header: name,district,state,postalCode,latitude,longitude,population
+// Usage: node scripts/import-gazetteer.js <file> [--replace]
+//   --replace removes previously imported places first (admin-added places are kept)
+// Then run POST /api/lifelink/admin/geo/backfill to locate existing addresses.
+const fs = require('fs');
+const readline = require('readline');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+const BATCH_SIZE = 1000;
+
+const normalizePlaceName = (name) => (name || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// GeoNames postal codes: country, postal code, place, state, state code, district, district code, ..., lat, lng, accuracy
+const fromPostalRow = (columns) => ({
+  name: columns[2],
+  state: columns[3] || null,
+  district: columns[5] || null,
+  postalCode: columns[1] || null,
+  latitude: toNumber(columns[9]),
+  longitude: toNumber(columns[10]),
+  population: null
+});
+
+// GeoNames cities: id, name, ascii name, alternate names, lat, lng, ..., population (column 14)
+const fromCitiesRow = (columns) => ({
+  name: columns[1],
+  state: null,
+  district: null,
+  postalCode: null,
+  latitude: toNumber(columns[4]),
+  longitude: toNumber(columns[5]),
+  population: parseInt(columns[14]) || null
+});
+
+const fromCsvRow = (columns, header) => {
+  const row = Object.fromEntries(header.map((key, index) => [key, (columns[index] || '').trim()]));
+  return {
+    name: row.name,
+    state: row.state || null,
+    district: row.district || null,
+    postalCode: row.postalcode || null,
+    latitude: toNumber(row.latitude),
+    longitude: toNumber(row.longitude),
+    population: parseInt(row.population) || null
+  };
+};
+
+async function importGazetteer() {
+  const [file, ...flags] = process.argv.slice(2);
+
+  if (!file || !fs.existsSync(file)) {
+    console.error('❌ Usage: node scripts/import-gazetteer.js <file> [--replace]');
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`🗺️ Importing gazetteer from ${file}...`);
+
+  try {
+    if (flags.includes('--replace')) {
+      const { count } = await prisma.geoPlace.deleteMany({ where: { source: 'IMPORT' } });
+      console.log(`🗑️ Removed ${count} previously imported places`);
+    }
+
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    let header = null;
+    let batch = [];
+    let imported = 0;
+    let skipped = 0;
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      await prisma.geoPlace.createMany({ data: batch });
+      imported += batch.length;
+      batch = [];
+      console.log(`   ... ${imported} places`);
+    };
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      const isCsv = !line.includes('\t');
+      const columns = isCsv ? line.split(',') : line.split('\t');
+
+      if (isCsv && header === null) {
+        header = columns.map(column => column.trim().toLowerCase());
+        continue;
+      }
+
+      const place = isCsv
+        ? fromCsvRow(columns, header)
+        : columns.length >= 19 ? fromCitiesRow(columns) : fromPostalRow(columns);
+
+      if (!place.name || place.latitude === null || place.longitude === null) {
+        skipped++;
+        continue;
+      }
+
+      batch.push({ ...place, normalizedName: normalizePlaceName(place.name), source: 'IMPORT' });
+      if (batch.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+
+    await flush();
+    console.log(`✅ Imported ${imported} places (${skipped} rows skipped)`);
+  } catch (error) {
+    console.error('❌ Gazetteer import failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+importGazetteer();
@@ -0,0 +1,62 @@
+// Script to move Razorpay-named ids into PaymentTransaction.providerOrderData
+// Run BEFORE `prisma db push` drops the razorpayOrderId / razorpayPaymentId columns
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+async function migrateProviderIds() {
+  console.log('🔄 Starting payment provider id migration...');
+
+  try {
+    const columns = await prisma.$queryRaw`
+      SELECT column_name FROM information_schema.columns
+      WHERE table_name = 'payment_transactions'
+        AND column_name IN ('razorpayOrderId', 'razorpayPaymentId')
+    `;
+
+    if (columns.length === 0) {
+      console.log('✅ Legacy columns already removed - nothing to migrate');
+      return;
+    }
+
+    const transactions = await prisma.$queryRaw`
+      SELECT id, "razorpayOrderId", "razorpayPaymentId", "providerOrderData"
+      FROM payment_transactions
+      WHERE "razorpayOrderId" IS NOT NULL OR "razorpayPaymentId" IS NOT NULL
+    `;
+
+    console.log(`📊 Found ${transactions.length} transactions to migrate`);
+
+    let migrated = 0;
+    for (const transaction of transactions) {
+      const existing = transaction.providerOrderData || {};
+
+      // Already in the new { orderId, paymentId, order } shape
+      if (existing.orderId && 'order' in existing) {
+        continue;
+      }
+
+      const providerOrderData = {
+        orderId: transaction.razorpayOrderId || existing.id || null,
+        paymentId: transaction.razorpayPaymentId || null,
+        order: Object.keys(existing).length > 0 ? existing : null,
+      };
+
+      await prisma.$executeRaw`
+        UPDATE payment_transactions
+        SET "providerOrderData" = ${JSON.stringify(providerOrderData)}::jsonb
+        WHERE id = ${transaction.id}
+      `;
+      migrated++;
+    }
+
+    console.log(`✅ Migrated ${migrated} transactions`);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+migrateProviderIds();
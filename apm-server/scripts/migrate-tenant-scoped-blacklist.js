@@ -0,0 +1,69 @@
+// Script to assign admin blacklist entries from before blacklists were per organization
+// Run AFTER `prisma db push` adds organizationId to blacklisted_emails.
+// Entries left without an organization keep blocking the address in every organization;
+// bounce/complaint suppressions are platform-wide by design and are not touched.
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+async function migrateTenantScopedBlacklist() {
+  console.log('🔄 Starting blacklist tenant scoping migration...');
+
+  try {
+    // Entries belong to the organization of the admin who blacklisted the address,
+    // unless that organization already has its own entry for it
+    const byAdmin = await prisma.$executeRaw`
+      UPDATE blacklisted_emails b
+      SET "organizationId" = u."organizationId"
+      FROM users u
+      WHERE b."blacklistedBy" = u.id
+        AND b."organizationId" IS NULL
+        AND b.source = 'MANUAL'
+        AND u."organizationId" IS NOT NULL
+        AND NOT EXISTS (
+          SELECT 1 FROM blacklisted_emails o
+          WHERE o.email = b.email AND o."organizationId" = u."organizationId"
+        )
+    `;
+    console.log(`✅ Assigned ${byAdmin} entries to their admin's organization`);
+
+    const organizations = await prisma.organization.findMany({
+      where: { isActive: true },
+      select: { id: true, name: true }
+    });
+
+    // Single-tenant deployments: entries added without a recorded admin
+    if (organizations.length === 1) {
+      const [organization] = organizations;
+
+      const leftover = await prisma.$executeRaw`
+        UPDATE blacklisted_emails b
+        SET "organizationId" = ${organization.id}
+        WHERE b."organizationId" IS NULL
+          AND b.source = 'MANUAL'
+          AND NOT EXISTS (
+            SELECT 1 FROM blacklisted_emails o
+            WHERE o.email = b.email AND o."organizationId" = ${organization.id}
+          )
+      `;
+      console.log(`✅ Assigned remaining ${leftover} entries to ${organization.name}`);
+    }
+
+    const unassigned = await prisma.blacklistedEmail.count({
+      where: { organizationId: null, source: 'MANUAL' }
+    });
+
+    if (unassigned > 0) {
+      console.log(`⚠️ ${unassigned} admin entries still have no organization and block the address in every organization`);
+    }
+
+    console.log('🎉 Blacklist tenant scoping migration completed');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+migrateTenantScopedBlacklist();
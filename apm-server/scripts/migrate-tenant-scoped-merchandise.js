@@ -0,0 +1,113 @@
+// Script to assign merchandise, merchandise orders, groups and festivals to their organizations
+// Run AFTER `prisma db push` adds organizationId to merchandise, merchandise_orders and festivals
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+async function migrateTenantScopedMerchandise() {
+  console.log('🔄 Starting tenant scoping migration...');
+
+  try {
+    // Items belong to the organization of the admin who created them
+    const merchandise = await prisma.$executeRaw`
+      UPDATE merchandise m
+      SET "organizationId" = u."organizationId"
+      FROM users u
+      WHERE m."createdBy" = u.id
+        AND m."organizationId" IS NULL
+        AND u."organizationId" IS NOT NULL
+    `;
+    console.log(`✅ Assigned ${merchandise} merchandise items`);
+
+    // Orders belong to the organization of the buyer
+    const orders = await prisma.$executeRaw`
+      UPDATE merchandise_orders o
+      SET "organizationId" = u."organizationId"
+      FROM users u
+      WHERE o."userId" = u.id
+        AND o."organizationId" IS NULL
+        AND u."organizationId" IS NOT NULL
+    `;
+    console.log(`✅ Assigned ${orders} merchandise orders`);
+
+    const groups = await prisma.$executeRaw`
+      UPDATE organization_groups g
+      SET "organizationId" = u."organizationId"
+      FROM users u
+      WHERE g."createdBy" = u.id
+        AND g."organizationId" IS NULL
+        AND u."organizationId" IS NOT NULL
+    `;
+    console.log(`✅ Assigned ${groups} organization groups`);
+
+    const organizations = await prisma.organization.findMany({
+      where: { isActive: true },
+      select: { id: true, name: true }
+    });
+
+    if (organizations.length === 0) {
+      console.log('ℹ️ No organizations found - festivals stay in the shared calendar');
+      return;
+    }
+
+    // Single-tenant deployments: rows created by developer accounts have no owner org
+    if (organizations.length === 1) {
+      const [organization] = organizations;
+      const where = { organizationId: null };
+      const data = { organizationId: organization.id };
+
+      const [items, leftoverOrders, leftoverGroups] = await Promise.all([
+        prisma.merchandise.updateMany({ where, data }),
+        prisma.merchandiseOrder.updateMany({ where, data }),
+        prisma.organizationGroup.updateMany({ where, data })
+      ]);
+
+      console.log(`✅ Assigned remaining rows to ${organization.name}: ${items.count} items, ${leftoverOrders.count} orders, ${leftoverGroups.count} groups`);
+    }
+
+    // Festivals were one global calendar: every organization gets its own copy
+    const sharedFestivals = await prisma.festival.findMany({
+      where: { organizationId: null }
+    });
+
+    console.log(`📊 Found ${sharedFestivals.length} shared festivals to copy into ${organizations.length} organizations`);
+
+    for (const organization of organizations) {
+      const copies = sharedFestivals.map(({ id, createdAt, updatedAt, ...festival }) => ({
+        ...festival,
+        organizationId: organization.id
+      }));
+
+      const result = await prisma.festival.createMany({
+        data: copies,
+        skipDuplicates: true
+      });
+
+      console.log(`✅ ${organization.name}: ${result.count} festivals copied`);
+    }
+
+    const removed = await prisma.festival.deleteMany({
+      where: { id: { in: sharedFestivals.map(festival => festival.id) } }
+    });
+    console.log(`🧹 Removed ${removed.count} shared festival rows`);
+
+    const unassigned = await Promise.all([
+      prisma.merchandise.count({ where: { organizationId: null } }),
+      prisma.merchandiseOrder.count({ where: { organizationId: null } }),
+      prisma.organizationGroup.count({ where: { organizationId: null } })
+    ]);
+
+    if (unassigned.some(count => count > 0)) {
+      console.log(`⚠️ Still unassigned (creator has no organization): ${unassigned[0]} items, ${unassigned[1]} orders, ${unassigned[2]} groups`);
+    }
+
+    console.log('🎉 Tenant scoping migration completed');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+migrateTenantScopedMerchandise();
@@ -5,14 +5,11 @@ const helmet = require("helmet");
 const morgan = require("morgan");
 // const rateLimit = require("express-rate-limit"); // Disabled for development
 const config = require("./config");
-const { PrismaClient } = require("@prisma/client");
+const { prisma } = require("./config/database");
 const { asyncHandler } = require("./utils/response");
 const { cloudflareR2Service } = require('./services/cloudflare-r2.service');
 const { optionalTenantMiddleware } = require('./middleware/tenant.middleware');
 
-// Initialize Prisma client
-const prisma = new PrismaClient();
-
 // const emailManager = require("./services/email/EmailManager");
 
 const app = express();
@@ -41,6 +38,7 @@ app.use(
 
 // Important: For webhook handling, ensure raw body parsing for specific routes
 app.use("/api/payments/webhook/*", express.raw({ type: "application/json" }));
+app.use("/api/notifications/webhooks/email-delivery", express.raw({ type: "*/*", limit: "5mb" }));
 
 // CORS configuration - Allow all origins for now (can be restricted later)
 console.log("🌐 CORS: Allowing all origins (production should restrict this)");
@@ -170,7 +168,7 @@ app.get("/health", (req, res) => {
 			),
 		},
 		database: {
-			url: !!process.env.DATABASE_URL ? "configured" : "not configured",
+			url: process.env.DATABASE_URL ? "configured" : "not configured",
 		},
 	});
 });
@@ -186,6 +184,34 @@ app.use("/uploads", express.static("public/uploads"));
 // Serve test files - ENABLED for testing
 app.use(express.static("public"));
 
+// Local storage driver files (signed URLs, mounted before tenant middleware so
+// links work without an X-Tenant-Code header)
+app.use("/api/storage", require("./routes/storage.route"));
+
+// Inbound mail webhook for ticket replies (mail providers can't send X-Tenant-Code;
+// the signed reply address identifies the ticket)
+app.use("/api/tickets/inbound-email", require("./routes/ticketInboundEmail.route"));
+
+// iCalendar subscription feeds (calendar apps can't send X-Tenant-Code or auth headers;
+// the feed token identifies the organization)
+app.use("/api/calendar/feeds", require("./routes/calendarFeed.route"));
+
+// One-click email unsubscribe (links are opened from email clients without X-Tenant-Code;
+// the unsubscribe token identifies the user)
+app.use("/api/notifications/unsubscribe", require("./routes/notificationUnsubscribe.route"));
+
+// Email provider delivery webhooks (providers can't send X-Tenant-Code; the provider
+// message id identifies the email and its organization)
+app.use("/api/notifications/webhooks/email-delivery", require("./routes/emailDeliveryWebhook.route"));
+
+// Weekly community digest click tracking (links are opened from email clients without
+// X-Tenant-Code; the recipient token identifies the digest and member)
+app.use("/api/notifications/digest/click", require("./routes/communityDigestClick.route"));
+
+// Realtime event stream (EventSource can't send X-Tenant-Code or auth headers;
+// the short-lived stream ticket identifies the user)
+app.use("/api/realtime/stream", require("./routes/realtimeStream.route"));
+
 // Initialize email system on app startup
 const emailManager = require("./services/email/EmailManager");
 emailManager
@@ -206,7 +232,11 @@ emailManager
 // MULTI-TENANT MIDDLEWARE
 // =============================================
 
-const { autoTenantMiddleware } = require("./middleware/tenant.middleware");
+const { autoTenantMiddleware, bindTenantContext } = require("./middleware/tenant.middleware");
+
+// Every Prisma query made while handling an API request sees this request's tenant
+// (see config/tenantIsolation.js)
+app.use("/api", bindTenantContext);
 
 // Apply auto-selecting tenant middleware to all API routes
 // This extracts tenant context from X-Tenant-Code header
@@ -293,12 +323,10 @@ app.get("/api/users/profile-picture/:userId", asyncHandler(async (req, res) => {
 
     try {
       // Extract the key from the URL
-      const urlParts = user.profileImage.split('.com/');
-      if (urlParts.length < 2) {
-        throw new Error('Invalid R2 URL format');
+      const key = cloudflareR2Service.extractKeyFromUrl(user.profileImage); // e.g., "alumni-portal/profile-pictures/profile_xxx.png"
+      if (!key) {
+        throw new Error('Invalid storage URL format');
       }
-      
-      const key = urlParts[1]; // e.g., "alumni-portal/profile-pictures/profile_xxx.png"
       console.log(`Fetching profile picture with key: ${key}`);
       
       // Get the file from R2
@@ -410,12 +438,10 @@ app.get("/api/organizations/:orgId/files/:type", asyncHandler(async (req, res) =
 
     try {
       // Extract key from URL
-      const urlParts = fileUrl.split('.com/');
-      if (urlParts.length < 2) {
-        throw new Error('Invalid R2 URL format');
+      const key = cloudflareR2Service.extractKeyFromUrl(fileUrl);
+      if (!key) {
+        throw new Error('Invalid storage URL format');
       }
-
-      const key = urlParts[1];
       console.log(`Fetching file with key: ${key}`);
 
       const fileData = await cloudflareR2Service.getFile(key);
@@ -536,12 +562,10 @@ app.get("/api/organization/files/:type", optionalTenantMiddleware, asyncHandler(
     
     try {
       // Extract the key from the URL
-      const urlParts = fileUrl.split('.com/');
-      if (urlParts.length < 2) {
-        throw new Error('Invalid R2 URL format');
+      const key = cloudflareR2Service.extractKeyFromUrl(fileUrl); // e.g., "alumni-portal/organization/logos/logo_xxx.png"
+      if (!key) {
+        throw new Error('Invalid storage URL format');
       }
-      
-      const key = urlParts[1]; // e.g., "alumni-portal/organization/logos/logo_xxx.png"
       console.log(`Fetching file with key: ${key}`);
       
       // Get the file from R2
@@ -625,12 +649,10 @@ app.get("/api/posts/:postId/hero-image", asyncHandler(async (req, res) => {
     
     try {
       // Extract the key from the URL
-      const urlParts = post.heroImage.split('.com/');
-      if (urlParts.length < 2) {
-        throw new Error('Invalid R2 URL format');
+      const key = cloudflareR2Service.extractKeyFromUrl(post.heroImage); // e.g., "alumni-portal/post-images/hero_xxx.png"
+      if (!key) {
+        throw new Error('Invalid storage URL format');
       }
-      
-      const key = urlParts[1]; // e.g., "alumni-portal/post-images/hero_xxx.png"
       console.log(`Fetching post hero image with key: ${key}`);
       
       // Get the file from R2
@@ -701,12 +723,10 @@ app.get("/api/posts/:postId/images/:imageIndex", asyncHandler(async (req, res) =
     
     try {
       // Extract the key from the URL
-      const urlParts = imageUrl.split('.com/');
-      if (urlParts.length < 2) {
-        throw new Error('Invalid R2 URL format');
+      const key = cloudflareR2Service.extractKeyFromUrl(imageUrl); // e.g., "alumni-portal/post-images/image_xxx.png"
+      if (!key) {
+        throw new Error('Invalid storage URL format');
       }
-      
-      const key = urlParts[1]; // e.g., "alumni-portal/post-images/image_xxx.png"
       console.log(`Fetching post image with key: ${key}`);
       
       // Get the file from R2
@@ -781,12 +801,10 @@ app.get("/api/events/:eventId/hero-image", asyncHandler(async (req, res) => {
       
       try {
         // Extract the key from the URL
-        const urlParts = event.heroImage.split('.com/');
-        if (urlParts.length < 2) {
-          throw new Error('Invalid R2 URL format');
+        const key = cloudflareR2Service.extractKeyFromUrl(event.heroImage); // e.g., "alumni-portal/event-images/hero_xxx.png"
+        if (!key) {
+          throw new Error('Invalid storage URL format');
         }
-        
-        const key = urlParts[1]; // e.g., "alumni-portal/event-images/hero_xxx.png"
         console.log(`Fetching event hero image with key: ${key}`);
         
         // Get the file from R2
@@ -883,6 +901,8 @@ app.get("/api/events/:eventId/hero-image", asyncHandler(async (req, res) => {
 app.use("/api/alumni", require("./routes/alumni/alumni.route"));
 app.use("/api/posts", require("./routes/posts.route"));
 app.use("/api/events", require("./routes/events.route"));
+// Background job queue admin (mounted before /api/admin, which is SUPER_ADMIN-only, so DEVELOPERs get through)
+app.use("/api/admin/jobs", require("./routes/admin/jobQueue.route"));
 app.use("/api/admin", require("./routes/admin.route"));
 app.use("/api/payments", require("./routes/payments.route"));
 app.use("/api/treasury", require("./routes/treasury.route"));
@@ -902,6 +922,8 @@ app.use("/api/merchandise", require("./routes/merchandise.route"));
 app.use("/api/donations", require("./routes/donation.route"));
 app.use("/api/admin", require("./routes/admin.route"));
 app.use("/api/celebrations", require("./routes/celebrations.route"));
+app.use("/api/calendar", require("./routes/calendar.route"));
+app.use("/api/realtime", require("./routes/realtime.route"));
 
 // Organization public endpoint - use optionalTenantMiddleware to set req.tenant from X-Tenant-Code header
 const organizationController = require("./controllers/admin/organization.controller");
@@ -1114,6 +1136,15 @@ app.use((err, req, res, next) => {
 		params: req.params,
 	});
 
+	// Query touched another organization's data
+	if (err.code === "TENANT_ISOLATION_VIOLATION") {
+		return res.status(403).json({
+			success: false,
+			message: "Access denied. Resource belongs to another organization.",
+			code: err.code,
+		});
+	}
+
 	// Prisma errors
 	if (err.code === "P2002") {
 		return res.status(409).json({
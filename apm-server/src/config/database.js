@@ -1,11 +1,18 @@
 // src/config/database.js
 const { PrismaClient } = require('@prisma/client');
+const config = require('./index');
+const { tenantIsolationExtension } = require('./tenantIsolation');
 
-const prisma = new PrismaClient({
+const baseClient = new PrismaClient({
   log: process.env.NODE_ENV === 'development' ? ['query', 'info', 'warn', 'error'] : ['error'],
   errorFormat: 'pretty',
 });
 
+// Queries made while handling a request are pinned to that request's tenant
+const prisma = config.tenantIsolation.enabled
+  ? baseClient.$extends(tenantIsolationExtension)
+  : baseClient;
+
 // Database connection test
 async function connectDB() {
   try {
@@ -22,7 +22,135 @@ const config = {
   bcrypt: {
     rounds: parseInt(process.env.BCRYPT_ROUNDS) || 12,
   },
+  security: {
+    // Encrypts TOTP seeds and SSO client secrets; falls back to the JWT secret
+    encryptionKey: process.env.SECRETS_ENCRYPTION_KEY || process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET,
+  },
+  
+  // Two-factor authentication (TOTP)
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'Alumni Portal',
+    challengeExpiresIn: '5m',
+    stepUpExpiresIn: process.env.TWO_FACTOR_STEP_UP_EXPIRES_IN || '10m',
+    enforceForDevelopers: process.env.TWO_FACTOR_ENFORCE_DEVELOPERS === 'true',
+    maxAttempts: 5, // Failed codes per user per 15 minutes
+    recoveryCodeCount: 10,
+  },
   
+  // Single sign-on (OIDC)
+  sso: {
+    // The frontend receives ?code&state here and posts them to /api/auth/sso/callback
+    redirectUri: process.env.SSO_REDIRECT_URI || `${process.env.FRONTEND_URL || 'http://localhost:5173'}/auth/sso/callback`,
+    stateTtlSeconds: 10 * 60,
+    registrationExpiresIn: '30m',
+  },
+
+  // Login sessions (refresh-token families)
+  session: {
+    // Two tabs refreshing at once both present the same token; the loser is not treated as theft
+    reuseGraceSeconds: 10,
+    statusCacheSeconds: 60, // How long authenticateToken trusts a cached "active" session
+    retentionDays: 30, // Revoked/expired sessions kept for the device history
+  },
+
+  // Automatic organizationId scoping of Prisma queries inside requests
+  tenantIsolation: {
+    enabled: process.env.TENANT_ISOLATION !== 'off', // Emergency switch only
+  },
+
+  // Redis-backed background job queue
+  jobQueue: {
+    workerEnabled: process.env.JOB_QUEUE_WORKER !== 'off', // 'off' for web-only instances
+    concurrency: parseInt(process.env.JOB_QUEUE_CONCURRENCY) || 2,
+    pollIntervalMs: 1000,
+    lockTimeoutMs: 10 * 60 * 1000, // Renewed while a job runs; a job not renewed for this long is treated as crashed and re-run
+    maxAttempts: 3,
+    backoffMs: 30 * 1000, // Doubles with every retry
+    completedTtlSeconds: 24 * 60 * 60, // Finished jobs are kept so repeated cron enqueues are ignored
+    failedRetentionDays: 14,
+  },
+
+  // Realtime event stream (server-sent events) for the web app
+  realtime: {
+    ticketTtlSeconds: 60, // Stream tickets must be used within this window
+    heartbeatSeconds: 25, // Comment lines that keep proxies from closing idle streams
+    maxStreamMinutes: 60, // Streams are closed after this; clients reconnect with a fresh ticket
+    maxConnectionsPerUser: 5, // Per instance; each open tab holds one
+    maxTopicsPerConnection: 20,
+    retryMs: 3000, // Reconnect delay suggested to EventSource clients
+  },
+
+  // Reply-by-email for support tickets (disabled until a receiving domain is set)
+  inboundEmail: {
+    domain: process.env.INBOUND_EMAIL_DOMAIN, // e.g. reply.example.org, routed to the inbound webhook
+    localPart: process.env.INBOUND_EMAIL_LOCAL_PART || 'reply',
+    signingSecret: process.env.INBOUND_EMAIL_SECRET || process.env.JWT_SECRET,
+    webhookSecret: process.env.INBOUND_EMAIL_WEBHOOK_SECRET, // Required in the provider's webhook URL/header
+    maxMessageBytes: 25 * 1024 * 1024,
+    maxAttachmentBytes: 3 * 1024 * 1024, // Same limits as message uploads in the app
+    maxAttachments: 3,
+  },
+
+  // LifeLink donor proximity matching
+  lifeLink: {
+    radiusRingsKm: [5, 15, 30, 60, 120], // notify-all widens outward through these rings
+    // Wait before widening to the next ring, by requisition urgency
+    ringIntervalMinutes: { HIGH: 15, MEDIUM: 60, LOW: 180 },
+    maxDonorsPerRing: 200,
+    // Ranking penalty: one day until a donor is eligible again weighs like this many km
+    eligibilityDayKm: 5,
+  },
+
+  // iCalendar feeds and email invites
+  calendar: {
+    timezone: process.env.CALENDAR_TIMEZONE || 'Asia/Kolkata', // Event start/end times are wall-clock times here
+    uidDomain: process.env.CALENDAR_UID_DOMAIN || 'apm-server', // Right-hand side of every VEVENT UID
+    feedBaseUrl: process.env.BACKEND_URL, // Falls back to the request host when unset
+    eventLinkBaseUrl: process.env.FRONTEND_URL, // Calendar entries link to <url>/events/<id> when set
+    defaultDurationMinutes: 120, // Events without an end time
+    feedPastDays: 90, // Feeds include events this far back...
+    feedFutureDays: 365, // ...and this far ahead
+    feedRefreshHours: 6, // Suggested refresh interval for subscribed calendars
+  },
+
+  // Notification preferences, quiet hours and digests
+  notifications: {
+    unsubscribeBaseUrl: process.env.BACKEND_URL, // Emails get no unsubscribe link when unset
+    defaultTimezone: 'Asia/Kolkata',
+    digestMaxItems: 50, // Older pending items are summarised as "and N more"
+    digestHour: 8, // Digests go out at 08:00 in each user's timezone
+    weeklyDigestDay: 1, // Monday (0 = Sunday)
+  },
+
+  // Weekly community digest email (Mondays 09:00 IST)
+  communityDigest: {
+    frontendUrl: process.env.FRONTEND_URL || 'http://localhost:5173',
+    trackingBaseUrl: process.env.BACKEND_URL, // Links skip click tracking when unset
+    lookbackDays: 7, // Posts, photos and new members from this far back
+    upcomingEventDays: 14,
+    upcomingBirthdayDays: 7,
+    maxItemsPerSection: 5, // The rest are summarised as "and N more"
+  },
+
+  // Provider delivery webhooks (delivered, bounced, complained, opened)
+  emailDelivery: {
+    // Delivery webhooks are verified against the raw body with each provider's own signing secret
+    sendgridVerificationKey: process.env.SENDGRID_WEBHOOK_VERIFICATION_KEY, // Base64 ECDSA public key from the Event Webhook settings
+    resendWebhookSecret: process.env.RESEND_WEBHOOK_SECRET, // Svix "whsec_..." signing secret
+    mailgunSigningKey: process.env.MAILGUN_WEBHOOK_SIGNING_KEY,
+    mailersendSigningSecret: process.env.MAILERSEND_WEBHOOK_SECRET,
+    webhookSecret: process.env.EMAIL_WEBHOOK_SECRET, // X-Email-Webhook-Secret header for relays posting the generic format (SMTP, Gmail, SES)
+    webhookToleranceSeconds: 5 * 60, // Signed timestamps older than this are rejected as replays
+  },
+
+  // Offline check-in kits for scanner devices
+  checkIn: {
+    kitSigningSecret: process.env.CHECKIN_KIT_SECRET || process.env.JWT_SECRET,
+    kitTtlHours: 24, // Devices should download a fresh kit after this
+    maxScansPerSync: 500,
+    staleDeviceMinutes: 30, // Devices that haven't synced for this long are flagged in check-in stats
+  },
+
   // Rate Limiting
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
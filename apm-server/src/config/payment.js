@@ -7,6 +7,8 @@ module.exports = {
     keyId: process.env.RAZORPAY_KEY_ID,
     keySecret: process.env.RAZORPAY_KEY_SECRET,
     webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET,
+    // Accept "test_signature_*" payment signatures for scripted test payments; never in production
+    allowTestSignatures: process.env.NODE_ENV !== 'production' && process.env.RAZORPAY_ALLOW_TEST_SIGNATURES === 'true',
     
     // Default Options
     options: {
@@ -18,6 +20,32 @@ module.exports = {
     }
   },
   
+  // Stripe Configuration (Checkout Sessions)
+  stripe: {
+    secretKey: process.env.STRIPE_SECRET_KEY,
+    publishableKey: process.env.STRIPE_PUBLISHABLE_KEY,
+    webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+
+    // Default Options
+    options: {
+      currency: 'INR',
+      paymentMethodTypes: ['card'],
+      metadata: {
+        platform: 'Alumni Portal'
+      }
+    }
+  },
+  
+  // Supported Currencies
+  // minorUnits = decimal places of the smallest unit providers charge in (paise, cents, fils)
+  currencies: {
+    INR: { name: 'Indian Rupee', symbol: '₹', minorUnits: 2, locale: 'en-IN', minProcessingFee: 2 },
+    USD: { name: 'US Dollar', symbol: '$', minorUnits: 2, locale: 'en-US', minProcessingFee: 0.3 },
+    GBP: { name: 'British Pound', symbol: '£', minorUnits: 2, locale: 'en-GB', minProcessingFee: 0.2 },
+    EUR: { name: 'Euro', symbol: '€', minorUnits: 2, locale: 'en-IE', minProcessingFee: 0.25 },
+    AED: { name: 'UAE Dirham', symbol: 'AED', minorUnits: 2, locale: 'en-AE', minProcessingFee: 1 }
+  },
+
   // Payment Settings
   settings: {
     defaultCurrency: 'INR',
@@ -40,8 +68,11 @@ module.exports = {
   transaction: {
     numberPrefix: 'PT',
     invoicePrefix: 'INV',
-    maxAmount: 10000000, // ₹1,00,000 in paise
-    minAmount: 100 // ₹1 in paise
+    refundPrefix: 'RF',
+    creditNotePrefix: 'CN',
+    // Limits in hundredths of the transaction currency (paise, cents, fils)
+    maxAmount: 10000000, // 1,00,000
+    minAmount: 100 // 1
   },
   
   urls: {
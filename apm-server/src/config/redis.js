@@ -1,5 +1,6 @@
 // src/config/redis.js
 const Redis = require('ioredis');
+const { getCacheTenantTag } = require('../utils/tenantContext.util');
 
 // Redis configuration - supports both REDIS_URL (Railway) and individual env vars (local)
 let redis;
@@ -48,12 +49,31 @@ redis.on('close', () => {
 });
 
 // Cache utility functions
+// Objects cached inside a tenant request are stored as { [TENANT_TAG]: tenant, value },
+// so a response cached for one tenant is a miss for every other tenant's requests
+// however its key was built. Counters and other primitives are shared as before.
+const TENANT_TAG = '__tenant';
+
+const tagForTenant = (value) => {
+  const tag = value !== null && typeof value === 'object' ? getCacheTenantTag() : undefined;
+  return tag === undefined ? value : { [TENANT_TAG]: tag, value };
+};
+
+// Jobs and unscoped requests read every entry; a tenant only reads its own and untagged ones
+const untagForTenant = (entry) => {
+  if (entry === null || typeof entry !== 'object' || !(TENANT_TAG in entry)) {
+    return entry;
+  }
+  const reader = getCacheTenantTag();
+  return reader === undefined || reader === '*' || reader === entry[TENANT_TAG] ? entry.value : null;
+};
+
 class CacheService {
   
   // Set cache with expiration
   static async set(key, value, expireInSeconds = 3600) {
     try {
-      const serializedValue = JSON.stringify(value);
+      const serializedValue = JSON.stringify(tagForTenant(value));
       await redis.setex(key, expireInSeconds, serializedValue);
       console.log(`📦 Cached: ${key} (expires in ${expireInSeconds}s)`);
       return true;
@@ -67,9 +87,10 @@ class CacheService {
   static async get(key) {
     try {
       const cachedValue = await redis.get(key);
-      if (cachedValue) {
+      const value = cachedValue ? untagForTenant(JSON.parse(cachedValue)) : null;
+      if (value !== null) {
         console.log(`🎯 Cache hit: ${key}`);
-        return JSON.parse(cachedValue);
+        return value;
       }
       console.log(`❌ Cache miss: ${key}`);
       return null;
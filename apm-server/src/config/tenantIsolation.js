@@ -0,0 +1,512 @@
+// src/config/tenantIsolation.js
+// Prisma client extension that pins tenant-scoped models to the request's organization
+
+const { Prisma } = require('@prisma/client');
+const {
+  getScopedTenantId,
+  getScopedUserTenantId,
+  getScopedUserDataTenantId,
+  isUnscopedRawAllowed,
+  tenantIsolationError,
+} = require('../utils/tenantContext.util');
+
+// Users follow their own rule (see getScopedUserTenantId)
+const USER_MODEL = 'User';
+
+const MODELS = Prisma.dmmf.datamodel.models;
+
+// Every model with an organizationId column, read from the generated client
+const TENANT_MODELS = new Set(
+  MODELS
+    .filter((model) => model.fields.some((field) => field.name === 'organizationId'))
+    .map((model) => model.name)
+    .filter((name) => name !== USER_MODEL)
+);
+
+// Models whose rows without an organization apply to every tenant (bounce and
+// complaint suppressions). Reads may ask for them with `organizationId: null`;
+// only unscoped code (delivery webhooks) writes them.
+const PLATFORM_ROW_MODELS = new Set(['BlacklistedEmail']);
+
+// Relation field behind each model's organizationId
+const organizationRelationOf = (model) => model.fields.find((field) => field.kind === 'object'
+  && (field.relationFromFields || []).includes('organizationId'));
+
+// model -> name of the relation field backed by organizationId
+const ORGANIZATION_RELATIONS = new Map(MODELS.flatMap((model) => {
+  const field = organizationRelationOf(model);
+  return field ? [[model.name, field.name]] : [];
+}));
+
+const ORGANIZATION_RELATION_NAMES = new Set(MODELS.map(organizationRelationOf).filter(Boolean).map((field) => field.relationName));
+
+// model -> relation field -> { model, isList, fromOrganization }
+// fromOrganization: Organization's side of a child's organizationId relation,
+// where nested writes take the organization from the parent row
+const RELATIONS = new Map(MODELS.map((model) => [
+  model.name,
+  new Map(model.fields
+    .filter((field) => field.kind === 'object')
+    .map((field) => [field.name, {
+      model: field.type,
+      isList: field.isList,
+      fromOrganization: model.name === 'Organization' && ORGANIZATION_RELATION_NAMES.has(field.relationName),
+    }])),
+]));
+
+// Required to-one relations a child row cannot exist without
+const ownerRelationsOf = (model) => model.fields.filter((field) => field.kind === 'object'
+  && !field.isList && field.isRequired && (field.relationFromFields || []).length > 0);
+
+/**
+ * Child models without an organizationId column, scoped through the required
+ * relation chain that leads to a tenant model (EventCheckIn -> registration ->
+ * event). Chains ending in an organization's own model win over ones ending in
+ * a User (creator, user), which are only used when nothing else owns the row.
+ * model -> { path: ['registration', 'event'], parent: 'EventRegistration', endsAtUser }
+ */
+const OWNED_MODELS = new Map();
+
+const resolveOwners = (isOwner) => {
+  let resolved = true;
+  while (resolved) {
+    resolved = false;
+    for (const model of MODELS) {
+      if (TENANT_MODELS.has(model.name) || model.name === USER_MODEL || OWNED_MODELS.has(model.name)) continue;
+
+      const field = ownerRelationsOf(model).find(isOwner);
+      if (!field) continue;
+
+      const via = OWNED_MODELS.get(field.type);
+      OWNED_MODELS.set(model.name, {
+        path: [field.name, ...(via ? via.path : [])],
+        parent: field.type,
+        endsAtUser: via ? via.endsAtUser : field.type === USER_MODEL,
+      });
+      resolved = true;
+    }
+  }
+};
+
+resolveOwners((field) => TENANT_MODELS.has(field.type) || OWNED_MODELS.get(field.type)?.endsAtUser === false);
+resolveOwners((field) => field.type === USER_MODEL || OWNED_MODELS.has(field.type));
+
+const WHERE_OPERATIONS = new Set([
+  'findUnique', 'findUniqueOrThrow', 'findFirst', 'findFirstOrThrow', 'findMany',
+  'count', 'aggregate', 'groupBy',
+  'update', 'updateMany', 'updateManyAndReturn', 'upsert',
+  'delete', 'deleteMany',
+]);
+
+const READ_OPERATIONS = new Set([
+  'findUnique', 'findUniqueOrThrow', 'findFirst', 'findFirstOrThrow', 'findMany',
+  'count', 'aggregate', 'groupBy', 'include',
+]);
+
+const CREATE_OPERATIONS = new Set(['create', 'createMany', 'createManyAndReturn']);
+const UPDATE_OPERATIONS = new Set(['update', 'updateMany', 'updateManyAndReturn']);
+const NESTED_WRITE_OPERATIONS = new Set(['create', 'update', 'upsert']);
+
+const refuse = (model, operation, tenantId, requested) => {
+  console.warn(`🚫 Cross-tenant ${operation} on ${model} refused (tenant ${tenantId}, requested ${requested})`);
+  return tenantIsolationError(`Cross-tenant ${operation} on ${model} is not allowed`);
+};
+
+const tenantFor = (model, scope) => {
+  if (model === USER_MODEL) return scope.userTenantId;
+  return TENANT_MODELS.has(model) ? scope.tenantId : null;
+};
+
+const ownerTenantFor = (owner, scope) => (owner.endsAtUser ? scope.userDataTenantId : scope.tenantId);
+
+const eachItem = (value, fn) => (Array.isArray(value) ? value.map(fn) : fn(value));
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const scopeWhere = (where = {}, tenantId, model, operation) => {
+  const requested = where.organizationId;
+
+  if (requested === undefined) {
+    return { ...where, organizationId: tenantId };
+  }
+
+  if (requested === tenantId) {
+    return where;
+  }
+
+  if (requested === null && PLATFORM_ROW_MODELS.has(model) && READ_OPERATIONS.has(operation)) {
+    return where;
+  }
+
+  if (requested === null || typeof requested === 'string') {
+    throw refuse(model, operation, tenantId, requested);
+  }
+
+  // Filter objects ({ in: [...] }, { not: ... }) are kept and narrowed to the tenant
+  return {
+    ...where,
+    AND: [...[].concat(where.AND || []), { organizationId: tenantId }],
+  };
+};
+
+// Narrow an owned model's filter to rows whose owner chain ends in the tenant
+const scopeOwnedWhere = (where = {}, owner, tenantId) => {
+  const ownerFilter = owner.path.reduceRight((inner, field) => ({ [field]: inner }), { organizationId: tenantId });
+  return { ...where, AND: [...[].concat(where.AND || []), ownerFilter] };
+};
+
+// Tenant filter for model's rows, or the where unchanged when the model is not scoped
+const scopeAnyWhere = (model, where, scope, operation) => {
+  const tenantId = tenantFor(model, scope);
+  if (tenantId) {
+    return scopeWhere(where, tenantId, model, operation);
+  }
+
+  const owner = OWNED_MODELS.get(model);
+  const ownerTenantId = owner && ownerTenantFor(owner, scope);
+  return ownerTenantId ? scopeOwnedWhere(where, owner, ownerTenantId) : where;
+};
+
+// Rows reached from their own owner are already inside the tenant
+const needsListScope = (parentModel, model) => OWNED_MODELS.get(model)?.parent !== parentModel;
+
+const scopeCreateData = (data, tenantId, model, operation) => {
+  if (Array.isArray(data)) {
+    return data.map((item) => scopeCreateData(item, tenantId, model, operation));
+  }
+
+  if (data.organization) {
+    if (data.organization.connect?.id !== tenantId) {
+      throw refuse(model, operation, tenantId, data.organization.connect?.id);
+    }
+    return data;
+  }
+
+  if (data.organizationId !== undefined && data.organizationId !== null) {
+    if (data.organizationId !== tenantId) {
+      throw refuse(model, operation, tenantId, data.organizationId);
+    }
+    return data;
+  }
+
+  // Prisma rejects scalar foreign keys next to relation writes, so match the caller's style
+  const rest = { ...data };
+  delete rest.organizationId;
+  const relations = RELATIONS.get(model);
+  const usesRelations = Object.keys(rest).some((key) => relations.has(key));
+  const organizationRelation = ORGANIZATION_RELATIONS.get(model);
+
+  if (usesRelations && organizationRelation) {
+    return { ...rest, [organizationRelation]: { connect: { id: tenantId } } };
+  }
+
+  return { ...rest, organizationId: tenantId };
+};
+
+const assertUpdateData = (data, tenantId, model, operation) => {
+  if (data && data.organizationId !== undefined && data.organizationId !== tenantId) {
+    throw refuse(model, operation, tenantId, data.organizationId);
+  }
+  if (data?.organization?.connect && data.organization.connect.id !== tenantId) {
+    throw refuse(model, operation, tenantId, data.organization.connect.id);
+  }
+};
+
+// ==========================================
+// NESTED READS (include / select / _count)
+// ==========================================
+
+const scopeCount = (model, count, scope) => {
+  const relations = RELATIONS.get(model);
+
+  // `_count: true` counts every list relation
+  const select = count === true
+    ? Object.fromEntries([...relations].filter(([, relation]) => relation.isList).map(([name]) => [name, true]))
+    : count.select;
+
+  if (!isObject(select)) {
+    return count;
+  }
+
+  const scopedSelect = {};
+  for (const [field, value] of Object.entries(select)) {
+    const relation = relations.get(field);
+    if (!relation || !value || !needsListScope(model, relation.model)) {
+      scopedSelect[field] = value;
+      continue;
+    }
+
+    const where = scopeAnyWhere(relation.model, value.where, scope, 'count');
+    scopedSelect[field] = where === value.where ? value : { ...(isObject(value) ? value : {}), where };
+  }
+
+  return { ...(isObject(count) ? count : {}), select: scopedSelect };
+};
+
+const scopeSelection = (model, selection, scope) => {
+  if (!isObject(selection)) {
+    return selection;
+  }
+
+  const relations = RELATIONS.get(model);
+  const scoped = {};
+
+  for (const [field, value] of Object.entries(selection)) {
+    if (field === '_count') {
+      scoped._count = value ? scopeCount(model, value, scope) : value;
+      continue;
+    }
+
+    const relation = relations.get(field);
+    if (!relation || !value) {
+      scoped[field] = value;
+      continue;
+    }
+
+    const nested = scopeReadArgs(relation.model, isObject(value) ? value : {}, scope);
+    if (relation.isList && needsListScope(model, relation.model)) {
+      const where = scopeAnyWhere(relation.model, nested.where, scope, 'include');
+      if (where !== nested.where) nested.where = where;
+    }
+
+    scoped[field] = value === true && Object.keys(nested).length === 0 ? true : nested;
+  }
+
+  return scoped;
+};
+
+const scopeReadArgs = (model, args, scope) => {
+  const scoped = { ...args };
+  if (args.include) scoped.include = scopeSelection(model, args.include, scope);
+  if (args.select) scoped.select = scopeSelection(model, args.select, scope);
+  return scoped;
+};
+
+// ==========================================
+// NESTED WRITES
+// ==========================================
+
+const scopeNestedCreate = (model, data, tenantId, scope) => {
+  const stamped = tenantId ? scopeCreateData(data, tenantId, model, 'nested create') : data;
+  return scopeNestedWrites(model, stamped, scope);
+};
+
+const scopeNestedUpdate = (model, data, tenantId, scope) => {
+  if (tenantId) {
+    assertUpdateData(data, tenantId, model, 'nested update');
+  }
+  return scopeNestedWrites(model, data, scope);
+};
+
+const scopeUniqueWhere = (model, where, tenantId, operation) => {
+  return tenantId && isObject(where) ? scopeWhere(where, tenantId, model, operation) : where;
+};
+
+// Nested to-one updates take the data directly or wrapped as { where?, data }
+const isWrappedUpdate = (payload) => {
+  return isObject(payload) && 'data' in payload && Object.keys(payload).every((key) => key === 'data' || key === 'where');
+};
+
+const scopeRelationWrite = (relation, operations, scope) => {
+  if (!isObject(operations)) {
+    return operations;
+  }
+
+  const { model, isList } = relation;
+  const tenantId = tenantFor(model, scope);
+  const createTenantId = relation.fromOrganization ? null : tenantId;
+  const scoped = {};
+
+  for (const [operation, payload] of Object.entries(operations)) {
+    switch (operation) {
+      case 'create':
+        scoped.create = eachItem(payload, (item) => scopeNestedCreate(model, item, createTenantId, scope));
+        break;
+      case 'createMany':
+        scoped.createMany = createTenantId
+          ? { ...payload, data: [].concat(payload.data).map((item) => scopeCreateData(item, createTenantId, model, 'nested createMany')) }
+          : payload;
+        break;
+      case 'connectOrCreate':
+        scoped.connectOrCreate = eachItem(payload, (item) => ({
+          ...item,
+          where: scopeUniqueWhere(model, item.where, tenantId, 'nested connectOrCreate'),
+          create: scopeNestedCreate(model, item.create, createTenantId, scope),
+        }));
+        break;
+      case 'upsert':
+        scoped.upsert = eachItem(payload, (item) => ({
+          ...item,
+          ...(item.where && { where: scopeUniqueWhere(model, item.where, tenantId, 'nested upsert') }),
+          create: scopeNestedCreate(model, item.create, createTenantId, scope),
+          update: scopeNestedUpdate(model, item.update, tenantId, scope),
+        }));
+        break;
+      case 'update':
+        scoped.update = eachItem(payload, (item) => {
+          if (!isList && !isWrappedUpdate(item)) {
+            return scopeNestedUpdate(model, item, tenantId, scope);
+          }
+          return {
+            ...item,
+            ...(item.where && { where: scopeUniqueWhere(model, item.where, tenantId, 'nested update') }),
+            data: scopeNestedUpdate(model, item.data, tenantId, scope),
+          };
+        });
+        break;
+      case 'updateMany':
+        scoped.updateMany = eachItem(payload, (item) => {
+          if (tenantId) assertUpdateData(item.data, tenantId, model, 'nested updateMany');
+          return { ...item, where: scopeUniqueWhere(model, item.where || {}, tenantId, 'nested updateMany') };
+        });
+        break;
+      case 'connect':
+      case 'set':
+      case 'disconnect':
+      case 'delete':
+      case 'deleteMany':
+        scoped[operation] = eachItem(payload, (where) => scopeUniqueWhere(model, where, tenantId, `nested ${operation}`));
+        break;
+      default:
+        scoped[operation] = payload;
+    }
+  }
+
+  return scoped;
+};
+
+const scopeNestedWrites = (model, data, scope) => {
+  if (!isObject(data)) {
+    return data;
+  }
+
+  const relations = RELATIONS.get(model);
+  let scoped = data;
+
+  for (const [field, value] of Object.entries(data)) {
+    const relation = relations.get(field);
+    if (relation) {
+      scoped = scoped === data ? { ...data } : scoped;
+      scoped[field] = scopeRelationWrite(relation, value, scope);
+    }
+  }
+
+  return scoped;
+};
+
+// ==========================================
+// TOP-LEVEL OPERATIONS
+// ==========================================
+
+const scopeArgs = (model, operation, args, scope) => {
+  const tenantId = tenantFor(model, scope);
+  const scoped = scopeReadArgs(model, args, scope);
+
+  if (WHERE_OPERATIONS.has(operation)) {
+    const where = scopeAnyWhere(model, args.where, scope, operation);
+    if (where !== args.where) scoped.where = where;
+  }
+
+  if (tenantId && CREATE_OPERATIONS.has(operation)) {
+    scoped.data = scopeCreateData(args.data, tenantId, model, operation);
+  }
+
+  if (tenantId && UPDATE_OPERATIONS.has(operation)) {
+    assertUpdateData(args.data, tenantId, model, operation);
+  }
+
+  if (operation === 'upsert') {
+    scoped.create = scopeNestedCreate(model, args.create, tenantId, scope);
+    scoped.update = scopeNestedUpdate(model, args.update, tenantId, scope);
+  } else if (NESTED_WRITE_OPERATIONS.has(operation)) {
+    scoped.data = scopeNestedWrites(model, scoped.data, scope);
+  }
+
+  return scoped;
+};
+
+const currentScope = () => ({
+  tenantId: getScopedTenantId(),
+  userTenantId: getScopedUserTenantId(),
+  userDataTenantId: getScopedUserDataTenantId(),
+});
+
+/**
+ * Query hook for model operations; exported so tests can run it against a fake client
+ */
+const applyTenantScope = async ({ model, operation, args, query }) => {
+  const scope = currentScope();
+
+  if (!scope.tenantId) {
+    return query(args);
+  }
+
+  return query(scopeArgs(model, operation, args || {}, scope));
+};
+
+/**
+ * Raw SQL has no model to scope, so inside a tenant request it must bind the
+ * tenant id as a parameter (e.g. `AND "organizationId" = ${organizationId}`)
+ * or run under runUnscopedRaw.
+ */
+const guardRawQuery = async ({ operation, args, query }) => {
+  const tenantId = getScopedTenantId();
+
+  if (!tenantId || isUnscopedRawAllowed()) {
+    return query(args);
+  }
+
+  // Tagged templates arrive as a Sql object, the *Unsafe variants as [sql, ...values]
+  const values = Array.isArray(args) ? args.slice(1) : args?.values || [];
+  if (!values.includes(tenantId)) {
+    console.warn(`🚫 ${operation} without the tenant id refused (tenant ${tenantId})`);
+    throw tenantIsolationError(`${operation} must bind the organization id inside a tenant request`);
+  }
+
+  return query(args);
+};
+
+/**
+ * Inside a request with a selected tenant (or a signed-in user), every query on
+ * a tenant-scoped model is filtered to (and every create stamped with) that
+ * organization, including to-many includes, _count and nested writes. Child
+ * models without an organizationId column are filtered through their owner
+ * (see OWNED_MODELS). Queries that name another organization are refused, as
+ * is raw SQL that does not bind the tenant id. Outside a request (cron jobs,
+ * scripts) and under DEVELOPER elevation the client behaves as before.
+ *
+ * Not covered: relation filters in where (some / every / is), to-one includes
+ * (they follow a foreign key the nested-write checks keep inside the tenant),
+ * and creates of owned child models, whose parent the caller must have read
+ * through the scoped client.
+ */
+const tenantIsolationExtension = Prisma.defineExtension({
+  name: 'tenantIsolation',
+  query: {
+    $allModels: {
+      async $allOperations(params) {
+        return applyTenantScope(params);
+      },
+    },
+    async $queryRaw(params) {
+      return guardRawQuery({ ...params, operation: '$queryRaw' });
+    },
+    async $executeRaw(params) {
+      return guardRawQuery({ ...params, operation: '$executeRaw' });
+    },
+    async $queryRawUnsafe(params) {
+      return guardRawQuery({ ...params, operation: '$queryRawUnsafe' });
+    },
+    async $executeRawUnsafe(params) {
+      return guardRawQuery({ ...params, operation: '$executeRawUnsafe' });
+    },
+  },
+});
+
+module.exports = {
+  tenantIsolationExtension,
+  applyTenantScope,
+  guardRawQuery,
+  TENANT_MODELS,
+  OWNED_MODELS,
+};
@@ -4,8 +4,8 @@ const { CacheService, CacheKeys } = require('../../config/redis');
 const { successResponse, errorResponse } = require('../../utils/response');
 const AnalyticsService = require('../../services/analytics/AnalyticsService');
 const { prisma } = require('../../config/database');
-const NotificationService = require('../../services/notification.service');
-const { getTenantId, withTenant } = require('../../utils/tenant.util');
+const { getTenantId, getOrganizationId } = require('../../utils/tenant.util');
+const SessionService = require('../../services/auth/session.service');
 
 // Get cache performance dashboard
 const getCacheDashboard = async (req, res) => {
@@ -165,7 +165,6 @@ const getCacheHealth = async (req, res) => {
  */
 const getDashboardOverview = async (req, res) => {
   try {
-    const { fromDate, toDate } = req.query;
 
     // MULTI-TENANT: Get tenant ID from request
     const tenantId = getTenantId(req);
@@ -484,6 +483,79 @@ const updateUserRole = async (req, res) => {
   }
 };
 
+// Target user, only if they belong to the admin's organization
+const findOrganizationUser = (req, userId) => {
+  const organizationId = getTenantId(req) || req.user.organizationId;
+  return prisma.user.findFirst({
+    where: { id: userId, organizationId },
+    select: { id: true, fullName: true, email: true, role: true }
+  });
+};
+
+/**
+ * @desc    List a user's signed-in devices
+ * @route   GET /api/admin/users/:userId/sessions
+ * @access  Private (SUPER_ADMIN only)
+ */
+const getUserSessions = async (req, res) => {
+  try {
+    const user = await findOrganizationUser(req, req.params.userId);
+
+    if (!user) {
+      return errorResponse(res, 'User not found', 404);
+    }
+
+    const sessions = await SessionService.listActiveSessions(user.id);
+
+    return successResponse(res, { user, sessions }, 'User sessions retrieved successfully');
+  } catch (error) {
+    console.error('getUserSessions error:', error);
+    return errorResponse(res, 'Failed to fetch user sessions', 500);
+  }
+};
+
+/**
+ * @desc    Sign a user out of every device
+ * @route   POST /api/admin/users/:userId/force-logout
+ * @access  Private (SUPER_ADMIN only)
+ */
+const forceLogoutUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason } = req.body || {};
+
+    const user = await findOrganizationUser(req, userId);
+
+    if (!user) {
+      return errorResponse(res, 'User not found', 404);
+    }
+
+    const revokedSessions = await SessionService.revokeAllSessions(user.id, 'admin_force_logout', {
+      revokedBy: req.user.id
+    });
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'user_force_logout',
+        details: {
+          targetUserId: user.id,
+          targetEmail: user.email,
+          revokedSessions,
+          reason: reason || null
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }
+    });
+
+    return successResponse(res, { revokedSessions }, `${user.fullName} has been signed out of all devices`);
+  } catch (error) {
+    console.error('forceLogoutUser error:', error);
+    return errorResponse(res, 'Failed to sign user out', 500);
+  }
+};
+
 /**
  * @desc    Get comprehensive events analytics
  * @route   GET /api/admin/dashboard/events-analytics
@@ -541,7 +613,7 @@ const getEventsAnalytics = async (req, res) => {
         let analytics = event.analytics;
         
         if (!analytics) {
-          analytics = await AnalyticsService.calculateEventAnalytics(event.id);
+          analytics = await AnalyticsService.calculateEventAnalytics(event.id, getOrganizationId(req));
         }
         
         return {
@@ -608,7 +680,7 @@ const getRevenueBreakdown = async (req, res) => {
   try {
     const { fromDate, toDate } = req.query;
     
-    const breakdown = await AnalyticsService.getRevenueBreakdown(fromDate, toDate);
+    const breakdown = await AnalyticsService.getRevenueBreakdown(fromDate, toDate, getOrganizationId(req));
     
     return successResponse(res, breakdown, 'Revenue breakdown retrieved successfully');
   } catch (error) {
@@ -624,7 +696,7 @@ const getRevenueBreakdown = async (req, res) => {
  */
 const getBatchParticipation = async (req, res) => {
   try {
-    const participation = await AnalyticsService.getBatchParticipation();
+    const participation = await AnalyticsService.getBatchParticipation(getOrganizationId(req));
     
     return successResponse(res, participation, 'Batch participation retrieved successfully');
   } catch (error) {
@@ -642,7 +714,7 @@ const getLiveRegistrations = async (req, res) => {
   try {
     const { eventId } = req.params;
     
-    const stats = await AnalyticsService.getLiveRegistrationStats(eventId);
+    const stats = await AnalyticsService.getLiveRegistrationStats(eventId, getOrganizationId(req));
     
     if (!stats) {
       return errorResponse(res, 'Event not found', 404);
@@ -664,13 +736,15 @@ const refreshAnalytics = async (req, res) => {
   try {
     const { eventId } = req.body;
     
+    const organizationId = getOrganizationId(req);
+
     if (eventId) {
       // Refresh specific event analytics
-      await AnalyticsService.invalidateEventAnalytics(eventId);
-      await AnalyticsService.calculateEventAnalytics(eventId);
+      await AnalyticsService.invalidateEventAnalytics(eventId, organizationId);
+      await AnalyticsService.calculateEventAnalytics(eventId, organizationId);
     } else {
       // Refresh system-wide analytics
-      await AnalyticsService.invalidateSystemAnalytics();
+      await AnalyticsService.invalidateSystemAnalytics(organizationId);
     }
     
     return successResponse(res, null, 'Analytics cache refreshed successfully');
@@ -691,7 +765,7 @@ const getUnifiedPaymentAnalytics = async (req, res) => {
     
     console.log(`🔍 Admin requesting unified payment analytics from ${fromDate || 'auto'} to ${toDate || 'auto'}`);
     
-    const analytics = await AnalyticsService.getUnifiedPaymentAnalytics(fromDate, toDate);
+    const analytics = await AnalyticsService.getUnifiedPaymentAnalytics(fromDate, toDate, getOrganizationId(req));
     
     // Add admin-specific insights
     const adminInsights = {
@@ -723,7 +797,7 @@ const getTransparencyReport = async (req, res) => {
     
     console.log(`🔍 Admin requesting transparency report for ${eventId ? `event ${eventId}` : 'system-wide'}`);
     
-    const report = await AnalyticsService.getTransparencyReport(eventId);
+    const report = await AnalyticsService.getTransparencyReport(eventId, getOrganizationId(req));
     
     // Add admin controls and metadata
     const adminReport = {
@@ -760,7 +834,7 @@ const getEnhancedRevenueBreakdown = async (req, res) => {
     console.log(`🔍 Admin requesting enhanced revenue breakdown`);
     
     // Get enhanced breakdown from AnalyticsService
-    const breakdown = await AnalyticsService.getRevenueBreakdown(fromDate, toDate);
+    const breakdown = await AnalyticsService.getRevenueBreakdown(fromDate, toDate, getOrganizationId(req));
     
     // Add admin-specific enhancements
     const enhancedBreakdown = {
@@ -948,69 +1022,6 @@ function calculatePerformanceScore(analytics) {
   return Math.round(score);
 }
 
-/**
- * Calculate real-time payment status
- */
-async function calculateRealTimePaymentStatus() {
-  try {
-    const now = new Date();
-    const last24Hours = new Date(now.getTime() - (24 * 60 * 60 * 1000));
-    
-    // Get real-time counts for all payment types
-    const [
-      pendingPayments,
-      completedLast24h,
-      failedLast24h,
-      activeTransactions
-    ] = await Promise.all([
-      prisma.paymentTransaction.count({
-        where: { status: 'PENDING' }
-      }),
-      
-      prisma.paymentTransaction.count({
-        where: {
-          status: 'COMPLETED',
-          completedAt: { gte: last24Hours }
-        }
-      }),
-      
-      prisma.paymentTransaction.count({
-        where: {
-          status: 'FAILED',
-          createdAt: { gte: last24Hours }
-        }
-      }),
-      
-      prisma.paymentTransaction.count({
-        where: {
-          status: { in: ['PENDING', 'PROCESSING'] },
-          createdAt: { gte: new Date(now.getTime() - (60 * 60 * 1000)) } // Last hour
-        }
-      })
-    ]);
-    
-    return {
-      realTime: {
-        pendingPayments,
-        activeTransactions,
-        timestamp: now.toISOString()
-      },
-      last24Hours: {
-        completed: completedLast24h,
-        failed: failedLast24h,
-        successRate: completedLast24h + failedLast24h > 0 ? 
-          (completedLast24h / (completedLast24h + failedLast24h) * 100).toFixed(1) : 0
-      },
-      status: pendingPayments > 20 ? 'high_volume' : 
-              pendingPayments > 5 ? 'normal' : 'low'
-    };
-    
-  } catch (error) {
-    console.error('Real-time payment calculation error:', error);
-    throw error;
-  }
-}
-
 /**
  * Get event registrations with user details for analytics
  */
@@ -1125,6 +1136,8 @@ module.exports = {
   getDashboardOverview,
   getAllUsers,
   updateUserRole,
+  getUserSessions,
+  forceLogoutUser,
   getEventsAnalytics,
   getEventRegistrations,
   getUserBatches,
@@ -4,8 +4,6 @@
 
 const { prisma } = require('../../config/database');
 const { successResponse, errorResponse } = require('../../utils/response');
-const NotificationService = require('../../services/notification.service');
-const emailManager = require('../../services/email/EmailManager');
 const tenantEmailManager = require('../../services/email/TenantEmailManager');
 const SerialIdService = require('../../services/serialID.service');
 const { getOrganizationName, getTenantCode } = require('../../utils/tenant.util');
@@ -362,7 +360,8 @@ const rejectAlumniUser = async (req, res) => {
         id: true,
         email: true,
         fullName: true,
-        batch: true
+        batch: true,
+        organizationId: true
       }
     });
     
@@ -371,7 +370,7 @@ const rejectAlumniUser = async (req, res) => {
     }
     
     // Update user and add to blacklist in transaction
-    const updated = await prisma.$transaction(async (tx) => {
+    await prisma.$transaction(async (tx) => {
       // Update user status
       const updatedUser = await tx.user.update({
         where: { id: userId },
@@ -384,13 +383,27 @@ const rejectAlumniUser = async (req, res) => {
         }
       });
       
-      // Add email to blacklist table
-      await tx.blacklistedEmail.create({
-        data: {
+      // Add email to the organization's blacklist
+      await tx.blacklistedEmail.upsert({
+        where: {
+          blacklisted_email_org_unique: { email: user.email.toLowerCase(), organizationId: user.organizationId }
+        },
+        create: {
           email: user.email.toLowerCase(),
           reason: `User verification rejected: ${reason}`,
           blacklistedBy: adminId,
+          organizationId: user.organizationId,
           isActive: true
+        },
+        update: {
+          reason: `User verification rejected: ${reason}`,
+          source: 'MANUAL',
+          blacklistedBy: adminId,
+          blacklistedAt: new Date(),
+          isActive: true,
+          removedBy: null,
+          removedAt: null,
+          removedReason: null
         }
       });
       
@@ -493,7 +506,8 @@ const unblockAlumniUser = async (req, res) => {
       await tx.blacklistedEmail.deleteMany({
         where: { 
           email: user.email.toLowerCase(),
-          isActive: true
+          isActive: true,
+          source: 'MANUAL'
         }
       });
       
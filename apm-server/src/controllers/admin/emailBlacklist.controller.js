@@ -6,6 +6,17 @@
 const { prisma } = require('../../config/database');
 const { successResponse, errorResponse } = require('../../utils/response');
 const { CacheService } = require('../../config/redis');
+const { getOrganizationId } = require('../../utils/tenant.util');
+const EmailDeliveryService = require('../../services/email/EmailDeliveryService');
+
+// Entries added from delivery webhooks have no admin
+const SOURCE_LABELS = {
+  MANUAL: 'Admin',
+  HARD_BOUNCE: 'System (hard bounce)',
+  COMPLAINT: 'System (spam complaint)'
+};
+
+const blacklistedByName = (entry) => entry.blacklistedAdmin?.fullName || SOURCE_LABELS[entry.source];
 
 /**
  * Get all blacklisted emails with pagination and search
@@ -19,7 +30,8 @@ const getBlacklistedEmails = async (req, res) => {
       search = '', 
       sortBy = 'blacklistedAt',
       sortOrder = 'desc',
-      status = 'active' // 'active', 'removed', 'all'
+      status = 'active', // 'active', 'removed', 'all'
+      source // 'MANUAL', 'HARD_BOUNCE', 'COMPLAINT'
     } = req.query;
     
     const offset = (page - 1) * limit;
@@ -35,6 +47,10 @@ const getBlacklistedEmails = async (req, res) => {
     }
     // 'all' shows both active and removed
     
+    if (SOURCE_LABELS[source]) {
+      whereClause.source = source;
+    }
+    
     // Add search filter
     if (search) {
       whereClause.OR = [
@@ -94,15 +110,16 @@ const getBlacklistedEmails = async (req, res) => {
         id: email.id,
         email: email.email,
         reason: email.reason,
+        source: email.source,
         isActive: email.isActive,
         
         // Blacklist information
         blacklistedAt: email.blacklistedAt,
-        blacklistedBy: {
+        blacklistedBy: email.blacklistedAdmin ? {
           id: email.blacklistedAdmin.id,
           name: email.blacklistedAdmin.fullName,
           role: email.blacklistedAdmin.role
-        },
+        } : { id: null, name: SOURCE_LABELS[email.source], role: null },
         
         // Removal information (if applicable)
         removedAt: email.removedAt,
@@ -170,6 +187,7 @@ const removeFromBlacklist = async (req, res) => {
         email: true,
         isActive: true,
         reason: true,
+        source: true,
         blacklistedAt: true,
         blacklistedAdmin: {
           select: { fullName: true }
@@ -223,7 +241,8 @@ const removeFromBlacklist = async (req, res) => {
             email: blacklistedEmail.email,
             originalReason: blacklistedEmail.reason,
             removalReason: reason.trim(),
-            originallyBlacklistedBy: blacklistedEmail.blacklistedAdmin.fullName,
+            originallyBlacklistedBy: blacklistedByName(blacklistedEmail),
+            source: blacklistedEmail.source,
             originallyBlacklistedAt: blacklistedEmail.blacklistedAt,
             userReactivated: true
           },
@@ -238,6 +257,7 @@ const removeFromBlacklist = async (req, res) => {
     // Clear caches
     await Promise.all([
       CacheService.del(`blacklist:check:${blacklistedEmail.email}`),
+      CacheService.del(EmailDeliveryService.suppressionCacheKey(blacklistedEmail.email)),
       CacheService.del(`blacklist:stats:summary`)
     ]);
     
@@ -289,21 +309,23 @@ const addToBlacklist = async (req, res) => {
       return errorResponse(res, 'Invalid email format', 400);
     }
     
-    // Check if email already blacklisted
+    const organizationId = getOrganizationId(req);
+
+    // Check if email already blacklisted in this organization (a removed entry is reactivated)
     const existingBlacklist = await prisma.blacklistedEmail.findFirst({
       where: { 
         email: email.toLowerCase(),
-        isActive: true
+        organizationId
       }
     });
     
-    if (existingBlacklist) {
+    if (existingBlacklist?.isActive) {
       return errorResponse(res, 'Email is already blacklisted', 409);
     }
     
     // Check if user exists with this email
-    const existingUser = await prisma.user.findUnique({
-      where: { email: email.toLowerCase() },
+    const existingUser = await prisma.user.findFirst({
+      where: { email: email.toLowerCase(), organizationId },
       select: {
         id: true,
         fullName: true,
@@ -325,13 +347,28 @@ const addToBlacklist = async (req, res) => {
     
     const blacklistedEmail = await prisma.$transaction(async (tx) => {
       // Create blacklist entry
-      const created = await tx.blacklistedEmail.create({
-        data: {
-          email: email.toLowerCase(),
-          reason: reason.trim(),
-          blacklistedBy: adminId
-        }
-      });
+      const created = existingBlacklist
+        ? await tx.blacklistedEmail.update({
+            where: { id: existingBlacklist.id },
+            data: {
+              reason: reason.trim(),
+              source: 'MANUAL',
+              isActive: true,
+              blacklistedBy: adminId,
+              blacklistedAt: new Date(),
+              removedBy: null,
+              removedAt: null,
+              removedReason: null
+            }
+          })
+        : await tx.blacklistedEmail.create({
+            data: {
+              email: email.toLowerCase(),
+              reason: reason.trim(),
+              blacklistedBy: adminId,
+              organizationId
+            }
+          });
       
       // If user exists, mark as rejected
       if (existingUser) {
@@ -355,6 +392,7 @@ const addToBlacklist = async (req, res) => {
           details: {
             email: email.toLowerCase(),
             reason: reason.trim(),
+            reactivated: !!existingBlacklist,
             existingUser: existingUser ? {
               id: existingUser.id,
               name: existingUser.fullName
@@ -368,6 +406,11 @@ const addToBlacklist = async (req, res) => {
       return created;
     });
     
+    await Promise.all([
+      CacheService.del(`blacklist:check:${blacklistedEmail.email}`),
+      CacheService.del(EmailDeliveryService.suppressionCacheKey(blacklistedEmail.email))
+    ]);
+    
     return successResponse(res, {
       message: `Email ${email} has been added to blacklist`,
       blacklist: {
@@ -407,6 +450,7 @@ const getBlacklistStats = async (req, res) => {
         last7Days,
         last30Days,
         topReasons,
+        bySource,
         recentActivity
       ] = await Promise.all([
         // Total blacklisted (ever)
@@ -445,6 +489,13 @@ const getBlacklistStats = async (req, res) => {
           take: 5
         }),
         
+        // Active entries by source (admin vs bounce/complaint suppression)
+        prisma.blacklistedEmail.groupBy({
+          by: ['source'],
+          where: { isActive: true },
+          _count: { _all: true }
+        }),
+        
         // Recent blacklist activity
         prisma.blacklistedEmail.findMany({
           where: {
@@ -480,6 +531,10 @@ const getBlacklistStats = async (req, res) => {
             reason: item.reason || 'No reason provided',
             count: item._count.reason
           })),
+          bySource: Object.fromEntries(Object.keys(SOURCE_LABELS).map(source => [
+            source,
+            bySource.find(item => item.source === source)?._count._all || 0
+          ])),
           averagePerDay: (last30Days / 30).toFixed(1),
           trend: last7Days > (last30Days - last7Days) / 3 ? 'increasing' : 'stable'
         },
@@ -489,8 +544,9 @@ const getBlacklistStats = async (req, res) => {
           email: item.email,
           action: item.isActive ? 'BLACKLISTED' : 'REMOVED',
           actionAt: item.isActive ? item.blacklistedAt : item.removedAt,
+          source: item.source,
           performedBy: item.isActive 
-            ? item.blacklistedAdmin.fullName 
+            ? blacklistedByName(item)
             : item.removedAdmin?.fullName,
           reason: item.isActive ? item.reason : item.removedReason
         }))
@@ -525,31 +581,39 @@ const checkEmailStatus = async (req, res) => {
     let status = await CacheService.get(cacheKey);
     
     if (!status) {
-      const blacklistEntry = await prisma.blacklistedEmail.findFirst({
-        where: { 
-          email: email.toLowerCase()
-        },
-        include: {
-          blacklistedAdmin: { select: { fullName: true } },
-          removedAdmin: { select: { fullName: true } }
-        }
-      });
+      // Bounce/complaint suppressions are platform-wide entries, not the organization's
+      const [blacklistEntry, mailSuppressed] = await Promise.all([
+        prisma.blacklistedEmail.findFirst({
+          where: { 
+            email: email.toLowerCase()
+          },
+          include: {
+            blacklistedAdmin: { select: { fullName: true } },
+            removedAdmin: { select: { fullName: true } }
+          }
+        }),
+        EmailDeliveryService.isSuppressed(email)
+      ]);
       
       if (!blacklistEntry) {
         status = {
           isBlacklisted: false,
           canRegister: true,
+          mailSuppressed,
           status: 'ALLOWED'
         };
       } else {
+        const blocksAccount = blacklistEntry.isActive && blacklistEntry.source === 'MANUAL';
         status = {
           isBlacklisted: blacklistEntry.isActive,
-          canRegister: !blacklistEntry.isActive,
+          canRegister: !blocksAccount,
+          mailSuppressed,
           status: blacklistEntry.isActive ? 'BLACKLISTED' : 'PREVIOUSLY_BLACKLISTED',
           details: {
             reason: blacklistEntry.reason,
+            source: blacklistEntry.source,
             blacklistedAt: blacklistEntry.blacklistedAt,
-            blacklistedBy: blacklistEntry.blacklistedAdmin.fullName,
+            blacklistedBy: blacklistedByName(blacklistEntry),
             removedAt: blacklistEntry.removedAt,
             removedBy: blacklistEntry.removedAdmin?.fullName,
             removalReason: blacklistEntry.removedReason
@@ -654,9 +718,10 @@ const bulkRemoveFromBlacklist = async (req, res) => {
     
     // Clear caches for all removed emails
     await Promise.all([
-      ...emailsToRemove.map(email => 
-        CacheService.del(`blacklist:check:${email.email}`)
-      ),
+      ...emailsToRemove.flatMap(email => [
+        CacheService.del(`blacklist:check:${email.email}`),
+        CacheService.del(EmailDeliveryService.suppressionCacheKey(email.email))
+      ]),
       CacheService.del('blacklist:stats:summary')
     ]);
     
@@ -701,14 +766,15 @@ const exportBlacklistedEmails = async (req, res) => {
     
     if (format === 'csv') {
       // Generate CSV content
-      const csvHeader = 'Email,Status,Reason,BlacklistedAt,BlacklistedBy,RemovedAt,RemovedBy,RemovalReason\n';
+      const csvHeader = 'Email,Status,Source,Reason,BlacklistedAt,BlacklistedBy,RemovedAt,RemovedBy,RemovalReason\n';
       const csvRows = emails.map(email => {
         return [
           email.email,
           email.isActive ? 'ACTIVE' : 'REMOVED',
+          email.source,
           `"${email.reason || ''}"`,
           email.blacklistedAt.toISOString(),
-          email.blacklistedAdmin.fullName,
+          blacklistedByName(email),
           email.removedAt ? email.removedAt.toISOString() : '',
           email.removedAdmin?.fullName || '',
           `"${email.removedReason || ''}"`
@@ -728,9 +794,10 @@ const exportBlacklistedEmails = async (req, res) => {
         id: email.id,
         email: email.email,
         reason: email.reason,
+        source: email.source,
         isActive: email.isActive,
         blacklistedAt: email.blacklistedAt,
-        blacklistedBy: email.blacklistedAdmin.fullName,
+        blacklistedBy: blacklistedByName(email),
         removedAt: email.removedAt,
         removedBy: email.removedAdmin?.fullName,
         removalReason: email.removedReason
@@ -0,0 +1,161 @@
+// ==========================================
+// JOB QUEUE ADMIN CONTROLLER
+// File: apm-server/src/controllers/admin/jobQueue.controller.js
+// Pending and failed background jobs; SUPER_ADMINs see their organization's jobs, DEVELOPERs see all
+// ==========================================
+
+const { prisma } = require('../../config/database');
+const { successResponse, errorResponse, getPaginationParams } = require('../../utils/response');
+const { JobQueueService, JOB_STATES } = require('../../services/queue/jobQueue.service');
+const { getOrganizationId } = require('../../utils/tenant.util');
+
+// undefined lists every tenant's jobs (and system jobs) for DEVELOPERs
+const jobScope = (req) => (req.user.role === 'DEVELOPER' ? undefined : getOrganizationId(req));
+
+const findScopedJob = async (req, jobId) => {
+  const job = await JobQueueService.getJob(jobId);
+  const organizationId = jobScope(req);
+
+  if (!job || (organizationId !== undefined && job.organizationId !== organizationId)) {
+    return null;
+  }
+  return job;
+};
+
+const logJobActivity = async (req, action, details) => {
+  try {
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action,
+        details,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+      },
+    });
+  } catch (error) {
+    console.error('Failed to log job queue activity:', error);
+  }
+};
+
+/**
+ * Job counts per state
+ * GET /api/admin/jobs/stats
+ */
+const getJobStats = async (req, res) => {
+  try {
+    const stats = await JobQueueService.getStats(jobScope(req));
+    return successResponse(res, stats);
+  } catch (error) {
+    console.error('Get job stats error:', error);
+    return errorResponse(res, 'Failed to fetch job queue stats', 500);
+  }
+};
+
+/**
+ * List jobs in one state (defaults to the dead letter)
+ * GET /api/admin/jobs?state=failed&name=notification.bulk
+ */
+const listJobs = async (req, res) => {
+  const { state = JOB_STATES.FAILED, name } = req.query;
+
+  if (!Object.values(JOB_STATES).includes(state)) {
+    return errorResponse(res, `State must be one of: ${Object.values(JOB_STATES).join(', ')}`, 400);
+  }
+
+  try {
+    const { page, limit } = getPaginationParams(req.query, 20);
+    const { jobs, total } = await JobQueueService.listJobs(state, {
+      organizationId: jobScope(req),
+      names: name ? [name] : undefined,
+      page,
+      limit,
+    });
+
+    return successResponse(res, {
+      jobs,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('List jobs error:', error);
+    return errorResponse(res, 'Failed to fetch jobs', 500);
+  }
+};
+
+/**
+ * Single job with its current state and last error
+ * GET /api/admin/jobs/:jobId
+ */
+const getJob = async (req, res) => {
+  try {
+    const job = await findScopedJob(req, req.params.jobId);
+    if (!job) {
+      return errorResponse(res, 'Job not found', 404);
+    }
+
+    const state = await JobQueueService.getJobState(job.id);
+    return successResponse(res, { job: { ...job, state: state || 'completed' } });
+  } catch (error) {
+    console.error('Get job error:', error);
+    return errorResponse(res, 'Failed to fetch job', 500);
+  }
+};
+
+/**
+ * Re-run a dead-lettered job
+ * POST /api/admin/jobs/:jobId/retry
+ */
+const retryJob = async (req, res) => {
+  try {
+    const job = await findScopedJob(req, req.params.jobId);
+    if (!job) {
+      return errorResponse(res, 'Job not found', 404);
+    }
+
+    const retried = await JobQueueService.retryJob(job.id);
+    await logJobActivity(req, 'job_retried', { jobId: job.id, name: job.name, lastError: job.lastError });
+
+    return successResponse(res, { job: retried }, 'Job queued for retry');
+  } catch (error) {
+    console.error('Retry job error:', error);
+    return errorResponse(res, error.statusCode ? error.message : 'Failed to retry job', error.statusCode || 500);
+  }
+};
+
+/**
+ * Cancel a pending job or discard a failed one
+ * DELETE /api/admin/jobs/:jobId
+ */
+const removeJob = async (req, res) => {
+  try {
+    const job = await findScopedJob(req, req.params.jobId);
+    if (!job) {
+      return errorResponse(res, 'Job not found', 404);
+    }
+
+    const removed = await JobQueueService.removeJob(job.id);
+    if (!removed) {
+      return errorResponse(res, 'Job is running or already finished', 409);
+    }
+
+    await logJobActivity(req, 'job_removed', { jobId: job.id, name: job.name });
+
+    return successResponse(res, null, 'Job removed');
+  } catch (error) {
+    console.error('Remove job error:', error);
+    return errorResponse(res, 'Failed to remove job', 500);
+  }
+};
+
+module.exports = {
+  getJobStats,
+  listJobs,
+  getJob,
+  retryJob,
+  removeJob
+};
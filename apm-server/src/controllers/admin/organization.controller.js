@@ -253,7 +253,7 @@ const upsertOrganizationDetails = async (req, res) => {
             year: member.year || foundationYear
           }));
         }
-      } catch (parseError) {
+      } catch {
         return errorResponse(res, 'Invalid founding members format', 400);
       }
     }
@@ -673,7 +673,7 @@ const updateSocialLinks = async (req, res) => {
         }
         
         return url.trim();
-      } catch (error) {
+      } catch {
         throw new Error(`Invalid ${platform} URL format`);
       }
     };
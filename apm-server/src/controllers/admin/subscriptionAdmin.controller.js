@@ -309,7 +309,7 @@ const getSubscriptionStatus = async (req, res) => {
  */
 const renewSubscription = async (req, res) => {
   try {
-    const { transactionId, amount, billingCycle } = req.body;
+    const { transactionId, amount } = req.body;
     const adminId = req.user.id;
     const tenantFilter = getTenantFilter(req);
 
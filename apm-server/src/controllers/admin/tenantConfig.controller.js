@@ -5,11 +5,17 @@
 // ==========================================
 
 const { prisma } = require('../../config/database');
+const config = require('../../config');
 const { successResponse, errorResponse } = require('../../utils/response');
-const { CacheService } = require('../../config/redis');
-const { getTenantFilter, getTenantData, getOrganizationFilter } = require('../../utils/tenant.util');
+const { getTenantFilter, getOrganizationFilter } = require('../../utils/tenant.util');
 const TenantEmailManager = require('../../services/email/TenantEmailManager');
+const EmailDeliveryService = require('../../services/email/EmailDeliveryService');
+const EmailTemplateService = require('../../services/email/EmailTemplateService');
 const TenantPushNotificationService = require('../../services/TenantPushNotificationService');
+const PaymentProviderFactory = require('../../services/payment/PaymentProviderFactory');
+const CurrencyService = require('../../services/payment/CurrencyService');
+const SsoService = require('../../services/auth/sso.service');
+const { getSupportedCurrencies, isSupportedCurrency } = require('../../utils/currency.util');
 
 // ==========================================
 // EMAIL CONFIGURATION ENDPOINTS
@@ -402,8 +408,8 @@ const deactivateEmailConfig = async (req, res) => {
 };
 
 /**
- * Get email usage statistics
- * GET /api/admin/tenant-config/email/stats
+ * Get email usage and delivery statistics
+ * GET /api/admin/tenant-config/email/stats?days=30
  * SUPER_ADMIN only
  */
 const getEmailStats = async (req, res) => {
@@ -444,6 +450,10 @@ const getEmailStats = async (req, res) => {
       });
     }
 
+    // Delivered/bounced/complained/opened from provider webhooks, last 1-90 days
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 90);
+    const delivery = await EmailDeliveryService.getStats(organization.id, { days });
+
     return successResponse(res, {
       configured: true,
       provider: emailConfig.provider,
@@ -466,7 +476,8 @@ const getEmailStats = async (req, res) => {
       lastReset: {
         daily: emailConfig.lastDailyReset,
         monthly: emailConfig.lastMonthlyReset
-      }
+      },
+      delivery
     });
 
   } catch (error) {
@@ -475,6 +486,231 @@ const getEmailStats = async (req, res) => {
   }
 };
 
+// ==========================================
+// EMAIL TEMPLATE ENDPOINTS
+// ==========================================
+
+const getActiveOrganizationId = async (req) => {
+  const orgFilter = getOrganizationFilter(req);
+  const organization = await prisma.organization.findFirst({
+    where: { ...orgFilter, isActive: true },
+    select: { id: true }
+  });
+  return organization?.id || null;
+};
+
+const logTemplateActivity = (req, action, organizationId, details) =>
+  prisma.activityLog.create({
+    data: {
+      userId: req.user.id,
+      action,
+      details: { organizationId, ...details },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    }
+  });
+
+const templateErrorResponse = (res, error, fallbackMessage) =>
+  errorResponse(res, error.statusCode ? error.message : fallbackMessage, error.statusCode || 500, error.details || null);
+
+/**
+ * List customizable email templates and which ones the organization has customized
+ * GET /api/tenant-config/admin/email/templates
+ * SUPER_ADMIN only
+ */
+const getEmailTemplates = async (req, res) => {
+  try {
+    const organizationId = await getActiveOrganizationId(req);
+    if (!organizationId) {
+      return errorResponse(res, 'Organization not found', 404);
+    }
+
+    const templates = await EmailTemplateService.listTemplates(organizationId);
+
+    return successResponse(res, { templates });
+
+  } catch (error) {
+    console.error('Get email templates error:', error);
+    return templateErrorResponse(res, error, 'Failed to fetch email templates');
+  }
+};
+
+/**
+ * Get a template's current and default HTML, available variables and version history
+ * GET /api/tenant-config/admin/email/templates/:templateName
+ * SUPER_ADMIN only
+ */
+const getEmailTemplate = async (req, res) => {
+  try {
+    const organizationId = await getActiveOrganizationId(req);
+    if (!organizationId) {
+      return errorResponse(res, 'Organization not found', 404);
+    }
+
+    const template = await EmailTemplateService.getTemplate(organizationId, req.params.templateName);
+
+    return successResponse(res, { template });
+
+  } catch (error) {
+    console.error('Get email template error:', error);
+    return templateErrorResponse(res, error, 'Failed to fetch email template');
+  }
+};
+
+/**
+ * Save a customized template as a new version
+ * PUT /api/tenant-config/admin/email/templates/:templateName
+ * Body: { html, changeNote? }
+ * SUPER_ADMIN only
+ */
+const saveEmailTemplate = async (req, res) => {
+  const { templateName } = req.params;
+
+  try {
+    const organizationId = await getActiveOrganizationId(req);
+    if (!organizationId) {
+      return errorResponse(res, 'Organization not found', 404);
+    }
+
+    const template = await EmailTemplateService.saveTemplate(organizationId, templateName, {
+      html: req.body.html,
+      changeNote: req.body.changeNote
+    }, req.user.id);
+
+    await logTemplateActivity(req, 'email_template_saved', organizationId, {
+      templateName,
+      version: template.version
+    });
+
+    return successResponse(res, {
+      template: await EmailTemplateService.getTemplate(organizationId, templateName)
+    }, 'Email template saved successfully');
+
+  } catch (error) {
+    console.error('Save email template error:', error);
+    return templateErrorResponse(res, error, 'Failed to save email template');
+  }
+};
+
+/**
+ * Stop using the customized template and send the default again (history is kept)
+ * DELETE /api/tenant-config/admin/email/templates/:templateName
+ * SUPER_ADMIN only
+ */
+const resetEmailTemplate = async (req, res) => {
+  const { templateName } = req.params;
+
+  try {
+    const organizationId = await getActiveOrganizationId(req);
+    if (!organizationId) {
+      return errorResponse(res, 'Organization not found', 404);
+    }
+
+    const override = await EmailTemplateService.resetTemplate(organizationId, templateName);
+
+    await logTemplateActivity(req, 'email_template_reset', organizationId, {
+      templateName,
+      lastVersion: override.version
+    });
+
+    return successResponse(res, null, 'Email template reset to default');
+
+  } catch (error) {
+    console.error('Reset email template error:', error);
+    return templateErrorResponse(res, error, 'Failed to reset email template');
+  }
+};
+
+/**
+ * Render a template with sample data: a draft (body.html), or the current template
+ * Body: { html?, data? } - data replaces the generated sample values
+ * POST /api/tenant-config/admin/email/templates/:templateName/preview
+ * SUPER_ADMIN only
+ */
+const previewEmailTemplate = async (req, res) => {
+  try {
+    const organizationId = await getActiveOrganizationId(req);
+    if (!organizationId) {
+      return errorResponse(res, 'Organization not found', 404);
+    }
+
+    const preview = await EmailTemplateService.preview(organizationId, req.params.templateName, {
+      html: req.body.html,
+      data: req.body.data
+    });
+
+    return successResponse(res, { preview });
+
+  } catch (error) {
+    console.error('Preview email template error:', error);
+    return templateErrorResponse(res, error, 'Failed to preview email template');
+  }
+};
+
+/**
+ * Get the HTML of one saved version
+ * GET /api/tenant-config/admin/email/templates/:templateName/versions/:version
+ * SUPER_ADMIN only
+ */
+const getEmailTemplateVersion = async (req, res) => {
+  try {
+    const version = parseInt(req.params.version);
+    if (!Number.isInteger(version) || version < 1) {
+      return errorResponse(res, 'Valid version number required', 400);
+    }
+
+    const organizationId = await getActiveOrganizationId(req);
+    if (!organizationId) {
+      return errorResponse(res, 'Organization not found', 404);
+    }
+
+    const templateVersion = await EmailTemplateService.getVersion(organizationId, req.params.templateName, version);
+
+    return successResponse(res, { version: templateVersion });
+
+  } catch (error) {
+    console.error('Get email template version error:', error);
+    return templateErrorResponse(res, error, 'Failed to fetch email template version');
+  }
+};
+
+/**
+ * Roll back to a previous version (saved as a new version)
+ * POST /api/tenant-config/admin/email/templates/:templateName/versions/:version/restore
+ * SUPER_ADMIN only
+ */
+const restoreEmailTemplateVersion = async (req, res) => {
+  const { templateName } = req.params;
+
+  try {
+    const version = parseInt(req.params.version);
+    if (!Number.isInteger(version) || version < 1) {
+      return errorResponse(res, 'Valid version number required', 400);
+    }
+
+    const organizationId = await getActiveOrganizationId(req);
+    if (!organizationId) {
+      return errorResponse(res, 'Organization not found', 404);
+    }
+
+    const template = await EmailTemplateService.restoreVersion(organizationId, templateName, version, req.user.id);
+
+    await logTemplateActivity(req, 'email_template_restored', organizationId, {
+      templateName,
+      restoredFromVersion: version,
+      version: template.version
+    });
+
+    return successResponse(res, {
+      template: await EmailTemplateService.getTemplate(organizationId, templateName)
+    }, `Email template restored from version ${version}`);
+
+  } catch (error) {
+    console.error('Restore email template version error:', error);
+    return templateErrorResponse(res, error, 'Failed to restore email template version');
+  }
+};
+
 // ==========================================
 // PUSH NOTIFICATION CONFIGURATION ENDPOINTS
 // ==========================================
@@ -894,6 +1130,507 @@ const getPushStats = async (req, res) => {
   }
 };
 
+// ==========================================
+// PAYMENT PROVIDER CONFIGURATION ENDPOINTS
+// ==========================================
+
+/**
+ * Get payment provider selection for the organization
+ * GET /api/tenant-config/admin/payment
+ * SUPER_ADMIN only
+ */
+const getPaymentConfig = async (req, res) => {
+  try {
+    const orgFilter = getOrganizationFilter(req);
+
+    const organization = await prisma.organization.findFirst({
+      where: { ...orgFilter, isActive: true },
+      select: { id: true, name: true, tenantCode: true, paymentProvider: true }
+    });
+
+    if (!organization) {
+      return errorResponse(res, 'Organization not found', 404);
+    }
+
+    return successResponse(res, {
+      paymentProvider: organization.paymentProvider,
+      activeProvider: PaymentProviderFactory.resolveProviderName(organization),
+      availableProviders: PaymentProviderFactory.getSupportedProviders().map((provider) => ({
+        provider,
+        isConfigured: PaymentProviderFactory.isProviderConfigured(provider)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get payment config error:', error);
+    return errorResponse(res, 'Failed to fetch payment configuration', 500);
+  }
+};
+
+/**
+ * Choose payment provider for the organization (null resets to platform default)
+ * PUT /api/tenant-config/admin/payment
+ * Body: { paymentProvider: 'RAZORPAY' | 'STRIPE' | null }
+ * SUPER_ADMIN only
+ */
+const savePaymentConfig = async (req, res) => {
+  try {
+    const orgFilter = getOrganizationFilter(req);
+    const paymentProvider = req.body.paymentProvider
+      ? String(req.body.paymentProvider).toUpperCase()
+      : null;
+
+    if (paymentProvider && !PaymentProviderFactory.isProviderSupported(paymentProvider)) {
+      return errorResponse(res, `Unsupported payment provider. Supported: ${PaymentProviderFactory.getSupportedProviders().join(', ')}`, 400);
+    }
+
+    if (paymentProvider && !PaymentProviderFactory.isProviderConfigured(paymentProvider)) {
+      return errorResponse(res, `${paymentProvider} is not configured on this platform`, 400);
+    }
+
+    const organization = await prisma.organization.findFirst({
+      where: { ...orgFilter, isActive: true },
+      select: { id: true }
+    });
+
+    if (!organization) {
+      return errorResponse(res, 'Organization not found', 404);
+    }
+
+    const updated = await prisma.organization.update({
+      where: { id: organization.id },
+      data: { paymentProvider, lastUpdatedBy: req.user.id },
+      select: { paymentProvider: true }
+    });
+
+    return successResponse(res, {
+      paymentProvider: updated.paymentProvider,
+      activeProvider: PaymentProviderFactory.resolveProviderName(updated)
+    }, 'Payment provider updated successfully');
+
+  } catch (error) {
+    console.error('Save payment config error:', error);
+    return errorResponse(res, 'Failed to update payment configuration', 500);
+  }
+};
+
+// ==========================================
+// CURRENCY CONFIGURATION ENDPOINTS
+// ==========================================
+
+/**
+ * Get base currency and exchange rates for the organization
+ * GET /api/tenant-config/admin/currency
+ * SUPER_ADMIN only
+ */
+const getCurrencyConfig = async (req, res) => {
+  try {
+    const orgFilter = getOrganizationFilter(req);
+
+    const organization = await prisma.organization.findFirst({
+      where: { ...orgFilter, isActive: true },
+      select: { id: true, baseCurrency: true }
+    });
+
+    if (!organization) {
+      return errorResponse(res, 'Organization not found', 404);
+    }
+
+    const exchangeRates = await CurrencyService.listExchangeRates(organization.id);
+
+    return successResponse(res, {
+      baseCurrency: organization.baseCurrency,
+      supportedCurrencies: getSupportedCurrencies(),
+      // Rates against an earlier base currency are kept for history but no longer used
+      exchangeRates: exchangeRates.filter((rate) => rate.baseCurrency === organization.baseCurrency)
+    });
+
+  } catch (error) {
+    console.error('Get currency config error:', error);
+    return errorResponse(res, 'Failed to fetch currency configuration', 500);
+  }
+};
+
+/**
+ * Set the currency the organization reports in
+ * PUT /api/tenant-config/admin/currency
+ * Body: { baseCurrency: 'INR' | 'USD' | ... }
+ * SUPER_ADMIN only
+ */
+const saveCurrencyConfig = async (req, res) => {
+  try {
+    const orgFilter = getOrganizationFilter(req);
+    const baseCurrency = req.body.baseCurrency
+      ? String(req.body.baseCurrency).toUpperCase()
+      : null;
+
+    if (!baseCurrency || !isSupportedCurrency(baseCurrency)) {
+      return errorResponse(res, `Unsupported currency. Supported: ${getSupportedCurrencies().join(', ')}`, 400);
+    }
+
+    const organization = await prisma.organization.findFirst({
+      where: { ...orgFilter, isActive: true },
+      select: { id: true }
+    });
+
+    if (!organization) {
+      return errorResponse(res, 'Organization not found', 404);
+    }
+
+    const updated = await prisma.organization.update({
+      where: { id: organization.id },
+      data: { baseCurrency, lastUpdatedBy: req.user.id },
+      select: { baseCurrency: true }
+    });
+
+    return successResponse(res, updated, 'Base currency updated successfully');
+
+  } catch (error) {
+    console.error('Save currency config error:', error);
+    return errorResponse(res, 'Failed to update currency configuration', 500);
+  }
+};
+
+/**
+ * Add an exchange rate (1 currency = rate base currency) from a given date
+ * POST /api/tenant-config/admin/exchange-rates
+ * Body: { currency, rate, effectiveFrom?, notes? }
+ * SUPER_ADMIN only
+ */
+const createExchangeRate = async (req, res) => {
+  try {
+    const orgFilter = getOrganizationFilter(req);
+    const { currency, rate, effectiveFrom, notes } = req.body;
+
+    if (!currency || !isSupportedCurrency(String(currency).toUpperCase())) {
+      return errorResponse(res, `Unsupported currency. Supported: ${getSupportedCurrencies().join(', ')}`, 400);
+    }
+
+    if (!(parseFloat(rate) > 0)) {
+      return errorResponse(res, 'Rate must be a positive number', 400);
+    }
+
+    if (effectiveFrom && isNaN(new Date(effectiveFrom).getTime())) {
+      return errorResponse(res, 'Invalid effectiveFrom date', 400);
+    }
+
+    const organization = await prisma.organization.findFirst({
+      where: { ...orgFilter, isActive: true },
+      select: { id: true }
+    });
+
+    if (!organization) {
+      return errorResponse(res, 'Organization not found', 404);
+    }
+
+    const exchangeRate = await CurrencyService.createExchangeRate(
+      organization.id,
+      { currency, rate: parseFloat(rate), effectiveFrom, notes },
+      req.user.id
+    );
+
+    return successResponse(res, { exchangeRate }, 'Exchange rate added successfully', 201);
+
+  } catch (error) {
+    console.error('Create exchange rate error:', error);
+    if (error.message.includes('already the base currency')) {
+      return errorResponse(res, error.message, 400);
+    }
+    return errorResponse(res, 'Failed to add exchange rate', 500);
+  }
+};
+
+/**
+ * Remove an exchange rate
+ * DELETE /api/tenant-config/admin/exchange-rates/:rateId
+ * SUPER_ADMIN only
+ */
+const deleteExchangeRate = async (req, res) => {
+  try {
+    const orgFilter = getOrganizationFilter(req);
+
+    const organization = await prisma.organization.findFirst({
+      where: { ...orgFilter, isActive: true },
+      select: { id: true }
+    });
+
+    if (!organization) {
+      return errorResponse(res, 'Organization not found', 404);
+    }
+
+    await CurrencyService.deleteExchangeRate(organization.id, req.params.rateId);
+
+    return successResponse(res, null, 'Exchange rate deleted successfully');
+
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    if (error.message === 'Exchange rate not found') {
+      return errorResponse(res, error.message, 404);
+    }
+    return errorResponse(res, 'Failed to delete exchange rate', 500);
+  }
+};
+
+// ==========================================
+// SECURITY POLICY ENDPOINTS
+// ==========================================
+
+/**
+ * Get organization security policy and admin 2FA adoption
+ * GET /api/tenant-config/admin/security
+ * SUPER_ADMIN only
+ */
+const getSecurityConfig = async (req, res) => {
+  try {
+    const orgFilter = getOrganizationFilter(req);
+
+    const organization = await prisma.organization.findFirst({
+      where: { ...orgFilter, isActive: true },
+      select: { id: true, requireAdminTwoFactor: true }
+    });
+
+    if (!organization) {
+      return errorResponse(res, 'Organization not found', 404);
+    }
+
+    const admins = await prisma.user.findMany({
+      where: { organizationId: organization.id, role: 'SUPER_ADMIN', isActive: true },
+      select: { id: true, fullName: true, email: true, twoFactorEnabled: true }
+    });
+
+    return successResponse(res, {
+      requireAdminTwoFactor: organization.requireAdminTwoFactor,
+      admins,
+      adminsWithoutTwoFactor: admins.filter((admin) => !admin.twoFactorEnabled).length
+    });
+
+  } catch (error) {
+    console.error('Get security config error:', error);
+    return errorResponse(res, 'Failed to fetch security configuration', 500);
+  }
+};
+
+/**
+ * Enforce (or stop enforcing) TOTP for the organization's super admins
+ * PUT /api/tenant-config/admin/security
+ * Body: { requireAdminTwoFactor: boolean }
+ * SUPER_ADMIN only
+ */
+const saveSecurityConfig = async (req, res) => {
+  try {
+    const orgFilter = getOrganizationFilter(req);
+    const { requireAdminTwoFactor } = req.body;
+
+    if (typeof requireAdminTwoFactor !== 'boolean') {
+      return errorResponse(res, 'requireAdminTwoFactor must be true or false', 400);
+    }
+
+    // Enforcing without being enrolled would block the admin's own sensitive actions
+    if (requireAdminTwoFactor && !req.user.twoFactorEnabled) {
+      return errorResponse(res, 'Enable two-factor authentication on your own account first', 400);
+    }
+
+    const organization = await prisma.organization.findFirst({
+      where: { ...orgFilter, isActive: true },
+      select: { id: true }
+    });
+
+    if (!organization) {
+      return errorResponse(res, 'Organization not found', 404);
+    }
+
+    const updated = await prisma.organization.update({
+      where: { id: organization.id },
+      data: { requireAdminTwoFactor, lastUpdatedBy: req.user.id },
+      select: { requireAdminTwoFactor: true }
+    });
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'security_policy_updated',
+        details: { organizationId: organization.id, requireAdminTwoFactor },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }
+    });
+
+    return successResponse(res, updated, 'Security policy updated successfully');
+
+  } catch (error) {
+    console.error('Save security config error:', error);
+    return errorResponse(res, 'Failed to update security configuration', 500);
+  }
+};
+
+// ==========================================
+// SINGLE SIGN-ON PROVIDER ENDPOINTS
+// ==========================================
+
+const SSO_PROVIDER_TYPES = ['GOOGLE', 'MICROSOFT', 'OIDC'];
+
+// Errors raised while validating issuer / discovery are the admin's to fix
+const isSsoConfigError = (error) => (
+  error.message.includes('Issuer URL') ||
+  error.message.includes('issuer URL') ||
+  error.message.includes('OpenID configuration')
+);
+
+/**
+ * List configured identity providers (client secrets are never returned)
+ * GET /api/tenant-config/admin/sso-providers
+ * SUPER_ADMIN only
+ */
+const getSsoProviders = async (req, res) => {
+  try {
+    const organizationId = await getActiveOrganizationId(req);
+    if (!organizationId) {
+      return errorResponse(res, 'Organization not found', 404);
+    }
+
+    const providers = await SsoService.listProviders(organizationId);
+
+    return successResponse(res, {
+      providers,
+      providerTypes: SSO_PROVIDER_TYPES,
+      redirectUri: config.sso.redirectUri
+    });
+
+  } catch (error) {
+    console.error('Get SSO providers error:', error);
+    return errorResponse(res, 'Failed to fetch SSO providers', 500);
+  }
+};
+
+/**
+ * Add an identity provider
+ * POST /api/tenant-config/admin/sso-providers
+ * Body: { type, clientId, clientSecret, displayName?, issuerUrl? (OIDC), directoryId? (MICROSOFT),
+ *         scopes?, allowSignup?, isActive? }
+ * SUPER_ADMIN only
+ */
+const createSsoProvider = async (req, res) => {
+  try {
+    const { type, clientId, clientSecret, issuerUrl } = req.body;
+
+    if (!SSO_PROVIDER_TYPES.includes(type)) {
+      return errorResponse(res, `Provider type must be one of: ${SSO_PROVIDER_TYPES.join(', ')}`, 400);
+    }
+
+    if (!clientId || !clientSecret) {
+      return errorResponse(res, 'Client ID and client secret are required', 400);
+    }
+
+    if (type === 'OIDC' && !issuerUrl) {
+      return errorResponse(res, 'Issuer URL is required for OIDC providers', 400);
+    }
+
+    const organizationId = await getActiveOrganizationId(req);
+    if (!organizationId) {
+      return errorResponse(res, 'Organization not found', 404);
+    }
+
+    const provider = await SsoService.createProvider(organizationId, req.body, req.user.id);
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'sso_provider_created',
+        details: { organizationId, providerId: provider.id, type, issuerUrl: provider.issuerUrl },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }
+    });
+
+    return successResponse(res, { provider }, 'SSO provider added successfully', 201);
+
+  } catch (error) {
+    console.error('Create SSO provider error:', error);
+    if (isSsoConfigError(error)) {
+      return errorResponse(res, error.message, 400);
+    }
+    return errorResponse(res, 'Failed to add SSO provider', 500);
+  }
+};
+
+/**
+ * Update an identity provider (omit clientSecret to keep the stored one)
+ * PUT /api/tenant-config/admin/sso-providers/:providerId
+ * SUPER_ADMIN only
+ */
+const updateSsoProvider = async (req, res) => {
+  try {
+    const organizationId = await getActiveOrganizationId(req);
+    if (!organizationId) {
+      return errorResponse(res, 'Organization not found', 404);
+    }
+
+    const provider = await SsoService.updateProvider(organizationId, req.params.providerId, req.body);
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'sso_provider_updated',
+        details: {
+          organizationId,
+          providerId: provider.id,
+          fields: Object.keys(req.body).filter((key) => key !== 'clientSecret'),
+          clientSecretChanged: !!req.body.clientSecret
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }
+    });
+
+    return successResponse(res, { provider }, 'SSO provider updated successfully');
+
+  } catch (error) {
+    console.error('Update SSO provider error:', error);
+    if (error.message === 'SSO provider not found') {
+      return errorResponse(res, error.message, 404);
+    }
+    if (isSsoConfigError(error)) {
+      return errorResponse(res, error.message, 400);
+    }
+    return errorResponse(res, 'Failed to update SSO provider', 500);
+  }
+};
+
+/**
+ * Remove an identity provider and its linked identities
+ * DELETE /api/tenant-config/admin/sso-providers/:providerId
+ * SUPER_ADMIN only
+ */
+const deleteSsoProvider = async (req, res) => {
+  try {
+    const organizationId = await getActiveOrganizationId(req);
+    if (!organizationId) {
+      return errorResponse(res, 'Organization not found', 404);
+    }
+
+    await SsoService.deleteProvider(organizationId, req.params.providerId);
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'sso_provider_deleted',
+        details: { organizationId, providerId: req.params.providerId },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }
+    });
+
+    return successResponse(res, null, 'SSO provider deleted successfully');
+
+  } catch (error) {
+    console.error('Delete SSO provider error:', error);
+    if (error.message === 'SSO provider not found') {
+      return errorResponse(res, error.message, 404);
+    }
+    return errorResponse(res, 'Failed to delete SSO provider', 500);
+  }
+};
+
 // ==========================================
 // DEVICE TOKEN MANAGEMENT ENDPOINTS
 // ==========================================
@@ -1028,6 +1765,15 @@ module.exports = {
   deactivateEmailConfig,
   getEmailStats,
 
+  // Email templates
+  getEmailTemplates,
+  getEmailTemplate,
+  saveEmailTemplate,
+  resetEmailTemplate,
+  previewEmailTemplate,
+  getEmailTemplateVersion,
+  restoreEmailTemplateVersion,
+
   // Push notification configuration
   getPushConfig,
   savePushConfig,
@@ -1036,6 +1782,26 @@ module.exports = {
   deactivatePushConfig,
   getPushStats,
 
+  // Payment provider configuration
+  getPaymentConfig,
+  savePaymentConfig,
+
+  // Currency configuration
+  getCurrencyConfig,
+  saveCurrencyConfig,
+  createExchangeRate,
+  deleteExchangeRate,
+
+  // Security policy
+  getSecurityConfig,
+  saveSecurityConfig,
+
+  // Single sign-on providers
+  getSsoProviders,
+  createSsoProvider,
+  updateSsoProvider,
+  deleteSsoProvider,
+
   // Device token management
   registerDeviceToken,
   removeDeviceToken,
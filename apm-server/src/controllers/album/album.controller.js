@@ -2,7 +2,7 @@
 const { prisma } = require('../../config/database');
 const { successResponse, errorResponse, paginatedResponse, getPaginationParams } = require('../../utils/response');
 const PhotoService = require('../../services/PhotoService');
-const { generatePhotoUrl, cleanupUploadedFiles } = require('../../middleware/upload.middleware');
+const { cleanupUploadedFiles } = require('../../middleware/upload.middleware');
 const { cloudflareR2Service } = require('../../services/cloudflare-r2.service');
 const { getTenantFilter, getTenantData } = require('../../utils/tenant.util');
 
@@ -715,12 +715,11 @@ const serveAlbumCover = async (req, res) => {
     // Check if coverImage is a full URL or just a filename
     if (album.coverImage.startsWith('http://') || album.coverImage.startsWith('https://')) {
       // Extract the key from the full R2 URL (same approach as profile pictures)
-      const urlParts = album.coverImage.split('.com/');
-      if (urlParts.length < 2) {
-        console.error('Invalid R2 URL format:', album.coverImage);
+      key = cloudflareR2Service.extractKeyFromUrl(album.coverImage); // e.g., "alumni-portal/album-covers/album_cover_xxx.png"
+      if (!key) {
+        console.error('Invalid storage URL format:', album.coverImage);
         return res.status(400).send('Invalid image URL');
       }
-      key = urlParts[1]; // e.g., "alumni-portal/album-covers/album_cover_xxx.png"
     } else {
       // It's just a filename, prepend the album-covers path
       key = `alumni-portal/album-covers/${album.coverImage}`;
@@ -2,7 +2,7 @@
 const { prisma } = require('../../config/database');
 const { successResponse, errorResponse, paginatedResponse, getPaginationParams } = require('../../utils/response');
 const PhotoService = require('../../services/PhotoService');
-const { generatePhotoUrl, cleanupUploadedFiles, extractPhotoMetadata } = require('../../middleware/upload.middleware');
+const { cleanupUploadedFiles } = require('../../middleware/upload.middleware');
 const { cloudflareR2Service } = require('../../services/cloudflare-r2.service');
 const { getTenantFilter, getTenantData } = require('../../utils/tenant.util');
 
@@ -867,12 +867,11 @@ const servePhoto = async (req, res) => {
     }
     // Fallback: extract from URL
     else if (photo.url && (photo.url.startsWith('http://') || photo.url.startsWith('https://'))) {
-      const urlParts = photo.url.split('.com/');
-      if (urlParts.length >= 2) {
-        key = urlParts[1]; // Extract everything after the domain
+      key = cloudflareR2Service.extractKeyFromUrl(photo.url);
+      if (key) {
         console.log('🔑 Extracted key from URL');
       } else {
-        console.error('❌ Invalid R2 URL format:', photo.url);
+        console.error('❌ Invalid storage URL format:', photo.url);
         return res.status(400).send('Invalid image URL');
       }
     }
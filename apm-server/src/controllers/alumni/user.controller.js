@@ -1,10 +1,10 @@
 // src/controllers/user.controller.js - Enhanced with Profile Edit Validation Integration
-const { PrismaClient } = require("@prisma/client");
-const bcrypt = require("bcryptjs");
+const { prisma } = require("../../config/database");
 const { cloudflareR2Service } = require('../../services/cloudflare-r2.service');
 const { invalidateAllCelebrationCaches } = require('../../middleware/cache/celebration.cache.middleware');
 const { getTenantFilter } = require('../../utils/tenant.util');
-const prisma = new PrismaClient();
+const GeocodingService = require('../../services/lifeLink/geocoding.service');
+const EmailBlacklistService = require('../../services/auth/emailBlacklist.service');
 
 // ==========================================
 // PROFILE MANAGEMENT CONTROLLERS
@@ -88,20 +88,7 @@ const getProfile = async (req, res) => {
 		}
 
 		// Check if user email is blacklisted
-		const blacklistEntry = await prisma.blacklistedEmail.findFirst({
-			where: { 
-				email: user.email.toLowerCase(),
-				isActive: true 
-			},
-			select: {
-				id: true,
-				reason: true,
-				blacklistedAt: true,
-				blacklistedAdmin: {
-					select: { fullName: true }
-				}
-			}
-		});
+		const blacklistEntry = await EmailBlacklistService.findActiveEntry(user.email);
 
 		// Transform addresses to the requested format
 		const transformedAddresses = [];
@@ -221,7 +208,7 @@ const updateProfile = async (req, res) => {
 					}
 					// Ensure it's in ISO format for Prisma
 					updateData.dateOfBirth = date.toISOString();
-				} catch (error) {
+				} catch {
 					console.error("Invalid dateOfBirth format:", updateData.dateOfBirth);
 					delete updateData.dateOfBirth; // Remove invalid date from update
 				}
@@ -639,7 +626,11 @@ const updateAddress = async (req, res) => {
 	try {
 		const userId = req.user.id;
 		const { addressType } = req.params;
-		const addressData = req.body;
+		// Re-locate the address for LifeLink donor proximity (replaces any earlier pin)
+		const addressData = {
+			...req.body,
+			...(await GeocodingService.addressCoordinates(req.body)),
+		};
 
 		const address = await prisma.userAddress.upsert({
 			where: {
@@ -1398,7 +1389,7 @@ const getMyEventRegistrations = async (req, res) => {
 						provider: true,
 						status: true,
 						amount: true,
-						razorpayOrderId: true,
+						providerOrderData: true,
 						createdAt: true
 					}
 				}
@@ -1501,12 +1492,11 @@ const serveProfilePicture = async (req, res) => {
 		// Check if profileImage is a full URL or just a filename
 		if (user.profileImage.startsWith('http://') || user.profileImage.startsWith('https://')) {
 			// Extract the key from the full R2 URL
-			const urlParts = user.profileImage.split('.com/');
-			if (urlParts.length < 2) {
-				console.error('Invalid R2 URL format:', user.profileImage);
+			key = cloudflareR2Service.extractKeyFromUrl(user.profileImage); // e.g., "tenants/JAAJTEST/profile-pictures/profile_xxx.png"
+			if (!key) {
+				console.error('Invalid storage URL format:', user.profileImage);
 				return res.status(400).send('Invalid image URL');
 			}
-			key = urlParts[1]; // e.g., "tenants/JAAJTEST/profile-pictures/profile_xxx.png"
 		} else {
 			// It's just a filename, prepend the profile-pictures path
 			key = `alumni-portal/profile-pictures/${user.profileImage}`;
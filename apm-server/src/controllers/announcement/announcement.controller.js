@@ -1,8 +1,7 @@
 // src/controllers/announcement/announcement.controller.js
 // System Announcements Controller - CRUD operations for admin announcements
 
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const { prisma } = require('../../config/database');
 const { successResponse, errorResponse } = require('../../utils/response');
 const { getTenantFilter, getTenantId } = require('../../utils/tenant.util');
 const { NotificationService } = require('../../services/notification.service');
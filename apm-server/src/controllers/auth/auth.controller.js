@@ -4,32 +4,17 @@
 // ==========================================
 
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { prisma } = require('../../config/database');
 const config = require('../../config');
 const { successResponse, errorResponse } = require('../../utils/response');
-const SerialIdService = require('../../services/serialID.service');
 const NotificationService = require('../../services/notification.service');
 const tenantEmailManager = require('../../services/email/TenantEmailManager');
 const { getTenantId, getTenantCode, getOrganizationName, getRequiredTenantId } = require('../../utils/tenant.util');
+const TwoFactorService = require('../../services/auth/twoFactor.service');
+const SessionService = require('../../services/auth/session.service');
+const EmailBlacklistService = require('../../services/auth/emailBlacklist.service');
 
-// Generate JWT tokens (UNCHANGED)
-const generateTokens = (userId) => {
-  const accessToken = jwt.sign(
-    { userId, type: 'access' },
-    config.jwt.secret,
-    { expiresIn: config.jwt.expiresIn }
-  );
-  
-  const refreshToken = jwt.sign(
-    { userId, type: 'refresh' },
-    config.jwt.refreshSecret,
-    { expiresIn: config.jwt.refreshExpiresIn }
-  );
-  
-  return { accessToken, refreshToken };
-};
 
 // ==========================================
 // UPDATED REGISTRATION WITH ALUMNI VERIFICATION
@@ -74,20 +59,7 @@ const register = async (req, res) => {
     // NEW: CHECK EMAIL BLACKLIST
     // ==========================================
     
-    const blacklistedEmail = await prisma.blacklistedEmail.findFirst({
-      where: { 
-        email: email.toLowerCase(),
-        isActive: true 
-      },
-      select: {
-        id: true,
-        reason: true,
-        blacklistedAt: true,
-        blacklistedAdmin: {
-          select: { fullName: true }
-        }
-      }
-    });
+    const blacklistedEmail = await EmailBlacklistService.findActiveEntry(email);
     
     if (blacklistedEmail) {
       // Log blacklist attempt
@@ -150,7 +122,7 @@ const register = async (req, res) => {
     
     const result = await prisma.$transaction(async (prismaTransaction) => {
       // Create or update batch record (enhanced)
-      const batchRecord = await prismaTransaction.batch.upsert({
+      await prismaTransaction.batch.upsert({
         where: { year: finalPassoutYear }, // Use passout year as main identifier
         update: { 
           totalMembers: { increment: 1 }
@@ -259,8 +231,8 @@ const register = async (req, res) => {
       // Don't fail registration if email fails
     }
     
-    // Generate tokens (same as before)
-    const { accessToken, refreshToken } = generateTokens(result.id);
+    // Start a server-side session (refresh-token family)
+    const { accessToken, refreshToken } = await SessionService.createSession(result.id, req, 'registration');
     
     // ==========================================
     // ENHANCED ACTIVITY LOG
@@ -314,6 +286,46 @@ const register = async (req, res) => {
 // ENHANCED LOGIN WITH VERIFICATION STATUS
 // ==========================================
 
+// Fields loaded for the password and 2FA login steps
+const LOGIN_USER_SELECT = {
+  id: true,
+  email: true,
+  passwordHash: true,
+  fullName: true,
+  batch: true,
+  admissionYear: true,
+  passoutYear: true,
+  bio: true,
+  employmentStatus: true,
+  role: true,
+  isActive: true,
+  isEmailVerified: true,
+  emailVerifyToken: true, // Added for auto-sending verification emails
+
+  // NEW: Alumni verification fields
+  isAlumniVerified: true,
+  pendingVerification: true,
+  isRejected: true,
+  rejectionReason: true,
+
+  serialId: true,
+  deactivatedAt: true,
+
+  // MULTI-ORG: Include organization info
+  organizationId: true,
+  organization: {
+    select: {
+      id: true,
+      name: true,
+      tenantCode: true,
+      logoUrl: true
+    }
+  },
+
+  // Second factor (secrets are never selected here)
+  twoFactorEnabled: true,
+};
+
 const login = async (req, res) => {
   const { email, password, organizationId: requestedOrgId } = req.body;
 
@@ -373,41 +385,7 @@ const login = async (req, res) => {
           organizationId: targetOrgId
         }
       },
-      select: {
-        id: true,
-        email: true,
-        passwordHash: true,
-        fullName: true,
-        batch: true,
-        admissionYear: true,
-        passoutYear: true,
-        bio: true,
-        employmentStatus: true,
-        role: true,
-        isActive: true,
-        isEmailVerified: true,
-        emailVerifyToken: true, // Added for auto-sending verification emails
-
-        // NEW: Alumni verification fields
-        isAlumniVerified: true,
-        pendingVerification: true,
-        isRejected: true,
-        rejectionReason: true,
-
-        serialId: true,
-        deactivatedAt: true,
-
-        // MULTI-ORG: Include organization info
-        organizationId: true,
-        organization: {
-          select: {
-            id: true,
-            name: true,
-            tenantCode: true,
-            logoUrl: true
-          }
-        }
-      },
+      select: LOGIN_USER_SELECT,
     });
 
     if (!user) {
@@ -430,20 +408,7 @@ const login = async (req, res) => {
     // CHECK EMAIL BLACKLIST STATUS
     // ==========================================
     
-    const blacklistedEmail = await prisma.blacklistedEmail.findFirst({
-      where: { 
-        email: email.toLowerCase(),
-        isActive: true 
-      },
-      select: {
-        id: true,
-        reason: true,
-        blacklistedAt: true,
-        blacklistedAdmin: {
-          select: { fullName: true }
-        }
-      }
-    });
+    const blacklistedEmail = await EmailBlacklistService.findActiveEntry(email);
     
     if (blacklistedEmail) {
       // Log blacklist login attempt
@@ -454,7 +419,7 @@ const login = async (req, res) => {
           details: {
             email: email.toLowerCase(),
             blacklistReason: blacklistedEmail.reason,
-            blacklistedBy: blacklistedEmail.blacklistedAdmin.fullName,
+            blacklistedBy: blacklistedEmail.blacklistedAdmin?.fullName,
             blacklistedAt: blacklistedEmail.blacklistedAt
           },
           ipAddress: req.ip,
@@ -531,62 +496,19 @@ const login = async (req, res) => {
       });
     }
     
-    // Generate tokens (same as before)
-    const { accessToken, refreshToken } = generateTokens(user.id);
-    
-    // Update last login (same as before)
-    await prisma.user.update({
-      where: { id: user.id },
-      data: { lastLoginAt: new Date() },
-    });
-    
     // ==========================================
-    // ENHANCED ACTIVITY LOG
+    // TWO-FACTOR CHALLENGE (tokens issued by /2fa/login)
     // ==========================================
     
-    await prisma.activityLog.create({
-      data: {
-        userId: user.id,
-        action: 'user_login',
-        details: {
-          email: user.email,
-          verificationStatus: {
-            isAlumniVerified: user.isAlumniVerified,
-            pendingVerification: user.pendingVerification,
-            isRejected: user.isRejected
-          }
-        },
-        ipAddress: req.ip,
-        userAgent: req.get('User-Agent'),
-      },
-    });
-    
-    // Remove password hash from response
-    delete user.passwordHash;
+    if (user.twoFactorEnabled) {
+      return successResponse(res, {
+        twoFactorRequired: true,
+        challengeToken: TwoFactorService.createChallengeToken(user.id),
+        email: user.email
+      }, 'Two-factor authentication required');
+    }
     
-    // ==========================================
-    // ENHANCED RESPONSE WITH VERIFICATION STATUS (Allow login for all users)
-    // ==========================================
-    
-    return successResponse(res, {
-      user,
-      tokens: {
-        accessToken,
-        refreshToken,
-      },
-      verificationStatus: {
-        isAlumniVerified: user.isAlumniVerified,
-        pendingVerification: user.pendingVerification,
-        isRejected: user.isRejected,
-        rejectionReason: user.rejectionReason,
-        hasSerialId: !!user.serialId,
-        message: user.isAlumniVerified 
-          ? 'Welcome back!' 
-          : user.isRejected 
-            ? 'Your alumni verification was not approved. Contact admin for more information.'
-            : 'Your alumni verification is pending approval.'
-      }
-    }, 'Login successful');
+    return issueLoginSession(req, res, user);
     
   } catch (error) {
     console.error('Login error:', error);
@@ -594,6 +516,134 @@ const login = async (req, res) => {
   }
 };
 
+// Final login step shared by password, 2FA and SSO logins
+// twoFactor: { method, recoveryCodesRemaining } when a second factor was checked
+// authMethod: recorded on the session shown in the user's device list
+const issueLoginSession = async (req, res, user, { twoFactor = null, authMethod = 'password' } = {}) => {
+  const { accessToken, refreshToken } = await SessionService.createSession(
+    user.id,
+    req,
+    twoFactor ? 'two_factor' : authMethod
+  );
+  
+  // Update last login (same as before)
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { lastLoginAt: new Date() },
+  });
+  
+  // ==========================================
+  // ENHANCED ACTIVITY LOG
+  // ==========================================
+  
+  await prisma.activityLog.create({
+    data: {
+      userId: user.id,
+      action: 'user_login',
+      details: {
+        email: user.email,
+        ...(twoFactor && { twoFactorMethod: twoFactor.method }),
+        verificationStatus: {
+          isAlumniVerified: user.isAlumniVerified,
+          pendingVerification: user.pendingVerification,
+          isRejected: user.isRejected
+        }
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+    },
+  });
+  
+  // Remove password hash from response
+  delete user.passwordHash;
+  
+  // ==========================================
+  // ENHANCED RESPONSE WITH VERIFICATION STATUS (Allow login for all users)
+  // ==========================================
+  
+  // Policy may require enrollment before sensitive actions are allowed
+  const twoFactorEnrollmentRequired = !user.twoFactorEnabled && await TwoFactorService.isRequired(user);
+  
+  return successResponse(res, {
+    user,
+    tokens: {
+      accessToken,
+      refreshToken,
+    },
+    twoFactorEnrollmentRequired,
+    ...(twoFactor && { twoFactor }),
+    verificationStatus: {
+      isAlumniVerified: user.isAlumniVerified,
+      pendingVerification: user.pendingVerification,
+      isRejected: user.isRejected,
+      rejectionReason: user.rejectionReason,
+      hasSerialId: !!user.serialId,
+      message: user.isAlumniVerified 
+        ? 'Welcome back!' 
+        : user.isRejected 
+          ? 'Your alumni verification was not approved. Contact admin for more information.'
+          : 'Your alumni verification is pending approval.'
+    }
+  }, 'Login successful');
+};
+
+// ==========================================
+// TWO-FACTOR LOGIN STEP
+// ==========================================
+
+/**
+ * Exchange a login challenge and authenticator (or recovery) code for tokens
+ * POST /api/auth/2fa/login
+ * Body: { challengeToken, code }
+ */
+const verifyTwoFactorLogin = async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  if (!challengeToken || !code) {
+    return errorResponse(res, 'Challenge token and code are required', 400);
+  }
+
+  let userId;
+  try {
+    userId = TwoFactorService.verifyChallengeToken(challengeToken);
+  } catch {
+    return errorResponse(res, 'Login challenge is invalid or has expired. Please sign in again.', 401);
+  }
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: LOGIN_USER_SELECT
+    });
+
+    if (!user || !user.isActive) {
+      return errorResponse(res, 'Account is deactivated', 403);
+    }
+
+    let twoFactor;
+    try {
+      twoFactor = await TwoFactorService.verify(user.id, code);
+    } catch (error) {
+      await prisma.activityLog.create({
+        data: {
+          userId: user.id,
+          action: 'two_factor_login_failed',
+          details: { email: user.email, reason: error.message },
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+        },
+      });
+      return errorResponse(res, error.message, error.statusCode || 401);
+    }
+
+    return issueLoginSession(req, res, user, { twoFactor });
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    return errorResponse(res, 'Login failed', 500);
+  }
+};
+
 // ==========================================
 // ENHANCED GET CURRENT USER
 // ==========================================
@@ -625,6 +675,7 @@ const getCurrentUser = async (req, res) => {
         rejectedAt: true,
         
         serialId: true,           // NEW
+        twoFactorEnabled: true,
         
         lastLoginAt: true,
         createdAt: true,
@@ -933,22 +984,8 @@ const refreshToken = async (req, res) => {
   }
   
   try {
-    const decoded = jwt.verify(refreshToken, config.jwt.refreshSecret);
-    
-    if (decoded.type !== 'refresh') {
-      return errorResponse(res, 'Invalid token type', 401);
-    }
-    
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: { id: true, isActive: true }
-    });
-    
-    if (!user || !user.isActive) {
-      return errorResponse(res, 'User not found or inactive', 401);
-    }
-    
-    const { accessToken, refreshToken: newRefreshToken } = generateTokens(user.id);
+    // Rotates the refresh token; a replayed old token revokes the whole session
+    const { accessToken, refreshToken: newRefreshToken } = await SessionService.rotate(refreshToken, req);
     
     return successResponse(res, {
       accessToken,
@@ -956,19 +993,28 @@ const refreshToken = async (req, res) => {
     }, 'Token refreshed successfully');
     
   } catch (error) {
+    if (error.statusCode === 401) {
+      return errorResponse(res, error.message, 401, { code: error.code });
+    }
     console.error('Refresh token error:', error);
-    return errorResponse(res, 'Invalid or expired refresh token', 401);
+    return errorResponse(res, 'Failed to refresh token', 500);
   }
 };
 
 const logout = async (req, res) => {
   try {
+    // End this device's session so its refresh token stops working
+    if (req.user.sessionId) {
+      await SessionService.revokeSession(req.user.sessionId, 'logout', { userId: req.user.id });
+    }
+    
     // Log the logout activity
     await prisma.activityLog.create({
       data: {
         userId: req.user.id,
         action: 'user_logout',
         details: {
+          sessionId: req.user.sessionId || null,
           loggedOutAt: new Date().toISOString()
         },
         ipAddress: req.ip,
@@ -1019,20 +1065,31 @@ const changePassword = async (req, res) => {
       },
     });
     
+    // Sign out every device (including this one) and hand this device a fresh session
+    const revokedSessions = await SessionService.revokeAllSessions(user.id, 'password_changed');
+    const tokens = await SessionService.createSession(user.id, req, 'password');
+    
     // Log the password change
     await prisma.activityLog.create({
       data: {
         userId: user.id,
         action: 'password_changed',
         details: {
-          changedAt: new Date().toISOString()
+          changedAt: new Date().toISOString(),
+          revokedSessions
         },
         ipAddress: req.ip,
         userAgent: req.get('User-Agent'),
       },
     });
     
-    return successResponse(res, null, 'Password changed successfully');
+    return successResponse(res, {
+      tokens: {
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken
+      },
+      revokedSessions
+    }, 'Password changed successfully. Other devices have been signed out.');
     
   } catch (error) {
     console.error('Change password error:', error);
@@ -1243,6 +1300,9 @@ const resetPassword = async (req, res) => {
       }
     });
     
+    // Whoever knew the old password is signed out everywhere
+    await SessionService.revokeAllSessions(user.id, 'password_reset');
+    
     // Log the password reset
     await prisma.activityLog.create({
       data: {
@@ -1602,6 +1662,8 @@ const deactivateAccount = async (req, res) => {
       }
     });
 
+    const revokedSessions = await SessionService.revokeAllSessions(user.id, 'account_deactivated');
+
     // Log the deactivation
     await prisma.activityLog.create({
       data: {
@@ -1610,7 +1672,8 @@ const deactivateAccount = async (req, res) => {
         details: {
           email: user.email,
           deactivatedAt: new Date().toISOString(),
-          selfDeactivated: true
+          selfDeactivated: true,
+          revokedSessions
         },
         ipAddress: req.ip,
         userAgent: req.get('User-Agent'),
@@ -1841,13 +1904,11 @@ const verifyReactivation = async (req, res) => {
         batch: true,
         isAlumniVerified: true,
         pendingVerification: true,
-        isActive: true
+        isActive: true,
+        twoFactorEnabled: true
       }
     });
 
-    // Generate tokens for auto-login
-    const { accessToken, refreshToken } = generateTokens(updatedUser.id);
-
     // Log the reactivation
     await prisma.activityLog.create({
       data: {
@@ -1862,6 +1923,18 @@ const verifyReactivation = async (req, res) => {
       },
     });
 
+    // An emailed OTP is not a second factor; finish sign-in via /2fa/login
+    if (updatedUser.twoFactorEnabled) {
+      return successResponse(res, {
+        user: updatedUser,
+        twoFactorRequired: true,
+        challengeToken: TwoFactorService.createChallengeToken(updatedUser.id)
+      }, 'Account reactivated successfully! Enter your authenticator code to continue.');
+    }
+
+    // Start a session for auto-login
+    const { accessToken, refreshToken } = await SessionService.createSession(updatedUser.id, req, 'reactivation');
+
     return successResponse(res, {
       user: updatedUser,
       tokens: { accessToken, refreshToken }
@@ -2050,6 +2123,7 @@ const getOrganizationByCode = async (req, res) => {
 module.exports = {
   register,                    // ✅ UPDATED
   login,                       // ✅ UPDATED
+  verifyTwoFactorLogin,
   getCurrentUser,              // ✅ UPDATED
   refreshToken,                // ✅ IMPLEMENTED
   logout,                      // ✅ IMPLEMENTED
@@ -2072,5 +2146,8 @@ module.exports = {
   getOrganizationByCode,       // ✅ NEW - For manual org code entry
 
   // Helper exports
-  sendVerificationNotifications // ✅ NEW (will be used by verification controller)
+  sendVerificationNotifications, // ✅ NEW (will be used by verification controller)
+  sendNewRegistrationNotifications,
+  issueLoginSession,
+  LOGIN_USER_SELECT
 };
\ No newline at end of file
@@ -0,0 +1,90 @@
+// ==========================================
+// SESSION CONTROLLER
+// File: apm-server/src/controllers/auth/session.controller.js
+// "My active devices": list and sign out login sessions
+// ==========================================
+
+const { prisma } = require('../../config/database');
+const { successResponse, errorResponse } = require('../../utils/response');
+const SessionService = require('../../services/auth/session.service');
+
+const logSessionActivity = async (req, action, details = {}) => {
+  try {
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action,
+        details,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+      },
+    });
+  } catch (error) {
+    console.error('Failed to log session activity:', error);
+  }
+};
+
+/**
+ * List devices currently signed in to this account
+ * GET /api/auth/sessions
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await SessionService.listActiveSessions(req.user.id, req.user.sessionId);
+    return successResponse(res, { sessions, currentSessionId: req.user.sessionId });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    return errorResponse(res, 'Failed to fetch active sessions', 500);
+  }
+};
+
+/**
+ * Sign out one device
+ * DELETE /api/auth/sessions/:sessionId
+ */
+const revokeSession = async (req, res) => {
+  const { sessionId } = req.params;
+
+  try {
+    const revoked = await SessionService.revokeSession(sessionId, 'user_revoked', { userId: req.user.id });
+
+    if (!revoked) {
+      return errorResponse(res, 'Session not found or already signed out', 404);
+    }
+
+    await logSessionActivity(req, 'session_revoked', {
+      sessionId,
+      currentSession: sessionId === req.user.sessionId
+    });
+
+    return successResponse(res, null, 'Device signed out');
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    return errorResponse(res, 'Failed to sign out device', 500);
+  }
+};
+
+/**
+ * Sign out every device except the one making the request
+ * POST /api/auth/sessions/revoke-others
+ */
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const revokedSessions = await SessionService.revokeAllSessions(req.user.id, 'user_revoked', {
+      exceptSessionId: req.user.sessionId
+    });
+
+    await logSessionActivity(req, 'sessions_revoked_others', { revokedSessions });
+
+    return successResponse(res, { revokedSessions }, 'Other devices signed out');
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    return errorResponse(res, 'Failed to sign out other devices', 500);
+  }
+};
+
+module.exports = {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions
+};
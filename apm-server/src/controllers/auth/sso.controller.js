@@ -0,0 +1,308 @@
+// ==========================================
+// SINGLE SIGN-ON CONTROLLER
+// File: apm-server/src/controllers/auth/sso.controller.js
+// OpenID Connect login against the organization's configured identity providers
+// ==========================================
+
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { prisma } = require('../../config/database');
+const config = require('../../config');
+const { successResponse, errorResponse } = require('../../utils/response');
+const { getRequiredTenantId } = require('../../utils/tenant.util');
+const SsoService = require('../../services/auth/sso.service');
+const TwoFactorService = require('../../services/auth/twoFactor.service');
+const EmailBlacklistService = require('../../services/auth/emailBlacklist.service');
+const {
+  issueLoginSession,
+  sendNewRegistrationNotifications,
+  LOGIN_USER_SELECT
+} = require('./auth.controller');
+
+const logSsoActivity = async (req, userId, action, details = {}) => {
+  try {
+    await prisma.activityLog.create({
+      data: {
+        userId,
+        action,
+        details,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+      },
+    });
+  } catch (error) {
+    console.error('Failed to log SSO activity:', error);
+  }
+};
+
+// Same final step as password login: 2FA challenge when enabled, otherwise tokens
+const completeSsoLogin = async (req, res, userId, provider) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: LOGIN_USER_SELECT
+  });
+
+  if (!user || !user.isActive) {
+    return errorResponse(res, 'Account is deactivated', 403);
+  }
+
+  if (await EmailBlacklistService.isEmailBlacklisted(user.email)) {
+    await logSsoActivity(req, user.id, 'blacklisted_login_attempt', { email: user.email, via: 'sso' });
+    return errorResponse(res, 'This account is not eligible for access. Please contact support if you believe this is an error.', 403, {
+      accountBlacklisted: true,
+      contactSupport: true
+    });
+  }
+
+  await logSsoActivity(req, user.id, 'sso_login', { providerId: provider.id, providerType: provider.type });
+
+  if (user.twoFactorEnabled) {
+    return successResponse(res, {
+      twoFactorRequired: true,
+      challengeToken: TwoFactorService.createChallengeToken(user.id),
+      email: user.email
+    }, 'Two-factor authentication required');
+  }
+
+  return issueLoginSession(req, res, user, { authMethod: 'sso' });
+};
+
+/**
+ * Sign-in buttons for the current organization
+ * GET /api/auth/sso/providers
+ */
+const getProviders = async (req, res) => {
+  let tenantId;
+  try {
+    tenantId = getRequiredTenantId(req);
+  } catch (tenantError) {
+    return errorResponse(res, tenantError.message, tenantError.status || 400);
+  }
+
+  try {
+    const providers = await SsoService.listActiveProviders(tenantId);
+    return successResponse(res, { providers });
+  } catch (error) {
+    console.error('Get SSO providers error:', error);
+    return errorResponse(res, 'Failed to fetch sign-in options', 500);
+  }
+};
+
+/**
+ * Start sign-in: returns the identity provider URL to redirect the browser to
+ * GET /api/auth/sso/:providerId/authorize
+ */
+const authorize = async (req, res) => {
+  let tenantId;
+  try {
+    tenantId = getRequiredTenantId(req);
+  } catch (tenantError) {
+    return errorResponse(res, tenantError.message, tenantError.status || 400);
+  }
+
+  try {
+    const authorizationUrl = await SsoService.createAuthorizationUrl(tenantId, req.params.providerId);
+    return successResponse(res, { authorizationUrl });
+  } catch (error) {
+    console.error('SSO authorize error:', error);
+    if (error.message === 'SSO provider not found') {
+      return errorResponse(res, error.message, 404);
+    }
+    return errorResponse(res, 'Could not reach the identity provider', 502);
+  }
+};
+
+/**
+ * Finish sign-in with the code the identity provider sent back to the frontend
+ * POST /api/auth/sso/callback
+ * Body: { code, state }
+ */
+const callback = async (req, res) => {
+  const { code, state } = req.body;
+
+  if (!code || !state) {
+    return errorResponse(res, 'Authorization code and state are required', 400);
+  }
+
+  let identity;
+  try {
+    identity = await SsoService.completeAuthorization(code, state);
+  } catch (error) {
+    console.error('SSO callback error:', error.message);
+    return errorResponse(res, error.message || 'Single sign-on failed', 401);
+  }
+
+  try {
+    const userId = await SsoService.findOrLinkUser(identity);
+
+    if (userId) {
+      return completeSsoLogin(req, res, userId, identity.provider);
+    }
+
+    if (await EmailBlacklistService.isEmailBlacklisted(identity.email)) {
+      return errorResponse(res, 'This email is not eligible for registration. If you believe this is an error, please contact the administration.', 403, {
+        blacklisted: true,
+        contactAdmin: true
+      });
+    }
+
+    if (!identity.provider.allowSignup) {
+      return errorResponse(res, 'No account exists for this email. Please contact the administration.', 403, {
+        accountNotFound: true
+      });
+    }
+
+    // New alumni still choose their batch before the account is created
+    return successResponse(res, {
+      registrationRequired: true,
+      registrationToken: SsoService.createRegistrationToken(identity),
+      profile: {
+        email: identity.email,
+        fullName: identity.fullName
+      }
+    }, 'Complete your registration to continue');
+  } catch (error) {
+    console.error('SSO login error:', error);
+    return errorResponse(res, 'Single sign-on failed', 500);
+  }
+};
+
+/**
+ * Create an account for a verified SSO identity
+ * POST /api/auth/sso/register
+ * Body: { registrationToken, batch, fullName? }
+ */
+const register = async (req, res) => {
+  const { registrationToken, batch, fullName } = req.body;
+
+  if (!registrationToken || !batch) {
+    return errorResponse(res, 'Registration token and batch passout year are required', 400);
+  }
+
+  let identity;
+  try {
+    identity = SsoService.verifyRegistrationToken(registrationToken);
+  } catch {
+    return errorResponse(res, 'Registration session is invalid or has expired. Please sign in again.', 401);
+  }
+
+  const batchNum = parseInt(batch);
+  if (isNaN(batchNum) || batchNum < 1950 || batchNum > new Date().getFullYear() + 10) {
+    return errorResponse(res, 'Invalid batch passout year', 400);
+  }
+
+  const name = (fullName || identity.fullName || '').trim();
+  if (!name) {
+    return errorResponse(res, 'Full name is required', 400);
+  }
+
+  try {
+    const provider = await prisma.organizationSsoProvider.findFirst({
+      where: { id: identity.providerId, organizationId: identity.organizationId, isActive: true }
+    });
+
+    if (!provider || !provider.allowSignup) {
+      return errorResponse(res, 'Registration through this provider is not available', 403);
+    }
+
+    if (await EmailBlacklistService.isEmailBlacklisted(identity.email)) {
+      return errorResponse(res, 'This email is not eligible for registration. If you believe this is an error, please contact the administration.', 403, {
+        blacklisted: true,
+        contactAdmin: true
+      });
+    }
+
+    // SSO users never sign in with a password; they can set one via forgot-password
+    const passwordHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), config.bcrypt.rounds);
+
+    const result = await prisma.$transaction(async (prismaTransaction) => {
+      await prismaTransaction.batch.upsert({
+        where: { year: batchNum },
+        update: {
+          totalMembers: { increment: 1 }
+        },
+        create: {
+          year: batchNum,
+          name: `Class of ${batchNum}`,
+          totalMembers: 1,
+          admissionYear: null,
+          passoutYear: batchNum,
+          batchDisplayName: `Class of ${batchNum}`
+        },
+      });
+
+      const user = await prismaTransaction.user.create({
+        data: {
+          email: identity.email,
+          passwordHash,
+          fullName: name,
+          role: 'USER',
+          batch: batchNum,
+          admissionYear: null,
+          passoutYear: batchNum,
+          // The identity provider has verified the address
+          isEmailVerified: true,
+          isAlumniVerified: false,
+          pendingVerification: true,
+          isRejected: false,
+          organizationId: identity.organizationId,
+        },
+        select: {
+          id: true,
+          email: true,
+          fullName: true,
+          batch: true,
+          admissionYear: true,
+          passoutYear: true,
+          role: true,
+          isEmailVerified: true,
+          isAlumniVerified: true,
+          pendingVerification: true,
+          serialId: true,
+          serialCounter: true,
+          createdAt: true,
+        },
+      });
+
+      await prismaTransaction.userSsoIdentity.create({
+        data: {
+          userId: user.id,
+          providerId: provider.id,
+          subject: identity.subject,
+          email: identity.email,
+          lastLoginAt: new Date()
+        }
+      });
+
+      return user;
+    });
+
+    await sendNewRegistrationNotifications(result);
+
+    await logSsoActivity(req, result.id, 'user_register', {
+      email: result.email,
+      batch: result.batch,
+      passoutYear: result.passoutYear,
+      pendingVerification: true,
+      via: 'sso',
+      providerType: provider.type
+    });
+
+    return completeSsoLogin(req, res, result.id, provider);
+  } catch (error) {
+    console.error('SSO registration error:', error);
+
+    if (error.code === 'P2002') {
+      return errorResponse(res, 'An account with this email or identity already exists', 409);
+    }
+
+    return errorResponse(res, 'Registration failed', 500);
+  }
+};
+
+module.exports = {
+  getProviders,
+  authorize,
+  callback,
+  register
+};
@@ -0,0 +1,202 @@
+// ==========================================
+// TWO-FACTOR AUTHENTICATION CONTROLLER
+// File: apm-server/src/controllers/auth/twoFactor.controller.js
+// TOTP enrollment, recovery codes and step-up for admins and developers
+// ==========================================
+
+const bcrypt = require('bcryptjs');
+const { prisma } = require('../../config/database');
+const { successResponse, errorResponse } = require('../../utils/response');
+const TwoFactorService = require('../../services/auth/twoFactor.service');
+
+const logTwoFactorActivity = async (req, action, details = {}) => {
+  try {
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action,
+        details,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+      },
+    });
+  } catch (error) {
+    console.error('Failed to log 2FA activity:', error);
+  }
+};
+
+/**
+ * Get 2FA status for the current user
+ * GET /api/auth/2fa/status
+ */
+const getStatus = async (req, res) => {
+  try {
+    const status = await TwoFactorService.getStatus(req.user.id);
+    return successResponse(res, status);
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    return errorResponse(res, 'Failed to fetch two-factor status', 500);
+  }
+};
+
+/**
+ * Start enrollment: returns the secret and a QR code for the authenticator app
+ * POST /api/auth/2fa/setup
+ */
+const setup = async (req, res) => {
+  try {
+    const enrollment = await TwoFactorService.beginEnrollment(req.user.id);
+    return successResponse(res, enrollment, 'Scan the QR code with your authenticator app, then confirm with a code');
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    if (error.message.includes('only available') || error.message.includes('already enabled')) {
+      return errorResponse(res, error.message, 400);
+    }
+    return errorResponse(res, 'Failed to start two-factor setup', 500);
+  }
+};
+
+/**
+ * Confirm enrollment with the first code; returns one-time recovery codes
+ * POST /api/auth/2fa/enable
+ * Body: { code }
+ */
+const enable = async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return errorResponse(res, 'Verification code is required', 400);
+  }
+
+  try {
+    const recoveryCodes = await TwoFactorService.confirmEnrollment(req.user.id, code);
+
+    await logTwoFactorActivity(req, 'two_factor_enabled');
+
+    return successResponse(res, {
+      recoveryCodes,
+      stepUpToken: TwoFactorService.createStepUpToken(req.user.id)
+    }, 'Two-factor authentication enabled. Store your recovery codes somewhere safe.');
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    if (error.statusCode === 429) {
+      return errorResponse(res, error.message, 429);
+    }
+    return errorResponse(res, error.message || 'Failed to enable two-factor authentication', 400);
+  }
+};
+
+/**
+ * Turn 2FA off (password and a current code required)
+ * POST /api/auth/2fa/disable
+ * Body: { password, code }
+ */
+const disable = async (req, res) => {
+  const { password, code } = req.body;
+
+  if (!password || !code) {
+    return errorResponse(res, 'Password and verification code are required', 400);
+  }
+
+  try {
+    if (await TwoFactorService.isRequired(req.user)) {
+      return errorResponse(res, 'Your organization requires two-factor authentication for this account', 403);
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { passwordHash: true }
+    });
+
+    const isPasswordValid = await bcrypt.compare(password, user.passwordHash);
+    if (!isPasswordValid) {
+      return errorResponse(res, 'Current password is incorrect', 400);
+    }
+
+    try {
+      await TwoFactorService.verify(req.user.id, code);
+    } catch (error) {
+      return errorResponse(res, error.message, error.statusCode || 400);
+    }
+
+    await TwoFactorService.disable(req.user.id);
+    await logTwoFactorActivity(req, 'two_factor_disabled');
+
+    return successResponse(res, null, 'Two-factor authentication disabled');
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    return errorResponse(res, 'Failed to disable two-factor authentication', 500);
+  }
+};
+
+/**
+ * Replace all recovery codes (a current code is required)
+ * POST /api/auth/2fa/recovery-codes
+ * Body: { code }
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return errorResponse(res, 'Verification code is required', 400);
+  }
+
+  try {
+    try {
+      await TwoFactorService.verify(req.user.id, code);
+    } catch (error) {
+      return errorResponse(res, error.message, error.statusCode || 400);
+    }
+
+    const recoveryCodes = await TwoFactorService.regenerateRecoveryCodes(req.user.id);
+    await logTwoFactorActivity(req, 'two_factor_recovery_codes_regenerated');
+
+    return successResponse(res, { recoveryCodes }, 'New recovery codes generated. Previous codes no longer work.');
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    return errorResponse(res, 'Failed to regenerate recovery codes', 500);
+  }
+};
+
+/**
+ * Re-confirm identity before a sensitive action
+ * POST /api/auth/2fa/step-up
+ * Body: { code }
+ * Returns a short-lived token to send as X-Step-Up-Token
+ */
+const stepUp = async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return errorResponse(res, 'Verification code is required', 400);
+  }
+
+  try {
+    const result = await TwoFactorService.verify(req.user.id, code);
+
+    await logTwoFactorActivity(req, 'two_factor_step_up', { method: result.method });
+
+    return successResponse(res, {
+      stepUpToken: TwoFactorService.createStepUpToken(req.user.id),
+      recoveryCodesRemaining: result.recoveryCodesRemaining
+    }, 'Identity confirmed');
+  } catch (error) {
+    if (error.statusCode === 429) {
+      return errorResponse(res, error.message, 429);
+    }
+    if (error.message === 'Invalid verification code' || error.message === 'Two-factor authentication is not enabled') {
+      return errorResponse(res, error.message, 400);
+    }
+    console.error('2FA step-up error:', error);
+    return errorResponse(res, 'Failed to verify code', 500);
+  }
+};
+
+module.exports = {
+  getStatus,
+  setup,
+  enable,
+  disable,
+  regenerateRecoveryCodes,
+  stepUp
+};
@@ -10,7 +10,6 @@ const {
   getPaginationParams,
   calculatePagination
 } = require('../../utils/response');
-const { CacheService } = require('../../config/redis');
 
 /**
  * Create batch collection for an event
@@ -238,8 +237,8 @@ const getBatchCollectionPayments = async (req, res) => {
             select: {
               id: true,
               transactionNumber: true,
-              razorpayOrderId: true,
-              razorpayPaymentId: true,
+              provider: true,
+              providerOrderData: true,
               status: true
             }
           }
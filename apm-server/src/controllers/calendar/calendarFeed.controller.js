@@ -0,0 +1,262 @@
+// src/controllers/calendar/calendarFeed.controller.js
+// iCalendar subscription feeds and single-event downloads
+
+const { prisma } = require('../../config/database');
+const { successResponse, errorResponse } = require('../../utils/response');
+const { getTenantFilter, getTenantData } = require('../../utils/tenant.util');
+const { buildCalendar } = require('../../utils/ical.util');
+const { CalendarFeedService } = require('../../services/calendar/calendarFeed.service');
+const { CalendarInviteService } = require('../../services/calendar/calendarInvite.service');
+const { NOT_SERIES_TEMPLATE } = require('../../services/event/eventSeries.service');
+
+const requestOrigin = (req) => `${req.protocol}://${req.get('host')}`;
+
+const sendCalendar = (res, ics, filename) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Cache-Control': 'private, max-age=300'
+  });
+  return res.send(ics);
+};
+
+const logFeedActivity = (req, action, details = {}) =>
+  prisma.activityLog.create({
+    data: {
+      userId: req.user.id,
+      action,
+      details,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    }
+  });
+
+/**
+ * Subscription feed
+ * GET /api/calendar/feeds/:token.ics
+ * Access: Anyone with the token (calendar apps can't send auth headers)
+ */
+const getFeedCalendar = async (req, res) => {
+  try {
+    const { ics } = await CalendarFeedService.renderFeed(req.params.token);
+    return sendCalendar(res, ics, 'calendar.ics');
+  } catch (error) {
+    if (error.statusCode !== 404) {
+      console.error('Calendar feed error:', error);
+    }
+    return errorResponse(res, error.statusCode ? error.message : 'Failed to build calendar feed', error.statusCode || 500);
+  }
+};
+
+/**
+ * Add-to-calendar download for one event
+ * GET /api/calendar/events/:eventId.ics
+ * Access: Public (published events)
+ */
+const getEventCalendar = async (req, res) => {
+  try {
+    const event = await prisma.event.findFirst({
+      where: {
+        id: req.params.eventId,
+        status: { not: 'DRAFT' },
+        ...NOT_SERIES_TEMPLATE,
+        ...getTenantFilter(req)
+      }
+    });
+
+    if (!event) {
+      return errorResponse(res, 'Event not found', 404);
+    }
+
+    const ics = buildCalendar({ events: [CalendarInviteService.toVEvent(event)] });
+    return sendCalendar(res, ics, `${event.slug || event.id}.ics`);
+  } catch (error) {
+    console.error('Event calendar download error:', error);
+    return errorResponse(res, 'Failed to build calendar file', 500);
+  }
+};
+
+/**
+ * Get my feed (created on first request)
+ * GET /api/calendar/feed
+ * Access: Authenticated
+ */
+const getMyFeed = async (req, res) => {
+  try {
+    const feed = await CalendarFeedService.getOrCreateUserFeed(req.user);
+    return successResponse(res, { feed: CalendarFeedService.withUrls(feed, requestOrigin(req)) }, 'Calendar feed retrieved');
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    return errorResponse(res, 'Failed to retrieve calendar feed', 500);
+  }
+};
+
+/**
+ * Choose what my feed contains
+ * PUT /api/calendar/feed
+ * Access: Authenticated
+ */
+const updateMyFeed = async (req, res) => {
+  try {
+    const feed = await CalendarFeedService.updateUserFeed(req.user, req.body);
+
+    await logFeedActivity(req, 'calendar_feed_update', { feedId: feed.id, changes: req.body });
+
+    return successResponse(res, { feed: CalendarFeedService.withUrls(feed, requestOrigin(req)) }, 'Calendar feed updated');
+  } catch (error) {
+    console.error('Update calendar feed error:', error);
+    return errorResponse(res, 'Failed to update calendar feed', 500);
+  }
+};
+
+/**
+ * Replace my feed URL (existing subscriptions stop updating)
+ * POST /api/calendar/feed/rotate
+ * Access: Authenticated
+ */
+const rotateMyFeed = async (req, res) => {
+  try {
+    const feed = await CalendarFeedService.rotateUserFeed(req.user);
+
+    await logFeedActivity(req, 'calendar_feed_rotate', { feedId: feed.id });
+
+    return successResponse(res, { feed: CalendarFeedService.withUrls(feed, requestOrigin(req)) }, 'Calendar feed URL replaced');
+  } catch (error) {
+    console.error('Rotate calendar feed error:', error);
+    return errorResponse(res, 'Failed to replace calendar feed URL', 500);
+  }
+};
+
+/**
+ * Turn off my feed
+ * DELETE /api/calendar/feed
+ * Access: Authenticated
+ */
+const deleteMyFeed = async (req, res) => {
+  try {
+    const deleted = await CalendarFeedService.deleteUserFeed(req.user.id);
+
+    if (!deleted) {
+      return errorResponse(res, 'Calendar feed not found', 404);
+    }
+
+    await logFeedActivity(req, 'calendar_feed_delete');
+
+    return successResponse(res, null, 'Calendar feed deleted');
+  } catch (error) {
+    console.error('Delete calendar feed error:', error);
+    return errorResponse(res, 'Failed to delete calendar feed', 500);
+  }
+};
+
+/**
+ * List organization feeds
+ * GET /api/calendar/admin/feeds
+ * Access: SUPER_ADMIN
+ */
+const getOrganizationFeeds = async (req, res) => {
+  try {
+    const feeds = await CalendarFeedService.listOrganizationFeeds(getTenantFilter(req));
+    const origin = requestOrigin(req);
+
+    return successResponse(
+      res,
+      { feeds: feeds.map(feed => CalendarFeedService.withUrls(feed, origin)) },
+      'Calendar feeds retrieved'
+    );
+  } catch (error) {
+    console.error('Get organization calendar feeds error:', error);
+    return errorResponse(res, 'Failed to retrieve calendar feeds', 500);
+  }
+};
+
+/**
+ * Create an organization feed (e.g. for the website or a shared calendar)
+ * POST /api/calendar/admin/feeds
+ * Access: SUPER_ADMIN
+ */
+const createOrganizationFeed = async (req, res) => {
+  try {
+    const feed = await CalendarFeedService.createOrganizationFeed(req.body, req.user.id, getTenantData(req));
+
+    await logFeedActivity(req, 'calendar_org_feed_create', { feedId: feed.id, name: feed.name });
+
+    return successResponse(
+      res,
+      { feed: CalendarFeedService.withUrls(feed, requestOrigin(req)) },
+      'Calendar feed created',
+      201
+    );
+  } catch (error) {
+    console.error('Create organization calendar feed error:', error);
+    return errorResponse(res, 'Failed to create calendar feed', 500);
+  }
+};
+
+/**
+ * Update an organization feed
+ * PUT /api/calendar/admin/feeds/:feedId
+ * Access: SUPER_ADMIN
+ */
+const updateOrganizationFeed = async (req, res) => {
+  try {
+    const feed = await CalendarFeedService.updateOrganizationFeed(req.params.feedId, req.body, getTenantFilter(req));
+
+    await logFeedActivity(req, 'calendar_org_feed_update', { feedId: feed.id, changes: req.body });
+
+    return successResponse(res, { feed: CalendarFeedService.withUrls(feed, requestOrigin(req)) }, 'Calendar feed updated');
+  } catch (error) {
+    console.error('Update organization calendar feed error:', error);
+    return errorResponse(res, error.statusCode ? error.message : 'Failed to update calendar feed', error.statusCode || 500);
+  }
+};
+
+/**
+ * Replace an organization feed URL
+ * POST /api/calendar/admin/feeds/:feedId/rotate
+ * Access: SUPER_ADMIN
+ */
+const rotateOrganizationFeed = async (req, res) => {
+  try {
+    const feed = await CalendarFeedService.rotateOrganizationFeed(req.params.feedId, getTenantFilter(req));
+
+    await logFeedActivity(req, 'calendar_org_feed_rotate', { feedId: feed.id });
+
+    return successResponse(res, { feed: CalendarFeedService.withUrls(feed, requestOrigin(req)) }, 'Calendar feed URL replaced');
+  } catch (error) {
+    console.error('Rotate organization calendar feed error:', error);
+    return errorResponse(res, error.statusCode ? error.message : 'Failed to replace calendar feed URL', error.statusCode || 500);
+  }
+};
+
+/**
+ * Delete an organization feed
+ * DELETE /api/calendar/admin/feeds/:feedId
+ * Access: SUPER_ADMIN
+ */
+const deleteOrganizationFeed = async (req, res) => {
+  try {
+    const feed = await CalendarFeedService.deleteOrganizationFeed(req.params.feedId, getTenantFilter(req));
+
+    await logFeedActivity(req, 'calendar_org_feed_delete', { feedId: feed.id, name: feed.name });
+
+    return successResponse(res, null, 'Calendar feed deleted');
+  } catch (error) {
+    console.error('Delete organization calendar feed error:', error);
+    return errorResponse(res, error.statusCode ? error.message : 'Failed to delete calendar feed', error.statusCode || 500);
+  }
+};
+
+module.exports = {
+  getFeedCalendar,
+  getEventCalendar,
+  getMyFeed,
+  updateMyFeed,
+  rotateMyFeed,
+  deleteMyFeed,
+  getOrganizationFeeds,
+  createOrganizationFeed,
+  updateOrganizationFeed,
+  rotateOrganizationFeed,
+  deleteOrganizationFeed
+};
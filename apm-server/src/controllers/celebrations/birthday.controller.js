@@ -1,6 +1,7 @@
 // src/controllers/celebrations/birthday.controller.js
 const BirthdayService = require('../../services/birthday/BirthdayService');
 const { successResponse, errorResponse } = require('../../utils/response');
+const { getOrganizationId } = require('../../utils/tenant.util');
 
 /**
  * Get today's birthdays
@@ -36,7 +37,7 @@ const getTodaysBirthdays = async (req, res) => {
 const getUpcomingBirthdays = async (req, res) => {
   try {
     const { days = 7 } = req.query;
-    const upcomingBirthdays = await BirthdayService.getUpcomingBirthdays(parseInt(days));
+    const upcomingBirthdays = await BirthdayService.getUpcomingBirthdays(parseInt(days), getOrganizationId(req));
     
     return successResponse(
       res,
@@ -60,7 +61,7 @@ const getUpcomingBirthdays = async (req, res) => {
  */
 const getBirthdayStats = async (req, res) => {
   try {
-    const stats = await BirthdayService.getBirthdayStats();
+    const stats = await BirthdayService.getBirthdayStats(getOrganizationId(req));
     
     return successResponse(res, stats, 'Birthday statistics retrieved successfully');
   } catch (error) {
@@ -76,7 +77,7 @@ const getBirthdayStats = async (req, res) => {
  */
 const getBirthdayDistribution = async (req, res) => {
   try {
-    const distribution = await BirthdayService.getBirthdayDistribution();
+    const distribution = await BirthdayService.getBirthdayDistribution(getOrganizationId(req));
     
     return successResponse(res, distribution, 'Birthday distribution retrieved successfully');
   } catch (error) {
@@ -97,7 +98,8 @@ const getBirthdaysInMonth = async (req, res) => {
     
     const birthdays = await BirthdayService.getBirthdaysInMonth(
       parseInt(month), 
-      year ? parseInt(year) : undefined
+      year ? parseInt(year) : undefined,
+      getOrganizationId(req)
     );
     
     return successResponse(
@@ -3,6 +3,7 @@ const FestivalService = require('../../services/festival/FestivalService');
 const FestivalSyncService = require('../../services/festival/FestivalSyncService');
 const BirthdayService = require('../../services/birthday/BirthdayService');
 const { successResponse, errorResponse } = require('../../utils/response');
+const { getOrganizationId } = require('../../utils/tenant.util');
 
 /**
  * Get today's festivals
@@ -11,7 +12,7 @@ const { successResponse, errorResponse } = require('../../utils/response');
  */
 const getTodaysFestivals = async (req, res) => {
   try {
-    const festivals = await FestivalService.getTodaysFestivals();
+    const festivals = await FestivalService.getTodaysFestivals(getOrganizationId(req));
     
     return successResponse(
       res,
@@ -38,7 +39,7 @@ const getTodaysFestivals = async (req, res) => {
 const getUpcomingFestivals = async (req, res) => {
   try {
     const { days = 30 } = req.query;
-    const upcomingFestivals = await FestivalService.getUpcomingFestivals(parseInt(days));
+    const upcomingFestivals = await FestivalService.getUpcomingFestivals(parseInt(days), getOrganizationId(req));
     
     return successResponse(
       res,
@@ -61,7 +62,7 @@ const getUpcomingFestivals = async (req, res) => {
  */
 const getTodaysCelebrations = async (req, res) => {
   try {
-    const celebrations = await FestivalService.getTodaysCelebrations();
+    const celebrations = await FestivalService.getTodaysCelebrations(getOrganizationId(req));
     
     return successResponse(res, celebrations, 'Today\'s celebrations retrieved successfully');
   } catch (error) {
@@ -84,7 +85,8 @@ const searchFestivals = async (req, res) => {
       religion,
       priority,
       year: year ? parseInt(year) : undefined,
-      limit: limit ? parseInt(limit) : undefined
+      limit: limit ? parseInt(limit) : undefined,
+      organizationId: getOrganizationId(req)
     });
     
     return successResponse(
@@ -112,7 +114,8 @@ const getFestivalCalendar = async (req, res) => {
   try {
     const { year } = req.query;
     const calendar = await FestivalService.getFestivalCalendar(
-      year ? parseInt(year) : undefined
+      year ? parseInt(year) : undefined,
+      getOrganizationId(req)
     );
     
     // Return calendar with updated structure
@@ -134,7 +137,7 @@ const getFestivalCalendar = async (req, res) => {
  */
 const getFestivalStats = async (req, res) => {
   try {
-    const stats = await FestivalService.getFestivalStats();
+    const stats = await FestivalService.getFestivalStats(getOrganizationId(req));
     
     return successResponse(res, stats, 'Festival statistics retrieved successfully');
   } catch (error) {
@@ -150,7 +153,7 @@ const getFestivalStats = async (req, res) => {
  */
 const getCelebrationSummary = async (req, res) => {
   try {
-    const summary = await FestivalService.getCelebrationSummary();
+    const summary = await FestivalService.getCelebrationSummary(getOrganizationId(req));
     
     return successResponse(res, summary, 'Celebration summary retrieved successfully');
   } catch (error) {
@@ -169,11 +172,14 @@ const toggleFestivalNotifications = async (req, res) => {
     const { festivalId } = req.params;
     const { enabled } = req.body;
     
-    const result = await FestivalService.toggleFestivalNotifications(festivalId, enabled);
+    const result = await FestivalService.toggleFestivalNotifications(festivalId, enabled, getOrganizationId(req));
     
     return successResponse(res, result, `Festival notifications ${enabled ? 'enabled' : 'disabled'} successfully`);
   } catch (error) {
     console.error('Toggle festival notifications error:', error);
+    if (error.message === 'Festival not found') {
+      return errorResponse(res, error.message, 404);
+    }
     return errorResponse(res, 'Failed to toggle festival notifications', 500);
   }
 };
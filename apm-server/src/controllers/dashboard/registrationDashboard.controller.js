@@ -1,7 +1,8 @@
 // src/controllers/dashboard/RegistrationDashboardController.js
-const { successResponse, errorResponse, paginatedResponse } = require('../../utils/response');
+const { successResponse, errorResponse } = require('../../utils/response');
 const RegistrationDashboardService = require('../../services/dashboard/RegistrationDashboardService');
 const { prisma } = require('../../config/database');
+const { getTenantFilter, getOrganizationId } = require('../../utils/tenant.util');
 
 /**
  * @desc    Get public registration dashboard
@@ -72,7 +73,7 @@ const getAdminRegistrationDashboard = async (req, res) => {
     // Get admin dashboard
     const dashboard = await RegistrationDashboardService.getAdminRegistrationDashboard(eventId, {
       page, limit, sortBy, sortOrder, search, batch, status
-    });
+    }, getOrganizationId(req));
 
     // Log admin activity
     await prisma.activityLog.create({
@@ -118,7 +119,7 @@ const getBatchWiseRegistrations = async (req, res) => {
     }
 
     // Get batch-wise data
-    const batchData = await RegistrationDashboardService.getBatchWiseRegistrations(eventId);
+    const batchData = await RegistrationDashboardService.getBatchWiseRegistrations(eventId, getOrganizationId(req));
 
     // Log admin activity
     await prisma.activityLog.create({
@@ -361,6 +362,35 @@ const getPublicRegistrations = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get series-wide dashboard for a recurring event
+ * @route   GET /api/events/series/:seriesId/dashboard
+ * @access  Private (SUPER_ADMIN)
+ */
+const getSeriesDashboard = async (req, res) => {
+  try {
+    const { seriesId } = req.params;
+
+    // Verify series belongs to tenant
+    const series = await prisma.eventSeries.findFirst({
+      where: { id: seriesId, ...getTenantFilter(req) },
+      select: { id: true }
+    });
+
+    if (!series) {
+      return errorResponse(res, 'Event series not found', 404);
+    }
+
+    const dashboard = await RegistrationDashboardService.getSeriesDashboard(seriesId);
+
+    return successResponse(res, dashboard, 'Series dashboard retrieved successfully');
+
+  } catch (error) {
+    console.error('Series dashboard error:', error);
+    return errorResponse(res, 'Failed to retrieve series dashboard', 500);
+  }
+};
+
 module.exports = {
   getPublicRegistrationDashboard,
   getAdminRegistrationDashboard,
@@ -369,5 +399,6 @@ module.exports = {
   updatePrivacySettings,
   togglePaymentVisibility,
   getPublicAnalytics,
-  getPublicRegistrations
+  getPublicRegistrations,
+  getSeriesDashboard
 };
\ No newline at end of file
@@ -1,9 +1,7 @@
 // src/controllers/demo/marquee.controller.js
-const { PrismaClient } = require('@prisma/client');
+const { prisma } = require('../../config/database');
 const redisClient = require('../../config/redis');
 
-const prisma = new PrismaClient();
-
 const MARQUEE_SIZE = 30; // 15 per row x 2 rows
 const CACHE_TTL = 604800; // 7 days in seconds
 const TOTAL_DUMMY_IMAGES = 35;
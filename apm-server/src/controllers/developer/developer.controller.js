@@ -3,10 +3,11 @@
 
 const { prisma } = require('../../config/database');
 const { successResponse, errorResponse, paginatedResponse, getPaginationParams, calculatePagination } = require('../../utils/response');
-const crypto = require('crypto');
 const SubscriptionService = require('../../services/subscription/SubscriptionService');
 const FeatureService = require('../../services/subscription/FeatureService');
 const { cloudflareR2Service } = require('../../services/cloudflare-r2.service');
+const { StorageDriverFactory } = require('../../services/storage');
+const SessionService = require('../../services/auth/session.service');
 
 // ==========================================
 // ORGANIZATION/TENANT MANAGEMENT
@@ -1656,6 +1657,8 @@ const resetUserPassword = async (req, res) => {
       },
     });
 
+    await SessionService.revokeAllSessions(userId, 'password_reset', { revokedBy: req.user.id });
+
     return successResponse(res, null, 'Password reset successfully');
   } catch (error) {
     console.error('Reset user password error:', error);
@@ -1694,6 +1697,10 @@ const toggleUserStatus = async (req, res) => {
       },
     });
 
+    if (!user.isActive) {
+      await SessionService.revokeAllSessions(userId, 'account_deactivated', { revokedBy: req.user.id });
+    }
+
     return successResponse(res, { user }, `User ${user.isActive ? 'activated' : 'deactivated'} successfully`);
   } catch (error) {
     console.error('Toggle user status error:', error);
@@ -1701,6 +1708,34 @@ const toggleUserStatus = async (req, res) => {
   }
 };
 
+/**
+ * Sign a user out of every device
+ * POST /api/developer/organizations/:orgId/users/:userId/force-logout
+ */
+const forceLogoutUser = async (req, res) => {
+  try {
+    const { orgId, userId } = req.params;
+
+    const existingUser = await prisma.user.findFirst({
+      where: { id: userId, organizationId: orgId },
+      select: { id: true },
+    });
+
+    if (!existingUser) {
+      return errorResponse(res, 'User not found', 404);
+    }
+
+    const revokedSessions = await SessionService.revokeAllSessions(userId, 'admin_force_logout', {
+      revokedBy: req.user.id,
+    });
+
+    return successResponse(res, { revokedSessions }, 'User signed out of all devices');
+  } catch (error) {
+    console.error('Force logout user error:', error);
+    return errorResponse(res, 'Failed to sign user out', 500);
+  }
+};
+
 /**
  * Delete user (soft delete)
  * DELETE /api/developer/organizations/:orgId/users/:userId
@@ -1733,6 +1768,8 @@ const deleteOrganizationUser = async (req, res) => {
       },
     });
 
+    await SessionService.revokeAllSessions(userId, 'account_deleted', { revokedBy: req.user.id });
+
     return successResponse(res, null, 'User deleted successfully');
   } catch (error) {
     console.error('Delete organization user error:', error);
@@ -2175,6 +2212,91 @@ const getOrganizationEmailStats = async (req, res) => {
   }
 };
 
+// ==========================================
+// ORGANIZATION STORAGE CONFIGURATION
+// ==========================================
+
+/**
+ * Get organization storage driver configuration
+ * GET /api/developer/organizations/:orgId/storage-config
+ * Access: DEVELOPER only
+ */
+const getOrganizationStorageConfig = async (req, res) => {
+  try {
+    const { orgId } = req.params;
+
+    const organization = await prisma.organization.findUnique({
+      where: { id: orgId },
+      select: { id: true, tenantCode: true, storageDriver: true },
+    });
+
+    if (!organization) {
+      return errorResponse(res, 'Organization not found', 404);
+    }
+
+    const defaultDriver = cloudflareR2Service.getDefaultDriverType();
+    const activeDriver = organization.storageDriver || defaultDriver;
+
+    return successResponse(res, {
+      storageDriver: organization.storageDriver,
+      defaultDriver,
+      activeDriver,
+      availableDrivers: StorageDriverFactory.getAvailableDrivers().map((driverType) => ({
+        driver: driverType,
+        isConfigured: cloudflareR2Service.getDriver(driverType).isConfigured(),
+      })),
+    }, 'Storage configuration retrieved successfully');
+  } catch (error) {
+    console.error('Get storage config error:', error);
+    return errorResponse(res, 'Failed to retrieve storage configuration', 500);
+  }
+};
+
+/**
+ * Set organization storage driver (null resets to deployment default)
+ * PUT /api/developer/organizations/:orgId/storage-config
+ * Access: DEVELOPER only
+ */
+const updateOrganizationStorageConfig = async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const storageDriver = req.body.storageDriver ? String(req.body.storageDriver).toUpperCase() : null;
+
+    if (storageDriver && !StorageDriverFactory.getAvailableDrivers().includes(storageDriver)) {
+      return errorResponse(res, `Invalid storage driver. Valid drivers: ${StorageDriverFactory.getAvailableDrivers().join(', ')}`, 400);
+    }
+
+    if (storageDriver && !cloudflareR2Service.getDriver(storageDriver).isConfigured()) {
+      return errorResponse(res, `${storageDriver} storage is not configured on this deployment`, 400);
+    }
+
+    const existingOrg = await prisma.organization.findUnique({
+      where: { id: orgId },
+      select: { id: true },
+    });
+
+    if (!existingOrg) {
+      return errorResponse(res, 'Organization not found', 404);
+    }
+
+    const organization = await prisma.organization.update({
+      where: { id: orgId },
+      data: { storageDriver },
+      select: { id: true, tenantCode: true, storageDriver: true },
+    });
+
+    cloudflareR2Service.clearTenantDriverCache(organization.tenantCode);
+
+    return successResponse(res, {
+      storageDriver: organization.storageDriver,
+      activeDriver: organization.storageDriver || cloudflareR2Service.getDefaultDriverType(),
+    }, 'Storage configuration updated successfully');
+  } catch (error) {
+    console.error('Update storage config error:', error);
+    return errorResponse(res, 'Failed to update storage configuration', 500);
+  }
+};
+
 module.exports = {
   // Organization management
   getAllOrganizations,
@@ -2232,6 +2354,7 @@ module.exports = {
   updateOrganizationUser,
   resetUserPassword,
   toggleUserStatus,
+  forceLogoutUser,
   deleteOrganizationUser,
 
   // Activity logs
@@ -2245,4 +2368,8 @@ module.exports = {
   deactivateOrganizationEmailConfig,
   deleteOrganizationEmailConfig,
   getOrganizationEmailStats,
+
+  // Storage configuration
+  getOrganizationStorageConfig,
+  updateOrganizationStorageConfig,
 };
@@ -1,20 +1,18 @@
-const { PrismaClient } = require('@prisma/client');
+const { prisma } = require('../../config/database');
 const { successResponse, errorResponse } = require('../../utils/response');
 const PaymentService = require('../../services/payment/PaymentService');
 
-const prisma = new PrismaClient();
-
 class DonationController {
 
   // Initiate alumni donation
   async initiateDonation(req, res) {
     try {
-      const { amount, message } = req.body;
+      const { amount, message, currency } = req.body;
       const userId = req.user.id;
 
       // Validate amount
       if (!amount || amount <= 0 || amount > 100000) {
-        return errorResponse(res, 'Donation amount must be between ₹1 and ₹100,000', 400);
+        return errorResponse(res, 'Donation amount must be between 1 and 100,000', 400);
       }
 
       // Get user details
@@ -64,6 +62,7 @@ class DonationController {
         referenceType: 'DONATION',
         referenceId: 'organization', // Generic reference for org donations
         userId: userId,
+        currency: currency || null, // null = organization base currency
         description: `Alumni Organization Donation - ${user.fullName}${message ? ' (' + message + ')' : ''}`,
         calculation: donationCalculation,
         metadata: {
@@ -135,7 +134,7 @@ class DonationController {
             amount: true,
             description: true,
             completedAt: true,
-            razorpayPaymentId: true,
+            providerOrderData: true,
             metadata: true
           }
         }),
@@ -164,7 +163,7 @@ class DonationController {
           amount: donation.amount,
           description: donation.description,
           donatedAt: donation.completedAt,
-          transactionId: donation.razorpayPaymentId,
+          transactionId: donation.providerOrderData?.paymentId || null,
           message: donation.metadata?.message || null
         })),
         pagination: {
@@ -1,8 +1,6 @@
-const { PrismaClient } = require('@prisma/client');
+const { prisma } = require('../../config/database');
 const { successResponse, errorResponse } = require('../../utils/response');
 
-const prisma = new PrismaClient();
-
 class DonationAdminController {
 
   // Get all donations with admin details
@@ -61,7 +59,7 @@ class DonationAdminController {
           amount: donation.amount,
           description: donation.description,
           donatedAt: donation.completedAt,
-          transactionId: donation.razorpayPaymentId,
+          transactionId: donation.providerOrderData?.paymentId || null,
           message: donation.metadata?.message || null,
           donor: {
             name: donation.user.fullName,
@@ -1,9 +1,14 @@
 // src/controllers/event.controller.js
 const { prisma } = require('../../config/database');
+const { Prisma } = require('@prisma/client');
 const { successResponse, errorResponse, paginatedResponse, getPaginationParams, calculatePagination } = require('../../utils/response');
-const { deleteUploadedFile, getFileUrl } = require('../../middleware/upload.middleware');
+const { deleteUploadedFile } = require('../../middleware/upload.middleware');
 const { cloudflareR2Service } = require('../../services/cloudflare-r2.service');
 const { getTenantFilter, getTenantData } = require('../../utils/tenant.util');
+const { WaitlistService } = require('../../services/event/waitlist.service');
+const { EventSeriesService, NOT_SERIES_TEMPLATE } = require('../../services/event/eventSeries.service');
+const { CalendarInviteService } = require('../../services/calendar/calendarInvite.service');
+const CalendarUpdateService = require('../../services/calendar/calendarUpdate.service');
 
 // Helper function to generate unique slug
 const generateSlug = (title, suffix = '') => {
@@ -22,6 +27,7 @@ const getAllEvents = async (req, res) => {
     status, 
     eventMode, 
     search, 
+    series,
     upcoming = true,
     sortBy = 'eventDate',
     sortOrder = 'asc' 
@@ -32,7 +38,7 @@ const getAllEvents = async (req, res) => {
   try {
     // Build where clause with tenant filter for multi-tenant support
     const tenantFilter = getTenantFilter(req);
-    const whereClause = { ...tenantFilter };
+    const whereClause = { ...tenantFilter, ...NOT_SERIES_TEMPLATE };
 
     console.log('🔍 Events API Request:', {
       user: req.user?.role,
@@ -61,6 +67,10 @@ const getAllEvents = async (req, res) => {
       whereClause.eventMode = eventMode;
     }
     
+    if (series) {
+      whereClause.seriesId = series;
+    }
+    
     if (search) {
       whereClause.OR = [
         { title: { contains: search, mode: 'insensitive' } },
@@ -104,6 +114,7 @@ const getAllEvents = async (req, res) => {
         venue: true,
         meetingLink: true,
         maxCapacity: true,
+        allowWaitlist: true,
         eventMode: true,
         status: true,
         hasRegistration: true,
@@ -113,6 +124,8 @@ const getAllEvents = async (req, res) => {
         guestFee: true,
         heroImage: true,
         images: true,
+        seriesId: true,
+        occurrenceDate: true,
         category: {
           select: {
             id: true,
@@ -169,7 +182,7 @@ const getAllEvents = async (req, res) => {
         } else if (regEnd && now > regEnd) {
           registrationStatus = 'CLOSED';
         } else if (event.maxCapacity && event._count.registrations >= event.maxCapacity) {
-          registrationStatus = 'FULL';
+          registrationStatus = event.allowWaitlist ? 'WAITLIST' : 'FULL';
         } else {
           registrationStatus = 'OPEN';
         }
@@ -247,6 +260,19 @@ const getEventById = async (req, res) => {
             orderIndex: true,
           },
         },
+        priceTiers: {
+          where: { isActive: true },
+          orderBy: { startsAt: 'asc' },
+          select: {
+            id: true,
+            name: true,
+            registrationFee: true,
+            guestFee: true,
+            startsAt: true,
+            endsAt: true,
+            batchYears: true,
+          },
+        },
         merchandise: {
           where: { isActive: true },
           orderBy: { orderIndex: 'asc' },
@@ -260,6 +286,30 @@ const getEventById = async (req, res) => {
             stockQuantity: true,
           },
         },
+        // Other upcoming dates of a recurring event
+        series: {
+          select: {
+            id: true,
+            title: true,
+            occurrences: {
+              where: {
+                eventDate: { gte: new Date() },
+                status: { in: ['PUBLISHED', 'REGISTRATION_OPEN', 'REGISTRATION_CLOSED', 'ONGOING'] },
+              },
+              orderBy: { eventDate: 'asc' },
+              take: 6,
+              select: {
+                id: true,
+                slug: true,
+                eventDate: true,
+                status: true,
+              },
+            },
+          },
+        },
+        seriesTemplateOf: {
+          select: { id: true },
+        },
         _count: {
           select: {
             registrations: {
@@ -297,7 +347,7 @@ const getEventById = async (req, res) => {
       } else if (regEnd && now > regEnd) {
         registrationStatus = 'CLOSED';
       } else if (event.maxCapacity && event._count.registrations >= event.maxCapacity) {
-        registrationStatus = 'FULL';
+        registrationStatus = event.allowWaitlist ? 'WAITLIST' : 'FULL';
       } else {
         registrationStatus = 'OPEN';
       }
@@ -323,6 +373,8 @@ const getEventById = async (req, res) => {
           paymentStatus: true,
           totalGuests: true,
           activeGuests: true,
+          waitlistPosition: true,
+          paymentDueAt: true,
         },
       });
     }
@@ -377,9 +429,12 @@ const createEvent = async (req, res) => {
     // Settings
     allowFormModification = true,
     formModificationDeadlineHours = 24,
+    allowWaitlist = true,
+    waitlistPaymentWindowHours = 48,
     // Fees
     registrationFee = 0,
     guestFee = 0,
+    currencyPricing,
     // Additional details
     prizeDetails,
     organizerDetails,
@@ -512,8 +567,11 @@ const createEvent = async (req, res) => {
         hasOrganizers: Boolean(hasOrganizers),
         allowFormModification: Boolean(allowFormModification),
         formModificationDeadlineHours: parseInt(formModificationDeadlineHours),
+        allowWaitlist: Boolean(allowWaitlist),
+        waitlistPaymentWindowHours: parseInt(waitlistPaymentWindowHours),
         registrationFee: parseFloat(registrationFee),
         guestFee: parseFloat(guestFee),
+        currencyPricing: currencyPricing || undefined,
         heroImage,
         images,
         prizeDetails: prizeDetails?.trim(),
@@ -592,6 +650,14 @@ const updateEvent = async (req, res) => {
         heroImage: true,
         images: true,
         status: true,
+        eventDate: true,
+        startTime: true,
+        endTime: true,
+        venue: true,
+        meetingLink: true,
+        eventMode: true,
+        seriesId: true,
+        seriesTemplateOf: { select: { id: true } },
         _count: {
           select: {
             registrations: {
@@ -606,6 +672,10 @@ const updateEvent = async (req, res) => {
       return errorResponse(res, 'Event not found', 404);
     }
     
+    if (existingEvent.seriesTemplateOf && updateData.status !== undefined && updateData.status !== 'DRAFT') {
+      return errorResponse(res, 'Series templates stay in draft; publish the series occurrences instead', 400);
+    }
+    
     // Prepare update data
     const updateFields = {};
     
@@ -665,7 +735,8 @@ const updateEvent = async (req, res) => {
       'hasRegistration', 'hasExternalLink', 'externalRegistrationLink',
       'hasCustomForm', 'hasMeals', 'hasGuests', 'hasDonations', 'hasMerchandise',
       'hasPrizes', 'hasSponsors', 'hasOrganizers', 'allowFormModification',
-      'formModificationDeadlineHours', 'registrationFee', 'guestFee', 'maxCapacity'
+      'formModificationDeadlineHours', 'registrationFee', 'guestFee', 'maxCapacity',
+      'allowWaitlist', 'waitlistPaymentWindowHours'
     ];
     
     simpleFields.forEach(field => {
@@ -674,6 +745,11 @@ const updateEvent = async (req, res) => {
       }
     });
     
+    // Json column: null clears the per-currency overrides
+    if (updateData.currencyPricing !== undefined) {
+      updateFields.currencyPricing = updateData.currencyPricing || Prisma.DbNull;
+    }
+    
     // Handle file uploads
     let heroImage = existingEvent.heroImage;
     let images = existingEvent.images;
@@ -760,6 +836,17 @@ const updateEvent = async (req, res) => {
     updateFields.heroImage = heroImage;
     updateFields.images = images;
     
+    // An occurrence edited on its own keeps its changes when the series template is re-applied
+    if (existingEvent.seriesId) {
+      updateFields.isSeriesOverride = true;
+    }
+    
+    // Registrants' calendar invites are re-sent with a higher SEQUENCE
+    const calendarChanged = CalendarInviteService.hasCalendarChanges(existingEvent, updateFields);
+    if (calendarChanged) {
+      updateFields.calendarSequence = { increment: 1 };
+    }
+    
     // Update event
     const updatedEvent = await prisma.event.update({
       where: { id: eventId },
@@ -797,6 +884,15 @@ const updateEvent = async (req, res) => {
       },
     });
     
+    // Extra seats go to the waitlist first
+    if (updateFields.maxCapacity !== undefined) {
+      await WaitlistService.queuePromotion(updatedEvent.id, updatedEvent.organizationId);
+    }
+    
+    if (calendarChanged && existingEvent._count.registrations > 0) {
+      await CalendarUpdateService.queueEventUpdate(updatedEvent);
+    }
+    
     return successResponse(res, { event: updatedEvent }, 'Event updated successfully');
     
   } catch (error) {
@@ -829,6 +925,9 @@ const deleteEvent = async (req, res) => {
         title: true,
         heroImage: true,
         images: true,
+        seriesId: true,
+        occurrenceDate: true,
+        seriesTemplateOf: { select: { id: true } },
         _count: {
           select: {
             registrations: true,
@@ -842,6 +941,10 @@ const deleteEvent = async (req, res) => {
       return errorResponse(res, 'Event not found', 404);
     }
     
+    if (event.seriesTemplateOf) {
+      return errorResponse(res, 'This event is a series template. Delete the series instead.', 400);
+    }
+    
     // Prevent deletion if there are registrations
     if (event._count.registrations > 0) {
       return errorResponse(res, 'Cannot delete event with existing registrations. Archive it instead.', 400);
@@ -883,6 +986,9 @@ const deleteEvent = async (req, res) => {
       where: { id: eventId },
     });
     
+    // Keep the series from generating the deleted date again
+    await EventSeriesService.excludeOccurrence(event);
+    
     // Log deletion
     await prisma.auditLog.create({
       data: {
@@ -923,25 +1029,41 @@ const updateEventStatus = async (req, res) => {
 
     const event = await prisma.event.findFirst({
       where: { id: eventId, ...tenantFilter },
-      select: { id: true, title: true, status: true },
+      select: { id: true, title: true, status: true, seriesTemplateOf: { select: { id: true } } },
     });
     
     if (!event) {
       return errorResponse(res, 'Event not found', 404);
     }
     
+    if (event.seriesTemplateOf && status !== 'DRAFT') {
+      return errorResponse(res, 'Series templates stay in draft; publish the series occurrences instead', 400);
+    }
+    
+    const calendarChanged = CalendarInviteService.hasCalendarChanges(event, { status });
+    
     // Update status
     const updatedEvent = await prisma.event.update({
       where: { id: eventId },
-      data: { status },
+      data: {
+        status,
+        ...(calendarChanged && { calendarSequence: { increment: 1 } }),
+      },
       select: {
         id: true,
         title: true,
         status: true,
+        calendarSequence: true,
+        organizationId: true,
         updatedAt: true,
       },
     });
     
+    // Cancelling removes the event from registrants' calendars (reinstating adds it back)
+    if (calendarChanged) {
+      await CalendarUpdateService.queueEventUpdate(updatedEvent);
+    }
+    
     // Log status change
     await prisma.activityLog.create({
       data: {
@@ -1,10 +1,10 @@
 // src/controllers/eventControllers/eventFeedback.controller.js
 const { prisma } = require('../../config/database');
-const { successResponse, errorResponse, paginatedResponse, getPaginationParams } = require('../../utils/response');
+const { successResponse, errorResponse, paginatedResponse, getPaginationParams, calculatePagination } = require('../../utils/response');
 const feedbackService = require('../../services/feedback/FeedbackService');
 const feedbackAnalyticsService = require('../../services/feedback/FeedbackAnalyticsService');
 const sentimentAnalysisService = require('../../services/feedback/SentimentAnalysisService');
-const { getTenantFilter, getTenantData } = require('../../utils/tenant.util');
+const { getTenantFilter } = require('../../utils/tenant.util');
 
 // ==========================================
 // ADMIN FEEDBACK MANAGEMENT
@@ -1,7 +1,18 @@
 // src/controllers/eventForm.controller.js
+const { Prisma } = require('@prisma/client');
 const { prisma } = require('../../config/database');
 const { successResponse, errorResponse } = require('../../utils/response');
-const { getTenantFilter, getTenantData } = require('../../utils/tenant.util');
+const { getTenantFilter } = require('../../utils/tenant.util');
+const { FormLogicService, FORM_LOGIC_FIELD_SELECT } = require('../../services/event/formLogic.service');
+
+// Rule problems in a field or page change, reported like request validation errors
+const definitionErrorResponse = (res, errors) =>
+  errorResponse(
+    res,
+    'Form rules are invalid',
+    400,
+    errors.map(({ fieldName, message }) => ({ field: fieldName, message }))
+  );
 
 // ==========================================
 // EVENT FORM MANAGEMENT (Admin Only)
@@ -38,16 +49,7 @@ const getEventForm = async (req, res) => {
       include: {
         fields: {
           orderBy: { orderIndex: 'asc' },
-          select: {
-            id: true,
-            fieldName: true,
-            fieldLabel: true,
-            fieldType: true,
-            options: true,
-            isRequired: true,
-            orderIndex: true,
-            validation: true,
-          },
+          select: FORM_LOGIC_FIELD_SELECT,
         },
       },
     });
@@ -65,6 +67,7 @@ const getEventForm = async (req, res) => {
         id: form.id,
         title: form.title,
         description: form.description,
+        pages: form.pages || [],
         fields: form.fields,
       }
     }, 'Event form retrieved successfully');
@@ -78,7 +81,7 @@ const getEventForm = async (req, res) => {
 // Create or update event registration form (Super Admin only)
 const createOrUpdateEventForm = async (req, res) => {
   const { eventId } = req.params;
-  const { title, description, isActive = true } = req.body;
+  const { title, description, isActive = true, pages } = req.body;
   
   try {
     // Check if event exists
@@ -103,8 +106,19 @@ const createOrUpdateEventForm = async (req, res) => {
     // Check if form already exists
     const existingForm = await prisma.eventForm.findUnique({
       where: { eventId },
+      include: {
+        fields: { select: FORM_LOGIC_FIELD_SELECT },
+      },
     });
     
+    // Removing pages must not strand fields on them
+    if (existingForm && pages !== undefined) {
+      const definitionErrors = FormLogicService.validateDefinition(existingForm.fields, pages);
+      if (definitionErrors.length > 0) {
+        return definitionErrorResponse(res, definitionErrors);
+      }
+    }
+    
     let form;
     let action;
     
@@ -116,6 +130,7 @@ const createOrUpdateEventForm = async (req, res) => {
           title: title || existingForm.title,
           description: description !== undefined ? description : existingForm.description,
           isActive: isActive !== undefined ? isActive : existingForm.isActive,
+          ...(pages !== undefined && { pages: pages || Prisma.DbNull }),
         },
         include: {
           fields: {
@@ -132,6 +147,7 @@ const createOrUpdateEventForm = async (req, res) => {
           title: title || 'Registration Form',
           description,
           isActive,
+          ...(pages && { pages }),
         },
         include: {
           fields: {
@@ -160,6 +176,7 @@ const createOrUpdateEventForm = async (req, res) => {
           formId: form.id,
           eventTitle: event.title,
           formTitle: form.title,
+          pageCount: Array.isArray(form.pages) ? form.pages.length : 1,
         },
         ipAddress: req.ip,
         userAgent: req.get('User-Agent'),
@@ -252,7 +269,11 @@ const addFormField = async (req, res) => {
     options, 
     isRequired = false, 
     orderIndex = 0,
-    validation
+    validation,
+    pageIndex = 0,
+    visibleWhen,
+    requiredWhen,
+    feeAddOn
   } = req.body;
   
   try {
@@ -267,7 +288,7 @@ const addFormField = async (req, res) => {
           select: { id: true, title: true },
         },
         fields: {
-          select: { fieldName: true },
+          select: FORM_LOGIC_FIELD_SELECT,
         },
       },
     });
@@ -282,6 +303,15 @@ const addFormField = async (req, res) => {
       return errorResponse(res, 'Field with this name already exists', 409);
     }
     
+    // Conditions must point at existing fields and must not loop
+    const definitionErrors = FormLogicService.validateDefinition(
+      [...form.fields, { fieldName, fieldLabel, fieldType, options, pageIndex, visibleWhen, requiredWhen, feeAddOn }],
+      form.pages
+    );
+    if (definitionErrors.length > 0) {
+      return definitionErrorResponse(res, definitionErrors);
+    }
+    
     // Calculate order index if not provided
     let finalOrderIndex = orderIndex;
     if (orderIndex === 0 || orderIndex === undefined) {
@@ -303,6 +333,10 @@ const addFormField = async (req, res) => {
         isRequired,
         orderIndex: finalOrderIndex,
         validation: validation || null,
+        pageIndex,
+        visibleWhen: visibleWhen || Prisma.DbNull,
+        requiredWhen: requiredWhen || Prisma.DbNull,
+        feeAddOn: feeAddOn || Prisma.DbNull,
       },
     });
     
@@ -318,6 +352,7 @@ const addFormField = async (req, res) => {
           eventTitle: form.event.title,
           fieldName,
           fieldType,
+          hasRules: Boolean(visibleWhen || requiredWhen || feeAddOn),
         },
         ipAddress: req.ip,
         userAgent: req.get('User-Agent'),
@@ -341,7 +376,11 @@ const updateFormField = async (req, res) => {
     options, 
     isRequired, 
     orderIndex,
-    validation
+    validation,
+    pageIndex,
+    visibleWhen,
+    requiredWhen,
+    feeAddOn
   } = req.body;
   
   try {
@@ -360,6 +399,9 @@ const updateFormField = async (req, res) => {
             event: {
               select: { id: true, title: true },
             },
+            fields: {
+              select: FORM_LOGIC_FIELD_SELECT,
+            },
           },
         },
       },
@@ -369,6 +411,19 @@ const updateFormField = async (req, res) => {
       return errorResponse(res, 'Form field not found', 404);
     }
     
+    // Check the form's rules with this field as it will be saved
+    const changes = { fieldLabel, fieldType, options, pageIndex, visibleWhen, requiredWhen, feeAddOn };
+    const definitionErrors = FormLogicService.validateDefinition(
+      field.form.fields.map(existing => existing.id !== fieldId ? existing : {
+        ...existing,
+        ...Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined)),
+      }),
+      field.form.pages
+    );
+    if (definitionErrors.length > 0) {
+      return definitionErrorResponse(res, definitionErrors);
+    }
+    
     // Prepare update data
     const updateData = {};
     
@@ -378,6 +433,10 @@ const updateFormField = async (req, res) => {
     if (isRequired !== undefined) updateData.isRequired = isRequired;
     if (orderIndex !== undefined) updateData.orderIndex = orderIndex;
     if (validation !== undefined) updateData.validation = validation;
+    if (pageIndex !== undefined) updateData.pageIndex = pageIndex;
+    if (visibleWhen !== undefined) updateData.visibleWhen = visibleWhen || Prisma.DbNull;
+    if (requiredWhen !== undefined) updateData.requiredWhen = requiredWhen || Prisma.DbNull;
+    if (feeAddOn !== undefined) updateData.feeAddOn = feeAddOn || Prisma.DbNull;
     
     // Update field
     const updatedField = await prisma.eventFormField.update({
@@ -448,6 +507,20 @@ const deleteFormField = async (req, res) => {
       return errorResponse(res, 'Cannot delete field that has user responses', 400);
     }
     
+    // Other fields' rules would point at nothing
+    const formFields = await prisma.eventFormField.findMany({
+      where: { formId: field.form.id },
+      select: FORM_LOGIC_FIELD_SELECT,
+    });
+    const dependents = FormLogicService.dependentsOf(formFields, field.fieldName);
+    if (dependents.length > 0) {
+      return errorResponse(
+        res,
+        `Cannot delete field used in the rules of: ${dependents.map(dependent => dependent.fieldLabel).join(', ')}`,
+        400
+      );
+    }
+    
     // Delete field
     await prisma.eventFormField.delete({
       where: { id: fieldId },
@@ -557,11 +630,62 @@ const reorderFormFields = async (req, res) => {
   }
 };
 
+// Check one page of a multi-page form (Authenticated users)
+// Answers from earlier pages are sent along so visibility and add-ons can be worked out
+const validateFormPage = async (req, res) => {
+  const { eventId } = req.params;
+  const { pageIndex, formResponses } = req.body;
+  
+  try {
+    const form = await prisma.eventForm.findFirst({
+      where: {
+        eventId,
+        isActive: true,
+        event: { ...getTenantFilter(req) }
+      },
+      include: {
+        fields: {
+          orderBy: { orderIndex: 'asc' },
+          select: FORM_LOGIC_FIELD_SELECT,
+        },
+      },
+    });
+
+    if (!form) {
+      return errorResponse(res, 'Event form not found', 404);
+    }
+    
+    const pageCount = Array.isArray(form.pages) && form.pages.length > 0 ? form.pages.length : 1;
+    if (pageIndex >= pageCount) {
+      return errorResponse(res, `Form has ${pageCount} page(s)`, 400);
+    }
+    
+    const evaluation = FormLogicService.evaluate(form.fields, formResponses, { pageIndex });
+    if (!evaluation.valid) {
+      return errorResponse(res, 'Please correct the answers on this page', 400, evaluation.errors);
+    }
+    
+    return successResponse(res, {
+      pageIndex,
+      isLastPage: pageIndex === pageCount - 1,
+      visibleFieldIds: evaluation.visibleFieldIds,
+      ignoredFieldIds: evaluation.ignoredFieldIds,
+      addOns: evaluation.addOns,
+      addOnTotal: evaluation.addOnTotal,
+    }, 'Form page is valid');
+    
+  } catch (error) {
+    console.error('Validate form page error:', error);
+    return errorResponse(res, 'Failed to validate form page', 500);
+  }
+};
+
 module.exports = {
   // Form management
   getEventForm,
   createOrUpdateEventForm,
   deleteEventForm,
+  validateFormPage,
   
   // Field management
   addFormField,
@@ -8,8 +8,9 @@ const {
 	calculatePagination,
 } = require("../../utils/response");
 const eventService = require("../../services/event/event.service");
+const { FORM_LOGIC_FIELD_SELECT } = require("../../services/event/formLogic.service");
 const emailManager = require("../../services/email/EmailManager");
-const { getTenantFilter, getTenantData } = require('../../utils/tenant.util');
+const { getTenantFilter } = require('../../utils/tenant.util');
 
 // ==========================================
 // USER GUEST MANAGEMENT
@@ -44,6 +45,7 @@ const addGuest = async (req, res) => {
 			guestFee: registration.event.guestFee || 0,
 			merchandiseTotal: registration.merchandiseTotal || 0,
 			donationAmount: registration.donationAmount || 0,
+			formAddOnTotal: registration.formAddOnAmount || 0,
 		});
 
 		// Create guest and update registration in transaction
@@ -403,6 +405,10 @@ const cancelGuest = async (req, res) => {
 				data: { status: "CANCELLED" },
 			});
 
+			await tx.eventSeatAssignment.deleteMany({
+				where: { guestId },
+			});
+
 			// Update registration totals (guest fee becomes donation as per no-refund policy)
 			const updatedRegistration = await tx.eventRegistration.update({
 				where: { id: guest.registration.id },
@@ -487,16 +493,7 @@ const getGuestForm = async (req, res) => {
 									include: {
 										fields: {
 											orderBy: { orderIndex: "asc" },
-											select: {
-												id: true,
-												fieldName: true,
-												fieldLabel: true,
-												fieldType: true,
-												options: true,
-												isRequired: true,
-												orderIndex: true,
-												validation: true,
-											},
+											select: FORM_LOGIC_FIELD_SELECT,
 										},
 									},
 								},
@@ -572,6 +569,7 @@ const getGuestForm = async (req, res) => {
 					id: event.form.id,
 					title: event.form.title,
 					description: event.form.description,
+					pages: event.form.pages || [],
 					fields: fieldsWithResponses,
 				},
 				canModify: canModify.allowed,
@@ -621,7 +619,8 @@ const submitGuestForm = async (req, res) => {
 			return errorResponse(res, "Event form not found", 404);
 		}
 
-		// Validate form responses
+		// Validate form responses (visibility and requirement rules apply to the
+		// guest's own answers; fee add-ons only apply to the registrant's form)
 		const validation = await eventService.validateFormResponses(
 			form.id,
 			formResponses
@@ -632,6 +631,9 @@ const submitGuestForm = async (req, res) => {
 			});
 		}
 
+		// Answers to fields hidden by the rules are not stored
+		const visibleResponses = validation.responses;
+
 		// Submit form responses in transaction
 		await prisma.$transaction(async (tx) => {
 			// Delete existing responses
@@ -640,8 +642,8 @@ const submitGuestForm = async (req, res) => {
 			});
 
 			// Create new responses
-			if (formResponses.length > 0) {
-				const responseData = formResponses.map((response) => ({
+			if (visibleResponses.length > 0) {
+				const responseData = visibleResponses.map((response) => ({
 					guestId,
 					fieldId: response.fieldId,
 					response: response.response,
@@ -662,7 +664,7 @@ const submitGuestForm = async (req, res) => {
 					eventId,
 					guestId,
 					guestName: guest.name,
-					formResponsesCount: formResponses.length,
+					formResponsesCount: visibleResponses.length,
 				},
 				ipAddress: req.ip,
 				userAgent: req.get("User-Agent"),
@@ -1,12 +1,13 @@
 // src/controllers/eventControllers/eventMerchandise.controller.js
 const { prisma } = require('../../config/database');
+const { Prisma } = require('@prisma/client');
 const { successResponse, errorResponse } = require('../../utils/response');
-const { getTenantFilter, getTenantData } = require('../../utils/tenant.util');
+const { getTenantFilter } = require('../../utils/tenant.util');
 
 // Add merchandise item (Admin only)
 const addMerchandise = async (req, res) => {
   const { eventId } = req.params;
-  const { name, description, price, availableSizes, stockQuantity } = req.body;
+  const { name, description, price, currencyPrices, availableSizes, stockQuantity } = req.body;
   const userId = req.user.id;
 
   try {
@@ -45,6 +46,7 @@ const addMerchandise = async (req, res) => {
         name,
         description: description || null,
         price: parseFloat(price),
+        currencyPrices: currencyPrices || undefined,
         availableSizes: availableSizes || [],
         stockQuantity: stockQuantity ? parseInt(stockQuantity) : null,
         orderIndex: nextOrderIndex,
@@ -119,6 +121,7 @@ const getEventMerchandise = async (req, res) => {
         name: true,
         description: true,
         price: true,
+        currencyPrices: true,
         images: true,
         availableSizes: true,
         stockQuantity: true,
@@ -159,6 +162,7 @@ const getMerchandiseItem = async (req, res) => {
         name: true,
         description: true,
         price: true,
+        currencyPrices: true,
         images: true,
         availableSizes: true,
         stockQuantity: true,
@@ -190,7 +194,7 @@ const getMerchandiseItem = async (req, res) => {
 // Update merchandise item (Admin only)
 const updateMerchandise = async (req, res) => {
   const { eventId, itemId } = req.params;
-  const { name, description, price, availableSizes, stockQuantity, isActive } = req.body;
+  const { name, description, price, currencyPrices, availableSizes, stockQuantity, isActive } = req.body;
   const userId = req.user.id;
 
   try {
@@ -212,6 +216,7 @@ const updateMerchandise = async (req, res) => {
     if (name !== undefined) updateData.name = name;
     if (description !== undefined) updateData.description = description;
     if (price !== undefined) updateData.price = parseFloat(price);
+    if (currencyPrices !== undefined) updateData.currencyPrices = currencyPrices || Prisma.DbNull;
     if (availableSizes !== undefined) updateData.availableSizes = availableSizes;
     if (stockQuantity !== undefined) updateData.stockQuantity = stockQuantity ? parseInt(stockQuantity) : null;
     if (isActive !== undefined) updateData.isActive = isActive;
@@ -0,0 +1,205 @@
+// src/controllers/eventPriceTier.controller.js
+const { prisma } = require('../../config/database');
+const { Prisma } = require('@prisma/client');
+const { successResponse, errorResponse } = require('../../utils/response');
+const { getTenantFilter } = require('../../utils/tenant.util');
+
+const tierSelect = {
+  id: true,
+  name: true,
+  registrationFee: true,
+  guestFee: true,
+  currencyPricing: true,
+  startsAt: true,
+  endsAt: true,
+  batchYears: true,
+  isActive: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+const logTierActivity = (req, action, event, tier) =>
+  prisma.activityLog.create({
+    data: {
+      userId: req.user.id,
+      action,
+      details: {
+        eventId: event.id,
+        eventTitle: event.title,
+        tierId: tier.id,
+        tierName: tier.name,
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+    },
+  });
+
+// Get price tiers for an event (Super Admin only)
+const getPriceTiers = async (req, res) => {
+  const { eventId } = req.params;
+
+  try {
+    const event = await prisma.event.findFirst({
+      where: { id: eventId, ...getTenantFilter(req) },
+      select: { id: true, registrationFee: true, guestFee: true },
+    });
+
+    if (!event) {
+      return errorResponse(res, 'Event not found', 404);
+    }
+
+    const tiers = await prisma.eventPriceTier.findMany({
+      where: { eventId },
+      select: tierSelect,
+      orderBy: [{ startsAt: 'asc' }, { createdAt: 'asc' }],
+    });
+
+    return successResponse(res, {
+      basePrice: { registrationFee: event.registrationFee, guestFee: event.guestFee },
+      tiers,
+    }, 'Event price tiers retrieved successfully');
+
+  } catch (error) {
+    console.error('Get price tiers error:', error);
+    return errorResponse(res, 'Failed to retrieve price tiers', 500);
+  }
+};
+
+// Add price tier to event (Super Admin only)
+const addPriceTier = async (req, res) => {
+  const { eventId } = req.params;
+  const { name, registrationFee, guestFee, currencyPricing, startsAt, endsAt, batchYears = [], isActive = true } = req.body;
+
+  try {
+    const event = await prisma.event.findFirst({
+      where: { id: eventId, ...getTenantFilter(req) },
+      select: { id: true, title: true },
+    });
+
+    if (!event) {
+      return errorResponse(res, 'Event not found', 404);
+    }
+
+    const tier = await prisma.eventPriceTier.create({
+      data: {
+        eventId,
+        name: name.trim(),
+        registrationFee: parseFloat(registrationFee),
+        guestFee: guestFee === null || guestFee === undefined ? null : parseFloat(guestFee),
+        currencyPricing: currencyPricing || Prisma.DbNull,
+        startsAt: startsAt ? new Date(startsAt) : null,
+        endsAt: endsAt ? new Date(endsAt) : null,
+        batchYears,
+        isActive: Boolean(isActive),
+      },
+      select: tierSelect,
+    });
+
+    await logTierActivity(req, 'event_price_tier_add', event, tier);
+
+    return successResponse(res, { tier }, 'Price tier added successfully', 201);
+
+  } catch (error) {
+    console.error('Add price tier error:', error);
+    return errorResponse(res, 'Failed to add price tier', 500);
+  }
+};
+
+// Update price tier (Super Admin only)
+const updatePriceTier = async (req, res) => {
+  const { eventId, tierId } = req.params;
+
+  try {
+    const existingTier = await prisma.eventPriceTier.findFirst({
+      where: {
+        id: tierId,
+        eventId,
+        event: { ...getTenantFilter(req) },
+      },
+      select: {
+        id: true,
+        startsAt: true,
+        endsAt: true,
+        event: { select: { id: true, title: true } },
+      },
+    });
+
+    if (!existingTier) {
+      return errorResponse(res, 'Price tier not found', 404);
+    }
+
+    const { name, registrationFee, guestFee, currencyPricing, startsAt, endsAt, batchYears, isActive } = req.body;
+    const updateData = {};
+
+    if (name !== undefined) updateData.name = name.trim();
+    if (registrationFee !== undefined) updateData.registrationFee = parseFloat(registrationFee);
+    if (guestFee !== undefined) updateData.guestFee = guestFee === null ? null : parseFloat(guestFee);
+    if (currencyPricing !== undefined) updateData.currencyPricing = currencyPricing || Prisma.DbNull;
+    if (startsAt !== undefined) updateData.startsAt = startsAt ? new Date(startsAt) : null;
+    if (endsAt !== undefined) updateData.endsAt = endsAt ? new Date(endsAt) : null;
+    if (batchYears !== undefined) updateData.batchYears = batchYears;
+    if (isActive !== undefined) updateData.isActive = Boolean(isActive);
+
+    // Validate the resulting window, since only one end may have changed
+    const finalStartsAt = updateData.startsAt !== undefined ? updateData.startsAt : existingTier.startsAt;
+    const finalEndsAt = updateData.endsAt !== undefined ? updateData.endsAt : existingTier.endsAt;
+    if (finalStartsAt && finalEndsAt && finalEndsAt <= finalStartsAt) {
+      return errorResponse(res, 'Tier end must be after its start', 400);
+    }
+
+    const tier = await prisma.eventPriceTier.update({
+      where: { id: tierId },
+      data: updateData,
+      select: tierSelect,
+    });
+
+    await logTierActivity(req, 'event_price_tier_update', existingTier.event, tier);
+
+    return successResponse(res, { tier }, 'Price tier updated successfully');
+
+  } catch (error) {
+    console.error('Update price tier error:', error);
+    return errorResponse(res, 'Failed to update price tier', 500);
+  }
+};
+
+// Delete price tier (Super Admin only)
+const deletePriceTier = async (req, res) => {
+  const { eventId, tierId } = req.params;
+
+  try {
+    const existingTier = await prisma.eventPriceTier.findFirst({
+      where: {
+        id: tierId,
+        eventId,
+        event: { ...getTenantFilter(req) },
+      },
+      select: {
+        id: true,
+        name: true,
+        event: { select: { id: true, title: true } },
+      },
+    });
+
+    if (!existingTier) {
+      return errorResponse(res, 'Price tier not found', 404);
+    }
+
+    await prisma.eventPriceTier.delete({ where: { id: tierId } });
+
+    await logTierActivity(req, 'event_price_tier_delete', existingTier.event, existingTier);
+
+    return successResponse(res, null, 'Price tier deleted successfully');
+
+  } catch (error) {
+    console.error('Delete price tier error:', error);
+    return errorResponse(res, 'Failed to delete price tier', 500);
+  }
+};
+
+module.exports = {
+  getPriceTiers,
+  addPriceTier,
+  updatePriceTier,
+  deletePriceTier,
+};
@@ -9,7 +9,10 @@ const {
 } = require("../../utils/response");
 const eventService = require("../../services/event/event.service");
 const tenantEmailManager = require("../../services/email/TenantEmailManager");
-const { getTenantFilter, getTenantData, getTenantCode, getOrganizationName } = require('../../utils/tenant.util');
+const { WaitlistService, WAITLIST_STEPS } = require("../../services/event/waitlist.service");
+const DiscountService = require("../../services/payment/DiscountService");
+const CalendarUpdateService = require("../../services/calendar/calendarUpdate.service");
+const { getTenantFilter, getTenantCode, getOrganizationName } = require('../../utils/tenant.util');
 
 // ==========================================
 // ADMIN REGISTRATION MANAGEMENT
@@ -186,7 +189,7 @@ const getRegistrationStats = async (req, res) => {
 // Register user for an event (Authenticated users)
 const registerForEvent = async (req, res) => {
 	const { eventId } = req.params;
-	const { mealPreference, formResponses = [], agreeToTerms } = req.body;
+	const { mealPreference, formResponses = [] } = req.body;
 	const userId = req.user.id;
 
 	try {
@@ -197,19 +200,7 @@ const registerForEvent = async (req, res) => {
 				...getTenantFilter(req),
 			},
 			include: {
-				form: {
-					include: {
-						fields: {
-							where: { isRequired: true },
-							select: {
-								id: true,
-								fieldName: true,
-								fieldLabel: true,
-								isRequired: true,
-							},
-						},
-					},
-				},
+				priceTiers: { where: { isActive: true } },
 			},
 		});
 
@@ -253,49 +244,41 @@ const registerForEvent = async (req, res) => {
 			);
 		}
 
-		// Validate required form fields
-		if (event.form && event.form.fields.length > 0) {
-			const requiredFieldIds = event.form.fields.map((field) => field.id);
-			const providedFieldIds = formResponses.map(
-				(response) => response.fieldId
-			);
-
-			const missingFields = requiredFieldIds.filter(
-				(fieldId) => !providedFieldIds.includes(fieldId)
-			);
-
-			if (missingFields.length > 0) {
-				const missingFieldLabels = event.form.fields
-					.filter((field) => missingFields.includes(field.id))
-					.map((field) => field.fieldLabel);
-
-				return errorResponse(
-					res,
-					`Missing required fields: ${missingFieldLabels.join(", ")}`,
-					400
-				);
-			}
-		}
+		// Form answers were checked against the form's rules by
+		// validateRegistrationFormResponses; answers to hidden fields are already dropped
+		const formAddOnTotal = req.formEvaluation?.addOnTotal || 0;
 
-		// Calculate fees
+		// Calculate fees at the early-bird / batch price in effect now
+		const user = await prisma.user.findUnique({
+			where: { id: userId },
+			select: { batch: true },
+		});
+		const priceTier = DiscountService.findPriceTier(event.priceTiers, {
+			batch: user?.batch,
+		});
 		const feeCalculation = eventService.calculateRegistrationFees({
-			registrationFee: event.registrationFee || 0,
+			registrationFee: priceTier ? priceTier.registrationFee : event.registrationFee || 0,
 			guestCount: 0,
-			guestFee: event.guestFee || 0,
+			guestFee: priceTier?.guestFee ?? (event.guestFee || 0),
 			merchandiseTotal: 0,
 			donationAmount: 0,
+			formAddOnTotal,
 		});
 
 		// Create registration with form responses in a transaction
 		const result = await prisma.$transaction(async (tx) => {
+			// Take a seat, or a waitlist place when the event is full
+			const seat = await WaitlistService.assignSeat(tx, event);
+
 			// Create registration
 			const registration = await tx.eventRegistration.create({
 				data: {
 					eventId,
 					userId,
-					status: "CONFIRMED",
+					...seat,
 					totalAmount: feeCalculation.totalAmount,
 					registrationFeePaid: feeCalculation.registrationFee,
+					formAddOnAmount: feeCalculation.formAddOnAmount,
 					paymentStatus:
 						feeCalculation.totalAmount > 0 ? "PENDING" : "COMPLETED",
 					mealPreference: event.hasMeals ? mealPreference : null,
@@ -331,7 +314,9 @@ const registerForEvent = async (req, res) => {
 					registrationId: result.id,
 					eventTitle: event.title,
 					totalAmount: feeCalculation.totalAmount,
+					formAddOns: req.formEvaluation?.addOns || [],
 					mealPreference,
+					status: result.status,
 				},
 				ipAddress: req.ip,
 				userAgent: req.get("User-Agent"),
@@ -356,6 +341,23 @@ const registerForEvent = async (req, res) => {
 			},
 		});
 
+		const isWaitlisted = result.status === "WAITLIST";
+
+		if (isWaitlisted) {
+			await WaitlistService.notifyWaitlistUpdate(result.id, WAITLIST_STEPS.JOINED);
+
+			const waitlistPosition = await WaitlistService.getPosition(result);
+			return successResponse(
+				res,
+				{
+					registration: { ...completeRegistration, waitlistPosition },
+					paymentRequired: false,
+					paymentAmount: feeCalculation.totalAmount,
+				},
+				`Event is full. You have been added to the waitlist at position ${waitlistPosition}`
+			);
+		}
+
     // ✅ Send registration confirmation email (TENANT-AWARE)
 		try {
 			const tenantCode = getTenantCode(req);
@@ -382,6 +384,10 @@ const registerForEvent = async (req, res) => {
 				registration: completeRegistration,
 				paymentRequired: feeCalculation.totalAmount > 0,
 				paymentAmount: feeCalculation.totalAmount,
+				feeBreakdown: {
+					...feeCalculation.breakdown,
+					formAddOnItems: req.formEvaluation?.addOns || [],
+				},
 			},
 			"Successfully registered for event"
 		);
@@ -389,6 +395,9 @@ const registerForEvent = async (req, res) => {
 
 	} catch (error) {
 		console.error("Register for event error:", error);
+		if (error.code === "EVENT_FULL") {
+			return errorResponse(res, error.message, error.statusCode);
+		}
 		return errorResponse(res, "Failed to register for event", 500);
 	}
 };
@@ -459,12 +468,14 @@ const getMyRegistration = async (req, res) => {
 
 		// Check if modification is allowed
 		const canModify = eventService.canModifyRegistration(registration);
+		const waitlistPosition = await WaitlistService.getPosition(registration);
 
 		return successResponse(
 			res,
 			{
 				registration: {
 					...registration,
+					waitlistPosition,
 					canModify,
 					modificationDeadline: canModify.deadline,
 				},
@@ -534,14 +545,30 @@ const updateMyRegistration = async (req, res) => {
 				updateData.mealPreference = mealPreference;
 			}
 
+			// Re-price fee add-ons from the new answers. Extra add-ons are due as a new
+			// payment; dropped ones become a donation, as with removed guests (no refunds).
+			if (req.formEvaluation) {
+				const previousAddOns = Number(registration.formAddOnAmount || 0);
+				const addOnChange = req.formEvaluation.addOnTotal - previousAddOns;
+
+				if (addOnChange > 0) {
+					updateData.formAddOnAmount = req.formEvaluation.addOnTotal;
+					updateData.totalAmount = Number(registration.totalAmount) + addOnChange;
+					updateData.paymentStatus = "PENDING";
+				} else if (addOnChange < 0) {
+					updateData.formAddOnAmount = req.formEvaluation.addOnTotal;
+					updateData.donationAmount = Number(registration.donationAmount) - addOnChange;
+				}
+			}
+
 			// Update registration
 			const updatedRegistration = await tx.eventRegistration.update({
 				where: { id: registration.id },
 				data: updateData,
 			});
 
-			// Update form responses if provided
-			if (formResponses.length > 0) {
+			// Update form responses if provided (already filtered to visible fields)
+			if (req.formEvaluation) {
 				// Delete existing responses and create new ones for simplicity
 				await tx.eventFormResponse.deleteMany({
 					where: { registrationId: registration.id },
@@ -554,9 +581,11 @@ const updateMyRegistration = async (req, res) => {
 					version: updateData.modificationCount,
 				}));
 
-				await tx.eventFormResponse.createMany({
-					data: newFormResponseData,
-				});
+				if (newFormResponseData.length > 0) {
+					await tx.eventFormResponse.createMany({
+						data: newFormResponseData,
+					});
+				}
 			}
 
 			return updatedRegistration;
@@ -572,12 +601,15 @@ const updateMyRegistration = async (req, res) => {
 					registrationId: registration.id,
 					eventTitle: registration.event.title,
 					modificationCount: result.modificationCount,
+					formAddOnAmount: result.formAddOnAmount,
 				},
 				ipAddress: req.ip,
 				userAgent: req.get("User-Agent"),
 			},
 		});
 
+		const additionalAmount = Math.max(0, Number(result.totalAmount) - Number(registration.totalAmount));
+
 		// Get updated registration with all details
 		const updatedRegistration = await prisma.eventRegistration.findUnique({
 			where: { id: registration.id },
@@ -600,6 +632,8 @@ const updateMyRegistration = async (req, res) => {
 			res,
 			{
 				registration: updatedRegistration,
+				additionalPaymentRequired: additionalAmount > 0,
+				additionalAmount,
 			},
 			"Registration updated successfully"
 		);
@@ -629,6 +663,7 @@ const cancelMyRegistration = async (req, res) => {
 						id: true,
 						title: true,
 						eventDate: true,
+						organizationId: true,
 						allowFormModification: true,
 						formModificationDeadlineHours: true,
 					},
@@ -664,6 +699,8 @@ const cancelMyRegistration = async (req, res) => {
 				where: { id: registration.id },
 				data: {
 					status: "CANCELLED",
+					waitlistPosition: null,
+					paymentDueAt: null,
 					lastModifiedAt: new Date(),
 				},
 			});
@@ -680,6 +717,11 @@ const cancelMyRegistration = async (req, res) => {
 					},
 				});
 			}
+
+			// Release their seats for auto-assignment
+			await tx.eventSeatAssignment.deleteMany({
+				where: { registrationId: registration.id },
+			});
 		});
 
 		// Log activity
@@ -692,12 +734,20 @@ const cancelMyRegistration = async (req, res) => {
 					registrationId: registration.id,
 					eventTitle: registration.event.title,
 					guestsCancelled: registration.guests.length,
+					previousStatus: registration.status,
 				},
 				ipAddress: req.ip,
 				userAgent: req.get("User-Agent"),
 			},
 		});
 
+		// A confirmed seat opened up - offer it to the waitlist, and take the
+		// event out of the calendar the confirmation invite was added to
+		if (registration.status === "CONFIRMED") {
+			await WaitlistService.queuePromotion(eventId, registration.event.organizationId);
+			await CalendarUpdateService.sendRegistrationCancellation(userId, eventId);
+		}
+
 		return successResponse(res, null, "Registration cancelled successfully");
 	} catch (error) {
 		console.error("Cancel my registration error:", error);
@@ -0,0 +1,206 @@
+// src/controllers/eventSeating.controller.js
+const { prisma } = require('../../config/database');
+const { successResponse, errorResponse } = require('../../utils/response');
+const { getTenantFilter } = require('../../utils/tenant.util');
+const { SeatingService } = require('../../services/event/seating.service');
+const QRCodeService = require('../../services/qr/QRCodeService');
+
+const logSeatingActivity = (req, action, event, details = {}) =>
+  prisma.activityLog.create({
+    data: {
+      userId: req.user.id,
+      action,
+      details: {
+        eventId: event.id,
+        eventTitle: event.title,
+        ...details,
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+    },
+  });
+
+// Get seating layout with tables, seated and unseated attendees (Super Admin only)
+const getSeatingLayout = async (req, res) => {
+  try {
+    const event = await SeatingService.findEvent(req.params.eventId, getTenantFilter(req));
+    const layout = await SeatingService.getLayout(event.id);
+
+    return successResponse(res, { event, ...layout }, 'Seating layout retrieved successfully');
+
+  } catch (error) {
+    console.error('Get seating layout error:', error);
+    return errorResponse(res, error.statusCode ? error.message : 'Failed to retrieve seating layout', error.statusCode || 500);
+  }
+};
+
+// Add seating table (Super Admin only)
+const addSeatingTable = async (req, res) => {
+  try {
+    const event = await SeatingService.findEvent(req.params.eventId, getTenantFilter(req));
+    const table = await SeatingService.createTable(event.id, req.body);
+
+    await logSeatingActivity(req, 'seating_table_create', event, { tableId: table.id, tableName: table.name });
+
+    return successResponse(res, { table }, 'Seating table added successfully', 201);
+
+  } catch (error) {
+    console.error('Add seating table error:', error);
+    return errorResponse(res, error.statusCode ? error.message : 'Failed to add seating table', error.statusCode || 500);
+  }
+};
+
+// Update seating table (Super Admin only)
+const updateSeatingTable = async (req, res) => {
+  const { eventId, tableId } = req.params;
+
+  try {
+    const event = await SeatingService.findEvent(eventId, getTenantFilter(req));
+    const table = await SeatingService.updateTable(event.id, tableId, req.body);
+
+    await logSeatingActivity(req, 'seating_table_update', event, {
+      tableId: table.id,
+      tableName: table.name,
+      changes: req.body,
+    });
+
+    return successResponse(res, { table }, 'Seating table updated successfully');
+
+  } catch (error) {
+    console.error('Update seating table error:', error);
+    return errorResponse(res, error.statusCode ? error.message : 'Failed to update seating table', error.statusCode || 500);
+  }
+};
+
+// Delete seating table; its attendees become unseated (Super Admin only)
+const deleteSeatingTable = async (req, res) => {
+  const { eventId, tableId } = req.params;
+
+  try {
+    const event = await SeatingService.findEvent(eventId, getTenantFilter(req));
+    const { table, registrationIds } = await SeatingService.deleteTable(event.id, tableId);
+
+    await QRCodeService.refreshSeating(registrationIds);
+    await logSeatingActivity(req, 'seating_table_delete', event, {
+      tableId: table.id,
+      tableName: table.name,
+      unseated: table.seats.length,
+    });
+
+    return successResponse(res, { unseated: table.seats.length }, 'Seating table deleted successfully');
+
+  } catch (error) {
+    console.error('Delete seating table error:', error);
+    return errorResponse(res, error.statusCode ? error.message : 'Failed to delete seating table', error.statusCode || 500);
+  }
+};
+
+// Auto-assign seats, keeping batchmates and their guests together (Super Admin only)
+const autoAssignSeats = async (req, res) => {
+  try {
+    const event = await SeatingService.findEvent(req.params.eventId, getTenantFilter(req));
+    const result = await SeatingService.autoAssign(event.id, {
+      reset: req.body.reset,
+      assignedBy: req.user.id,
+    });
+
+    await QRCodeService.refreshSeating(result.registrationIds);
+    await logSeatingActivity(req, 'seating_auto_assign', event, {
+      reset: req.body.reset,
+      assigned: result.assigned,
+      released: result.released,
+      split: result.split.length,
+      unseated: result.unseated.length,
+    });
+
+    const layout = await SeatingService.getLayout(event.id);
+
+    return successResponse(res, {
+      assigned: result.assigned,
+      released: result.released,
+      splitParties: result.split,
+      unseated: result.unseated,
+      layout,
+    }, result.unseated.length > 0
+      ? `Seats assigned; ${result.unseated.length} attendee(s) could not be seated`
+      : 'Seats assigned successfully');
+
+  } catch (error) {
+    console.error('Auto-assign seats error:', error);
+    return errorResponse(res, error.statusCode ? error.message : 'Failed to assign seats', error.statusCode || 500);
+  }
+};
+
+// Move attendees to tables/seats from the layout editor (Super Admin only)
+const moveSeats = async (req, res) => {
+  const { moves, lock } = req.body;
+
+  try {
+    const event = await SeatingService.findEvent(req.params.eventId, getTenantFilter(req));
+    const result = await SeatingService.moveSeats(event.id, moves, { lock, assignedBy: req.user.id });
+
+    await QRCodeService.refreshSeating(result.registrationIds);
+    await logSeatingActivity(req, 'seating_move', event, { moves, unseated: result.unseated });
+
+    const layout = await SeatingService.getLayout(event.id);
+
+    return successResponse(res, { unseated: result.unseated, layout }, 'Seats updated successfully');
+
+  } catch (error) {
+    console.error('Move seats error:', error);
+    return errorResponse(res, error.statusCode ? error.message : 'Failed to update seats', error.statusCode || 500);
+  }
+};
+
+// Remove an attendee from their seat (Super Admin only)
+const unassignSeat = async (req, res) => {
+  const { eventId, assignmentId } = req.params;
+
+  try {
+    const event = await SeatingService.findEvent(eventId, getTenantFilter(req));
+    const assignment = await SeatingService.unassignSeat(event.id, assignmentId);
+
+    await QRCodeService.refreshSeating([assignment.registrationId]);
+    await logSeatingActivity(req, 'seating_unassign', event, {
+      registrationId: assignment.registrationId,
+      guestId: assignment.guestId,
+    });
+
+    return successResponse(res, null, 'Seat unassigned successfully');
+
+  } catch (error) {
+    console.error('Unassign seat error:', error);
+    return errorResponse(res, error.statusCode ? error.message : 'Failed to unassign seat', error.statusCode || 500);
+  }
+};
+
+// Download printable seating chart as PDF or CSV (Super Admin only)
+const exportSeatingChart = async (req, res) => {
+  try {
+    const tenantFilter = getTenantFilter(req);
+    const file = req.query.format === 'csv'
+      ? await SeatingService.exportChartCSV(req.params.eventId, tenantFilter)
+      : await SeatingService.exportChartPDF(req.params.eventId, tenantFilter);
+
+    res.setHeader('Content-Type', file.mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    res.setHeader('Content-Length', file.buffer.length);
+
+    return res.send(file.buffer);
+
+  } catch (error) {
+    console.error('Export seating chart error:', error);
+    return errorResponse(res, error.statusCode ? error.message : 'Failed to export seating chart', error.statusCode || 500);
+  }
+};
+
+module.exports = {
+  getSeatingLayout,
+  addSeatingTable,
+  updateSeatingTable,
+  deleteSeatingTable,
+  autoAssignSeats,
+  moveSeats,
+  unassignSeat,
+  exportSeatingChart,
+};
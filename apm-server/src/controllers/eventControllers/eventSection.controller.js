@@ -1,7 +1,7 @@
 // src/controllers/eventSection.controller.js
 const { prisma } = require('../../config/database');
 const { successResponse, errorResponse } = require('../../utils/response');
-const { getTenantFilter, getTenantData } = require('../../utils/tenant.util');
+const { getTenantFilter } = require('../../utils/tenant.util');
 
 // Add section to event (Super Admin only)
 const addEventSection = async (req, res) => {
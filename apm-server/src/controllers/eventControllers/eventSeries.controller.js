@@ -0,0 +1,212 @@
+// src/controllers/eventSeries.controller.js
+const { prisma } = require('../../config/database');
+const { successResponse, errorResponse } = require('../../utils/response');
+const { getTenantFilter, getTenantData } = require('../../utils/tenant.util');
+const { EventSeriesService } = require('../../services/event/eventSeries.service');
+
+const logSeriesActivity = (req, action, series, details = {}) =>
+  prisma.activityLog.create({
+    data: {
+      userId: req.user.id,
+      action,
+      details: {
+        seriesId: series.id,
+        seriesTitle: series.title,
+        ...details,
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+    },
+  });
+
+// Get all event series (Super Admin only)
+const getAllSeries = async (req, res) => {
+  try {
+    const series = await EventSeriesService.listSeries(getTenantFilter(req));
+
+    return successResponse(res, { series }, 'Event series retrieved successfully');
+
+  } catch (error) {
+    console.error('Get event series error:', error);
+    return errorResponse(res, 'Failed to retrieve event series', 500);
+  }
+};
+
+// Get series with occurrences (Super Admin only)
+const getSeriesById = async (req, res) => {
+  const { seriesId } = req.params;
+
+  try {
+    const series = await EventSeriesService.getSeries(seriesId, getTenantFilter(req));
+
+    return successResponse(res, { series }, 'Event series retrieved successfully');
+
+  } catch (error) {
+    console.error('Get event series error:', error);
+    return errorResponse(res, error.statusCode ? error.message : 'Failed to retrieve event series', error.statusCode || 500);
+  }
+};
+
+// Create series from a template event (Super Admin only)
+const createSeries = async (req, res) => {
+  try {
+    const { series, created } = await EventSeriesService.createSeries(
+      req.body,
+      req.user.id,
+      getTenantFilter(req),
+      getTenantData(req)
+    );
+
+    await logSeriesActivity(req, 'event_series_create', series, {
+      templateEventId: series.templateEventId,
+      frequency: series.frequency,
+      occurrencesCreated: created.length,
+    });
+
+    return successResponse(
+      res,
+      { series, occurrences: created },
+      `Event series created with ${created.length} upcoming occurrences`,
+      201
+    );
+
+  } catch (error) {
+    console.error('Create event series error:', error);
+    return errorResponse(res, error.statusCode ? error.message : 'Failed to create event series', error.statusCode || 500);
+  }
+};
+
+// Update series rule or settings (Super Admin only)
+const updateSeries = async (req, res) => {
+  const { seriesId } = req.params;
+
+  try {
+    const result = await EventSeriesService.updateSeries(seriesId, req.body, getTenantFilter(req));
+
+    await logSeriesActivity(req, 'event_series_update', result.series, {
+      changes: Object.keys(req.body),
+      occurrencesRemoved: result.removed,
+      occurrencesCreated: result.created.length,
+    });
+
+    return successResponse(res, result, 'Event series updated successfully');
+
+  } catch (error) {
+    console.error('Update event series error:', error);
+    return errorResponse(res, error.statusCode ? error.message : 'Failed to update event series', error.statusCode || 500);
+  }
+};
+
+// Apply template changes to upcoming occurrences (Super Admin only)
+const syncSeriesFromTemplate = async (req, res) => {
+  const { seriesId } = req.params;
+
+  try {
+    const series = await EventSeriesService.findSeries(seriesId, getTenantFilter(req));
+    const summary = await EventSeriesService.syncFromTemplate(seriesId, getTenantFilter(req));
+
+    await logSeriesActivity(req, 'event_series_sync', series, summary);
+
+    return successResponse(res, summary, `Template applied to ${summary.updated} upcoming occurrences`);
+
+  } catch (error) {
+    console.error('Sync event series error:', error);
+    return errorResponse(res, error.statusCode ? error.message : 'Failed to apply series template', error.statusCode || 500);
+  }
+};
+
+// Generate occurrences now instead of waiting for the daily run (Super Admin only)
+const generateOccurrences = async (req, res) => {
+  const { seriesId } = req.params;
+
+  try {
+    await EventSeriesService.findSeries(seriesId, getTenantFilter(req));
+    const { created, generatedUntil } = await EventSeriesService.generateOccurrences(seriesId);
+
+    return successResponse(
+      res,
+      { occurrences: created, generatedUntil },
+      `${created.length} occurrences created`
+    );
+
+  } catch (error) {
+    console.error('Generate occurrences error:', error);
+    return errorResponse(res, error.statusCode ? error.message : 'Failed to generate occurrences', error.statusCode || 500);
+  }
+};
+
+// Cancel a single occurrence (Super Admin only)
+const cancelOccurrence = async (req, res) => {
+  const { seriesId } = req.params;
+
+  try {
+    const series = await EventSeriesService.findSeries(seriesId, getTenantFilter(req));
+    const result = await EventSeriesService.cancelOccurrence(seriesId, req.body, getTenantFilter(req));
+
+    await logSeriesActivity(req, 'event_series_occurrence_cancel', series, {
+      eventId: result.occurrence?.id || null,
+      occurrenceDate: result.occurrence?.occurrenceDate || result.excludedDate,
+      reason: req.body.reason || null,
+      registrantsNotified: result.notified,
+    });
+
+    return successResponse(
+      res,
+      result,
+      result.occurrence
+        ? `Occurrence cancelled; ${result.notified} registrants notified`
+        : 'Date removed from the series'
+    );
+
+  } catch (error) {
+    console.error('Cancel occurrence error:', error);
+    return errorResponse(res, error.statusCode ? error.message : 'Failed to cancel occurrence', error.statusCode || 500);
+  }
+};
+
+// Delete series (Super Admin only)
+const deleteSeries = async (req, res) => {
+  const { seriesId } = req.params;
+
+  try {
+    const series = await EventSeriesService.findSeries(seriesId, getTenantFilter(req));
+    const result = await EventSeriesService.deleteSeries(seriesId, getTenantFilter(req));
+
+    await prisma.auditLog.create({
+      data: {
+        actorId: req.user.id,
+        action: 'event_series_delete',
+        entityType: 'EventSeries',
+        entityId: seriesId,
+        oldValues: {
+          title: series.title,
+          templateEventId: series.templateEventId,
+          occurrencesRemoved: result.removed,
+          occurrencesDetached: result.detached,
+        },
+        newValues: null,
+      },
+    });
+
+    return successResponse(
+      res,
+      result,
+      `Event series deleted; ${result.detached} occurrences kept as standalone events`
+    );
+
+  } catch (error) {
+    console.error('Delete event series error:', error);
+    return errorResponse(res, error.statusCode ? error.message : 'Failed to delete event series', error.statusCode || 500);
+  }
+};
+
+module.exports = {
+  getAllSeries,
+  getSeriesById,
+  createSeries,
+  updateSeries,
+  syncSeriesFromTemplate,
+  generateOccurrences,
+  cancelOccurrence,
+  deleteSeries,
+};
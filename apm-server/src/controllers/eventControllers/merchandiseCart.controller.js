@@ -1,8 +1,8 @@
 // src/controllers/eventControllers/merchandiseCart.controller.js
 const { prisma } = require("../../config/database");
 const { successResponse, errorResponse } = require("../../utils/response");
-const EventService = require("../../services/event/event.service");
-const { getTenantFilter, getTenantData } = require('../../utils/tenant.util');
+const emailManager = require("../../services/email/EmailManager");
+const { getTenantFilter } = require('../../utils/tenant.util');
 
 // Add item to cart (Authenticated users)
 const addToCart = async (req, res) => {
@@ -527,7 +527,7 @@ const checkoutCart = async (req, res) => {
 
         const orderData = {
           items: cartItems,
-          totalAmount: totalOrderAmount,
+          totalAmount,
           orderDate: new Date()
         };
 
@@ -566,7 +566,6 @@ const checkoutCart = async (req, res) => {
 
 // Get user's orders (Authenticated users)
 const getMyOrders = async (req, res) => {
-	const { eventId } = req.params;
 	const registration = req.userRegistration;
 
 	try {
@@ -1,5 +1,5 @@
 // src/controllers/export/ExportController.js
-const { successResponse, errorResponse } = require('../../utils/response');
+const { errorResponse } = require('../../utils/response');
 const ExportService = require('../../services/export/ExportService');
 const { prisma } = require('../../config/database');
 
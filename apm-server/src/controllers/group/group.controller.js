@@ -1,11 +1,9 @@
 // src/controllers/group.controller.js
-const { PrismaClient } = require("@prisma/client");
+const { prisma } = require("../../config/database");
 const { successResponse, errorResponse } = require("../../utils/response");
 const { CacheService } = require("../../config/redis");
 const { getTenantFilter, getTenantData } = require("../../utils/tenant.util");
 
-const prisma = new PrismaClient();
-
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
@@ -277,7 +275,7 @@ const createGroup = async (req, res) => {
 		let finalDisplayOrder = displayOrder;
 		if (finalDisplayOrder === undefined) {
 			const lastGroup = await prisma.organizationGroup.findFirst({
-				where: { type },
+				where: { type, ...getTenantFilter(req) },
 				orderBy: { displayOrder: "desc" },
 				select: { displayOrder: true },
 			});
@@ -988,7 +986,7 @@ const bulkMemberOperations = async (req, res) => {
 				const { userId, role } = memberData;
 
 				switch (action) {
-					case "add":
+					case "add": {
 						const existingMember = await prisma.groupMember.findUnique({
 							where: { groupId_userId: { groupId, userId } },
 						});
@@ -1005,6 +1003,7 @@ const bulkMemberOperations = async (req, res) => {
 						}
 						results.successful.push({ userId, action: "added", role });
 						break;
+					}
 
 					case "remove":
 						await prisma.groupMember.updateMany({
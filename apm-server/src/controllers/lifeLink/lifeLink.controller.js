@@ -1,13 +1,13 @@
 // src/controllers/lifelink.controller.js
 // LifeLink Network Controller - Following established patterns
 
-const { PrismaClient } = require('@prisma/client');
+const { prisma } = require('../../config/database');
 const { successResponse, errorResponse } = require('../../utils/response');
 const { CacheService } = require('../../config/redis');
 const BloodCompatibilityService = require('../../services/lifeLink/blood-compatibility.service');
-const { getTenantFilter, getTenantData, withTenant } = require('../../utils/tenant.util');
-
-const prisma = new PrismaClient();
+const GeocodingService = require('../../services/lifeLink/geocoding.service');
+const DonorMatchingService = require('../../services/lifeLink/donor-matching.service');
+const { getTenantFilter, getTenantData } = require('../../utils/tenant.util');
 
 // ============================================
 // HELPER FUNCTIONS
@@ -492,9 +492,22 @@ const createRequisition = async (req, res) => {
       location,
       additionalNotes,
       requiredByDate,
-      allowContactReveal
+      allowContactReveal,
+      latitude,
+      longitude
     } = req.body;
 
+    // Admins may drop a pin; otherwise place the location using the offline gazetteer
+    let coordinates = {};
+    if (req.user.role === 'SUPER_ADMIN' && GeocodingService.hasCoordinates({ latitude, longitude })) {
+      coordinates = { latitude, longitude, geoSource: 'PIN' };
+    } else {
+      const match = await GeocodingService.geocodeText(location);
+      if (match) {
+        coordinates = { latitude: match.latitude, longitude: match.longitude, geoSource: 'GAZETTEER' };
+      }
+    }
+
     // Calculate expiry (default: 3 days or required by date, whichever is earlier)
     const now = new Date();
     const defaultExpiry = new Date(now.getTime() + (3 * 24 * 60 * 60 * 1000)); // 3 days
@@ -519,6 +532,7 @@ const createRequisition = async (req, res) => {
           requiredByDate: requiredBy,
           expiresAt,
           allowContactReveal: allowContactReveal !== false,
+          ...coordinates,
           ...getTenantData(req)
         }
       });
@@ -551,6 +565,9 @@ const createRequisition = async (req, res) => {
       unitsNeeded: result.unitsNeeded,
       urgencyLevel: result.urgencyLevel,
       location: result.location,
+      latitude: result.latitude,
+      longitude: result.longitude,
+      isLocated: GeocodingService.hasCoordinates(result),
       requiredByDate: result.requiredByDate,
       expiresAt: result.expiresAt,
       status: result.status,
@@ -571,14 +588,18 @@ const createRequisition = async (req, res) => {
  */
 const searchDonors = async (req, res) => {
   try {
-    const { requiredBloodGroup, location, limit = 50 } = req.body;
+    const { requiredBloodGroup, location, latitude, longitude, radiusKm, limit = 50 } = req.body;
 
-    const availableDonors = await BloodCompatibilityService.findAvailableDonors(
+    // Ranked by distance + eligibility when the location can be placed, text match otherwise
+    const { donors: availableDonors, origin, radiusKm: searchRadiusKm, matchedBy } = await DonorMatchingService.searchDonors({
       requiredBloodGroup,
       location,
-      parseInt(limit),
-      getTenantFilter(req)
-    );
+      latitude,
+      longitude,
+      radiusKm,
+      limit: parseInt(limit),
+      tenantFilter: getTenantFilter(req)
+    });
 
     // Cache the result
     if (req.cacheKey && req.cacheTTL) {
@@ -591,7 +612,10 @@ const searchDonors = async (req, res) => {
       searchCriteria: {
         requiredBloodGroup,
         location,
-        limit: parseInt(limit)
+        limit: parseInt(limit),
+        origin,
+        radiusKm: searchRadiusKm,
+        matchedBy
       },
       summary: {
         totalFound: availableDonors.length,
@@ -734,6 +758,46 @@ const notifyAllDonors = async (req, res) => {
       return errorResponse(res, 'Can only broadcast for active requisitions', 400);
     }
 
+    // Located requisitions notify the nearest ring first and widen outward over time
+    const broadcast = await DonorMatchingService.broadcastRing(requisition, 0, customMessage);
+
+    if (broadcast) {
+      if (broadcast.notified === 0) {
+        return errorResponse(res, `No eligible donors found within ${broadcast.radiusKm} km`, 404);
+      }
+
+      await prisma.activityLog.create({
+        data: {
+          userId,
+          action: 'lifelink_broadcast_sent',
+          details: {
+            requisitionId,
+            donorCount: broadcast.notified,
+            notificationsSent: broadcast.notificationResult.genericNotifications,
+            area: requisition.location,
+            bloodGroup: requisition.requiredBloodGroup,
+            radiusKm: broadcast.radiusKm
+          },
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent')
+        }
+      });
+
+      return successResponse(res, {
+        requisitionId,
+        notificationResult: broadcast.notificationResult,
+        broadcastSummary: {
+          totalEligibleDonors: broadcast.notified,
+          notificationsSent: broadcast.notificationResult.genericNotifications,
+          area: requisition.location,
+          bloodGroup: requisition.requiredBloodGroup,
+          radiusKm: broadcast.radiusKm,
+          ring: broadcast.ring,
+          willWiden: !broadcast.exhausted
+        }
+      }, `Emergency broadcast sent to ${broadcast.notified} donors within ${broadcast.radiusKm} km`);
+    }
+
     // Find all available donors in the area with tenant filter
     const availableDonors = await BloodCompatibilityService.findAvailableDonors(
       requisition.requiredBloodGroup,
@@ -799,7 +863,7 @@ const notifyAllDonors = async (req, res) => {
 const discoverRequisitions = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { urgencyLevel, maxDistance, limit = 20, page = 1 } = req.query;
+    const { urgencyLevel, limit = 20, page = 1 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     // Get user's blood group and location (optional - for compatibility info)
@@ -811,9 +875,10 @@ const discoverRequisitions = async (req, res) => {
           select: {
             city: true,
             state: true,
-            addressType: true
-          },
-          take: 1
+            addressType: true,
+            latitude: true,
+            longitude: true
+          }
         }
       }
     });
@@ -910,7 +975,8 @@ const discoverRequisitions = async (req, res) => {
           message: 'Please update your blood group to see if you can help'
         },
 
-        // Distance calculation (simplified - you might want to use a proper distance API)
+        // Road distance isn't known offline; straight-line km when both sides are located
+        distanceKm: DonorMatchingService.distanceToRequisition(donor.addresses, req),
         distance: donorLocation && seekerLocation ?
           `${donorLocation.city}, ${donorLocation.state}` === `${seekerLocation.city}, ${seekerLocation.state}` ? 'Same city' : 'Different city'
           : 'Location not specified',
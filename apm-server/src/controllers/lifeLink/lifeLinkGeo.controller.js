@@ -0,0 +1,165 @@
+// src/controllers/lifeLink/lifeLinkGeo.controller.js
+// LifeLink Network - Admin geocoding: gazetteer entries, map pins and backfill
+
+const { prisma } = require('../../config/database');
+const { successResponse, errorResponse } = require('../../utils/response');
+const GeocodingService = require('../../services/lifeLink/geocoding.service');
+const { getTenantFilter } = require('../../utils/tenant.util');
+
+/**
+ * Search the offline gazetteer
+ * GET /api/lifelink/admin/geo/places?q=
+ * Access: SUPER_ADMIN
+ */
+const searchGeoPlaces = async (req, res) => {
+  try {
+    const { q = '', limit = 20 } = req.query;
+    const places = await GeocodingService.searchPlaces(q, parseInt(limit));
+
+    return successResponse(res, { places, total: places.length }, `Found ${places.length} places`);
+  } catch (error) {
+    console.error('Search geo places error:', error);
+    return errorResponse(res, 'Failed to search places', 500);
+  }
+};
+
+/**
+ * Add a place to the gazetteer (areas the import doesn't cover)
+ * POST /api/lifelink/admin/geo/places
+ * Access: SUPER_ADMIN
+ */
+const addGeoPlace = async (req, res) => {
+  try {
+    const place = await GeocodingService.addPlace(req.body);
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'lifelink_geo_place_added',
+        details: { placeId: place.id, name: place.name, state: place.state },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }
+    });
+
+    return successResponse(res, place, 'Place added to gazetteer', 201);
+  } catch (error) {
+    console.error('Add geo place error:', error);
+    return errorResponse(res, 'Failed to add place', 500);
+  }
+};
+
+/**
+ * Pin a requisition's location on the map
+ * PUT /api/lifelink/admin/requisitions/:requisitionId/location
+ * Access: SUPER_ADMIN
+ */
+const setRequisitionLocation = async (req, res) => {
+  try {
+    const { requisitionId } = req.params;
+    const { latitude, longitude } = req.body;
+
+    const requisition = await prisma.bloodRequisition.findFirst({
+      where: { id: requisitionId, ...getTenantFilter(req) },
+      select: { id: true }
+    });
+
+    if (!requisition) {
+      return errorResponse(res, 'Blood requisition not found', 404);
+    }
+
+    const updated = await prisma.bloodRequisition.update({
+      where: { id: requisitionId },
+      data: { latitude, longitude, geoSource: 'PIN' },
+      select: { id: true, location: true, latitude: true, longitude: true, geoSource: true }
+    });
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'lifelink_requisition_pinned',
+        details: { requisitionId, latitude, longitude },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }
+    });
+
+    return successResponse(res, updated, 'Requisition location pinned');
+  } catch (error) {
+    console.error('Set requisition location error:', error);
+    return errorResponse(res, 'Failed to set requisition location', 500);
+  }
+};
+
+/**
+ * Pin a member's address on the map (kept until the address text changes)
+ * PUT /api/lifelink/admin/users/:userId/addresses/:addressType/location
+ * Access: SUPER_ADMIN
+ */
+const setAddressLocation = async (req, res) => {
+  try {
+    const { userId, addressType } = req.params;
+    const { latitude, longitude } = req.body;
+
+    const address = await prisma.userAddress.findFirst({
+      where: {
+        userId,
+        addressType: addressType.toUpperCase(),
+        user: { ...getTenantFilter(req) }
+      },
+      select: { id: true }
+    });
+
+    if (!address) {
+      return errorResponse(res, 'Address not found', 404);
+    }
+
+    const updated = await prisma.userAddress.update({
+      where: { id: address.id },
+      data: { latitude, longitude, geoSource: 'PIN', geocodedAt: new Date() }
+    });
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'lifelink_address_pinned',
+        details: { targetUserId: userId, addressType: updated.addressType, latitude, longitude },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }
+    });
+
+    return successResponse(res, updated, 'Address location pinned');
+  } catch (error) {
+    console.error('Set address location error:', error);
+    return errorResponse(res, 'Failed to set address location', 500);
+  }
+};
+
+/**
+ * Geocode addresses and active requisitions that have no coordinates yet
+ * POST /api/lifelink/admin/geo/backfill
+ * Access: SUPER_ADMIN
+ */
+const backfillCoordinates = async (req, res) => {
+  try {
+    const summary = await GeocodingService.backfill(getTenantFilter(req));
+
+    return successResponse(
+      res,
+      summary,
+      `Located ${summary.addresses} addresses and ${summary.requisitions} requisitions`
+    );
+  } catch (error) {
+    console.error('Backfill coordinates error:', error);
+    return errorResponse(res, 'Failed to geocode records', 500);
+  }
+};
+
+module.exports = {
+  searchGeoPlaces,
+  addGeoPlace,
+  setRequisitionLocation,
+  setAddressLocation,
+  backfillCoordinates
+};
@@ -1,7 +1,6 @@
 // src/controllers/membership.controller.js
 const MembershipService = require('../../services/membership/membership.service');
 const PaymentService = require('../../services/payment/PaymentService');
-const { prisma } = require('../../config/database');
 const { successResponse, errorResponse } = require('../../utils/response');
 
 /**
@@ -2,6 +2,7 @@
 const MembershipService = require("../../services/membership/membership.service");
 const MembershipAdminService = require("../../services/membership/membershipAdmin.service");
 const { prisma } = require("../../config/database");
+const { Prisma } = require("@prisma/client");
 const {
 	successResponse,
 	errorResponse,
@@ -17,7 +18,7 @@ const { CacheService } = require("../../config/redis");
 const setBatchMembershipSettings = async (req, res) => {
 	try {
 		const { batchYear } = req.params;
-		const { membershipFee, membershipYear, description } = req.body;
+		const { membershipFee, currencyFees, membershipYear, description } = req.body;
 		const currentYear = membershipYear || new Date().getFullYear();
 
 		const setting = await prisma.batchMembershipSettings.upsert({
@@ -29,12 +30,14 @@ const setBatchMembershipSettings = async (req, res) => {
 			},
 			update: {
 				membershipFee,
+				currencyFees: currencyFees || Prisma.DbNull,
 				description,
 				isActive: true,
 			},
 			create: {
 				batchYear,
 				membershipFee,
+				currencyFees: currencyFees || undefined,
 				membershipYear: currentYear,
 				description,
 				createdBy: req.user.id,
@@ -60,19 +63,21 @@ const setBatchMembershipSettings = async (req, res) => {
  */
 const setGlobalMembershipSettings = async (req, res) => {
 	try {
-		const { membershipFee, membershipYear, applyToAll, description } = req.body;
+		const { membershipFee, currencyFees, membershipYear, applyToAll, description } = req.body;
 		const currentYear = membershipYear || new Date().getFullYear();
 
 		const setting = await prisma.globalMembershipSettings.upsert({
 			where: { membershipYear: currentYear },
 			update: {
 				membershipFee,
+				currencyFees: currencyFees || Prisma.DbNull,
 				applyToAll,
 				description,
 				isActive: true,
 			},
 			create: {
 				membershipFee,
+				currencyFees: currencyFees || undefined,
 				membershipYear: currentYear,
 				applyToAll,
 				description,
@@ -429,7 +434,7 @@ const updateUserMembershipStatus = async (req, res) => {
 		const oldStatus = user.membershipStatus;
 
 		// Update user status
-		const updatedUser = await prisma.user.update({
+		await prisma.user.update({
 			where: { id: userId },
 			data: { membershipStatus: status },
 		});
@@ -518,21 +523,7 @@ const sendMembershipReminders = async (req, res) => {
 			try {
 				const feeInfo = await MembershipService.getMembershipFee(user.batch);
 
-				// You'll need to implement this email template
-				const emailData = {
-					to: user.email,
-					subject: "🔔 Membership Renewal Reminder",
-					template: "membership_reminder",
-					data: {
-						userName: user.fullName,
-						membershipYear: new Date().getFullYear(),
-						membershipFee: feeInfo.fee,
-						batchYear: user.batch,
-						renewalUrl: `${process.env.FRONTEND_URL}/membership/pay`,
-					},
-				};
-
-				// await EmailService.send(emailData);
+				// No membership_reminder email template yet; the reminder is only logged for now
 				emailsSent++;
 
 				// Log reminder sent
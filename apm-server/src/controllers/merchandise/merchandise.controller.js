@@ -3,6 +3,7 @@
 
 const MerchandiseService = require('../../services/merchandise/merchandise.service');
 const { prisma } = require('../../config/database');
+const { getTenantFilter, getTenantData, getOrganizationId } = require('../../utils/tenant.util');
 const {
   successResponse,
   errorResponse,
@@ -22,7 +23,7 @@ const getMerchandiseCatalog = async (req, res) => {
     const { search, category, includeInactive } = req.query;
 
     // Build where clause
-    let whereClause = {};
+    let whereClause = { ...getTenantFilter(req) };
     
     // Only show active items for public access
     if (includeInactive !== 'true') {
@@ -96,8 +97,8 @@ const getMerchandiseDetails = async (req, res) => {
   try {
     const { merchandiseId } = req.params;
 
-    const merchandise = await prisma.merchandise.findUnique({
-      where: { id: merchandiseId },
+    const merchandise = await prisma.merchandise.findFirst({
+      where: { id: merchandiseId, ...getTenantFilter(req) },
       select: {
         id: true,
         name: true,
@@ -165,7 +166,8 @@ const createMerchandise = async (req, res) => {
     // Check if merchandise with same name already exists
     const existingMerchandise = await prisma.merchandise.findFirst({
       where: { 
-        name: { equals: name, mode: 'insensitive' }
+        name: { equals: name, mode: 'insensitive' },
+        ...getTenantFilter(req)
       }
     });
 
@@ -185,7 +187,8 @@ const createMerchandise = async (req, res) => {
         availableSizes: availableSizes || ['FREE_SIZE'],
         category,
         isActive: isActive !== undefined ? isActive : true,
-        createdBy
+        createdBy,
+        ...getTenantData(req)
       },
       include: {
         creator: {
@@ -209,7 +212,7 @@ const createMerchandise = async (req, res) => {
     });
 
     // Clear merchandise caches
-    await MerchandiseService.clearMerchandiseCaches();
+    await MerchandiseService.clearMerchandiseCaches(null, getOrganizationId(req));
 
     return successResponse(
       res,
@@ -236,8 +239,8 @@ const updateMerchandise = async (req, res) => {
     const updatedBy = req.user.id;
 
     // Get current merchandise
-    const currentMerchandise = await prisma.merchandise.findUnique({
-      where: { id: merchandiseId }
+    const currentMerchandise = await prisma.merchandise.findFirst({
+      where: { id: merchandiseId, ...getTenantFilter(req) }
     });
 
     if (!currentMerchandise) {
@@ -252,7 +255,8 @@ const updateMerchandise = async (req, res) => {
       const existingMerchandise = await prisma.merchandise.findFirst({
         where: { 
           name: { equals: updateData.name, mode: 'insensitive' },
-          id: { not: merchandiseId }
+          id: { not: merchandiseId },
+          ...getTenantFilter(req)
         }
       });
 
@@ -288,7 +292,7 @@ const updateMerchandise = async (req, res) => {
     });
 
     // Clear merchandise caches
-    await MerchandiseService.clearMerchandiseCaches(merchandiseId);
+    await MerchandiseService.clearMerchandiseCaches(merchandiseId, getOrganizationId(req));
 
     return successResponse(
       res,
@@ -313,8 +317,8 @@ const deleteMerchandise = async (req, res) => {
     const deletedBy = req.user.id;
 
     // Check if merchandise exists
-    const merchandise = await prisma.merchandise.findUnique({
-      where: { id: merchandiseId },
+    const merchandise = await prisma.merchandise.findFirst({
+      where: { id: merchandiseId, ...getTenantFilter(req) },
       select: { 
         id: true, 
         name: true,
@@ -379,7 +383,7 @@ const deleteMerchandise = async (req, res) => {
     });
 
     // Clear merchandise caches
-    await MerchandiseService.clearMerchandiseCaches(merchandiseId);
+    await MerchandiseService.clearMerchandiseCaches(merchandiseId, getOrganizationId(req));
 
     return successResponse(
       res,
@@ -407,11 +411,12 @@ const updateMerchandiseStock = async (req, res) => {
     const updatedMerchandise = await MerchandiseService.updateStock(
       merchandiseId, 
       stock, 
-      adminId
+      adminId,
+      getOrganizationId(req)
     );
 
     // Clear stock-related caches
-    await MerchandiseService.clearMerchandiseCaches(merchandiseId);
+    await MerchandiseService.clearMerchandiseCaches(merchandiseId, getOrganizationId(req));
 
     return successResponse(
       res,
@@ -452,8 +457,8 @@ const uploadMerchandiseImages = async (req, res) => {
     const files = req.files;
 
     // Check if merchandise exists
-    const merchandise = await prisma.merchandise.findUnique({
-      where: { id: merchandiseId },
+    const merchandise = await prisma.merchandise.findFirst({
+      where: { id: merchandiseId, ...getTenantFilter(req) },
       select: { id: true, name: true, images: true }
     });
 
@@ -502,7 +507,7 @@ const uploadMerchandiseImages = async (req, res) => {
     });
 
     // Clear merchandise caches
-    await MerchandiseService.clearMerchandiseCaches(merchandiseId);
+    await MerchandiseService.clearMerchandiseCaches(merchandiseId, getOrganizationId(req));
 
     return successResponse(
       res,
@@ -536,7 +541,8 @@ const getMerchandiseAnalytics = async (req, res) => {
     const analytics = await MerchandiseService.getMerchandiseAnalytics({
       startDate,
       endDate,
-      category
+      category,
+      organizationId: getOrganizationId(req)
     });
 
     return successResponse(
@@ -2,7 +2,9 @@
 // Admin Controller for Standalone Merchandise Management
 
 const { prisma } = require('../../config/database');
+const { Prisma } = require('@prisma/client');
 const MerchandiseService = require('../../services/merchandise/merchandise.service');
+const { getTenantFilter, getTenantData, getOrganizationId } = require('../../utils/tenant.util');
 const { 
   successResponse, 
   errorResponse, 
@@ -21,6 +23,7 @@ const createMerchandise = async (req, res) => {
       name,
       description,
       price,
+      currencyPrices,
       category,
       availableSizes,
       stock,
@@ -36,13 +39,15 @@ const createMerchandise = async (req, res) => {
         name,
         description,
         price: parseFloat(price),
+        currencyPrices: currencyPrices || undefined,
         category: category || 'GENERAL',
         availableSizes: availableSizes || ['FREE_SIZE'],
         stock: parseInt(stock) || 0,
         isActive,
         lowStockThreshold: parseInt(lowStockThreshold),
         createdBy,
-        images: []
+        images: [],
+        ...getTenantData(req)
       }
     });
 
@@ -85,8 +90,8 @@ const updateMerchandise = async (req, res) => {
     const updatedBy = req.user.id;
 
     // Check if merchandise exists
-    const existingMerchandise = await prisma.merchandise.findUnique({
-      where: { id: merchandiseId }
+    const existingMerchandise = await prisma.merchandise.findFirst({
+      where: { id: merchandiseId, ...getTenantFilter(req) }
     });
 
     if (!existingMerchandise) {
@@ -99,6 +104,7 @@ const updateMerchandise = async (req, res) => {
     if (updateData.name) dataToUpdate.name = updateData.name;
     if (updateData.description) dataToUpdate.description = updateData.description;
     if (updateData.price) dataToUpdate.price = parseFloat(updateData.price);
+    if (updateData.currencyPrices !== undefined) dataToUpdate.currencyPrices = updateData.currencyPrices || Prisma.DbNull;
     if (updateData.category) dataToUpdate.category = updateData.category;
     if (updateData.availableSizes) dataToUpdate.availableSizes = updateData.availableSizes;
     if (updateData.lowStockThreshold) dataToUpdate.lowStockThreshold = parseInt(updateData.lowStockThreshold);
@@ -128,7 +134,7 @@ const updateMerchandise = async (req, res) => {
     });
 
     // Clear caches
-    await MerchandiseService.clearMerchandiseCaches(merchandiseId);
+    await MerchandiseService.clearMerchandiseCaches(merchandiseId, getOrganizationId(req));
 
     return successResponse(
       res,
@@ -153,8 +159,8 @@ const deleteMerchandise = async (req, res) => {
     const deletedBy = req.user.id;
 
     // Check if merchandise exists
-    const merchandise = await prisma.merchandise.findUnique({
-      where: { id: merchandiseId },
+    const merchandise = await prisma.merchandise.findFirst({
+      where: { id: merchandiseId, ...getTenantFilter(req) },
       include: {
         _count: {
           select: {
@@ -200,7 +206,7 @@ const deleteMerchandise = async (req, res) => {
     });
 
     // Clear caches
-    await MerchandiseService.clearMerchandiseCaches(merchandiseId);
+    await MerchandiseService.clearMerchandiseCaches(merchandiseId, getOrganizationId(req));
 
     return successResponse(
       res,
@@ -232,8 +238,8 @@ const updateMerchandiseStock = async (req, res) => {
     }
 
     // Check if merchandise exists
-    const merchandise = await prisma.merchandise.findUnique({
-      where: { id: merchandiseId }
+    const merchandise = await prisma.merchandise.findFirst({
+      where: { id: merchandiseId, ...getTenantFilter(req) }
     });
 
     if (!merchandise) {
@@ -264,7 +270,7 @@ const updateMerchandiseStock = async (req, res) => {
     });
 
     // Clear stock caches
-    await MerchandiseService.clearStockCaches(merchandiseId);
+    await MerchandiseService.clearStockCaches(merchandiseId, getOrganizationId(req));
 
     return successResponse(
       res,
@@ -301,8 +307,8 @@ const uploadMerchandiseImages = async (req, res) => {
     }
 
     // Check if merchandise exists
-    const merchandise = await prisma.merchandise.findUnique({
-      where: { id: merchandiseId },
+    const merchandise = await prisma.merchandise.findFirst({
+      where: { id: merchandiseId, ...getTenantFilter(req) },
       select: { id: true, name: true, images: true }
     });
 
@@ -343,7 +349,7 @@ const uploadMerchandiseImages = async (req, res) => {
     });
 
     // Clear merchandise caches
-    await MerchandiseService.clearMerchandiseCaches(merchandiseId);
+    await MerchandiseService.clearMerchandiseCaches(merchandiseId, getOrganizationId(req));
 
     return successResponse(
       res,
@@ -377,8 +383,8 @@ const releaseMerchandise = async (req, res) => {
     const releasedBy = req.user.id;
 
     // Check merchandise and validate for release
-    const merchandise = await prisma.merchandise.findUnique({
-      where: { id: merchandiseId }
+    const merchandise = await prisma.merchandise.findFirst({
+      where: { id: merchandiseId, ...getTenantFilter(req) }
     });
 
     if (!merchandise) {
@@ -443,7 +449,7 @@ const releaseMerchandise = async (req, res) => {
     });
 
     // Clear all merchandise caches
-    await MerchandiseService.clearAllMerchandiseCaches();
+    await MerchandiseService.clearAllMerchandiseCaches(getOrganizationId(req));
 
     return successResponse(
       res,
@@ -475,7 +481,7 @@ const getAllOrders = async (req, res) => {
     const { offset, pageSize } = getPaginationParams(page, limit);
 
     // Build where clause
-    const whereClause = {};
+    const whereClause = { ...getTenantFilter(req) };
     
     if (status) {
       whereClause.status = status.toUpperCase();
@@ -528,11 +534,13 @@ const getAllOrders = async (req, res) => {
     // Calculate summary statistics
     const statusCounts = await prisma.merchandiseOrder.groupBy({
       by: ['status'],
+      where: getTenantFilter(req),
       _count: { status: true }
     });
 
     const deliveryStatusCounts = await prisma.merchandiseOrder.groupBy({
       by: ['deliveryStatus'],
+      where: getTenantFilter(req),
       _count: { deliveryStatus: true }
     });
 
@@ -578,8 +586,8 @@ const markOrderDelivered = async (req, res) => {
     const deliveredBy = req.user.id;
 
     // Check if order exists
-    const order = await prisma.merchandiseOrder.findUnique({
-      where: { id: orderId },
+    const order = await prisma.merchandiseOrder.findFirst({
+      where: { id: orderId, ...getTenantFilter(req) },
       include: {
         user: { select: { fullName: true, email: true } },
         items: {
@@ -646,7 +654,7 @@ const markOrderDelivered = async (req, res) => {
     // await EmailService.sendDeliveryConfirmation(order);
 
     // Clear order caches
-    await MerchandiseService.clearOrderCaches(order.orderNumber);
+    await MerchandiseService.clearOrderCaches(order.orderNumber, getOrganizationId(req));
 
     return successResponse(
       res,
@@ -679,7 +687,8 @@ const getMerchandiseAnalytics = async (req, res) => {
     const analytics = await MerchandiseService.getMerchandiseAnalytics({
       startDate,
       endDate,
-      category
+      category,
+      organizationId: getOrganizationId(req)
     });
 
     return successResponse(
@@ -704,6 +713,7 @@ const getLowStockAlerts = async (req, res) => {
     const lowStockItems = await prisma.merchandise.findMany({
       where: {
         isActive: true,
+        ...getTenantFilter(req),
         OR: [
           { stock: { lte: prisma.merchandise.fields.lowStockThreshold } },
           { stock: { lte: 5 } } // Default threshold
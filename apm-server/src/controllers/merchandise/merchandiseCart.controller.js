@@ -4,6 +4,7 @@
 const MerchandiseService = require('../../services/merchandise/merchandise.service');
 const PaymentService = require('../../services/payment/PaymentService');
 const { prisma } = require('../../config/database');
+const { getTenantFilter, getOrganizationId } = require('../../utils/tenant.util');
 const {
   successResponse,
   errorResponse,
@@ -96,7 +97,8 @@ const addToCart = async (req, res) => {
     const stockCheck = await MerchandiseService.checkStock(
       merchandiseId, 
       selectedSize, 
-      quantity
+      quantity,
+      getOrganizationId(req)
     );
 
     if (!stockCheck.available) {
@@ -126,7 +128,8 @@ const addToCart = async (req, res) => {
       const newStockCheck = await MerchandiseService.checkStock(
         merchandiseId,
         selectedSize,
-        newQuantity
+        newQuantity,
+        getOrganizationId(req)
       );
 
       if (!newStockCheck.available) {
@@ -251,7 +254,8 @@ const updateCartItem = async (req, res) => {
     const stockCheck = await MerchandiseService.checkStock(
       cartItem.merchandiseId,
       selectedSize || cartItem.selectedSize,
-      quantity
+      quantity,
+      getOrganizationId(req)
     );
 
     if (!stockCheck.available) {
@@ -426,7 +430,9 @@ const placeOrder = async (req, res) => {
     const userId = req.user.id;
 
     // Process order using service
-    const orderResult = await MerchandiseService.processOrder(userId);
+    const orderResult = await MerchandiseService.processOrder(userId, {
+      organizationId: getOrganizationId(req)
+    });
 
     // Create payment transaction
     const paymentData = {
@@ -570,7 +576,7 @@ const getOrderDetails = async (req, res) => {
     const userRole = req.user.role;
 
     // Build where clause based on user role
-    let whereClause = { orderNumber };
+    let whereClause = { orderNumber, ...getTenantFilter(req) };
     if (userRole !== 'SUPER_ADMIN') {
       whereClause.userId = userId;
     }
@@ -603,7 +609,8 @@ const getOrderDetails = async (req, res) => {
             id: true,
             status: true,
             transactionNumber: true,
-            razorpayOrderId: true,
+            provider: true,
+            providerOrderData: true,
             completedAt: true
           }
         }
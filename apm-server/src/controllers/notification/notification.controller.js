@@ -2,13 +2,15 @@
 // Generic Notification Controller - Following established patterns
 // Multi-Tenant Aware Implementation
 
-const { PrismaClient } = require('@prisma/client');
-const { successResponse, errorResponse } = require('../../utils/response');
+const { prisma } = require('../../config/database');
+const { successResponse, errorResponse, getPaginationParams } = require('../../utils/response');
 const { CacheService } = require('../../config/redis');
 const { NotificationService, NOTIFICATION_TYPES, PRIORITY_LEVELS } = require('../../services/notification.service');
-const { getTenantFilter } = require('../../utils/tenant.util');
-
-const prisma = new PrismaClient();
+const { getTenantFilter, getOrganizationId } = require('../../utils/tenant.util');
+const { JobQueueService, JOB_TYPES, JOB_STATES } = require('../../services/queue/jobQueue.service');
+const { NotificationPreferenceService } = require('../../services/notificationPreference.service');
+const EmailDeliveryService = require('../../services/email/EmailDeliveryService');
+const CommunityDigestService = require('../../services/digest/communityDigest.service');
 
 // ============================================
 // USER NOTIFICATION CONTROLLERS
@@ -31,15 +33,6 @@ const getUserNotifications = async (req, res) => {
       limit = 20
     } = req.query;
 
-    const filters = {
-      type,
-      status,
-      priority,
-      unreadOnly: unreadOnly === 'true',
-      page: parseInt(page),
-      limit: parseInt(limit)
-    };
-
     // Get notifications using prisma directly for now
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const where = {
@@ -461,10 +454,157 @@ const unregisterPushToken = async (req, res) => {
   }
 };
 
+// ============================================
+// NOTIFICATION PREFERENCES
+// ============================================
+
+/**
+ * Get user notification preferences
+ * GET /api/notifications/preferences
+ * Access: Authenticated users
+ */
+const getNotificationPreferences = async (req, res) => {
+  try {
+    const preference = await NotificationPreferenceService.getPreference(req.user.id);
+
+    return successResponse(res, { preferences: NotificationPreferenceService.format(preference) }, 'Notification preferences retrieved successfully');
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    return errorResponse(res, 'Failed to retrieve notification preferences', 500);
+  }
+};
+
+/**
+ * Update user notification preferences (partial)
+ * PUT /api/notifications/preferences
+ * Access: Authenticated users
+ */
+const updateNotificationPreferences = async (req, res) => {
+  try {
+    const preference = await NotificationPreferenceService.updatePreferences(req.user.id, req.body);
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'notification_preferences_update',
+        details: { changes: req.body },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }
+    });
+
+    return successResponse(res, { preferences: NotificationPreferenceService.format(preference) }, 'Notification preferences updated successfully');
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    return errorResponse(res, error.statusCode ? error.message : 'Failed to update notification preferences', error.statusCode || 500);
+  }
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Minimal standalone page for the unsubscribe link; opened from an email, outside the app
+const unsubscribePage = (title, body) => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+</head>
+<body style="font-family: 'Segoe UI', Arial, sans-serif; background: #f4f4f4; padding: 40px 20px; color: #333;">
+  <div style="max-width: 480px; margin: 0 auto; background: white; border-radius: 10px; padding: 30px; text-align: center;">
+    <h1 style="font-size: 22px;">${escapeHtml(title)}</h1>
+    ${body}
+  </div>
+</body>
+</html>`;
+
+const unsubscribeScope = (type) => type
+  ? `${escapeHtml(type.replace(/_/g, ' ').toLowerCase())} emails`
+  : 'all notification emails';
+
+/**
+ * Confirm page for an email unsubscribe link. Does not unsubscribe by itself since
+ * mail scanners prefetch links; the form (or the mail client's one-click POST) does.
+ * GET /api/notifications/unsubscribe/:token
+ * Access: Public (token)
+ */
+const getUnsubscribePage = async (req, res) => {
+  const { type } = req.query;
+
+  try {
+    const preference = await NotificationPreferenceService.findByUnsubscribeToken(req.params.token);
+    const organizationName = preference.user.organization?.name || 'Alumni Portal';
+
+    return res.type('html').send(unsubscribePage('Unsubscribe', `
+    <p>Stop receiving ${unsubscribeScope(type)} from ${escapeHtml(organizationName)} at ${escapeHtml(preference.user.email)}?</p>
+    <form method="POST">
+      <button type="submit" style="background: #667eea; color: white; border: none; padding: 12px 24px; border-radius: 6px; font-size: 15px; cursor: pointer;">Unsubscribe</button>
+    </form>
+    <p style="font-size: 13px; color: #999; margin-top: 20px;">Account and security emails are always sent. You can change this any time in your notification settings.</p>`));
+  } catch (error) {
+    console.error('Get unsubscribe page error:', error);
+    return res.status(error.statusCode || 500).type('html').send(unsubscribePage('Unsubscribe',
+      `<p>${escapeHtml(error.statusCode ? error.message : 'Something went wrong. Please try again later.')}</p>`));
+  }
+};
+
+/**
+ * One-click unsubscribe (RFC 8058 List-Unsubscribe-Post, or the confirm page form)
+ * POST /api/notifications/unsubscribe/:token
+ * Access: Public (token)
+ */
+const unsubscribeFromEmails = async (req, res) => {
+  try {
+    const { preference, type } = await NotificationPreferenceService.unsubscribe(req.params.token, req.query.type);
+
+    await prisma.activityLog.create({
+      data: {
+        userId: preference.userId,
+        action: 'notification_email_unsubscribe',
+        details: { type: type || 'ALL' },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }
+    });
+
+    return res.type('html').send(unsubscribePage('You have been unsubscribed', `
+    <p>You will no longer receive ${unsubscribeScope(type)} at ${escapeHtml(preference.user.email)}.</p>
+    <p style="font-size: 13px; color: #999; margin-top: 20px;">Changed your mind? Turn email back on in your notification settings.</p>`));
+  } catch (error) {
+    console.error('Unsubscribe from emails error:', error);
+    return res.status(error.statusCode || 500).type('html').send(unsubscribePage('Unsubscribe',
+      `<p>${escapeHtml(error.statusCode ? error.message : 'Something went wrong. Please try again later.')}</p>`));
+  }
+};
+
 // ============================================
 // NOTIFICATION SENDING (ADMIN/SYSTEM)
 // ============================================
 
+const SCHEDULED_NOTIFICATION_JOBS = [JOB_TYPES.NOTIFICATION_SEND, JOB_TYPES.NOTIFICATION_BULK];
+
+/**
+ * Queue a notification for every active user in the admin's organization
+ * matching the filters; recipients are resolved when the job runs
+ */
+const queueBulkNotification = (req, { filters = {}, scheduleAt = null, ...notification }) => {
+  const organizationId = getOrganizationId(req);
+
+  return JobQueueService.add(JOB_TYPES.NOTIFICATION_BULK, {
+    filters,
+    notification,
+    organizationId,
+    tenantCode: req.tenant?.tenantCode || null
+  }, {
+    runAt: scheduleAt,
+    organizationId
+  });
+};
+
 /**
  * Send custom notification (Admin)
  * POST /api/notifications/send
@@ -485,7 +625,7 @@ const sendCustomNotification = async (req, res) => {
 
     // Build tenant filter for multi-tenant isolation
     const tenantFilter = getTenantFilter(req);
-    const tenantId = req.tenantId || null;
+    const tenantId = getOrganizationId(req);
 
     // Validate recipients exist and belong to the same tenant
     if (recipientIds && recipientIds.length > 0) {
@@ -511,7 +651,7 @@ const sendCustomNotification = async (req, res) => {
       priority,
       scheduleAt,
       organizationId: tenantId, // Pass tenant ID for multi-tenant notification storage
-      tenantCode: req.tenantCode // Pass tenant code for push notifications
+      tenantCode: req.tenant?.tenantCode || null // Pass tenant code for push notifications
     });
 
     // Log activity
@@ -530,7 +670,11 @@ const sendCustomNotification = async (req, res) => {
       }
     });
 
-    return successResponse(res, result, 'Custom notification sent successfully');
+    return successResponse(
+      res,
+      result,
+      result.scheduled ? 'Custom notification scheduled successfully' : 'Custom notification sent successfully'
+    );
   } catch (error) {
     console.error('Send custom notification error:', error);
     return errorResponse(res, error.message || 'Failed to send custom notification', 500);
@@ -547,33 +691,26 @@ const sendSystemAnnouncement = async (req, res) => {
   try {
     const { title, message, priority = PRIORITY_LEVELS.MEDIUM } = req.body;
 
-    // Build tenant filter for multi-tenant isolation
-    const tenantFilter = getTenantFilter(req);
-    const tenantId = req.tenantId || null;
+    const tenantId = getOrganizationId(req);
 
-    // Get all active users in the tenant's organization
-    const activeUsers = await prisma.user.findMany({
+    // Count active users in the tenant's organization
+    const recipientCount = await prisma.user.count({
       where: {
         isActive: true,
-        ...tenantFilter // Multi-tenant isolation - only users from same org
-      },
-      select: { id: true }
+        organizationId: tenantId // Multi-tenant isolation - only users from same org
+      }
     });
 
-    const recipientIds = activeUsers.map(user => user.id);
-
-    if (recipientIds.length === 0) {
+    if (recipientCount === 0) {
       return errorResponse(res, 'No active users found in your organization', 400);
     }
 
-    const result = await NotificationService.createAndSendNotification({
-      recipientIds,
+    // Sent in batches by the job queue
+    const job = await queueBulkNotification(req, {
       type: NOTIFICATION_TYPES.SYSTEM_ANNOUNCEMENT,
       title,
       message,
-      priority,
-      organizationId: tenantId, // Pass tenant ID for multi-tenant notification storage
-      tenantCode: req.tenantCode // Pass tenant code for push notifications
+      priority
     });
 
     // Log activity
@@ -582,7 +719,8 @@ const sendSystemAnnouncement = async (req, res) => {
         userId: req.user.id,
         action: 'system_announcement_sent',
         details: {
-          recipientCount: recipientIds.length,
+          jobId: job.id,
+          recipientCount,
           title: title.substring(0, 50),
           priority
         },
@@ -591,13 +729,169 @@ const sendSystemAnnouncement = async (req, res) => {
       }
     });
 
-    return successResponse(res, result, 'System announcement sent to all users');
+    return successResponse(res, { jobId: job.id, recipientCount }, 'System announcement queued for all users', 202);
   } catch (error) {
     console.error('Send system announcement error:', error);
     return errorResponse(res, 'Failed to send system announcement', 500);
   }
 };
 
+// ============================================
+// BULK & SCHEDULED NOTIFICATIONS (ADMIN)
+// ============================================
+
+/**
+ * Send a notification to users matching batch/role filters (Admin)
+ * POST /api/notifications/admin/bulk-send
+ * Access: SUPER_ADMIN
+ * Multi-Tenant: Only users in admin's organization
+ */
+const sendBulkNotifications = async (req, res) => {
+  try {
+    const job = await queueBulkNotification(req, { ...req.body, scheduleAt: null });
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'bulk_notification_queued',
+        details: {
+          jobId: job.id,
+          filters: req.body.filters,
+          title: req.body.title.substring(0, 50)
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }
+    });
+
+    return successResponse(res, { jobId: job.id }, 'Bulk notification queued', 202);
+  } catch (error) {
+    console.error('Send bulk notifications error:', error);
+    return errorResponse(res, 'Failed to queue bulk notification', 500);
+  }
+};
+
+/**
+ * Schedule a bulk notification for later (Admin)
+ * POST /api/notifications/admin/schedule-bulk
+ * Access: SUPER_ADMIN
+ * Multi-Tenant: Only users in admin's organization
+ */
+const scheduleBulkNotification = async (req, res) => {
+  try {
+    const job = await queueBulkNotification(req, req.body);
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'bulk_notification_scheduled',
+        details: {
+          jobId: job.id,
+          filters: req.body.filters,
+          title: req.body.title.substring(0, 50),
+          scheduleAt: job.runAt
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }
+    });
+
+    return successResponse(res, { jobId: job.id, scheduleAt: job.runAt }, 'Bulk notification scheduled', 201);
+  } catch (error) {
+    console.error('Schedule bulk notification error:', error);
+    return errorResponse(res, 'Failed to schedule bulk notification', 500);
+  }
+};
+
+/**
+ * List notifications waiting to be sent (Admin)
+ * GET /api/notifications/admin/scheduled
+ * Access: SUPER_ADMIN
+ * Multi-Tenant: Only admin's organization
+ */
+const getScheduledNotifications = async (req, res) => {
+  try {
+    const { page, limit } = getPaginationParams(req.query, 20);
+    const { jobs, total } = await JobQueueService.listJobs(JOB_STATES.DELAYED, {
+      organizationId: getOrganizationId(req),
+      names: SCHEDULED_NOTIFICATION_JOBS,
+      page,
+      limit
+    });
+
+    const scheduled = jobs.map(job => {
+      const notification = job.name === JOB_TYPES.NOTIFICATION_BULK ? job.data.notification : job.data;
+      return {
+        id: job.id,
+        bulk: job.name === JOB_TYPES.NOTIFICATION_BULK,
+        title: notification.title,
+        message: notification.message,
+        type: notification.type,
+        filters: job.data.filters || null,
+        recipientCount: job.data.recipientIds?.length || null,
+        scheduleAt: job.runAt,
+        attempts: job.attempts,
+        lastError: job.lastError,
+        createdAt: job.createdAt
+      };
+    });
+
+    return successResponse(res, {
+      scheduled,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get scheduled notifications error:', error);
+    return errorResponse(res, 'Failed to retrieve scheduled notifications', 500);
+  }
+};
+
+/**
+ * Cancel a scheduled notification before it is sent (Admin)
+ * DELETE /api/notifications/admin/scheduled/:notificationId
+ * Access: SUPER_ADMIN
+ * Multi-Tenant: Only admin's organization
+ */
+const cancelScheduledNotification = async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+    const job = await JobQueueService.getJob(notificationId);
+
+    if (
+      !job ||
+      !SCHEDULED_NOTIFICATION_JOBS.includes(job.name) ||
+      job.organizationId !== getOrganizationId(req)
+    ) {
+      return errorResponse(res, 'Scheduled notification not found', 404);
+    }
+
+    const removed = await JobQueueService.removeJob(job.id);
+    if (!removed) {
+      return errorResponse(res, 'Notification is already being sent or has been sent', 409);
+    }
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'scheduled_notification_cancelled',
+        details: { jobId: job.id, scheduleAt: job.runAt },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }
+    });
+
+    return successResponse(res, null, 'Scheduled notification cancelled');
+  } catch (error) {
+    console.error('Cancel scheduled notification error:', error);
+    return errorResponse(res, 'Failed to cancel scheduled notification', 500);
+  }
+};
+
 // ============================================
 // ADMIN ANALYTICS & MANAGEMENT
 // ============================================
@@ -728,6 +1022,67 @@ const cleanupOldNotifications = async (req, res) => {
   }
 };
 
+// ============================================
+// DELIVERY WEBHOOKS
+// ============================================
+
+/**
+ * Email delivery events from the mail provider (delivered, bounced, complained, opened)
+ * POST /api/notifications/webhooks/email-delivery?provider=sendgrid|resend|mailersend|mailgun|gmail|smtp|ses
+ * Access: Public (provider signature over the raw body)
+ */
+const handleEmailDeliveryWebhook = async (req, res) => {
+  try {
+    // Webhook bodies arrive raw (see app.js) so signatures are checked on the exact bytes
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const body = EmailDeliveryService.parseSignedWebhook(req.query.provider, rawBody, req.headers);
+
+    const result = await EmailDeliveryService.ingestWebhook(req.query.provider, body, req.headers);
+
+    // Unknown event types are acknowledged too so the provider stops retrying
+    return successResponse(res, result, 'Email delivery events processed');
+  } catch (error) {
+    console.error('Email delivery webhook error:', error);
+    return errorResponse(res, error.statusCode ? error.message : 'Failed to process email delivery events', error.statusCode || 500);
+  }
+};
+
+// ============================================
+// COMMUNITY DIGEST
+// ============================================
+
+/**
+ * Click-tracked link from a weekly community digest; records the click and redirects
+ * to the frontend. Always redirects, even for unknown tokens.
+ * GET /api/notifications/digest/click/:token?section=posts&to=/posts/123
+ * Access: Public (recipient token)
+ */
+const trackDigestClick = async (req, res) => {
+  // Mail scanners probe links with HEAD; only real visits count
+  const url = await CommunityDigestService.recordClick(req.params.token, req.query, req.method === 'GET');
+  return res.redirect(302, url);
+};
+
+/**
+ * Recent weekly community digests with delivery counts and click-through
+ * GET /api/notifications/admin/community-digest?weeks=8
+ * Access: SUPER_ADMIN
+ */
+const getCommunityDigestStats = async (req, res) => {
+  try {
+    const organizationId = getOrganizationId(req);
+    if (!organizationId) {
+      return errorResponse(res, 'Organization context is required', 400);
+    }
+
+    const stats = await CommunityDigestService.getStats(organizationId, { weeks: req.query.weeks });
+    return successResponse(res, stats, 'Community digest stats retrieved successfully');
+  } catch (error) {
+    console.error('Get community digest stats error:', error);
+    return errorResponse(res, 'Failed to retrieve community digest stats', 500);
+  }
+};
+
 // ============================================
 // EXPORTS
 // ============================================
@@ -745,11 +1100,30 @@ module.exports = {
   registerPushToken,
   unregisterPushToken,
 
+  // Preferences & unsubscribe
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  getUnsubscribePage,
+  unsubscribeFromEmails,
+
   // Admin notification sending
   sendCustomNotification,
   sendSystemAnnouncement,
 
+  // Bulk & scheduled notifications
+  sendBulkNotifications,
+  scheduleBulkNotification,
+  getScheduledNotifications,
+  cancelScheduledNotification,
+
   // Admin analytics & management
   getNotificationAnalytics,
-  cleanupOldNotifications
+  cleanupOldNotifications,
+
+  // Delivery webhooks
+  handleEmailDeliveryWebhook,
+
+  // Community digest
+  trackDigestClick,
+  getCommunityDigestStats
 };
\ No newline at end of file
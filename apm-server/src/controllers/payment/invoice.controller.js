@@ -1,8 +1,6 @@
 const { asyncHandler } = require('../../utils/response');
 const InvoiceService = require('../../services/payment/InvoiceService');
-const { PrismaClient } = require('@prisma/client');
-
-const prisma = new PrismaClient();
+const { prisma } = require('../../config/database');
 
 const generateInvoice = asyncHandler(async (req, res) => {
   const { transactionId } = req.params;
@@ -184,7 +182,7 @@ const resendInvoiceEmail = asyncHandler(async (req, res) => {
     }
 
     // Resend invoice email
-    const result = await InvoiceService.resendInvoiceEmail(transactionId, targetEmail);
+    await InvoiceService.resendInvoiceEmail(transactionId, targetEmail);
 
     // Log activity
     await prisma.activityLog.create({
@@ -3,11 +3,9 @@
 
 const { asyncHandler } = require("../../utils/response");
 const PaymentService = require("../../services/payment/PaymentService");
-const { PrismaClient } = require("@prisma/client");
-const MembershipPaymentService = require("../../services/payment/membershipPayment.service");
-const MerchandiseNotificationService = require("../../services/merchandise/merchandiseNotification.service");
-
-const prisma = new PrismaClient();
+const RefundService = require("../../services/payment/RefundService");
+const { prisma } = require("../../config/database");
+const { getOrganizationId } = require("../../utils/tenant.util");
 
 /**
  * @desc    Initiate payment for event registration or merchandise
@@ -15,7 +13,7 @@ const prisma = new PrismaClient();
  * @access  Private (User)
  */
 const initiatePayment = asyncHandler(async (req, res) => {
-	const { referenceType, referenceId, description, registrationData } = req.body;
+	const { referenceType, referenceId, description, registrationData, currency, promoCode } = req.body;
 	const userId = req.user.id;
 
 	try {
@@ -26,6 +24,8 @@ const initiatePayment = asyncHandler(async (req, res) => {
 			userId,
 			description,
 			registrationData,
+			currency,
+			promoCode,
 		});
 
 		// Log activity following existing pattern
@@ -139,8 +139,7 @@ const getPaymentStatus = asyncHandler(async (req, res) => {
 				status: true,
 				provider: true,
 				breakdown: true,
-				razorpayOrderId: true,
-				razorpayPaymentId: true,
+				providerOrderData: true,
 				initiatedAt: true,
 				completedAt: true,
 				expiresAt: true,
@@ -154,10 +153,17 @@ const getPaymentStatus = asyncHandler(async (req, res) => {
 			});
 		}
 
+		const { providerOrderData, ...transactionData } = transaction;
+
 		res.status(200).json({
 			success: true,
 			message: "Payment status retrieved successfully",
-			data: { transaction },
+			data: {
+				transaction: {
+					...transactionData,
+					...PaymentService.getProviderIds(transaction),
+				},
+			},
 		});
 	} catch (error) {
 		console.error("Get payment status error:", error);
@@ -198,7 +204,7 @@ const getUserPayments = asyncHandler(async (req, res) => {
 					status: true,
 					provider: true,
 					referenceType: true,
-					razorpayPaymentId: true,
+					providerOrderData: true,
 					initiatedAt: true,
 					completedAt: true,
 				},
@@ -215,7 +221,10 @@ const getUserPayments = asyncHandler(async (req, res) => {
 			success: true,
 			message: "Payment history retrieved successfully",
 			data: {
-				transactions,
+				transactions: transactions.map(({ providerOrderData, ...transaction }) => ({
+					...transaction,
+					providerPaymentId: providerOrderData?.paymentId || null,
+				})),
 				pagination: {
 					currentPage: parseInt(page),
 					totalPages,
@@ -242,16 +251,21 @@ const getUserPayments = asyncHandler(async (req, res) => {
  */
 const handleWebhook = asyncHandler(async (req, res) => {
 	const { provider } = req.params;
-	const signature =
-		req.headers["x-razorpay-signature"] || req.headers["x-webhook-signature"];
-	const payload = req.body;
+	const signature = req.webhookSignature;
 
 	try {
+		// Webhook bodies arrive raw (see app.js) so providers can verify the exact bytes
+		const rawBody = Buffer.isBuffer(req.body)
+			? req.body.toString("utf8")
+			: JSON.stringify(req.body);
+		const payload = JSON.parse(rawBody);
+
 		// Process webhook through service
 		const result = await PaymentService.processWebhook(
 			provider,
 			payload,
-			signature
+			signature,
+			rawBody
 		);
 
 		res.status(200).json({
@@ -276,40 +290,47 @@ const handleWebhook = asyncHandler(async (req, res) => {
  * @access  Private (User)
  */
 const calculatePaymentTotal = asyncHandler(async (req, res) => {
-	const { referenceType, referenceId } = req.body;
+	const { referenceType, referenceId, currency, promoCode } = req.body;
 	const userId = req.user.id;
 
 	try {
 		let calculation;
+		const pricing = await PaymentService.getPricingContextForUser(userId, currency);
 
 		switch (referenceType) {
 			case "EVENT_REGISTRATION":
 				calculation =
-					await PaymentService.calculateEventRegistrationTotal(referenceId);
+					await PaymentService.calculateEventRegistrationTotal(referenceId, pricing, promoCode);
 				break;
 			case "EVENT_PAYMENT":
 				calculation = await PaymentService.calculateEventPaymentTotal(
 					referenceId,
 					req.user.id,
-					req.body.registrationData
+					req.body.registrationData,
+					pricing,
+					promoCode
 				);
 				break;
 			case "MERCHANDISE":
 				calculation =
-					await PaymentService.calculateMerchandiseTotal(referenceId);
+					await PaymentService.calculateMerchandiseTotal(referenceId, pricing, promoCode);
 				break;
 			case "MERCHANDISE_ORDER": // STANDALONE MERCHANDISE
 				calculation = await PaymentService.calculateStandaloneMerchandiseTotal(
-					req.user.id
+					req.user.id,
+					pricing,
+					promoCode
 				); // Use userId, not referenceId
 				break;
 
 			case "MEMBERSHIP": // ADD THIS CASE
 				calculation = await PaymentService.calculateMembershipTotal(
-					req.user.id
+					req.user.id,
+					pricing,
+					promoCode
 				);
 				break;
-			case "BATCH_ADMIN_PAYMENT": // ADD THIS CASE
+			case "BATCH_ADMIN_PAYMENT": { // ADD THIS CASE
 				// For batch admin payments, we just validate the amount from request
 				// since it's a simple payment without complex calculations
 				const { amount } = req.body;
@@ -330,8 +351,9 @@ const calculatePaymentTotal = asyncHandler(async (req, res) => {
 					],
 				};
 				break;
+			}
 
-			case "DONATION":
+			case "DONATION": {
 				// For donations, amount should be provided in metadata
 				const donationAmount = req.body.amount || req.body.customAmount;
 				if (!donationAmount || donationAmount <= 0) {
@@ -367,6 +389,7 @@ const calculatePaymentTotal = asyncHandler(async (req, res) => {
 					}),
 				};
 				break;
+			}
 
 			default:
 				return res.status(400).json({
@@ -488,7 +511,7 @@ const getAdminPayments = asyncHandler(async (req, res) => {
  * @access  Private (Admin)
  */
 const getPaymentAnalytics = asyncHandler(async (req, res) => {
-	const { fromDate, toDate, groupBy = "day" } = req.query;
+	const { fromDate, toDate } = req.query;
 
 	try {
 		// Date range setup
@@ -601,6 +624,9 @@ const getAdminPaymentDetails = asyncHandler(async (req, res) => {
 					take: 10,
 				},
 				invoices: true,
+				refunds: {
+					orderBy: { createdAt: "desc" },
+				},
 			},
 		});
 
@@ -625,6 +651,87 @@ const getAdminPaymentDetails = asyncHandler(async (req, res) => {
 	}
 });
 
+/**
+ * @desc    Issue a full or partial refund (Admin)
+ * @route   POST /api/payments/admin/payments/:transactionId/refunds
+ * @access  Private (Super Admin)
+ */
+const createRefund = asyncHandler(async (req, res) => {
+	const { transactionId } = req.params;
+	const { amount, reason } = req.body;
+
+	try {
+		const refund = await RefundService.initiateRefund({
+			transactionId,
+			amount,
+			reason,
+			adminId: req.user.id,
+			organizationId: getOrganizationId(req),
+		});
+
+		res.status(201).json({
+			success: true,
+			message:
+				refund.status === "PROCESSED"
+					? "Refund processed successfully"
+					: refund.status === "FAILED"
+					? "Refund was rejected by the payment provider"
+					: "Refund initiated, awaiting provider confirmation",
+			data: { refund },
+		});
+	} catch (error) {
+		console.error("Create refund error:", error);
+
+		if (error.message === "Transaction not found") {
+			return res.status(404).json({
+				success: false,
+				message: error.message,
+			});
+		}
+
+		res.status(400).json({
+			success: false,
+			message: error.message || "Failed to process refund",
+		});
+	}
+});
+
+/**
+ * @desc    Get refund history for a payment (Admin)
+ * @route   GET /api/payments/admin/payments/:transactionId/refunds
+ * @access  Private (Super Admin)
+ */
+const getPaymentRefunds = asyncHandler(async (req, res) => {
+	const { transactionId } = req.params;
+
+	try {
+		const result = await RefundService.getTransactionRefunds(
+			transactionId,
+			getOrganizationId(req)
+		);
+
+		res.status(200).json({
+			success: true,
+			message: "Refunds retrieved successfully",
+			data: result,
+		});
+	} catch (error) {
+		console.error("Get payment refunds error:", error);
+
+		if (error.message === "Transaction not found") {
+			return res.status(404).json({
+				success: false,
+				message: error.message,
+			});
+		}
+
+		res.status(500).json({
+			success: false,
+			message: "Failed to retrieve refunds",
+		});
+	}
+});
+
 module.exports = {
 	// User payment endpoints
 	initiatePayment,
@@ -640,4 +747,6 @@ module.exports = {
 	getAdminPayments,
 	getPaymentAnalytics,
 	getAdminPaymentDetails,
+	createRefund,
+	getPaymentRefunds,
 };
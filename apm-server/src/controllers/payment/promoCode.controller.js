@@ -0,0 +1,183 @@
+// src/controllers/payment/promoCode.controller.js
+const { prisma } = require("../../config/database");
+const { asyncHandler, getPaginationParams } = require("../../utils/response");
+const DiscountService = require("../../services/payment/DiscountService");
+const { getOrganizationId } = require("../../utils/tenant.util");
+
+const logPromoActivity = async (req, action, promoCode) => {
+	try {
+		await prisma.activityLog.create({
+			data: {
+				userId: req.user.id,
+				action,
+				details: {
+					promoCodeId: promoCode.id,
+					code: promoCode.code,
+				},
+				ipAddress: req.ip,
+				userAgent: req.get("User-Agent"),
+			},
+		});
+	} catch (error) {
+		console.error("Failed to log promo code activity:", error);
+	}
+};
+
+/**
+ * @desc    List promo codes (Admin)
+ * @route   GET /api/payments/admin/promo-codes
+ * @access  Private (Super Admin)
+ */
+const getPromoCodes = asyncHandler(async (req, res) => {
+	const { isActive, eventId, search } = req.query;
+
+	try {
+		const { page, limit } = getPaginationParams(req.query, 20);
+		const { promoCodes, total } = await DiscountService.listPromoCodes(
+			getOrganizationId(req),
+			{
+				isActive: isActive === undefined ? undefined : isActive === "true",
+				eventId,
+				search,
+				page,
+				limit,
+			}
+		);
+
+		res.status(200).json({
+			success: true,
+			message: "Promo codes retrieved successfully",
+			data: {
+				promoCodes,
+				pagination: {
+					page,
+					limit,
+					total,
+					totalPages: Math.ceil(total / limit),
+				},
+			},
+		});
+	} catch (error) {
+		console.error("Get promo codes error:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to retrieve promo codes",
+		});
+	}
+});
+
+/**
+ * @desc    Create promo code (Admin)
+ * @route   POST /api/payments/admin/promo-codes
+ * @access  Private (Super Admin)
+ */
+const createPromoCode = asyncHandler(async (req, res) => {
+	try {
+		const promoCode = await DiscountService.createPromoCode(
+			getOrganizationId(req),
+			req.body,
+			req.user.id
+		);
+
+		await logPromoActivity(req, "promo_code_created", promoCode);
+
+		res.status(201).json({
+			success: true,
+			message: "Promo code created successfully",
+			data: { promoCode },
+		});
+	} catch (error) {
+		console.error("Create promo code error:", error);
+		res.status(error.statusCode || 500).json({
+			success: false,
+			message: error.statusCode ? error.message : "Failed to create promo code",
+		});
+	}
+});
+
+/**
+ * @desc    Update or deactivate promo code (Admin)
+ * @route   PUT /api/payments/admin/promo-codes/:promoCodeId
+ * @access  Private (Super Admin)
+ */
+const updatePromoCode = asyncHandler(async (req, res) => {
+	try {
+		const promoCode = await DiscountService.updatePromoCode(
+			getOrganizationId(req),
+			req.params.promoCodeId,
+			req.body
+		);
+
+		if (!promoCode) {
+			return res.status(404).json({
+				success: false,
+				message: "Promo code not found",
+			});
+		}
+
+		await logPromoActivity(req, "promo_code_updated", promoCode);
+
+		res.status(200).json({
+			success: true,
+			message: "Promo code updated successfully",
+			data: { promoCode },
+		});
+	} catch (error) {
+		console.error("Update promo code error:", error);
+		res.status(error.statusCode || 500).json({
+			success: false,
+			message: error.statusCode ? error.message : "Failed to update promo code",
+		});
+	}
+});
+
+/**
+ * @desc    Redemption history for a promo code (Admin)
+ * @route   GET /api/payments/admin/promo-codes/:promoCodeId/redemptions
+ * @access  Private (Super Admin)
+ */
+const getPromoCodeRedemptions = asyncHandler(async (req, res) => {
+	try {
+		const { page, limit } = getPaginationParams(req.query, 20);
+		const result = await DiscountService.getPromoCodeRedemptions(
+			getOrganizationId(req),
+			req.params.promoCodeId,
+			{ page, limit }
+		);
+
+		if (!result) {
+			return res.status(404).json({
+				success: false,
+				message: "Promo code not found",
+			});
+		}
+
+		res.status(200).json({
+			success: true,
+			message: "Promo code redemptions retrieved successfully",
+			data: {
+				promoCode: result.promoCode,
+				redemptions: result.redemptions,
+				pagination: {
+					page,
+					limit,
+					total: result.total,
+					totalPages: Math.ceil(result.total / limit),
+				},
+			},
+		});
+	} catch (error) {
+		console.error("Get promo code redemptions error:", error);
+		res.status(500).json({
+			success: false,
+			message: "Failed to retrieve promo code redemptions",
+		});
+	}
+});
+
+module.exports = {
+	getPromoCodes,
+	createPromoCode,
+	updatePromoCode,
+	getPromoCodeRedemptions,
+};
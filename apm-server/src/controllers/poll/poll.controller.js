@@ -1,10 +1,9 @@
 // src/controllers/poll.controller.js
-const { PrismaClient } = require('@prisma/client');
+const { prisma } = require('../../config/database');
 const { successResponse, errorResponse } = require('../../utils/response');
 const { CacheService } = require('../../config/redis');
 const { getTenantFilter, getTenantData } = require('../../utils/tenant.util');
-
-const prisma = new PrismaClient();
+const { RealtimeService, REALTIME_EVENTS } = require('../../services/realtime/realtime.service');
 
 // ============================================
 // HELPER FUNCTIONS
@@ -89,6 +88,30 @@ const calculatePollResults = (poll) => {
   };
 };
 
+// Push fresh results to clients following the poll
+const publishPollResults = async (pollId, organizationId) => {
+  const poll = await prisma.poll.findUnique({
+    where: { id: pollId },
+    include: {
+      options: {
+        select: {
+          id: true,
+          text: true,
+          _count: { select: { votes: true } }
+        }
+      },
+      _count: { select: { votes: true } }
+    }
+  });
+
+  await RealtimeService.publish(
+    RealtimeService.pollTopic(pollId),
+    REALTIME_EVENTS.POLL_RESULTS,
+    { pollId, ...calculatePollResults(poll), lastUpdated: new Date().toISOString() },
+    { organizationId }
+  );
+};
+
 // ============================================
 // POLL MANAGEMENT CONTROLLERS
 // ============================================
@@ -474,7 +497,7 @@ const createPoll = async (req, res) => {
             priority: 'normal'
           });
           console.log('✅ Topic-based push notification sent');
-        } catch (topicError) {
+        } catch {
           console.log('📱 Topic notification failed, sending individual notifications');
           
           // Fallback to individual notifications
@@ -720,6 +743,11 @@ const updatePoll = async (req, res) => {
       }
     });
 
+    // Added or removed options change the results
+    if (addOptions?.length > 0 || removeOptionIds?.length > 0) {
+      await publishPollResults(poll.id, poll.organizationId);
+    }
+
     // Send push notifications to existing voters if poll was updated
     if (voteCount > 0) {
       try {
@@ -905,7 +933,8 @@ const votePoll = async (req, res) => {
       select: {
         id: true,
         title: true,
-        allowMultiple: true
+        allowMultiple: true,
+        organizationId: true
       }
     });
 
@@ -954,6 +983,8 @@ const votePoll = async (req, res) => {
       }
     });
 
+    await publishPollResults(pollId, poll.organizationId);
+
     const responseData = {
       pollId,
       votes: votes.map(vote => ({
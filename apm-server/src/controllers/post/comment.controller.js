@@ -414,7 +414,6 @@ const getPostComments = async (req, res) => {
 
     // Get all replies for these parent comments (flattened)
     // This will include both direct replies and replies to replies
-    const parentCommentIds = comments.map(c => c.id);
     const allReplies = await prisma.comment.findMany({
       where: {
         postId,
@@ -3,7 +3,7 @@ const { prisma } = require('../../config/database');
 const { successResponse, errorResponse, paginatedResponse, getPaginationParams, calculatePagination } = require('../../utils/response');
 const { deleteUploadedFile } = require('../../middleware/upload.middleware');
 const { cloudflareR2Service } = require('../../services/cloudflare-r2.service');
-const { getTenantFilter, getTenantData, withTenant } = require('../../utils/tenant.util');
+const { getTenantFilter, getTenantData } = require('../../utils/tenant.util');
 
 // Create new post
 const createPost = async (req, res) => {
@@ -119,7 +119,7 @@ const createPost = async (req, res) => {
     if (tags) {
       try {
         parsedTags = typeof tags === 'string' ? JSON.parse(tags) : tags;
-      } catch (error) {
+      } catch {
         parsedTags = [];
       }
     }
@@ -826,7 +826,7 @@ const updatePost = async (req, res) => {
     if (tags !== undefined) {
       try {
         parsedTags = typeof tags === 'string' ? JSON.parse(tags) : tags;
-      } catch (error) {
+      } catch {
         parsedTags = [];
       }
     }
@@ -2,6 +2,8 @@
 const { successResponse, errorResponse } = require('../../utils/response');
 const QRCodeService = require('../../services/qr/QRCodeService');
 const CheckInService = require('../../services/qr/CheckInService');
+const CheckInSyncService = require('../../services/qr/CheckInSyncService');
+const { getTenantFilter } = require('../../utils/tenant.util');
 const { prisma } = require('../../config/database');
 
 /**
@@ -51,7 +53,8 @@ const generateMyQRCode = async (req, res) => {
       generatedAt: qrResult.generatedAt,
       isNew: qrResult.isNew,
       eventTitle: qrResult.qrData.event.title,
-      registrationSummary: qrResult.qrData.summary
+      registrationSummary: qrResult.qrData.summary,
+      seating: qrResult.qrData.seating || []
     }, qrResult.isNew ? 'QR code generated successfully' : 'QR code retrieved successfully');
 
   } catch (error) {
@@ -116,7 +119,6 @@ const generateRegistrationQRCode = async (req, res) => {
  */
 const processCheckIn = async (req, res) => {
   try {
-    const { eventId } = req.params;
     const { qrCode, guestsCheckedIn, checkInLocation, notes, guestDetails } = req.body;
 
     if (!qrCode) {
@@ -144,7 +146,8 @@ const processCheckIn = async (req, res) => {
       },
       user: result.qrData.user,
       event: result.qrData.event,
-      summary: result.qrData.summary
+      summary: result.qrData.summary,
+      seating: result.qrData.seating || []
     }, 'Check-in processed successfully');
 
   } catch (error) {
@@ -172,7 +175,10 @@ const getCheckInStats = async (req, res) => {
       return errorResponse(res, 'Event not found', 404);
     }
 
-    const stats = await CheckInService.getEventCheckInStats(eventId);
+    const [stats, sync] = await Promise.all([
+      CheckInService.getEventCheckInStats(eventId),
+      CheckInSyncService.getSyncStatus(eventId)
+    ]);
 
     return successResponse(res, {
       event: {
@@ -180,7 +186,7 @@ const getCheckInStats = async (req, res) => {
         title: event.title,
         eventDate: event.eventDate
       },
-      stats
+      stats: { ...stats, sync }
     }, 'Check-in statistics retrieved successfully');
 
   } catch (error) {
@@ -232,11 +238,78 @@ const getCheckInHistory = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Download the signed offline check-in kit for a scanner device
+ * @route   GET /api/events/:eventId/check-in/kit
+ * @access  Private (SUPER_ADMIN)
+ */
+const getCheckInKit = async (req, res) => {
+  try {
+    const event = await CheckInSyncService.findEvent(req.params.eventId, getTenantFilter(req));
+    const { kit, signature } = await CheckInSyncService.buildKit(event, req.query, req.user.id);
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'checkin_kit_download',
+        details: {
+          eventId: event.id,
+          deviceId: kit.deviceId,
+          passes: kit.passes.length
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }
+    });
+
+    return successResponse(res, { kit, signature }, 'Check-in kit generated successfully');
+
+  } catch (error) {
+    console.error('Check-in kit error:', error);
+    return errorResponse(res, error.statusCode ? error.message : 'Failed to generate check-in kit', error.statusCode || 500);
+  }
+};
+
+/**
+ * @desc    Upload scans recorded while offline
+ * @route   POST /api/events/:eventId/check-in/sync
+ * @access  Private (SUPER_ADMIN)
+ */
+const syncOfflineCheckIns = async (req, res) => {
+  try {
+    const event = await CheckInSyncService.findEvent(req.params.eventId, getTenantFilter(req));
+    const result = await CheckInSyncService.syncScans(event, req.body, req.user.id);
+
+    await prisma.activityLog.create({
+      data: {
+        userId: req.user.id,
+        action: 'checkin_offline_sync',
+        details: {
+          eventId: event.id,
+          deviceId: req.body.deviceId,
+          scans: req.body.scans.length,
+          summary: result.summary
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }
+    });
+
+    return successResponse(res, result, 'Offline check-ins synced');
+
+  } catch (error) {
+    console.error('Offline check-in sync error:', error);
+    return errorResponse(res, error.statusCode ? error.message : 'Failed to sync check-ins', error.statusCode || 500);
+  }
+};
+
 module.exports = {
   generateMyQRCode,
   generateRegistrationQRCode,
   processCheckIn,
   getCheckInStats,
   getLiveCheckInCount,
-  getCheckInHistory
+  getCheckInHistory,
+  getCheckInKit,
+  syncOfflineCheckIns
 };
\ No newline at end of file
@@ -0,0 +1,54 @@
+// src/controllers/realtime/realtime.controller.js
+// Realtime event stream: ticket exchange and the server-sent event stream itself
+
+const { successResponse, errorResponse } = require('../../utils/response');
+const { RealtimeService } = require('../../services/realtime/realtime.service');
+
+/**
+ * Issue a short-lived ticket for opening the event stream
+ * POST /api/realtime/ticket
+ * Access: Authenticated users
+ */
+const issueStreamTicket = async (req, res) => {
+  try {
+    const { ticket, expiresIn } = RealtimeService.issueTicket(req.user);
+
+    return successResponse(res, {
+      ticket,
+      expiresIn,
+      streamUrl: `/api/realtime/stream?ticket=${encodeURIComponent(ticket)}`
+    }, 'Stream ticket issued');
+  } catch (error) {
+    console.error('Issue stream ticket error:', error);
+    return errorResponse(res, 'Failed to issue stream ticket', 500);
+  }
+};
+
+/**
+ * Server-sent event stream of the user's notifications and payment updates, plus the
+ * ticket, poll and check-in topics they ask for (?topics=ticket:<id>,poll:<id>,checkin:<eventId>)
+ * GET /api/realtime/stream?ticket=...
+ * Access: Public (stream ticket)
+ */
+const openStream = async (req, res) => {
+  try {
+    if (!req.query.ticket) {
+      return errorResponse(res, 'Stream ticket is required', 401);
+    }
+
+    const user = await RealtimeService.authenticate(String(req.query.ticket));
+    const topics = await RealtimeService.authorizeTopics(user, req.query.topics);
+
+    RealtimeService.open(req, res, user, topics);
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('Open realtime stream error:', error);
+    }
+    return errorResponse(res, error.statusCode ? error.message : 'Failed to open stream', error.statusCode || 500);
+  }
+};
+
+module.exports = {
+  issueStreamTicket,
+  openStream
+};
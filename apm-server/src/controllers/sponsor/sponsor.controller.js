@@ -1,22 +1,13 @@
 // src/controllers/sponsor.controller.js
-const { PrismaClient } = require("@prisma/client");
+const { prisma } = require("../../config/database");
 const { successResponse, errorResponse } = require("../../utils/response");
 const { CacheService } = require("../../config/redis");
 const fs = require("fs");
-const path = require("path");
-
-const prisma = new PrismaClient();
 
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
 
-// Generate file URL for response
-const getFileUrl = (req, filename, subfolder = "") => {
-	const baseUrl = `${req.protocol}://${req.get("host")}`;
-	return `${baseUrl}/uploads/sponsors${subfolder ? "/" + subfolder : ""}/${filename}`;
-};
-
 // Delete uploaded file (for cleanup on errors)
 const deleteUploadedFile = (filePath) => {
 	try {
@@ -0,0 +1,43 @@
+// src/controllers/storage/storage.controller.js
+// Serves files written by the local storage driver (signed URLs only)
+
+const { cloudflareR2Service } = require('../../services/cloudflare-r2.service');
+const { errorResponse } = require('../../utils/response');
+
+/**
+ * Serve a locally stored file through a signed URL
+ * GET /api/storage/files/*?expires=...&signature=...
+ * Access: Public (signature required)
+ */
+const serveLocalFile = async (req, res) => {
+  try {
+    const key = req.params[0];
+    const { expires, signature } = req.query;
+    const localDriver = cloudflareR2Service.getDriver('LOCAL');
+
+    if (!key || !localDriver.verifySignedUrl(key, expires, signature)) {
+      return errorResponse(res, 'Invalid or expired file link', 403);
+    }
+
+    const file = await localDriver.getFile(key);
+
+    res.set({
+      'Content-Type': file.contentType,
+      'Content-Length': file.size,
+      'Cache-Control': 'private, max-age=300',
+      'Last-Modified': file.lastModified.toUTCString(),
+    });
+
+    return res.send(file.data);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return errorResponse(res, 'File not found', 404);
+    }
+    console.error('Serve local file error:', error);
+    return errorResponse(res, 'Failed to serve file', 500);
+  }
+};
+
+module.exports = {
+  serveLocalFile,
+};
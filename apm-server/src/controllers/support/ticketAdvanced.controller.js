@@ -1,4 +1,3 @@
-const TicketSearchService = require('../../services/ticket/ticketSearch.service');
 const { successResponse, errorResponse } = require('../../utils/response');
 const { prisma } = require('../../config/database');
 
@@ -146,44 +145,6 @@ const getTicketStatistics = async (req, res) => {
   }
 };
 
-/**
- * Helper method for trend data
- */
-const getTicketTrendData = async (fromDate, toDate) => {
-  // This would need proper SQL for daily/weekly aggregation
-  // For now, return basic data structure
-  const tickets = await prisma.ticket.findMany({
-    where: {
-      createdAt: {
-        gte: fromDate,
-        lte: toDate
-      }
-    },
-    select: {
-      createdAt: true,
-      status: true
-    }
-  });
-  
-  // Group by day (simplified - can be enhanced)
-  const trendMap = new Map();
-  tickets.forEach(ticket => {
-    const day = ticket.createdAt.toISOString().split('T')[0];
-    if (!trendMap.has(day)) {
-      trendMap.set(day, { date: day, created: 0, resolved: 0 });
-    }
-    
-    const dayData = trendMap.get(day);
-    dayData.created++;
-    
-    if (['RESOLVED', 'CLOSED'].includes(ticket.status)) {
-      dayData.resolved++;
-    }
-  });
-  
-  return Array.from(trendMap.values()).sort((a, b) => a.date.localeCompare(b.date));
-};
-
 module.exports = {
   getSearchConfig,
   getTicketStatistics
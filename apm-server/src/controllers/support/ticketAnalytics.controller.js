@@ -97,6 +97,26 @@ const getPriorityDistribution = async (req, res) => {
   }
 };
 
+/**
+ * Get SLA compliance
+ * GET /api/tickets/admin/analytics/sla
+ */
+const getSlaCompliance = async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const slaCompliance = await TicketAnalyticsService.getSlaCompliance(days);
+    
+    return successResponse(
+      res,
+      slaCompliance,
+      'SLA compliance retrieved successfully'
+    );
+  } catch (error) {
+    console.error('SLA compliance error:', error);
+    return errorResponse(res, error.message || 'Failed to retrieve SLA compliance', 500);
+  }
+};
+
 /**
  * Get complete analytics dashboard data
  * GET /api/tickets/admin/analytics/complete
@@ -108,13 +128,15 @@ const getCompleteAnalytics = async (req, res) => {
       categoryAnalysis,
       weeklyTrends,
       adminPerformance,
-      priorityDistribution
+      priorityDistribution,
+      slaCompliance
     ] = await Promise.all([
       TicketAnalyticsService.getDashboardOverview(),
       TicketAnalyticsService.getCategoryAnalysis(),
       TicketAnalyticsService.getWeeklyTrends(),
       TicketAnalyticsService.getAdminPerformance(),
-      TicketAnalyticsService.getPriorityDistribution()
+      TicketAnalyticsService.getPriorityDistribution(),
+      TicketAnalyticsService.getSlaCompliance()
     ]);
 
     const analyticsData = {
@@ -123,6 +145,7 @@ const getCompleteAnalytics = async (req, res) => {
       trends: weeklyTrends,
       adminPerformance,
       priorityDistribution,
+      slaCompliance,
       generatedAt: new Date()
     };
     
@@ -162,6 +185,7 @@ module.exports = {
   getWeeklyTrends,
   getAdminPerformance,
   getPriorityDistribution,
+  getSlaCompliance,
   getCompleteAnalytics,
   refreshAnalyticsCache
 };
\ No newline at end of file
@@ -4,7 +4,7 @@
 
 const TicketService = require('../../services/ticket/ticket.service');
 const { successResponse, errorResponse } = require('../../utils/response');
-const { prisma } = require('../../config/database');
+const TicketMessageService = require('../../services/ticket/ticketMessage.service');
 
 /**
  * Get active ticket categories
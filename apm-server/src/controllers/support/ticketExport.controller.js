@@ -1,6 +1,7 @@
 // src/controllers/support/ticketExport.controller.js
 const TicketExportService = require('../../services/ticket/ticketExport.service');
 const { successResponse, errorResponse } = require('../../utils/response');
+const { prisma } = require('../../config/database');
 
 /**
  * Export single ticket conversation as PDF
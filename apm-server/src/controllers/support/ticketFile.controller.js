@@ -119,7 +119,6 @@ const downloadFile = async (req, res) => {
 const getThumbnail = async (req, res) => {
   try {
     const { attachmentId } = req.params;
-    const userId = req.user.id;
     
     const metadata = await TicketFileService.getFileMetadata(attachmentId);
     
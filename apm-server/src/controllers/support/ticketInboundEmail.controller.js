@@ -0,0 +1,85 @@
+// src/controllers/support/ticketInboundEmail.controller.js
+// Inbound mail webhook for ticket replies sent by email
+
+const crypto = require('crypto');
+const config = require('../../config');
+const TicketInboundEmailService = require('../../services/ticket/ticketInboundEmail.service');
+const { successResponse, errorResponse } = require('../../utils/response');
+
+const verifyWebhookSecret = (req) => {
+  const expected = config.inboundEmail.webhookSecret;
+  const received = req.get('x-inbound-email-secret') || req.query.secret;
+
+  if (!expected || !received) {
+    return false;
+  }
+
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(String(received));
+  return expectedBuffer.length === receivedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+/**
+ * Pull the email out of whatever the provider posted: a raw MIME body, a raw
+ * MIME form/JSON field (SendGrid "email", Mailgun "body-mime", "raw",
+ * "rawBase64") or a JSON payload the provider already parsed
+ */
+const extractEmail = (req) => {
+  if (Buffer.isBuffer(req.body)) {
+    return req.body.length > 0 ? req.body : null;
+  }
+
+  const body = req.body || {};
+  const rawField = body.email || body['body-mime'] || body.raw;
+
+  if (typeof rawField === 'string' && rawField.trim()) {
+    return Buffer.from(rawField, 'utf8');
+  }
+  if (typeof body.rawBase64 === 'string' && body.rawBase64.trim()) {
+    return Buffer.from(body.rawBase64, 'base64');
+  }
+  if (body.from && (body.text || body.html || body.attachments)) {
+    return TicketInboundEmailService.fromFields(body);
+  }
+
+  return null;
+};
+
+/**
+ * Receive an inbound email reply and post it to its ticket
+ * POST /api/tickets/inbound-email
+ * Access: Mail provider (X-Inbound-Email-Secret header or ?secret=)
+ */
+const receiveInboundEmail = async (req, res) => {
+  try {
+    if (!TicketInboundEmailService.isEnabled() || !config.inboundEmail.webhookSecret) {
+      return errorResponse(res, 'Reply by email is not configured', 503);
+    }
+
+    if (!verifyWebhookSecret(req)) {
+      return errorResponse(res, 'Invalid webhook secret', 401);
+    }
+
+    const email = extractEmail(req);
+    if (!email) {
+      return errorResponse(res, 'No email found in request body', 400);
+    }
+
+    const result = await TicketInboundEmailService.processInboundEmail(email);
+
+    // Mail that can't be used is still acknowledged so the provider stops retrying
+    return successResponse(
+      res,
+      result,
+      result.status === 'posted' ? 'Reply added to ticket' : 'Email not posted'
+    );
+  } catch (error) {
+    console.error('Inbound email error:', error);
+    return errorResponse(res, error.message || 'Failed to process inbound email', error.statusCode || 500);
+  }
+};
+
+module.exports = {
+  receiveInboundEmail
+};
@@ -1,7 +1,7 @@
 const TicketMessageService = require("../../services/ticket/ticketMessage.service");
-const TicketAuditService = require("../../services/ticket/ticketAudit.service");
 const { successResponse, errorResponse } = require("../../utils/response");
 const { prisma } = require("../../config/database");
+const { RealtimeService, REALTIME_EVENTS } = require("../../services/realtime/realtime.service");
 
 /**
  * Edit existing message
@@ -196,6 +196,37 @@ const clearMessageDraft = async (req, res) => {
 	}
 };
 
+/**
+ * Broadcast typing state to others viewing the ticket (not stored)
+ * POST /api/tickets/:ticketId/typing
+ */
+const setTypingState = async (req, res) => {
+	try {
+		const { ticketId } = req.params;
+		const { isTyping } = req.body;
+
+		await RealtimeService.publish(
+			RealtimeService.ticketTopic(ticketId),
+			REALTIME_EVENTS.TICKET_TYPING,
+			{
+				ticketId,
+				userId: req.user.id,
+				fullName: req.user.fullName,
+				isTyping,
+			},
+			{
+				organizationId: req.ticket.organizationId,
+				excludeUserId: req.user.id,
+			}
+		);
+
+		return successResponse(res, null, "Typing state sent");
+	} catch (error) {
+		console.error("Set typing state error:", error);
+		return errorResponse(res, "Failed to send typing state", 500);
+	}
+};
+
 module.exports = {
 	editMessage,
 	addReaction,
@@ -204,4 +235,5 @@ module.exports = {
 	saveMessageDraft,
 	getMessageDraft,
 	clearMessageDraft,
+	setTypingState,
 };
@@ -1,6 +1,7 @@
 // src/controllers/support/ticketPerformance.controller.js
 const TicketPerformanceService = require('../../services/ticket/ticketPerformance.service');
 const { successResponse, errorResponse } = require('../../utils/response');
+const { prisma } = require('../../config/database');
 
 /**
  * Get database performance metrics
@@ -0,0 +1,116 @@
+// src/controllers/support/ticketSla.controller.js
+const TicketSlaService = require('../../services/ticket/ticketSla.service');
+const { successResponse, errorResponse } = require('../../utils/response');
+const { prisma } = require('../../config/database');
+
+const logSlaActivity = (req, action, policy) =>
+  prisma.activityLog.create({
+    data: {
+      userId: req.user.id,
+      action,
+      details: {
+        policyId: policy.id,
+        policyName: policy.name
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    }
+  });
+
+/**
+ * Get SLA policies
+ * GET /api/tickets/admin/sla/policies
+ */
+const getSlaPolicies = async (req, res) => {
+  try {
+    const policies = await TicketSlaService.getPolicies();
+    
+    return successResponse(
+      res,
+      { policies },
+      'SLA policies retrieved successfully'
+    );
+  } catch (error) {
+    console.error('Get SLA policies error:', error);
+    return errorResponse(res, 'Failed to retrieve SLA policies', 500);
+  }
+};
+
+/**
+ * Create SLA policy
+ * POST /api/tickets/admin/sla/policies
+ */
+const createSlaPolicy = async (req, res) => {
+  try {
+    const policy = await TicketSlaService.createPolicy(req.body, req.user.id);
+    
+    await logSlaActivity(req, 'ticket_sla_policy_created', policy);
+    
+    return successResponse(
+      res,
+      { policy },
+      'SLA policy created successfully',
+      201
+    );
+  } catch (error) {
+    console.error('Create SLA policy error:', error);
+    return errorResponse(res, error.statusCode ? error.message : 'Failed to create SLA policy', error.statusCode || 500);
+  }
+};
+
+/**
+ * Update SLA policy
+ * PUT /api/tickets/admin/sla/policies/:policyId
+ */
+const updateSlaPolicy = async (req, res) => {
+  try {
+    const policy = await TicketSlaService.updatePolicy(req.params.policyId, req.body);
+    
+    if (!policy) {
+      return errorResponse(res, 'SLA policy not found', 404);
+    }
+    
+    await logSlaActivity(req, 'ticket_sla_policy_updated', policy);
+    
+    return successResponse(
+      res,
+      { policy },
+      'SLA policy updated successfully'
+    );
+  } catch (error) {
+    console.error('Update SLA policy error:', error);
+    return errorResponse(res, error.statusCode ? error.message : 'Failed to update SLA policy', error.statusCode || 500);
+  }
+};
+
+/**
+ * Delete SLA policy (tickets keep their due dates)
+ * DELETE /api/tickets/admin/sla/policies/:policyId
+ */
+const deleteSlaPolicy = async (req, res) => {
+  try {
+    const policy = await TicketSlaService.deletePolicy(req.params.policyId);
+    
+    if (!policy) {
+      return errorResponse(res, 'SLA policy not found', 404);
+    }
+    
+    await logSlaActivity(req, 'ticket_sla_policy_deleted', policy);
+    
+    return successResponse(
+      res,
+      null,
+      'SLA policy deleted successfully'
+    );
+  } catch (error) {
+    console.error('Delete SLA policy error:', error);
+    return errorResponse(res, 'Failed to delete SLA policy', 500);
+  }
+};
+
+module.exports = {
+  getSlaPolicies,
+  createSlaPolicy,
+  updateSlaPolicy,
+  deleteSlaPolicy
+};
@@ -142,7 +142,7 @@ const getOnlineCollectionAnalytics = async (req, res) => {
     const { year, dateFrom, dateTo } = req.query;
     
     // Build date filter for PaymentTransaction
-    let whereClause = { status: 'COMPLETED' };
+    let whereClause = { status: { in: TreasuryService.COLLECTED_PAYMENT_STATUSES } };
     if (year) {
       whereClause.createdAt = {
         gte: new Date(`${year}-01-01`),
@@ -161,22 +161,22 @@ const getOnlineCollectionAnalytics = async (req, res) => {
       monthlyTrends,
       recentTransactions
     ] = await Promise.all([
-      // Overall statistics
+      // Overall statistics (base currency, see scripts/backfill-base-currency.js)
       prisma.paymentTransaction.aggregate({
         where: whereClause,
-        _sum: { amount: true },
+        _sum: { baseAmount: true },
         _count: true,
-        _avg: { amount: true }
+        _avg: { baseAmount: true }
       }),
 
       // Payment provider breakdown
       prisma.paymentTransaction.groupBy({
         by: ['paymentProvider'],
         where: whereClause,
-        _sum: { amount: true },
+        _sum: { baseAmount: true },
         _count: true,
         orderBy: {
-          _sum: { amount: 'desc' }
+          _sum: { baseAmount: 'desc' }
         }
       }),
 
@@ -184,10 +184,10 @@ const getOnlineCollectionAnalytics = async (req, res) => {
       prisma.paymentTransaction.groupBy({
         by: ['referenceType'],
         where: whereClause,
-        _sum: { amount: true },
+        _sum: { baseAmount: true },
         _count: true,
         orderBy: {
-          _sum: { amount: 'desc' }
+          _sum: { baseAmount: 'desc' }
         }
       }),
 
@@ -197,7 +197,7 @@ const getOnlineCollectionAnalytics = async (req, res) => {
       // Recent large transactions
       prisma.paymentTransaction.findMany({
         where: whereClause,
-        orderBy: { amount: 'desc' },
+        orderBy: { baseAmount: 'desc' },
         take: 10,
         include: {
           user: {
@@ -209,25 +209,25 @@ const getOnlineCollectionAnalytics = async (req, res) => {
 
     const analytics = {
       summary: {
-        totalAmount: overallStats._sum.amount || 0,
+        totalAmount: overallStats._sum.baseAmount || 0,
         transactionCount: overallStats._count,
-        averageAmount: overallStats._avg.amount || 0
+        averageAmount: overallStats._avg.baseAmount || 0
       },
 
       breakdown: {
         byProvider: providerBreakdown.map(provider => ({
           provider: provider.paymentProvider,
-          amount: provider._sum.amount || 0,
+          amount: provider._sum.baseAmount || 0,
           count: provider._count,
-          percentage: overallStats._sum.amount > 0 ? 
-            ((provider._sum.amount || 0) / overallStats._sum.amount * 100) : 0
+          percentage: overallStats._sum.baseAmount > 0 ? 
+            ((provider._sum.baseAmount || 0) / overallStats._sum.baseAmount * 100) : 0
         })),
         byPurpose: referenceTypeBreakdown.map(ref => ({
           purpose: ref.referenceType,
-          amount: ref._sum.amount || 0,
+          amount: ref._sum.baseAmount || 0,
           count: ref._count,
-          percentage: overallStats._sum.amount > 0 ? 
-            ((ref._sum.amount || 0) / overallStats._sum.amount * 100) : 0
+          percentage: overallStats._sum.baseAmount > 0 ? 
+            ((ref._sum.baseAmount || 0) / overallStats._sum.baseAmount * 100) : 0
         }))
       },
 
@@ -239,6 +239,9 @@ const getOnlineCollectionAnalytics = async (req, res) => {
 
       topTransactions: recentTransactions.map(transaction => ({
         amount: transaction.amount,
+        currency: transaction.currency,
+        baseAmount: transaction.baseAmount,
+        baseCurrency: transaction.baseCurrency,
         referenceType: transaction.referenceType,
         paymentProvider: transaction.paymentProvider,
         date: transaction.createdAt,
@@ -251,8 +254,8 @@ const getOnlineCollectionAnalytics = async (req, res) => {
       insights: {
         mostUsedProvider: providerBreakdown.length > 0 ? providerBreakdown[0].paymentProvider : null,
         primaryPurpose: referenceTypeBreakdown.length > 0 ? referenceTypeBreakdown[0].referenceType : null,
-        averageTransactionSize: overallStats._avg.amount || 0,
-        totalRevenue: overallStats._sum.amount || 0
+        averageTransactionSize: overallStats._avg.baseAmount || 0,
+        totalRevenue: overallStats._sum.baseAmount || 0
       },
 
       generatedAt: new Date().toISOString()
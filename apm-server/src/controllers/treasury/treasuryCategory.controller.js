@@ -1,6 +1,6 @@
 // src/controllers/treasury/treasuryCategory.controller.js
 const { prisma } = require('../../config/database');
-const { successResponse, errorResponse, paginatedResponse, getPaginationParams } = require('../../utils/response');
+const { successResponse, errorResponse } = require('../../utils/response');
 
 // ============================================
 // EXPENSE CATEGORY MANAGEMENT
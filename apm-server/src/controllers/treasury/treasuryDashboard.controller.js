@@ -331,15 +331,15 @@ async function getMonthlyTrends(year) {
         ORDER BY month
       `,
 
-      // Monthly online collections (from PaymentTransaction)
+      // Monthly online collections (from PaymentTransaction, in base currency)
       prisma.$queryRaw`
         SELECT 
           EXTRACT(MONTH FROM created_at) as month,
           COUNT(*) as count,
-          SUM(amount) as total_amount
+          SUM(COALESCE("baseAmount", amount)) as total_amount
         FROM payment_transactions 
         WHERE EXTRACT(YEAR FROM created_at) = ${year}
-          AND status = 'COMPLETED'
+          AND status IN ('COMPLETED', 'PARTIALLY_REFUNDED', 'REFUNDED')
         GROUP BY EXTRACT(MONTH FROM created_at)
         ORDER BY month
       `
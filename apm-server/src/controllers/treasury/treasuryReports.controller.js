@@ -4,8 +4,6 @@ const { successResponse, errorResponse } = require('../../utils/response');
 const TreasuryService = require('../../services/TreasuryService');
 const XLSX = require('xlsx');
 const PDFDocument = require('pdfkit');
-const path = require('path');
-const fs = require('fs').promises;
 
 // ============================================
 // FINANCIAL REPORTS CONTROLLERS
@@ -76,7 +74,7 @@ const getFinancialReport = async (req, res) => {
       // Online collections for the year
       prisma.paymentTransaction.findMany({
         where: {
-          status: 'COMPLETED',
+          status: { in: TreasuryService.COLLECTED_PAYMENT_STATUSES },
           createdAt: {
             gte: new Date(`${yearInt}-01-01`),
             lte: new Date(`${yearInt}-12-31`)
@@ -101,7 +99,7 @@ const getFinancialReport = async (req, res) => {
     // Calculate summary statistics
     const totalExpenses = expenses.reduce((sum, exp) => sum + parseFloat(exp.amount), 0);
     const totalManualCollections = manualCollections.reduce((sum, col) => sum + parseFloat(col.amount), 0);
-    const totalOnlineCollections = onlineCollections.reduce((sum, pay) => sum + parseFloat(pay.amount), 0);
+    const totalOnlineCollections = onlineCollections.reduce((sum, pay) => sum + parseFloat(pay.baseAmount ?? pay.amount), 0);
     const totalCollections = totalManualCollections + totalOnlineCollections;
     const netMovement = totalCollections - totalExpenses;
 
@@ -180,6 +178,10 @@ const getFinancialReport = async (req, res) => {
         onlineCollections: onlineCollections.map(payment => ({
           id: payment.id,
           amount: payment.amount,
+          currency: payment.currency,
+          baseAmount: payment.baseAmount ?? payment.amount,
+          baseCurrency: payment.baseCurrency || payment.currency,
+          exchangeRate: payment.exchangeRate,
           referenceType: payment.referenceType,
           paymentProvider: payment.paymentProvider,
           transactionId: payment.transactionId,
@@ -307,13 +309,16 @@ const exportFinancialReportExcel = async (req, res) => {
     XLSX.utils.book_append_sheet(wb, manualCollectionWs, 'Manual Collections');
 
     // 4. Online Payments Sheet
-    const onlinePaymentHeaders = ['Date', 'Amount', 'Type', 'Provider', 'Transaction ID', 'User Name', 'User Email'];
+    const onlinePaymentHeaders = ['Date', 'Amount', 'Currency', 'Base Amount', 'Base Currency', 'Type', 'Provider', 'Transaction ID', 'User Name', 'User Email'];
     const onlinePaymentData = [onlinePaymentHeaders];
     
     report.detailedData.onlineCollections.forEach(payment => {
       onlinePaymentData.push([
         payment.date.split('T')[0],
         parseFloat(payment.amount),
+        payment.currency,
+        parseFloat(payment.baseAmount),
+        payment.baseCurrency,
         payment.referenceType,
         payment.paymentProvider,
         payment.transactionId,
@@ -793,9 +798,6 @@ const getReceiptSummaryReport = async (req, res) => {
 
 async function getFinancialReportData(year) {
   // This is a helper to get the report data without going through the full response flow
-  const req = { params: { year: year.toString() } };
-  const mockRes = {};
-  
   // Get the report data (this would normally call getFinancialReport)
   // For now, return a minimal structure - in production, extract the logic from getFinancialReport
   return {
@@ -0,0 +1,31 @@
+const cron = require('node-cron');
+const CommunityDigestService = require('../services/digest/communityDigest.service');
+const { JobQueueService, JOB_TYPES } = require('../services/queue/jobQueue.service');
+
+class CommunityDigestJob {
+  /**
+   * Initialize weekly community digest cron job
+   */
+  static initialize() {
+    // Mondays at 09:00 IST; the run fans out into one queued job per organization
+    cron.schedule('0 9 * * 1', () => {
+      JobQueueService.dispatch(JOB_TYPES.COMMUNITY_DIGEST, {}, {
+        jobId: JobQueueService.dailyJobId(JOB_TYPES.COMMUNITY_DIGEST)
+      });
+    }, {
+      scheduled: true,
+      timezone: "Asia/Kolkata"
+    });
+
+    console.log('✅ Community digest cron job initialized (runs Mondays at 9:00 AM)');
+  }
+
+  /**
+   * Queue this week's digest for every organization (queue handler)
+   */
+  static async run() {
+    return CommunityDigestService.queueTenantDigests();
+  }
+}
+
+module.exports = CommunityDigestJob;
@@ -6,6 +6,7 @@ const cron = require('node-cron');
 const BirthdayService = require('../services/birthday/BirthdayService');
 const FestivalService = require('../services/festival/FestivalService');
 const { prisma } = require('../config/database');
+const { JobQueueService, JOB_TYPES } = require('../services/queue/jobQueue.service');
 
 class DailyCelebrationJob {
   constructor() {
@@ -24,18 +25,20 @@ class DailyCelebrationJob {
     console.log('🕐 Initializing daily celebration cron jobs...');
     
     // Birthday email cron job at 00:05 AM (midnight for birthday wishes)
-    cron.schedule(job.birthdayEmailSchedule, async () => {
-      console.log('🎂 Running birthday email notifications (midnight)...');
-      await job.runBirthdayEmails();
+    cron.schedule(job.birthdayEmailSchedule, () => {
+      JobQueueService.dispatch(JOB_TYPES.BIRTHDAY_EMAILS, {}, {
+        jobId: JobQueueService.dailyJobId(JOB_TYPES.BIRTHDAY_EMAILS, job.timezone)
+      });
     }, {
       scheduled: true,
       timezone: job.timezone
     });
     
     // Main celebration notifications at 8:00 AM (push notifications)
-    cron.schedule(job.jobSchedule, async () => {
-      console.log('🎉 Running daily celebration push notifications...');
-      await job.runDailyCelebrations();
+    cron.schedule(job.jobSchedule, () => {
+      JobQueueService.dispatch(JOB_TYPES.DAILY_CELEBRATIONS, {}, {
+        jobId: JobQueueService.dailyJobId(JOB_TYPES.DAILY_CELEBRATIONS, job.timezone)
+      });
     }, {
       scheduled: true,
       timezone: job.timezone
@@ -47,7 +50,7 @@ class DailyCelebrationJob {
   }
 
   /**
-   * Run birthday emails at midnight (00:05 AM)
+   * Run birthday emails at midnight (00:05 AM, queue handler)
    */
   async runBirthdayEmails() {
     if (this.isRunning) {
@@ -56,7 +59,6 @@ class DailyCelebrationJob {
     }
 
     this.isRunning = true;
-    const startTime = new Date();
     
     try {
       console.log('🎂 Starting birthday email notifications...');
@@ -82,7 +84,7 @@ class DailyCelebrationJob {
   }
 
   /**
-   * Main function to run daily celebrations (push notifications)
+   * Main function to run daily celebrations (push notifications, queue handler)
    */
   async runDailyCelebrations() {
     if (this.isRunning) {
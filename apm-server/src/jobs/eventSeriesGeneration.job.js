@@ -0,0 +1,33 @@
+const cron = require('node-cron');
+const { EventSeriesService } = require('../services/event/eventSeries.service');
+const { JobQueueService, JOB_TYPES } = require('../services/queue/jobQueue.service');
+
+class EventSeriesGenerationJob {
+  /**
+   * Initialize recurring event occurrence generation cron job
+   */
+  static initialize() {
+    // Run daily at 1:00 AM; one queued run per day across instances
+    cron.schedule('0 1 * * *', () => {
+      JobQueueService.dispatch(JOB_TYPES.EVENT_SERIES_GENERATE, {}, {
+        jobId: JobQueueService.dailyJobId(JOB_TYPES.EVENT_SERIES_GENERATE)
+      });
+    }, {
+      scheduled: true,
+      timezone: "Asia/Kolkata"
+    });
+
+    console.log('✅ Event series generation cron job initialized (runs daily at 1:00 AM IST)');
+  }
+
+  /**
+   * Create upcoming occurrences for every active series (queue handler)
+   */
+  static async run() {
+    const result = await EventSeriesService.generateAllSeries();
+    console.log(`🔁 Event series run: ${result.created} occurrences created across ${result.series} series`);
+    return result;
+  }
+}
+
+module.exports = EventSeriesGenerationJob;
@@ -0,0 +1,108 @@
+// src/jobs/jobHandlers.js
+// Registers the handler for every job type run by the queue worker
+
+const { JobQueueService, JOB_TYPES } = require('../services/queue/jobQueue.service');
+const { NotificationService } = require('../services/notification.service');
+const QRCodeService = require('../services/qr/QRCodeService');
+const InvoiceService = require('../services/payment/InvoiceService');
+const DiscountService = require('../services/payment/DiscountService');
+const MerchandiseNotificationService = require('../services/merchandise/merchandiseNotification.service');
+const { WaitlistService } = require('../services/event/waitlist.service');
+const DonorMatchingService = require('../services/lifeLink/donor-matching.service');
+const CalendarUpdateService = require('../services/calendar/calendarUpdate.service');
+const CommunityDigestService = require('../services/digest/communityDigest.service');
+const SessionCleanupJob = require('./sessionCleanup.job');
+const MembershipExpiryJob = require('./membershipExpiry.job');
+const DailyCelebrationJob = require('./dailyCelebrationJob');
+const WeeklyFestivalSyncJob = require('./weeklyFestivalSyncJob');
+const TicketSlaCheckJob = require('./ticketSlaCheck.job');
+const EventSeriesGenerationJob = require('./eventSeriesGeneration.job');
+const NotificationDigestJob = require('./notificationDigest.job');
+const CommunityDigestJob = require('./communityDigest.job');
+
+// Bulk sends and digests render and batch for thousands of recipients and can
+// keep the event loop busy past a heartbeat, so they get a longer lock
+const BULK_LOCK_TIMEOUT_MS = 30 * 60 * 1000;
+
+const registerJobHandlers = () => {
+  // Notifications
+  JobQueueService.register(JOB_TYPES.NOTIFICATION_SEND,
+    (data) => NotificationService.createAndSendNotification(data)
+  );
+  JobQueueService.register(JOB_TYPES.NOTIFICATION_BULK,
+    (data) => NotificationService.sendBulkNotification(data, data),
+    { lockTimeoutMs: BULK_LOCK_TIMEOUT_MS }
+  );
+  JobQueueService.register(JOB_TYPES.NOTIFICATION_PUSH_DEFERRED,
+    (data) => NotificationService.sendDeferredPush(data)
+  );
+
+  // Event waitlist
+  JobQueueService.register(JOB_TYPES.WAITLIST_PROMOTION,
+    ({ eventId }) => WaitlistService.promoteNext(eventId)
+  );
+  JobQueueService.register(JOB_TYPES.WAITLIST_PAYMENT_EXPIRY,
+    ({ registrationId }) => WaitlistService.expireUnpaidPromotion(registrationId)
+  );
+
+  // Calendar invite updates; not retried since a partial run already emailed people
+  JobQueueService.register(JOB_TYPES.EVENT_CALENDAR_UPDATE,
+    (data) => CalendarUpdateService.sendEventUpdates(data),
+    { maxAttempts: 1 }
+  );
+
+  // LifeLink radius-ring broadcasts
+  JobQueueService.register(JOB_TYPES.LIFELINK_RING_WIDEN,
+    (data) => DonorMatchingService.widenRing(data)
+  );
+
+  // Community digests; a retry only emails members the failed run didn't reach
+  JobQueueService.register(JOB_TYPES.COMMUNITY_DIGEST_TENANT,
+    (data) => CommunityDigestService.sendTenantDigest(data),
+    { maxAttempts: 2, lockTimeoutMs: BULK_LOCK_TIMEOUT_MS }
+  );
+
+  // Payment post-processing
+  JobQueueService.register(JOB_TYPES.EVENT_REGISTRATION_QR,
+    ({ registrationId }) => QRCodeService.generateQRCode(registrationId)
+  );
+  JobQueueService.register(JOB_TYPES.MERCHANDISE_ORDER_QR,
+    ({ orderId }) => QRCodeService.generateMerchandiseOrderQR(orderId)
+  );
+  JobQueueService.register(JOB_TYPES.MERCHANDISE_ORDER_EMAIL,
+    ({ orderId }) => MerchandiseNotificationService.sendOrderConfirmationEmail(orderId)
+  );
+  JobQueueService.register(JOB_TYPES.PAYMENT_INVOICE,
+    ({ transactionId }) => InvoiceService.generateInvoice(transactionId)
+  );
+  JobQueueService.register(JOB_TYPES.PROMO_RESERVATION_EXPIRY,
+    ({ transactionId }) => DiscountService.releaseReservation(transactionId)
+  );
+
+  // Scheduled jobs; celebrations are not retried since a partial run already notified people
+  const celebrations = new DailyCelebrationJob();
+
+  JobQueueService.register(JOB_TYPES.SESSION_CLEANUP, () => SessionCleanupJob.run());
+  JobQueueService.register(JOB_TYPES.MEMBERSHIP_EXPIRY, () => MembershipExpiryJob.run());
+  JobQueueService.register(JOB_TYPES.TICKET_SLA_CHECK, () => TicketSlaCheckJob.run());
+  JobQueueService.register(JOB_TYPES.EVENT_SERIES_GENERATE, () => EventSeriesGenerationJob.run());
+  JobQueueService.register(JOB_TYPES.NOTIFICATION_DIGEST,
+    () => NotificationDigestJob.run(),
+    { maxAttempts: 1, lockTimeoutMs: BULK_LOCK_TIMEOUT_MS }
+  );
+  JobQueueService.register(JOB_TYPES.COMMUNITY_DIGEST, () => CommunityDigestJob.run());
+  JobQueueService.register(JOB_TYPES.BIRTHDAY_EMAILS,
+    () => celebrations.runBirthdayEmails(),
+    { maxAttempts: 1 }
+  );
+  JobQueueService.register(JOB_TYPES.DAILY_CELEBRATIONS,
+    () => celebrations.runDailyCelebrations(),
+    { maxAttempts: 1 }
+  );
+  JobQueueService.register(JOB_TYPES.FESTIVAL_SYNC,
+    () => WeeklyFestivalSyncJob.runWeeklyFestivalSync(),
+    { maxAttempts: 2, backoffMs: 15 * 60 * 1000 }
+  );
+};
+
+module.exports = { registerJobHandlers };
@@ -1,6 +1,7 @@
 const cron = require('node-cron');
 const MembershipAdminService = require('../services/membership/membershipAdmin.service');
 const { prisma } = require('../config/database');
+const { JobQueueService, JOB_TYPES } = require('../services/queue/jobQueue.service');
 
 class MembershipExpiryJob {
   /**
@@ -10,51 +11,10 @@ class MembershipExpiryJob {
     console.log('🕐 Initializing membership expiry cron job...');
     
     // Run daily at 2:00 AM to auto-expire memberships
-    cron.schedule('0 2 * * *', async () => {
-      console.log('🔄 Running automatic membership expiry check...');
-      
-      try {
-        const expiredCount = await MembershipAdminService.autoExpireMemberships();
-        
-        // Log system activity
-        await prisma.activityLog.create({
-          data: {
-            userId: 'system',
-            action: 'membership_auto_expire_cron',
-            details: {
-              expiredCount,
-              runAt: new Date(),
-              jobType: 'scheduled'
-            }
-          }
-        });
-
-        console.log(`✅ Automatic expiry completed: ${expiredCount} memberships expired`);
-        
-        // Send notification to admins if many memberships expired
-        if (expiredCount > 10) {
-          console.log(`🚨 High expiry count: ${expiredCount} memberships auto-expired`);
-          // TODO: Send email notification to super admins
-        }
-        
-      } catch (error) {
-        console.error('❌ Membership auto-expiry cron job failed:', error);
-        
-        // Log error
-        await prisma.activityLog.create({
-          data: {
-            userId: 'system',
-            action: 'membership_auto_expire_cron_error',
-            details: {
-              error: error.message,
-              runAt: new Date(),
-              jobType: 'scheduled'
-            }
-          }
-        }).catch(logError => {
-          console.error('Failed to log cron error:', logError);
-        });
-      }
+    cron.schedule('0 2 * * *', () => {
+      JobQueueService.dispatch(JOB_TYPES.MEMBERSHIP_EXPIRY, {}, {
+        jobId: JobQueueService.dailyJobId(JOB_TYPES.MEMBERSHIP_EXPIRY)
+      });
     }, {
       scheduled: true,
       timezone: "Asia/Kolkata" // Adjust timezone as needed
@@ -63,6 +23,59 @@ class MembershipExpiryJob {
     console.log('✅ Membership expiry cron job initialized (runs daily at 2:00 AM IST)');
   }
 
+  /**
+   * Automatic membership expiry check (queue handler)
+   */
+  static async run() {
+    console.log('🔄 Running automatic membership expiry check...');
+    
+    try {
+      const expiredCount = await MembershipAdminService.autoExpireMemberships();
+      
+      // Log system activity
+      await prisma.activityLog.create({
+        data: {
+          userId: 'system',
+          action: 'membership_auto_expire_cron',
+          details: {
+            expiredCount,
+            runAt: new Date(),
+            jobType: 'scheduled'
+          }
+        }
+      });
+
+      console.log(`✅ Automatic expiry completed: ${expiredCount} memberships expired`);
+      
+      // Send notification to admins if many memberships expired
+      if (expiredCount > 10) {
+        console.log(`🚨 High expiry count: ${expiredCount} memberships auto-expired`);
+        // TODO: Send email notification to super admins
+      }
+
+      return { expiredCount };
+    } catch (error) {
+      console.error('❌ Membership auto-expiry cron job failed:', error);
+      
+      // Log error
+      await prisma.activityLog.create({
+        data: {
+          userId: 'system',
+          action: 'membership_auto_expire_cron_error',
+          details: {
+            error: error.message,
+            runAt: new Date(),
+            jobType: 'scheduled'
+          }
+        }
+      }).catch(logError => {
+        console.error('Failed to log cron error:', logError);
+      });
+
+      throw error;
+    }
+  }
+
   /**
    * Manual trigger for testing (call this in development)
    */
@@ -0,0 +1,34 @@
+const cron = require('node-cron');
+const { NotificationService } = require('../services/notification.service');
+const { JobQueueService, JOB_TYPES } = require('../services/queue/jobQueue.service');
+
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+class NotificationDigestJob {
+  /**
+   * Initialize notification digest cron job
+   */
+  static initialize() {
+    // Run hourly so each user's digest goes out at digestHour in their own timezone;
+    // one queued run per hour across instances
+    cron.schedule('0 * * * *', () => {
+      JobQueueService.dispatch(JOB_TYPES.NOTIFICATION_DIGEST, {}, {
+        jobId: JobQueueService.intervalJobId(JOB_TYPES.NOTIFICATION_DIGEST, CHECK_INTERVAL_MS)
+      });
+    }, {
+      scheduled: true,
+      timezone: "Asia/Kolkata"
+    });
+
+    console.log('✅ Notification digest cron job initialized (runs hourly)');
+  }
+
+  /**
+   * Email the digests that are due (queue handler)
+   */
+  static async run() {
+    return NotificationService.sendDigests();
+  }
+}
+
+module.exports = NotificationDigestJob;
@@ -0,0 +1,33 @@
+const cron = require('node-cron');
+const SessionService = require('../services/auth/session.service');
+const { JobQueueService, JOB_TYPES } = require('../services/queue/jobQueue.service');
+
+class SessionCleanupJob {
+  /**
+   * Initialize stale session cleanup cron job
+   */
+  static initialize() {
+    // Run daily at 3:30 AM; keeps the device history table small
+    cron.schedule('30 3 * * *', () => {
+      JobQueueService.dispatch(JOB_TYPES.SESSION_CLEANUP, {}, {
+        jobId: JobQueueService.dailyJobId(JOB_TYPES.SESSION_CLEANUP)
+      });
+    }, {
+      scheduled: true,
+      timezone: "Asia/Kolkata"
+    });
+
+    console.log('✅ Session cleanup cron job initialized (runs daily at 3:30 AM IST)');
+  }
+
+  /**
+   * Purge stale sessions (queue handler)
+   */
+  static async run() {
+    const purged = await SessionService.purgeStaleSessions();
+    console.log(`✅ Session cleanup completed: ${purged} stale sessions removed`);
+    return { purged };
+  }
+}
+
+module.exports = SessionCleanupJob;
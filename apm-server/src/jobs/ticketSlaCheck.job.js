@@ -0,0 +1,33 @@
+const cron = require('node-cron');
+const TicketSlaService = require('../services/ticket/ticketSla.service');
+const { JobQueueService, JOB_TYPES } = require('../services/queue/jobQueue.service');
+
+const CHECK_INTERVAL_MS = 10 * 60 * 1000;
+
+class TicketSlaCheckJob {
+  /**
+   * Initialize ticket SLA breach checker cron job
+   */
+  static initialize() {
+    // Run every 10 minutes; one queued run per slot across instances
+    cron.schedule('*/10 * * * *', () => {
+      JobQueueService.dispatch(JOB_TYPES.TICKET_SLA_CHECK, {}, {
+        jobId: JobQueueService.intervalJobId(JOB_TYPES.TICKET_SLA_CHECK, CHECK_INTERVAL_MS)
+      });
+    }, {
+      scheduled: true,
+      timezone: "Asia/Kolkata"
+    });
+
+    console.log('✅ Ticket SLA checker cron job initialized (runs every 10 minutes)');
+  }
+
+  /**
+   * Escalate tickets past their SLA targets (queue handler)
+   */
+  static async run() {
+    return TicketSlaService.checkBreaches();
+  }
+}
+
+module.exports = TicketSlaCheckJob;
@@ -5,6 +5,7 @@
 const cron = require('node-cron');
 const FestivalSyncService = require('../services/festival/FestivalSyncService');
 const { prisma } = require('../config/database');
+const { JobQueueService, JOB_TYPES } = require('../services/queue/jobQueue.service');
 
 class WeeklyFestivalSyncJob {
   constructor() {
@@ -21,9 +22,10 @@ class WeeklyFestivalSyncJob {
     
     console.log('🕐 Initializing weekly festival sync cron job...');
     
-    cron.schedule(job.jobSchedule, async () => {
-      console.log('🔄 Running weekly festival sync...');
-      await job.runWeeklyFestivalSync();
+    cron.schedule(job.jobSchedule, () => {
+      JobQueueService.dispatch(JOB_TYPES.FESTIVAL_SYNC, {}, {
+        jobId: JobQueueService.dailyJobId(JOB_TYPES.FESTIVAL_SYNC, job.timezone)
+      });
     }, {
       scheduled: true,
       timezone: job.timezone
@@ -34,7 +36,7 @@ class WeeklyFestivalSyncJob {
   }
 
   /**
-   * Main function to run weekly festival sync
+   * Main function to run weekly festival sync (queue handler)
    */
   async runWeeklyFestivalSync() {
     if (this.isRunning) {
@@ -4,8 +4,8 @@
 // ==========================================
 
 const { prisma } = require('../../config/database');
-const { errorResponse } = require('../../utils/response');
 const { CacheService } = require('../../config/redis');
+const EmailBlacklistService = require('../../services/auth/emailBlacklist.service');
 
 /**
  * Require alumni verification for protected routes
@@ -117,20 +117,7 @@ const checkEmailBlacklist = async (req, res, next) => {
       return next(); // Let other validation handle missing email
     }
     
-    const blacklistedEmail = await prisma.blacklistedEmail.findFirst({
-      where: { 
-        email: email.toLowerCase(),
-        isActive: true 
-      },
-      select: {
-        id: true,
-        reason: true,
-        blacklistedAt: true,
-        blacklistedAdmin: {
-          select: { fullName: true }
-        }
-      }
-    });
+    const blacklistedEmail = await EmailBlacklistService.findActiveEntry(email);
     
     if (blacklistedEmail) {
       // Log blacklist attempt
@@ -141,7 +128,7 @@ const checkEmailBlacklist = async (req, res, next) => {
           details: {
             email: email.toLowerCase(),
             blacklistReason: blacklistedEmail.reason,
-            blacklistedBy: blacklistedEmail.blacklistedAdmin.fullName
+            blacklistedBy: blacklistedEmail.blacklistedAdmin?.fullName
           },
           ipAddress: req.ip,
           userAgent: req.get('User-Agent')
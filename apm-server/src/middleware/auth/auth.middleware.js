@@ -2,6 +2,8 @@
 const jwt = require('jsonwebtoken');
 const config = require('../../config');
 const { prisma } = require('../../config/database');
+const TwoFactorService = require('../../services/auth/twoFactor.service');
+const SessionService = require('../../services/auth/session.service');
 
 // Verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -18,6 +20,14 @@ const authenticateToken = async (req, res, next) => {
 
     const decoded = jwt.verify(token, config.jwt.secret);
 
+    // 2FA challenge and step-up tokens share the secret but are not sessions
+    if (decoded.type !== 'access') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token',
+      });
+    }
+
     // Get user from database with organization info
     const user = await prisma.user.findUnique({
       where: { id: decoded.userId },
@@ -29,6 +39,7 @@ const authenticateToken = async (req, res, next) => {
         isActive: true,
         deactivatedAt: true,
         organizationId: true, // Multi-tenant support
+        twoFactorEnabled: true,
       },
     });
 
@@ -46,6 +57,16 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Signed-out, revoked or force-logged-out sessions stop working immediately.
+    // Access tokens issued before sessions existed carry no sid and simply expire.
+    if (decoded.sid && !(await SessionService.isSessionActive(decoded.sid, user.id))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been signed out',
+        code: 'SESSION_REVOKED',
+      });
+    }
+
     // Multi-tenant validation
     // DEVELOPER role can access any tenant (cross-tenant access)
     if (user.role !== 'DEVELOPER' && req.tenant) {
@@ -70,7 +91,7 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    req.user = user;
+    req.user = { ...user, sessionId: decoded.sid || null };
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -165,6 +186,48 @@ const requireBatchAdmin = async (req, res, next) => {
   }
 };
 
+// Require a recent second-factor check before sensitive admin actions.
+// Send the token from POST /api/auth/2fa/step-up as X-Step-Up-Token.
+const requireStepUp = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required',
+      });
+    }
+
+    if (!req.user.twoFactorEnabled) {
+      // Opt-in unless the organization (or platform, for developers) enforces it
+      if (await TwoFactorService.isRequired(req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Two-factor authentication must be enabled for this action',
+          code: 'TWO_FACTOR_ENROLLMENT_REQUIRED',
+        });
+      }
+      return next();
+    }
+
+    const stepUpToken = req.headers['x-step-up-token'];
+    if (!stepUpToken || !TwoFactorService.isValidStepUpToken(stepUpToken, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please confirm this action with your authenticator code',
+        code: 'STEP_UP_REQUIRED',
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Step-up check error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Authorization check failed',
+    });
+  }
+};
+
 // Optional authentication (for public endpoints that can benefit from user context)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -173,6 +236,9 @@ const optionalAuth = async (req, res, next) => {
     
     if (token) {
       const decoded = jwt.verify(token, config.jwt.secret);
+      if (decoded.type !== 'access') {
+        return next();
+      }
       const user = await prisma.user.findUnique({
         where: { id: decoded.userId },
         select: {
@@ -181,16 +247,19 @@ const optionalAuth = async (req, res, next) => {
           fullName: true,
           role: true,
           isActive: true,
+          organizationId: true, // Multi-tenant support
         },
       });
       
-      if (user && user.isActive) {
-        req.user = user;
+      const sessionActive = !decoded.sid || await SessionService.isSessionActive(decoded.sid, decoded.userId);
+
+      if (user && user.isActive && sessionActive) {
+        req.user = { ...user, sessionId: decoded.sid || null };
       }
     }
     
     next();
-  } catch (error) {
+  } catch {
     // Ignore auth errors for optional auth
     next();
   }
@@ -200,5 +269,6 @@ module.exports = {
   authenticateToken,
   requireRole,
   requireBatchAdmin,
+  requireStepUp,
   optionalAuth,
 };
\ No newline at end of file
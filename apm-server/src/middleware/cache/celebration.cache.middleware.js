@@ -2,6 +2,10 @@
 // 12-hour caching strategy using existing CacheService
 
 const { CacheService } = require('../../config/redis');
+const { getOrganizationId } = require('../../utils/tenant.util');
+
+// Festivals are per organization; the tenant sits right after the "festivals" segment
+const tenantScope = (tenantId) => tenantId || 'global';
 
 // ============================================
 // CELEBRATION CACHE KEYS (Following your existing pattern)
@@ -33,40 +37,40 @@ class CelebrationCacheKeys {
   }
   
   // Festival cache keys
-  static todaysFestivals() {
+  static todaysFestivals(tenantId) {
     const today = new Date().toISOString().split('T')[0];
-    return `celebrations:festivals:today:${today}`;
+    return `celebrations:festivals:${tenantScope(tenantId)}:today:${today}`;
   }
   
-  static upcomingFestivals(days) {
+  static upcomingFestivals(tenantId, days) {
     const today = new Date().toISOString().split('T')[0];
-    return `celebrations:festivals:upcoming:${days}:${today}`;
+    return `celebrations:festivals:${tenantScope(tenantId)}:upcoming:${days}:${today}`;
   }
   
-  static festivalStats() {
+  static festivalStats(tenantId) {
     const year = new Date().getFullYear();
-    return `celebrations:festivals:stats:${year}`;
+    return `celebrations:festivals:${tenantScope(tenantId)}:stats:${year}`;
   }
   
-  static festivalCalendar(year) {
-    return `celebrations:festivals:calendar:${year}`;
+  static festivalCalendar(tenantId, year) {
+    return `celebrations:festivals:${tenantScope(tenantId)}:calendar:${year}`;
   }
   
-  static searchFestivals(query, filters) {
+  static searchFestivals(tenantId, query, filters) {
     const filterStr = JSON.stringify(filters);
     const hash = require('crypto').createHash('md5').update(filterStr).digest('hex').slice(0, 8);
-    return `celebrations:festivals:search:${query || 'all'}:${hash}`;
+    return `celebrations:festivals:${tenantScope(tenantId)}:search:${query || 'all'}:${hash}`;
   }
   
   // Combined cache keys
-  static todaysCelebrations() {
+  static todaysCelebrations(tenantId) {
     const today = new Date().toISOString().split('T')[0];
-    return `celebrations:combined:today:${today}`;
+    return `celebrations:combined:${tenantScope(tenantId)}:today:${today}`;
   }
   
-  static celebrationSummary() {
+  static celebrationSummary(tenantId) {
     const today = new Date().toISOString().split('T')[0];
-    return `celebrations:summary:${today}`;
+    return `celebrations:summary:${tenantScope(tenantId)}:${today}`;
   }
 }
 
@@ -168,7 +172,7 @@ const cacheUpcomingBirthdays = cacheCelebration(
  * Cache today's festivals (12-hour cache)
  */
 const cacheTodaysFestivals = cacheCelebration(
-  () => CelebrationCacheKeys.todaysFestivals(),
+  (req) => CelebrationCacheKeys.todaysFestivals(getOrganizationId(req)),
   TTL.TWELVE_HOURS
 );
 
@@ -176,7 +180,7 @@ const cacheTodaysFestivals = cacheCelebration(
  * Cache upcoming festivals (12-hour cache)
  */
 const cacheUpcomingFestivals = cacheCelebration(
-  (req) => CelebrationCacheKeys.upcomingFestivals(req.query.days || 30),
+  (req) => CelebrationCacheKeys.upcomingFestivals(getOrganizationId(req), req.query.days || 30),
   TTL.TWELVE_HOURS
 );
 
@@ -184,7 +188,7 @@ const cacheUpcomingFestivals = cacheCelebration(
  * Cache today's celebrations (12-hour cache)
  */
 const cacheTodaysCelebrations = cacheCelebration(
-  () => CelebrationCacheKeys.todaysCelebrations(),
+  (req) => CelebrationCacheKeys.todaysCelebrations(getOrganizationId(req)),
   TTL.TWELVE_HOURS
 );
 
@@ -200,7 +204,7 @@ const cacheBirthdayStats = cacheCelebration(
  * Cache festival statistics (6-hour cache)
  */
 const cacheFestivalStats = cacheCelebration(
-  () => CelebrationCacheKeys.festivalStats(),
+  (req) => CelebrationCacheKeys.festivalStats(getOrganizationId(req)),
   TTL.SIX_HOURS
 );
 
@@ -208,7 +212,7 @@ const cacheFestivalStats = cacheCelebration(
  * Cache celebration summary (6-hour cache)
  */
 const cacheCelebrationSummary = cacheCelebration(
-  () => CelebrationCacheKeys.celebrationSummary(),
+  (req) => CelebrationCacheKeys.celebrationSummary(getOrganizationId(req)),
   TTL.SIX_HOURS
 );
 
@@ -216,7 +220,7 @@ const cacheCelebrationSummary = cacheCelebration(
  * Cache festival calendar (1-day cache)
  */
 const cacheFestivalCalendar = cacheCelebration(
-  (req) => CelebrationCacheKeys.festivalCalendar(req.query.year || new Date().getFullYear()),
+  (req) => CelebrationCacheKeys.festivalCalendar(getOrganizationId(req), req.query.year || new Date().getFullYear()),
   TTL.ONE_DAY
 );
 
@@ -251,7 +255,7 @@ const cacheFestivalSearch = cacheCelebration(
       year: req.query.year,
       limit: req.query.limit
     };
-    return CelebrationCacheKeys.searchFestivals(req.query.q, filters);
+    return CelebrationCacheKeys.searchFestivals(getOrganizationId(req), req.query.q, filters);
   },
   TTL.ONE_HOUR
 );
@@ -363,21 +367,16 @@ const invalidateAllCelebrationCaches = async () => {
  * Get cache statistics
  */
 const getCacheStats = async () => {
-  try {
-    // This would need to be implemented based on your CacheService capabilities
-    // For now, return basic info
-    return {
-      message: 'Cache statistics available through Redis CLI',
-      patterns: [
-        'celebrations:birthdays:*',
-        'celebrations:festivals:*', 
-        'celebrations:combined:*'
-      ]
-    };
-  } catch (error) {
-    console.error('❌ Error getting cache stats:', error);
-    throw error;
-  }
+  // This would need to be implemented based on your CacheService capabilities
+  // For now, return basic info
+  return {
+    message: 'Cache statistics available through Redis CLI',
+    patterns: [
+      'celebrations:birthdays:*',
+      'celebrations:festivals:*', 
+      'celebrations:combined:*'
+    ]
+  };
 };
 
 module.exports = {
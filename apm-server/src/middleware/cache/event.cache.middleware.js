@@ -328,6 +328,13 @@ class EventCacheInvalidator {
 		console.log("🗑️ Invalidated events list caches");
 	}
 
+	// Invalidate every event's detail caches (series changes touch many occurrences at once)
+	static async invalidateSeriesEvents() {
+		await CacheService.delPattern("event:*");
+		await this.invalidateEventsList();
+		console.log("🗑️ Invalidated event caches for series change");
+	}
+
 	// Invalidate specific event cache
 	static async invalidateEvent(eventId, slug = null) {
 		await CacheService.del(EventCacheKeys.event(eventId));
@@ -357,14 +364,6 @@ class EventCacheInvalidator {
 		console.log("🗑️ Invalidated event dashboard stats");
 	}
 
-	// Invalidate all event-related caches
-	static async invalidateAllEventCaches() {
-		await CacheService.delPattern("event:*");
-		await CacheService.delPattern("events:*");
-		await CacheService.delPattern("admin:events:*");
-		console.log("🗑️ Invalidated ALL event caches");
-	}
-
 	// Invalidate form-related caches when form is modified
 	static async invalidateFormCaches(eventId) {
 		try {
@@ -2,17 +2,21 @@
 // Standalone Merchandise Caching - Independent of Events
 
 const { CacheService } = require('../../config/redis');
+const { getOrganizationId } = require('../../utils/tenant.util');
+
+// Catalog, stock and admin keys are per organization; "*" matches every tenant
+const tenantScope = (tenantId) => tenantId || 'global';
 
 /**
  * Cache key generators for merchandise operations
  */
 class MerchandiseCacheKeys {
-  static catalog(page = 1, search = '', category = '', includeInactive = false) {
-    return `merchandise:catalog:page:${page}:search:${encodeURIComponent(search)}:category:${category}:inactive:${includeInactive ? 'true' : 'false'}`;
+  static catalog(tenantId, page = 1, search = '', category = '', includeInactive = false) {
+    return `merchandise:${tenantScope(tenantId)}:catalog:page:${page}:search:${encodeURIComponent(search)}:category:${category}:inactive:${includeInactive ? 'true' : 'false'}`;
   }
 
-  static merchandiseItem(merchandiseId) {
-    return `merchandise:item:${merchandiseId}`;
+  static merchandiseItem(tenantId, merchandiseId) {
+    return `merchandise:${tenantScope(tenantId)}:item:${merchandiseId}`;
   }
 
   static userCart(userId) {
@@ -23,24 +27,24 @@ class MerchandiseCacheKeys {
     return `user:${userId}:orders:page:${page}`;
   }
 
-  static orderDetails(orderNumber) {
-    return `order:${orderNumber}:details`;
+  static orderDetails(tenantId, orderNumber) {
+    return `order:${tenantScope(tenantId)}:${orderNumber}:details`;
   }
 
-  static merchandiseStats(category = '') {
-    return `merchandise:stats${category ? `:category:${category}` : ''}`;
+  static merchandiseStats(tenantId, category = '') {
+    return `merchandise:${tenantScope(tenantId)}:stats${category ? `:category:${category}` : ''}`;
   }
 
-  static adminOrders(page = 1, search = '', status = '', deliveryStatus = '') {
-    return `admin:merchandise:orders:page:${page}:search:${encodeURIComponent(search)}:status:${status}:delivery:${deliveryStatus}`;
+  static adminOrders(tenantId, page = 1, search = '', status = '', deliveryStatus = '') {
+    return `admin:merchandise:${tenantScope(tenantId)}:orders:page:${page}:search:${encodeURIComponent(search)}:status:${status}:delivery:${deliveryStatus}`;
   }
 
-  static categoryStats() {
-    return 'merchandise:category:stats';
+  static categoryStats(tenantId) {
+    return `merchandise:${tenantScope(tenantId)}:category:stats`;
   }
 
-  static stockAlerts() {
-    return 'merchandise:stock:alerts';
+  static stockAlerts(tenantId) {
+    return `merchandise:${tenantScope(tenantId)}:stock:alerts`;
   }
 }
 
@@ -96,6 +100,7 @@ const cacheMerchandise = (keyGenerator, expireInSeconds = 1800) => {
 // Cache merchandise catalog (30 minutes)
 const cacheMerchandiseCatalog = cacheMerchandise(
   (req) => MerchandiseCacheKeys.catalog(
+    getOrganizationId(req),
     req.query.page,
     req.query.search,
     req.query.category,
@@ -106,7 +111,7 @@ const cacheMerchandiseCatalog = cacheMerchandise(
 
 // Cache single merchandise item (1 hour - longer since product details change less frequently)
 const cacheMerchandiseItem = cacheMerchandise(
-  (req) => MerchandiseCacheKeys.merchandiseItem(req.params.merchandiseId),
+  (req) => MerchandiseCacheKeys.merchandiseItem(getOrganizationId(req), req.params.merchandiseId),
   60 * 60
 );
 
@@ -124,19 +129,20 @@ const cacheUserOrders = cacheMerchandise(
 
 // Cache order details (30 minutes)
 const cacheOrderDetails = cacheMerchandise(
-  (req) => MerchandiseCacheKeys.orderDetails(req.params.orderNumber),
+  (req) => MerchandiseCacheKeys.orderDetails(getOrganizationId(req), req.params.orderNumber),
   30 * 60
 );
 
 // Cache merchandise statistics (10 minutes)
 const cacheMerchandiseStats = cacheMerchandise(
-  (req) => MerchandiseCacheKeys.merchandiseStats(req.query.category),
+  (req) => MerchandiseCacheKeys.merchandiseStats(getOrganizationId(req), req.query.category),
   10 * 60
 );
 
 // Cache admin orders list (5 minutes)
 const cacheAdminOrders = cacheMerchandise(
   (req) => MerchandiseCacheKeys.adminOrders(
+    getOrganizationId(req),
     req.query.page,
     req.query.search,
     req.query.status,
@@ -147,13 +153,13 @@ const cacheAdminOrders = cacheMerchandise(
 
 // Cache category statistics (1 hour)
 const cacheCategoryStats = cacheMerchandise(
-  MerchandiseCacheKeys.categoryStats(),
+  (req) => MerchandiseCacheKeys.categoryStats(getOrganizationId(req)),
   60 * 60
 );
 
 // Cache stock alerts (5 minutes)
 const cacheStockAlerts = cacheMerchandise(
-  MerchandiseCacheKeys.stockAlerts(),
+  (req) => MerchandiseCacheKeys.stockAlerts(getOrganizationId(req)),
   5 * 60
 );
 
@@ -164,12 +170,13 @@ class MerchandiseCacheInvalidator {
   /**
    * Invalidate merchandise catalog caches
    */
-  static async invalidateCatalogCaches() {
+  static async invalidateCatalogCaches(tenantId = null) {
+    const scope = tenantScope(tenantId);
     try {
       await Promise.all([
-        CacheService.delPattern('merchandise:catalog:*'),
-        CacheService.del(MerchandiseCacheKeys.categoryStats()),
-        CacheService.delPattern('merchandise:stats*')
+        CacheService.delPattern(`merchandise:${scope}:catalog:*`),
+        CacheService.del(MerchandiseCacheKeys.categoryStats(tenantId)),
+        CacheService.delPattern(`merchandise:${scope}:stats*`)
       ]);
       console.log('🗑️ Invalidated merchandise catalog caches');
     } catch (error) {
@@ -180,11 +187,11 @@ class MerchandiseCacheInvalidator {
   /**
    * Invalidate specific merchandise item caches
    */
-  static async invalidateMerchandiseItem(merchandiseId) {
+  static async invalidateMerchandiseItem(merchandiseId, tenantId = null) {
     try {
       await Promise.all([
-        CacheService.del(MerchandiseCacheKeys.merchandiseItem(merchandiseId)),
-        this.invalidateCatalogCaches(), // Catalog might show this item
+        CacheService.del(MerchandiseCacheKeys.merchandiseItem(tenantId, merchandiseId)),
+        this.invalidateCatalogCaches(tenantId), // Catalog might show this item
         CacheService.delPattern('user:*:cart') // User carts might contain this item
       ]);
       console.log(`🗑️ Invalidated caches for merchandise ${merchandiseId}`);
@@ -211,17 +218,18 @@ class MerchandiseCacheInvalidator {
   /**
    * Invalidate order caches
    */
-  static async invalidateOrderCaches(orderNumber = null) {
+  static async invalidateOrderCaches(orderNumber = null, tenantId = null) {
+    const scope = tenantScope(tenantId);
     try {
       const patterns = [
-        'admin:merchandise:orders:*',
-        'merchandise:stats*'
+        `admin:merchandise:${scope}:orders:*`,
+        `merchandise:${scope}:stats*`
       ];
 
       if (orderNumber) {
-        patterns.push(`order:${orderNumber}:*`);
+        patterns.push(`order:${scope}:${orderNumber}:*`);
       } else {
-        patterns.push('order:*');
+        patterns.push(`order:${scope}:*`);
       }
 
       await Promise.all(
@@ -237,16 +245,17 @@ class MerchandiseCacheInvalidator {
   /**
    * Invalidate stock-related caches
    */
-  static async invalidateStockCaches(merchandiseId = null) {
+  static async invalidateStockCaches(merchandiseId = null, tenantId = null) {
+    const scope = tenantScope(tenantId);
     try {
       const patterns = [
-        'merchandise:stock:alerts',
-        'merchandise:stats*',
-        'merchandise:catalog:*'
+        `merchandise:${scope}:stock:alerts`,
+        `merchandise:${scope}:stats*`,
+        `merchandise:${scope}:catalog:*`
       ];
 
       if (merchandiseId) {
-        patterns.push(`merchandise:item:${merchandiseId}`);
+        patterns.push(`merchandise:${scope}:item:${merchandiseId}`);
       }
 
       await Promise.all(
@@ -294,9 +303,9 @@ const autoInvalidateMerchandiseCaches = (req, res, next) => {
       // Async invalidation - don't wait for it
       if (path.includes('/merchandise') && (method === 'POST' || method === 'PUT' || method === 'DELETE')) {
         if (merchandiseId) {
-          MerchandiseCacheInvalidator.invalidateMerchandiseItem(merchandiseId);
+          MerchandiseCacheInvalidator.invalidateMerchandiseItem(merchandiseId, getOrganizationId(req));
         } else {
-          MerchandiseCacheInvalidator.invalidateCatalogCaches();
+          MerchandiseCacheInvalidator.invalidateCatalogCaches(getOrganizationId(req));
         }
       }
     }
@@ -342,7 +351,7 @@ const autoInvalidateOrderCaches = (req, res, next) => {
       const orderNumber = req.params.orderNumber || data.data?.order?.orderNumber;
       
       // Async invalidation - don't wait for it
-      MerchandiseCacheInvalidator.invalidateOrderCaches(orderNumber);
+      MerchandiseCacheInvalidator.invalidateOrderCaches(orderNumber, getOrganizationId(req));
       
       // Also invalidate user cart if this was an order creation
       if (req.method === 'POST' && req.user?.id) {
@@ -368,7 +377,7 @@ const autoInvalidateStockCaches = (req, res, next) => {
       const merchandiseId = req.params.merchandiseId;
       
       // Async invalidation - don't wait for it
-      MerchandiseCacheInvalidator.invalidateStockCaches(merchandiseId);
+      MerchandiseCacheInvalidator.invalidateStockCaches(merchandiseId, getOrganizationId(req));
     }
 
     return originalJson.call(this, data);
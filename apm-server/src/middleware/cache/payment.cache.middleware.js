@@ -69,6 +69,11 @@ const cachePayment = (keyGenerator, expireInSeconds = 300) => {
         ? keyGenerator(req) 
         : keyGenerator;
 
+      // No key - this request is not cacheable
+      if (!cacheKey) {
+        return next();
+      }
+
       // Try to get cached data
       const cachedData = await CacheService.get(cacheKey);
 
@@ -135,7 +140,9 @@ const cachePaymentStatus = cachePayment((req) =>
 
 // Cache payment calculation (2 minutes)
 const cachePaymentCalculation = cachePayment((req) => {
-  const { referenceType, referenceId } = req.body;
+  const { referenceType, referenceId, promoCode } = req.body;
+  // Promo code checks depend on per-user usage, so those previews are always recalculated
+  if (promoCode) return null;
   return PaymentCacheKeys.paymentCalculation(referenceType, referenceId);
 }, 2 * 60);
 
@@ -302,6 +309,16 @@ const invalidateAfterWebhookProcessing = invalidatePaymentCache(async (req) => {
   }
 });
 
+// Invalidate caches after an admin refund
+const invalidateAfterRefund = invalidatePaymentCache(async (req) => {
+  const transactionId = req.params.transactionId;
+
+  await Promise.all([
+    PaymentCacheInvalidator.invalidatePaymentTransaction(transactionId),
+    PaymentCacheInvalidator.invalidateAdminPaymentCaches()
+  ]);
+});
+
 // =============================================
 // AUTO-INVALIDATION MIDDLEWARE
 // =============================================
@@ -323,6 +340,8 @@ const autoInvalidatePaymentCaches = (req, res, next) => {
     return invalidateAfterPaymentVerification(req, res, next);
   } else if (path.includes('/webhook')) {
     return invalidateAfterWebhookProcessing(req, res, next);
+  } else if (path.includes('/refunds')) {
+    return invalidateAfterRefund(req, res, next);
   }
 
   // Default invalidation for other endpoints
@@ -356,5 +375,6 @@ module.exports = {
   invalidateAfterPaymentInitiation,
   invalidateAfterPaymentVerification,
   invalidateAfterWebhookProcessing,
+  invalidateAfterRefund,
   autoInvalidatePaymentCaches
 };
\ No newline at end of file
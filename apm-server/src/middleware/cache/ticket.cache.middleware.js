@@ -177,7 +177,7 @@ const cacheTicketAnalytics = async (req, res, next) => {
     res.cacheKey = cacheKey;
     res.cacheTTL = 900; // 15 minutes for analytics
     next();
-  } catch (error) {
+  } catch {
     next();
   }
 };
@@ -199,7 +199,7 @@ const cacheAnalyticsOverview = async (req, res, next) => {
     res.cacheKey = cacheKey;
     res.cacheTTL = 900; // 15 minutes
     next();
-  } catch (error) {
+  } catch {
     next();
   }
 };
@@ -220,7 +220,7 @@ const cacheCategoryAnalysis = async (req, res, next) => {
     res.cacheKey = cacheKey;
     res.cacheTTL = 1800; // 30 minutes (categories change less frequently)
     next();
-  } catch (error) {
+  } catch {
     next();
   }
 };
@@ -241,7 +241,7 @@ const cacheWeeklyTrends = async (req, res, next) => {
     res.cacheKey = cacheKey;
     res.cacheTTL = 600; // 10 minutes (trends change frequently)
     next();
-  } catch (error) {
+  } catch {
     next();
   }
 };
@@ -262,7 +262,7 @@ const cacheAdminPerformance = async (req, res, next) => {
     res.cacheKey = cacheKey;
     res.cacheTTL = 1200; // 20 minutes
     next();
-  } catch (error) {
+  } catch {
     next();
   }
 };
@@ -283,7 +283,7 @@ const cacheCompleteAnalytics = async (req, res, next) => {
     res.cacheKey = cacheKey;
     res.cacheTTL = 900; // 15 minutes
     next();
-  } catch (error) {
+  } catch {
     next();
   }
 };
@@ -322,7 +322,7 @@ const autoInvalidateAnalyticsCaches = async (req, res, next) => {
       }
     });
     next();
-  } catch (error) {
+  } catch {
     next();
   }
 };
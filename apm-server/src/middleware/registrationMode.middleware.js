@@ -38,7 +38,7 @@ const checkRegistrationMode = async (req, res, next) => {
         req.registrationMode = 'INDIVIDUAL';
         return next();
 
-      case 'BATCH_AUTO_REGISTERED':
+      case 'BATCH_AUTO_REGISTERED': {
         // User already registered via batch payment
         const existingRegistration = await prisma.eventRegistration.findFirst({
           where: {
@@ -69,8 +69,9 @@ const checkRegistrationMode = async (req, res, next) => {
             errorCode: 'BATCH_REGISTRATION_MISSING'
           });
         }
+      }
 
-      case 'BATCH_PENDING':
+      case 'BATCH_PENDING': {
         // Batch collection is active but not completed
         const progress = await BatchCollectionService.getBatchCollectionStatus(eventId, userBatchYear);
         
@@ -92,6 +93,7 @@ const checkRegistrationMode = async (req, res, next) => {
           paymentUrl: user.role === 'BATCH_ADMIN' ? `/events/${eventId}/batch-collections/${userBatchYear}/pay` : null,
           progressUrl: `/events/${eventId}/batch-progress/${userBatchYear}`
         });
+      }
 
       default:
         return res.status(400).json({
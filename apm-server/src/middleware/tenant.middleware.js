@@ -2,6 +2,7 @@
 // Multi-tenant middleware for organization isolation
 
 const { prisma } = require('../config/database');
+const { runWithTenantContext, elevateCurrentRequest } = require('../utils/tenantContext.util');
 
 /**
  * Tenant Middleware
@@ -283,6 +284,31 @@ const getTenantFilter = (req) => {
   return {};
 };
 
+/**
+ * Bind the request as the tenant context for the Prisma isolation extension
+ * Must run before any middleware that queries tenant-scoped models
+ */
+const bindTenantContext = (req, res, next) => {
+  runWithTenantContext(req, next);
+};
+
+/**
+ * Lift automatic tenant scoping for the rest of the request
+ * Use after requireRole(['DEVELOPER']) on cross-tenant developer routes
+ */
+const allowCrossTenantAccess = (req, res, next) => {
+  if (!req.user || req.user.role !== 'DEVELOPER') {
+    return res.status(403).json({
+      success: false,
+      message: 'Developer access required',
+      code: 'DEVELOPER_REQUIRED',
+    });
+  }
+
+  elevateCurrentRequest();
+  next();
+};
+
 /**
  * Auto-selecting tenant middleware based on environment
  * Uses enforcing middleware in production, optional in development
@@ -303,6 +329,8 @@ module.exports = {
   tenantMiddleware,
   optionalTenantMiddleware,
   autoTenantMiddleware,
+  bindTenantContext,
+  allowCrossTenantAccess,
   checkMaintenanceMode,
   requireDeveloper,
   getTenantId,
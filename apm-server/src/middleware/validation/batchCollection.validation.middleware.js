@@ -1,6 +1,7 @@
 // src/middleware/batchCollection.validation.middleware.js
 const Joi = require('joi');
 const { prisma } = require('../../config/database');
+const { CacheService } = require('../../config/redis');
 
 // Validation schemas
 const batchCollectionSchemas = {
@@ -0,0 +1,100 @@
+// src/middleware/validation/calendar.validation.middleware.js
+const Joi = require('joi');
+const { errorResponse } = require('../../utils/response');
+
+// ============================================
+// VALIDATION SCHEMAS
+// ============================================
+
+const userFeedSchema = Joi.object({
+  includeRegistered: Joi.boolean().optional(),
+  includePublished: Joi.boolean().optional(),
+  includeFestivals: Joi.boolean().optional(),
+  includeBirthdays: Joi.boolean().optional(),
+  birthdayScope: Joi.string().valid('BATCH', 'ORGANIZATION').optional()
+}).min(1);
+
+const organizationFeedFields = {
+  name: Joi.string().trim().min(2).max(100),
+  includePublished: Joi.boolean().optional(),
+  includeFestivals: Joi.boolean().optional(),
+  includeBirthdays: Joi.boolean().optional()
+};
+
+const createOrganizationFeedSchema = Joi.object({
+  ...organizationFeedFields,
+  name: organizationFeedFields.name.required()
+});
+
+const updateOrganizationFeedSchema = Joi.object({
+  ...organizationFeedFields,
+  name: organizationFeedFields.name.optional(),
+  isActive: Joi.boolean().optional()
+}).min(1);
+
+// Tokens are 24 random bytes, base64url encoded
+const feedTokenSchema = Joi.string().pattern(/^[A-Za-z0-9_-]{32}$/).required();
+
+// ============================================
+// VALIDATION MIDDLEWARE FUNCTIONS
+// ============================================
+
+const validateBody = (schema) => (req, res, next) => {
+  const { error, value } = schema.validate(req.body, { stripUnknown: true });
+
+  if (error) {
+    return errorResponse(res, `Validation error: ${error.details[0].message}`, 400);
+  }
+
+  req.body = value;
+  next();
+};
+
+/**
+ * Validate personal feed options
+ */
+const validateUserFeed = validateBody(userFeedSchema);
+
+/**
+ * Validate new organization feed
+ */
+const validateCreateOrganizationFeed = validateBody(createOrganizationFeedSchema);
+
+/**
+ * Validate organization feed update
+ */
+const validateUpdateOrganizationFeed = validateBody(updateOrganizationFeedSchema);
+
+/**
+ * Validate feed token parameter (malformed tokens never reach the database)
+ */
+const validateFeedToken = (req, res, next) => {
+  const { error } = feedTokenSchema.validate(req.params.token);
+
+  if (error) {
+    return errorResponse(res, 'Calendar feed not found', 404);
+  }
+
+  next();
+};
+
+/**
+ * Validate feed ID parameter
+ */
+const validateFeedIdParam = (req, res, next) => {
+  const { feedId } = req.params;
+
+  if (!feedId || typeof feedId !== 'string') {
+    return errorResponse(res, 'Valid calendar feed ID is required', 400);
+  }
+
+  next();
+};
+
+module.exports = {
+  validateUserFeed,
+  validateCreateOrganizationFeed,
+  validateUpdateOrganizationFeed,
+  validateFeedToken,
+  validateFeedIdParam
+};
@@ -1,6 +1,7 @@
 // src/middleware/celebration.validation.middleware.js
 const Joi = require('joi');
 const { errorResponse } = require('../../utils/response');
+const { getOrganizationId } = require('../../utils/tenant.util');
 
 // ============================================
 // VALIDATION SCHEMAS
@@ -190,8 +191,8 @@ const validateFestivalAccess = async (req, res, next) => {
   try {
     const { festivalId } = req.params;
     
-    const festival = await require('../config/database').prisma.festival.findUnique({
-      where: { id: festivalId },
+    const festival = await require('../../config/database').prisma.festival.findFirst({
+      where: { id: festivalId, organizationId: getOrganizationId(req) },
       select: {
         id: true,
         name: true,
@@ -1,12 +1,19 @@
 const { body, query, validationResult } = require('express-validator');
 const { errorResponse } = require('../../utils/response');
+const { getSupportedCurrencies } = require('../../utils/currency.util');
 
 const validateInitiateDonation = [
   body('amount')
     .notEmpty()
     .withMessage('Amount is required')
     .isFloat({ min: 1, max: 100000 })
-    .withMessage('Amount must be between ₹1 and ₹100,000'),
+    .withMessage('Amount must be between 1 and 100,000'),
+
+  body('currency')
+    .optional()
+    .toUpperCase()
+    .isIn(getSupportedCurrencies())
+    .withMessage(`Currency must be one of: ${getSupportedCurrencies().join(', ')}`),
   
   body('message')
     .optional()
@@ -1,8 +1,184 @@
 // src/middleware/event.validation.js
 const Joi = require("joi");
 const { prisma } = require('../../config/database');
+const config = require('../../config');
+const { getSupportedCurrencies } = require('../../utils/currency.util');
+const { FormLogicService, FORM_LOGIC_FIELD_SELECT, CONDITION_OPERATORS } = require('../../services/event/formLogic.service');
+
+// Per-currency price overrides, e.g. { "USD": 15 } (base-currency price is the fallback)
+const currencyPricesSchema = Joi.object()
+	.pattern(Joi.string().valid(...getSupportedCurrencies()), Joi.number().positive().precision(2))
+	.optional()
+	.allow(null)
+	.messages({
+		"object.unknown": `Currency must be one of: ${getSupportedCurrencies().join(", ")}`,
+	});
+
+// Event create/update arrive as multipart, so objects may come in as JSON strings
+const JoiJson = Joi.extend({
+	type: "object",
+	base: Joi.object(),
+	coerce: {
+		from: "string",
+		method(value) {
+			try {
+				return { value: JSON.parse(value) };
+			} catch {
+				return { value };
+			}
+		},
+	},
+});
+
+// Per-currency event fees, e.g. { "USD": { "registrationFee": 25, "guestFee": 10 } }
+const currencyPricingSchema = JoiJson.object()
+	.pattern(
+		Joi.string().valid(...getSupportedCurrencies()),
+		Joi.object({
+			registrationFee: Joi.number().min(0).precision(2).optional(),
+			guestFee: Joi.number().min(0).precision(2).optional(),
+		})
+	)
+	.optional()
+	.allow(null)
+	.messages({
+		"object.unknown": `Currency must be one of: ${getSupportedCurrencies().join(", ")}`,
+	});
+
+// Scanner device identity sent with check-in kit downloads and offline syncs
+const checkInDeviceFields = {
+	deviceId: Joi.string().trim().pattern(/^[A-Za-z0-9_-]{8,100}$/).required().messages({
+		"string.pattern.base": "Device ID must be 8-100 letters, digits, dashes or underscores",
+		"any.required": "Device ID is required",
+	}),
+	deviceName: Joi.string().trim().max(100).optional(),
+};
 
 // Event validation schemas
+// Recurrence rule fields shared by series create/update (see EventSeries in schema.prisma)
+const recurrenceRuleFields = {
+	frequency: Joi.string().valid("DAILY", "WEEKLY", "MONTHLY", "YEARLY").optional(),
+	interval: Joi.number().integer().min(1).max(52).optional(),
+	byWeekdays: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().max(7).optional(),
+	byMonthDay: Joi.number().integer().min(-1).max(31).invalid(0).optional().allow(null),
+	weekOfMonth: Joi.number().integer().valid(1, 2, 3, 4, -1).optional().allow(null),
+	byMonth: Joi.number().integer().min(1).max(12).optional().allow(null),
+	startDate: Joi.date().optional(),
+	endDate: Joi.date().optional().allow(null),
+	occurrenceCount: Joi.number().integer().min(1).max(500).optional().allow(null),
+};
+
+const seriesSettingsFields = {
+	generateAheadDays: Joi.number().integer().min(7).max(730).optional(),
+	occurrenceStatus: Joi.string()
+		.valid("DRAFT", "PUBLISHED", "REGISTRATION_OPEN")
+		.optional(),
+	registrationOpensDaysBefore: Joi.number().integer().min(0).max(365).optional().allow(null),
+	registrationClosesHoursBefore: Joi.number().integer().min(0).max(24 * 60).optional().allow(null),
+};
+
+const recurrenceRuleMessages = {
+	"recurrence.weekOfMonth": "weekOfMonth only applies to MONTHLY and YEARLY series",
+	"recurrence.monthDay": "Use either byMonthDay or weekOfMonth, not both",
+	"recurrence.endDate": "Series end date must be after its start date",
+};
+
+// Cross-field checks the field schemas can't express
+const validateRecurrenceRule = (value, helpers) => {
+	if (value.weekOfMonth && value.frequency && !["MONTHLY", "YEARLY"].includes(value.frequency)) {
+		return helpers.error("recurrence.weekOfMonth");
+	}
+	if (value.weekOfMonth && value.byMonthDay) {
+		return helpers.error("recurrence.monthDay");
+	}
+	if (value.startDate && value.endDate && value.endDate <= value.startDate) {
+		return helpers.error("recurrence.endDate");
+	}
+	return value;
+};
+
+// Registration form field types
+const FORM_FIELD_TYPES = ["TEXT", "NUMBER", "EMAIL", "PHONE", "TEXTAREA", "SELECT", "RADIO", "CHECKBOX"];
+
+const formFieldNameSchema = Joi.string().trim().pattern(/^[a-zA-Z][a-zA-Z0-9_]*$/).max(50);
+
+// Field rules, e.g. { "field": "attending", "operator": "equals", "value": "Yes" } or { "all": [...] } / { "any": [...] }.
+// Each use needs its own id for the recursive link.
+const formConditionSchema = (id) =>
+	Joi.alternatives()
+		.try(
+			Joi.object({ all: Joi.array().items(Joi.link(`#${id}`)).min(1).max(20).required() }),
+			Joi.object({ any: Joi.array().items(Joi.link(`#${id}`)).min(1).max(20).required() }),
+			Joi.object({
+				field: formFieldNameSchema.required(),
+				operator: Joi.string().valid(...CONDITION_OPERATORS).required(),
+				value: Joi.when("operator", {
+					is: Joi.valid("answered", "notAnswered"),
+					then: Joi.forbidden(),
+					otherwise: Joi.alternatives()
+						.try(
+							Joi.string().max(100),
+							Joi.number(),
+							Joi.array().items(Joi.string().max(100), Joi.number()).min(1).max(50)
+						)
+						.required(),
+				}),
+			})
+		)
+		.id(id)
+		.messages({
+			"alternatives.match": "Conditions need a field, operator and value, or a non-empty all/any list",
+		});
+
+// Fee added from an answer, in the organization's base currency
+const formFeeAddOnSchema = Joi.alternatives().try(
+	Joi.object({
+		type: Joi.string().valid("OPTION").required(),
+		amounts: Joi.object()
+			.pattern(Joi.string().max(100), Joi.number().min(0).precision(2))
+			.min(1)
+			.required(),
+	}),
+	Joi.object({
+		type: Joi.string().valid("PER_UNIT").required(),
+		amount: Joi.number().positive().precision(2).required(),
+		max: Joi.number().integer().min(1).max(1000).optional(),
+	}),
+	Joi.object({
+		type: Joi.string().valid("FLAT").required(),
+		amount: Joi.number().positive().precision(2).required(),
+	})
+);
+
+const formPagesSchema = Joi.array()
+	.items(
+		Joi.object({
+			title: Joi.string().trim().min(1).max(200).required(),
+			description: Joi.string().trim().max(1000).optional().allow(null, ""),
+		})
+	)
+	.max(20)
+	.allow(null);
+
+// Rule fields shared by form field create/update
+const formFieldRuleFields = {
+	pageIndex: Joi.number().integer().min(0).max(19).optional(),
+	visibleWhen: formConditionSchema("visibleCondition").optional().allow(null),
+	requiredWhen: formConditionSchema("requiredCondition").optional().allow(null),
+	feeAddOn: formFeeAddOnSchema.optional().allow(null),
+};
+
+const formResponseItemSchema = Joi.object({
+	fieldId: Joi.string().pattern(/^c[a-z0-9]{24}$/).required().messages({
+		"string.pattern.base": "Invalid field ID format",
+		"any.required": "Field ID is required",
+	}),
+	response: Joi.string().trim().required().messages({
+		"string.empty": "Response cannot be empty",
+		"any.required": "Response is required",
+	}),
+});
+
 const eventSchemas = {
 	// Event Category validation
 	createEventCategory: Joi.object({
@@ -133,6 +309,13 @@ const eventSchemas = {
 			.max(168)
 			.default(24)
 			.optional(), // Max 1 week
+		allowWaitlist: Joi.boolean().default(true).optional(),
+		waitlistPaymentWindowHours: Joi.number()
+			.integer()
+			.min(1)
+			.max(168)
+			.default(48)
+			.optional(),
 
 		// Fees
 		registrationFee: Joi.number().integer().min(0).max(100000).default(0).optional().messages({
@@ -145,6 +328,7 @@ const eventSchemas = {
 			"number.min": "Guest fee cannot be negative",
 			"number.max": "Guest fee cannot exceed ₹100,000",
 		}),
+		currencyPricing: currencyPricingSchema,
 
 		// Additional details
 		prizeDetails: Joi.string().trim().max(5000).optional().allow(null, "")
@@ -218,8 +402,11 @@ const eventSchemas = {
 			.min(0)
 			.max(168)
 			.optional(),
+		allowWaitlist: Joi.boolean().optional(),
+		waitlistPaymentWindowHours: Joi.number().integer().min(1).max(168).optional(),
 		registrationFee: Joi.number().min(0).max(100000).optional(),
 		guestFee: Joi.number().min(0).max(100000).optional(),
+		currencyPricing: currencyPricingSchema,
 	}),
 
 	updateEventStatus: Joi.object({
@@ -312,6 +499,182 @@ const eventSchemas = {
 			}),
 	}),
 
+	// Event price tier (early-bird / batch-specific pricing) validation
+	createPriceTier: Joi.object({
+		name: Joi.string().trim().min(2).max(100).required().messages({
+			"string.empty": "Tier name is required",
+			"any.required": "Tier name is required",
+		}),
+		registrationFee: Joi.number().min(0).max(100000).required().messages({
+			"any.required": "Registration fee is required",
+		}),
+		guestFee: Joi.number().min(0).max(100000).optional().allow(null),
+		currencyPricing: Joi.object().optional().allow(null),
+		startsAt: Joi.date().optional().allow(null),
+		endsAt: Joi.date()
+			.optional()
+			.allow(null)
+			.when("startsAt", {
+				is: Joi.date().required(),
+				then: Joi.date().greater(Joi.ref("startsAt")),
+			})
+			.messages({
+				"date.greater": "Tier end must be after its start",
+			}),
+		batchYears: Joi.array()
+			.items(Joi.number().integer().min(1950).max(new Date().getFullYear() + 10))
+			.default([])
+			.optional(),
+		isActive: Joi.boolean().default(true).optional(),
+	}),
+
+	updatePriceTier: Joi.object({
+		name: Joi.string().trim().min(2).max(100).optional(),
+		registrationFee: Joi.number().min(0).max(100000).optional(),
+		guestFee: Joi.number().min(0).max(100000).optional().allow(null),
+		currencyPricing: Joi.object().optional().allow(null),
+		startsAt: Joi.date().optional().allow(null),
+		endsAt: Joi.date().optional().allow(null),
+		batchYears: Joi.array()
+			.items(Joi.number().integer().min(1950).max(new Date().getFullYear() + 10))
+			.optional(),
+		isActive: Joi.boolean().optional(),
+	}).min(1),
+
+	// Recurring event series validation
+	createEventSeries: Joi.object({
+		templateEventId: Joi.string().required().messages({
+			"any.required": "Template event ID is required",
+		}),
+		title: Joi.string().trim().min(3).max(200).optional(),
+		description: Joi.string().trim().max(2000).optional().allow("", null),
+		...recurrenceRuleFields,
+		frequency: recurrenceRuleFields.frequency.required(),
+		startDate: recurrenceRuleFields.startDate.required(),
+		...seriesSettingsFields,
+	})
+		.custom(validateRecurrenceRule)
+		.messages(recurrenceRuleMessages),
+
+	updateEventSeries: Joi.object({
+		title: Joi.string().trim().min(3).max(200).optional(),
+		description: Joi.string().trim().max(2000).optional().allow("", null),
+		...recurrenceRuleFields,
+		excludedDates: Joi.array().items(Joi.date()).max(500).optional(),
+		...seriesSettingsFields,
+		isActive: Joi.boolean().optional(),
+	})
+		.min(1)
+		.custom(validateRecurrenceRule)
+		.messages(recurrenceRuleMessages),
+
+	cancelOccurrence: Joi.object({
+		eventId: Joi.string().optional(),
+		occurrenceDate: Joi.date().optional(),
+		reason: Joi.string().trim().max(500).optional().allow(""),
+	})
+		.xor("eventId", "occurrenceDate")
+		.messages({
+			"object.missing": "Either eventId or occurrenceDate is required",
+			"object.xor": "Provide either eventId or occurrenceDate, not both",
+		}),
+
+	// Event seating validation
+	createSeatingTable: Joi.object({
+		name: Joi.string().trim().min(1).max(100).required().messages({
+			"string.empty": "Table name is required",
+			"any.required": "Table name is required",
+		}),
+		capacity: Joi.number().integer().min(1).max(50).required().messages({
+			"any.required": "Table capacity is required",
+		}),
+		shape: Joi.string().valid("ROUND", "RECTANGLE").optional(),
+		orderIndex: Joi.number().integer().min(0).optional(),
+		positionX: Joi.number().optional().allow(null),
+		positionY: Joi.number().optional().allow(null),
+		reservedBatches: Joi.array()
+			.items(Joi.number().integer().min(1950).max(new Date().getFullYear() + 10))
+			.unique()
+			.default([])
+			.optional(),
+		reservedLabel: Joi.string().trim().max(100).optional().allow("", null),
+	}),
+
+	updateSeatingTable: Joi.object({
+		name: Joi.string().trim().min(1).max(100).optional(),
+		capacity: Joi.number().integer().min(1).max(50).optional(),
+		shape: Joi.string().valid("ROUND", "RECTANGLE").optional(),
+		orderIndex: Joi.number().integer().min(0).optional(),
+		positionX: Joi.number().optional().allow(null),
+		positionY: Joi.number().optional().allow(null),
+		reservedBatches: Joi.array()
+			.items(Joi.number().integer().min(1950).max(new Date().getFullYear() + 10))
+			.unique()
+			.optional(),
+		reservedLabel: Joi.string().trim().max(100).optional().allow("", null),
+	}).min(1),
+
+	autoAssignSeats: Joi.object({
+		reset: Joi.boolean().default(false),
+	}),
+
+	moveSeats: Joi.object({
+		moves: Joi.array()
+			.items(
+				Joi.object({
+					registrationId: Joi.string().required(),
+					guestId: Joi.string().optional().allow(null),
+					tableId: Joi.string().required(),
+					seatNumber: Joi.number().integer().min(1).optional(),
+				})
+			)
+			.min(1)
+			.max(200)
+			.required()
+			.messages({
+				"array.min": "At least one seat move is required",
+				"any.required": "Seat moves are required",
+			}),
+		lock: Joi.boolean().default(true),
+	}),
+
+	exportSeatingChart: Joi.object({
+		format: Joi.string().valid("pdf", "csv").default("pdf"),
+	}),
+
+	// Offline check-in validation
+	checkInKit: Joi.object({
+		deviceId: checkInDeviceFields.deviceId,
+		deviceName: checkInDeviceFields.deviceName,
+	}),
+
+	checkInSync: Joi.object({
+		...checkInDeviceFields,
+		deviceTime: Joi.date().optional(),
+		since: Joi.date().optional(),
+		scans: Joi.array()
+			.items(
+				Joi.object({
+					clientScanId: Joi.string().trim().max(100).required(),
+					qrCode: Joi.string().trim().max(200).required(),
+					scannedAt: Joi.date().required(),
+					guestsCheckedIn: Joi.number().integer().min(0).default(0),
+					guestDetails: Joi.array().items(Joi.object()).max(50).optional(),
+					checkInLocation: Joi.string().trim().max(200).optional().allow(""),
+					notes: Joi.string().trim().max(1000).optional().allow(""),
+				})
+			)
+			.min(1)
+			.max(config.checkIn.maxScansPerSync)
+			.unique("clientScanId")
+			.required()
+			.messages({
+				"array.min": "At least one scan is required",
+				"array.max": `A sync can carry at most ${config.checkIn.maxScansPerSync} scans`,
+				"array.unique": "Each scan needs its own clientScanId",
+			}),
+	}),
+
 	// User Registration validation schemas
 	userRegistration: Joi.object({
 		mealPreference: Joi.string()
@@ -345,155 +708,152 @@ const eventSchemas = {
 			"any.only": "You must agree to the terms and conditions",
 			"any.required": "Agreement to terms is required",
 		}),
+	}),
 
-		// Event Form validation schemas (ADD TO EXISTING eventSchemas object)
-		createEventForm: Joi.object({
-			title: Joi.string()
-				.trim()
-				.min(3)
-				.max(200)
-				.optional()
-				.default("Registration Form")
-				.messages({
-					"string.min": "Form title must be at least 3 characters long",
-					"string.max": "Form title must be less than 200 characters",
-				}),
+	// Event Form validation schemas
+	createEventForm: Joi.object({
+		title: Joi.string()
+			.trim()
+			.min(3)
+			.max(200)
+			.optional()
+			.default("Registration Form")
+			.messages({
+				"string.min": "Form title must be at least 3 characters long",
+				"string.max": "Form title must be less than 200 characters",
+			}),
 
-			description: Joi.string()
-				.trim()
-				.max(1000)
-				.optional()
-				.allow(null, "")
-				.messages({
-					"string.max": "Form description must be less than 1000 characters",
-				}),
+		description: Joi.string()
+			.trim()
+			.max(1000)
+			.optional()
+			.allow(null, "")
+			.messages({
+				"string.max": "Form description must be less than 1000 characters",
+			}),
 
-			isActive: Joi.boolean().optional().default(true),
-		}),
+		isActive: Joi.boolean().optional().default(true),
 
-		updateEventForm: Joi.object({
-			title: Joi.string().trim().min(3).max(200).optional(),
-			description: Joi.string().trim().max(1000).optional().allow(null, ""),
-			isActive: Joi.boolean().optional(),
-		}),
+		pages: formPagesSchema.optional(),
+	}),
 
-		createEventFormField: Joi.object({
-			fieldName: Joi.string()
-				.trim()
-				.pattern(/^[a-zA-Z][a-zA-Z0-9_]*$/)
-				.min(2)
-				.max(50)
-				.required()
-				.messages({
-					"string.empty": "Field name is required",
-					"string.pattern.base":
-						"Field name must start with a letter and contain only letters, numbers, and underscores",
-					"string.min": "Field name must be at least 2 characters long",
-					"string.max": "Field name must be less than 50 characters",
-				}),
+	updateEventForm: Joi.object({
+		title: Joi.string().trim().min(3).max(200).optional(),
+		description: Joi.string().trim().max(1000).optional().allow(null, ""),
+		isActive: Joi.boolean().optional(),
+		pages: formPagesSchema.optional(),
+	}),
+
+	createEventFormField: Joi.object({
+		fieldName: Joi.string()
+			.trim()
+			.pattern(/^[a-zA-Z][a-zA-Z0-9_]*$/)
+			.min(2)
+			.max(50)
+			.required()
+			.messages({
+				"string.empty": "Field name is required",
+				"string.pattern.base":
+					"Field name must start with a letter and contain only letters, numbers, and underscores",
+				"string.min": "Field name must be at least 2 characters long",
+				"string.max": "Field name must be less than 50 characters",
+			}),
+
+		fieldLabel: Joi.string().trim().min(2).max(200).required().messages({
+			"string.empty": "Field label is required",
+			"string.min": "Field label must be at least 2 characters long",
+			"string.max": "Field label must be less than 200 characters",
+		}),
 
-			fieldLabel: Joi.string().trim().min(2).max(200).required().messages({
-				"string.empty": "Field label is required",
-				"string.min": "Field label must be at least 2 characters long",
-				"string.max": "Field label must be less than 200 characters",
+		fieldType: Joi.string()
+			.valid(...FORM_FIELD_TYPES)
+			.required()
+			.messages({
+				"any.only": "Invalid field type",
+				"any.required": "Field type is required",
 			}),
 
-			fieldType: Joi.string()
-				.valid(
-					"TEXT",
-					"EMAIL",
-					"PHONE",
-					"TEXTAREA",
-					"SELECT",
-					"RADIO",
-					"CHECKBOX"
-				)
+		options: Joi.when("fieldType", {
+			is: Joi.string().valid("SELECT", "RADIO", "CHECKBOX"),
+			then: Joi.array()
+				.items(Joi.string().trim().min(1).max(100))
+				.min(1)
+				.max(20)
 				.required()
 				.messages({
-					"any.only": "Invalid field type",
-					"any.required": "Field type is required",
+					"array.min": "At least one option is required for this field type",
+					"array.max": "Maximum 20 options allowed",
+					"any.required": "Options are required for this field type",
 				}),
+			otherwise: Joi.optional().allow(null),
+		}),
 
-			options: Joi.when("fieldType", {
-				is: Joi.string().valid("SELECT", "RADIO", "CHECKBOX"),
-				then: Joi.array()
-					.items(Joi.string().trim().min(1).max(100))
-					.min(1)
-					.max(20)
-					.required()
-					.messages({
-						"array.min": "At least one option is required for this field type",
-						"array.max": "Maximum 20 options allowed",
-						"any.required": "Options are required for this field type",
-					}),
-				otherwise: Joi.optional().allow(null),
-			}),
+		isRequired: Joi.boolean().optional().default(false),
 
-			isRequired: Joi.boolean().optional().default(false),
+		orderIndex: Joi.number().integer().min(0).max(1000).optional().default(0),
 
-			orderIndex: Joi.number().integer().min(0).max(1000).optional().default(0),
+		validation: Joi.object({
+			minLength: Joi.number().integer().min(0).max(1000).optional(),
+			maxLength: Joi.number().integer().min(0).max(10000).optional(),
+			pattern: Joi.string().optional(),
+			min: Joi.number().optional(),
+			max: Joi.number().optional(),
+		})
+			.optional()
+			.allow(null),
 
-			validation: Joi.object({
-				minLength: Joi.number().integer().min(0).max(1000).optional(),
-				maxLength: Joi.number().integer().min(0).max(10000).optional(),
-				pattern: Joi.string().optional(),
-				min: Joi.number().optional(),
-				max: Joi.number().optional(),
-			})
-				.optional()
-				.allow(null),
-		}),
+		...formFieldRuleFields,
+		pageIndex: formFieldRuleFields.pageIndex.default(0),
+	}),
 
-		updateEventFormField: Joi.object({
-			fieldLabel: Joi.string().trim().min(2).max(200).optional(),
-			fieldType: Joi.string()
-				.valid(
-					"TEXT",
-					"EMAIL",
-					"PHONE",
-					"TEXTAREA",
-					"SELECT",
-					"RADIO",
-					"CHECKBOX"
-				)
+	updateEventFormField: Joi.object({
+		fieldLabel: Joi.string().trim().min(2).max(200).optional(),
+		fieldType: Joi.string()
+			.valid(...FORM_FIELD_TYPES)
+			.optional(),
+		options: Joi.when("fieldType", {
+			is: Joi.string().valid("SELECT", "RADIO", "CHECKBOX"),
+			then: Joi.array()
+				.items(Joi.string().trim().min(1).max(100))
+				.min(1)
+				.max(20)
 				.optional(),
-			options: Joi.when("fieldType", {
-				is: Joi.string().valid("SELECT", "RADIO", "CHECKBOX"),
-				then: Joi.array()
-					.items(Joi.string().trim().min(1).max(100))
-					.min(1)
-					.max(20)
-					.optional(),
-				otherwise: Joi.optional().allow(null),
-			}),
-			isRequired: Joi.boolean().optional(),
-			orderIndex: Joi.number().integer().min(0).max(1000).optional(),
-			validation: Joi.object({
-				minLength: Joi.number().integer().min(0).max(1000).optional(),
-				maxLength: Joi.number().integer().min(0).max(10000).optional(),
-				pattern: Joi.string().optional(),
-				min: Joi.number().optional(),
-				max: Joi.number().optional(),
-			})
-				.optional()
-				.allow(null),
+			otherwise: Joi.optional().allow(null),
 		}),
+		isRequired: Joi.boolean().optional(),
+		orderIndex: Joi.number().integer().min(0).max(1000).optional(),
+		validation: Joi.object({
+			minLength: Joi.number().integer().min(0).max(1000).optional(),
+			maxLength: Joi.number().integer().min(0).max(10000).optional(),
+			pattern: Joi.string().optional(),
+			min: Joi.number().optional(),
+			max: Joi.number().optional(),
+		})
+			.optional()
+			.allow(null),
+		...formFieldRuleFields,
+	}),
 
-		reorderEventFormFields: Joi.object({
-			fieldOrders: Joi.array()
-				.items(
-					Joi.object({
-						fieldId: Joi.string().pattern(/^c[a-z0-9]{24}$/).required(),
-						orderIndex: Joi.number().integer().min(0).max(1000).required(),
-					})
-				)
-				.min(1)
-				.required()
-				.messages({
-					"array.min": "At least one field order is required",
-					"any.required": "Field orders array is required",
-				}),
-		}),
+	reorderEventFormFields: Joi.object({
+		fieldOrders: Joi.array()
+			.items(
+				Joi.object({
+					fieldId: Joi.string().pattern(/^c[a-z0-9]{24}$/).required(),
+					orderIndex: Joi.number().integer().min(0).max(1000).required(),
+				})
+			)
+			.min(1)
+			.required()
+			.messages({
+				"array.min": "At least one field order is required",
+				"any.required": "Field orders array is required",
+			}),
+	}),
+
+	// Check one step of a multi-page form before moving to the next
+	validateFormPage: Joi.object({
+		pageIndex: Joi.number().integer().min(0).max(19).required(),
+		formResponses: Joi.array().items(formResponseItemSchema).optional().default([]),
 	}),
 
 	updateUserRegistration: Joi.object({
@@ -523,7 +883,7 @@ const eventSchemas = {
 
 		phone: Joi.string()
 			.trim()
-			.pattern(/^[\+]?[1-9][\d]{0,15}$/)
+			.pattern(/^[+]?[1-9][\d]{0,15}$/)
 			.optional()
 			.allow(null, "")
 			.messages({
@@ -551,7 +911,7 @@ const eventSchemas = {
 
 		phone: Joi.string()
 			.trim()
-			.pattern(/^[\+]?[1-9][\d]{0,15}$/)
+			.pattern(/^[+]?[1-9][\d]{0,15}$/)
 			.optional()
 			.allow(null, "")
 			.messages({
@@ -651,12 +1011,15 @@ const eventSchemas = {
 				"number.integer": "Stock quantity must be an integer",
 				"number.min": "Stock quantity cannot be negative",
 			}),
+
+		currencyPrices: currencyPricesSchema,
 	}),
 
 	updateMerchandise: Joi.object({
 		name: Joi.string().trim().min(2).max(100).optional(),
 		description: Joi.string().trim().max(500).optional().allow(""),
 		price: Joi.number().positive().precision(2).optional(),
+		currencyPrices: currencyPricesSchema,
 		availableSizes: Joi.array()
 			.items(Joi.string().valid("XS", "S", "M", "L", "XL", "XXL", "XXXL"))
 			.unique()
@@ -871,6 +1234,27 @@ const eventParamSchemas = {
 		itemId: Joi.string().required(),
 	}),
 
+	priceTier: Joi.object({
+		eventId: Joi.string().required(),
+		tierId: Joi.string().required(),
+	}),
+
+	seriesId: Joi.object({
+		seriesId: Joi.string().required().messages({
+			"any.required": "Series ID is required",
+		}),
+	}),
+
+	seatingTable: Joi.object({
+		eventId: Joi.string().required(),
+		tableId: Joi.string().required(),
+	}),
+
+	seatAssignment: Joi.object({
+		eventId: Joi.string().required(),
+		assignmentId: Joi.string().required(),
+	}),
+
 	cartItem: Joi.object({
 		eventId: Joi.string().required(),
 		itemId: Joi.string().required(),
@@ -947,6 +1331,60 @@ const validateRegistrationBusinessRules = (req, res, next) => {
 	}
 };
 
+// Registration form answers: visibility/requirement rules and answer checks.
+// Answers to hidden fields are dropped; the fee add-ons are left on req.formEvaluation.
+const validateRegistrationFormResponses = async (req, res, next) => {
+	const { eventId } = req.params;
+
+	// Updates that don't touch the answers
+	if (req.body.formResponses === undefined) {
+		return next();
+	}
+
+	try {
+		const form = await prisma.eventForm.findUnique({
+			where: { eventId },
+			select: {
+				isActive: true,
+				fields: {
+					select: FORM_LOGIC_FIELD_SELECT,
+					orderBy: { orderIndex: "asc" },
+				},
+			},
+		});
+
+		if (!form || !form.isActive) {
+			req.body.formResponses = [];
+			req.formEvaluation = null;
+			return next();
+		}
+
+		const evaluation = FormLogicService.evaluate(form.fields, req.body.formResponses);
+
+		if (!evaluation.valid) {
+			return res.status(400).json({
+				success: false,
+				message: "Registration form validation failed",
+				errors: evaluation.errors.map(({ fieldId, fieldName, message }) => ({
+					field: fieldName || fieldId,
+					fieldId,
+					message,
+				})),
+			});
+		}
+
+		req.body.formResponses = evaluation.responses;
+		req.formEvaluation = evaluation;
+		next();
+	} catch (error) {
+		console.error("Registration form validation error:", error);
+		return res.status(500).json({
+			success: false,
+			message: "Registration form validation failed",
+		});
+	}
+};
+
 // Form field validation helper
 const validateFormFieldOptions = (req, res, next) => {
 	const { fieldType, options } = req.body;
@@ -1267,11 +1705,27 @@ const validateUpdateEventStatus = validateEvent("updateEventStatus");
 const validateCreateEventSection = validateEvent("createEventSection");
 const validateUpdateEventSection = validateEvent("updateEventSection");
 const validateReorderEventSections = validateEvent("reorderEventSections");
+const validateCreatePriceTier = validateEvent("createPriceTier");
+const validateUpdatePriceTier = validateEvent("updatePriceTier");
 
 // Parameter validation middlewares
 const validateEventIdParam = validateEventParams("eventId");
 const validateCategoryIdParam = validateEventParams("categoryId");
 const validateEventAndSectionParams = validateEventParams("eventAndSection");
+const validatePriceTierParams = validateEventParams("priceTier");
+const validateCreateEventSeries = validateEvent("createEventSeries");
+const validateUpdateEventSeries = validateEvent("updateEventSeries");
+const validateCancelOccurrence = validateEvent("cancelOccurrence");
+const validateSeriesIdParam = validateEventParams("seriesId");
+const validateCreateSeatingTable = validateEvent("createSeatingTable");
+const validateUpdateSeatingTable = validateEvent("updateSeatingTable");
+const validateAutoAssignSeats = validateEvent("autoAssignSeats");
+const validateMoveSeats = validateEvent("moveSeats");
+const validateExportSeatingChart = validateEvent("exportSeatingChart", "query");
+const validateSeatingTableParams = validateEventParams("seatingTable");
+const validateSeatAssignmentParams = validateEventParams("seatAssignment");
+const validateCheckInKit = validateEvent("checkInKit", "query");
+const validateCheckInSync = validateEvent("checkInSync");
 
 // User Registration Middleware
 const validateUserRegistration = validateEvent("userRegistration");
@@ -1281,6 +1735,7 @@ const validateUpdateEventForm = validateEvent("updateEventForm");
 const validateCreateEventFormField = validateEvent("createEventFormField");
 const validateUpdateEventFormField = validateEvent("updateEventFormField");
 const validateReorderEventFormFields = validateEvent("reorderEventFormFields");
+const validateFormPage = validateEvent("validateFormPage");
 
 // Guest validation middleware
 const validateAddGuest = validateEvent("addGuest");
@@ -1319,11 +1774,28 @@ module.exports = {
 	validateEventIdParam,
 	validateCategoryIdParam,
 	validateEventAndSectionParams,
+	validateCreatePriceTier,
+	validateUpdatePriceTier,
+	validatePriceTierParams,
+	validateCreateEventSeries,
+	validateUpdateEventSeries,
+	validateCancelOccurrence,
+	validateSeriesIdParam,
+	validateCreateSeatingTable,
+	validateUpdateSeatingTable,
+	validateAutoAssignSeats,
+	validateMoveSeats,
+	validateExportSeatingChart,
+	validateSeatingTableParams,
+	validateSeatAssignmentParams,
+	validateCheckInKit,
+	validateCheckInSync,
 
 	// NEW: User registration validation
 	validateUserRegistration,
 	validateUpdateUserRegistration,
 	validateRegistrationBusinessRules,
+	validateRegistrationFormResponses,
 
 	// NEW: Event form validation
 	validateCreateEventForm,
@@ -1331,6 +1803,7 @@ module.exports = {
 	validateCreateEventFormField,
 	validateUpdateEventFormField,
 	validateReorderEventFormFields,
+	validateFormPage,
 	validateFormFieldOptions,
 
 	// NEW: Guest validation
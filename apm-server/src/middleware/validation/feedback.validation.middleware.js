@@ -255,7 +255,6 @@ const validateFeedbackParams = (schemaName) => {
 // Validate feedback form access permissions
 const validateFeedbackFormAccess = async (req, res, next) => {
   const { eventId } = req.params;
-  const userId = req.user?.id;
   const isAdmin = req.user?.role === 'SUPER_ADMIN';
   
   try {
@@ -337,7 +336,6 @@ const validateFeedbackFormAccess = async (req, res, next) => {
 
 // Validate feedback submission permissions
 const validateFeedbackSubmission = async (req, res, next) => {
-  const { eventId } = req.params;
   const { isAnonymous } = req.body;
   const userId = req.user?.id;
   
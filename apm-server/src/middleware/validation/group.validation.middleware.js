@@ -1,9 +1,8 @@
 // src/middleware/group.validation.middleware.js - Updated
 const Joi = require('joi');
-const { PrismaClient } = require('@prisma/client');
+const { prisma } = require('../../config/database');
 const { errorResponse } = require('../../utils/response');
-
-const prisma = new PrismaClient();
+const { getTenantFilter, getOrganizationId } = require('../../utils/tenant.util');
 
 // ============================================
 // VALIDATION SCHEMAS
@@ -263,7 +262,7 @@ const validateGroupParams = (schemaName) => {
 // BUSINESS RULE VALIDATIONS
 // ============================================
 
-// Validate group name uniqueness
+// Validate group name uniqueness (names are unique per organization)
 const validateGroupNameUnique = async (req, res, next) => {
   try {
     const { name } = req.body;
@@ -276,6 +275,7 @@ const validateGroupNameUnique = async (req, res, next) => {
     const existingGroup = await prisma.organizationGroup.findFirst({
       where: {
         name: name.trim(),
+        organizationId: getOrganizationId(req),
         ...(groupId && { id: { not: groupId } })
       },
       select: { id: true, name: true }
@@ -300,8 +300,8 @@ const validateGroupAccess = async (req, res, next) => {
   try {
     const { groupId } = req.params;
 
-    const group = await prisma.organizationGroup.findUnique({
-      where: { id: groupId },
+    const group = await prisma.organizationGroup.findFirst({
+      where: { id: groupId, ...getTenantFilter(req) },
       select: {
         id: true,
         name: true,
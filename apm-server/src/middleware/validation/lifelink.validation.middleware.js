@@ -152,8 +152,19 @@ const schemas = {
     
     allowContactReveal: Joi.boolean()
       .default(true)
+      .optional(),
+
+    // Map pin (honoured for admins only; others are placed from the location text)
+    latitude: Joi.number()
+      .min(-90)
+      .max(90)
+      .optional(),
+
+    longitude: Joi.number()
+      .min(-180)
+      .max(180)
       .optional()
-  }),
+  }).and('latitude', 'longitude'),
 
   // Donor search schema
   searchDonors: Joi.object({
@@ -177,9 +188,110 @@ const schemas = {
       .min(1)
       .max(100)
       .default(20)
+      .optional(),
+
+    // Search from an exact point instead of the location text
+    latitude: Joi.number()
+      .min(-90)
+      .max(90)
+      .optional(),
+
+    longitude: Joi.number()
+      .min(-180)
+      .max(180)
+      .optional(),
+
+    radiusKm: Joi.number()
+      .min(1)
+      .max(500)
+      .optional()
+  }).and('latitude', 'longitude'),
+
+  // Map pin set by an admin
+  setLocation: Joi.object({
+    latitude: Joi.number()
+      .min(-90)
+      .max(90)
+      .required(),
+
+    longitude: Joi.number()
+      .min(-180)
+      .max(180)
+      .required()
+  }),
+
+  // Gazetteer entry added by an admin
+  addGeoPlace: Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(2)
+      .max(150)
+      .required(),
+
+    district: Joi.string()
+      .trim()
+      .max(100)
+      .optional()
+      .allow(null, ''),
+
+    state: Joi.string()
+      .trim()
+      .max(100)
+      .optional()
+      .allow(null, ''),
+
+    country: Joi.string()
+      .trim()
+      .max(100)
+      .default('India')
+      .optional(),
+
+    postalCode: Joi.string()
+      .trim()
+      .max(12)
+      .optional()
+      .allow(null, ''),
+
+    latitude: Joi.number()
+      .min(-90)
+      .max(90)
+      .required(),
+
+    longitude: Joi.number()
+      .min(-180)
+      .max(180)
+      .required(),
+
+    population: Joi.number()
+      .integer()
+      .min(0)
+      .optional()
+  }),
+
+  geoPlaceQuery: Joi.object({
+    q: Joi.string()
+      .trim()
+      .max(100)
+      .optional()
+      .allow(''),
+
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(50)
+      .default(20)
       .optional()
   }),
 
+  addressLocationParams: Joi.object({
+    userId: Joi.string()
+      .required(),
+
+    addressType: Joi.string()
+      .valid('PERMANENT', 'CURRENT', 'permanent', 'current')
+      .required()
+  }),
+
   // Donor response schema
   respondToRequisition: Joi.object({
     response: Joi.string()
@@ -462,13 +574,17 @@ module.exports = {
   validateSearchDonors: validate('searchDonors'),
   validateRespondToRequisition: validate('respondToRequisition'),
   validateNotifyDonors: validate('notifyDonors'),
+  validateSetLocation: validate('setLocation'),
+  validateAddGeoPlace: validate('addGeoPlace'),
 
   // Query validation
   validateDashboardQuery: validate('dashboardQuery', 'query'),
+  validateGeoPlaceQuery: validate('geoPlaceQuery', 'query'),
 
   // Parameter validation
   validateRequisitionIdParam: validate('requisitionIdParam', 'params'),
   validateNotificationIdParam: validate('notificationIdParam', 'params'),
+  validateAddressLocationParams: validate('addressLocationParams', 'params'),
 
   // Business rule validation
   validateBloodDonor,
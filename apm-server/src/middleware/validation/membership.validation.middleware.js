@@ -1,6 +1,16 @@
 // src/middleware/membership.validation.middleware.js
 const Joi = require('joi');
 const { prisma } = require('../../config/database');
+const { getSupportedCurrencies } = require('../../utils/currency.util');
+
+// Optional per-currency fees, e.g. { "USD": 25 }
+const currencyFeesSchema = Joi.object()
+  .pattern(Joi.string().valid(...getSupportedCurrencies()), Joi.number().positive().precision(2))
+  .optional()
+  .allow(null)
+  .messages({
+    'object.unknown': `Currency must be one of: ${getSupportedCurrencies().join(', ')}`
+  });
 
 /**
  * Validation schemas for membership operations
@@ -20,6 +30,7 @@ const membershipSchemas = {
         'number.max': 'Membership fee cannot exceed ₹1,00,000',
         'any.required': 'Membership fee is required'
       }),
+    currencyFees: currencyFeesSchema,
     membershipYear: Joi.number()
       .integer()
       .min(2024)
@@ -54,6 +65,7 @@ const membershipSchemas = {
         'number.max': 'Membership fee cannot exceed ₹1,00,000',
         'any.required': 'Membership fee is required'
       }),
+    currencyFees: currencyFeesSchema,
     membershipYear: Joi.number()
       .integer()
       .min(2024)
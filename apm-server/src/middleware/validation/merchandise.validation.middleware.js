@@ -3,6 +3,17 @@
 
 const Joi = require('joi');
 const { prisma } = require('../../config/database');
+const { CacheService } = require('../../config/redis');
+const { getSupportedCurrencies } = require('../../utils/currency.util');
+
+// Optional per-currency prices, e.g. { "USD": 12, "GBP": 10 }
+const currencyPricesSchema = Joi.object()
+  .pattern(Joi.string().valid(...getSupportedCurrencies()), Joi.number().positive().precision(2))
+  .optional()
+  .allow(null)
+  .messages({
+    'object.unknown': `Currency must be one of: ${getSupportedCurrencies().join(', ')}`
+  });
 
 // Validation schemas for merchandise operations
 const merchandiseSchemas = {
@@ -39,6 +50,8 @@ const merchandiseSchemas = {
         'any.required': 'Price is required'
       }),
     
+    currencyPrices: currencyPricesSchema,
+    
     stock: Joi.number()
       .integer()
       .min(0)
@@ -99,6 +112,8 @@ const merchandiseSchemas = {
         'number.max': 'Price cannot exceed ₹10,000'
       }),
     
+    currencyPrices: currencyPricesSchema,
+    
     availableSizes: Joi.array()
       .items(
         Joi.string().valid('XS', 'S', 'M', 'L', 'XL', 'XXL', 'XXXL', 'FREE_SIZE')
@@ -5,6 +5,11 @@ const Joi = require('joi');
 // const { PrismaClient } = require('@prisma/client');
 const { errorResponse } = require('../../utils/response');
 const { NOTIFICATION_TYPES, PRIORITY_LEVELS, CHANNELS } = require('../../services/notification.service');
+const {
+  NotificationPreferenceService,
+  PREFERENCE_CHANNELS,
+  PREFERENCE_TYPES
+} = require('../../services/notificationPreference.service');
 const { prisma } = require('../../config/database');
 
 
@@ -14,6 +19,67 @@ const { prisma } = require('../../config/database');
 // VALIDATION SCHEMAS
 // ============================================
 
+// Bulk sends target users by audience filters instead of explicit recipients
+const bulkNotificationSchema = Joi.object({
+  filters: Joi.object({
+    batchYears: Joi.array()
+      .items(Joi.number().integer().min(1900).max(2100))
+      .optional(),
+
+    roles: Joi.array()
+      .items(Joi.string().valid('USER', 'TEACHER', 'BATCH_ADMIN', 'SUPER_ADMIN'))
+      .optional()
+  })
+    .default({})
+    .optional(),
+
+  type: Joi.string()
+    .valid(...Object.values(NOTIFICATION_TYPES))
+    .default(NOTIFICATION_TYPES.SYSTEM_ANNOUNCEMENT)
+    .optional(),
+
+  title: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'string.min': 'Title cannot be empty',
+      'string.max': 'Title cannot exceed 100 characters',
+      'any.required': 'Notification title is required'
+    }),
+
+  message: Joi.string()
+    .trim()
+    .min(1)
+    .max(500)
+    .required()
+    .messages({
+      'string.min': 'Message cannot be empty',
+      'string.max': 'Message cannot exceed 500 characters',
+      'any.required': 'Notification message is required'
+    }),
+
+  data: Joi.object()
+    .pattern(Joi.string(), Joi.alternatives().try(
+      Joi.string(),
+      Joi.number(),
+      Joi.boolean()
+    ))
+    .default({})
+    .optional(),
+
+  priority: Joi.string()
+    .valid(...Object.values(PRIORITY_LEVELS))
+    .default(PRIORITY_LEVELS.MEDIUM)
+    .optional(),
+
+  channels: Joi.array()
+    .items(Joi.string().valid(...Object.values(CHANNELS)))
+    .default([CHANNELS.PUSH, CHANNELS.IN_APP])
+    .optional()
+});
+
 const schemas = {
   // Push token registration schema
   registerPushToken: Joi.object({
@@ -146,6 +212,19 @@ const schemas = {
       .optional()
   }),
 
+  // Bulk notification schemas
+  sendBulkNotifications: bulkNotificationSchema,
+
+  scheduleBulkNotification: bulkNotificationSchema.keys({
+    scheduleAt: Joi.date()
+      .min('now')
+      .required()
+      .messages({
+        'date.min': 'Scheduled time cannot be in the past',
+        'any.required': 'Scheduled time is required'
+      })
+  }),
+
   // Cleanup old notifications schema
   cleanupOldNotifications: Joi.object({
     daysOld: Joi.number()
@@ -206,7 +285,73 @@ const schemas = {
       })
   }),
 
+  communityDigestStatsQuery: Joi.object({
+    weeks: Joi.number()
+      .integer()
+      .min(1)
+      .max(52)
+      .default(8)
+  }),
+
+  // Notification preferences; every section is optional so the client can send partial updates
+  updateNotificationPreferences: Joi.object({
+    channels: Joi.object(
+      Object.fromEntries(PREFERENCE_CHANNELS.map(channel => [channel, Joi.boolean()]))
+    ).optional(),
+
+    types: Joi.object()
+      .pattern(
+        Joi.string().valid(...PREFERENCE_TYPES),
+        Joi.object(Object.fromEntries(PREFERENCE_CHANNELS.map(channel => [channel, Joi.boolean()])))
+      )
+      .optional(),
+
+    quietHours: Joi.object({
+      enabled: Joi.boolean().optional(),
+      start: Joi.string()
+        .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+        .allow(null)
+        .optional()
+        .messages({ 'string.pattern.base': 'Quiet hours start must be in HH:mm format' }),
+      end: Joi.string()
+        .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+        .allow(null)
+        .optional()
+        .messages({ 'string.pattern.base': 'Quiet hours end must be in HH:mm format' }),
+      timezone: Joi.string()
+        .custom((value, helpers) => (
+          NotificationPreferenceService.isValidTimezone(value) ? value : helpers.error('any.invalid')
+        ))
+        .optional()
+        .messages({ 'any.invalid': 'Timezone must be a valid IANA timezone (e.g. Asia/Kolkata)' })
+    }).optional(),
+
+    digest: Joi.object({
+      frequency: Joi.string().valid('OFF', 'DAILY', 'WEEKLY').required()
+    }).optional()
+  })
+    .min(1)
+    .messages({
+      'object.min': 'Provide at least one preference to update'
+    }),
+
+  // Unsubscribe links may target a single notification type
+  unsubscribeQuery: Joi.object({
+    type: Joi.string()
+      .valid(...PREFERENCE_TYPES)
+      .optional()
+  }),
+
   // Parameter schemas
+  unsubscribeTokenParam: Joi.object({
+    token: Joi.string()
+      .pattern(/^[A-Za-z0-9_-]{16,64}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Invalid unsubscribe link'
+      })
+  }),
+
   notificationIdParam: Joi.object({
     notificationId: Joi.string()
       .required()
@@ -353,7 +498,6 @@ const validateRecipients = async (req, res, next) => {
 // Rate limiting for notification sending (prevent spam)
 const validateNotificationRateLimit = async (req, res, next) => {
   try {
-    const userId = req.user.id;
     const userRole = req.user.role;
 
     // Skip rate limiting for super admins
@@ -419,14 +563,20 @@ module.exports = {
   validateUnregisterPushToken: validate('unregisterPushToken'),
   validateSendCustomNotification: validate('sendCustomNotification'),
   validateSendSystemAnnouncement: validate('sendSystemAnnouncement'),
+  validateSendBulkNotifications: validate('sendBulkNotifications'),
+  validateScheduleBulkNotification: validate('scheduleBulkNotification'),
   validateCleanupOldNotifications: validate('cleanupOldNotifications'),
+  validateUpdateNotificationPreferences: validate('updateNotificationPreferences'),
 
   // Query validation
   validateNotificationListQuery: validate('notificationListQuery', 'query'),
   validateAnalyticsQuery: validate('analyticsQuery', 'query'),
+  validateCommunityDigestStatsQuery: validate('communityDigestStatsQuery', 'query'),
+  validateUnsubscribeQuery: validate('unsubscribeQuery', 'query'),
 
   // Parameter validation
   validateNotificationIdParam: validate('notificationIdParam', 'params'),
+  validateUnsubscribeTokenParam: validate('unsubscribeTokenParam', 'params'),
 
   // Business rule validation
   validateNotificationAccess,
@@ -4,13 +4,26 @@
 const Joi = require("joi");
 // const { PrismaClient } = require("@prisma/client");
 const { prisma } = require('../../config/database');
-const { errorResponse } = require("../../utils/response");
+const PaymentProviderFactory = require("../../services/payment/PaymentProviderFactory");
+const { getSupportedCurrencies } = require("../../utils/currency.util");
 // const prisma = new PrismaClient();
 
 // =============================================
 // PAYMENT VALIDATION SCHEMAS
 // =============================================
 
+// Charge currency (omit to pay in the organization's base currency)
+const currencySchema = Joi.string()
+	.uppercase()
+	.valid(...getSupportedCurrencies())
+	.optional()
+	.messages({
+		"any.only": `Currency must be one of: ${getSupportedCurrencies().join(", ")}`,
+	});
+
+// Discount code entered at checkout
+const promoCodeSchema = Joi.string().trim().uppercase().max(40).optional().allow(null, "");
+
 const paymentSchemas = {
 	// Payment initiation validation
 	initiatePayment: Joi.object({
@@ -68,7 +81,18 @@ const paymentSchemas = {
 			donationAmount: Joi.number().min(0).optional().messages({
 				"number.min": "Donation amount must be 0 or greater",
 			}),
+			formResponses: Joi.array()
+				.items(
+					Joi.object({
+						fieldId: Joi.string().required(),
+						response: Joi.string().trim().required(),
+					})
+				)
+				.max(200)
+				.optional(),
 		}).optional(),
+		currency: currencySchema,
+		promoCode: promoCodeSchema,
 	}),
 
 	// Payment verification validation
@@ -100,6 +124,8 @@ const paymentSchemas = {
 			"string.uuid": "Reference ID must be a valid UUID",
 			"any.required": "Reference ID is required",
 		}),
+		currency: currencySchema,
+		promoCode: promoCodeSchema,
 	}),
 
 	// Admin payment list validation
@@ -172,14 +198,92 @@ const paymentSchemas = {
 
 	providerParam: Joi.object({
 		provider: Joi.string()
-			.valid("razorpay", "paytm", "phonepe")
+			.valid("razorpay", "stripe", "paytm", "phonepe")
 			.required()
 			.messages({
-				"any.only": "Provider must be one of: razorpay, paytm, phonepe",
+				"any.only": "Provider must be one of: razorpay, stripe, paytm, phonepe",
 				"any.required": "Provider is required",
 			}),
 	}),
 
+	// Admin refund validation (omit amount for a full refund)
+	createRefund: Joi.object({
+		amount: Joi.number().positive().precision(2).optional().messages({
+			"number.positive": "Refund amount must be greater than zero",
+		}),
+		reason: Joi.string().trim().min(3).max(500).required().messages({
+			"string.min": "Refund reason must be at least 3 characters",
+			"any.required": "Refund reason is required",
+		}),
+	}),
+
+	// Promo code management (amounts are in the organization base currency)
+	createPromoCode: Joi.object({
+		code: Joi.string()
+			.trim()
+			.uppercase()
+			.pattern(/^[A-Z0-9_-]{3,40}$/)
+			.required()
+			.messages({
+				"string.pattern.base": "Code must be 3-40 letters, numbers, dashes or underscores",
+				"any.required": "Code is required",
+			}),
+		description: Joi.string().trim().max(255).optional().allow(null, ""),
+		discountType: Joi.string().valid("PERCENTAGE", "FLAT").required(),
+		discountValue: Joi.number()
+			.positive()
+			.precision(2)
+			.when("discountType", { is: "PERCENTAGE", then: Joi.number().max(100) })
+			.required()
+			.messages({
+				"number.max": "Percentage discount cannot exceed 100",
+			}),
+		maxDiscountAmount: Joi.number().positive().precision(2).optional().allow(null),
+		minOrderAmount: Joi.number().min(0).precision(2).optional().allow(null),
+		scopes: Joi.array()
+			.items(Joi.string().valid("EVENT", "MERCHANDISE", "MEMBERSHIP"))
+			.min(1)
+			.unique()
+			.required()
+			.messages({
+				"array.min": "Select at least one scope",
+			}),
+		eventId: Joi.string().optional().allow(null),
+		usageLimit: Joi.number().integer().min(1).optional().allow(null),
+		perUserLimit: Joi.number().integer().min(1).max(100).default(1),
+		validFrom: Joi.date().optional().allow(null),
+		validUntil: Joi.date()
+			.optional()
+			.allow(null)
+			.when("validFrom", {
+				is: Joi.date().required(),
+				then: Joi.date().greater(Joi.ref("validFrom")),
+			}),
+		isActive: Joi.boolean().default(true),
+	}),
+
+	updatePromoCode: Joi.object({
+		description: Joi.string().trim().max(255).optional().allow(null, ""),
+		discountValue: Joi.number().positive().precision(2).optional(),
+		maxDiscountAmount: Joi.number().positive().precision(2).optional().allow(null),
+		minOrderAmount: Joi.number().min(0).precision(2).optional().allow(null),
+		scopes: Joi.array()
+			.items(Joi.string().valid("EVENT", "MERCHANDISE", "MEMBERSHIP"))
+			.min(1)
+			.unique()
+			.optional(),
+		eventId: Joi.string().optional().allow(null),
+		usageLimit: Joi.number().integer().min(1).optional().allow(null),
+		perUserLimit: Joi.number().integer().min(1).max(100).optional(),
+		validFrom: Joi.date().optional().allow(null),
+		validUntil: Joi.date().optional().allow(null),
+		isActive: Joi.boolean().optional(),
+	}).min(1),
+
+	promoCodeIdParam: Joi.object({
+		promoCodeId: Joi.string().required(),
+	}),
+
 	// Invoice email resend validation
 	resendInvoiceEmail: Joi.object({
 		email: Joi.string().email().optional().messages({
@@ -374,6 +478,34 @@ async function validateEventRegistrationPayment(
 		return;
 	}
 
+	// Waitlisted registrations pay only once promoted
+	if (registration.status === "WAITLIST") {
+		errors.push({
+			field: "referenceId",
+			message: "You are on the waitlist - payment opens once a spot is confirmed",
+		});
+		return;
+	}
+
+	if (registration.status === "CANCELLED") {
+		errors.push({
+			field: "referenceId",
+			message: "Cannot pay for a cancelled registration",
+		});
+		return;
+	}
+
+	// Promoted from the waitlist: the payment window replaces the registration deadline
+	if (registration.paymentDueAt) {
+		if (new Date() > new Date(registration.paymentDueAt)) {
+			errors.push({
+				field: "referenceId",
+				message: "Payment window for your waitlist spot has expired",
+			});
+		}
+		return;
+	}
+
 	// Check registration deadline
 	if (
 		registration.event.registrationEndDate &&
@@ -468,6 +600,7 @@ async function validateEventPaymentRules(eventId, userId, errors) {
 			registrationEndDate: true,
 			eventDate: true,
 			maxCapacity: true,
+			allowWaitlist: true,
 		},
 	});
 
@@ -521,7 +654,9 @@ async function validateEventPaymentRules(eventId, userId, errors) {
 		if (registrationCount >= event.maxCapacity) {
 			errors.push({
 				field: "referenceId",
-				message: "Event is full",
+				message: event.allowWaitlist
+					? "Event is full - register without payment to join the waitlist"
+					: "Event is full",
 			});
 			return;
 		}
@@ -598,9 +733,16 @@ const validatePaymentVerificationRules = async (req, res, next) => {
 const validateWebhookRequest = (req, res, next) => {
 	const { provider } = req.params;
 
-	// Check for required signature header
-	const signature =
-		req.headers["x-razorpay-signature"] || req.headers["x-webhook-signature"];
+	// Check for required signature header (each provider names it differently)
+	let signature = null;
+	try {
+		signature = PaymentProviderFactory.create(provider).getWebhookSignature(req.headers);
+	} catch (error) {
+		return res.status(400).json({
+			success: false,
+			message: error.message,
+		});
+	}
 
 	if (!signature) {
 		return res.status(400).json({
@@ -640,6 +782,10 @@ const validateAdminPaymentList = validatePayment("adminPaymentList", "query");
 const validatePaymentAnalytics = validatePayment("paymentAnalytics", "query");
 
 const validateResendInvoiceEmail = validatePayment('resendInvoiceEmail');
+const validateCreateRefund = validatePayment("createRefund");
+const validateCreatePromoCode = validatePayment("createPromoCode");
+const validateUpdatePromoCode = validatePayment("updatePromoCode");
+const validatePromoCodeIdParam = validatePaymentParams("promoCodeIdParam");
 
 module.exports = {
 	// Schema validation
@@ -660,6 +806,10 @@ module.exports = {
 	validateAdminPaymentList,
 	validatePaymentAnalytics,
 	validateResendInvoiceEmail,
+	validateCreateRefund,
+	validateCreatePromoCode,
+	validateUpdatePromoCode,
+	validatePromoCodeIdParam,
 
 	// Export schemas for testing
 	paymentSchemas,
@@ -4,8 +4,7 @@
 // ==========================================
 
 const { prisma } = require('../../config/database');
-const { errorResponse } = require('../../utils/response');
-const SerialIdService = require('../../services/serialID.service');
+const EmailBlacklistService = require('../../services/auth/emailBlacklist.service');
 
 /**
  * Validate profile edit permissions and batch correction logic
@@ -15,7 +14,7 @@ const validateProfileEdit = async (req, res, next) => {
   try {
     const user = req.user;
     const updates = req.body;
-    const { batch, ...otherUpdates } = updates;
+    const { batch } = updates;
     
     // ==========================================
     // BATCH CHANGE VALIDATION
@@ -76,8 +75,6 @@ const validateProfileEdit = async (req, res, next) => {
           role: user.role,
           oldBatch: user.batch,
           newBatch: batchYear,
-          admissionYear,
-          passoutYear,
           warning: 'Admin batch change - will affect admin permissions if batch admin assignments exist'
         };
       }
@@ -240,7 +237,7 @@ const validateSpecificProfileFields = (req, res, next) => {
     
     // Phone number validation
     if (updates.whatsappNumber) {
-      const phoneRegex = /^[\+]?[1-9][\d]{0,15}$/;
+      const phoneRegex = /^[+]?[1-9][\d]{0,15}$/;
       if (!phoneRegex.test(updates.whatsappNumber.replace(/\s/g, ''))) {
         errors.push({
           field: 'whatsappNumber',
@@ -331,14 +328,7 @@ const checkEmailDuplicateOnUpdate = async (req, res, next) => {
     }
     
     // Check if email is blacklisted
-    const blacklistedEmail = await prisma.blacklistedEmail.findFirst({
-      where: { 
-        email: email.toLowerCase(),
-        isActive: true 
-      }
-    });
-    
-    if (blacklistedEmail) {
+    if (await EmailBlacklistService.isEmailBlacklisted(email)) {
       return res.status(403).json({
         success: false,
         message: 'This email is not eligible for use',
@@ -365,7 +355,7 @@ const isValidUrl = (string) => {
   try {
     const url = new URL(string);
     return ['http:', 'https:'].includes(url.protocol);
-  } catch (error) {
+  } catch {
     return false;
   }
 };
@@ -499,7 +489,6 @@ const logProfileChanges = async (req, res, next) => {
   try {
     const updates = req.body;
     const user = req.user;
-    const context = req.profileEditContext;
     
     // Store original user data for comparison
     const originalUser = await prisma.user.findUnique({
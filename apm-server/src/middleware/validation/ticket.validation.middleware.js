@@ -190,7 +190,7 @@ const validateTicketIdParam = async (req, res, next) => {
     // Check if ticket exists
     const ticket = await prisma.ticket.findUnique({
       where: { id: ticketId },
-      select: { id: true, userId: true, assignedToId: true, status: true }
+      select: { id: true, userId: true, assignedToId: true, status: true, organizationId: true }
     });
 
     if (!ticket) {
@@ -188,6 +188,59 @@ const bulkCategorySchema = Joi.object({
   })
 });
 
+// ==========================================
+// SLA POLICY VALIDATION SCHEMAS
+// ==========================================
+
+// Targets are in minutes; up to 90 days
+const slaMinutes = Joi.number().integer().min(5).max(129600);
+
+// Create SLA policy validation
+const slaPolicySchema = Joi.object({
+  name: Joi.string().trim().min(3).max(100).required().messages({
+    'string.min': 'Policy name must be at least 3 characters long',
+    'string.max': 'Policy name cannot exceed 100 characters',
+    'any.required': 'Policy name is required'
+  }),
+  
+  // Leave out to match any category / any priority
+  categoryId: Joi.string().optional().allow(null),
+  
+  priority: Joi.string().valid('LOW', 'MEDIUM', 'HIGH', 'URGENT').optional().allow(null).messages({
+    'any.only': 'Priority must be one of: LOW, MEDIUM, HIGH, URGENT'
+  }),
+  
+  firstResponseMinutes: slaMinutes.required().messages({
+    'number.min': 'First response target must be at least 5 minutes',
+    'any.required': 'First response target is required'
+  }),
+  
+  resolutionMinutes: slaMinutes.required().messages({
+    'number.min': 'Resolution target must be at least 5 minutes',
+    'any.required': 'Resolution target is required'
+  }),
+  
+  escalateToId: Joi.string().optional().allow(null),
+  
+  bumpPriority: Joi.boolean().default(true),
+  
+  isActive: Joi.boolean().default(true)
+});
+
+// Update SLA policy validation
+const updateSlaPolicySchema = Joi.object({
+  name: Joi.string().trim().min(3).max(100).optional(),
+  categoryId: Joi.string().optional().allow(null),
+  priority: Joi.string().valid('LOW', 'MEDIUM', 'HIGH', 'URGENT').optional().allow(null),
+  firstResponseMinutes: slaMinutes.optional(),
+  resolutionMinutes: slaMinutes.optional(),
+  escalateToId: Joi.string().optional().allow(null),
+  bumpPriority: Joi.boolean().optional(),
+  isActive: Joi.boolean().optional()
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
 // ==========================================
 // VALIDATION MIDDLEWARE FUNCTIONS
 // ==========================================
@@ -278,7 +331,6 @@ const validateTemplateAccess = async (req, res, next) => {
 const validateBulkTicketSelection = async (req, res, next) => {
   try {
     const { ticketIds } = req.body;
-    const userId = req.user.id;
     
     if (!Array.isArray(ticketIds) || ticketIds.length === 0) {
       return errorResponse(res, 'At least one ticket must be selected', 400);
@@ -322,5 +374,9 @@ module.exports = {
   validateBulkPriority: validateData(bulkPrioritySchema),
   validateBulkClose: validateData(bulkCloseSchema),
   validateBulkCategory: validateData(bulkCategorySchema),
-  validateBulkTicketSelection
+  validateBulkTicketSelection,
+  
+  // SLA policy validation
+  validateSlaPolicy: validateData(slaPolicySchema),
+  validateUpdateSlaPolicy: validateData(updateSlaPolicySchema)
 };
\ No newline at end of file
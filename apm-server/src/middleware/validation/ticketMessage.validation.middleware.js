@@ -60,6 +60,13 @@ const messageDraftSchema = Joi.object({
   })
 });
 
+// Typing indicator validation
+const typingStateSchema = Joi.object({
+  isTyping: Joi.boolean().required().messages({
+    'any.required': 'isTyping is required'
+  })
+});
+
 // ==========================================
 // VALIDATION MIDDLEWARE FUNCTIONS
 // ==========================================
@@ -207,7 +214,7 @@ const validateFormattedContent = (req, res, next) => {
     if (formattedContent) {
       try {
         JSON.parse(formattedContent);
-      } catch (jsonError) {
+      } catch {
         return errorResponse(res, 'Invalid JSON in formatted content', 400);
       }
     }
@@ -229,6 +236,7 @@ module.exports = {
   validateEditMessage: validateData(editMessageSchema),
   validateMessageReaction: validateData(messageReactionSchema),
   validateMessageDraft: validateData(messageDraftSchema),
+  validateTypingState: validateData(typingStateSchema),
 
   // Parameter validation
   validateMessageIdParam,
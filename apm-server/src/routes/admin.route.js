@@ -7,6 +7,7 @@ const {
 } = require("../middleware/auth/auth.middleware");
 const { asyncHandler } = require("../utils/response");
 const { optionalTenantMiddleware } = require("../middleware/tenant.middleware");
+const { getOrganizationId } = require("../utils/tenant.util");
 const adminController = require("../controllers/admin/admin.controller");
 const ExportController = require("../controllers/export/export.controller");
 const batchCollectionController = require("../controllers/batch/batchCollection.controller");
@@ -40,6 +41,10 @@ router.put(
 // All other admin routes require SUPER_ADMIN role
 router.use(requireRole("SUPER_ADMIN"));
 
+// Session management - sign a user out everywhere (lost device, compromised account)
+router.get("/users/:userId/sessions", asyncHandler(adminController.getUserSessions));
+router.post("/users/:userId/force-logout", asyncHandler(adminController.forceLogoutUser));
+
 // Cache management routes
 router.get("/cache/dashboard", asyncHandler(adminController.getCacheDashboard));
 router.get("/cache/stats", asyncHandler(adminController.getCacheStats));
@@ -224,7 +229,8 @@ router.get(
 			const AnalyticsService = require("../services/analytics/AnalyticsService");
 			const analytics = await AnalyticsService.getBatchPaymentAnalytics(
 				fromDate ? new Date(fromDate) : null,
-				toDate ? new Date(toDate) : null
+				toDate ? new Date(toDate) : null,
+				getOrganizationId(req)
 			);
 
 			return res.json({
@@ -256,7 +262,8 @@ router.get(
 			const AnalyticsService = require("../services/analytics/AnalyticsService");
 			const analytics = await AnalyticsService.getDonationAnalytics(
 				fromDate ? new Date(fromDate) : null,
-				toDate ? new Date(toDate) : null
+				toDate ? new Date(toDate) : null,
+				getOrganizationId(req)
 			);
 
 			return res.json({
@@ -288,7 +295,7 @@ router.post(
 	asyncHandler(async (req, res) => {
 		try {
 			const AnalyticsService = require("../services/analytics/AnalyticsService");
-			await AnalyticsService.invalidateUnifiedAnalytics();
+			await AnalyticsService.invalidateUnifiedAnalytics(getOrganizationId(req));
 
 			return res.json({
 				success: true,
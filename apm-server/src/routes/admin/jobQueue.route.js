@@ -0,0 +1,46 @@
+// ==========================================
+// JOB QUEUE ADMIN ROUTES
+// File: apm-server/src/routes/admin/jobQueue.route.js
+// Pending and failed background jobs (notifications, payment follow-ups, cron runs)
+// ==========================================
+
+const express = require('express');
+const router = express.Router();
+const jobQueueController = require('../../controllers/admin/jobQueue.controller');
+const { authenticateToken, requireRole } = require('../../middleware/auth/auth.middleware');
+const { asyncHandler } = require('../../utils/response');
+
+router.use(authenticateToken);
+router.use(requireRole(['SUPER_ADMIN', 'DEVELOPER']));
+
+/**
+ * GET /api/admin/jobs/stats
+ * Job counts per state
+ */
+router.get('/stats', asyncHandler(jobQueueController.getJobStats));
+
+/**
+ * GET /api/admin/jobs
+ * List jobs by state (delayed, waiting, active, failed)
+ */
+router.get('/', asyncHandler(jobQueueController.listJobs));
+
+/**
+ * GET /api/admin/jobs/:jobId
+ * Job details and last error
+ */
+router.get('/:jobId', asyncHandler(jobQueueController.getJob));
+
+/**
+ * POST /api/admin/jobs/:jobId/retry
+ * Re-run a failed (dead-lettered) job
+ */
+router.post('/:jobId/retry', asyncHandler(jobQueueController.retryJob));
+
+/**
+ * DELETE /api/admin/jobs/:jobId
+ * Cancel a pending job or discard a failed one
+ */
+router.delete('/:jobId', asyncHandler(jobQueueController.removeJob));
+
+module.exports = router;
@@ -12,6 +12,7 @@ const path = require('path');
 const { authenticateToken, requireRole } = require('../../middleware/auth/auth.middleware');
 const { uploadOrganizationFiles } = require('../../middleware/upload.middleware');
 const { asyncHandler } = require('../../utils/response');
+const { prisma } = require('../../config/database');
 const { optionalTenantMiddleware } = require('../../middleware/tenant.middleware');
 
 // Import controller
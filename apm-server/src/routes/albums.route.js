@@ -30,8 +30,6 @@ const {
   validateSetCover,
   validateAlbumIdParam,
   validatePhotoIdParam,
-  validateAlbumAccess,
-  validatePhotoAccess,
   validateAlbumNameUnique,
   validatePhotoUpload
 } = require('../middleware/validation/photo.validation.middleware');
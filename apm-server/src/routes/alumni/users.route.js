@@ -21,10 +21,7 @@ const {
 // ==========================================
 const {
 	validateProfileEdit,
-	validateSpecificProfileFields,
-	checkEmailDuplicateOnUpdate,
 	profileUpdateRateLimit,
-	validateAdminProfileEditPermission,
 	logProfileChanges,
 } = require("../../middleware/validation/profileEdit.validation.middleware");
 
@@ -0,0 +1,169 @@
+// src/routes/calendar.route.js
+const express = require('express');
+const router = express.Router();
+
+// ============================================
+// MIDDLEWARE IMPORTS
+// ============================================
+const {
+  authenticateToken,
+  requireRole,
+  optionalAuth
+} = require('../middleware/auth/auth.middleware');
+const { asyncHandler } = require('../utils/response');
+const {
+  validateUserFeed,
+  validateCreateOrganizationFeed,
+  validateUpdateOrganizationFeed,
+  validateFeedIdParam
+} = require('../middleware/validation/calendar.validation.middleware');
+
+// ============================================
+// CONTROLLER IMPORTS
+// ============================================
+const calendarFeedController = require('../controllers/calendar/calendarFeed.controller');
+
+// ============================================
+// PUBLIC ROUTES
+// ============================================
+
+/**
+ * Add-to-calendar download for one event
+ * GET /api/calendar/events/:eventId.ics
+ * Access: Public (with optional auth)
+ */
+router.get('/events/:eventId.ics',
+  [
+    optionalAuth
+  ],
+  asyncHandler(calendarFeedController.getEventCalendar)
+);
+
+// ============================================
+// PERSONAL FEED
+// ============================================
+
+/**
+ * Get my subscription feed URL
+ * GET /api/calendar/feed
+ * Access: Authenticated
+ */
+router.get('/feed',
+  [
+    authenticateToken
+  ],
+  asyncHandler(calendarFeedController.getMyFeed)
+);
+
+/**
+ * Choose registered events, published events, festivals and birthdays
+ * PUT /api/calendar/feed
+ * Access: Authenticated
+ */
+router.put('/feed',
+  [
+    authenticateToken,
+    validateUserFeed
+  ],
+  asyncHandler(calendarFeedController.updateMyFeed)
+);
+
+/**
+ * Replace my feed URL
+ * POST /api/calendar/feed/rotate
+ * Access: Authenticated
+ */
+router.post('/feed/rotate',
+  [
+    authenticateToken
+  ],
+  asyncHandler(calendarFeedController.rotateMyFeed)
+);
+
+/**
+ * Turn off my feed
+ * DELETE /api/calendar/feed
+ * Access: Authenticated
+ */
+router.delete('/feed',
+  [
+    authenticateToken
+  ],
+  asyncHandler(calendarFeedController.deleteMyFeed)
+);
+
+// ============================================
+// ADMIN ROUTES - ORGANIZATION FEEDS
+// ============================================
+
+/**
+ * List organization feeds
+ * GET /api/calendar/admin/feeds
+ * Access: SUPER_ADMIN
+ */
+router.get('/admin/feeds',
+  [
+    authenticateToken,
+    requireRole('SUPER_ADMIN')
+  ],
+  asyncHandler(calendarFeedController.getOrganizationFeeds)
+);
+
+/**
+ * Create an organization feed
+ * POST /api/calendar/admin/feeds
+ * Access: SUPER_ADMIN
+ */
+router.post('/admin/feeds',
+  [
+    authenticateToken,
+    requireRole('SUPER_ADMIN'),
+    validateCreateOrganizationFeed
+  ],
+  asyncHandler(calendarFeedController.createOrganizationFeed)
+);
+
+/**
+ * Update an organization feed
+ * PUT /api/calendar/admin/feeds/:feedId
+ * Access: SUPER_ADMIN
+ */
+router.put('/admin/feeds/:feedId',
+  [
+    authenticateToken,
+    requireRole('SUPER_ADMIN'),
+    validateFeedIdParam,
+    validateUpdateOrganizationFeed
+  ],
+  asyncHandler(calendarFeedController.updateOrganizationFeed)
+);
+
+/**
+ * Replace an organization feed URL
+ * POST /api/calendar/admin/feeds/:feedId/rotate
+ * Access: SUPER_ADMIN
+ */
+router.post('/admin/feeds/:feedId/rotate',
+  [
+    authenticateToken,
+    requireRole('SUPER_ADMIN'),
+    validateFeedIdParam
+  ],
+  asyncHandler(calendarFeedController.rotateOrganizationFeed)
+);
+
+/**
+ * Delete an organization feed
+ * DELETE /api/calendar/admin/feeds/:feedId
+ * Access: SUPER_ADMIN
+ */
+router.delete('/admin/feeds/:feedId',
+  [
+    authenticateToken,
+    requireRole('SUPER_ADMIN'),
+    validateFeedIdParam
+  ],
+  asyncHandler(calendarFeedController.deleteOrganizationFeed)
+);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+// src/routes/calendarFeed.route.js
+// iCalendar subscription feeds (calendar apps can't send X-Tenant-Code or a bearer token;
+// the secret feed token identifies the feed and its organization)
+
+const express = require('express');
+const router = express.Router();
+const { validateFeedToken } = require('../middleware/validation/calendar.validation.middleware');
+const calendarFeedController = require('../controllers/calendar/calendarFeed.controller');
+
+// GET /api/calendar/feeds/:token.ics - Subscription feed
+router.get('/:token.ics', validateFeedToken, calendarFeedController.getFeedCalendar);
+
+module.exports = router;
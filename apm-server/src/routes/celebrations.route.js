@@ -11,8 +11,7 @@ const {
   optionalAuth 
 } = require('../middleware/auth/auth.middleware');
 const { 
-  requireAlumniVerification, 
-  optionalAlumniVerification 
+  requireAlumniVerification 
 } = require('../middleware/auth/alumniVerification.middleware');
 const { asyncHandler } = require('../utils/response');
 
@@ -45,7 +44,6 @@ const {
   cacheBirthdayDistribution,
   cacheBirthdaysInMonth,
   cacheFestivalSearch,
-  autoInvalidateCelebrationCaches,
   autoInvalidateFestivalCaches,
   autoInvalidateBirthdayCaches
 } = require('../middleware/cache/celebration.cache.middleware');
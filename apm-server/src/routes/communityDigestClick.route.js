@@ -0,0 +1,12 @@
+// src/routes/communityDigestClick.route.js
+// Click-tracked links in the weekly community digest (opened from email clients, which can't
+// send X-Tenant-Code or a bearer token; the recipient token identifies the member)
+
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notification/notification.controller');
+
+// GET /api/notifications/digest/click/:token?section=posts&to=/posts/123 - Record the click and redirect
+router.get('/:token', notificationController.trackDigestClick);
+
+module.exports = router;
@@ -4,13 +4,16 @@
 const express = require('express');
 const router = express.Router();
 const developerController = require('../controllers/developer/developer.controller');
-const { authenticateToken, requireRole } = require('../middleware/auth/auth.middleware');
+const { authenticateToken, requireRole, requireStepUp } = require('../middleware/auth/auth.middleware');
 const { asyncHandler } = require('../utils/response');
+const { allowCrossTenantAccess } = require('../middleware/tenant.middleware');
 const { uploadOrganizationFiles } = require('../middleware/upload.middleware');
 
 // All routes require authentication and DEVELOPER role
 router.use(authenticateToken);
 router.use(requireRole(['DEVELOPER']));
+// The developer portal manages every organization
+router.use(allowCrossTenantAccess);
 
 // ==========================================
 // DEVELOPER DASHBOARD
@@ -20,7 +23,7 @@ router.use(requireRole(['DEVELOPER']));
 router.get('/dashboard', asyncHandler(developerController.getDeveloperDashboard));
 
 // POST /api/developer/switch-tenant - Switch to organization context
-router.post('/switch-tenant', asyncHandler(developerController.switchTenantContext));
+router.post('/switch-tenant', requireStepUp, asyncHandler(developerController.switchTenantContext));
 
 // ==========================================
 // SUBSCRIPTION PLANS MANAGEMENT
@@ -177,6 +180,9 @@ router.post('/organizations/:orgId/users/:userId/reset-password', asyncHandler(d
 // POST /api/developer/organizations/:orgId/users/:userId/toggle-status - Block/Unblock user
 router.post('/organizations/:orgId/users/:userId/toggle-status', asyncHandler(developerController.toggleUserStatus));
 
+// POST /api/developer/organizations/:orgId/users/:userId/force-logout - Revoke all sessions
+router.post('/organizations/:orgId/users/:userId/force-logout', asyncHandler(developerController.forceLogoutUser));
+
 // DELETE /api/developer/organizations/:orgId/users/:userId - Delete user
 router.delete('/organizations/:orgId/users/:userId', asyncHandler(developerController.deleteOrganizationUser));
 
@@ -212,4 +218,14 @@ router.delete('/organizations/:orgId/email-config', asyncHandler(developerContro
 // GET /api/developer/organizations/:orgId/email-config/stats - Get email statistics
 router.get('/organizations/:orgId/email-config/stats', asyncHandler(developerController.getOrganizationEmailStats));
 
+// ==========================================
+// ORGANIZATION STORAGE CONFIGURATION
+// ==========================================
+
+// GET /api/developer/organizations/:orgId/storage-config - Get storage driver configuration
+router.get('/organizations/:orgId/storage-config', asyncHandler(developerController.getOrganizationStorageConfig));
+
+// PUT /api/developer/organizations/:orgId/storage-config - Set storage driver (R2 / LOCAL / null for default)
+router.put('/organizations/:orgId/storage-config', asyncHandler(developerController.updateOrganizationStorageConfig));
+
 module.exports = router;
@@ -8,7 +8,7 @@ const {
   validateInitiateDonation, 
   validateDonationQuery 
 } = require('../middleware/validation/donation.validation.middleware');
-const { requireAlumniVerification, optionalAlumniVerification } = require('../middleware/auth/alumniVerification.middleware');
+const { requireAlumniVerification } = require('../middleware/auth/alumniVerification.middleware');
 
 // Controller
 const donationController = require('../controllers/donation/donation.controller');
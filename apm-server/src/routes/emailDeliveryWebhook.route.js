@@ -0,0 +1,12 @@
+// src/routes/emailDeliveryWebhook.route.js
+// Mail provider delivery webhooks (delivered, bounced, complained, opened). Providers
+// can't send X-Tenant-Code; each provider's signature over the raw body authenticates the call
+
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notification/notification.controller');
+
+// POST /api/notifications/webhooks/email-delivery?provider=sendgrid - Ingest delivery events
+router.post('/', notificationController.handleEmailDeliveryWebhook);
+
+module.exports = router;
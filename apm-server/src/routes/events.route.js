@@ -6,8 +6,7 @@ const path = require("path");
 const fs = require("fs");
 
 const { 
-  requireAlumniVerification, 
-  optionalAlumniVerification 
+  requireAlumniVerification 
 } = require('../middleware/auth/alumniVerification.middleware');
 
 
@@ -18,7 +17,8 @@ const {
 } = require("../middleware/auth/auth.middleware");
 
 
-const { asyncHandler } = require("../utils/response");
+const { asyncHandler, successResponse, errorResponse } = require("../utils/response");
+const { prisma } = require("../config/database");
 const {
 	uploadEventImages,
 	handleUploadError,
@@ -30,24 +30,16 @@ const { checkMembershipStatus } = require('../middleware/membership.middleware')
 // CACHING MIDDLEWARE IMPORTS (MISSING!)
 // ==========================================
 const {
-	EventCacheKeys,
-	cacheEvent,
 	cacheEventCategories,
 	cacheEventCategory,
 	cacheEventsList,
 	cacheEventDetails,
 	cacheEventSections,
 	cacheEventSection,
-	cacheEventStats,
 	cacheEventForm,
-	cacheEventFormFields,
 	cacheRegistrationStats,
 	cacheAdminRegistrationsList,
-	cacheGuestStats,
-	cacheGuestSummary,
-	cacheRegistrationGuestSummary,
 	cacheAdminGuestsList,
-	cacheCombinedEventStats,
 	EventCacheInvalidator,
 	autoInvalidateFormCaches,
 	autoInvalidateRegistrationCaches,
@@ -67,7 +59,6 @@ const {
 // VALIDATION MIDDLEWARE IMPORTS (COMPLETE)
 // ==========================================
 const {
-	validateEvent,
 	validateEventDates,
 	validateCreateEventCategory,
 	validateUpdateEventCategory,
@@ -85,6 +76,7 @@ const {
 	validateUserRegistration,
 	validateUpdateUserRegistration,
 	validateRegistrationBusinessRules,
+	validateRegistrationFormResponses,
 
 	// Phase 2: Event form validation
 	validateCreateEventForm,
@@ -92,6 +84,7 @@ const {
 	validateCreateEventFormField,
 	validateUpdateEventFormField,
 	validateReorderEventFormFields,
+	validateFormPage,
 	validateFormFieldOptions,
 
 	// Phase 3: Guest validation
@@ -114,6 +107,30 @@ const {
 	validateCartParams,
 	validateMerchandiseBusinessRules,
 	validateCartBusinessRules,
+
+	// Price tiers
+	validateCreatePriceTier,
+	validateUpdatePriceTier,
+	validatePriceTierParams,
+
+	// Recurring event series
+	validateCreateEventSeries,
+	validateUpdateEventSeries,
+	validateCancelOccurrence,
+	validateSeriesIdParam,
+
+	// Seating
+	validateCreateSeatingTable,
+	validateUpdateSeatingTable,
+	validateAutoAssignSeats,
+	validateMoveSeats,
+	validateExportSeatingChart,
+	validateSeatingTableParams,
+	validateSeatAssignmentParams,
+
+	// Offline check-in
+	validateCheckInKit,
+	validateCheckInSync,
 } = require("../middleware/validation/event.validation.middleware");
 
 // ==========================================
@@ -143,14 +160,9 @@ const {
 } = require("../middleware/cache/feedback.cache.middleware");
 
 const {
-  validateEventIdParam: validateEventId,
   validateBatchYearParam,
-  validateCreateBatchCollection,
   validateBatchAdminPayment,
-  validateApproveRejectCollection,
   requireBatchAdminForBatch,
-  validateNoDuplicateBatchCollection,
-  validateBatchHasActiveAdmins,
   batchCollectionRateLimit
 } = require('../middleware/validation/batchCollection.validation.middleware');
 
@@ -168,6 +180,9 @@ const {
 const eventCategoryController = require("../controllers/eventControllers/eventCategory.controller");
 const eventController = require("../controllers/eventControllers/event.controller");
 const eventSectionController = require("../controllers/eventControllers/eventSection.controller");
+const eventPriceTierController = require("../controllers/eventControllers/eventPriceTier.controller");
+const eventSeriesController = require("../controllers/eventControllers/eventSeries.controller");
+const eventSeatingController = require("../controllers/eventControllers/eventSeating.controller");
 const eventRegistrationController = require("../controllers/eventControllers/eventRegistration.controller");
 const eventFormController = require("../controllers/eventControllers/eventForm.controller");
 const eventGuestController = require("../controllers/eventControllers/eventGuest.controller");
@@ -302,6 +317,121 @@ router.delete(
 	})
 );
 
+// ==========================================
+// EVENT SERIES (RECURRING EVENTS)
+// Registered before /:eventId so "series" isn't taken for an event ID
+// ==========================================
+
+router.get(
+	"/series",
+	authenticateToken,
+	requireRole("SUPER_ADMIN"),
+	asyncHandler(eventSeriesController.getAllSeries)
+);
+
+router.post(
+	"/series",
+	authenticateToken,
+	requireRole("SUPER_ADMIN"),
+	validateCreateEventSeries,
+	asyncHandler(async (req, res, next) => {
+		const result = await eventSeriesController.createSeries(req, res);
+		if (res.statusCode === 201) {
+			EventCacheInvalidator.invalidateSeriesEvents();
+		}
+		return result;
+	})
+);
+
+router.get(
+	"/series/:seriesId",
+	authenticateToken,
+	requireRole("SUPER_ADMIN"),
+	validateSeriesIdParam,
+	asyncHandler(eventSeriesController.getSeriesById)
+);
+
+router.put(
+	"/series/:seriesId",
+	authenticateToken,
+	requireRole("SUPER_ADMIN"),
+	validateSeriesIdParam,
+	validateUpdateEventSeries,
+	asyncHandler(async (req, res, next) => {
+		const result = await eventSeriesController.updateSeries(req, res);
+		if (res.statusCode === 200) {
+			EventCacheInvalidator.invalidateSeriesEvents();
+		}
+		return result;
+	})
+);
+
+router.delete(
+	"/series/:seriesId",
+	authenticateToken,
+	requireRole("SUPER_ADMIN"),
+	validateSeriesIdParam,
+	asyncHandler(async (req, res, next) => {
+		const result = await eventSeriesController.deleteSeries(req, res);
+		if (res.statusCode === 200) {
+			EventCacheInvalidator.invalidateSeriesEvents();
+		}
+		return result;
+	})
+);
+
+// Apply template edits (sections, form, merchandise, details) to upcoming occurrences
+router.post(
+	"/series/:seriesId/sync",
+	authenticateToken,
+	requireRole("SUPER_ADMIN"),
+	validateSeriesIdParam,
+	asyncHandler(async (req, res, next) => {
+		const result = await eventSeriesController.syncSeriesFromTemplate(req, res);
+		if (res.statusCode === 200) {
+			EventCacheInvalidator.invalidateSeriesEvents();
+		}
+		return result;
+	})
+);
+
+router.post(
+	"/series/:seriesId/generate",
+	authenticateToken,
+	requireRole("SUPER_ADMIN"),
+	validateSeriesIdParam,
+	asyncHandler(async (req, res, next) => {
+		const result = await eventSeriesController.generateOccurrences(req, res);
+		if (res.statusCode === 200) {
+			EventCacheInvalidator.invalidateEventsList();
+		}
+		return result;
+	})
+);
+
+router.post(
+	"/series/:seriesId/cancellations",
+	authenticateToken,
+	requireRole("SUPER_ADMIN"),
+	validateSeriesIdParam,
+	validateCancelOccurrence,
+	asyncHandler(async (req, res, next) => {
+		const result = await eventSeriesController.cancelOccurrence(req, res);
+		if (res.statusCode === 200) {
+			EventCacheInvalidator.invalidateSeriesEvents();
+		}
+		return result;
+	})
+);
+
+router.get(
+	"/series/:seriesId/dashboard",
+	authenticateToken,
+	requireRole("SUPER_ADMIN"),
+	validateSeriesIdParam,
+	asyncHandler(RegistrationDashboardController.getSeriesDashboard)
+);
+
 // ==========================================
 // EVENT MANAGEMENT ROUTES (PHASE 1)
 // ==========================================
@@ -488,6 +618,119 @@ router.post(
 	})
 );
 
+// ==========================================
+// EVENT PRICE TIERS (EARLY-BIRD / BATCH PRICING)
+// ==========================================
+
+router.get(
+	"/:eventId/price-tiers",
+	authenticateToken,
+	requireRole("SUPER_ADMIN"),
+	validateEventIdParam,
+	asyncHandler(eventPriceTierController.getPriceTiers)
+);
+
+router.post(
+	"/:eventId/price-tiers",
+	authenticateToken,
+	requireRole("SUPER_ADMIN"),
+	validateEventIdParam,
+	validateCreatePriceTier,
+	asyncHandler(eventPriceTierController.addPriceTier)
+);
+
+router.put(
+	"/:eventId/price-tiers/:tierId",
+	authenticateToken,
+	requireRole("SUPER_ADMIN"),
+	validatePriceTierParams,
+	validateUpdatePriceTier,
+	asyncHandler(eventPriceTierController.updatePriceTier)
+);
+
+router.delete(
+	"/:eventId/price-tiers/:tierId",
+	authenticateToken,
+	requireRole("SUPER_ADMIN"),
+	validatePriceTierParams,
+	asyncHandler(eventPriceTierController.deletePriceTier)
+);
+
+// ==========================================
+// EVENT SEATING (TABLES, SEAT ASSIGNMENT, SEATING CHART)
+// ==========================================
+
+router.get(
+	"/:eventId/seating",
+	authenticateToken,
+	requireRole("SUPER_ADMIN"),
+	validateEventIdParam,
+	asyncHandler(eventSeatingController.getSeatingLayout)
+);
+
+router.get(
+	"/:eventId/seating/export",
+	authenticateToken,
+	requireRole("SUPER_ADMIN"),
+	validateEventIdParam,
+	validateExportSeatingChart,
+	asyncHandler(eventSeatingController.exportSeatingChart)
+);
+
+router.post(
+	"/:eventId/seating/tables",
+	authenticateToken,
+	requireRole("SUPER_ADMIN"),
+	validateEventIdParam,
+	validateCreateSeatingTable,
+	asyncHandler(eventSeatingController.addSeatingTable)
+);
+
+router.put(
+	"/:eventId/seating/tables/:tableId",
+	authenticateToken,
+	requireRole("SUPER_ADMIN"),
+	validateSeatingTableParams,
+	validateUpdateSeatingTable,
+	asyncHandler(eventSeatingController.updateSeatingTable)
+);
+
+router.delete(
+	"/:eventId/seating/tables/:tableId",
+	authenticateToken,
+	requireRole("SUPER_ADMIN"),
+	validateSeatingTableParams,
+	asyncHandler(eventSeatingController.deleteSeatingTable)
+);
+
+// Seat confirmed attendees who have no seat yet ({ reset: true } re-seats everyone not locked)
+router.post(
+	"/:eventId/seating/auto-assign",
+	authenticateToken,
+	requireRole("SUPER_ADMIN"),
+	validateEventIdParam,
+	validateAutoAssignSeats,
+	asyncHandler(eventSeatingController.autoAssignSeats)
+);
+
+// Drag-and-drop overrides from the layout editor
+router.put(
+	"/:eventId/seating/assignments",
+	authenticateToken,
+	requireRole("SUPER_ADMIN"),
+	validateEventIdParam,
+	validateMoveSeats,
+	asyncHandler(eventSeatingController.moveSeats)
+);
+
+router.delete(
+	"/:eventId/seating/assignments/:assignmentId",
+	authenticateToken,
+	requireRole("SUPER_ADMIN"),
+	validateSeatAssignmentParams,
+	asyncHandler(eventSeatingController.unassignSeat)
+);
+
 // ==========================================
 // ADMIN REGISTRATION MANAGEMENT (PHASE 1)
 // ==========================================
@@ -526,6 +769,7 @@ router.post(
 	validateEventIdParam,
 	validateUserRegistration,
 	validateRegistrationBusinessRules,
+	validateRegistrationFormResponses,
 	autoInvalidateRegistrationCaches, // 🆕 AUTO INVALIDATE AFTER SUCCESS
 	asyncHandler(eventRegistrationController.registerForEvent)
 );
@@ -545,6 +789,7 @@ router.put(
 	requireAlumniVerification,
 	validateEventIdParam,
 	validateUpdateUserRegistration,
+	validateRegistrationFormResponses,
 	autoInvalidateRegistrationCaches, // 🆕 AUTO INVALIDATE AFTER SUCCESS
 	asyncHandler(eventRegistrationController.updateMyRegistration)
 );
@@ -571,6 +816,15 @@ router.get(
 	asyncHandler(eventFormController.getEventForm)
 );
 
+// Check one page of a multi-page form (answers so far decide which fields apply)
+router.post(
+	"/:eventId/form/validate-page",
+	authenticateToken,
+	validateEventIdParam,
+	validateFormPage,
+	asyncHandler(eventFormController.validateFormPage)
+);
+
 // Super Admin only routes (form management) - with cache invalidation
 router.post(
 	"/:eventId/form",
@@ -1578,6 +1832,26 @@ router.post(
 	asyncHandler(QRCodeController.processCheckIn)
 );
 
+// ADMIN: Download signed check-in kit for scanning without connectivity
+router.get(
+	"/:eventId/check-in/kit",
+	authenticateToken,
+	requireRole("SUPER_ADMIN"),
+	validateEventIdParam,
+	validateCheckInKit,
+	asyncHandler(QRCodeController.getCheckInKit)
+);
+
+// ADMIN: Upload scans recorded offline (retries are safe)
+router.post(
+	"/:eventId/check-in/sync",
+	authenticateToken,
+	requireRole("SUPER_ADMIN"),
+	validateEventIdParam,
+	validateCheckInSync,
+	asyncHandler(QRCodeController.syncOfflineCheckIns)
+);
+
 // ADMIN: Get check-in statistics
 router.get(
 	"/:eventId/check-in-stats",
@@ -10,7 +10,6 @@ const {
   requireRole,
   optionalAuth
 } = require('../middleware/auth/auth.middleware');
-const { requireAlumniVerification } = require('../middleware/auth/alumniVerification.middleware');
 
 const { asyncHandler } = require('../utils/response');
 
@@ -23,7 +22,6 @@ const {
   validateBulkMembers,
   validateReorderGroups,
   validateGroupIdParam,
-  validateUserIdParam,
   validateGroupUserIdParams,
   validateGroupNameUnique,
   validateGroupAccess,
@@ -9,12 +9,12 @@ const router = express.Router();
 // ============================================
 const { 
   authenticateToken, 
-  requireRole,
-  optionalAuth
+  requireRole
 } = require('../middleware/auth/auth.middleware');
-const { requireAlumniVerification, optionalAlumniVerification } = require('../middleware/auth/alumniVerification.middleware');
+const { requireAlumniVerification } = require('../middleware/auth/alumniVerification.middleware');
 const { asyncHandler } = require('../utils/response');
 const lifeLinkController = require('../controllers/lifeLink/lifeLink.controller');
+const lifeLinkGeoController = require('../controllers/lifeLink/lifeLinkGeo.controller');
 
 
 // LifeLink-specific middleware
@@ -25,6 +25,10 @@ const {
   validateSearchDonors,
   validateRespondToRequisition,
   validateNotifyDonors,
+  validateSetLocation,
+  validateAddGeoPlace,
+  validateGeoPlaceQuery,
+  validateAddressLocationParams,
   validateDashboardQuery,
   validateRequisitionIdParam,
   validateNotificationIdParam,
@@ -449,6 +453,83 @@ router.get('/admin/requisitions/:requisitionId/analytics',
   asyncHandler(lifeLinkController.getRequisitionAnalytics)
 );
 
+// ============================================
+// ADMIN GEO ROUTES (donor proximity)
+// ============================================
+
+/**
+ * Search the offline gazetteer
+ * GET /api/lifelink/admin/geo/places
+ * Access: SUPER_ADMIN
+ */
+router.get('/admin/geo/places',
+  [
+    authenticateToken,
+    requireRole(['SUPER_ADMIN']),
+    validateGeoPlaceQuery
+  ],
+  asyncHandler(lifeLinkGeoController.searchGeoPlaces)
+);
+
+/**
+ * Add a gazetteer place
+ * POST /api/lifelink/admin/geo/places
+ * Access: SUPER_ADMIN
+ */
+router.post('/admin/geo/places',
+  [
+    authenticateToken,
+    requireRole(['SUPER_ADMIN']),
+    validateAddGeoPlace
+  ],
+  asyncHandler(lifeLinkGeoController.addGeoPlace)
+);
+
+/**
+ * Geocode addresses and active requisitions without coordinates
+ * POST /api/lifelink/admin/geo/backfill
+ * Access: SUPER_ADMIN
+ */
+router.post('/admin/geo/backfill',
+  [
+    authenticateToken,
+    requireRole(['SUPER_ADMIN'])
+  ],
+  asyncHandler(lifeLinkGeoController.backfillCoordinates)
+);
+
+/**
+ * Pin a requisition location
+ * PUT /api/lifelink/admin/requisitions/:requisitionId/location
+ * Access: SUPER_ADMIN
+ */
+router.put('/admin/requisitions/:requisitionId/location',
+  [
+    authenticateToken,
+    requireRole(['SUPER_ADMIN']),
+    validateRequisitionIdParam,
+    validateSetLocation,
+    autoInvalidateLifeLinkCaches
+  ],
+  asyncHandler(lifeLinkGeoController.setRequisitionLocation)
+);
+
+/**
+ * Pin a member's address
+ * PUT /api/lifelink/admin/users/:userId/addresses/:addressType/location
+ * Access: SUPER_ADMIN
+ */
+router.put('/admin/users/:userId/addresses/:addressType/location',
+  [
+    authenticateToken,
+    requireRole(['SUPER_ADMIN']),
+    validateAddressLocationParams,
+    validateSetLocation,
+    autoInvalidateLifeLinkCaches
+  ],
+  asyncHandler(lifeLinkGeoController.setAddressLocation)
+);
+
 // ============================================
 // ROUTE EXPORTS
 // ============================================
@@ -12,7 +12,6 @@ const {
 } = require('../middleware/auth/alumniVerification.middleware');
 
 const { 
-  checkMembershipStatus, 
   membershipRateLimit 
 } = require('../middleware/membership.middleware');
 const {
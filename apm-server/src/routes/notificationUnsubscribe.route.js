@@ -0,0 +1,19 @@
+// src/routes/notificationUnsubscribe.route.js
+// One-click email unsubscribe (opened from email clients, which can't send X-Tenant-Code
+// or a bearer token; the secret unsubscribe token identifies the user)
+
+const express = require('express');
+const router = express.Router();
+const {
+  validateUnsubscribeTokenParam,
+  validateUnsubscribeQuery
+} = require('../middleware/validation/notification.validation.middleware');
+const notificationController = require('../controllers/notification/notification.controller');
+
+// GET /api/notifications/unsubscribe/:token - Confirmation page (safe for link scanners)
+router.get('/:token', validateUnsubscribeTokenParam, validateUnsubscribeQuery, notificationController.getUnsubscribePage);
+
+// POST /api/notifications/unsubscribe/:token - Unsubscribe (confirm form or List-Unsubscribe-Post)
+router.post('/:token', validateUnsubscribeTokenParam, validateUnsubscribeQuery, notificationController.unsubscribeFromEmails);
+
+module.exports = router;
@@ -9,8 +9,7 @@ const router = express.Router();
 // ============================================
 const { 
   authenticateToken, 
-  requireRole,
-  optionalAuth
+  requireRole
 } = require('../middleware/auth/auth.middleware');
 const { asyncHandler } = require('../utils/response');
 
@@ -20,9 +19,14 @@ const {
   validateUnregisterPushToken,
   validateSendCustomNotification,
   validateSendSystemAnnouncement,
+  validateSendBulkNotifications,
+  validateScheduleBulkNotification,
   validateCleanupOldNotifications,
+  validateUpdateNotificationPreferences,
   validateNotificationListQuery,
+
   validateAnalyticsQuery,
+  validateCommunityDigestStatsQuery,
   validateNotificationIdParam,
   validateNotificationAccess,
   validatePushPermissions,
@@ -42,8 +46,7 @@ const {
   autoInvalidatePushTokenCaches
 } = require('../middleware/cache/notification.cache.middleware');
 const { 
-  requireAlumniVerification, 
-  optionalAlumniVerification 
+  requireAlumniVerification 
 } = require('../middleware/auth/alumniVerification.middleware');
 
 // ============================================
@@ -84,6 +87,39 @@ router.get('/unread-count',
   asyncHandler(notificationController.getUnreadCount)
 );
 
+// ============================================
+// NOTIFICATION PREFERENCES ROUTES
+// IMPORTANT: Must be placed BEFORE /:notificationId routes to avoid route conflicts
+// (email unsubscribe links live in notificationUnsubscribe.route.js)
+// ============================================
+
+/**
+ * Get user notification preferences (channel x type matrix, quiet hours, digest)
+ * GET /api/notifications/preferences
+ * Access: Authenticated users
+ */
+router.get('/preferences',
+  [
+    authenticateToken,
+    requireAlumniVerification
+  ],
+  asyncHandler(notificationController.getNotificationPreferences)
+);
+
+/**
+ * Update user notification preferences (partial)
+ * PUT /api/notifications/preferences
+ * Access: Authenticated users
+ */
+router.put('/preferences',
+  [
+    authenticateToken,
+    requireAlumniVerification,
+    validateUpdateNotificationPreferences
+  ],
+  asyncHandler(notificationController.updateNotificationPreferences)
+);
+
 /**
  * Mark notification as read
  * PUT /api/notifications/:notificationId/read
@@ -211,37 +247,6 @@ router.get('/my-tokens',
   asyncHandler(notificationController.getUserPushTokens)
 );
 
-// ============================================
-// NOTIFICATION PREFERENCES ROUTES
-// ============================================
-
-/**
- * Get user notification preferences
- * GET /api/notifications/preferences
- * Access: Authenticated users
- */
-router.get('/preferences',
-  [
-    authenticateToken,
-    requireAlumniVerification
-  ],
-  asyncHandler(notificationController.getNotificationPreferences)
-);
-
-/**
- * Update user notification preferences
- * PUT /api/notifications/preferences
- * Access: Authenticated users
- */
-router.put('/preferences',
-  [
-    authenticateToken,
-    requireAlumniVerification,
-    autoInvalidateNotificationCaches
-  ],
-  asyncHandler(notificationController.updateNotificationPreferences)
-);
-
 // ============================================
 // ADMIN NOTIFICATION MANAGEMENT ROUTES
 // ============================================
@@ -308,6 +313,20 @@ router.get('/admin/stats',
   asyncHandler(notificationController.getSystemNotificationStats)
 );
 
+/**
+ * Weekly community digest delivery and click-through stats (Admin)
+ * GET /api/notifications/admin/community-digest
+ * Access: SUPER_ADMIN
+ */
+router.get('/admin/community-digest',
+  [
+    authenticateToken,
+    requireRole(['SUPER_ADMIN']),
+    validateCommunityDigestStatsQuery
+  ],
+  asyncHandler(notificationController.getCommunityDigestStats)
+);
+
 /**
  * Get all notifications for admin management
  * GET /api/notifications/admin/all
@@ -399,17 +418,11 @@ router.post('/webhooks/fcm-delivery',
   asyncHandler(notificationController.handleFCMDeliveryWebhook)
 );
 
-/**
- * Email delivery webhook (future integration)
- * POST /api/notifications/webhooks/email-delivery
- * Access: Public (with API key validation)
- */
-router.post('/webhooks/email-delivery',
-  [
-    // Add webhook validation middleware if needed
-  ],
-  asyncHandler(notificationController.handleEmailDeliveryWebhook)
-);
+// Email delivery webhook: POST /api/notifications/webhooks/email-delivery is mounted in
+// app.js before the tenant middleware (see routes/emailDeliveryWebhook.route.js)
+
+// Community digest click tracking: GET /api/notifications/digest/click/:token is mounted in
+// app.js before the tenant middleware (see routes/communityDigestClick.route.js)
 
 // ============================================
 // BULK OPERATIONS ROUTES
@@ -424,6 +437,7 @@ router.post('/admin/bulk-send',
   [
     authenticateToken,
     requireRole(['SUPER_ADMIN']),
+    validateSendBulkNotifications,
     validateNotificationRateLimit,
     autoInvalidateNotificationCaches
   ],
@@ -439,6 +453,7 @@ router.post('/admin/schedule-bulk',
   [
     authenticateToken,
     requireRole(['SUPER_ADMIN']),
+    validateScheduleBulkNotification,
     autoInvalidateNotificationCaches
   ],
   asyncHandler(notificationController.scheduleBulkNotification)
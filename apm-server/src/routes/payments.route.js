@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 
 // Import middleware (following existing pattern)
-const { authenticateToken, requireRole } = require('../middleware/auth/auth.middleware');
+const { authenticateToken, requireRole, requireStepUp } = require('../middleware/auth/auth.middleware');
 const { asyncHandler } = require('../utils/response');
 const { 
   requireAlumniVerification 
@@ -19,7 +19,11 @@ const {
   validatePaymentAnalytics,
   validatePaymentInitiationRules,
   validatePaymentVerificationRules,
-  validateWebhookRequest
+  validateWebhookRequest,
+  validateCreateRefund,
+  validateCreatePromoCode,
+  validateUpdatePromoCode,
+  validatePromoCodeIdParam
 } = require('../middleware/validation/payment.validation.middleware');
 
 // Import caching middleware
@@ -36,6 +40,7 @@ const {
 // Import controllers
 const paymentController = require('../controllers/payment/payment.controller');
 const invoiceController = require('../controllers/payment/invoice.controller');
+const promoCodeController = require('../controllers/payment/promoCode.controller');
 
 // =============================================
 // PUBLIC ROUTES
@@ -237,4 +242,73 @@ router.get(
   asyncHandler(invoiceController.adminGetInvoice)
 );
 
+// Issue full or partial refund
+router.post(
+  '/admin/payments/:transactionId/refunds',
+  [
+    authenticateToken,
+    requireRole('SUPER_ADMIN'),
+    requireStepUp,
+    validateTransactionIdParam,
+    validateCreateRefund,
+    autoInvalidatePaymentCaches
+  ],
+  asyncHandler(paymentController.createRefund)
+);
+
+// Get refund history for a payment
+router.get(
+  '/admin/payments/:transactionId/refunds',
+  [
+    authenticateToken,
+    requireRole('SUPER_ADMIN'),
+    validateTransactionIdParam
+  ],
+  asyncHandler(paymentController.getPaymentRefunds)
+);
+
+// List promo codes
+router.get(
+  '/admin/promo-codes',
+  [
+    authenticateToken,
+    requireRole('SUPER_ADMIN')
+  ],
+  asyncHandler(promoCodeController.getPromoCodes)
+);
+
+// Create promo code
+router.post(
+  '/admin/promo-codes',
+  [
+    authenticateToken,
+    requireRole('SUPER_ADMIN'),
+    validateCreatePromoCode
+  ],
+  asyncHandler(promoCodeController.createPromoCode)
+);
+
+// Update or deactivate promo code
+router.put(
+  '/admin/promo-codes/:promoCodeId',
+  [
+    authenticateToken,
+    requireRole('SUPER_ADMIN'),
+    validatePromoCodeIdParam,
+    validateUpdatePromoCode
+  ],
+  asyncHandler(promoCodeController.updatePromoCode)
+);
+
+// Promo code redemption history
+router.get(
+  '/admin/promo-codes/:promoCodeId/redemptions',
+  [
+    authenticateToken,
+    requireRole('SUPER_ADMIN'),
+    validatePromoCodeIdParam
+  ],
+  asyncHandler(promoCodeController.getPromoCodeRedemptions)
+);
+
 module.exports = router;
\ No newline at end of file
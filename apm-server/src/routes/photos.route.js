@@ -13,18 +13,12 @@ const { asyncHandler } = require('../utils/response');
 const { getTenantFilter, getTenantId } = require('../utils/tenant.util');
 
 // Photo-specific middleware
-const {
-  uploadSinglePhoto,
-  handleUploadError
-} = require('../middleware/upload.middleware');
-
 const {
   validateUpdatePhoto,
   validateBulkDeletePhotos,
   validateMovePhotos,
   validatePhotoIdParam,
-  validatePhotoAccess,
-  validatePhotoUpload
+  validatePhotoAccess
 } = require('../middleware/validation/photo.validation.middleware');
 
 const {
@@ -41,8 +35,7 @@ const {
 // CONTROLLER IMPORTS
 // ============================================
 const photoController = require('../controllers/album/photo.controller');
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const { prisma } = require('../config/database');
 
 // ============================================
 // ADMIN-ONLY MIDDLEWARE
@@ -22,7 +22,6 @@ const {
   validatePollListQuery,
   validatePollAccess,
   validatePollAvailable,
-  validateUserVoteEligibility,
   validatePollOptions,
   validatePollModifyPermission,
   validatePollHasNoVotes
@@ -19,7 +19,6 @@ const {
 	validatePostIdParam,
 	validateCreateComment,
 	validateUpdateComment,
-	validateCommentIdParam,
 	validatePostAndCommentParams,
 } = require("../middleware/validation/validation.middleware");
 const {
@@ -29,8 +28,6 @@ const {
 	invalidatePostInteractionCache,
 } = require("../middleware/cache/cache.middleware");
 const multer = require("multer");
-const path = require("path");
-const fs = require("fs");
 
 // Import controllers
 const postController = require("../controllers/post/post.controller");
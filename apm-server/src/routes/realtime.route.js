@@ -0,0 +1,23 @@
+// src/routes/realtime.route.js
+// Realtime stream tickets (the stream itself is in realtimeStream.route.js)
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth/auth.middleware');
+const { asyncHandler } = require('../utils/response');
+const realtimeController = require('../controllers/realtime/realtime.controller');
+
+/**
+ * Issue a stream ticket; open GET /api/realtime/stream?ticket=... within a minute.
+ * Request a new ticket whenever the stream errors (tickets also expire for reconnects).
+ * POST /api/realtime/ticket
+ * Access: Authenticated users
+ */
+router.post('/ticket',
+  [
+    authenticateToken
+  ],
+  asyncHandler(realtimeController.issueStreamTicket)
+);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+// src/routes/realtimeStream.route.js
+// Server-sent event stream (EventSource can't send X-Tenant-Code or a bearer token;
+// the stream ticket identifies the user and their organization)
+
+const express = require('express');
+const router = express.Router();
+const realtimeController = require('../controllers/realtime/realtime.controller');
+
+// GET /api/realtime/stream?ticket=...&topics=ticket:<id>,poll:<id> - Event stream
+router.get('/', realtimeController.openStream);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+// src/routes/storage.route.js
+// Local storage driver file access
+
+const express = require('express');
+const router = express.Router();
+const storageController = require('../controllers/storage/storage.controller');
+const { asyncHandler } = require('../utils/response');
+
+// GET /api/storage/files/* - Serve a locally stored file via signed URL
+router.get('/files/*', asyncHandler(storageController.serveLocalFile));
+
+module.exports = router;
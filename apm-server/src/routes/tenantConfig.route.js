@@ -8,7 +8,8 @@ const express = require('express');
 const router = express.Router();
 const {
   authenticateToken,
-  requireRole
+  requireRole,
+  requireStepUp
 } = require('../middleware/auth/auth.middleware');
 const { asyncHandler } = require('../utils/response');
 const tenantConfigController = require('../controllers/admin/tenantConfig.controller');
@@ -46,6 +47,12 @@ const adminMiddleware = [
   requireRole('SUPER_ADMIN')
 ];
 
+// Changes that affect money or account security need a fresh 2FA check
+const sensitiveAdminMiddleware = [
+  ...adminMiddleware,
+  requireStepUp
+];
+
 // ==========================================
 // EMAIL CONFIGURATION ROUTES
 // ==========================================
@@ -109,7 +116,7 @@ router.post(
 
 /**
  * GET /api/tenant-config/admin/email/stats
- * Get email usage statistics
+ * Get email usage and delivery statistics (?days=30)
  * Access: SUPER_ADMIN only
  */
 router.get(
@@ -118,6 +125,87 @@ router.get(
   asyncHandler(tenantConfigController.getEmailStats)
 );
 
+// ==========================================
+// EMAIL TEMPLATE ROUTES
+// ==========================================
+
+/**
+ * GET /api/tenant-config/admin/email/templates
+ * List customizable email templates
+ * Access: SUPER_ADMIN only
+ */
+router.get(
+  '/admin/email/templates',
+  adminMiddleware,
+  asyncHandler(tenantConfigController.getEmailTemplates)
+);
+
+/**
+ * GET /api/tenant-config/admin/email/templates/:templateName
+ * Get template HTML (current and default), variables and version history
+ * Access: SUPER_ADMIN only
+ */
+router.get(
+  '/admin/email/templates/:templateName',
+  adminMiddleware,
+  asyncHandler(tenantConfigController.getEmailTemplate)
+);
+
+/**
+ * PUT /api/tenant-config/admin/email/templates/:templateName
+ * Save customized template HTML as a new version
+ * Access: SUPER_ADMIN only
+ */
+router.put(
+  '/admin/email/templates/:templateName',
+  adminMiddleware,
+  asyncHandler(tenantConfigController.saveEmailTemplate)
+);
+
+/**
+ * DELETE /api/tenant-config/admin/email/templates/:templateName
+ * Reset template to the default (version history is kept)
+ * Access: SUPER_ADMIN only
+ */
+router.delete(
+  '/admin/email/templates/:templateName',
+  adminMiddleware,
+  asyncHandler(tenantConfigController.resetEmailTemplate)
+);
+
+/**
+ * POST /api/tenant-config/admin/email/templates/:templateName/preview
+ * Render a draft or the current template with sample data
+ * Access: SUPER_ADMIN only
+ */
+router.post(
+  '/admin/email/templates/:templateName/preview',
+  adminMiddleware,
+  asyncHandler(tenantConfigController.previewEmailTemplate)
+);
+
+/**
+ * GET /api/tenant-config/admin/email/templates/:templateName/versions/:version
+ * Get the HTML of a saved version
+ * Access: SUPER_ADMIN only
+ */
+router.get(
+  '/admin/email/templates/:templateName/versions/:version',
+  adminMiddleware,
+  asyncHandler(tenantConfigController.getEmailTemplateVersion)
+);
+
+/**
+ * POST /api/tenant-config/admin/email/templates/:templateName/versions/:version/restore
+ * Roll back to a saved version
+ * Access: SUPER_ADMIN only
+ */
+router.post(
+  '/admin/email/templates/:templateName/versions/:version/restore',
+  adminMiddleware,
+  asyncHandler(tenantConfigController.restoreEmailTemplateVersion)
+);
+
 // ==========================================
 // PUSH NOTIFICATION CONFIGURATION ROUTES
 // ==========================================
@@ -190,4 +278,156 @@ router.get(
   asyncHandler(tenantConfigController.getPushStats)
 );
 
+// ==========================================
+// PAYMENT PROVIDER ROUTES
+// ==========================================
+
+/**
+ * GET /api/tenant-config/admin/payment
+ * Get payment provider selection
+ * Access: SUPER_ADMIN only
+ */
+router.get(
+  '/admin/payment',
+  adminMiddleware,
+  asyncHandler(tenantConfigController.getPaymentConfig)
+);
+
+/**
+ * PUT /api/tenant-config/admin/payment
+ * Choose payment provider for the organization
+ * Body: { paymentProvider: 'RAZORPAY' | 'STRIPE' | null }
+ * Access: SUPER_ADMIN only
+ */
+router.put(
+  '/admin/payment',
+  sensitiveAdminMiddleware,
+  asyncHandler(tenantConfigController.savePaymentConfig)
+);
+
+// ==========================================
+// CURRENCY ROUTES
+// ==========================================
+
+/**
+ * GET /api/tenant-config/admin/currency
+ * Get base currency and active exchange rates
+ * Access: SUPER_ADMIN only
+ */
+router.get(
+  '/admin/currency',
+  adminMiddleware,
+  asyncHandler(tenantConfigController.getCurrencyConfig)
+);
+
+/**
+ * PUT /api/tenant-config/admin/currency
+ * Set the organization's base (reporting) currency
+ * Body: { baseCurrency: 'INR' | 'USD' | ... }
+ * Access: SUPER_ADMIN only
+ */
+router.put(
+  '/admin/currency',
+  sensitiveAdminMiddleware,
+  asyncHandler(tenantConfigController.saveCurrencyConfig)
+);
+
+/**
+ * POST /api/tenant-config/admin/exchange-rates
+ * Add an exchange rate against the base currency
+ * Body: { currency, rate, effectiveFrom?, notes? }
+ * Access: SUPER_ADMIN only
+ */
+router.post(
+  '/admin/exchange-rates',
+  sensitiveAdminMiddleware,
+  asyncHandler(tenantConfigController.createExchangeRate)
+);
+
+/**
+ * DELETE /api/tenant-config/admin/exchange-rates/:rateId
+ * Remove an exchange rate
+ * Access: SUPER_ADMIN only
+ */
+router.delete(
+  '/admin/exchange-rates/:rateId',
+  sensitiveAdminMiddleware,
+  asyncHandler(tenantConfigController.deleteExchangeRate)
+);
+
+// ==========================================
+// SECURITY POLICY ROUTES
+// ==========================================
+
+/**
+ * GET /api/tenant-config/admin/security
+ * Get organization security policy
+ * Access: SUPER_ADMIN only
+ */
+router.get(
+  '/admin/security',
+  adminMiddleware,
+  asyncHandler(tenantConfigController.getSecurityConfig)
+);
+
+/**
+ * PUT /api/tenant-config/admin/security
+ * Require two-factor authentication for all super admins
+ * Body: { requireAdminTwoFactor: boolean }
+ * Access: SUPER_ADMIN only
+ */
+router.put(
+  '/admin/security',
+  sensitiveAdminMiddleware,
+  asyncHandler(tenantConfigController.saveSecurityConfig)
+);
+
+// ==========================================
+// SINGLE SIGN-ON PROVIDER ROUTES
+// ==========================================
+
+/**
+ * GET /api/tenant-config/admin/sso-providers
+ * List identity providers and the redirect URI to register with them
+ * Access: SUPER_ADMIN only
+ */
+router.get(
+  '/admin/sso-providers',
+  adminMiddleware,
+  asyncHandler(tenantConfigController.getSsoProviders)
+);
+
+/**
+ * POST /api/tenant-config/admin/sso-providers
+ * Add a Google, Microsoft or generic OIDC provider
+ * Access: SUPER_ADMIN only
+ */
+router.post(
+  '/admin/sso-providers',
+  sensitiveAdminMiddleware,
+  asyncHandler(tenantConfigController.createSsoProvider)
+);
+
+/**
+ * PUT /api/tenant-config/admin/sso-providers/:providerId
+ * Update a provider (client secret kept unless a new one is sent)
+ * Access: SUPER_ADMIN only
+ */
+router.put(
+  '/admin/sso-providers/:providerId',
+  sensitiveAdminMiddleware,
+  asyncHandler(tenantConfigController.updateSsoProvider)
+);
+
+/**
+ * DELETE /api/tenant-config/admin/sso-providers/:providerId
+ * Remove a provider and unlink its identities
+ * Access: SUPER_ADMIN only
+ */
+router.delete(
+  '/admin/sso-providers/:providerId',
+  sensitiveAdminMiddleware,
+  asyncHandler(tenantConfigController.deleteSsoProvider)
+);
+
 module.exports = router;
@@ -0,0 +1,30 @@
+// src/routes/ticketInboundEmail.route.js
+// Inbound mail webhook (reply-by-email for support tickets)
+
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const config = require('../config');
+const ticketInboundEmailController = require('../controllers/support/ticketInboundEmail.controller');
+
+// Raw MIME bodies; JSON payloads are already handled by the app-wide parser
+const rawEmailParser = express.raw({
+  type: ['message/rfc822', 'text/plain', 'application/octet-stream'],
+  limit: config.inboundEmail.maxMessageBytes,
+});
+
+// Providers that post form fields (SendGrid Inbound Parse, Mailgun) - raw MIME is read from a field
+const formEmailParser = multer({
+  storage: multer.memoryStorage(),
+  limits: { fieldSize: config.inboundEmail.maxMessageBytes },
+}).none();
+
+// POST /api/tickets/inbound-email - Receive an email reply to a ticket notification
+router.post(
+  '/',
+  rawEmailParser,
+  (req, res, next) => (req.is('multipart/form-data') ? formEmailParser(req, res, next) : next()),
+  ticketInboundEmailController.receiveInboundEmail
+);
+
+module.exports = router;
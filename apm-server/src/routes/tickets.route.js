@@ -7,7 +7,7 @@
 
 const express = require('express');
 const router = express.Router();
-const { asyncHandler } = require('../utils/response');
+const { asyncHandler, successResponse, errorResponse } = require('../utils/response');
 
 // Import Phase 1-2 controllers
 const ticketController = require('../controllers/support/ticket.controller');
@@ -26,12 +26,12 @@ const ticketAdvancedController = require('../controllers/support/ticketAdvanced.
 const ticketAnalyticsController = require('../controllers/support/ticketAnalytics.controller');
 const ticketExportController = require('../controllers/support/ticketExport.controller');
 const ticketPerformanceController = require('../controllers/support/ticketPerformance.controller');
+const ticketSlaController = require('../controllers/support/ticketSla.controller');
 
 // Import middleware
 const { authenticateToken, requireRole, optionalAuth } = require('../middleware/auth/auth.middleware');
 const { requireAlumniVerification } = require('../middleware/auth/alumniVerification.middleware');
 const { 
-  uploadGeneral, 
   uploadTicketAttachments, 
   uploadMessageAttachments, 
   handleUploadError 
@@ -41,7 +41,6 @@ const {
 const {
   validateCreateTicket,
   validateUpdateTicket,
-  validateAddMessage,
   validateReopenTicket,
   validateAdminResponse,
   validateCloseTicket,
@@ -61,6 +60,7 @@ const {
   validateEditMessage,
   validateMessageReaction,
   validateMessageDraft,
+  validateTypingState,
   validateMessageIdParam,
   validateMessageEditPermission,
   validateMessageReactionPermission,
@@ -79,7 +79,9 @@ const {
   validateBulkPriority,
   validateBulkClose,
   validateBulkCategory,
-  validateBulkTicketSelection
+  validateBulkTicketSelection,
+  validateSlaPolicy,
+  validateUpdateSlaPolicy
 } = require('../middleware/validation/ticketAdvanced.validation.middleware');
 
 // Import Phase 1-2 cache middleware
@@ -426,6 +428,22 @@ router.delete(
   asyncHandler(ticketMessageController.clearMessageDraft)
 );
 
+/**
+ * Broadcast typing state to the ticket's realtime stream
+ * POST /api/tickets/:ticketId/typing
+ */
+router.post(
+  '/:ticketId/typing',
+  [
+    authenticateToken,
+    requireAlumniVerification,
+    validateTicketIdParam,
+    validateTicketAccess,
+    validateTypingState
+  ],
+  asyncHandler(ticketMessageController.setTypingState)
+);
+
 // ============================================
 // PHASE 2 ROUTES: FILE MANAGEMENT
 // ============================================
@@ -1029,6 +1047,19 @@ router.get(
   asyncHandler(ticketAnalyticsController.getPriorityDistribution)
 );
 
+/**
+ * Get SLA compliance
+ * GET /api/tickets/admin/analytics/sla
+ */
+router.get(
+  '/admin/analytics/sla',
+  [
+    authenticateToken,
+    requireRole('SUPER_ADMIN')
+  ],
+  asyncHandler(ticketAnalyticsController.getSlaCompliance)
+);
+
 /**
  * Get complete analytics dashboard
  * GET /api/tickets/admin/analytics/complete
@@ -1057,6 +1088,64 @@ router.post(
   asyncHandler(ticketAnalyticsController.refreshAnalyticsCache)
 );
 
+// ============================================
+// SLA POLICIES
+// ============================================
+
+/**
+ * Get SLA policies
+ * GET /api/tickets/admin/sla/policies
+ */
+router.get(
+  '/admin/sla/policies',
+  [
+    authenticateToken,
+    requireRole('SUPER_ADMIN')
+  ],
+  asyncHandler(ticketSlaController.getSlaPolicies)
+);
+
+/**
+ * Create SLA policy
+ * POST /api/tickets/admin/sla/policies
+ */
+router.post(
+  '/admin/sla/policies',
+  [
+    authenticateToken,
+    requireRole('SUPER_ADMIN'),
+    validateSlaPolicy
+  ],
+  asyncHandler(ticketSlaController.createSlaPolicy)
+);
+
+/**
+ * Update SLA policy
+ * PUT /api/tickets/admin/sla/policies/:policyId
+ */
+router.put(
+  '/admin/sla/policies/:policyId',
+  [
+    authenticateToken,
+    requireRole('SUPER_ADMIN'),
+    validateUpdateSlaPolicy
+  ],
+  asyncHandler(ticketSlaController.updateSlaPolicy)
+);
+
+/**
+ * Delete SLA policy
+ * DELETE /api/tickets/admin/sla/policies/:policyId
+ */
+router.delete(
+  '/admin/sla/policies/:policyId',
+  [
+    authenticateToken,
+    requireRole('SUPER_ADMIN')
+  ],
+  asyncHandler(ticketSlaController.deleteSlaPolicy)
+);
+
 // ============================================
 // PHASE 4 ROUTES: EXPORT FUNCTIONALITY
 // ============================================
@@ -1234,7 +1323,7 @@ PHASE 1 - BASIC FUNCTIONALITY (12 endpoints):
 ✅ GET    /api/tickets/admin/dashboard         # Admin dashboard
 ✅ GET    /api/tickets/admin                   # Admin tickets list
 
-PHASE 2 - ENHANCED MESSAGING (15 endpoints):
+PHASE 2 - ENHANCED MESSAGING (16 endpoints):
 ✅ POST   /api/tickets/:ticketId/messages                    # Enhanced messaging
 ✅ PUT    /api/tickets/:ticketId/messages/:messageId         # Edit message
 ✅ POST   /api/tickets/:ticketId/messages/:messageId/react   # Add reaction
@@ -1243,6 +1332,7 @@ PHASE 2 - ENHANCED MESSAGING (15 endpoints):
 ✅ POST   /api/tickets/:ticketId/messages/draft              # Save draft
 ✅ GET    /api/tickets/:ticketId/messages/draft              # Get draft
 ✅ DELETE /api/tickets/:ticketId/messages/draft              # Clear draft
+✅ POST   /api/tickets/:ticketId/typing                      # Typing indicator
 ✅ GET    /api/tickets/files/:attachmentId/preview          # File preview
 ✅ GET    /api/tickets/files/:attachmentId/download         # Download file
 ✅ GET    /api/tickets/files/:attachmentId/thumbnail        # Image thumbnail
@@ -8,6 +8,7 @@ const router = express.Router();
 const { 
   authenticateToken, 
   requireRole, 
+  requireStepUp,
   optionalAuth 
 } = require('../middleware/auth/auth.middleware');
 const { asyncHandler } = require('../utils/response');
@@ -383,6 +384,7 @@ router.post('/expenses',
   [
     authenticateToken,
     requireRole('SUPER_ADMIN'),
+    requireStepUp,
     validateCreateExpense,
     auditExpenseCreate,
     autoInvalidateExpensesCache
@@ -398,6 +400,7 @@ router.put('/expenses/:expenseId',
   [
     authenticateToken,
     requireRole('SUPER_ADMIN'),
+    requireStepUp,
     validateExpenseIdParam,
     validateUpdateExpense,
     auditExpenseUpdate,
@@ -414,6 +417,7 @@ router.delete('/expenses/:expenseId',
   [
     authenticateToken,
     requireRole('SUPER_ADMIN'),
+    requireStepUp,
     validateExpenseIdParam,
     auditExpenseDelete,
     autoInvalidateExpensesCache
@@ -484,6 +488,7 @@ router.post('/manual-collections',
   [
     authenticateToken,
     requireRole('SUPER_ADMIN'),
+    requireStepUp,
     validateCreateManualCollection,
     auditCollectionCreate,
     autoInvalidateCollectionsCache
@@ -499,6 +504,7 @@ router.put('/manual-collections/:collectionId',
   [
     authenticateToken,
     requireRole('SUPER_ADMIN'),
+    requireStepUp,
     validateCollectionIdParam,
     validateUpdateManualCollection,
     auditCollectionUpdate,
@@ -515,6 +521,7 @@ router.delete('/manual-collections/:collectionId',
   [
     authenticateToken,
     requireRole('SUPER_ADMIN'),
+    requireStepUp,
     validateCollectionIdParam,
     auditCollectionDelete,
     autoInvalidateCollectionsCache
@@ -595,6 +602,7 @@ router.post('/yearly-balance',
   [
     authenticateToken,
     requireRole('SUPER_ADMIN'),
+    requireStepUp,
     validateCreateYearlyBalance,
     auditBalanceUpdate,
     autoInvalidateBalanceCache
@@ -610,6 +618,7 @@ router.put('/yearly-balance/:year',
   [
     authenticateToken,
     requireRole('SUPER_ADMIN'),
+    requireStepUp,
     validateYearParam,
     validateUpdateYearlyBalance,
     auditBalanceUpdate,
@@ -626,6 +635,7 @@ router.delete('/yearly-balance/:year',
   [
     authenticateToken,
     requireRole('SUPER_ADMIN'),
+    requireStepUp,
     validateYearParam,
     auditBalanceUpdate,
     autoInvalidateBalanceCache
@@ -669,6 +679,7 @@ router.post('/account-balance',
   [
     authenticateToken,
     requireRole('SUPER_ADMIN'),
+    requireStepUp,
     validateUpdateAccountBalance,
     auditBalanceUpdate,
     autoInvalidateBalanceCache
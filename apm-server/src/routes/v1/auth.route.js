@@ -10,6 +10,9 @@ const { optionalTenantMiddleware } = require("../../middleware/tenant.middleware
 
 // Import auth controller (we'll create this next)
 const authController = require("../../controllers/auth/auth.controller");
+const twoFactorController = require("../../controllers/auth/twoFactor.controller");
+const ssoController = require("../../controllers/auth/sso.controller");
+const sessionController = require("../../controllers/auth/session.controller");
 
 // Public routes - use optionalTenantMiddleware to set req.tenant from X-Tenant-Code header
 // This ensures proper tenant isolation for multi-org users with same email
@@ -20,6 +23,7 @@ router.post(
 	asyncHandler(authController.register)
 );
 router.post("/login", optionalTenantMiddleware, asyncHandler(authController.login));
+router.post("/2fa/login", optionalTenantMiddleware, asyncHandler(authController.verifyTwoFactorLogin));
 router.post("/refresh-token", optionalTenantMiddleware, asyncHandler(authController.refreshToken));
 router.post("/forgot-password", optionalTenantMiddleware, asyncHandler(authController.forgotPassword));
 router.get("/validate-reset-token", optionalTenantMiddleware, asyncHandler(authController.validateResetToken));
@@ -28,6 +32,12 @@ router.get("/verify-email/:token", optionalTenantMiddleware, asyncHandler(authCo
 router.post("/resend-verification", optionalTenantMiddleware, asyncHandler(authController.resendVerificationEmail));
 router.post("/test-email", optionalTenantMiddleware, asyncHandler(authController.testEmail));
 
+// Single sign-on (public - providers are configured per organization)
+router.get("/sso/providers", optionalTenantMiddleware, asyncHandler(ssoController.getProviders));
+router.get("/sso/:providerId/authorize", optionalTenantMiddleware, asyncHandler(ssoController.authorize));
+router.post("/sso/callback", optionalTenantMiddleware, asyncHandler(ssoController.callback));
+router.post("/sso/register", optionalTenantMiddleware, asyncHandler(ssoController.register));
+
 // Reactivation routes (public - for deactivated users)
 router.post("/request-reactivation", optionalTenantMiddleware, asyncHandler(authController.requestReactivation));
 router.post("/verify-reactivation", optionalTenantMiddleware, asyncHandler(authController.verifyReactivation));
@@ -55,4 +65,25 @@ router.get(
 	asyncHandler(authController.getCurrentUser)
 );
 
+// Active devices (login sessions)
+router.get("/sessions", authenticateToken, asyncHandler(sessionController.getSessions));
+router.post(
+	"/sessions/revoke-others",
+	authenticateToken,
+	asyncHandler(sessionController.revokeOtherSessions)
+);
+router.delete("/sessions/:sessionId", authenticateToken, asyncHandler(sessionController.revokeSession));
+
+// Two-factor authentication (SUPER_ADMIN / DEVELOPER)
+router.get("/2fa/status", authenticateToken, asyncHandler(twoFactorController.getStatus));
+router.post("/2fa/setup", authenticateToken, asyncHandler(twoFactorController.setup));
+router.post("/2fa/enable", authenticateToken, asyncHandler(twoFactorController.enable));
+router.post("/2fa/disable", authenticateToken, asyncHandler(twoFactorController.disable));
+router.post(
+	"/2fa/recovery-codes",
+	authenticateToken,
+	asyncHandler(twoFactorController.regenerateRecoveryCodes)
+);
+router.post("/2fa/step-up", authenticateToken, asyncHandler(twoFactorController.stepUp));
+
 module.exports = router;
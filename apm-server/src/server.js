@@ -2,9 +2,15 @@
 const app = require("./app");
 const config = require("./config");
 const { connectDB, disconnectDB } = require("./config/database");
-const MembershipExpiryJob = require("./jobs/membershipExpiry.job");
 const DailyCelebrationJob = require("./jobs/dailyCelebrationJob");
-const WeeklyFestivalSyncJob = require("./jobs/weeklyFestivalSyncJob");
+const SessionCleanupJob = require("./jobs/sessionCleanup.job");
+const TicketSlaCheckJob = require("./jobs/ticketSlaCheck.job");
+const EventSeriesGenerationJob = require("./jobs/eventSeriesGeneration.job");
+const NotificationDigestJob = require("./jobs/notificationDigest.job");
+const CommunityDigestJob = require("./jobs/communityDigest.job");
+const { registerJobHandlers } = require("./jobs/jobHandlers");
+const { JobQueueService } = require("./services/queue/jobQueue.service");
+const { RealtimeService } = require("./services/realtime/realtime.service");
 const https = require("https");
 const fs = require("fs");
 const path = require("path");
@@ -35,7 +41,7 @@ async function startServer() {
 				console.log(`🔗 API base URL: https://localhost:${config.port}/api`);
 				console.log(`📱 Mobile access: https://192.168.1.3:${config.port}/api`);
 			});
-		} catch (certError) {
+		} catch {
 			console.log('⚠️  HTTPS certificates not found, falling back to HTTP');
 			// Fallback to HTTP server
 			server = app.listen(config.port, '0.0.0.0', () => {
@@ -73,6 +79,30 @@ async function startServer() {
 			}
 		});
 
+		// Background job queue: handlers are needed even without a worker (in-process fallback)
+		registerJobHandlers();
+		if (config.jobQueue.workerEnabled) {
+			JobQueueService.startWorker();
+		}
+
+		// Realtime event streams, fanned out across instances over Redis pub/sub
+		await RealtimeService.start();
+
+		// Purge expired and revoked login sessions
+		SessionCleanupJob.initialize();
+
+		// Escalate support tickets that breach their SLA
+		TicketSlaCheckJob.initialize();
+
+		// Create upcoming occurrences of recurring events
+		EventSeriesGenerationJob.initialize();
+
+		// Email daily/weekly notification digests
+		NotificationDigestJob.initialize();
+
+		// Email each organization's weekly community digest
+		CommunityDigestJob.initialize();
+
 		// Initialize membership expiry job
 		// MembershipExpiryJob.initialize();
 
@@ -117,10 +147,14 @@ async function gracefulShutdown(signal) {
 	console.log(`\n📴 Received ${signal}. Starting graceful shutdown...`);
 
 	if (server) {
+		// Open event streams would otherwise keep the server from closing
+		await RealtimeService.stop();
+
 		server.close(async () => {
 			console.log("🔌 HTTP server closed");
 
 			try {
+				await JobQueueService.stopWorker();
 				await disconnectDB();
 				console.log("✅ Graceful shutdown completed");
 				process.exit(0);
@@ -1,6 +1,5 @@
 // src/services/PhotoService.js
 const { prisma } = require('../config/database');
-const fs = require('fs').promises;
 const path = require('path');
 const { cloudflareR2Service } = require('./cloudflare-r2.service');
 
@@ -503,7 +502,7 @@ class PhotoService {
   static getFilePathFromUrl(url) {
     try {
       // Remove base URL and convert to file path
-      const relativePath = url.replace(/^https?:\/\/[^\/]+/, '');
+      const relativePath = url.replace(/^https?:\/\/[^/]+/, '');
       return path.join('./public', relativePath);
     } catch (error) {
       console.error('Error extracting file path:', error);
@@ -2,10 +2,9 @@
 // Multi-Tenant Push Notification Service - Supports tenant-specific Firebase/APNs configuration
 
 const admin = require('firebase-admin');
-const { PrismaClient } = require('@prisma/client');
+const { prisma } = require('../config/database');
 const crypto = require('crypto');
-
-const prisma = new PrismaClient();
+const { NotificationPreferenceService } = require('./notificationPreference.service');
 
 // Encryption key for sensitive data
 const ENCRYPTION_KEY = process.env.PUSH_ENCRYPTION_KEY || process.env.EMAIL_ENCRYPTION_KEY || crypto.randomBytes(32).toString('hex').slice(0, 32);
@@ -241,7 +240,7 @@ class TenantPushNotificationService {
 
       if (error.code === 'messaging/registration-token-not-registered') {
         // Mark token as invalid
-        await this.markTokenInvalid(token);
+        await this.markTokenInvalid(options.token);
         return {
           success: false,
           error: 'TOKEN_INVALID',
@@ -357,6 +356,39 @@ class TenantPushNotificationService {
     }
   }
 
+  /**
+   * Send notification to a user's active devices, honoring their push preferences
+   * and quiet hours. Deferred results carry deferUntil for the caller to reschedule.
+   * @param {Object} options - { title, body, data, priority, type, notificationPriority }
+   */
+  async sendToUser(tenantCode, userId, options) {
+    const { type, notificationPriority, ...pushOptions } = options;
+
+    const gate = await NotificationPreferenceService.checkPush(userId, type, notificationPriority);
+    if (gate.deferUntil) {
+      return { success: false, deferred: true, deferUntil: gate.deferUntil, successCount: 0, failureCount: 0 };
+    }
+    if (!gate.allowed) {
+      return { success: false, skipped: true, error: 'Push disabled by user preferences', successCount: 0, failureCount: 0 };
+    }
+
+    const deviceTokens = await prisma.userDeviceToken.findMany({
+      where: { userId, isActive: true },
+      select: { token: true },
+      orderBy: { lastUsedAt: 'desc' },
+      take: 5 // Limit to 5 most recent active tokens
+    });
+
+    if (deviceTokens.length === 0) {
+      return { success: false, error: 'No device tokens', successCount: 0, failureCount: 0 };
+    }
+
+    return this.sendToTokens(tenantCode, {
+      ...pushOptions,
+      tokens: deviceTokens.map(deviceToken => deviceToken.token)
+    });
+  }
+
   /**
    * Send to topic for a tenant
    */
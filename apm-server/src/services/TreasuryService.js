@@ -1,12 +1,17 @@
 // src/services/TreasuryService.js
 const { prisma } = require('../config/database');
+const { formatMoney, roundAmount } = require('../utils/currency.util');
 
 // ============================================
 // TREASURY BUSINESS LOGIC SERVICE
 // ============================================
 
 class TreasuryService {
-  
+  // Payments that were collected at some point; refunds are reversed via expenses
+  static COLLECTED_PAYMENT_STATUSES = ['COMPLETED', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+
+  static REFUND_CATEGORY_NAME = 'Payment Refunds';
+
   // ============================================
   // CATEGORY MANAGEMENT UTILITIES
   // ============================================
@@ -433,25 +438,33 @@ class TreasuryService {
 
   /**
    * Calculate online collections (from existing PaymentTransaction)
+   * Summed in base currency; rows without baseAmount predate multi-currency and were charged in base
    */
   static async getTotalOnlineCollections(dateFilter = {}) {
     try {
-      const whereClause = { status: 'COMPLETED' };
+      const whereClause = { status: { in: this.COLLECTED_PAYMENT_STATUSES } };
       if (dateFilter.from || dateFilter.to) {
         whereClause.createdAt = {};
         if (dateFilter.from) whereClause.createdAt.gte = new Date(dateFilter.from);
         if (dateFilter.to) whereClause.createdAt.lte = new Date(dateFilter.to);
       }
 
-      const result = await prisma.paymentTransaction.aggregate({
-        where: whereClause,
-        _sum: { amount: true },
-        _count: true
-      });
+      const [converted, legacy] = await Promise.all([
+        prisma.paymentTransaction.aggregate({
+          where: { ...whereClause, baseAmount: { not: null } },
+          _sum: { baseAmount: true },
+          _count: true
+        }),
+        prisma.paymentTransaction.aggregate({
+          where: { ...whereClause, baseAmount: null },
+          _sum: { amount: true },
+          _count: true
+        })
+      ]);
 
       return {
-        totalAmount: result._sum.amount || 0,
-        transactionCount: result._count
+        totalAmount: parseFloat(converted._sum.baseAmount || 0) + parseFloat(legacy._sum.amount || 0),
+        transactionCount: converted._count + legacy._count
       };
     } catch (error) {
       console.error('Total online collections calculation error:', error);
@@ -556,6 +569,100 @@ class TreasuryService {
     }
   }
 
+  // ============================================
+  // REFUND REVERSALS
+  // ============================================
+
+  /**
+   * Get (or lazily create) the expense category that holds refund reversals
+   */
+  static async getRefundExpenseCategory() {
+    const existing = await prisma.expenseCategory.findUnique({
+      where: { name: this.REFUND_CATEGORY_NAME }
+    });
+    if (existing) return existing;
+
+    return prisma.expenseCategory.create({
+      data: {
+        name: this.REFUND_CATEGORY_NAME,
+        description: 'Refunds issued against online payments (posted automatically)',
+        displayOrder: await this.getNextCategoryDisplayOrder()
+      }
+    });
+  }
+
+  /**
+   * Post a reversing entry for a processed refund.
+   * Online collections stay gross, the refund is booked as an approved expense.
+   */
+  static async postRefundReversal(refundId) {
+    const refund = await prisma.paymentRefund.findUnique({
+      where: { id: refundId },
+      include: {
+        transaction: {
+          select: {
+            transactionNumber: true,
+            baseCurrency: true,
+            exchangeRate: true,
+            user: { select: { fullName: true, email: true } },
+            eventRegistrations: { select: { eventId: true }, take: 1 }
+          }
+        }
+      }
+    });
+
+    if (!refund) {
+      throw new Error('Refund not found');
+    }
+
+    if (refund.status !== 'PROCESSED') {
+      throw new Error('Only processed refunds can be posted to treasury');
+    }
+
+    if (refund.treasuryExpenseId) {
+      return prisma.expense.findUnique({ where: { id: refund.treasuryExpenseId } });
+    }
+
+    const category = await this.getRefundExpenseCategory();
+    const { transaction } = refund;
+    const processedAt = refund.processedAt || new Date();
+    const baseCurrency = transaction.baseCurrency || refund.currency;
+
+    // Book at the rate the payment was taken at so a full refund nets the collection to zero
+    const amount = roundAmount(
+      parseFloat(refund.amount) * parseFloat(transaction.exchangeRate || 1),
+      baseCurrency
+    );
+
+    return prisma.$transaction(async (tx) => {
+      const expense = await tx.expense.create({
+        data: {
+          amount,
+          description: `Refund ${refund.refundNumber} against payment ${transaction.transactionNumber}` +
+            (baseCurrency !== refund.currency ? ` (${formatMoney(refund.amount, refund.currency)})` : '') +
+            (refund.creditNoteNumber ? ` (credit note ${refund.creditNoteNumber})` : '') +
+            (refund.reason ? ` - ${refund.reason}` : ''),
+          expenseDate: processedAt,
+          vendorName: transaction.user?.fullName || null,
+          vendorContact: transaction.user?.email || null,
+          categoryId: category.id,
+          linkedEventId: transaction.eventRegistrations[0]?.eventId || null,
+          createdBy: refund.initiatedBy,
+          approvedBy: refund.initiatedBy,
+          isApproved: true,
+          approvedAt: processedAt
+        }
+      });
+
+      await tx.paymentRefund.update({
+        where: { id: refund.id },
+        data: { treasuryExpenseId: expense.id }
+      });
+
+      return expense;
+    });
+  }
+
   // ============================================
   // VALIDATION UTILITIES
   // ============================================
@@ -733,20 +840,13 @@ class TreasuryService {
   // ============================================
 
   /**
-   * Format amount for display
+   * Format amount for display (treasury figures are in the base currency)
    */
-  static formatAmount(amount) {
-    if (!amount) return '₹0';
-    
+  static formatAmount(amount, currency = 'INR') {
     // Convert to number if it's a string
     const numAmount = typeof amount === 'string' ? parseFloat(amount) : amount;
-    
-    // Format with Indian numbering system
-    return new Intl.NumberFormat('en-IN', {
-      style: 'currency',
-      currency: 'INR',
-      maximumFractionDigits: 2
-    }).format(numAmount);
+
+    return formatMoney(numAmount || 0, currency);
   }
 
   /**
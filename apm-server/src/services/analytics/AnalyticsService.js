@@ -2,24 +2,39 @@
 const { prisma } = require("../../config/database");
 const { CacheService } = require("../../config/redis");
 
+// Figures are cached per organization; "all" is the developer view across every tenant
+const orgKey = (organizationId) => organizationId || "all";
+
+// Payment transactions carry no organization of their own; they belong to the payer's
+const transactionScope = (organizationId) =>
+	organizationId ? { user: { organizationId } } : {};
+
 class AnalyticsService {
 	constructor() {
 		this.cacheKeys = {
-			systemOverview: "analytics:system:overview",
-			eventAnalytics: (eventId) => `analytics:event:${eventId}`,
-			batchParticipation: "analytics:batch:participation",
-			revenueBreakdown: "analytics:revenue:breakdown",
-			liveStats: (eventId) => `analytics:live:${eventId}`,
-			unifiedPayments: "analytics:unified_payments",
+			systemOverview: (organizationId) =>
+				`analytics:system:overview:${orgKey(organizationId)}`,
+			eventAnalytics: (eventId, organizationId) =>
+				`analytics:event:${orgKey(organizationId)}:${eventId}`,
+			batchParticipation: (organizationId) =>
+				`analytics:batch:participation:${orgKey(organizationId)}`,
+			revenueBreakdown: (organizationId) =>
+				`analytics:revenue:breakdown:${orgKey(organizationId)}`,
+			liveStats: (eventId, organizationId) =>
+				`analytics:live:${orgKey(organizationId)}:${eventId}`,
+			unifiedPayments: (organizationId) =>
+				`analytics:unified_payments:${orgKey(organizationId)}`,
 			merchandiseIntegration: "analytics:merchandise_integration",
 			donationIntegration: "analytics:donation_integration",
 			batchPaymentIntegration: "analytics:batch_payment_integration",
-			transparencyReport: (eventId) =>
+			transparencyReport: (eventId, organizationId) =>
 				eventId
-					? `analytics:transparency:${eventId}`
-					: "analytics:transparency:system",
-			paymentTrends: "analytics:payment_trends",
-			unifiedRevenueBreakdown: "analytics:unified_revenue_breakdown",
+					? `analytics:transparency:${orgKey(organizationId)}:${eventId}`
+					: `analytics:transparency:${orgKey(organizationId)}:system`,
+			paymentTrends: (organizationId) =>
+				`analytics:payment_trends:${orgKey(organizationId)}`,
+			unifiedRevenueBreakdown: (organizationId) =>
+				`analytics:unified_revenue_breakdown:${orgKey(organizationId)}`,
 		};
 	}
 
@@ -27,8 +42,8 @@ class AnalyticsService {
 	// SYSTEM-WIDE ANALYTICS
 	// ==========================================
 
-	async getSystemOverview(fromDate = null, toDate = null) {
-		const cacheKey = this.cacheKeys.systemOverview;
+	async getSystemOverview(fromDate = null, toDate = null, organizationId = null) {
+		const cacheKey = this.cacheKeys.systemOverview(organizationId);
 
 		// Try cache first
 		const cached = await CacheService.get(cacheKey);
@@ -86,8 +101,8 @@ class AnalyticsService {
 		return overview;
 	}
 
-	async getEventAnalytics(eventId) {
-		const cacheKey = this.cacheKeys.eventAnalytics(eventId);
+	async getEventAnalytics(eventId, organizationId = null) {
+		const cacheKey = this.cacheKeys.eventAnalytics(eventId, organizationId);
 
 		// Try cache first
 		const cached = await CacheService.get(cacheKey);
@@ -114,7 +129,7 @@ class AnalyticsService {
 			!analytics || new Date() - analytics.lastUpdated > 60 * 60 * 1000;
 
 		if (shouldRecalculate) {
-			analytics = await this.calculateEventAnalytics(eventId);
+			analytics = await this.calculateEventAnalytics(eventId, organizationId);
 		}
 
 		// Cache for 30 minutes
@@ -122,8 +137,8 @@ class AnalyticsService {
 		return analytics;
 	}
 
-	async getBatchParticipation() {
-		const cacheKey = this.cacheKeys.batchParticipation;
+	async getBatchParticipation(organizationId = null) {
+		const cacheKey = this.cacheKeys.batchParticipation(organizationId);
 
 		const cached = await CacheService.get(cacheKey);
 		if (cached) return cached;
@@ -143,6 +158,7 @@ class AnalyticsService {
         AND er.status = 'CONFIRMED'
         AND er."registrationDate" >= NOW() - INTERVAL '1 year'
       WHERE u."isActive" = true
+        AND (${organizationId}::text IS NULL OR u."organizationId" = ${organizationId})
       GROUP BY u.batch
       ORDER BY u.batch DESC
     `;
@@ -163,62 +179,8 @@ class AnalyticsService {
 		return result;
 	}
 
-	async getRevenueBreakdown(fromDate = null, toDate = null) {
-		const cacheKey = this.cacheKeys.revenueBreakdown;
-
-		const cached = await CacheService.get(cacheKey);
-		if (cached) return cached;
-
-		const now = new Date();
-		const startDate = fromDate
-			? new Date(fromDate)
-			: new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000); // 90 days
-		const endDate = toDate ? new Date(toDate) : now;
-
-		// Get revenue breakdown
-		const breakdown = await prisma.$queryRaw`
-      SELECT 
-        SUM("registrationFeePaid") as registration_revenue,
-        SUM("guestFeesPaid") as guest_revenue, 
-        SUM("merchandiseTotal") as merchandise_revenue,
-        SUM("donationAmount") as donation_revenue,
-        SUM("totalAmount") as total_revenue,
-        COUNT(*) as total_transactions,
-        AVG("totalAmount") as average_order_value
-      FROM event_registrations er
-      JOIN events e ON er."eventId" = e.id
-      WHERE er."paymentStatus" = 'COMPLETED'
-        AND er."registrationDate" >= ${startDate}
-        AND er."registrationDate" <= ${endDate}
-        AND er.status = 'CONFIRMED'
-    `;
-
-		const result = {
-			period: {
-				from: startDate.toISOString(),
-				to: endDate.toISOString(),
-			},
-			breakdown: {
-				registrationFees: Number(breakdown[0]?.registration_revenue || 0),
-				guestFees: Number(breakdown[0]?.guest_revenue || 0),
-				merchandise: Number(breakdown[0]?.merchandise_revenue || 0),
-				donations: Number(breakdown[0]?.donation_revenue || 0),
-				total: Number(breakdown[0]?.total_revenue || 0),
-			},
-			metrics: {
-				totalTransactions: Number(breakdown[0]?.total_transactions || 0),
-				averageOrderValue: Number(breakdown[0]?.average_order_value || 0),
-			},
-			generatedAt: new Date().toISOString(),
-		};
-
-		// Cache for 45 minutes
-		await CacheService.set(cacheKey, result, 45 * 60);
-		return result;
-	}
-
-	async getLiveRegistrationStats(eventId) {
-		const cacheKey = this.cacheKeys.liveStats(eventId);
+	async getLiveRegistrationStats(eventId, organizationId = null) {
+		const cacheKey = this.cacheKeys.liveStats(eventId, organizationId);
 
 		// Check cache with shorter TTL for live data
 		const cached = await CacheService.get(cacheKey);
@@ -302,7 +264,7 @@ class AnalyticsService {
 	// HELPER METHODS
 	// ==========================================
 
-	async calculateEventAnalytics(eventId) {
+	async calculateEventAnalytics(eventId, organizationId = null) {
 		const calculations = await prisma.$queryRaw`
       SELECT 
         e.id as event_id,
@@ -319,10 +281,12 @@ class AnalyticsService {
       FROM events e
       LEFT JOIN event_registrations er ON e.id = er."eventId"
       WHERE e.id = ${eventId}
+        AND (${organizationId}::text IS NULL OR e."organizationId" = ${organizationId})
       GROUP BY e.id
     `;
 
 		const calc = calculations[0];
+		if (!calc) return null;
 		const conversionRate =
 			Number(calc.total_registrations) > 0
 				? (Number(calc.confirmed_registrations) / Number(calc.total_registrations)) * 100
@@ -507,16 +471,16 @@ class AnalyticsService {
 	}
 
 	// Cache invalidation methods
-	async invalidateEventAnalytics(eventId) {
-		await CacheService.del(this.cacheKeys.eventAnalytics(eventId));
-		await CacheService.del(this.cacheKeys.liveStats(eventId));
+	async invalidateEventAnalytics(eventId, organizationId = null) {
+		await CacheService.del(this.cacheKeys.eventAnalytics(eventId, organizationId));
+		await CacheService.del(this.cacheKeys.liveStats(eventId, organizationId));
 	}
 
-	async invalidateSystemAnalytics() {
+	async invalidateSystemAnalytics(organizationId = null) {
 		const keys = [
-			this.cacheKeys.systemOverview,
-			this.cacheKeys.batchParticipation,
-			this.cacheKeys.revenueBreakdown,
+			this.cacheKeys.systemOverview(organizationId),
+			this.cacheKeys.batchParticipation(organizationId),
+			this.cacheKeys.revenueBreakdown(organizationId),
 		];
 
 		await Promise.all(keys.map((key) => CacheService.del(key)));
@@ -526,9 +490,9 @@ class AnalyticsService {
 	 * 🚀 NEW METHOD: Get unified payment analytics across ALL sources
 	 * This is the main method that provides complete transparency
 	 */
-	async getUnifiedPaymentAnalytics(fromDate = null, toDate = null) {
+	async getUnifiedPaymentAnalytics(fromDate = null, toDate = null, organizationId = null) {
 		try {
-			const cacheKey = `${this.cacheKeys.unifiedPayments}_${fromDate}_${toDate}`;
+			const cacheKey = `${this.cacheKeys.unifiedPayments(organizationId)}_${fromDate}_${toDate}`;
 
 			// Try cache first (30 min TTL for payment data)
 			const cached = await CacheService.get(cacheKey);
@@ -552,11 +516,11 @@ class AnalyticsService {
 				batchPayments,
 				membershipPayments,
 			] = await Promise.all([
-				this.getEventRegistrationAnalytics(startDate, endDate),
-				this.getStandaloneMerchandiseAnalytics(startDate, endDate),
-				this.getDonationAnalytics(startDate, endDate),
-				this.getBatchPaymentAnalytics(startDate, endDate),
-				this.getMembershipAnalytics(startDate, endDate),
+				this.getEventRegistrationAnalytics(startDate, endDate, organizationId),
+				this.getStandaloneMerchandiseAnalytics(startDate, endDate, organizationId),
+				this.getDonationAnalytics(startDate, endDate, organizationId),
+				this.getBatchPaymentAnalytics(startDate, endDate, organizationId),
+				this.getMembershipAnalytics(startDate, endDate, organizationId),
 			]);
 
 			// Calculate totals
@@ -575,7 +539,7 @@ class AnalyticsService {
 				membershipPayments.totalCount;
 
 			// Get payment trends
-			const trends = await this.getPaymentTrends(startDate, endDate);
+			const trends = await this.getPaymentTrends(startDate, endDate, organizationId);
 
 			const result = {
 				period: {
@@ -722,7 +686,7 @@ class AnalyticsService {
 	/**
 	 * Get event registration analytics
 	 */
-	async getEventRegistrationAnalytics(startDate, endDate) {
+	async getEventRegistrationAnalytics(startDate, endDate, organizationId = null) {
 		try {
 			const result = await prisma.paymentTransaction.aggregate({
 				where: {
@@ -732,6 +696,7 @@ class AnalyticsService {
 						gte: startDate,
 						lte: endDate,
 					},
+					...transactionScope(organizationId),
 				},
 				_sum: { amount: true },
 				_count: true,
@@ -751,7 +716,7 @@ class AnalyticsService {
 	/**
 	 * Get standalone merchandise analytics (separate from event merchandise)
 	 */
-	async getStandaloneMerchandiseAnalytics(startDate, endDate) {
+	async getStandaloneMerchandiseAnalytics(startDate, endDate, organizationId = null) {
 		try {
 			const result = await prisma.paymentTransaction.aggregate({
 				where: {
@@ -761,6 +726,7 @@ class AnalyticsService {
 						gte: startDate,
 						lte: endDate,
 					},
+					...transactionScope(organizationId),
 				},
 				_sum: { amount: true },
 				_count: true,
@@ -780,7 +746,7 @@ class AnalyticsService {
 	/**
 	 * Get donation analytics
 	 */
-	async getDonationAnalytics(startDate, endDate) {
+	async getDonationAnalytics(startDate, endDate, organizationId = null) {
 		try {
 			const result = await prisma.paymentTransaction.aggregate({
 				where: {
@@ -790,6 +756,7 @@ class AnalyticsService {
 						gte: startDate,
 						lte: endDate,
 					},
+					...transactionScope(organizationId),
 				},
 				_sum: { amount: true },
 				_count: true,
@@ -809,7 +776,7 @@ class AnalyticsService {
 	/**
 	 * Get batch admin payment analytics
 	 */
-	async getBatchPaymentAnalytics(startDate, endDate) {
+	async getBatchPaymentAnalytics(startDate, endDate, organizationId = null) {
 		try {
 			const result = await prisma.paymentTransaction.aggregate({
 				where: {
@@ -819,6 +786,7 @@ class AnalyticsService {
 						gte: startDate,
 						lte: endDate,
 					},
+					...transactionScope(organizationId),
 				},
 				_sum: { amount: true },
 				_count: true,
@@ -838,7 +806,7 @@ class AnalyticsService {
 	/**
 	 * Get membership payment analytics
 	 */
-	async getMembershipAnalytics(startDate, endDate) {
+	async getMembershipAnalytics(startDate, endDate, organizationId = null) {
 		try {
 			const result = await prisma.paymentTransaction.aggregate({
 				where: {
@@ -848,6 +816,7 @@ class AnalyticsService {
 						gte: startDate,
 						lte: endDate,
 					},
+					...transactionScope(organizationId),
 				},
 				_sum: { amount: true },
 				_count: true,
@@ -867,20 +836,22 @@ class AnalyticsService {
 	/**
 	 * Get payment trends over time - Daily breakdown
 	 */
-	async getPaymentTrends(startDate, endDate) {
+	async getPaymentTrends(startDate, endDate, organizationId = null) {
 		try {
 			const trends = await prisma.$queryRaw`
         SELECT 
-          DATE("completedAt") as date,
-          "referenceType",
-          SUM(amount) as daily_revenue,
+          DATE(pt."completedAt") as date,
+          pt."referenceType",
+          SUM(pt.amount) as daily_revenue,
           COUNT(*) as daily_count
-        FROM payment_transactions 
-        WHERE status = 'COMPLETED'
-          AND "completedAt" >= ${startDate}
-          AND "completedAt" <= ${endDate}
-        GROUP BY DATE("completedAt"), "referenceType"
-        ORDER BY date ASC, "referenceType" ASC
+        FROM payment_transactions pt
+        JOIN users u ON u.id = pt."userId"
+        WHERE pt.status = 'COMPLETED'
+          AND pt."completedAt" >= ${startDate}
+          AND pt."completedAt" <= ${endDate}
+          AND (${organizationId}::text IS NULL OR u."organizationId" = ${organizationId})
+        GROUP BY DATE(pt."completedAt"), pt."referenceType"
+        ORDER BY date ASC, pt."referenceType" ASC
       `;
 
 			// Group by date for easier frontend consumption
@@ -918,9 +889,9 @@ class AnalyticsService {
 	/**
 	 * 🎯 NEW METHOD: Get transparency report for public/user consumption
 	 */
-	async getTransparencyReport(eventId = null) {
+	async getTransparencyReport(eventId = null, organizationId = null) {
 		try {
-			const cacheKey = this.cacheKeys.transparencyReport(eventId);
+			const cacheKey = this.cacheKeys.transparencyReport(eventId, organizationId);
 
 			// Try cache first (1 hour TTL for transparency data)
 			const cached = await CacheService.get(cacheKey);
@@ -933,7 +904,7 @@ class AnalyticsService {
 				report = await this.getEventTransparencyReport(eventId);
 			} else {
 				// System-wide transparency report
-				report = await this.getSystemTransparencyReport();
+				report = await this.getSystemTransparencyReport(organizationId);
 			}
 
 			// Cache for 1 hour
@@ -949,7 +920,7 @@ class AnalyticsService {
 	/**
 	 * Get system-wide transparency report
 	 */
-	async getSystemTransparencyReport() {
+	async getSystemTransparencyReport(organizationId = null) {
 		try {
 			const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
 			const now = new Date();
@@ -957,7 +928,8 @@ class AnalyticsService {
 			// Get last 30 days unified analytics
 			const analytics = await this.getUnifiedPaymentAnalytics(
 				thirtyDaysAgo,
-				now
+				now,
+				organizationId
 			);
 
 			// Get additional transparency metrics
@@ -994,9 +966,9 @@ class AnalyticsService {
 	/**
 	 * Enhanced getRevenueBreakdown - Now includes ALL sources
 	 */
-	async getRevenueBreakdown(fromDate = null, toDate = null) {
+	async getRevenueBreakdown(fromDate = null, toDate = null, organizationId = null) {
 		try {
-			const cacheKey = `${this.cacheKeys.unifiedRevenueBreakdown}_${fromDate}_${toDate}`;
+			const cacheKey = `${this.cacheKeys.unifiedRevenueBreakdown(organizationId)}_${fromDate}_${toDate}`;
 
 			// Try cache first
 			const cached = await CacheService.get(cacheKey);
@@ -1005,7 +977,8 @@ class AnalyticsService {
 			// Get unified analytics (which includes all sources)
 			const unifiedAnalytics = await this.getUnifiedPaymentAnalytics(
 				fromDate,
-				toDate
+				toDate,
+				organizationId
 			);
 
 			// Enhanced breakdown with additional insights
@@ -1098,15 +1071,15 @@ class AnalyticsService {
 	}
 
 	// Enhanced cache invalidation for unified analytics
-	async invalidateUnifiedAnalytics() {
+	async invalidateUnifiedAnalytics(organizationId = null) {
 		const keys = [
-			this.cacheKeys.unifiedPayments,
-			this.cacheKeys.unifiedRevenueBreakdown,
-			this.cacheKeys.transparencyReport(),
-			this.cacheKeys.paymentTrends,
+			this.cacheKeys.unifiedPayments(organizationId),
+			this.cacheKeys.unifiedRevenueBreakdown(organizationId),
+			this.cacheKeys.transparencyReport(null, organizationId),
+			this.cacheKeys.paymentTrends(organizationId),
 		];
 
-		await Promise.all(keys.map((key) => CacheService.del(`${key}*`)));
+		await Promise.all(keys.map((key) => CacheService.delPattern(`${key}*`)));
 		console.log("✅ Unified analytics cache invalidated");
 	}
 }
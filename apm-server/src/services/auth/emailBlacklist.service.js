@@ -0,0 +1,44 @@
+// src/services/auth/emailBlacklist.service.js
+// Account-access blacklist checks shared by registration, login, SSO and profile edits
+
+const { prisma } = require('../../config/database');
+
+const ENTRY_SELECT = {
+  id: true,
+  reason: true,
+  blacklistedAt: true,
+  blacklistedAdmin: {
+    select: { fullName: true }
+  }
+};
+
+class EmailBlacklistService {
+  /**
+   * Active admin entry that keeps this address out of the platform.
+   * Bounce/complaint suppressions only stop mail (EmailDeliveryService.isSuppressed),
+   * so they never match here.
+   * @returns {Promise<{ id: string, reason: string|null, blacklistedAt: Date, blacklistedAdmin: { fullName: string }|null }|null>}
+   */
+  static async findActiveEntry(email) {
+    if (!email) return null;
+
+    const where = {
+      email: email.toLowerCase(),
+      isActive: true,
+      source: 'MANUAL'
+    };
+
+    // Inside a tenant request only the organization's own entries match, so admin
+    // entries from before blacklists were per organization (no organizationId,
+    // see scripts/migrate-tenant-scoped-blacklist.js) are looked up separately
+    // and still apply everywhere
+    return await prisma.blacklistedEmail.findFirst({ where, select: ENTRY_SELECT }) ||
+      prisma.blacklistedEmail.findFirst({ where: { ...where, organizationId: null }, select: ENTRY_SELECT });
+  }
+
+  static async isEmailBlacklisted(email) {
+    return Boolean(await this.findActiveEntry(email));
+  }
+}
+
+module.exports = EmailBlacklistService;
@@ -0,0 +1,326 @@
+// src/services/auth/session.service.js
+// Server-side login sessions: refresh-token rotation, reuse detection and revocation
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../../config');
+const { prisma } = require('../../config/database');
+const { CacheService } = require('../../config/redis');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const statusKey = (sessionId) => `session:status:${sessionId}`;
+
+const sessionError = (message, code) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  error.code = code;
+  return error;
+};
+
+class SessionService {
+  // ==========================================
+  // TOKENS
+  // ==========================================
+
+  static signTokens(userId, sessionId, tokenId) {
+    const accessToken = jwt.sign(
+      { userId, sid: sessionId, type: 'access' },
+      config.jwt.secret,
+      { expiresIn: config.jwt.expiresIn }
+    );
+
+    const refreshToken = jwt.sign(
+      { userId, sid: sessionId, type: 'refresh' },
+      config.jwt.refreshSecret,
+      { expiresIn: config.jwt.refreshExpiresIn, jwtid: tokenId }
+    );
+
+    return {
+      accessToken,
+      refreshToken,
+      expiresAt: new Date(jwt.decode(refreshToken).exp * 1000)
+    };
+  }
+
+  /**
+   * Start a session for a freshly authenticated user
+   * @param {string} userId
+   * @param {Object} req - Express request (device details)
+   * @param {string} [authMethod='password']
+   * @returns {Promise<Object>} { accessToken, refreshToken, sessionId }
+   */
+  static async createSession(userId, req, authMethod = 'password') {
+    const sessionId = crypto.randomUUID();
+    const tokenId = crypto.randomUUID();
+    const { accessToken, refreshToken, expiresAt } = this.signTokens(userId, sessionId, tokenId);
+
+    await prisma.userSession.create({
+      data: {
+        id: sessionId,
+        userId,
+        currentTokenId: tokenId,
+        authMethod,
+        userAgent: req?.get?.('User-Agent')?.slice(0, 500) || null,
+        ipAddress: req?.ip || null,
+        expiresAt
+      }
+    });
+
+    return { accessToken, refreshToken, sessionId };
+  }
+
+  /**
+   * Exchange a refresh token for a new pair. The old refresh token stops working;
+   * presenting it again revokes the whole session.
+   * @returns {Promise<Object>} { accessToken, refreshToken, sessionId, userId }
+   */
+  static async rotate(refreshToken, req) {
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, config.jwt.refreshSecret);
+    } catch {
+      throw sessionError('Invalid or expired refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
+    // Tokens issued before sessions existed carry no sid/jti
+    if (decoded.type !== 'refresh' || !decoded.sid || !decoded.jti) {
+      throw sessionError('Invalid or expired refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
+    const session = await prisma.userSession.findUnique({
+      where: { id: decoded.sid },
+      include: { user: { select: { id: true, isActive: true } } }
+    });
+
+    if (!session || session.userId !== decoded.userId) {
+      throw sessionError('Invalid or expired refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
+    if (session.revokedAt) {
+      throw sessionError('Session has been signed out', 'SESSION_REVOKED');
+    }
+
+    if (!session.user.isActive) {
+      throw sessionError('User not found or inactive', 'USER_INACTIVE');
+    }
+
+    if (decoded.jti !== session.currentTokenId) {
+      const withinGrace = decoded.jti === session.previousTokenId && session.rotatedAt &&
+        Date.now() - session.rotatedAt.getTime() < config.session.reuseGraceSeconds * 1000;
+
+      if (withinGrace) {
+        throw sessionError('Refresh token already used', 'REFRESH_TOKEN_ROTATED');
+      }
+
+      await this.revokeSession(session.id, 'token_reuse');
+      await this.logReuse(session, req);
+      throw sessionError('Refresh token reuse detected. Please sign in again.', 'REFRESH_TOKEN_REUSED');
+    }
+
+    const nextTokenId = crypto.randomUUID();
+    const tokens = this.signTokens(session.userId, session.id, nextTokenId);
+
+    // Only one concurrent refresh may win the rotation
+    const claimed = await prisma.userSession.updateMany({
+      where: { id: session.id, currentTokenId: decoded.jti, revokedAt: null },
+      data: {
+        currentTokenId: nextTokenId,
+        previousTokenId: decoded.jti,
+        rotatedAt: new Date(),
+        lastUsedAt: new Date(),
+        expiresAt: tokens.expiresAt,
+        ipAddress: req?.ip || session.ipAddress
+      }
+    });
+
+    if (claimed.count !== 1) {
+      throw sessionError('Refresh token already used', 'REFRESH_TOKEN_ROTATED');
+    }
+
+    return {
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      sessionId: session.id,
+      userId: session.userId
+    };
+  }
+
+  static async logReuse(session, req) {
+    try {
+      await prisma.activityLog.create({
+        data: {
+          userId: session.userId,
+          action: 'refresh_token_reuse_detected',
+          details: {
+            sessionId: session.id,
+            sessionCreatedAt: session.createdAt,
+            originalUserAgent: session.userAgent
+          },
+          ipAddress: req?.ip,
+          userAgent: req?.get?.('User-Agent'),
+        },
+      });
+    } catch (error) {
+      console.error('Failed to log refresh token reuse:', error);
+    }
+  }
+
+  // ==========================================
+  // VALIDATION
+  // ==========================================
+
+  /**
+   * Whether an access token's session is still live (cached briefly per session)
+   */
+  static async isSessionActive(sessionId, userId) {
+    const cached = await CacheService.get(statusKey(sessionId));
+    if (cached) {
+      return cached.userId === userId && cached.status === 'active';
+    }
+
+    const session = await prisma.userSession.findUnique({
+      where: { id: sessionId },
+      select: { userId: true, revokedAt: true, expiresAt: true }
+    });
+
+    const active = !!session && !session.revokedAt && session.expiresAt > new Date();
+
+    if (session) {
+      await CacheService.set(
+        statusKey(sessionId),
+        { userId: session.userId, status: active ? 'active' : 'revoked' },
+        config.session.statusCacheSeconds
+      );
+    }
+
+    return active && session.userId === userId;
+  }
+
+  // ==========================================
+  // LISTING & REVOCATION
+  // ==========================================
+
+  /**
+   * Signed-in devices for a user, newest activity first
+   */
+  static async listActiveSessions(userId, currentSessionId = null) {
+    const sessions = await prisma.userSession.findMany({
+      where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+      orderBy: { lastUsedAt: 'desc' },
+      select: {
+        id: true,
+        authMethod: true,
+        userAgent: true,
+        ipAddress: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expiresAt: true
+      }
+    });
+
+    return sessions.map((session) => ({
+      ...session,
+      device: this.describeDevice(session.userAgent),
+      isCurrent: session.id === currentSessionId
+    }));
+  }
+
+  /**
+   * Revoke one session
+   * @param {string} sessionId
+   * @param {string} reason
+   * @param {Object} [options] - { userId: only revoke if owned by this user, revokedBy }
+   * @returns {Promise<boolean>} Whether a live session was revoked
+   */
+  static async revokeSession(sessionId, reason, { userId, revokedBy } = {}) {
+    const result = await prisma.userSession.updateMany({
+      where: { id: sessionId, revokedAt: null, ...(userId && { userId }) },
+      data: { revokedAt: new Date(), revokedReason: reason, revokedBy: revokedBy || null }
+    });
+
+    await this.markRevoked([sessionId]);
+
+    return result.count > 0;
+  }
+
+  /**
+   * Revoke every live session of a user
+   * @param {Object} [options] - { exceptSessionId, revokedBy }
+   * @returns {Promise<number>} Sessions revoked
+   */
+  static async revokeAllSessions(userId, reason, { exceptSessionId, revokedBy } = {}) {
+    const sessions = await prisma.userSession.findMany({
+      where: {
+        userId,
+        revokedAt: null,
+        ...(exceptSessionId && { id: { not: exceptSessionId } })
+      },
+      select: { id: true }
+    });
+
+    if (sessions.length === 0) {
+      return 0;
+    }
+
+    const sessionIds = sessions.map((session) => session.id);
+
+    const result = await prisma.userSession.updateMany({
+      where: { id: { in: sessionIds }, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: reason, revokedBy: revokedBy || null }
+    });
+
+    await this.markRevoked(sessionIds);
+
+    return result.count;
+  }
+
+  static async markRevoked(sessionIds) {
+    await Promise.all(sessionIds.map((sessionId) => CacheService.del(statusKey(sessionId))));
+  }
+
+  /**
+   * Drop sessions that expired or were revoked more than retentionDays ago
+   * @returns {Promise<number>} Rows deleted
+   */
+  static async purgeStaleSessions() {
+    const cutoff = new Date(Date.now() - config.session.retentionDays * DAY_MS);
+
+    const result = await prisma.userSession.deleteMany({
+      where: {
+        OR: [
+          { expiresAt: { lt: cutoff } },
+          { revokedAt: { lt: cutoff } }
+        ]
+      }
+    });
+
+    return result.count;
+  }
+
+  /**
+   * Short "Chrome on Windows" style label from a User-Agent string
+   */
+  static describeDevice(userAgent) {
+    if (!userAgent) {
+      return 'Unknown device';
+    }
+
+    const browsers = [
+      ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//],
+      ['Firefox', /Firefox\//], ['Safari', /Safari\//], ['Mobile app', /okhttp|Dart|Expo|CFNetwork/i]
+    ];
+    const systems = [
+      ['Android', /Android/], ['iOS', /iPhone|iPad|iPod/], ['Windows', /Windows/],
+      ['macOS', /Mac OS X|Macintosh/], ['Linux', /Linux/]
+    ];
+
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+    const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+    if (browser && system) return `${browser} on ${system}`;
+    return browser || system || 'Unknown device';
+  }
+}
+
+module.exports = SessionService;
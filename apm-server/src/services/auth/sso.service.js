@@ -0,0 +1,522 @@
+// src/services/auth/sso.service.js
+// OpenID Connect sign-in (authorization code + PKCE) against per-organization identity providers
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const config = require('../../config');
+const { prisma } = require('../../config/database');
+const { CacheService } = require('../../config/redis');
+const { encryptSecret, decryptSecret } = require('../../utils/encryption.util');
+
+const METADATA_TTL_SECONDS = 60 * 60;
+const HTTP_TIMEOUT_MS = 10000;
+
+// Well-known issuers; OIDC providers supply their own
+const PROVIDER_PRESETS = {
+  GOOGLE: {
+    displayName: 'Sign in with Google',
+    issuerUrl: () => 'https://accounts.google.com'
+  },
+  MICROSOFT: {
+    displayName: 'Sign in with Microsoft',
+    // directoryId: Entra tenant ID, or "common" / "organizations" for multi-tenant apps
+    issuerUrl: (directoryId) => `https://login.microsoftonline.com/${directoryId || 'common'}/v2.0`
+  }
+};
+
+// Entra's tenant for personal Microsoft accounts, whose addresses nobody vouches for
+const MICROSOFT_CONSUMER_TENANT = '9188040d-6c67-4c5b-b112-36a304b66dad';
+
+// Loopback, private, link-local, shared, multicast and reserved ranges. IPv4-mapped
+// IPv6 addresses are checked against the IPv4 rules.
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+// Claims arrive as JSON booleans from most providers, as strings from some
+const isTrueClaim = (value) => value === true || value === 'true' || value === 1 || value === '1';
+
+const base64Url = (buffer) => buffer.toString('base64url');
+
+class SsoService {
+  // ==========================================
+  // PROVIDER CONFIGURATION
+  // ==========================================
+
+  static getPresets() {
+    return PROVIDER_PRESETS;
+  }
+
+  /**
+   * Public view of a provider (never includes the client secret)
+   */
+  static toPublicProvider(provider) {
+    return {
+      id: provider.id,
+      type: provider.type,
+      displayName: provider.displayName
+    };
+  }
+
+  static toAdminProvider(provider) {
+    const { clientSecret, ...rest } = provider;
+    return { ...rest, hasClientSecret: !!clientSecret };
+  }
+
+  static async listActiveProviders(organizationId) {
+    const providers = await prisma.organizationSsoProvider.findMany({
+      where: { organizationId, isActive: true },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    return providers.map((provider) => this.toPublicProvider(provider));
+  }
+
+  static async listProviders(organizationId) {
+    const providers = await prisma.organizationSsoProvider.findMany({
+      where: { organizationId },
+      orderBy: { createdAt: 'asc' },
+      include: { _count: { select: { identities: true } } }
+    });
+
+    return providers.map((provider) => this.toAdminProvider(provider));
+  }
+
+  /**
+   * Resolve issuer URL from the provider type and check it exposes discovery
+   */
+  static async resolveIssuerUrl(type, { issuerUrl, directoryId }) {
+    const resolved = PROVIDER_PRESETS[type]
+      ? PROVIDER_PRESETS[type].issuerUrl(directoryId)
+      : String(issuerUrl || '').replace(/\/+$/, '');
+
+    if (!resolved) {
+      throw new Error('Issuer URL is required for OIDC providers');
+    }
+
+    await this.assertAllowedUrl(resolved);
+    await this.getDiscovery(resolved);
+
+    return resolved;
+  }
+
+  static async createProvider(organizationId, data, adminId) {
+    const issuerUrl = await this.resolveIssuerUrl(data.type, data);
+
+    const provider = await prisma.organizationSsoProvider.create({
+      data: {
+        organizationId,
+        type: data.type,
+        displayName: data.displayName || PROVIDER_PRESETS[data.type]?.displayName || 'Sign in with SSO',
+        issuerUrl,
+        clientId: data.clientId,
+        clientSecret: encryptSecret(data.clientSecret),
+        scopes: data.scopes || 'openid email profile',
+        allowSignup: data.allowSignup !== undefined ? data.allowSignup : true,
+        isActive: data.isActive !== undefined ? data.isActive : true,
+        createdBy: adminId
+      }
+    });
+
+    return this.toAdminProvider(provider);
+  }
+
+  static async updateProvider(organizationId, providerId, data) {
+    const existing = await prisma.organizationSsoProvider.findFirst({
+      where: { id: providerId, organizationId }
+    });
+
+    if (!existing) {
+      throw new Error('SSO provider not found');
+    }
+
+    const updateData = {};
+    if (data.displayName !== undefined) updateData.displayName = data.displayName;
+    if (data.clientId !== undefined) updateData.clientId = data.clientId;
+    if (data.clientSecret) updateData.clientSecret = encryptSecret(data.clientSecret);
+    if (data.scopes !== undefined) updateData.scopes = data.scopes;
+    if (data.allowSignup !== undefined) updateData.allowSignup = data.allowSignup;
+    if (data.isActive !== undefined) updateData.isActive = data.isActive;
+    if (data.issuerUrl !== undefined || data.directoryId !== undefined) {
+      updateData.issuerUrl = await this.resolveIssuerUrl(existing.type, data);
+    }
+
+    const provider = await prisma.organizationSsoProvider.update({
+      where: { id: providerId },
+      data: updateData
+    });
+
+    return this.toAdminProvider(provider);
+  }
+
+  static async deleteProvider(organizationId, providerId) {
+    const result = await prisma.organizationSsoProvider.deleteMany({
+      where: { id: providerId, organizationId }
+    });
+
+    if (result.count === 0) {
+      throw new Error('SSO provider not found');
+    }
+  }
+
+  // ==========================================
+  // OIDC METADATA
+  // ==========================================
+
+  /**
+   * The server fetches issuer metadata, keys and tokens itself, so these URLs must be
+   * https and resolve only to public addresses (never this host or the internal network)
+   */
+  static async assertAllowedUrl(url, label = 'Issuer URL') {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new Error(`Invalid ${label}`);
+    }
+
+    if (parsed.protocol !== 'https:') {
+      throw new Error(`${label} must use https`);
+    }
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    if (net.isIP(host)) {
+      addresses = [{ address: host, family: net.isIP(host) }];
+    } else {
+      try {
+        addresses = await dns.lookup(host, { all: true });
+      } catch {
+        throw new Error(`${label} host could not be resolved`);
+      }
+    }
+
+    if (addresses.length === 0 || addresses.some(({ address, family }) =>
+      NON_PUBLIC_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+      throw new Error(`${label} must point to a public host`);
+    }
+  }
+
+  static async getDiscovery(issuerUrl) {
+    const cacheKey = `sso:discovery:${issuerUrl}`;
+    const cached = await CacheService.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    let discovery;
+    try {
+      const response = await axios.get(`${issuerUrl}/.well-known/openid-configuration`, {
+        timeout: HTTP_TIMEOUT_MS
+      });
+      discovery = response.data;
+    } catch {
+      throw new Error(`Could not load OpenID configuration from ${issuerUrl}`);
+    }
+
+    if (!discovery?.authorization_endpoint || !discovery?.token_endpoint || !discovery?.jwks_uri) {
+      throw new Error(`Incomplete OpenID configuration at ${issuerUrl}`);
+    }
+
+    // The client secret is posted to the token endpoint and keys come from jwks_uri
+    await this.assertAllowedUrl(discovery.token_endpoint, 'Token endpoint');
+    await this.assertAllowedUrl(discovery.jwks_uri, 'JWKS URL');
+
+    await CacheService.set(cacheKey, discovery, METADATA_TTL_SECONDS);
+    return discovery;
+  }
+
+  /**
+   * Public key for an id_token signature; refetches once on unknown kid (key rotation)
+   */
+  static async getSigningKey(jwksUri, kid) {
+    const cacheKey = `sso:jwks:${jwksUri}`;
+
+    const findKey = (jwks) => (jwks?.keys || []).find((key) => !kid || key.kid === kid);
+
+    let jwks = await CacheService.get(cacheKey);
+    let jwk = findKey(jwks);
+
+    if (!jwk) {
+      const response = await axios.get(jwksUri, { timeout: HTTP_TIMEOUT_MS });
+      jwks = response.data;
+      await CacheService.set(cacheKey, jwks, METADATA_TTL_SECONDS);
+      jwk = findKey(jwks);
+    }
+
+    if (!jwk) {
+      throw new Error('Signing key not found for id_token');
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  // ==========================================
+  // AUTHORIZATION FLOW
+  // ==========================================
+
+  /**
+   * Build the provider redirect and remember state, nonce and PKCE verifier
+   * @returns {Promise<string>} Authorization URL
+   */
+  static async createAuthorizationUrl(organizationId, providerId) {
+    const provider = await prisma.organizationSsoProvider.findFirst({
+      where: { id: providerId, organizationId, isActive: true }
+    });
+
+    if (!provider) {
+      throw new Error('SSO provider not found');
+    }
+
+    const discovery = await this.getDiscovery(provider.issuerUrl);
+
+    const state = base64Url(crypto.randomBytes(32));
+    const nonce = base64Url(crypto.randomBytes(32));
+    const codeVerifier = base64Url(crypto.randomBytes(32));
+    const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    await CacheService.set(
+      `sso:state:${state}`,
+      { providerId: provider.id, organizationId, nonce, codeVerifier },
+      config.sso.stateTtlSeconds
+    );
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: config.sso.redirectUri,
+      scope: provider.scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256',
+      prompt: 'select_account'
+    });
+
+    return `${discovery.authorization_endpoint}?${params.toString()}`;
+  }
+
+  /**
+   * Exchange the authorization code and return the verified identity
+   * @returns {Promise<Object>} { provider, subject, email, fullName }
+   */
+  static async completeAuthorization(code, state) {
+    const stateKey = `sso:state:${state}`;
+    const pending = state ? await CacheService.get(stateKey) : null;
+
+    if (!pending) {
+      throw new Error('Sign-in session expired. Please try again.');
+    }
+
+    // State is single use
+    await CacheService.del(stateKey);
+
+    const provider = await prisma.organizationSsoProvider.findFirst({
+      where: { id: pending.providerId, organizationId: pending.organizationId, isActive: true }
+    });
+
+    if (!provider) {
+      throw new Error('SSO provider not found');
+    }
+
+    const discovery = await this.getDiscovery(provider.issuerUrl);
+
+    let tokenResponse;
+    try {
+      tokenResponse = await axios.post(
+        discovery.token_endpoint,
+        new URLSearchParams({
+          grant_type: 'authorization_code',
+          code,
+          redirect_uri: config.sso.redirectUri,
+          client_id: provider.clientId,
+          client_secret: decryptSecret(provider.clientSecret),
+          code_verifier: pending.codeVerifier
+        }).toString(),
+        {
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          timeout: HTTP_TIMEOUT_MS
+        }
+      );
+    } catch (error) {
+      const reason = error.response?.data?.error_description || error.response?.data?.error || error.message;
+      throw new Error(`Identity provider rejected the sign-in: ${reason}`);
+    }
+
+    const idToken = tokenResponse.data?.id_token;
+    if (!idToken) {
+      throw new Error('Identity provider did not return an id_token');
+    }
+
+    const claims = await this.verifyIdToken(provider, discovery, idToken, pending.nonce);
+
+    // Accounts are linked and created by email, so only an address the provider itself
+    // vouches for will do; preferred_username is free text on most providers
+    const ownDirectory = this.isOwnEntraDirectory(provider, claims);
+    const email = String(claims.email || (ownDirectory ? claims.preferred_username : '') || '').toLowerCase();
+
+    if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      throw new Error('Identity provider did not share an email address');
+    }
+
+    if (!ownDirectory && !this.isEmailVerified(provider, claims)) {
+      throw new Error('Your email address is not verified with the identity provider');
+    }
+
+    return {
+      provider,
+      subject: String(claims.sub),
+      email,
+      fullName: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || null
+    };
+  }
+
+  static isEmailVerified(provider, claims) {
+    if (isTrueClaim(claims.email_verified)) {
+      return true;
+    }
+
+    // Entra never sends email_verified; xms_edov (optional claim) says the signing-in
+    // tenant owns the domain of the address
+    return provider.type === 'MICROSOFT' && isTrueClaim(claims.xms_edov);
+  }
+
+  /**
+   * A single-tenant Entra app only signs in accounts of its own directory, whose
+   * email and user principal name (preferred_username) that directory's admins assign
+   */
+  static isOwnEntraDirectory(provider, claims) {
+    if (provider.type !== 'MICROSOFT') {
+      return false;
+    }
+
+    const match = String(provider.issuerUrl).match(/^https:\/\/login\.microsoftonline\.com\/([0-9a-f-]{36})\/v2\.0$/i);
+    const directoryId = match?.[1].toLowerCase();
+
+    return Boolean(directoryId) && directoryId !== MICROSOFT_CONSUMER_TENANT &&
+      String(claims.tid || '').toLowerCase() === directoryId;
+  }
+
+  static async verifyIdToken(provider, discovery, idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded?.header || !decoded?.payload) {
+      throw new Error('Malformed id_token');
+    }
+
+    const key = await this.getSigningKey(discovery.jwks_uri, decoded.header.kid);
+
+    // Multi-tenant Entra metadata advertises "{tenantid}" in the issuer
+    const expectedIssuer = discovery.issuer.replace('{tenantid}', decoded.payload.tid || '');
+
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'PS256'],
+      audience: provider.clientId,
+      issuer: expectedIssuer,
+      clockTolerance: 60
+    });
+
+    if (claims.nonce !== nonce) {
+      throw new Error('id_token nonce mismatch');
+    }
+
+    if (!claims.sub) {
+      throw new Error('id_token has no subject');
+    }
+
+    return claims;
+  }
+
+  // ==========================================
+  // ACCOUNT LINKING
+  // ==========================================
+
+  /**
+   * Find the local user for a verified identity, linking by email on first use
+   * @returns {Promise<string|null>} userId, or null when no account exists in the tenant
+   */
+  static async findOrLinkUser(identity) {
+    const { provider, subject, email } = identity;
+
+    const existingIdentity = await prisma.userSsoIdentity.findUnique({
+      where: { providerId_subject: { providerId: provider.id, subject } }
+    });
+
+    if (existingIdentity) {
+      await prisma.userSsoIdentity.update({
+        where: { id: existingIdentity.id },
+        data: { lastLoginAt: new Date() }
+      });
+      return existingIdentity.userId;
+    }
+
+    const user = await prisma.user.findUnique({
+      where: {
+        user_email_org_unique: { email, organizationId: provider.organizationId }
+      },
+      select: { id: true, isEmailVerified: true }
+    });
+
+    if (!user) {
+      return null;
+    }
+
+    await prisma.$transaction([
+      prisma.userSsoIdentity.create({
+        data: {
+          userId: user.id,
+          providerId: provider.id,
+          subject,
+          email,
+          lastLoginAt: new Date()
+        }
+      }),
+      // The provider has verified this address on our behalf
+      ...(!user.isEmailVerified
+        ? [prisma.user.update({
+            where: { id: user.id },
+            data: { isEmailVerified: true, emailVerifyToken: null }
+          })]
+        : [])
+    ]);
+
+    return user.id;
+  }
+
+  /**
+   * Token carrying a verified identity into the registration form (batch is still needed)
+   */
+  static createRegistrationToken(identity) {
+    return jwt.sign(
+      {
+        type: 'sso_registration',
+        providerId: identity.provider.id,
+        organizationId: identity.provider.organizationId,
+        subject: identity.subject,
+        email: identity.email,
+        fullName: identity.fullName
+      },
+      config.jwt.secret,
+      { expiresIn: config.sso.registrationExpiresIn }
+    );
+  }
+
+  static verifyRegistrationToken(token) {
+    const decoded = jwt.verify(token, config.jwt.secret);
+    if (decoded.type !== 'sso_registration') {
+      throw new Error('Invalid registration token');
+    }
+    return decoded;
+  }
+}
+
+module.exports = SsoService;
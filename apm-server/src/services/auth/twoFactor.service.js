@@ -0,0 +1,325 @@
+// src/services/auth/twoFactor.service.js
+// TOTP enrollment, recovery codes, login challenges and step-up tokens for privileged roles
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const config = require('../../config');
+const { prisma } = require('../../config/database');
+const { CacheService } = require('../../config/redis');
+const totp = require('../../utils/totp.util');
+const { encryptSecret, decryptSecret } = require('../../utils/encryption.util');
+
+const ELIGIBLE_ROLES = ['SUPER_ADMIN', 'DEVELOPER'];
+const ATTEMPT_WINDOW_SECONDS = 15 * 60;
+
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+class TwoFactorService {
+  /**
+   * Roles allowed to enroll
+   */
+  static isEligible(user) {
+    return ELIGIBLE_ROLES.includes(user.role);
+  }
+
+  /**
+   * Whether policy forces this user to use a second factor
+   * @param {Object} user - Must include role and organizationId
+   * @returns {Promise<boolean>}
+   */
+  static async isRequired(user) {
+    if (user.role === 'DEVELOPER') {
+      return config.twoFactor.enforceForDevelopers;
+    }
+
+    if (user.role !== 'SUPER_ADMIN' || !user.organizationId) {
+      return false;
+    }
+
+    const organization = await prisma.organization.findUnique({
+      where: { id: user.organizationId },
+      select: { requireAdminTwoFactor: true }
+    });
+
+    return !!organization?.requireAdminTwoFactor;
+  }
+
+  static async getStatus(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        role: true,
+        organizationId: true,
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: true,
+        twoFactorRecoveryCodes: true
+      }
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return {
+      eligible: this.isEligible(user),
+      enabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt,
+      required: await this.isRequired(user),
+      recoveryCodesRemaining: user.twoFactorRecoveryCodes.length
+    };
+  }
+
+  // ==========================================
+  // ENROLLMENT
+  // ==========================================
+
+  /**
+   * Generate a new secret and hold it until the user proves their app has it
+   * @returns {Promise<Object>} { secret, otpauthUrl, qrCode }
+   */
+  static async beginEnrollment(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, email: true, role: true, twoFactorEnabled: true }
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (!this.isEligible(user)) {
+      throw new Error('Two-factor authentication is only available for admin and developer accounts');
+    }
+
+    if (user.twoFactorEnabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const secret = totp.generateSecret();
+    const otpauthUrl = totp.buildOtpauthUrl(secret, user.email, config.twoFactor.issuer);
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { twoFactorPendingSecret: encryptSecret(secret) }
+    });
+
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl)
+    };
+  }
+
+  /**
+   * Activate 2FA once the first code from the app checks out
+   * @returns {Promise<string[]>} Plain recovery codes, shown to the user once
+   */
+  static async confirmEnrollment(userId, code) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, twoFactorEnabled: true, twoFactorPendingSecret: true }
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.twoFactorEnabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      throw new Error('Start two-factor setup first');
+    }
+
+    await this.assertAttemptsRemaining(userId);
+
+    const step = totp.verifyCode(decryptSecret(user.twoFactorPendingSecret), code);
+    if (step === null) {
+      await this.recordFailedAttempt(userId);
+      throw new Error('Invalid verification code');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        twoFactorEnabled: true,
+        twoFactorSecret: user.twoFactorPendingSecret,
+        twoFactorPendingSecret: null,
+        twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode),
+        twoFactorLastUsedStep: step,
+        twoFactorEnabledAt: new Date()
+      }
+    });
+
+    await this.clearFailedAttempts(userId);
+
+    return recoveryCodes;
+  }
+
+  static async disable(userId) {
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorPendingSecret: null,
+        twoFactorRecoveryCodes: [],
+        twoFactorLastUsedStep: null,
+        twoFactorEnabledAt: null
+      }
+    });
+  }
+
+  static async regenerateRecoveryCodes(userId) {
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode) }
+    });
+
+    return recoveryCodes;
+  }
+
+  static generateRecoveryCodes() {
+    return Array.from({ length: config.twoFactor.recoveryCodeCount }, () => {
+      const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+  }
+
+  // ==========================================
+  // VERIFICATION
+  // ==========================================
+
+  /**
+   * Check an authenticator code or a single-use recovery code.
+   * Throws on failure; failed attempts are rate limited per user.
+   * @returns {Promise<Object>} { method: 'totp' | 'recovery_code', recoveryCodesRemaining }
+   */
+  static async verify(userId, code) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        twoFactorEnabled: true,
+        twoFactorSecret: true,
+        twoFactorRecoveryCodes: true,
+        twoFactorLastUsedStep: true
+      }
+    });
+
+    if (!user || !user.twoFactorEnabled || !user.twoFactorSecret) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+
+    await this.assertAttemptsRemaining(userId);
+
+    const step = totp.verifyCode(decryptSecret(user.twoFactorSecret), code);
+
+    // A code may only be used once, even inside its validity window
+    if (step !== null && (user.twoFactorLastUsedStep === null || step > user.twoFactorLastUsedStep)) {
+      const claimed = await prisma.user.updateMany({
+        where: {
+          id: userId,
+          OR: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { lt: step } }]
+        },
+        data: { twoFactorLastUsedStep: step }
+      });
+
+      if (claimed.count === 1) {
+        await this.clearFailedAttempts(userId);
+        return { method: 'totp', recoveryCodesRemaining: user.twoFactorRecoveryCodes.length };
+      }
+    }
+
+    const hashed = hashRecoveryCode(code || '');
+    if (user.twoFactorRecoveryCodes.includes(hashed)) {
+      const remaining = user.twoFactorRecoveryCodes.filter((existing) => existing !== hashed);
+
+      await prisma.user.update({
+        where: { id: userId },
+        data: { twoFactorRecoveryCodes: remaining }
+      });
+
+      await this.clearFailedAttempts(userId);
+      return { method: 'recovery_code', recoveryCodesRemaining: remaining.length };
+    }
+
+    await this.recordFailedAttempt(userId);
+    throw new Error('Invalid verification code');
+  }
+
+  static async assertAttemptsRemaining(userId) {
+    const attempts = (await CacheService.get(`2fa:attempts:${userId}`)) || 0;
+    if (attempts >= config.twoFactor.maxAttempts) {
+      const error = new Error('Too many invalid codes. Please try again later.');
+      error.statusCode = 429;
+      throw error;
+    }
+  }
+
+  static async recordFailedAttempt(userId) {
+    await CacheService.incr(`2fa:attempts:${userId}`, ATTEMPT_WINDOW_SECONDS);
+  }
+
+  static async clearFailedAttempts(userId) {
+    await CacheService.del(`2fa:attempts:${userId}`);
+  }
+
+  // ==========================================
+  // CHALLENGE & STEP-UP TOKENS
+  // ==========================================
+
+  /**
+   * Short-lived token proving the password step of login succeeded
+   */
+  static createChallengeToken(userId) {
+    return jwt.sign(
+      { userId, type: '2fa_challenge' },
+      config.jwt.secret,
+      { expiresIn: config.twoFactor.challengeExpiresIn }
+    );
+  }
+
+  /**
+   * @returns {string} userId from a valid challenge token
+   */
+  static verifyChallengeToken(token) {
+    const decoded = jwt.verify(token, config.jwt.secret);
+    if (decoded.type !== '2fa_challenge') {
+      throw new Error('Invalid challenge token');
+    }
+    return decoded.userId;
+  }
+
+  /**
+   * Token sent as X-Step-Up-Token to unlock sensitive admin actions for a few minutes
+   */
+  static createStepUpToken(userId) {
+    return jwt.sign(
+      { userId, type: 'step_up' },
+      config.jwt.secret,
+      { expiresIn: config.twoFactor.stepUpExpiresIn }
+    );
+  }
+
+  static isValidStepUpToken(token, userId) {
+    try {
+      const decoded = jwt.verify(token, config.jwt.secret);
+      return decoded.type === 'step_up' && decoded.userId === userId;
+    } catch {
+      return false;
+    }
+  }
+}
+
+module.exports = TwoFactorService;
@@ -2,7 +2,6 @@
 const { prisma } = require('../config/database');
 const { CacheService } = require('../config/redis');
 const MembershipService = require('./membership/membership.service');
-const EmailService = require('./email/EmailManager');
 
 class BatchCollectionService {
   /**
@@ -286,21 +285,7 @@ class BatchCollectionService {
       // Send notification emails to super admins
       for (const admin of superAdmins) {
         try {
-          const emailData = {
-            to: admin.email,
-            subject: `🎯 Batch Collection Target Met - Approval Required`,
-            template: 'batch_collection_target_met',
-            data: {
-              adminName: admin.fullName,
-              eventTitle: collection.event.title,
-              batchName: collection.batch.name,
-              targetAmount: collection.targetAmount,
-              collectedAmount: collection.collectedAmount,
-              approvalUrl: `${process.env.FRONTEND_URL}/admin/events/${collection.eventId}/batch-collections`
-            }
-          };
-
-          // await EmailService.send(emailData);
+          // No batch_collection_target_met email template yet; only logged for now
           console.log(`📧 Target met notification sent to: ${admin.email}`);
 
         } catch (emailError) {
@@ -75,8 +75,10 @@ class BirthdayService {
 
   /**
    * Get upcoming birthdays (next 7 days)
+   * @param {number} days - How many days ahead to look
+   * @param {string|null} organizationId - Limit to one organization's members
    */
-  static async getUpcomingBirthdays(days = 7) {
+  static async getUpcomingBirthdays(days = 7, organizationId = null) {
     try {
       const today = new Date();
       const upcomingBirthdays = [];
@@ -96,6 +98,7 @@ class BirthdayService {
           AND "dateOfBirth" IS NOT NULL
           AND EXTRACT(MONTH FROM "dateOfBirth") = ${month}
           AND EXTRACT(DAY FROM "dateOfBirth") = ${date}
+          AND (${organizationId}::text IS NULL OR "organizationId" = ${organizationId})
           ORDER BY "fullName" ASC
         `;
 
@@ -332,12 +335,12 @@ class BirthdayService {
   /**
    * Get birthday statistics for admin dashboard
    * Uses existing tables for data
+   * @param {string|null} organizationId - Limit to one organization's members
    */
-  static async getBirthdayStats() {
+  static async getBirthdayStats(organizationId = null) {
     try {
       const today = new Date();
       const currentMonth = today.getMonth() + 1;
-      const currentYear = today.getFullYear();
       
       // Get this month's birthdays
       const thisMonthBirthdays = await prisma.$queryRaw`
@@ -345,6 +348,7 @@ class BirthdayService {
         WHERE "isActive" = true 
         AND "dateOfBirth" IS NOT NULL
         AND EXTRACT(MONTH FROM "dateOfBirth") = ${currentMonth}
+        AND (${organizationId}::text IS NULL OR "organizationId" = ${organizationId})
       `;
 
       // Get today's birthdays count
@@ -354,6 +358,7 @@ class BirthdayService {
         AND "dateOfBirth" IS NOT NULL
         AND EXTRACT(MONTH FROM "dateOfBirth") = ${currentMonth}
         AND EXTRACT(DAY FROM "dateOfBirth") = ${today.getDate()}
+        AND (${organizationId}::text IS NULL OR "organizationId" = ${organizationId})
       `;
 
       // Get recent birthday notifications from existing Notification table
@@ -364,7 +369,8 @@ class BirthdayService {
           type: 'BIRTHDAY_NOTIFICATION',
           createdAt: {
             gte: thirtyDaysAgo
-          }
+          },
+          ...(organizationId && { organizationId })
         }
       });
 
@@ -431,8 +437,9 @@ class BirthdayService {
 
   /**
    * Get month-wise birthday distribution for analytics
+   * @param {string|null} organizationId - Limit to one organization's members
    */
-  static async getBirthdayDistribution() {
+  static async getBirthdayDistribution(organizationId = null) {
     try {
       const distribution = await prisma.$queryRaw`
         SELECT 
@@ -441,6 +448,7 @@ class BirthdayService {
         FROM "users" 
         WHERE "isActive" = true 
         AND "dateOfBirth" IS NOT NULL
+        AND (${organizationId}::text IS NULL OR "organizationId" = ${organizationId})
         GROUP BY EXTRACT(MONTH FROM "dateOfBirth")
         ORDER BY month
       `;
@@ -463,8 +471,9 @@ class BirthdayService {
 
   /**
    * Get users with birthdays in specific month
+   * @param {string|null} organizationId - Limit to one organization's members
    */
-  static async getBirthdaysInMonth(month, year = new Date().getFullYear()) {
+  static async getBirthdaysInMonth(month, year = new Date().getFullYear(), organizationId = null) {
     try {
       const birthdays = await prisma.$queryRaw`
         SELECT 
@@ -473,6 +482,7 @@ class BirthdayService {
         WHERE "isActive" = true 
         AND "dateOfBirth" IS NOT NULL
         AND EXTRACT(MONTH FROM "dateOfBirth") = ${month}
+        AND (${organizationId}::text IS NULL OR "organizationId" = ${organizationId})
         ORDER BY EXTRACT(DAY FROM "dateOfBirth") ASC, "fullName" ASC
       `;
 
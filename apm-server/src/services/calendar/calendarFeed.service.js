@@ -0,0 +1,340 @@
+// src/services/calendar/calendarFeed.service.js
+// Tokenized iCalendar subscription feeds (personal and organization-wide)
+const crypto = require('crypto');
+const { prisma } = require('../../config/database');
+const config = require('../../config');
+const { buildCalendar } = require('../../utils/ical.util');
+const { CalendarInviteService } = require('./calendarInvite.service');
+const { NOT_SERIES_TEMPLATE } = require('../event/eventSeries.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cancelled events stay in feeds (marked cancelled) so subscribers notice the change
+const FEED_EVENT_STATUSES = [
+  'PUBLISHED', 'REGISTRATION_OPEN', 'REGISTRATION_CLOSED', 'ONGOING', 'COMPLETED', 'CANCELLED'
+];
+
+const FEED_OPTION_FIELDS = ['includeRegistered', 'includePublished', 'includeFestivals', 'includeBirthdays', 'birthdayScope'];
+
+const EVENT_SELECT = {
+  id: true,
+  slug: true,
+  title: true,
+  description: true,
+  eventDate: true,
+  startTime: true,
+  endTime: true,
+  venue: true,
+  meetingLink: true,
+  eventMode: true,
+  status: true,
+  calendarSequence: true,
+  updatedAt: true
+};
+
+const feedError = (message, statusCode = 400, code = 'CALENDAR_FEED_ERROR') => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+const generateToken = () => crypto.randomBytes(24).toString('base64url');
+
+// Festival dates and dates of birth are calendar dates stored at UTC midnight
+const utcDateParts = (date) => ({
+  year: date.getUTCFullYear(),
+  month: date.getUTCMonth() + 1,
+  day: date.getUTCDate()
+});
+
+class CalendarFeedService {
+  /**
+   * Subscription URLs for a feed
+   * @param {String} baseUrl - Server origin used when config.calendar.feedBaseUrl is unset
+   */
+  static feedUrls(feed, baseUrl) {
+    const origin = (config.calendar.feedBaseUrl || baseUrl).replace(/\/$/, '');
+    const url = `${origin}/api/calendar/feeds/${feed.token}.ics`;
+    return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+  }
+
+  static withUrls(feed, baseUrl) {
+    return { ...feed, ...this.feedUrls(feed, baseUrl) };
+  }
+
+  static pickOptions(data) {
+    return Object.fromEntries(
+      FEED_OPTION_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+    );
+  }
+
+  // ==========================================
+  // PERSONAL FEEDS
+  // ==========================================
+
+  /**
+   * The user's feed, created with registered events only on first use
+   */
+  static async getOrCreateUserFeed(user) {
+    const existing = await prisma.calendarFeed.findUnique({ where: { userId: user.id } });
+    if (existing) return existing;
+
+    return prisma.calendarFeed.create({
+      data: {
+        token: generateToken(),
+        scope: 'USER',
+        userId: user.id,
+        organizationId: user.organizationId || null
+      }
+    });
+  }
+
+  static async updateUserFeed(user, options) {
+    const feed = await this.getOrCreateUserFeed(user);
+
+    return prisma.calendarFeed.update({
+      where: { id: feed.id },
+      data: this.pickOptions(options)
+    });
+  }
+
+  // A new token stops every calendar subscribed with the old URL
+  static async rotateUserFeed(user) {
+    const feed = await this.getOrCreateUserFeed(user);
+
+    return prisma.calendarFeed.update({
+      where: { id: feed.id },
+      data: { token: generateToken(), accessCount: 0, lastAccessedAt: null }
+    });
+  }
+
+  static async deleteUserFeed(userId) {
+    const { count } = await prisma.calendarFeed.deleteMany({ where: { userId } });
+    return count > 0;
+  }
+
+  // ==========================================
+  // ORGANIZATION FEEDS
+  // ==========================================
+
+  static async listOrganizationFeeds(tenantFilter = {}) {
+    return prisma.calendarFeed.findMany({
+      where: { scope: 'ORGANIZATION', ...tenantFilter },
+      include: { creator: { select: { id: true, fullName: true } } },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  static async findOrganizationFeed(feedId, tenantFilter = {}) {
+    const feed = await prisma.calendarFeed.findFirst({
+      where: { id: feedId, scope: 'ORGANIZATION', ...tenantFilter }
+    });
+
+    if (!feed) {
+      throw feedError('Calendar feed not found', 404, 'CALENDAR_FEED_NOT_FOUND');
+    }
+
+    return feed;
+  }
+
+  static async createOrganizationFeed(data, userId, tenantData = {}) {
+    return prisma.calendarFeed.create({
+      data: {
+        token: generateToken(),
+        scope: 'ORGANIZATION',
+        name: data.name,
+        includeRegistered: false,
+        includePublished: data.includePublished ?? true,
+        includeFestivals: data.includeFestivals ?? false,
+        includeBirthdays: data.includeBirthdays ?? false,
+        birthdayScope: 'ORGANIZATION',
+        createdBy: userId,
+        ...tenantData
+      }
+    });
+  }
+
+  static async updateOrganizationFeed(feedId, data, tenantFilter = {}) {
+    await this.findOrganizationFeed(feedId, tenantFilter);
+
+    // Organization feeds have no owner, so "registered" and batch birthdays don't apply
+    const { includeRegistered, birthdayScope, ...options } = this.pickOptions(data);
+
+    return prisma.calendarFeed.update({
+      where: { id: feedId },
+      data: {
+        ...options,
+        ...(data.name !== undefined && { name: data.name }),
+        ...(data.isActive !== undefined && { isActive: data.isActive })
+      }
+    });
+  }
+
+  static async rotateOrganizationFeed(feedId, tenantFilter = {}) {
+    await this.findOrganizationFeed(feedId, tenantFilter);
+
+    return prisma.calendarFeed.update({
+      where: { id: feedId },
+      data: { token: generateToken(), accessCount: 0, lastAccessedAt: null }
+    });
+  }
+
+  static async deleteOrganizationFeed(feedId, tenantFilter = {}) {
+    const feed = await this.findOrganizationFeed(feedId, tenantFilter);
+    await prisma.calendarFeed.delete({ where: { id: feedId } });
+    return feed;
+  }
+
+  // ==========================================
+  // FEED CONTENT
+  // ==========================================
+
+  /**
+   * iCalendar document for a feed token. Runs outside tenant context, so every
+   * query is scoped to the feed's organization explicitly.
+   * @returns {Promise<Object>} { feed, ics }
+   */
+  static async renderFeed(token) {
+    const feed = await prisma.calendarFeed.findUnique({
+      where: { token },
+      include: {
+        user: { select: { id: true, batch: true, isActive: true } },
+        organization: { select: { id: true, name: true, isActive: true } }
+      }
+    });
+
+    if (!feed || !feed.isActive || (feed.scope === 'USER' && !feed.user?.isActive) ||
+      (feed.organization && !feed.organization.isActive)) {
+      throw feedError('Calendar feed not found', 404, 'CALENDAR_FEED_NOT_FOUND');
+    }
+
+    const now = Date.now();
+    const window = {
+      gte: new Date(now - config.calendar.feedPastDays * DAY_MS),
+      lte: new Date(now + config.calendar.feedFutureDays * DAY_MS)
+    };
+
+    const [events, festivals, birthdays] = await Promise.all([
+      this.feedEvents(feed, window),
+      feed.includeFestivals ? this.feedFestivals(feed, window) : [],
+      feed.includeBirthdays ? this.feedBirthdays(feed) : []
+    ]);
+
+    const organizationName = feed.organization?.name || 'Alumni';
+    const ics = buildCalendar({
+      name: feed.scope === 'USER' ? `${organizationName} - My Events` : (feed.name || `${organizationName} Events`),
+      refreshHours: config.calendar.feedRefreshHours,
+      events: [...events, ...festivals, ...birthdays]
+    });
+
+    await prisma.calendarFeed.update({
+      where: { id: feed.id },
+      data: { lastAccessedAt: new Date(), accessCount: { increment: 1 } }
+    });
+
+    return { feed, ics };
+  }
+
+  static async feedEvents(feed, window) {
+    const organizationId = feed.organizationId || null;
+    const events = new Map();
+
+    if (feed.scope === 'USER' && feed.includeRegistered) {
+      const registrations = await prisma.eventRegistration.findMany({
+        where: {
+          userId: feed.userId,
+          status: 'CONFIRMED',
+          event: { organizationId, eventDate: window }
+        },
+        select: { event: { select: EVENT_SELECT } }
+      });
+
+      registrations.forEach(({ event }) => events.set(event.id, event));
+    }
+
+    if (feed.includePublished) {
+      const published = await prisma.event.findMany({
+        where: {
+          organizationId,
+          status: { in: FEED_EVENT_STATUSES },
+          eventDate: window,
+          ...NOT_SERIES_TEMPLATE
+        },
+        select: EVENT_SELECT,
+        orderBy: { eventDate: 'asc' }
+      });
+
+      published.forEach(event => events.set(event.id, event));
+    }
+
+    return [...events.values()].map(event => CalendarInviteService.toVEvent(event));
+  }
+
+  static async feedFestivals(feed, window) {
+    const festivals = await prisma.festival.findMany({
+      where: {
+        organizationId: feed.organizationId || null,
+        isActive: true,
+        date: window
+      },
+      orderBy: { date: 'asc' }
+    });
+
+    return festivals.map(festival => ({
+      uid: `festival-${festival.id}@${config.calendar.uidDomain}`,
+      stamp: festival.updatedAt,
+      start: utcDateParts(festival.date),
+      allDay: true,
+      summary: festival.name,
+      description: festival.description || festival.greetingMessage,
+      categories: ['Festival'],
+      transparent: true
+    }));
+  }
+
+  /**
+   * Yearly birthday entries for public profiles. DTSTART is this year's birthday so the
+   * birth year (and age) is never published.
+   */
+  static async feedBirthdays(feed) {
+    const byBatch = feed.scope === 'USER' && feed.birthdayScope === 'BATCH';
+
+    const users = await prisma.user.findMany({
+      where: {
+        organizationId: feed.organizationId || null,
+        isActive: true,
+        isProfilePublic: true,
+        dateOfBirth: { not: null },
+        role: { not: 'DEVELOPER' },
+        ...(byBatch && { batch: feed.user.batch })
+      },
+      select: { id: true, fullName: true, batch: true, dateOfBirth: true }
+    });
+
+    const year = new Date().getUTCFullYear();
+
+    return users.map(user => {
+      const { month, day } = utcDateParts(user.dateOfBirth);
+      const leapDay = month === 2 && day === 29;
+      const start = { year, month, day: leapDay ? new Date(Date.UTC(year, 2, 0)).getUTCDate() : day };
+
+      return {
+        uid: `birthday-${user.id}@${config.calendar.uidDomain}`,
+        start,
+        allDay: true,
+        // Leap-day birthdays fall on the last day of February in other years
+        rrule: leapDay ? 'FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=-1' : 'FREQ=YEARLY',
+        summary: `🎂 ${user.fullName}'s birthday`,
+        description: `Batch of ${user.batch}`,
+        categories: ['Birthday'],
+        transparent: true
+      };
+    });
+  }
+}
+
+module.exports = {
+  CalendarFeedService,
+  FEED_OPTION_FIELDS
+};
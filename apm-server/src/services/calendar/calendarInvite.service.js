@@ -0,0 +1,103 @@
+// src/services/calendar/calendarInvite.service.js
+// Builds iCalendar entries for events: feed entries and email invites (REQUEST/CANCEL)
+const config = require('../../config');
+const { buildCalendar, eventTimes } = require('../../utils/ical.util');
+
+// Event fields shown in a calendar entry; changing any of them re-sends invites
+const CALENDAR_FIELDS = ['title', 'eventDate', 'startTime', 'endTime', 'venue', 'meetingLink', 'eventMode'];
+
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+const sameValue = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    return a && b && new Date(a).getTime() === new Date(b).getTime();
+  }
+  return (a ?? null) === (b ?? null);
+};
+
+class CalendarInviteService {
+  // Stable across updates so calendar apps replace the entry instead of adding a new one
+  static eventUid(eventId) {
+    return `event-${eventId}@${config.calendar.uidDomain}`;
+  }
+
+  static eventUrl(event) {
+    const baseUrl = config.calendar.eventLinkBaseUrl;
+    return baseUrl ? `${baseUrl.replace(/\/$/, '')}/events/${event.slug || event.id}` : null;
+  }
+
+  /**
+   * Whether an update changes what attendees see in their calendar
+   * @param {Object} existing - Event before the update
+   * @param {Object} updates - Fields being written
+   */
+  static hasCalendarChanges(existing, updates) {
+    const fieldChanged = CALENDAR_FIELDS.some(field =>
+      updates[field] !== undefined && !sameValue(existing[field], updates[field])
+    );
+
+    // Cancelling (or reinstating) an event changes the entry; other status moves don't
+    const cancellationChanged = updates.status !== undefined &&
+      updates.status !== existing.status &&
+      (updates.status === 'CANCELLED' || existing.status === 'CANCELLED');
+
+    return fieldChanged || cancellationChanged;
+  }
+
+  /**
+   * VEVENT fields for an event
+   * @param {Object} event - Event with eventDate/startTime/endTime, venue, meetingLink, eventMode
+   * @param {Object} options - { cancelled, organizer, attendee } (people as { name, email })
+   */
+  static toVEvent(event, { cancelled = false, organizer = null, attendee = null } = {}) {
+    const { start, end, allDay } = eventTimes(event, config.calendar);
+    const isVirtual = event.eventMode === 'VIRTUAL';
+
+    const details = [
+      event.description?.length > MAX_DESCRIPTION_LENGTH
+        ? `${event.description.slice(0, MAX_DESCRIPTION_LENGTH)}…`
+        : event.description,
+      event.meetingLink && `Join online: ${event.meetingLink}`
+    ].filter(Boolean);
+
+    return {
+      uid: this.eventUid(event.id),
+      sequence: event.calendarSequence || 0,
+      stamp: event.updatedAt || new Date(),
+      start,
+      end,
+      allDay,
+      summary: event.title,
+      description: details.join('\n\n'),
+      location: isVirtual ? event.meetingLink : event.venue,
+      url: this.eventUrl(event),
+      status: cancelled || event.status === 'CANCELLED' ? 'CANCELLED' : 'CONFIRMED',
+      organizer,
+      attendee
+    };
+  }
+
+  /**
+   * Email attachment carrying a single-event invite
+   * @param {Object} event - Event (see toVEvent)
+   * @param {Object} options - { method: REQUEST|CANCEL, organizer, attendee }
+   * @returns {Object} { filename, content, contentType }
+   */
+  static inviteAttachment(event, { method = 'REQUEST', organizer, attendee }) {
+    const content = buildCalendar({
+      method,
+      events: [this.toVEvent(event, { cancelled: method === 'CANCEL', organizer, attendee })]
+    });
+
+    return {
+      filename: method === 'CANCEL' ? 'cancel.ics' : 'invite.ics',
+      content,
+      contentType: `text/calendar; charset=utf-8; method=${method}`
+    };
+  }
+}
+
+module.exports = {
+  CalendarInviteService,
+  CALENDAR_FIELDS
+};
@@ -0,0 +1,125 @@
+// src/services/calendar/calendarUpdate.service.js
+// Emails updated/cancelled calendar invites to registrants when an event changes
+const { prisma } = require('../../config/database');
+const { JobQueueService, JOB_TYPES } = require('../queue/jobQueue.service');
+const tenantEmailManager = require('../email/TenantEmailManager');
+
+// Edits made in quick succession are sent as one update
+const UPDATE_DELAY_MS = 2 * 60 * 1000;
+
+const EVENT_SELECT = {
+  id: true,
+  slug: true,
+  title: true,
+  description: true,
+  eventDate: true,
+  startTime: true,
+  endTime: true,
+  venue: true,
+  meetingLink: true,
+  eventMode: true,
+  status: true,
+  calendarSequence: true,
+  updatedAt: true,
+  organization: { select: { name: true, tenantCode: true } }
+};
+
+class CalendarUpdateService {
+  /**
+   * Queue invite updates after an event's calendarSequence was bumped
+   * @param {Object} event - { id, calendarSequence, organizationId }
+   */
+  static async queueEventUpdate(event) {
+    try {
+      return await JobQueueService.dispatch(
+        JOB_TYPES.EVENT_CALENDAR_UPDATE,
+        { eventId: event.id, sequence: event.calendarSequence },
+        {
+          jobId: `calendar-update:${event.id}:${event.calendarSequence}`,
+          delayMs: UPDATE_DELAY_MS,
+          organizationId: event.organizationId
+        }
+      );
+    } catch (error) {
+      console.error('Failed to queue calendar update:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Job handler: send the current event as REQUEST (changed) or CANCEL (cancelled) to confirmed registrants
+   * @returns {Promise<Object>} { sent, failed, skipped }
+   */
+  static async sendEventUpdates({ eventId, sequence }) {
+    const event = await prisma.event.findUnique({
+      where: { id: eventId },
+      select: EVENT_SELECT
+    });
+
+    // A later edit queued its own update
+    if (!event || event.calendarSequence !== sequence) {
+      return { sent: 0, failed: 0, skipped: true };
+    }
+
+    const registrations = await prisma.eventRegistration.findMany({
+      where: { eventId, status: 'CONFIRMED' },
+      select: { user: { select: { id: true, fullName: true, email: true, isActive: true } } }
+    });
+
+    const emailService = await tenantEmailManager.getServiceForTenant(event.organization?.tenantCode);
+    if (!emailService || registrations.length === 0) {
+      return { sent: 0, failed: 0, skipped: registrations.length > 0 };
+    }
+
+    const reason = event.status === 'CANCELLED' ? 'EVENT_CANCELLED' : 'EVENT_UPDATED';
+    let sent = 0;
+    let failed = 0;
+
+    for (const { user } of registrations) {
+      if (!user.isActive) continue;
+
+      try {
+        const result = await emailService.sendCalendarUpdate(user, event, {
+          reason,
+          organizationName: event.organization?.name
+        });
+        if (result?.success === false) {
+          failed++;
+        } else {
+          sent++;
+        }
+      } catch {
+        failed++;
+      }
+    }
+
+    console.log(`📅 Calendar ${reason === 'EVENT_CANCELLED' ? 'cancellations' : 'updates'} for ${event.title}: ${sent} sent, ${failed} failed`);
+    return { sent, failed, skipped: false };
+  }
+
+  /**
+   * Remove the event from one registrant's calendar after they cancel; failures are logged, never thrown
+   */
+  static async sendRegistrationCancellation(userId, eventId) {
+    try {
+      const [user, event] = await Promise.all([
+        prisma.user.findUnique({ where: { id: userId }, select: { id: true, fullName: true, email: true } }),
+        prisma.event.findUnique({ where: { id: eventId }, select: EVENT_SELECT })
+      ]);
+
+      if (!user || !event) return;
+
+      const emailService = await tenantEmailManager.getServiceForTenant(event.organization?.tenantCode);
+      if (emailService) {
+        await emailService.sendCalendarUpdate(user, event, {
+          reason: 'REGISTRATION_CANCELLED',
+          organizationName: event.organization?.name
+        });
+      }
+    } catch (error) {
+      console.error('Registration cancellation invite failed:', error);
+    }
+  }
+}
+
+module.exports = CalendarUpdateService;
@@ -1,22 +1,106 @@
 // src/services/cloudflare-r2.service.js
-const { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
-const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+// Storage facade - callers keep using this singleton while the actual backend
+// (Cloudflare R2 or local filesystem) is chosen per deployment or per tenant
 const crypto = require('crypto');
 const path = require('path');
+const { prisma } = require('../config/database');
+const { StorageDriverFactory } = require('./storage');
 
 class CloudflareR2Service {
   constructor() {
-    this.client = new S3Client({
-      region: 'auto',
-      endpoint: process.env.CLOUDFLARE_R2_ENDPOINT,
-      credentials: {
-        accessKeyId: process.env.CLOUDFLARE_R2_ACCESS_KEY_ID,
-        secretAccessKey: process.env.CLOUDFLARE_R2_SECRET_ACCESS_KEY,
-      },
-    });
+    // Drivers are created lazily so a deployment only needs config for the ones it uses
+    this.drivers = new Map();
 
-    this.bucketName = process.env.CLOUDFLARE_R2_BUCKET_NAME;
-    this.publicUrl = process.env.CLOUDFLARE_R2_PUBLIC_URL;
+    // Cache of tenantCode -> driver type (avoid an organization lookup per upload)
+    this.tenantDriverCache = new Map();
+    this.cacheExpiry = 5 * 60 * 1000; // 5 minutes cache
+  }
+
+  /**
+   * Get (or create) a driver instance by type
+   * @param {string} driverType - 'R2' or 'LOCAL'
+   */
+  getDriver(driverType) {
+    const type = String(driverType).toUpperCase();
+    if (!this.drivers.has(type)) {
+      this.drivers.set(type, StorageDriverFactory.create(type));
+    }
+    return this.drivers.get(type);
+  }
+
+  /**
+   * Deployment-wide default driver type.
+   * STORAGE_DRIVER wins; otherwise R2 when configured, local filesystem when not.
+   */
+  getDefaultDriverType() {
+    const configured = (process.env.STORAGE_DRIVER || '').toUpperCase();
+    if (StorageDriverFactory.getAvailableDrivers().includes(configured)) {
+      return configured;
+    }
+    return this.getDriver('R2').isConfigured() ? 'R2' : 'LOCAL';
+  }
+
+  /**
+   * Resolve the driver for a tenant (Organization.storageDriver overrides the default)
+   * @param {string} tenantCode - Tenant code (optional)
+   */
+  async resolveDriver(tenantCode = null) {
+    if (!tenantCode || tenantCode === 'default') {
+      return this.getDriver(this.getDefaultDriverType());
+    }
+
+    const cached = this.tenantDriverCache.get(tenantCode);
+    if (cached && cached.expiry > Date.now()) {
+      return this.getDriver(cached.driverType);
+    }
+
+    let driverType = this.getDefaultDriverType();
+    try {
+      const organization = await prisma.organization.findUnique({
+        where: { tenantCode },
+        select: { storageDriver: true },
+      });
+      if (organization?.storageDriver) {
+        driverType = organization.storageDriver;
+      }
+    } catch (error) {
+      console.error(`Storage driver lookup failed for tenant ${tenantCode}, using default:`, error.message);
+    }
+
+    this.tenantDriverCache.set(tenantCode, { driverType, expiry: Date.now() + this.cacheExpiry });
+    return this.getDriver(driverType);
+  }
+
+  /**
+   * Drop a cached tenant driver (call after changing Organization.storageDriver)
+   */
+  clearTenantDriverCache(tenantCode = null) {
+    if (tenantCode) {
+      this.tenantDriverCache.delete(tenantCode);
+    } else {
+      this.tenantDriverCache.clear();
+    }
+  }
+
+  /**
+   * Resolve the driver for an existing key from its tenants/{code}/ segment
+   */
+  async resolveDriverForKey(key) {
+    const match = /(?:^|\/)tenants\/([^/]+)\//.exec(key || '');
+    return this.resolveDriver(match ? match[1] : null);
+  }
+
+  /**
+   * Find the driver that produced a stored URL
+   */
+  getDriverForUrl(url) {
+    for (const driverType of StorageDriverFactory.getAvailableDrivers()) {
+      const driver = this.getDriver(driverType);
+      if (driver.ownsUrl(url)) {
+        return driver;
+      }
+    }
+    return null;
   }
 
   /**
@@ -46,7 +130,7 @@ class CloudflareR2Service {
   }
 
   /**
-   * Upload file to Cloudflare R2 (tenant-aware)
+   * Upload file to the tenant's storage driver (tenant-aware)
    * @param {Object} file - File object with buffer
    * @param {string} folder - Base folder path
    * @param {string} filename - Optional filename
@@ -62,34 +146,27 @@ class CloudflareR2Service {
       const tenantFolder = this.getTenantFolder(folder, tenantCode);
       const key = `${tenantFolder}/${filename || this.generateUniqueFilename(file.originalname)}`;
 
-      const command = new PutObjectCommand({
-        Bucket: this.bucketName,
-        Key: key,
-        Body: file.buffer,
-        ContentType: file.mimetype,
-        ContentLength: file.size,
-        Metadata: {
-          'original-name': file.originalname,
-          'upload-timestamp': Date.now().toString(),
-          'tenant-code': tenantCode || 'default',
-        },
+      const driver = await this.resolveDriver(tenantCode);
+      const response = await driver.upload(key, file, {
+        'original-name': file.originalname,
+        'upload-timestamp': Date.now().toString(),
+        'tenant-code': tenantCode || 'default',
       });
 
-      const response = await this.client.send(command);
-
       return {
         success: true,
         key,
-        url: `${this.publicUrl}/${key}`,
-        etag: response.ETag,
+        url: response.url,
+        etag: response.etag,
         filename: filename || this.generateUniqueFilename(file.originalname),
         originalName: file.originalname,
         size: file.size,
         mimetype: file.mimetype,
         tenantCode: tenantCode || 'default',
+        storageDriver: driver.name,
       };
     } catch (error) {
-      console.error('Cloudflare R2 upload error:', error);
+      console.error('Storage upload error:', error);
       throw new Error(`Failed to upload file: ${error.message}`);
     }
   }
@@ -303,23 +380,19 @@ class CloudflareR2Service {
   }
 
   /**
-   * Delete file from Cloudflare R2
+   * Delete file by key
    */
   async deleteFile(key) {
     try {
-      const command = new DeleteObjectCommand({
-        Bucket: this.bucketName,
-        Key: key,
-      });
-
-      await this.client.send(command);
+      const driver = await this.resolveDriverForKey(key);
+      await driver.delete(key);
       
       return {
         success: true,
         message: `File ${key} deleted successfully`,
       };
     } catch (error) {
-      console.error('Cloudflare R2 delete error:', error);
+      console.error('Storage delete error:', error);
       throw new Error(`Failed to delete file: ${error.message}`);
     }
   }
@@ -329,12 +402,8 @@ class CloudflareR2Service {
    */
   async getSignedUrl(key, expiresIn = 3600) {
     try {
-      const command = new GetObjectCommand({
-        Bucket: this.bucketName,
-        Key: key,
-      });
-
-      const signedUrl = await getSignedUrl(this.client, command, { expiresIn });
+      const driver = await this.resolveDriverForKey(key);
+      const signedUrl = await driver.getSignedUrl(key, expiresIn);
       
       return {
         success: true,
@@ -342,7 +411,7 @@ class CloudflareR2Service {
         expiresIn,
       };
     } catch (error) {
-      console.error('Cloudflare R2 signed URL error:', error);
+      console.error('Storage signed URL error:', error);
       throw new Error(`Failed to generate signed URL: ${error.message}`);
     }
   }
@@ -387,18 +456,17 @@ class CloudflareR2Service {
   }
 
   /**
-   * Extract key from URL for deletion
+   * Extract key from a stored file URL (works for every driver)
    */
   extractKeyFromUrl(url) {
     if (!url) return null;
-    
-    try {
-      const urlObj = new URL(url);
-      return urlObj.pathname.substring(1); // Remove leading slash
-    } catch (error) {
-      console.error('Failed to extract key from URL:', error);
-      return null;
+
+    const driver = this.getDriverForUrl(url) || this.getDriver('R2');
+    const key = driver.getKeyFromUrl(url);
+    if (!key) {
+      console.error('Failed to extract key from URL:', url);
     }
+    return key;
   }
 
   /**
@@ -406,122 +474,81 @@ class CloudflareR2Service {
    */
   async getFileInfo(key) {
     try {
-      const command = new GetObjectCommand({
-        Bucket: this.bucketName,
-        Key: key,
-      });
-
-      const response = await this.client.send(command);
+      const driver = await this.resolveDriverForKey(key);
+      const info = await driver.getFileInfo(key);
       
       return {
         success: true,
-        key,
-        size: response.ContentLength,
-        contentType: response.ContentType,
-        lastModified: response.LastModified,
-        metadata: response.Metadata,
+        ...info,
       };
     } catch (error) {
-      console.error('Cloudflare R2 file info error:', error);
+      console.error('Storage file info error:', error);
       throw new Error(`Failed to get file info: ${error.message}`);
     }
   }
 
   /**
-   * Get file content from R2
+   * Get file content from storage
+   * Falls back to the other configured driver so files written before a tenant
+   * switched backends stay readable.
    */
   async getFile(key) {
-    try {
-      const command = new GetObjectCommand({
-        Bucket: this.bucketName,
-        Key: key,
-      });
+    const primary = await this.resolveDriverForKey(key);
+    const candidates = [primary];
+    for (const driverType of StorageDriverFactory.getAvailableDrivers()) {
+      const driver = this.getDriver(driverType);
+      if (driver !== primary && driver.isConfigured()) {
+        candidates.push(driver);
+      }
+    }
 
-      const response = await this.client.send(command);
-      
-      // Convert stream to buffer
-      const chunks = [];
-      for await (const chunk of response.Body) {
-        chunks.push(chunk);
+    let lastError;
+    for (const driver of candidates) {
+      try {
+        const file = await driver.getFile(key);
+        return {
+          success: true,
+          ...file,
+        };
+      } catch (error) {
+        lastError = error;
       }
-      const buffer = Buffer.concat(chunks);
-      
-      return {
-        success: true,
-        data: buffer,
-        contentType: response.ContentType || 'application/octet-stream',
-        size: response.ContentLength,
-        lastModified: response.LastModified,
-      };
-    } catch (error) {
-      console.error('Cloudflare R2 get file error:', error);
-      return {
-        success: false,
-        error: error.message
-      };
     }
+
+    console.error('Storage get file error:', lastError);
+    return {
+      success: false,
+      error: lastError.message
+    };
   }
 
   /**
-   * Check if service is properly configured
+   * Check if the deployment's default storage driver is properly configured
    */
   isConfigured() {
-    return !!(
-      process.env.CLOUDFLARE_R2_ENDPOINT &&
-      process.env.CLOUDFLARE_R2_ACCESS_KEY_ID &&
-      process.env.CLOUDFLARE_R2_SECRET_ACCESS_KEY &&
-      process.env.CLOUDFLARE_R2_BUCKET_NAME &&
-      process.env.CLOUDFLARE_R2_PUBLIC_URL
-    );
+    return this.getDriver(this.getDefaultDriverType()).isConfigured();
   }
 
   /**
-   * Test connection to Cloudflare R2
+   * Test connection to a storage driver (deployment default when omitted)
    */
-  async testConnection() {
-    try {
-      if (!this.isConfigured()) {
-        throw new Error('Cloudflare R2 is not properly configured');
-      }
-
-      // Try to list objects to test connection
-      const command = new GetObjectCommand({
-        Bucket: this.bucketName,
-        Key: 'test-connection', // This will likely fail, but it tests the connection
-      });
-
-      await this.client.send(command);
-      
-      return { success: true, message: 'Connection successful' };
-    } catch (error) {
-      // Expected to fail for non-existent key, but connection errors will be different
-      if (error.name === 'NoSuchKey') {
-        return { success: true, message: 'Connection successful' };
-      }
-      
-      console.error('Cloudflare R2 connection test failed:', error);
-      return { success: false, message: error.message };
-    }
+  async testConnection(driverType = null) {
+    return this.getDriver(driverType || this.getDefaultDriverType()).testConnection();
   }
 
   /**
-   * Delete file from R2 by URL
+   * Delete file by its stored URL
    */
   async deleteFileByUrl(fileUrl) {
     try {
-      if (!fileUrl || !fileUrl.includes(this.publicUrl)) {
+      // Only URLs under a driver's publicUrl; signed local URLs lose their query
+      const driver = this.getDriverForUrl(fileUrl);
+      const key = driver?.parseOwnedUrl(fileUrl);
+      if (!key) {
         throw new Error('Invalid file URL');
       }
 
-      // Extract the key from the URL
-      const key = fileUrl.replace(this.publicUrl + '/', '');
-
-      const command = new DeleteObjectCommand({
-        Bucket: this.bucketName,
-        Key: key,
-      });
-
-      await this.client.send(command);
+      await driver.delete(key);
 
       return {
         success: true,
@@ -529,7 +556,7 @@ class CloudflareR2Service {
         key,
       };
     } catch (error) {
-      console.error('Cloudflare R2 delete file error:', error);
+      console.error('Storage delete file error:', error);
       throw new Error(`Failed to delete file: ${error.message}`);
     }
   }
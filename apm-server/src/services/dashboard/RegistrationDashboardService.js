@@ -9,6 +9,7 @@ class RegistrationDashboardService {
       adminDashboard: (eventId) => `dashboard:admin:${eventId}`,
       batchStats: (eventId) => `dashboard:batch:${eventId}`,
       privacySettings: (eventId) => `privacy:${eventId}`,
+      seriesDashboard: (seriesId) => `dashboard:series:${seriesId}`,
     };
   }
 
@@ -79,9 +80,8 @@ class RegistrationDashboardService {
   // ADMIN REGISTRATION DASHBOARD
   // ==========================================
 
-  async getAdminRegistrationDashboard(eventId, options = {}) {
+  async getAdminRegistrationDashboard(eventId, options = {}, organizationId = null) {
     try {
-      const { page = 1, limit = 20, sortBy = 'registrationDate', sortOrder = 'desc', search, batch, status } = options;
       
       const cacheKey = `${this.cacheKeys.adminDashboard(eventId)}_${JSON.stringify(options)}`;
       
@@ -103,7 +103,7 @@ class RegistrationDashboardService {
       const statistics = await this.getAdminStatistics(eventId);
 
       // Get batch-wise breakdown
-      const batchStats = await this.getBatchWiseStats(eventId);
+      const batchStats = await this.getBatchWiseStats(eventId, organizationId);
 
       const dashboard = {
         event: {
@@ -143,7 +143,7 @@ class RegistrationDashboardService {
   // BATCH-WISE REGISTRATION VIEW
   // ==========================================
 
-  async getBatchWiseRegistrations(eventId) {
+  async getBatchWiseRegistrations(eventId, organizationId = null) {
     try {
       const cacheKey = this.cacheKeys.batchStats(eventId);
       
@@ -162,9 +162,11 @@ class RegistrationDashboardService {
           COUNT(DISTINCT CASE WHEN er."paymentStatus" = 'COMPLETED' THEN er.id END) as paid_registrations,
           COUNT(DISTINCT ci."registrationId") as checked_in_count
         FROM event_registrations er
+        JOIN events e ON er."eventId" = e.id
         JOIN users u ON er."userId" = u.id
         LEFT JOIN event_check_ins ci ON er.id = ci."registrationId"
         WHERE er."eventId" = ${eventId}
+          AND (${organizationId}::text IS NULL OR e."organizationId" = ${organizationId})
           AND er.status = 'CONFIRMED'
         GROUP BY u.batch
         ORDER BY u.batch DESC
@@ -654,8 +656,140 @@ class RegistrationDashboardService {
     };
   }
 
-  async getBatchWiseStats(eventId) {
-    return await this.getBatchWiseRegistrations(eventId);
+  // ==========================================
+  // SERIES DASHBOARD (RECURRING EVENTS)
+  // ==========================================
+
+  async getSeriesDashboard(seriesId) {
+    try {
+      const cacheKey = this.cacheKeys.seriesDashboard(seriesId);
+
+      const cached = await CacheService.get(cacheKey);
+      if (cached) return cached;
+
+      const series = await prisma.eventSeries.findUnique({
+        where: { id: seriesId },
+        select: {
+          id: true,
+          title: true,
+          frequency: true,
+          occurrences: {
+            orderBy: { eventDate: 'asc' },
+            select: { id: true, title: true, eventDate: true, status: true, maxCapacity: true }
+          }
+        }
+      });
+
+      if (!series) {
+        throw new Error('Event series not found');
+      }
+
+      const eventIds = series.occurrences.map(occurrence => occurrence.id);
+
+      const [statusCounts, confirmed] = await Promise.all([
+        prisma.eventRegistration.groupBy({
+          by: ['eventId', 'status'],
+          where: { eventId: { in: eventIds } },
+          _count: { id: true }
+        }),
+        prisma.eventRegistration.findMany({
+          where: { eventId: { in: eventIds }, status: 'CONFIRMED' },
+          select: {
+            eventId: true,
+            userId: true,
+            totalAmount: true,
+            activeGuests: true,
+            _count: { select: { checkIns: true } }
+          }
+        })
+      ]);
+
+      const now = new Date();
+      const seenUsers = new Set();
+      const attendanceByUser = {};
+
+      const occurrences = series.occurrences.map(occurrence => {
+        const registrations = confirmed.filter(registration => registration.eventId === occurrence.id);
+        const counts = statusCounts
+          .filter(count => count.eventId === occurrence.id)
+          .reduce((acc, count) => {
+            acc[count.status] = count._count.id;
+            return acc;
+          }, {});
+
+        // Registrants who had already signed up for an earlier occurrence
+        const returning = registrations.filter(registration => seenUsers.has(registration.userId)).length;
+        registrations.forEach(registration => {
+          seenUsers.add(registration.userId);
+          attendanceByUser[registration.userId] = (attendanceByUser[registration.userId] || 0) + 1;
+        });
+
+        const checkedIn = registrations.filter(registration => registration._count.checkIns > 0).length;
+
+        return {
+          id: occurrence.id,
+          title: occurrence.title,
+          eventDate: occurrence.eventDate,
+          status: occurrence.status,
+          isPast: occurrence.eventDate < now,
+          confirmedRegistrations: registrations.length,
+          waitlistedRegistrations: counts.WAITLIST || 0,
+          cancelledRegistrations: counts.CANCELLED || 0,
+          returningRegistrants: returning,
+          totalGuests: registrations.reduce((sum, registration) => sum + registration.activeGuests, 0),
+          totalRevenue: registrations.reduce((sum, registration) => sum + Number(registration.totalAmount), 0),
+          checkedInCount: checkedIn,
+          attendanceRate: registrations.length > 0 ? Math.round((checkedIn / registrations.length) * 100) : 0,
+          fillRate: occurrence.maxCapacity
+            ? Math.round((registrations.length / occurrence.maxCapacity) * 100)
+            : null
+        };
+      });
+
+      const held = occurrences.filter(occurrence => occurrence.isPast && occurrence.status !== 'CANCELLED');
+      const attendeeCounts = Object.values(attendanceByUser);
+      const sum = (items, field) => items.reduce((total, item) => total + item[field], 0);
+
+      const dashboard = {
+        series: {
+          id: series.id,
+          title: series.title,
+          frequency: series.frequency
+        },
+        statistics: {
+          totalOccurrences: occurrences.length,
+          heldOccurrences: held.length,
+          upcomingOccurrences: occurrences.filter(occurrence => !occurrence.isPast && occurrence.status !== 'CANCELLED').length,
+          cancelledOccurrences: occurrences.filter(occurrence => occurrence.status === 'CANCELLED').length,
+          totalRegistrations: confirmed.length,
+          uniqueRegistrants: attendeeCounts.length,
+          repeatRegistrants: attendeeCounts.filter(count => count > 1).length,
+          totalGuests: sum(occurrences, 'totalGuests'),
+          totalRevenue: sum(occurrences, 'totalRevenue'),
+          averageRegistrationsPerOccurrence: held.length > 0
+            ? Math.round(sum(held, 'confirmedRegistrations') / held.length)
+            : 0,
+          averageAttendanceRate: held.length > 0
+            ? Math.round(sum(held, 'attendanceRate') / held.length)
+            : 0
+        },
+        occurrences,
+        generatedAt: new Date().toISOString()
+      };
+
+      // Cache for 10 minutes
+      await CacheService.set(cacheKey, dashboard, 10 * 60);
+
+      return dashboard;
+
+    } catch (error) {
+      console.error('Series dashboard error:', error);
+      throw error;
+    }
+  }
+
+  async getBatchWiseStats(eventId, organizationId = null) {
+    return await this.getBatchWiseRegistrations(eventId, organizationId);
   }
 
   async getPublicRegistrations(eventId) {
@@ -0,0 +1,502 @@
+// src/services/digest/communityDigest.service.js
+// Weekly per-tenant email roundup of community activity: new posts, upcoming events, open polls,
+// new photos, active LifeLink requests, upcoming birthdays and newly verified batchmates
+const crypto = require('crypto');
+const { prisma } = require('../../config/database');
+const config = require('../../config');
+const { JobQueueService, JOB_TYPES } = require('../queue/jobQueue.service');
+const { NotificationPreferenceService } = require('../notificationPreference.service');
+const BirthdayService = require('../birthday/BirthdayService');
+const tenantEmailManager = require('../email/TenantEmailManager');
+
+const DIGEST_TYPE = 'COMMUNITY_DIGEST';
+const SECTIONS = ['portal', 'posts', 'events', 'polls', 'photos', 'lifelink', 'birthdays', 'batchmates'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const UPCOMING_EVENT_STATUSES = ['PUBLISHED', 'REGISTRATION_OPEN', 'REGISTRATION_CLOSED'];
+
+const BLOOD_GROUP_LABELS = {
+  A_POSITIVE: 'A+',
+  A_NEGATIVE: 'A-',
+  B_POSITIVE: 'B+',
+  B_NEGATIVE: 'B-',
+  AB_POSITIVE: 'AB+',
+  AB_NEGATIVE: 'AB-',
+  O_POSITIVE: 'O+',
+  O_NEGATIVE: 'O-'
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short',
+  timeZone: config.notifications.defaultTimezone
+});
+
+/**
+ * Monday (YYYY-MM-DD, IST) of the week containing the given time
+ */
+const weekStartOf = (at) => {
+  const day = new Intl.DateTimeFormat('en-CA', { timeZone: config.notifications.defaultTimezone }).format(at);
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+};
+
+// Redirect targets are always frontend paths, so click links can't be used as open redirects
+const safePath = (path) => (typeof path === 'string' && /^\/(?![/\\])/.test(path) ? path : '/');
+
+const generateToken = () => crypto.randomBytes(24).toString('base64url');
+
+class CommunityDigestService {
+  // ==========================================
+  // SCHEDULING
+  // ==========================================
+
+  /**
+   * Cron handler: queue one digest job per active organization for this week
+   * @returns {Promise<Object>} { weekStart, queued }
+   */
+  static async queueTenantDigests(at = new Date()) {
+    const weekStart = weekStartOf(at);
+    const organizations = await prisma.organization.findMany({
+      where: { isActive: true },
+      select: { id: true }
+    });
+
+    for (const organization of organizations) {
+      await JobQueueService.dispatch(
+        JOB_TYPES.COMMUNITY_DIGEST_TENANT,
+        { organizationId: organization.id, weekStart },
+        {
+          jobId: `community-digest:${organization.id}:${weekStart}`,
+          organizationId: organization.id
+        }
+      );
+    }
+
+    console.log(`📰 Community digests queued for ${organizations.length} organizations (week of ${weekStart})`);
+    return { weekStart, queued: organizations.length };
+  }
+
+  // ==========================================
+  // SENDING
+  // ==========================================
+
+  /**
+   * Job handler: build and email one organization's digest. Safe to re-run for the same week:
+   * members who already have a recipient row are not emailed again.
+   * @returns {Promise<Object>} { digestId, sent, skipped, failed }
+   */
+  static async sendTenantDigest({ organizationId, weekStart }) {
+    const organization = await prisma.organization.findUnique({
+      where: { id: organizationId },
+      select: { id: true, name: true, shortName: true, tenantCode: true, isActive: true }
+    });
+
+    if (!organization?.isActive) {
+      return { digestId: null, sent: 0, skipped: 0, failed: 0 };
+    }
+
+    const now = new Date();
+    const week = new Date(`${weekStart}T00:00:00Z`);
+
+    let digest = await prisma.communityDigest.findUnique({
+      where: { organizationId_weekStart: { organizationId, weekStart: week } }
+    });
+
+    if (digest?.completedAt) {
+      return { digestId: digest.id, sent: 0, skipped: 0, failed: 0 };
+    }
+
+    // A retried run keeps the original window so everyone gets the same content
+    const periodStart = digest?.periodStart || new Date(now.getTime() - config.communityDigest.lookbackDays * DAY_MS);
+    const content = await this.buildContent(organizationId, periodStart, now);
+
+    if (!digest) {
+      digest = await prisma.communityDigest.create({
+        data: { organizationId, weekStart: week, periodStart, sections: content.counts }
+      });
+    }
+
+    const hasSharedContent = Object.entries(content.counts).some(([section, count]) => section !== 'batchmates' && count > 0);
+    if (!hasSharedContent && content.newMembers.length === 0) {
+      await prisma.communityDigest.update({ where: { id: digest.id }, data: { completedAt: new Date() } });
+      console.log(`📰 No community activity for ${organization.name} this week, digest not sent`);
+      return { digestId: digest.id, sent: 0, skipped: 0, failed: 0 };
+    }
+
+    const members = await prisma.user.findMany({
+      where: {
+        organizationId,
+        isActive: true,
+        isAlumniVerified: true,
+        role: { not: 'DEVELOPER' },
+        communityDigests: { none: { digestId: digest.id } }
+      },
+      select: { id: true, fullName: true, email: true, batch: true }
+    });
+
+    const preferences = await NotificationPreferenceService.getPreferences(members.map(member => member.id));
+    const emailService = await tenantEmailManager.getServiceForTenant(organization.tenantCode);
+    if (!emailService) {
+      throw new Error(`No email service available for ${organization.tenantCode}`);
+    }
+
+    const totals = { sent: 0, skipped: 0, failed: 0 };
+
+    for (const member of members) {
+      const token = generateToken();
+      let status = 'SENT';
+      let error = null;
+
+      try {
+        const sections = this.sectionsFor(member, content, token);
+
+        if (!NotificationPreferenceService.isChannelEnabled(preferences.get(member.id), DIGEST_TYPE, 'EMAIL')) {
+          status = 'SKIPPED';
+          error = 'Unsubscribed from community digests';
+        } else if (!sections) {
+          status = 'SKIPPED';
+          error = 'Nothing new for this member';
+        } else {
+          const result = await emailService.sendCommunityDigest(member, {
+            digestId: digest.id,
+            organizationName: organization.name,
+            periodLabel: `${formatDate(periodStart)} – ${formatDate(now)}`,
+            portalUrl: this.link(token, 'portal', '/'),
+            ...sections
+          });
+
+          if (result?.success === false) {
+            status = result.skipped || result.suppressed ? 'SKIPPED' : 'FAILED';
+            error = result.error || null;
+          }
+        }
+      } catch (sendError) {
+        status = 'FAILED';
+        error = sendError.message;
+        console.error(`❌ Community digest to user ${member.id} failed:`, sendError);
+      }
+
+      await prisma.communityDigestRecipient.create({
+        data: { digestId: digest.id, userId: member.id, token, status, error }
+      });
+      totals[status.toLowerCase()]++;
+    }
+
+    // Counted from the recipient rows so members handled by an earlier, interrupted run are included
+    const byStatus = await prisma.communityDigestRecipient.groupBy({
+      by: ['status'],
+      where: { digestId: digest.id },
+      _count: { _all: true }
+    });
+    const count = (status) => byStatus.find(group => group.status === status)?._count._all || 0;
+
+    await prisma.communityDigest.update({
+      where: { id: digest.id },
+      data: {
+        recipientCount: count('SENT') + count('SKIPPED') + count('FAILED'),
+        sentCount: count('SENT'),
+        skippedCount: count('SKIPPED'),
+        failedCount: count('FAILED'),
+        completedAt: new Date()
+      }
+    });
+
+    console.log(`📰 Community digest for ${organization.name}: ${totals.sent} sent, ${totals.skipped} skipped, ${totals.failed} failed`);
+    return { digestId: digest.id, ...totals };
+  }
+
+  // ==========================================
+  // CONTENT
+  // ==========================================
+
+  /**
+   * Organization-wide digest content; per-member sections are picked in sectionsFor()
+   * @returns {Promise<Object>} Section items, totals (counts) and new members by batch
+   */
+  static async buildContent(organizationId, since, now = new Date()) {
+    const { maxItemsPerSection, upcomingEventDays, upcomingBirthdayDays } = config.communityDigest;
+    const postWhere = { organizationId, isPublished: true, isArchived: false, createdAt: { gte: since } };
+    const eventWhere = {
+      organizationId,
+      status: { in: UPCOMING_EVENT_STATUSES },
+      eventDate: { gte: now, lte: new Date(now.getTime() + upcomingEventDays * DAY_MS) }
+    };
+    const pollWhere = { organizationId, isActive: true, OR: [{ expiresAt: null }, { expiresAt: { gt: now } }] };
+    const requisitionWhere = { organizationId, status: 'ACTIVE', requiredByDate: { gte: now } };
+
+    const [
+      posts, postCount,
+      events, eventCount,
+      polls, pollCount,
+      photoGroups,
+      requisitions, requisitionCount,
+      birthdayDays,
+      newMembers
+    ] = await Promise.all([
+      prisma.post.findMany({
+        where: postWhere,
+        select: { id: true, title: true, category: true, author: { select: { fullName: true, batch: true } } },
+        orderBy: { createdAt: 'desc' },
+        take: maxItemsPerSection
+      }),
+      prisma.post.count({ where: postWhere }),
+      prisma.event.findMany({
+        where: eventWhere,
+        select: { id: true, slug: true, title: true, eventDate: true, startTime: true, venue: true, eventMode: true },
+        orderBy: { eventDate: 'asc' },
+        take: maxItemsPerSection
+      }),
+      prisma.event.count({ where: eventWhere }),
+      prisma.poll.findMany({
+        where: pollWhere,
+        select: { id: true, title: true, expiresAt: true, _count: { select: { votes: true } } },
+        orderBy: { createdAt: 'desc' },
+        take: maxItemsPerSection
+      }),
+      prisma.poll.count({ where: pollWhere }),
+      prisma.photo.groupBy({
+        by: ['albumId'],
+        where: { organizationId, albumId: { not: null }, createdAt: { gte: since } },
+        _count: { _all: true }
+      }),
+      prisma.bloodRequisition.findMany({
+        where: requisitionWhere,
+        select: {
+          id: true, requiredBloodGroup: true, unitsNeeded: true, urgencyLevel: true,
+          hospitalName: true, location: true, requiredByDate: true
+        },
+        orderBy: { requiredByDate: 'asc' },
+        take: maxItemsPerSection
+      }),
+      prisma.bloodRequisition.count({ where: requisitionWhere }),
+      BirthdayService.getUpcomingBirthdays(upcomingBirthdayDays, organizationId),
+      prisma.user.findMany({
+        where: { organizationId, isActive: true, isAlumniVerified: true, alumniVerifiedAt: { gte: since } },
+        select: { id: true, fullName: true, batch: true },
+        orderBy: { alumniVerifiedAt: 'desc' }
+      })
+    ]);
+
+    // Albums with new photos, busiest first; archived albums are left out
+    const albums = await prisma.album.findMany({
+      where: { id: { in: photoGroups.map(group => group.albumId) }, isArchived: false },
+      select: { id: true, name: true }
+    });
+    const photoCounts = new Map(photoGroups.map(group => [group.albumId, group._count._all]));
+    const sortedAlbums = albums
+      .map(album => ({ ...album, photoCount: photoCounts.get(album.id) }))
+      .sort((a, b) => b.photoCount - a.photoCount);
+
+    // Only members with public profiles are listed
+    const birthdays = birthdayDays.flatMap(day => day.birthdays
+      .filter(user => user.isProfilePublic)
+      .map(user => ({ id: user.id, fullName: user.fullName, batch: user.batch, date: formatDate(day.date) })));
+
+    return {
+      posts,
+      events,
+      polls,
+      albums: sortedAlbums.slice(0, maxItemsPerSection),
+      requisitions,
+      birthdays,
+      newMembers,
+      counts: {
+        posts: postCount,
+        events: eventCount,
+        polls: pollCount,
+        photos: sortedAlbums.reduce((total, album) => total + album.photoCount, 0),
+        lifelink: requisitionCount,
+        birthdays: birthdays.length,
+        batchmates: newMembers.length
+      }
+    };
+  }
+
+  /**
+   * One member's template sections with their click-tracked links
+   * @returns {Object|null} null when there is nothing to show them
+   */
+  static sectionsFor(member, content, token) {
+    const { maxItemsPerSection } = config.communityDigest;
+    const link = (section, path) => this.link(token, section, path);
+    const more = (total, shown) => (total > shown ? total - shown : 0);
+
+    const batchmates = content.newMembers.filter(user => user.batch === member.batch && user.id !== member.id);
+    const birthdays = content.birthdays.filter(user => user.id !== member.id);
+
+    const sections = {
+      posts: content.posts.map(post => ({
+        title: post.title,
+        authorName: post.author?.fullName,
+        authorBatch: post.author?.batch,
+        url: link('posts', `/posts/${post.id}`)
+      })),
+      morePosts: more(content.counts.posts, content.posts.length),
+      events: content.events.map(event => ({
+        title: event.title,
+        date: formatDate(event.eventDate),
+        time: event.startTime,
+        venue: event.eventMode === 'VIRTUAL' ? 'Online' : event.venue,
+        url: link('events', `/events/${event.slug || event.id}`)
+      })),
+      moreEvents: more(content.counts.events, content.events.length),
+      polls: content.polls.map(poll => ({
+        title: poll.title,
+        closes: poll.expiresAt ? formatDate(poll.expiresAt) : null,
+        voteCount: poll._count.votes,
+        url: link('polls', `/polls/${poll.id}`)
+      })),
+      morePolls: more(content.counts.polls, content.polls.length),
+      albums: content.albums.map(album => ({
+        name: album.name,
+        photoCount: album.photoCount,
+        url: link('photos', `/albums/${album.id}`)
+      })),
+      requisitions: content.requisitions.map(requisition => ({
+        bloodGroup: BLOOD_GROUP_LABELS[requisition.requiredBloodGroup] || requisition.requiredBloodGroup,
+        units: requisition.unitsNeeded,
+        hospital: requisition.hospitalName,
+        location: requisition.location,
+        neededBy: formatDate(requisition.requiredByDate),
+        isUrgent: requisition.urgencyLevel === 'HIGH',
+        url: link('lifelink', `/lifelink/requisitions/${requisition.id}`)
+      })),
+      moreRequisitions: more(content.counts.lifelink, content.requisitions.length),
+      birthdays: birthdays.slice(0, maxItemsPerSection).map(user => ({
+        name: user.fullName,
+        batch: user.batch,
+        date: user.date,
+        url: link('birthdays', `/alumni/${user.id}`)
+      })),
+      moreBirthdays: more(birthdays.length, maxItemsPerSection),
+      batch: member.batch,
+      batchmates: batchmates.slice(0, maxItemsPerSection).map(user => ({
+        name: user.fullName,
+        url: link('batchmates', `/alumni/${user.id}`)
+      })),
+      moreBatchmates: more(batchmates.length, maxItemsPerSection)
+    };
+
+    const isEmpty = ['posts', 'events', 'polls', 'albums', 'requisitions', 'birthdays', 'batchmates']
+      .every(key => sections[key].length === 0);
+
+    return isEmpty ? null : sections;
+  }
+
+  // ==========================================
+  // CLICK TRACKING
+  // ==========================================
+
+  /**
+   * Link through the click tracker, or straight to the frontend when tracking isn't configured
+   */
+  static link(token, section, path) {
+    const { frontendUrl, trackingBaseUrl } = config.communityDigest;
+    if (!trackingBaseUrl) {
+      return `${frontendUrl.replace(/\/$/, '')}${path}`;
+    }
+
+    const query = new URLSearchParams({ section, to: path });
+    return `${trackingBaseUrl.replace(/\/$/, '')}/api/notifications/digest/click/${token}?${query}`;
+  }
+
+  /**
+   * Record a click and return the frontend URL to redirect to. Tracking failures and unknown
+   * tokens never break the link.
+   * @param {string} token - Recipient token from the link
+   * @param {Object} link - { section, to } from the link query
+   * @param {boolean} record - false for requests that shouldn't count (HEAD from link scanners)
+   * @returns {Promise<string>} Redirect URL
+   */
+  static async recordClick(token, { section, to } = {}, record = true) {
+    const path = safePath(to);
+    const url = `${config.communityDigest.frontendUrl.replace(/\/$/, '')}${path}`;
+
+    if (!record) return url;
+
+    try {
+      const recipient = await prisma.communityDigestRecipient.findUnique({
+        where: { token },
+        select: { id: true, firstClickedAt: true }
+      });
+
+      if (recipient) {
+        await prisma.$transaction([
+          prisma.communityDigestClick.create({
+            data: {
+              recipientId: recipient.id,
+              section: SECTIONS.includes(section) ? section : 'other',
+              path: path.slice(0, 500)
+            }
+          }),
+          prisma.communityDigestRecipient.update({
+            where: { id: recipient.id },
+            data: { clickCount: { increment: 1 }, firstClickedAt: recipient.firstClickedAt || new Date() }
+          })
+        ]);
+      }
+    } catch (error) {
+      console.error('Community digest click tracking failed:', error);
+    }
+
+    return url;
+  }
+
+  // ==========================================
+  // ADMIN STATS
+  // ==========================================
+
+  /**
+   * Recent digests with delivery and click-through numbers
+   * @param {string} organizationId
+   * @param {Object} options - { weeks }
+   */
+  static async getStats(organizationId, { weeks = 8 } = {}) {
+    const digests = await prisma.communityDigest.findMany({
+      where: { organizationId },
+      orderBy: { weekStart: 'desc' },
+      take: weeks
+    });
+    const digestIds = digests.map(digest => digest.id);
+
+    const [clickers, sectionClicks] = await Promise.all([
+      prisma.communityDigestRecipient.groupBy({
+        by: ['digestId'],
+        where: { digestId: { in: digestIds }, clickCount: { gt: 0 } },
+        _count: { _all: true }
+      }),
+      prisma.communityDigestClick.groupBy({
+        by: ['section'],
+        where: { recipient: { digestId: { in: digestIds } } },
+        _count: { _all: true }
+      })
+    ]);
+
+    const clickersByDigest = new Map(clickers.map(group => [group.digestId, group._count._all]));
+
+    return {
+      digests: digests.map(digest => {
+        const clickedCount = clickersByDigest.get(digest.id) || 0;
+        return {
+          id: digest.id,
+          weekStart: digest.weekStart.toISOString().slice(0, 10),
+          sections: digest.sections,
+          recipientCount: digest.recipientCount,
+          sentCount: digest.sentCount,
+          skippedCount: digest.skippedCount,
+          failedCount: digest.failedCount,
+          clickedCount,
+          clickRate: digest.sentCount > 0 ? Math.round((clickedCount / digest.sentCount) * 1000) / 10 : 0,
+          startedAt: digest.startedAt,
+          completedAt: digest.completedAt
+        };
+      }),
+      clicksBySection: Object.fromEntries(sectionClicks.map(group => [group.section, group._count._all]))
+    };
+  }
+}
+
+module.exports = CommunityDigestService;
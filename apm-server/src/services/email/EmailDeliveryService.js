@@ -0,0 +1,658 @@
+// src/services/email/EmailDeliveryService.js
+// Email delivery tracking: records every send per provider message id, ingests the
+// providers' delivery webhooks as normalized events and suppresses addresses that
+// hard-bounce or complain
+
+const crypto = require('crypto');
+const config = require('../../config');
+const { prisma } = require('../../config/database');
+const { CacheService } = require('../../config/redis');
+
+const PROVIDERS = ['SMTP', 'GMAIL', 'SENDGRID', 'RESEND', 'MAILGUN', 'MAILERSEND', 'SES'];
+
+// Blacklist entries created from delivery events; these stop mail, not account access
+const SUPPRESSION_SOURCES = ['HARD_BOUNCE', 'COMPLAINT'];
+
+const MESSAGE_STATUSES = ['SENT', 'DELIVERED', 'BOUNCED', 'COMPLAINED', 'SUPPRESSED', 'FAILED'];
+
+const SUPPRESSION_CACHE_TTL = 10 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const deliveryError = (message, statusCode, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+// Providers wrap ids differently (nodemailer/Mailgun use <id@host>)
+const normalizeMessageId = (id) => (id ? String(id).trim().replace(/^<|>$/g, '') : null);
+
+const normalizeEmail = (email) => (email ? String(email).trim().toLowerCase() : null);
+
+// Unix seconds, milliseconds or ISO strings
+const toDate = (value) => {
+  if (value === undefined || value === null || value === '') return new Date();
+  const date = typeof value === 'number'
+    ? new Date(value < 1e12 ? value * 1000 : value)
+    : new Date(value);
+  return Number.isNaN(date.getTime()) ? new Date() : date;
+};
+
+const percent = (count, total) => (total > 0 ? Number(((count / total) * 100).toFixed(1)) : 0);
+
+// sendEmail(to, subject, html, data, options) or Gmail's sendEmail({ to, subject, ... })
+const sendArgs = (args) => (
+  args[0] && typeof args[0] === 'object' && !Array.isArray(args[0]) && args[0].to
+    ? { to: args[0].to, subject: args[0].subject }
+    : { to: args[0], subject: args[1] }
+);
+
+const SENDGRID_EVENTS = {
+  delivered: 'DELIVERED',
+  bounce: 'BOUNCED',
+  spamreport: 'COMPLAINED',
+  open: 'OPENED'
+};
+
+const RESEND_EVENTS = {
+  'email.delivered': 'DELIVERED',
+  'email.bounced': 'BOUNCED',
+  'email.complained': 'COMPLAINED',
+  'email.opened': 'OPENED'
+};
+
+const MAILERSEND_EVENTS = {
+  'activity.delivered': 'DELIVERED',
+  'activity.hard_bounced': 'BOUNCED',
+  'activity.soft_bounced': 'BOUNCED',
+  'activity.spam_complaint': 'COMPLAINED',
+  'activity.opened': 'OPENED'
+};
+
+const MAILGUN_EVENTS = {
+  delivered: 'DELIVERED',
+  failed: 'BOUNCED',
+  complained: 'COMPLAINED',
+  opened: 'OPENED'
+};
+
+// Our own payload for providers without delivery webhooks (Gmail, SMTP relays, SES via a forwarder):
+// { events: [{ id, messageId, email, type: delivered|bounced|complained|opened, bounceType: hard|soft, reason, occurredAt }] }
+const GENERIC_EVENTS = {
+  delivered: 'DELIVERED',
+  bounced: 'BOUNCED',
+  complained: 'COMPLAINED',
+  opened: 'OPENED'
+};
+
+// Provider webhook body -> [{ eventId, messageId, email, type, bounceType, reason, occurredAt, payload }]
+const NORMALIZERS = {
+  SENDGRID: (body) => [].concat(body || []).map((event) => {
+    const type = SENDGRID_EVENTS[event.event];
+    if (!type) return null;
+
+    return {
+      eventId: event.sg_event_id,
+      // sg_message_id is "<x-message-id>.<filter suffix>"
+      messageId: event.sg_message_id ? String(event.sg_message_id).split('.')[0] : null,
+      email: event.email,
+      type,
+      bounceType: type === 'BOUNCED' ? (event.type === 'blocked' ? 'SOFT' : 'HARD') : null,
+      reason: event.reason || event.response,
+      occurredAt: toDate(event.timestamp),
+      payload: event
+    };
+  }),
+
+  RESEND: (body, headers) => {
+    const type = RESEND_EVENTS[body?.type];
+    if (!type) return [];
+    const data = body.data || {};
+
+    return [{
+      eventId: headers['svix-id'],
+      messageId: data.email_id,
+      email: [].concat(data.to || [])[0],
+      type,
+      bounceType: type === 'BOUNCED' ? (data.bounce?.type === 'Transient' ? 'SOFT' : 'HARD') : null,
+      reason: data.bounce?.message,
+      occurredAt: toDate(body.created_at),
+      payload: body
+    }];
+  },
+
+  MAILERSEND: (body) => {
+    const type = MAILERSEND_EVENTS[body?.type];
+    if (!type) return [];
+    const data = body.data || {};
+
+    return [{
+      eventId: data.id,
+      messageId: data.email?.message?.id,
+      email: data.email?.recipient?.email,
+      type,
+      bounceType: type === 'BOUNCED' ? (body.type === 'activity.hard_bounced' ? 'HARD' : 'SOFT') : null,
+      reason: data.morph?.readable_reason || data.morph?.reason,
+      occurredAt: toDate(data.created_at || body.created_at),
+      payload: body
+    }];
+  },
+
+  MAILGUN: (body) => {
+    const data = body?.['event-data'] || {};
+    const type = MAILGUN_EVENTS[data.event];
+    if (!type) return [];
+
+    return [{
+      eventId: data.id,
+      messageId: data.message?.headers?.['message-id'],
+      email: data.recipient,
+      type,
+      bounceType: type === 'BOUNCED' ? (data.severity === 'permanent' ? 'HARD' : 'SOFT') : null,
+      reason: data['delivery-status']?.description || data['delivery-status']?.message || data.reason,
+      occurredAt: toDate(data.timestamp),
+      payload: data
+    }];
+  },
+
+  GENERIC: (body) => [].concat(body?.events || []).map((event) => {
+    const type = GENERIC_EVENTS[String(event.type || '').toLowerCase()];
+    if (!type) return null;
+
+    return {
+      eventId: event.id,
+      messageId: event.messageId,
+      email: event.email,
+      type,
+      bounceType: type === 'BOUNCED' ? (String(event.bounceType).toLowerCase() === 'soft' ? 'SOFT' : 'HARD') : null,
+      reason: event.reason,
+      occurredAt: toDate(event.occurredAt),
+      payload: event
+    };
+  })
+};
+
+const safeEqual = (expected, received) => {
+  const expectedBuffer = Buffer.from(String(expected));
+  const receivedBuffer = Buffer.from(String(received));
+  return expectedBuffer.length === receivedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+// Unix seconds within the replay window
+const isFreshTimestamp = (seconds) =>
+  Math.abs(Date.now() - Number(seconds) * 1000) <= config.emailDelivery.webhookToleranceSeconds * 1000;
+
+const hmac = (key, content, encoding) => crypto.createHmac('sha256', key).update(content).digest(encoding);
+
+// { rawBody, body, headers } -> whether the provider signed this exact webhook
+const VERIFIERS = {
+  // ECDSA over timestamp + raw body
+  SENDGRID: ({ rawBody, headers }) => {
+    const { sendgridVerificationKey } = config.emailDelivery;
+    const signature = headers['x-twilio-email-event-webhook-signature'];
+    const timestamp = headers['x-twilio-email-event-webhook-timestamp'];
+    if (!sendgridVerificationKey || !signature || !timestamp || !isFreshTimestamp(timestamp)) return false;
+
+    const publicKey = crypto.createPublicKey({
+      key: Buffer.from(sendgridVerificationKey, 'base64'),
+      format: 'der',
+      type: 'spki'
+    });
+    return crypto.verify(
+      'sha256',
+      Buffer.concat([Buffer.from(timestamp), rawBody]),
+      publicKey,
+      Buffer.from(signature, 'base64')
+    );
+  },
+
+  // Svix: HMAC of "id.timestamp.body" keyed with the decoded whsec_ secret; the header
+  // lists one "v1,<base64>" signature per active secret
+  RESEND: ({ rawBody, headers }) => {
+    const { resendWebhookSecret } = config.emailDelivery;
+    const id = headers['svix-id'];
+    const timestamp = headers['svix-timestamp'];
+    const signatures = headers['svix-signature'];
+    if (!resendWebhookSecret || !id || !timestamp || !signatures || !isFreshTimestamp(timestamp)) return false;
+
+    const key = Buffer.from(resendWebhookSecret.replace(/^whsec_/, ''), 'base64');
+    const expected = hmac(key, Buffer.concat([Buffer.from(`${id}.${timestamp}.`), rawBody]), 'base64');
+    return String(signatures)
+      .split(' ')
+      .some((entry) => entry.startsWith('v1,') && safeEqual(expected, entry.slice(3)));
+  },
+
+  // Hex HMAC of the raw body
+  MAILERSEND: ({ rawBody, headers }) => {
+    const { mailersendSigningSecret } = config.emailDelivery;
+    const signature = headers.signature;
+    if (!mailersendSigningSecret || !signature) return false;
+
+    return safeEqual(hmac(mailersendSigningSecret, rawBody, 'hex'), signature);
+  },
+
+  // Hex HMAC of timestamp + token, sent inside the JSON body
+  MAILGUN: ({ body }) => {
+    const { mailgunSigningKey } = config.emailDelivery;
+    const { timestamp, token, signature } = body?.signature || {};
+    if (!mailgunSigningKey || !timestamp || !token || !signature || !isFreshTimestamp(timestamp)) return false;
+
+    return safeEqual(hmac(mailgunSigningKey, `${timestamp}${token}`, 'hex'), signature);
+  },
+
+  // Our own relays (SMTP, Gmail, SES) post the generic format with the shared secret header
+  GENERIC: ({ headers }) => {
+    const { webhookSecret } = config.emailDelivery;
+    const received = headers['x-email-webhook-secret'];
+    return Boolean(webhookSecret && received) && safeEqual(webhookSecret, received);
+  }
+};
+
+// Message status after an event; a late soft bounce or open never hides a better-known outcome
+const nextStatus = (current, event) => {
+  switch (event.type) {
+    case 'DELIVERED':
+      return current === 'SENT' || current === 'BOUNCED' ? 'DELIVERED' : current;
+    case 'BOUNCED':
+      if (current === 'COMPLAINED') return current;
+      return event.bounceType === 'HARD' || current === 'SENT' ? 'BOUNCED' : current;
+    case 'COMPLAINED':
+      return 'COMPLAINED';
+    case 'OPENED':
+      return current === 'SENT' ? 'DELIVERED' : current;
+    default:
+      return current;
+  }
+};
+
+class EmailDeliveryService {
+  static suppressionCacheKey(email) {
+    return `email:suppressed:${normalizeEmail(email)}`;
+  }
+
+  /**
+   * EmailProvider enum value for a provider instance (class name or the inline provider's type)
+   */
+  static providerKey(provider) {
+    const name = provider?.type || provider?.constructor?.name?.replace(/Provider$/, '') || '';
+    const key = name.toUpperCase();
+    return PROVIDERS.includes(key) ? key : 'SMTP';
+  }
+
+  /**
+   * Wrap a provider so every send is checked against suppressions and recorded.
+   * The tenant context is read at send time (TenantEmailManager sets it after create)
+   */
+  static track(provider, service) {
+    const providerKey = this.providerKey(provider);
+    const tracked = Object.create(provider);
+
+    tracked.sendEmail = async (...args) => {
+      const { to, subject } = sendArgs(args);
+      const recipients = [].concat(to || []).map(normalizeEmail).filter(Boolean);
+      const record = {
+        provider: providerKey,
+        organizationId: service?.tenantConfig?.organizationId || null,
+        recipient: recipients.join(', '),
+        subject: subject || ''
+      };
+
+      if (recipients.length === 1 && await this.isSuppressed(recipients[0])) {
+        console.warn(`🚫 Email to ${recipients[0]} not sent: address suppressed after a hard bounce or complaint`);
+        await this.recordSend({ ...record, status: 'SUPPRESSED' });
+        return {
+          success: false,
+          suppressed: true,
+          error: 'Recipient address is suppressed after a hard bounce or spam complaint',
+          to,
+          subject
+        };
+      }
+
+      let result;
+      try {
+        result = await provider.sendEmail(...args);
+      } catch (error) {
+        await this.recordSend({ ...record, status: 'FAILED', failureReason: error.message });
+        throw error;
+      }
+
+      await this.recordSend({
+        ...record,
+        status: result?.success === false ? 'FAILED' : 'SENT',
+        providerMessageId: normalizeMessageId(result?.messageId),
+        failureReason: result?.success === false ? result.error : null
+      });
+
+      return result;
+    };
+
+    return tracked;
+  }
+
+  /**
+   * Store a sent message; tracking failures never fail the send
+   */
+  static async recordSend({ provider, organizationId, recipient, subject, status, providerMessageId = null, failureReason = null }) {
+    try {
+      if (!recipient) return null;
+
+      return await prisma.emailMessage.create({
+        data: {
+          provider,
+          organizationId,
+          providerMessageId,
+          recipient: recipient.slice(0, 255),
+          subject: subject.slice(0, 500),
+          status,
+          failureReason
+        }
+      });
+    } catch (error) {
+      console.error('Email delivery record error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Whether mail to this address is held back after a hard bounce or complaint.
+   * Fails open so a Redis/DB hiccup doesn't stop mail
+   */
+  static async isSuppressed(email) {
+    try {
+      const cacheKey = this.suppressionCacheKey(email);
+      const cached = await CacheService.get(cacheKey);
+      if (cached) return cached.suppressed;
+
+      const entry = await prisma.blacklistedEmail.findFirst({
+        where: {
+          email: normalizeEmail(email),
+          organizationId: null, // Platform-wide, whichever tenant is sending
+          isActive: true,
+          source: { in: SUPPRESSION_SOURCES }
+        },
+        select: { id: true }
+      });
+
+      await CacheService.set(cacheKey, { suppressed: !!entry }, SUPPRESSION_CACHE_TTL);
+      return !!entry;
+    } catch (error) {
+      console.error('Email suppression check error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Parse a delivery webhook and check the provider's signature over the exact bytes received
+   * @param {string} provider - Provider name from the webhook URL
+   * @param {Buffer} rawBody - Request body as received
+   * @param {Object} headers - Request headers (lower-case names)
+   * @returns {Object} Parsed body
+   */
+  static parseSignedWebhook(provider, rawBody, headers = {}) {
+    const providerKey = this.resolveProvider(provider);
+
+    let body;
+    try {
+      body = JSON.parse(rawBody.toString('utf8'));
+    } catch {
+      throw deliveryError('Webhook body must be JSON', 400, 'EMAIL_WEBHOOK_INVALID');
+    }
+
+    const verify = VERIFIERS[providerKey] || VERIFIERS.GENERIC;
+    let verified;
+    try {
+      verified = verify({ rawBody, body, headers });
+    } catch {
+      // Malformed keys or signatures
+      verified = false;
+    }
+
+    if (!verified) {
+      throw deliveryError('Invalid webhook signature', 401, 'EMAIL_WEBHOOK_SIGNATURE_INVALID');
+    }
+
+    return body;
+  }
+
+  static resolveProvider(provider) {
+    const providerKey = String(provider || '').toUpperCase();
+    if (!PROVIDERS.includes(providerKey)) {
+      throw deliveryError(`Unsupported email provider. Use one of: ${PROVIDERS.join(', ').toLowerCase()}`, 400, 'EMAIL_PROVIDER_UNSUPPORTED');
+    }
+    return providerKey;
+  }
+
+  /**
+   * Normalize and store a provider's delivery webhook
+   */
+  static async ingestWebhook(provider, body, headers = {}) {
+    const providerKey = this.resolveProvider(provider);
+
+    const normalize = NORMALIZERS[providerKey] || NORMALIZERS.GENERIC;
+    const events = normalize(body, headers).filter(Boolean);
+    const summary = { received: events.length, recorded: 0, duplicate: 0, ignored: 0, suppressed: 0 };
+
+    for (const event of events) {
+      const result = await this.recordEvent(providerKey, event);
+      summary[result]++;
+      if (result === 'recorded' && await this.suppressFromEvent(providerKey, event)) {
+        summary.suppressed++;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Store one normalized event and apply it to its message
+   * @returns {'recorded'|'duplicate'|'ignored'}
+   */
+  static async recordEvent(provider, event) {
+    const providerMessageId = normalizeMessageId(event.messageId);
+    const message = providerMessageId
+      ? await prisma.emailMessage.findUnique({
+          where: { provider_providerMessageId: { provider, providerMessageId } }
+        })
+      : null;
+
+    event.email = normalizeEmail(event.email) || message?.recipient;
+    if (!event.email) return 'ignored';
+
+    // Providers retry webhooks; without their own event id fall back to message + type + time
+    const providerEventId = event.eventId
+      ? String(event.eventId)
+      : providerMessageId && `${providerMessageId}:${event.type}:${event.occurredAt.getTime()}`;
+
+    try {
+      await prisma.emailDeliveryEvent.create({
+        data: {
+          messageId: message?.id || null,
+          provider,
+          providerEventId: providerEventId || null,
+          type: event.type,
+          recipient: event.email.slice(0, 255),
+          bounceType: event.bounceType,
+          reason: event.reason || null,
+          occurredAt: event.occurredAt,
+          payload: event.payload
+        }
+      });
+    } catch (error) {
+      if (error.code === 'P2002') return 'duplicate';
+      throw error;
+    }
+
+    if (message) {
+      await this.applyToMessage(message, event);
+    }
+
+    return 'recorded';
+  }
+
+  static async applyToMessage(message, event) {
+    const data = { status: nextStatus(message.status, event) };
+
+    switch (event.type) {
+      case 'DELIVERED':
+        data.deliveredAt = message.deliveredAt || event.occurredAt;
+        break;
+      case 'BOUNCED':
+        data.bouncedAt = event.occurredAt;
+        data.bounceType = event.bounceType;
+        data.failureReason = event.reason || message.failureReason;
+        break;
+      case 'COMPLAINED':
+        data.complainedAt = event.occurredAt;
+        break;
+      case 'OPENED':
+        data.openCount = { increment: 1 };
+        data.firstOpenedAt = message.firstOpenedAt || event.occurredAt;
+        data.deliveredAt = message.deliveredAt || event.occurredAt;
+        break;
+    }
+
+    return prisma.emailMessage.update({ where: { id: message.id }, data });
+  }
+
+  /**
+   * Blacklist the address for every organization after a hard bounce or complaint
+   * (reactivates a removed entry). Admins' own entries for the address are left as they are
+   */
+  static async suppressFromEvent(provider, event) {
+    const source = event.type === 'COMPLAINED'
+      ? 'COMPLAINT'
+      : event.type === 'BOUNCED' && event.bounceType === 'HARD' ? 'HARD_BOUNCE' : null;
+    if (!source) return false;
+
+    const email = event.email;
+    const reason = source === 'COMPLAINT'
+      ? `Spam complaint reported by ${provider}`
+      : `Hard bounce reported by ${provider}${event.reason ? `: ${event.reason}` : ''}`;
+
+    // Nulls never collide in the unique index, so two deliveries reporting the same
+    // address are serialized on it here and the platform entry is matched by id
+    const suppressed = await prisma.$transaction(async (tx) => {
+      await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`blacklist:${email}`}))`;
+
+      const existing = await tx.blacklistedEmail.findFirst({
+        where: { email, organizationId: null },
+        select: { id: true, isActive: true }
+      });
+      if (existing?.isActive) return false;
+
+      if (existing) {
+        await tx.blacklistedEmail.update({
+          where: { id: existing.id },
+          data: {
+            reason,
+            source,
+            isActive: true,
+            blacklistedAt: new Date(),
+            removedBy: null,
+            removedAt: null,
+            removedReason: null
+          }
+        });
+      } else {
+        await tx.blacklistedEmail.create({ data: { email, reason, source } });
+      }
+      return true;
+    });
+    if (!suppressed) return false;
+
+    await Promise.all([
+      CacheService.del(this.suppressionCacheKey(email)),
+      CacheService.del(`blacklist:check:${email}`),
+      CacheService.del('blacklist:stats:summary')
+    ]);
+
+    console.log(`🚫 ${email} suppressed after ${source === 'COMPLAINT' ? 'a spam complaint' : 'a hard bounce'} (${provider})`);
+    return true;
+  }
+
+  /**
+   * Delivery analytics for an organization's emails over the last `days` days
+   */
+  static async getStats(organizationId, { days = 30 } = {}) {
+    const since = new Date(Date.now() - days * DAY_MS);
+    const where = { organizationId, sentAt: { gte: since } };
+
+    const [byStatus, opened, daily, recentBounces] = await Promise.all([
+      prisma.emailMessage.groupBy({
+        by: ['status'],
+        where,
+        _count: { _all: true }
+      }),
+      prisma.emailMessage.count({ where: { ...where, openCount: { gt: 0 } } }),
+      prisma.$queryRaw`
+        SELECT
+          DATE_TRUNC('day', "sentAt") as day,
+          COUNT(*) as sent,
+          COUNT(*) FILTER (WHERE status IN ('DELIVERED', 'COMPLAINED')) as delivered,
+          COUNT(*) FILTER (WHERE status = 'BOUNCED') as bounced,
+          COUNT(*) FILTER (WHERE status = 'COMPLAINED') as complained,
+          COUNT(*) FILTER (WHERE "openCount" > 0) as opened
+        FROM email_messages
+        WHERE "organizationId" = ${organizationId}
+          AND "sentAt" >= ${since}
+        GROUP BY day
+        ORDER BY day
+      `,
+      prisma.emailMessage.findMany({
+        where: { ...where, status: { in: ['BOUNCED', 'COMPLAINED'] } },
+        select: {
+          recipient: true,
+          subject: true,
+          status: true,
+          bounceType: true,
+          failureReason: true,
+          bouncedAt: true,
+          complainedAt: true
+        },
+        orderBy: { updatedAt: 'desc' },
+        take: 10
+      })
+    ]);
+
+    const counts = Object.fromEntries(MESSAGE_STATUSES.map((status) => [status, 0]));
+    byStatus.forEach((row) => { counts[row.status] = row._count._all; });
+
+    const total = MESSAGE_STATUSES.reduce((sum, status) => sum + counts[status], 0);
+    const accepted = total - counts.SUPPRESSED - counts.FAILED;
+    const delivered = counts.DELIVERED + counts.COMPLAINED;
+
+    return {
+      periodDays: days,
+      totals: {
+        sent: accepted,
+        delivered,
+        bounced: counts.BOUNCED,
+        complained: counts.COMPLAINED,
+        opened,
+        pending: counts.SENT,
+        suppressed: counts.SUPPRESSED,
+        failed: counts.FAILED
+      },
+      rates: {
+        delivery: percent(delivered, accepted),
+        bounce: percent(counts.BOUNCED, accepted),
+        complaint: percent(counts.COMPLAINED, accepted),
+        open: percent(opened, delivered)
+      },
+      daily: daily.map((row) => ({
+        date: row.day,
+        sent: Number(row.sent),
+        delivered: Number(row.delivered),
+        bounced: Number(row.bounced),
+        complained: Number(row.complained),
+        opened: Number(row.opened)
+      })),
+      recentBounces
+    };
+  }
+}
+
+module.exports = EmailDeliveryService;
@@ -3,11 +3,15 @@ const handlebars = require("handlebars");
 const fs = require("fs");
 const path = require("path");
 const { prisma } = require("../../config/database");
-const QRCodeService = require("../qr/QRCodeService");
+const { CalendarInviteService } = require("../calendar/calendarInvite.service");
+const { NotificationPreferenceService } = require("../notificationPreference.service");
+const EmailDeliveryService = require("./EmailDeliveryService");
+const EmailTemplateService = require("./EmailTemplateService");
 
 class EmailService {
 	constructor(provider) {
-		this.provider = provider;
+		// Sends are recorded for delivery webhooks and skip bounced/complained addresses
+		this.provider = EmailDeliveryService.track(provider, this);
 		this.templatesPath = path.join(__dirname, "../../templates/emails");
 		this.compiledTemplates = new Map();
 	}
@@ -31,10 +35,17 @@ class EmailService {
 				"payment-confirmation.html",
 				"guest-addition.html",
 				"event-reminder.html",
+				"event-waitlist.html",
+				"event-calendar-update.html",
+				"ticket-new.html",
+				"ticket-admin-response.html",
+				"ticket-closed.html",
+				"ticket-sla-breach.html",
 				"bulk-announcement.html",
 				"merchandise-confirmation.html",
 				"birthday-wish.html",
 				"festival-wish.html",
+				"community-digest.html",
 				// Subscription templates
 				"subscription-payment-request.html",
 				"subscription-activated.html",
@@ -60,17 +71,42 @@ class EmailService {
 	}
 
 	/**
-	 * Send registration confirmation email
+	 * Render a template with the organization's override when it has one,
+	 * falling back to the file default
 	 */
-	async sendRegistrationConfirmation(user, event, registration) {
+	async renderTemplate(templateName, templateData) {
+		const organizationId = this.tenantConfig?.organizationId;
+
+		try {
+			const override = await EmailTemplateService.getCompiledOverride(organizationId, templateName);
+			if (override) {
+				return override(templateData);
+			}
+		} catch (error) {
+			console.error(`❌ Custom template ${templateName} failed for organization ${organizationId}, using default:`, error);
+		}
+
+		return this.compiledTemplates.get(templateName)(templateData);
+	}
+
+	/**
+	 * Organizer shown on calendar invites (replies go to the sending address)
+	 */
+	calendarOrganizer(organizationName) {
+		const { fromEmail, fromName, user } = this.provider.config || {};
+		const email = fromEmail || user;
+		return email ? { name: organizationName || fromName, email } : null;
+	}
+
+	/**
+	 * Send registration confirmation email with an invite.ics for the event
+	 */
+	async sendRegistrationConfirmation(user, event, registration, options = {}) {
 		try {
 			// ✅ TRY TO GET EXISTING QR CODE FOR EMAIL 
 			let qrCodeData = { hasQRCode: false };
 			try {
 				// First try to get existing QR code from database
-				const { PrismaClient } = require('@prisma/client');
-				const prisma = new PrismaClient();
-				
 				const existingQR = await prisma.registrationQR.findUnique({
 					where: { registrationId: registration.id },
 					select: {
@@ -96,8 +132,6 @@ class EmailService {
 						registrationNumber: registration.id.slice(-8).toUpperCase()
 					};
 				}
-				
-				await prisma.$disconnect();
 			} catch (qrError) {
 				console.error("QR code lookup failed for email:", qrError);
 				qrCodeData = { 
@@ -165,15 +199,31 @@ class EmailService {
 			};
 
 			const subject = `✅ Registration Confirmed: ${event.title}`;
-			const htmlContent = this.compiledTemplates.get(
-				"registration-confirmation"
-			)(templateData);
+			const htmlContent = await this.renderTemplate(
+				"registration-confirmation",
+				templateData
+			);
+
+			// Later changes to the event are sent as updates to this invite (same UID)
+			let attachments = [];
+			try {
+				attachments = [
+					CalendarInviteService.inviteAttachment(event, {
+						method: "REQUEST",
+						organizer: this.calendarOrganizer(options.organizationName),
+						attendee: { name: user.fullName, email: user.email },
+					}),
+				];
+			} catch (inviteError) {
+				console.error("Calendar invite generation failed:", inviteError);
+			}
 
 			const result = await this.provider.sendEmail(
 				user.email,
 				subject,
 				htmlContent,
-				templateData
+				templateData,
+				{ attachments }
 			);
 
 			// Enhanced logging
@@ -181,6 +231,7 @@ class EmailService {
 				eventId: event.id,
 				registrationId: registration.id,
 				hasQRCode: qrCodeData.hasQRCode,
+				hasCalendarInvite: attachments.length > 0,
 				emailResult: result,
 			});
 
@@ -239,7 +290,7 @@ class EmailService {
 				`Payment Confirmation - ${transaction.transactionNumber}`;
 				
 			const templateName = event ? "event-registration-confirmation" : "payment-confirmation";
-			const htmlContent = this.compiledTemplates.get(templateName)(templateData);
+			const htmlContent = await this.renderTemplate(templateName, templateData);
 
 			const result = await this.provider.sendEmail(
 				user.email,
@@ -277,8 +328,7 @@ class EmailService {
 			};
 
 			const subject = `Guest Added: ${guest.name} for ${event.title}`;
-			const htmlContent =
-				this.compiledTemplates.get("guest-addition")(templateData);
+			const htmlContent = await this.renderTemplate("guest-addition", templateData);
 
 			const result = await this.provider.sendEmail(
 				user.email,
@@ -301,6 +351,40 @@ class EmailService {
 		}
 	}
 
+	/**
+	 * Apply the recipient's email preference for a notification type. Returns null
+	 * when they opted out; otherwise the HTML with an unsubscribe footer and the
+	 * provider options carrying the one-click List-Unsubscribe link.
+	 */
+	async withEmailPreference(userId, type, htmlContent, options = {}) {
+		const { allowed, unsubscribeUrl } = await NotificationPreferenceService.checkEmail(userId, type);
+
+		if (!allowed) {
+			return null;
+		}
+
+		if (!unsubscribeUrl) {
+			return { htmlContent, options };
+		}
+
+		const footer = `<p style="text-align: center; font-size: 12px; color: #999; margin: 20px 0;"><a href="${unsubscribeUrl}" style="color: #999;">Unsubscribe from these emails</a></p>`;
+
+		return {
+			htmlContent: htmlContent.includes("</body>")
+				? htmlContent.replace("</body>", `${footer}</body>`)
+				: htmlContent + footer,
+			options: { ...options, listUnsubscribe: unsubscribeUrl },
+		};
+	}
+
+	/**
+	 * Result for an email the recipient opted out of
+	 */
+	unsubscribedResult(to, type) {
+		console.log(`🔕 Skipped ${type} email to ${to} (unsubscribed)`);
+		return { success: false, skipped: true, error: "Recipient unsubscribed from these emails", to };
+	}
+
 	/**
 	 * Send event reminder email
 	 */
@@ -319,14 +403,22 @@ class EmailService {
 			};
 
 			const subject = `Reminder: ${event.title} Tomorrow`;
-			const htmlContent =
-				this.compiledTemplates.get("event-reminder")(templateData);
+			const email = await this.withEmailPreference(
+				user.id,
+				"EVENT_REMINDER",
+				await this.renderTemplate("event-reminder", templateData)
+			);
+
+			if (!email) {
+				return this.unsubscribedResult(user.email, "EVENT_REMINDER");
+			}
 
 			const result = await this.provider.sendEmail(
 				user.email,
 				subject,
-				htmlContent,
-				templateData
+				email.htmlContent,
+				templateData,
+				email.options
 			);
 
 			// Log email activity
@@ -344,24 +436,159 @@ class EmailService {
 	}
 
 	/**
-	 * Send bulk email to multiple recipients
+	 * Send event waitlist update (joined, promoted or promotion expired)
+	 */
+	async sendWaitlistUpdate(user, event, registration, details = {}) {
+		try {
+			const { step, position, paymentDueAt, amount, organizationName } = details;
+
+			const templateData = {
+				userName: user.fullName,
+				eventTitle: event.title,
+				eventDate: new Date(event.eventDate).toLocaleDateString(),
+				eventTime: event.startTime || "TBD",
+				eventVenue: event.venue || "TBD",
+				eventMode: event.eventMode,
+				isJoined: step === "JOINED",
+				isPromoted: step === "PROMOTED",
+				isExpired: step === "EXPIRED",
+				position,
+				paymentRequired: Boolean(paymentDueAt),
+				paymentAmount: amount,
+				paymentDueAt: paymentDueAt ? new Date(paymentDueAt).toLocaleString() : null,
+				organizationName,
+			};
+
+			const subjects = {
+				JOINED: `You're on the waitlist for ${event.title}`,
+				PROMOTED: `A spot opened up for ${event.title}`,
+				EXPIRED: `Your reserved spot for ${event.title} has expired`,
+			};
+
+			const email = await this.withEmailPreference(
+				user.id,
+				"EVENT_WAITLIST",
+				await this.renderTemplate("event-waitlist", templateData)
+			);
+
+			if (!email) {
+				return this.unsubscribedResult(user.email, "EVENT_WAITLIST");
+			}
+
+			const result = await this.provider.sendEmail(
+				user.email,
+				subjects[step],
+				email.htmlContent,
+				templateData,
+				email.options
+			);
+
+			// Log email activity
+			await this.logEmailActivity(user.id, `event_waitlist_${step.toLowerCase()}`, {
+				eventId: event.id,
+				registrationId: registration.id,
+				emailResult: result,
+			});
+
+			return result;
+		} catch (error) {
+			console.error("Waitlist update email error:", error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Send an updated (REQUEST) or cancelled (CANCEL) calendar invite for an event.
+	 * details.reason: EVENT_UPDATED, EVENT_CANCELLED or REGISTRATION_CANCELLED
+	 */
+	async sendCalendarUpdate(user, event, details = {}) {
+		try {
+			const { reason = "EVENT_UPDATED", organizationName } = details;
+			const method = reason === "EVENT_UPDATED" ? "REQUEST" : "CANCEL";
+
+			const templateData = {
+				userName: user.fullName,
+				eventTitle: event.title,
+				eventDate: new Date(event.eventDate).toLocaleDateString(),
+				eventTime: event.startTime
+					? [event.startTime, event.endTime].filter(Boolean).join(" - ")
+					: "TBD",
+				eventVenue: event.venue || "TBD",
+				eventMode: event.eventMode,
+				meetingLink: event.meetingLink,
+				isUpdated: reason === "EVENT_UPDATED",
+				isEventCancelled: reason === "EVENT_CANCELLED",
+				isRegistrationCancelled: reason === "REGISTRATION_CANCELLED",
+				organizationName,
+			};
+
+			const subjects = {
+				EVENT_UPDATED: `Updated: ${event.title}`,
+				EVENT_CANCELLED: `Cancelled: ${event.title}`,
+				REGISTRATION_CANCELLED: `Registration cancelled: ${event.title}`,
+			};
+
+			const email = await this.withEmailPreference(
+				user.id,
+				"EVENT_UPDATE",
+				await this.renderTemplate("event-calendar-update", templateData)
+			);
+
+			if (!email) {
+				return this.unsubscribedResult(user.email, "EVENT_UPDATE");
+			}
+
+			const attachment = CalendarInviteService.inviteAttachment(event, {
+				method,
+				organizer: this.calendarOrganizer(organizationName),
+				attendee: { name: user.fullName, email: user.email },
+			});
+
+			const result = await this.provider.sendEmail(
+				user.email,
+				subjects[reason],
+				email.htmlContent,
+				templateData,
+				{ ...email.options, attachments: [attachment] }
+			);
+
+			await this.logEmailActivity(user.id, `event_calendar_${reason.toLowerCase()}`, {
+				eventId: event.id,
+				calendarSequence: event.calendarSequence || 0,
+				emailResult: result,
+			});
+
+			return result;
+		} catch (error) {
+			console.error("Calendar update email error:", error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Send bulk email to multiple recipients; recipients with an id who turned off
+	 * announcement emails are skipped
 	 */
 	async sendBulkEmail(recipients, subject, templateName, templateData) {
 		try {
-			const htmlContent =
-				this.compiledTemplates.get(templateName)(templateData);
+			const htmlContent = await this.renderTemplate(templateName, templateData);
 			const results = [];
 
 			// Send emails in batches to avoid rate limits
 			const batchSize = 10;
 			for (let i = 0; i < recipients.length; i += batchSize) {
 				const batch = recipients.slice(i, i + batchSize);
-				const batchPromises = batch.map((recipient) =>
-					this.provider.sendEmail(recipient.email, subject, htmlContent, {
+				const batchPromises = batch.map(async (recipient) => {
+					const email = await this.withEmailPreference(recipient.id, "SYSTEM_ANNOUNCEMENT", htmlContent);
+					if (!email) {
+						return this.unsubscribedResult(recipient.email, "SYSTEM_ANNOUNCEMENT");
+					}
+
+					return this.provider.sendEmail(recipient.email, subject, email.htmlContent, {
 						...templateData,
 						userName: recipient.fullName,
-					})
-				);
+					}, email.options);
+				});
 
 				const batchResults = await Promise.allSettled(batchPromises);
 				results.push(...batchResults);
@@ -373,9 +600,12 @@ class EmailService {
 			}
 
 			// Log bulk email activity
+			const skippedCount = results.filter(
+				(r) => r.status === "fulfilled" && r.value?.skipped
+			).length;
 			const successCount = results.filter(
 				(r) => r.status === "fulfilled"
-			).length;
+			).length - skippedCount;
 			const failureCount = results.filter(
 				(r) => r.status === "rejected"
 			).length;
@@ -385,6 +615,7 @@ class EmailService {
 				totalRecipients: recipients.length,
 				successCount,
 				failureCount,
+				skippedCount,
 				subject,
 			});
 
@@ -393,6 +624,7 @@ class EmailService {
 				totalSent: recipients.length,
 				successCount,
 				failureCount,
+				skippedCount,
 				results,
 			};
 		} catch (error) {
@@ -415,9 +647,10 @@ class EmailService {
 			};
 
 			const subject = `Merchandise Order Confirmed: ${event.title}`;
-			const htmlContent = this.compiledTemplates.get(
-				"merchandise-confirmation"
-			)(templateData);
+			const htmlContent = await this.renderTemplate(
+				"merchandise-confirmation",
+				templateData
+			);
 
 			const result = await this.provider.sendEmail(
 				user.email,
@@ -792,6 +1025,154 @@ class EmailService {
 		}
 	}
 
+	/**
+	 * Send a ticket lifecycle email (new ticket, admin response, closed).
+	 * options.replyTo carries the signed reply-by-email address when enabled.
+	 */
+	async sendTicketEmail(templateName, recipient, subject, templateData, options = {}) {
+		try {
+			if (!this.compiledTemplates.has(templateName)) {
+				return { success: false, error: `Template ${templateName} not loaded` };
+			}
+
+			const htmlContent = await this.renderTemplate(templateName, {
+				...templateData,
+				replyByEmail: Boolean(options.replyTo),
+				replyMarker: options.replyMarker,
+			});
+
+			const result = await this.provider.sendEmail(
+				recipient.email,
+				subject,
+				htmlContent,
+				templateData,
+				{ replyTo: options.replyTo }
+			);
+
+			await this.logEmailActivity(recipient.id, templateName.replace(/-/g, "_"), {
+				ticketId: templateData.ticketId,
+				replyByEmail: Boolean(options.replyTo),
+				emailResult: result,
+			});
+
+			return result;
+		} catch (error) {
+			console.error("Ticket email error:", error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Send ticket SLA breach alert to an admin
+	 */
+	async sendTicketSlaBreach(admin, ticket, details = {}) {
+		try {
+			const {
+				breachType,
+				dueAt,
+				escalationLevel,
+				previousPriority,
+				reassigned,
+				assigneeName,
+				ticketUrl,
+				organizationName,
+			} = details;
+
+			const breachLabel =
+				breachType === "FIRST_RESPONSE" ? "First response" : "Resolution";
+
+			const templateData = {
+				adminName: admin.fullName,
+				breachLabel,
+				ticketNumber: ticket.ticketNumber,
+				subject: ticket.subject,
+				category: ticket.category?.name,
+				userFullName: ticket.user?.fullName,
+				dueAt: dueAt ? new Date(dueAt).toLocaleString() : null,
+				escalationLevel,
+				priority: ticket.priority,
+				previousPriority,
+				priorityBumped: previousPriority !== ticket.priority,
+				reassigned: Boolean(reassigned),
+				assigneeName: assigneeName || "Unassigned",
+				ticketUrl,
+				organizationName,
+			};
+
+			const email = await this.withEmailPreference(
+				admin.id,
+				"TICKET_SLA_BREACH",
+				await this.renderTemplate("ticket-sla-breach", templateData)
+			);
+
+			if (!email) {
+				return this.unsubscribedResult(admin.email, "TICKET_SLA_BREACH");
+			}
+
+			const result = await this.provider.sendEmail(
+				admin.email,
+				`🚨 SLA breached: ${ticket.ticketNumber} (${breachLabel.toLowerCase()})`,
+				email.htmlContent,
+				templateData,
+				email.options
+			);
+
+			await this.logEmailActivity(admin.id, "ticket_sla_breach", {
+				ticketId: ticket.id,
+				breachType,
+				emailResult: result,
+			});
+
+			return result;
+		} catch (error) {
+			console.error("Ticket SLA breach email error:", error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Send the weekly community digest
+	 * @param {Object} user - { id, fullName, email }
+	 * @param {Object} digest - Sections built by CommunityDigestService plus digestId and organizationName
+	 */
+	async sendCommunityDigest(user, digest) {
+		try {
+			const { digestId, ...sections } = digest;
+			const templateData = {
+				userName: user.fullName,
+				...sections,
+			};
+
+			const email = await this.withEmailPreference(
+				user.id,
+				"COMMUNITY_DIGEST",
+				await this.renderTemplate("community-digest", templateData)
+			);
+
+			if (!email) {
+				return this.unsubscribedResult(user.email, "COMMUNITY_DIGEST");
+			}
+
+			const result = await this.provider.sendEmail(
+				user.email,
+				`📰 This week at ${digest.organizationName}`,
+				email.htmlContent,
+				templateData,
+				email.options
+			);
+
+			await this.logEmailActivity(user.id, "community_digest", {
+				digestId,
+				emailResult: result,
+			});
+
+			return result;
+		} catch (error) {
+			console.error("Community digest email error:", error);
+			throw error;
+		}
+	}
+
 	/**
 	 * Generic method to send email with custom HTML content
 	 */
@@ -937,8 +1318,7 @@ class EmailService {
 	 */
 	async sendBirthdayWish(user, organizationData) {
 		try {
-			const template = this.compiledTemplates.get("birthday-wish");
-			if (!template) {
+			if (!this.compiledTemplates.has("birthday-wish")) {
 				throw new Error("Birthday wish email template not found");
 			}
 
@@ -955,15 +1335,18 @@ class EmailService {
 				customMessage: null, // Can be customized per user if needed
 			};
 
-			const htmlContent = template(templateData);
-
-			const emailOptions = {
-				to: user.email,
-				subject: `🎂 Happy ${age}${ordinalSuffix} Birthday, ${user.fullName}!`,
-				html: htmlContent,
-			};
+			const email = await this.withEmailPreference(user.id, "BIRTHDAY_NOTIFICATION", await this.renderTemplate("birthday-wish", templateData));
+			if (!email) {
+				return this.unsubscribedResult(user.email, "BIRTHDAY_NOTIFICATION");
+			}
 
-			const result = await this.provider.sendEmail(emailOptions);
+			const result = await this.provider.sendEmail(
+				user.email,
+				`🎂 Happy ${age}${ordinalSuffix} Birthday, ${user.fullName}!`,
+				email.htmlContent,
+				templateData,
+				email.options
+			);
 			console.log(`✅ Birthday wish email sent to ${user.fullName} (${user.email})`);
 			return result;
 
@@ -978,8 +1361,7 @@ class EmailService {
 	 */
 	async sendFestivalWish(user, festival, organizationData) {
 		try {
-			const template = this.compiledTemplates.get("festival-wish");
-			if (!template) {
+			if (!this.compiledTemplates.has("festival-wish")) {
 				throw new Error("Festival wish email template not found");
 			}
 
@@ -1017,15 +1399,18 @@ class EmailService {
 				festivalQuote: festivalContent.quote,
 			};
 
-			const htmlContent = template(templateData);
-
-			const emailOptions = {
-				to: user.email,
-				subject: `🎊 ${festivalContent.greeting} - ${festival.name}`,
-				html: htmlContent,
-			};
+			const email = await this.withEmailPreference(user.id, "FESTIVAL_NOTIFICATION", await this.renderTemplate("festival-wish", templateData));
+			if (!email) {
+				return this.unsubscribedResult(user.email, "FESTIVAL_NOTIFICATION");
+			}
 
-			const result = await this.provider.sendEmail(emailOptions);
+			const result = await this.provider.sendEmail(
+				user.email,
+				`🎊 ${festivalContent.greeting} - ${festival.name}`,
+				email.htmlContent,
+				templateData,
+				email.options
+			);
 			console.log(`✅ Festival wish email sent to ${user.fullName} for ${festival.name}`);
 			return result;
 
@@ -0,0 +1,509 @@
+// src/services/email/EmailTemplateService.js
+// Tenant overrides of the file templates in src/templates/emails: Handlebars variable
+// validation, version history with rollback and sample-data previews
+
+const fs = require('fs');
+const path = require('path');
+const handlebars = require('handlebars');
+const { prisma } = require('../../config/database');
+
+// Used by the ticket templates for priority colours
+handlebars.registerHelper('eq', (a, b) => a === b);
+
+const TEMPLATES_PATH = path.join(__dirname, '../../templates/emails');
+
+// Templates organizations may override (platform subscription emails stay global)
+const EDITABLE_TEMPLATES = {
+  'registration-confirmation': { label: 'Event registration confirmation', description: 'Sent when a member registers for an event; includes the QR pass' },
+  'payment-confirmation': { label: 'Payment confirmation', description: 'Sent when a payment completes' },
+  'guest-addition': { label: 'Guest added', description: 'Sent when a guest is added to an event registration' },
+  'event-reminder': { label: 'Event reminder', description: 'Sent to registered attendees before an event' },
+  'event-waitlist': { label: 'Waitlist update', description: 'Sent when a waitlisted registration is promoted or its position changes' },
+  'event-calendar-update': { label: 'Event update', description: 'Sent when an event is rescheduled, moved or cancelled' },
+  'ticket-new': { label: 'New support ticket', description: 'Sent to admins when a support ticket is raised' },
+  'ticket-admin-response': { label: 'Support ticket reply', description: 'Sent to the member when an admin replies to their ticket' },
+  'ticket-closed': { label: 'Support ticket closed', description: 'Sent to the member when their ticket is closed' },
+  'ticket-sla-breach': { label: 'Support ticket SLA breach', description: 'Sent to admins when a ticket misses its response target' },
+  'bulk-announcement': { label: 'Announcement', description: 'Bulk announcement emails' },
+  'merchandise-confirmation': { label: 'Merchandise order confirmation', description: 'Sent when an event merchandise order is confirmed' },
+  'birthday-wish': { label: 'Birthday wish', description: 'Sent to members on their birthday' },
+  'festival-wish': { label: 'Festival wish', description: 'Sent to members on festivals' },
+  'community-digest': { label: 'Weekly community digest', description: 'Weekly roundup of new posts, upcoming events, open polls, photos, LifeLink requests, birthdays and new batchmates' },
+};
+
+// Block helpers that render their block with a new context
+const CONTEXT_HELPERS = ['each', 'with'];
+
+const MAX_TEMPLATE_BYTES = 200 * 1024;
+const COMPILED_CACHE_TTL = 60 * 1000; // Other instances pick up edits within a minute
+
+// "organizationId:templateName" -> { compiled, expiry }; compiled is null when there's no active override
+const compiledCache = new Map();
+const defaultSources = new Map();
+
+const templateError = (message, statusCode, code, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+};
+
+const joinPath = (base, rest) => [base, rest].filter(Boolean).join('.');
+
+// Helpers registered on the shared handlebars instance (built-ins plus ours)
+const knownHelpers = () => Object.keys(handlebars.helpers)
+  .filter((name) => !['helperMissing', 'blockHelperMissing'].includes(name));
+
+/**
+ * Walk a template's AST and collect the data paths it reads (scoped through #each/#with,
+ * "items.name" inside {{#each items}}), the paths it iterates over and the helpers it calls
+ */
+const analyze = (source) => {
+  let ast;
+  try {
+    ast = handlebars.parse(source);
+  } catch (error) {
+    throw templateError(`Template syntax error: ${error.message}`, 400, 'TEMPLATE_SYNTAX_ERROR');
+  }
+
+  const result = { variables: new Set(), iterables: new Set(), helpers: new Set(), unsupported: new Set() };
+
+  // scopes: [{ prefix, blockParams: { name: prefix } }], innermost last
+  const resolve = (node, scopes) => {
+    if (node.type !== 'PathExpression' || node.data) return null;
+    const scope = scopes[scopes.length - 1 - node.depth] || scopes[0];
+    const [head, ...rest] = node.parts;
+    const blockParam = node.depth === 0 && scopes.slice().reverse().find((s) => s.blockParams[head] !== undefined);
+    const resolved = blockParam
+      ? joinPath(blockParam.blockParams[head], rest.join('.'))
+      : joinPath(scope.prefix, node.parts.join('.'));
+    if (resolved) result.variables.add(resolved);
+    return resolved;
+  };
+
+  const visitArgs = (node, scopes) => {
+    (node.params || []).forEach((param) => visit(param, scopes));
+    (node.hash?.pairs || []).forEach((pair) => visit(pair.value, scopes));
+  };
+
+  const visit = (node, scopes) => {
+    if (!node) return;
+
+    switch (node.type) {
+      case 'Program':
+        node.body.forEach((child) => visit(child, scopes));
+        break;
+
+      case 'MustacheStatement':
+      case 'SubExpression': {
+        const isHelperCall = node.params.length > 0 || node.hash?.pairs?.length > 0 ||
+          knownHelpers().includes(node.path.original);
+        if (isHelperCall) {
+          result.helpers.add(node.path.original);
+        } else {
+          resolve(node.path, scopes);
+        }
+        visitArgs(node, scopes);
+        break;
+      }
+
+      case 'BlockStatement': {
+        const helper = node.path.original;
+        result.helpers.add(helper);
+        visitArgs(node, scopes);
+
+        let inner = scopes;
+        if (CONTEXT_HELPERS.includes(helper) && node.params[0]) {
+          const contextPath = resolve(node.params[0], scopes) || '';
+          if (helper === 'each') result.iterables.add(contextPath);
+          const blockParams = {};
+          (node.program.blockParams || []).forEach((name, index) => {
+            // {{#each items as |item index|}}: the first block param is the item itself
+            if (index === 0) blockParams[name] = contextPath;
+          });
+          inner = [...scopes, { prefix: contextPath, blockParams }];
+        }
+        visit(node.program, inner);
+        visit(node.inverse, scopes);
+        break;
+      }
+
+      case 'PathExpression':
+        resolve(node, scopes);
+        break;
+
+      case 'PartialStatement':
+      case 'PartialBlockStatement':
+        result.unsupported.add('partials');
+        break;
+
+      case 'DecoratorBlock':
+      case 'Decorator':
+        result.unsupported.add('decorators');
+        break;
+
+      default:
+        // Content, comments and literals read no data
+        break;
+    }
+  };
+
+  visit(ast, [{ prefix: '', blockParams: {} }]);
+  return result;
+};
+
+/**
+ * Placeholder data shaped like what the template reads: "[eventTitle]" for values,
+ * one-item arrays for #each
+ */
+const buildSampleData = ({ variables, iterables }) => {
+  const root = {};
+
+  [...variables].sort().forEach((variablePath) => {
+    const segments = variablePath.split('.');
+    let node = root;
+    let current = '';
+
+    segments.forEach((segment, index) => {
+      current = joinPath(current, segment);
+      const isLast = index === segments.length - 1;
+
+      if (iterables.has(current)) {
+        if (!Array.isArray(node[segment])) node[segment] = [{}];
+        node = node[segment][0];
+      } else if (isLast) {
+        if (node[segment] === undefined) node[segment] = `[${current}]`;
+      } else {
+        if (typeof node[segment] !== 'object' || node[segment] === null) node[segment] = {};
+        node = node[segment];
+      }
+    });
+  });
+
+  // {{#each tags}}{{this}}{{/each}}: items with no fields are plain values
+  const fillScalars = (node, prefix) => {
+    Object.entries(node).forEach(([key, value]) => {
+      const current = joinPath(prefix, key);
+      if (Array.isArray(value)) {
+        if (Object.keys(value[0]).length === 0) node[key] = [`[${current}]`];
+        else fillScalars(value[0], current);
+      } else if (value && typeof value === 'object') {
+        fillScalars(value, current);
+      }
+    });
+  };
+  fillScalars(root, '');
+
+  return root;
+};
+
+// An override may read anything its default reads (or a parent/child of it)
+const isAllowedVariable = (variable, allowed) => allowed.has(variable) ||
+  [...allowed].some((known) => known.startsWith(`${variable}.`) || variable.startsWith(`${known}.`));
+
+class EmailTemplateService {
+  static isEditable(templateName) {
+    return Object.prototype.hasOwnProperty.call(EDITABLE_TEMPLATES, templateName);
+  }
+
+  static assertEditable(templateName) {
+    if (!this.isEditable(templateName)) {
+      throw templateError('Email template not found or not customizable', 404, 'TEMPLATE_NOT_FOUND');
+    }
+  }
+
+  /**
+   * Handlebars source of the file template
+   */
+  static getDefaultSource(templateName) {
+    if (!defaultSources.has(templateName)) {
+      const filePath = path.join(TEMPLATES_PATH, `${templateName}.html`);
+      defaultSources.set(templateName, fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null);
+    }
+    return defaultSources.get(templateName);
+  }
+
+  static defaultAnalysis(templateName) {
+    const source = this.getDefaultSource(templateName);
+    if (!source) {
+      throw templateError('Default template file is missing', 500, 'TEMPLATE_DEFAULT_MISSING');
+    }
+    return analyze(source);
+  }
+
+  /**
+   * Data paths a template override may use: whatever the file default reads
+   */
+  static getAllowedVariables(templateName) {
+    return this.defaultAnalysis(templateName).variables;
+  }
+
+  /**
+   * Check an override compiles and only reads data the send provides
+   */
+  static validate(templateName, html) {
+    if (typeof html !== 'string' || !html.trim()) {
+      throw templateError('Template HTML is required', 400, 'TEMPLATE_HTML_REQUIRED');
+    }
+
+    if (Buffer.byteLength(html, 'utf8') > MAX_TEMPLATE_BYTES) {
+      throw templateError(`Template must be under ${MAX_TEMPLATE_BYTES / 1024} KB`, 400, 'TEMPLATE_TOO_LARGE');
+    }
+
+    const analysis = analyze(html);
+
+    if (analysis.unsupported.size > 0) {
+      throw templateError(`Templates can't use ${[...analysis.unsupported].join(' or ')}`, 400, 'TEMPLATE_UNSUPPORTED_SYNTAX');
+    }
+
+    const helpers = knownHelpers();
+    const unknownHelpers = [...analysis.helpers].filter((helper) => !helpers.includes(helper));
+    if (unknownHelpers.length > 0) {
+      throw templateError(`Unknown helpers: ${unknownHelpers.join(', ')}`, 400, 'TEMPLATE_UNKNOWN_HELPER', {
+        unknownHelpers,
+        availableHelpers: helpers
+      });
+    }
+
+    const allowed = this.getAllowedVariables(templateName);
+    const unknownVariables = [...analysis.variables].filter((variable) => !isAllowedVariable(variable, allowed));
+    if (unknownVariables.length > 0) {
+      throw templateError(`Unknown variables: ${unknownVariables.join(', ')}`, 400, 'TEMPLATE_UNKNOWN_VARIABLES', {
+        unknownVariables,
+        availableVariables: [...allowed].sort()
+      });
+    }
+
+    return analysis;
+  }
+
+  static formatVersion(version) {
+    return {
+      version: version.version,
+      changeNote: version.changeNote,
+      restoredFromVersion: version.restoredFromVersion,
+      createdAt: version.createdAt,
+      author: version.author ? { id: version.author.id, fullName: version.author.fullName } : null
+    };
+  }
+
+  /**
+   * Every customizable template with the organization's override status
+   */
+  static async listTemplates(organizationId) {
+    const overrides = await prisma.organizationEmailTemplate.findMany({
+      where: { organizationId },
+      select: { templateName: true, version: true, isActive: true, updatedAt: true }
+    });
+    const byName = new Map(overrides.map((override) => [override.templateName, override]));
+
+    return Object.entries(EDITABLE_TEMPLATES).map(([name, meta]) => {
+      const override = byName.get(name);
+      return {
+        name,
+        ...meta,
+        customized: !!override?.isActive,
+        version: override?.version || null,
+        updatedAt: override?.updatedAt || null
+      };
+    });
+  }
+
+  static findOverride(organizationId, templateName) {
+    return prisma.organizationEmailTemplate.findUnique({
+      where: { organizationId_templateName: { organizationId, templateName } }
+    });
+  }
+
+  /**
+   * Template detail: default and current source, available variables and version history
+   */
+  static async getTemplate(organizationId, templateName) {
+    this.assertEditable(templateName);
+
+    const override = await prisma.organizationEmailTemplate.findUnique({
+      where: { organizationId_templateName: { organizationId, templateName } },
+      include: {
+        versions: {
+          orderBy: { version: 'desc' },
+          include: { author: { select: { id: true, fullName: true } } }
+        }
+      }
+    });
+    const defaultHtml = this.getDefaultSource(templateName);
+
+    return {
+      name: templateName,
+      ...EDITABLE_TEMPLATES[templateName],
+      customized: !!override?.isActive,
+      version: override?.version || null,
+      html: override?.isActive ? override.html : defaultHtml,
+      defaultHtml,
+      variables: [...this.getAllowedVariables(templateName)].sort(),
+      versions: (override?.versions || []).map((version) => this.formatVersion(version))
+    };
+  }
+
+  /**
+   * Full source of one saved version
+   */
+  static async getVersion(organizationId, templateName, version) {
+    this.assertEditable(templateName);
+
+    const templateVersion = await prisma.organizationEmailTemplateVersion.findFirst({
+      where: {
+        version,
+        template: { organizationId, templateName }
+      },
+      include: { author: { select: { id: true, fullName: true } } }
+    });
+
+    if (!templateVersion) {
+      throw templateError('Template version not found', 404, 'TEMPLATE_VERSION_NOT_FOUND');
+    }
+
+    return { ...this.formatVersion(templateVersion), html: templateVersion.html };
+  }
+
+  /**
+   * Save a new version and make it the organization's active template
+   */
+  static async saveTemplate(organizationId, templateName, { html, changeNote, restoredFromVersion = null }, userId) {
+    this.assertEditable(templateName);
+    this.validate(templateName, html);
+
+    const saved = await prisma.$transaction(async (tx) => {
+      const existing = await tx.organizationEmailTemplate.findUnique({
+        where: { organizationId_templateName: { organizationId, templateName } },
+        select: { id: true, version: true }
+      });
+      const version = (existing?.version || 0) + 1;
+
+      const template = existing
+        ? await tx.organizationEmailTemplate.update({
+            where: { id: existing.id },
+            data: { html, version, isActive: true }
+          })
+        : await tx.organizationEmailTemplate.create({
+            data: { organizationId, templateName, html, version }
+          });
+
+      await tx.organizationEmailTemplateVersion.create({
+        data: {
+          templateId: template.id,
+          version,
+          html,
+          changeNote: changeNote?.trim().slice(0, 500) || null,
+          restoredFromVersion,
+          createdBy: userId
+        }
+      });
+
+      return template;
+    });
+
+    this.invalidate(organizationId, templateName);
+    return saved;
+  }
+
+  /**
+   * Roll back by saving an old version's source as the newest version
+   */
+  static async restoreVersion(organizationId, templateName, version, userId) {
+    const previous = await this.getVersion(organizationId, templateName, version);
+
+    return this.saveTemplate(organizationId, templateName, {
+      html: previous.html,
+      changeNote: `Restored version ${version}`,
+      restoredFromVersion: version
+    }, userId);
+  }
+
+  /**
+   * Go back to the file default; history is kept and the next save reactivates the override
+   */
+  static async resetTemplate(organizationId, templateName) {
+    this.assertEditable(templateName);
+
+    const override = await this.findOverride(organizationId, templateName);
+    if (!override?.isActive) {
+      throw templateError('Template is not customized', 404, 'TEMPLATE_NOT_CUSTOMIZED');
+    }
+
+    await prisma.organizationEmailTemplate.update({
+      where: { id: override.id },
+      data: { isActive: false }
+    });
+
+    this.invalidate(organizationId, templateName);
+    return override;
+  }
+
+  /**
+   * Render a draft, the saved override or the default with sample data.
+   * data: values to use instead of the generated placeholders
+   */
+  static async preview(organizationId, templateName, { html, data = {} } = {}) {
+    this.assertEditable(templateName);
+
+    let source = html;
+    let sourceType = 'draft';
+    if (!source) {
+      const override = await this.findOverride(organizationId, templateName);
+      source = override?.isActive ? override.html : this.getDefaultSource(templateName);
+      sourceType = override?.isActive ? 'custom' : 'default';
+    }
+
+    if (sourceType === 'draft') {
+      this.validate(templateName, source);
+    }
+
+    const organization = await prisma.organization.findUnique({
+      where: { id: organizationId },
+      select: { name: true }
+    });
+
+    const sampleData = {
+      ...buildSampleData(analyze(source)),
+      organizationName: organization?.name || 'Alumni Portal',
+      year: new Date().getFullYear(),
+      ...data
+    };
+
+    try {
+      return {
+        html: handlebars.compile(source)(sampleData),
+        source: sourceType,
+        sampleData
+      };
+    } catch (error) {
+      throw templateError(`Template render error: ${error.message}`, 400, 'TEMPLATE_RENDER_ERROR');
+    }
+  }
+
+  /**
+   * Compiled active override for a send, or null to use the file default
+   */
+  static async getCompiledOverride(organizationId, templateName) {
+    if (!organizationId || !this.isEditable(templateName)) return null;
+
+    const cacheKey = `${organizationId}:${templateName}`;
+    const cached = compiledCache.get(cacheKey);
+    if (cached && cached.expiry > Date.now()) {
+      return cached.compiled;
+    }
+
+    const override = await this.findOverride(organizationId, templateName);
+    const compiled = override?.isActive ? handlebars.compile(override.html) : null;
+
+    compiledCache.set(cacheKey, { compiled, expiry: Date.now() + COMPILED_CACHE_TTL });
+    return compiled;
+  }
+
+  static invalidate(organizationId, templateName) {
+    compiledCache.delete(`${organizationId}:${templateName}`);
+  }
+}
+
+module.exports = EmailTemplateService;
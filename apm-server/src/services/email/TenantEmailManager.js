@@ -2,12 +2,10 @@
 // Multi-Tenant Email Service Manager - Supports client domain emails
 
 const nodemailer = require('nodemailer');
-const { PrismaClient } = require('@prisma/client');
+const { prisma } = require('../../config/database');
 const crypto = require('crypto');
 const EmailService = require('./EmailService');
 
-const prisma = new PrismaClient();
-
 class TenantEmailManager {
   constructor() {
     // Cache for tenant email services (to avoid recreating on every request)
@@ -54,10 +52,10 @@ class TenantEmailManager {
         }
       });
 
-      // If no tenant config or not active/verified, use default
+      // If no tenant config or not active/verified, use default (still with the tenant's custom templates)
       if (!emailConfig) {
         console.log(`📧 No active email config for tenant ${tenantCode}, using default`);
-        return this.getDefaultService();
+        return this.getDefaultServiceForTenant(tenantCode);
       }
 
       // Check rate limits
@@ -296,6 +294,36 @@ class TenantEmailManager {
     return this.defaultEmailManager.getService();
   }
 
+  /**
+   * Default system email service scoped to a tenant so its custom templates apply
+   */
+  async getDefaultServiceForTenant(tenantCode) {
+    const defaultService = this.getDefaultService();
+
+    const organization = await prisma.organization.findUnique({
+      where: { tenantCode },
+      select: { id: true, tenantCode: true }
+    });
+    if (!organization) {
+      return defaultService;
+    }
+
+    // Shares the default provider and compiled templates; only the tenant context differs
+    const service = Object.create(defaultService);
+    service.tenantConfig = {
+      organizationId: organization.id,
+      tenantCode: organization.tenantCode
+    };
+
+    this.tenantServicesCache.set(tenantCode, {
+      service,
+      expiry: Date.now() + this.cacheExpiry,
+      configId: null
+    });
+
+    return service;
+  }
+
   /**
    * Check rate limits for tenant
    */
@@ -3,10 +3,23 @@ class BaseEmailProvider {
     this.config = config;
   }
 
-  async sendEmail(to, subject, htmlContent, data) {
+  // options.replyTo: address replies should go to instead of the sender
+  // options.attachments: [{ filename, content (string or Buffer), contentType }]
+  // options.listUnsubscribe: one-click unsubscribe URL for the List-Unsubscribe headers
+  async sendEmail(to, subject, htmlContent, data, options = {}) {
     throw new Error('sendEmail method must be implemented by provider');
   }
 
+  // RFC 8058 one-click unsubscribe headers; mail clients POST to the URL
+  unsubscribeHeaders(options = {}) {
+    if (!options.listUnsubscribe) return null;
+
+    return {
+      'List-Unsubscribe': `<${options.listUnsubscribe}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    };
+  }
+
   async testConnection() {
     throw new Error('testConnection method must be implemented by provider');
   }
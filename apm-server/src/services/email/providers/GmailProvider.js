@@ -14,18 +14,23 @@ class GmailProvider extends BaseEmailProvider {
   }
 
   async sendEmail(emailOptions) {
+    // Handle both object and individual parameters for backward compatibility
+    const options = typeof emailOptions === 'object' && emailOptions.to 
+      ? emailOptions 
+      : { to: arguments[0], subject: arguments[1], html: arguments[2], data: arguments[3] || {}, replyTo: arguments[4]?.replyTo, attachments: arguments[4]?.attachments, listUnsubscribe: arguments[4]?.listUnsubscribe };
+
     try {
-      // Handle both object and individual parameters for backward compatibility
-      const options = typeof emailOptions === 'object' && emailOptions.to 
-        ? emailOptions 
-        : { to: arguments[0], subject: arguments[1], html: arguments[2], data: arguments[3] || {} };
+      const headers = this.unsubscribeHeaders(options);
         
       const mailOptions = {
         from: `${this.config.fromName} <${this.config.user}>`,
         to: options.to,
         subject: options.subject,
         html: options.html,
-        text: this.htmlToText(options.html) // Fallback text version
+        text: this.htmlToText(options.html), // Fallback text version
+        ...(options.replyTo && { replyTo: options.replyTo }),
+        ...(options.attachments?.length && { attachments: options.attachments }),
+        ...(headers && { headers })
       };
 
       const info = await this.transporter.sendMail(mailOptions);
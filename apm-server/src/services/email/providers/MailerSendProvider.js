@@ -1,4 +1,4 @@
-const { MailerSend, EmailParams, Sender, Recipient } = require('mailersend');
+const { MailerSend, EmailParams, Sender, Recipient, Attachment } = require('mailersend');
 const BaseEmailProvider = require('./BaseEmailProvider');
 
 class MailerSendProvider extends BaseEmailProvider {
@@ -9,7 +9,7 @@ class MailerSendProvider extends BaseEmailProvider {
     });
   }
 
-  async sendEmail(to, subject, htmlContent, data = {}) {
+  async sendEmail(to, subject, htmlContent, data = {}, options = {}) {
     try {
       console.log(`📧 MailerSend: Preparing email to ${to}`);
       console.log(`📧 MailerSend: From ${this.config.fromName} <${this.config.fromEmail}>`);
@@ -24,6 +24,20 @@ class MailerSendProvider extends BaseEmailProvider {
         .setSubject(subject)
         .setHtml(htmlContent);
 
+      if (options.replyTo) {
+        emailParams.setReplyTo(new Recipient(options.replyTo));
+      }
+
+      if (options.attachments?.length) {
+        emailParams.setAttachments(options.attachments.map(attachment =>
+          new Attachment(Buffer.from(attachment.content).toString('base64'), attachment.filename, 'attachment')
+        ));
+      }
+
+      if (options.listUnsubscribe) {
+        emailParams.setListUnsubscribe(`<${options.listUnsubscribe}>`);
+      }
+
       console.log(`📧 MailerSend: Sending email...`);
       const result = await this.mailerSend.email.send(emailParams);
 
@@ -7,13 +7,23 @@ class ResendProvider extends BaseEmailProvider {
     this.resend = new Resend(config.apiKey);
   }
 
-  async sendEmail(to, subject, htmlContent, data = {}) {
+  async sendEmail(to, subject, htmlContent, data = {}, options = {}) {
     try {
+      const headers = this.unsubscribeHeaders(options);
       const result = await this.resend.emails.send({
         from: `${this.config.fromName} <${this.config.fromEmail}>`,
         to: to,
         subject: subject,
         html: htmlContent,
+        ...(options.replyTo && { replyTo: options.replyTo }),
+        ...(options.attachments?.length && {
+          attachments: options.attachments.map(attachment => ({
+            filename: attachment.filename,
+            content: Buffer.from(attachment.content),
+            contentType: attachment.contentType,
+          })),
+        }),
+        ...(headers && { headers }),
       });
 
       if (result.error) {
@@ -7,8 +7,9 @@ class SendGridProvider extends BaseEmailProvider {
     sgMail.setApiKey(config.apiKey);
   }
 
-  async sendEmail(to, subject, htmlContent, data = {}) {
+  async sendEmail(to, subject, htmlContent, data = {}, options = {}) {
     try {
+      const headers = this.unsubscribeHeaders(options);
       const mailOptions = {
         from: {
           email: this.config.fromEmail,
@@ -17,7 +18,17 @@ class SendGridProvider extends BaseEmailProvider {
         to: to,
         subject: subject,
         html: htmlContent,
-        text: this.htmlToText(htmlContent)
+        text: this.htmlToText(htmlContent),
+        ...(options.replyTo && { replyTo: options.replyTo }),
+        ...(options.attachments?.length && {
+          attachments: options.attachments.map(attachment => ({
+            content: Buffer.from(attachment.content).toString('base64'),
+            filename: attachment.filename,
+            type: attachment.contentType,
+            disposition: 'attachment'
+          }))
+        }),
+        ...(headers && { headers })
       };
 
       const result = await sgMail.send(mailOptions);
@@ -1,5 +1,6 @@
 // src/services/event.service.js
 const { prisma } = require("../../config/database");
+const { FormLogicService, FORM_LOGIC_FIELD_SELECT } = require("./formLogic.service");
 
 /**
  * Event utility service for common operations
@@ -57,6 +58,13 @@ class EventService {
 
 		// Check capacity
 		if (event.maxCapacity && event._count?.registrations >= event.maxCapacity) {
+			if (event.allowWaitlist) {
+				return {
+					status: "WAITLIST",
+					canRegister: true,
+					message: "Event is full - new registrations join the waitlist",
+				};
+			}
 			return {
 				status: "FULL",
 				canRegister: false,
@@ -243,44 +251,6 @@ class EventService {
 		}
 	}
 
-	/**
-	 * Check if user can modify event registration
-	 */
-	static canModifyRegistration(event, registration) {
-		if (!event.allowFormModification) {
-			return {
-				canModify: false,
-				reason: "Form modification is not allowed for this event",
-			};
-		}
-
-		const now = new Date();
-		const eventDate = new Date(event.eventDate);
-		const deadlineHours = event.formModificationDeadlineHours || 24;
-		const modificationDeadline = new Date(
-			eventDate.getTime() - deadlineHours * 60 * 60 * 1000
-		);
-
-		if (now > modificationDeadline) {
-			return {
-				canModify: false,
-				reason: `Registration modification deadline has passed (${deadlineHours} hours before event)`,
-			};
-		}
-
-		if (registration.status !== "CONFIRMED") {
-			return {
-				canModify: false,
-				reason: "Only confirmed registrations can be modified",
-			};
-		}
-
-		return {
-			canModify: true,
-			deadlineTime: modificationDeadline,
-		};
-	}
-
 	/**
 	 * Generate event slug from title
 	 */
@@ -546,8 +516,8 @@ class EventService {
 				}
 			}
 
-			// Check capacity
-			if (event.maxCapacity) {
+			// Check capacity; full events still accept registrations onto the waitlist
+			if (event.maxCapacity && !event.allowWaitlist) {
 				const currentRegistrations = await prisma.eventRegistration.count({
 					where: {
 						eventId: event.id,
@@ -603,21 +573,24 @@ class EventService {
 			guestFee = 0,
 			merchandiseTotal = 0,
 			donationAmount = 0,
+			formAddOnTotal = 0,
 		} = feeData;
 
 		const registrationFeePaid = Number(registrationFee);
 		const guestFeesPaid = Number(guestCount) * Number(guestFee);
 		const merchandiseAmount = Number(merchandiseTotal);
 		const donation = Number(donationAmount);
+		const formAddOnAmount = Number(formAddOnTotal);
 
 		const totalAmount =
-			registrationFeePaid + guestFeesPaid + merchandiseAmount + donation;
+			registrationFeePaid + guestFeesPaid + merchandiseAmount + donation + formAddOnAmount;
 
 		return {
 			registrationFee: registrationFeePaid,
 			guestFeesPaid,
 			merchandiseTotal: merchandiseAmount,
 			donationAmount: donation,
+			formAddOnAmount,
 			totalAmount,
 			breakdown: {
 				baseRegistration: registrationFeePaid,
@@ -628,6 +601,7 @@ class EventService {
 				},
 				merchandise: merchandiseAmount,
 				donation: donation,
+				formAddOns: formAddOnAmount,
 			},
 		};
 	}
@@ -849,148 +823,18 @@ class EventService {
 	}
 
 	/**
-	 * Validate form responses against form fields
+	 * Validate form responses against form fields, including visibility and
+	 * requirement rules (see FormLogicService.evaluate for the result shape)
 	 */
-	static async validateFormResponses(formId, responses) {
+	static async validateFormResponses(formId, responses = [], options = {}) {
 		try {
-			if (!responses || responses.length === 0) {
-				return { valid: true, errors: [] };
-			}
-
-			// Get form fields
 			const fields = await prisma.eventFormField.findMany({
 				where: { formId },
-				select: {
-					id: true,
-					fieldName: true,
-					fieldLabel: true,
-					fieldType: true,
-					isRequired: true,
-					options: true,
-					validation: true,
-				},
+				select: FORM_LOGIC_FIELD_SELECT,
+				orderBy: { orderIndex: "asc" },
 			});
 
-			const errors = [];
-			const responseMap = new Map(
-				responses.map((r) => [r.fieldId, r.response])
-			);
-
-			// Check each field
-			for (const field of fields) {
-				const response = responseMap.get(field.id);
-
-				// Check required fields
-				if (field.isRequired && (!response || response.trim() === "")) {
-					errors.push({
-						fieldId: field.id,
-						fieldName: field.fieldName,
-						message: `${field.fieldLabel} is required`,
-					});
-					continue;
-				}
-
-				// Skip validation if no response and field is optional
-				if (!response) continue;
-
-				// Validate field type specific rules
-				switch (field.fieldType) {
-					case "EMAIL":
-						const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-						if (!emailRegex.test(response)) {
-							errors.push({
-								fieldId: field.id,
-								fieldName: field.fieldName,
-								message: `${field.fieldLabel} must be a valid email address`,
-							});
-						}
-						break;
-
-					case "PHONE":
-						const phoneRegex = /^[\+]?[1-9][\d]{0,15}$/;
-						if (!phoneRegex.test(response.replace(/[\s\-\(\)]/g, ""))) {
-							errors.push({
-								fieldId: field.id,
-								fieldName: field.fieldName,
-								message: `${field.fieldLabel} must be a valid phone number`,
-							});
-						}
-						break;
-
-					case "SELECT":
-					case "RADIO":
-						if (field.options && !field.options.includes(response)) {
-							errors.push({
-								fieldId: field.id,
-								fieldName: field.fieldName,
-								message: `${field.fieldLabel} must be one of the provided options`,
-							});
-						}
-						break;
-
-					case "CHECKBOX":
-						try {
-							const selectedOptions = JSON.parse(response);
-							if (!Array.isArray(selectedOptions)) {
-								throw new Error("Invalid format");
-							}
-							const invalidOptions = selectedOptions.filter(
-								(opt) => !field.options.includes(opt)
-							);
-							if (invalidOptions.length > 0) {
-								errors.push({
-									fieldId: field.id,
-									fieldName: field.fieldName,
-									message: `${field.fieldLabel} contains invalid options`,
-								});
-							}
-						} catch (e) {
-							errors.push({
-								fieldId: field.id,
-								fieldName: field.fieldName,
-								message: `${field.fieldLabel} must be a valid selection`,
-							});
-						}
-						break;
-				}
-
-				// Apply custom validation rules
-				if (field.validation) {
-					const validation = field.validation;
-
-					if (validation.minLength && response.length < validation.minLength) {
-						errors.push({
-							fieldId: field.id,
-							fieldName: field.fieldName,
-							message: `${field.fieldLabel} must be at least ${validation.minLength} characters`,
-						});
-					}
-
-					if (validation.maxLength && response.length > validation.maxLength) {
-						errors.push({
-							fieldId: field.id,
-							fieldName: field.fieldName,
-							message: `${field.fieldLabel} must be no more than ${validation.maxLength} characters`,
-						});
-					}
-
-					if (validation.pattern) {
-						const regex = new RegExp(validation.pattern);
-						if (!regex.test(response)) {
-							errors.push({
-								fieldId: field.id,
-								fieldName: field.fieldName,
-								message: `${field.fieldLabel} format is invalid`,
-							});
-						}
-					}
-				}
-			}
-
-			return {
-				valid: errors.length === 0,
-				errors,
-			};
+			return FormLogicService.evaluate(fields, responses || [], options);
 		} catch (error) {
 			console.error("Validate form responses error:", error);
 			return {
@@ -0,0 +1,702 @@
+// src/services/event/eventSeries.service.js
+const { prisma } = require("../../config/database");
+const { Prisma } = require("@prisma/client");
+const {
+	NotificationService,
+	NOTIFICATION_TYPES,
+	PRIORITY_LEVELS,
+} = require("../notification.service");
+const {
+	expandRecurrence,
+	describeRecurrence,
+} = require("../../utils/recurrence.util");
+const { CalendarInviteService } = require("../calendar/calendarInvite.service");
+const CalendarUpdateService = require("../calendar/calendarUpdate.service");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Template fields copied to every occurrence (and re-applied by syncFromTemplate)
+const TEMPLATE_FIELDS = [
+	"title", "description", "categoryId", "startTime", "endTime", "defaultRegistrationMode",
+	"venue", "meetingLink", "maxCapacity", "eventMode",
+	"hasRegistration", "hasExternalLink", "externalRegistrationLink", "hasCustomForm",
+	"hasMeals", "hasGuests", "hasDonations", "hasMerchandise", "hasPrizes", "hasSponsors",
+	"hasOrganizers", "allowFormModification", "formModificationDeadlineHours",
+	"allowWaitlist", "waitlistPaymentWindowHours",
+	"registrationFee", "guestFee", "currencyPricing",
+	"heroImage", "images", "prizeDetails", "organizerDetails",
+];
+
+const RULE_FIELDS = [
+	"frequency", "interval", "byWeekdays", "byMonthDay", "weekOfMonth", "byMonth",
+	"startDate", "endDate", "occurrenceCount",
+];
+
+const SETTINGS_FIELDS = [
+	"title", "description", "generateAheadDays", "occurrenceStatus",
+	"registrationOpensDaysBefore", "registrationClosesHoursBefore", "isActive",
+];
+
+// Event listings leave series templates out
+const NOT_SERIES_TEMPLATE = { seriesTemplateOf: { is: null } };
+
+const templateInclude = {
+	sections: { orderBy: { orderIndex: "asc" } },
+	form: { include: { fields: { orderBy: { orderIndex: "asc" } } } },
+	merchandise: { orderBy: { orderIndex: "asc" } },
+};
+
+const seriesError = (message, statusCode, code) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	error.code = code;
+	return error;
+};
+
+const slugify = (text) =>
+	text
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, "-")
+		.replace(/^-|-$/g, "");
+
+// Json columns need DbNull rather than null
+const jsonValue = (value) => (value === null || value === undefined ? Prisma.DbNull : value);
+
+/**
+ * Recurring events: occurrence generation from a recurrence rule, template cloning,
+ * per-occurrence overrides and cancellations
+ */
+class EventSeriesService {
+	static ruleOf(series) {
+		return {
+			...Object.fromEntries(RULE_FIELDS.map((field) => [field, series[field]])),
+			excludedDates: series.excludedDates || [],
+		};
+	}
+
+	static async findSeries(seriesId, tenantFilter = {}) {
+		const series = await prisma.eventSeries.findFirst({
+			where: { id: seriesId, ...tenantFilter },
+		});
+
+		if (!series) {
+			throw seriesError("Event series not found", 404, "SERIES_NOT_FOUND");
+		}
+
+		return series;
+	}
+
+	// ==========================================
+	// OCCURRENCE CLONING
+	// ==========================================
+
+	/**
+	 * Scalar fields an occurrence takes from the template
+	 */
+	static templateData(template) {
+		const data = Object.fromEntries(TEMPLATE_FIELDS.map((field) => [field, template[field]]));
+		data.currencyPricing = jsonValue(template.currencyPricing);
+		return data;
+	}
+
+	static sectionData(template) {
+		return template.sections.map(({ sectionType, title, content, orderIndex, isVisible }) => ({
+			sectionType, title, content, orderIndex, isVisible,
+		}));
+	}
+
+	static formData(template) {
+		if (!template.form) {
+			return null;
+		}
+
+		const { title, description, isActive, pages, fields } = template.form;
+		return {
+			title,
+			description,
+			isActive,
+			pages: jsonValue(pages),
+			fields: {
+				// Rules refer to fields by name, so they carry over unchanged
+				create: fields.map(({ fieldName, fieldLabel, fieldType, options, isRequired, orderIndex, validation, pageIndex, visibleWhen, requiredWhen, feeAddOn }) => ({
+					fieldName,
+					fieldLabel,
+					fieldType,
+					options: jsonValue(options),
+					isRequired,
+					orderIndex,
+					validation: jsonValue(validation),
+					pageIndex,
+					visibleWhen: jsonValue(visibleWhen),
+					requiredWhen: jsonValue(requiredWhen),
+					feeAddOn: jsonValue(feeAddOn),
+				})),
+			},
+		};
+	}
+
+	// Stock is per occurrence: every occurrence starts with the template's quantity
+	static merchandiseData(template) {
+		return template.merchandise.map(({ name, description, price, currencyPrices, images, availableSizes, stockQuantity, isActive, orderIndex }) => ({
+			name,
+			description,
+			price,
+			currencyPrices: jsonValue(currencyPrices),
+			images,
+			availableSizes,
+			stockQuantity,
+			isActive,
+			orderIndex,
+		}));
+	}
+
+	static registrationWindow(series, eventDate) {
+		return {
+			registrationStartDate: series.registrationOpensDaysBefore !== null
+				? new Date(eventDate.getTime() - series.registrationOpensDaysBefore * DAY_MS)
+				: null,
+			registrationEndDate: series.registrationClosesHoursBefore !== null
+				? new Date(eventDate.getTime() - series.registrationClosesHoursBefore * HOUR_MS)
+				: null,
+		};
+	}
+
+	static async uniqueSlug(base) {
+		let slug = base;
+		let counter = 1;
+
+		while (await prisma.event.findUnique({ where: { slug }, select: { id: true } })) {
+			slug = `${base}-${counter}`;
+			counter++;
+		}
+
+		return slug;
+	}
+
+	/**
+	 * Create one occurrence with its own copy of the template's sections, form and merchandise
+	 * @returns {Promise<Object|null>} Event, or null if another run already created it
+	 */
+	static async createOccurrence(series, template, occurrenceDate) {
+		const form = this.formData(template);
+		const slug = await this.uniqueSlug(
+			`${slugify(template.title)}-${occurrenceDate.toISOString().slice(0, 10)}`
+		);
+
+		try {
+			return await prisma.event.create({
+				data: {
+					...this.templateData(template),
+					...this.registrationWindow(series, occurrenceDate),
+					slug,
+					eventDate: occurrenceDate,
+					occurrenceDate,
+					status: series.occurrenceStatus,
+					seriesId: series.id,
+					createdBy: template.createdBy,
+					organizationId: series.organizationId,
+					sections: { create: this.sectionData(template) },
+					merchandise: { create: this.merchandiseData(template) },
+					...(form && { form: { create: form } }),
+				},
+				select: { id: true, title: true, eventDate: true, status: true },
+			});
+		} catch (error) {
+			if (error.code === "P2002") {
+				return null;
+			}
+			throw error;
+		}
+	}
+
+	/**
+	 * Create the series' missing occurrences up to generateAheadDays from now
+	 * @returns {Promise<Object>} { created, generatedUntil }
+	 */
+	static async generateOccurrences(seriesId) {
+		const series = await prisma.eventSeries.findUnique({
+			where: { id: seriesId },
+			include: { templateEvent: { include: templateInclude } },
+		});
+
+		if (!series || !series.isActive) {
+			return { created: [], generatedUntil: series?.generatedUntil || null };
+		}
+
+		const now = new Date();
+		const horizon = new Date(now.getTime() + series.generateAheadDays * DAY_MS);
+		const dates = expandRecurrence(this.ruleOf(series), { from: now, to: horizon });
+
+		const existing = await prisma.event.findMany({
+			where: { seriesId, occurrenceDate: { in: dates } },
+			select: { occurrenceDate: true },
+		});
+		const existingTimes = new Set(existing.map((event) => event.occurrenceDate.getTime()));
+
+		const created = [];
+		for (const date of dates) {
+			if (existingTimes.has(date.getTime())) continue;
+
+			const occurrence = await this.createOccurrence(series, series.templateEvent, date);
+			if (occurrence) {
+				created.push(occurrence);
+			}
+		}
+
+		await prisma.eventSeries.update({
+			where: { id: seriesId },
+			data: { generatedUntil: horizon },
+		});
+
+		if (created.length > 0) {
+			console.log(`🔁 Event series ${seriesId}: created ${created.length} occurrences`);
+		}
+
+		return { created, generatedUntil: horizon };
+	}
+
+	/**
+	 * Generate upcoming occurrences for every active series (daily cron)
+	 */
+	static async generateAllSeries() {
+		const seriesList = await prisma.eventSeries.findMany({
+			where: { isActive: true },
+			select: { id: true },
+		});
+
+		let created = 0;
+		for (const { id } of seriesList) {
+			try {
+				const result = await this.generateOccurrences(id);
+				created += result.created.length;
+			} catch (error) {
+				console.error(`❌ Occurrence generation failed for series ${id}:`, error);
+			}
+		}
+
+		return { series: seriesList.length, created };
+	}
+
+	// ==========================================
+	// SERIES MANAGEMENT
+	// ==========================================
+
+	/**
+	 * Turn an event into the template of a new series and generate its first occurrences.
+	 * The template stays in DRAFT and is edited through the normal event, section,
+	 * form and merchandise endpoints.
+	 */
+	static async createSeries(seriesData, userId, tenantFilter = {}, tenantData = {}) {
+		const { templateEventId, ...fields } = seriesData;
+
+		const template = await prisma.event.findFirst({
+			where: { id: templateEventId, ...tenantFilter },
+			select: {
+				id: true,
+				title: true,
+				description: true,
+				seriesId: true,
+				seriesTemplateOf: { select: { id: true } },
+				_count: { select: { registrations: true } },
+			},
+		});
+
+		if (!template) {
+			throw seriesError("Template event not found", 404, "EVENT_NOT_FOUND");
+		}
+
+		if (template.seriesId || template.seriesTemplateOf) {
+			throw seriesError("Event already belongs to a series", 400, "ALREADY_IN_SERIES");
+		}
+
+		if (template._count.registrations > 0) {
+			throw seriesError(
+				"Events with registrations cannot become a series template",
+				400,
+				"TEMPLATE_HAS_REGISTRATIONS"
+			);
+		}
+
+		const series = await prisma.$transaction(async (tx) => {
+			await tx.event.update({
+				where: { id: template.id },
+				data: { status: "DRAFT" },
+			});
+
+			return tx.eventSeries.create({
+				data: {
+					...fields,
+					title: fields.title || template.title,
+					description: fields.description ?? template.description,
+					templateEventId: template.id,
+					createdBy: userId,
+					...tenantData,
+				},
+			});
+		});
+
+		const { created } = await this.generateOccurrences(series.id);
+		return { series, created };
+	}
+
+	/**
+	 * Update series settings and/or its recurrence rule. When the rule changes, upcoming
+	 * occurrences the new rule no longer produces are removed unless they have
+	 * registrations or were edited on their own; those are kept and reported.
+	 */
+	static async updateSeries(seriesId, updates, tenantFilter = {}) {
+		// Throws when the series does not exist in this tenant
+		await this.findSeries(seriesId, tenantFilter);
+
+		const data = {};
+		[...RULE_FIELDS, ...SETTINGS_FIELDS, "excludedDates"].forEach((field) => {
+			if (updates[field] !== undefined) {
+				data[field] = updates[field];
+			}
+		});
+
+		const updated = await prisma.eventSeries.update({
+			where: { id: seriesId },
+			data,
+		});
+
+		const ruleChanged = RULE_FIELDS.some((field) => updates[field] !== undefined) ||
+			updates.excludedDates !== undefined;
+		const result = { series: updated, removed: 0, retained: [] };
+
+		if (ruleChanged) {
+			const now = new Date();
+			const upcoming = await prisma.event.findMany({
+				where: { seriesId, eventDate: { gte: now } },
+				select: {
+					id: true,
+					title: true,
+					eventDate: true,
+					occurrenceDate: true,
+					isSeriesOverride: true,
+					_count: { select: { registrations: true } },
+				},
+			});
+
+			const lastDate = upcoming.reduce(
+				(latest, event) => (event.occurrenceDate > latest ? event.occurrenceDate : latest),
+				now
+			);
+			const ruleTimes = new Set(
+				expandRecurrence(this.ruleOf(updated), { from: now, to: lastDate }).map((date) => date.getTime())
+			);
+
+			const stale = upcoming.filter((event) => !ruleTimes.has(event.occurrenceDate.getTime()));
+			const removable = stale.filter((event) => !event.isSeriesOverride && event._count.registrations === 0);
+
+			if (removable.length > 0) {
+				await prisma.event.deleteMany({
+					where: { id: { in: removable.map((event) => event.id) } },
+				});
+			}
+
+			result.removed = removable.length;
+			result.retained = stale
+				.filter((event) => !removable.includes(event))
+				.map(({ id, title, eventDate, _count }) => ({ id, title, eventDate, registrations: _count.registrations }));
+		}
+
+		const { created } = await this.generateOccurrences(seriesId);
+		result.created = created;
+		return result;
+	}
+
+	/**
+	 * Re-apply the template to upcoming occurrences that were not edited on their own.
+	 * Forms are only replaced where nobody has registered (responses reference the fields),
+	 * merchandise only where nothing has been ordered.
+	 */
+	static async syncFromTemplate(seriesId, tenantFilter = {}) {
+		const series = await prisma.eventSeries.findFirst({
+			where: { id: seriesId, ...tenantFilter },
+			include: { templateEvent: { include: templateInclude } },
+		});
+
+		if (!series) {
+			throw seriesError("Event series not found", 404, "SERIES_NOT_FOUND");
+		}
+
+		const template = series.templateEvent;
+
+		const occurrences = await prisma.event.findMany({
+			where: {
+				seriesId,
+				isSeriesOverride: false,
+				eventDate: { gte: new Date() },
+				status: { not: "CANCELLED" },
+			},
+			select: {
+				id: true,
+				title: true,
+				eventDate: true,
+				startTime: true,
+				endTime: true,
+				venue: true,
+				meetingLink: true,
+				eventMode: true,
+				organizationId: true,
+				_count: { select: { registrations: true } },
+				merchandise: { select: { _count: { select: { orders: true } } } },
+			},
+		});
+
+		const summary = { updated: 0, formsKept: 0, merchandiseKept: 0, invitesUpdated: 0 };
+		const form = this.formData(template);
+
+		for (const occurrence of occurrences) {
+			const replaceForm = occurrence._count.registrations === 0;
+			const replaceMerchandise = occurrence.merchandise.every((item) => item._count.orders === 0);
+			const calendarChanged = CalendarInviteService.hasCalendarChanges(occurrence, this.templateData(template));
+
+			const updated = await prisma.$transaction(async (tx) => {
+				await tx.eventSection.deleteMany({ where: { eventId: occurrence.id } });
+
+				if (replaceForm) {
+					await tx.eventForm.deleteMany({ where: { eventId: occurrence.id } });
+				}
+				if (replaceMerchandise) {
+					await tx.eventMerchandise.deleteMany({ where: { eventId: occurrence.id } });
+				}
+
+				return tx.event.update({
+					where: { id: occurrence.id },
+					data: {
+						...this.templateData(template),
+						...this.registrationWindow(series, occurrence.eventDate),
+						...(calendarChanged && { calendarSequence: { increment: 1 } }),
+						sections: { create: this.sectionData(template) },
+						...(replaceMerchandise && { merchandise: { create: this.merchandiseData(template) } }),
+						...(replaceForm && form && { form: { create: form } }),
+					},
+					select: { id: true, calendarSequence: true, organizationId: true },
+				});
+			});
+
+			if (calendarChanged && occurrence._count.registrations > 0) {
+				await CalendarUpdateService.queueEventUpdate(updated);
+				summary.invitesUpdated++;
+			}
+
+			summary.updated++;
+			if (!replaceForm) summary.formsKept++;
+			if (!replaceMerchandise) summary.merchandiseKept++;
+		}
+
+		return summary;
+	}
+
+	/**
+	 * Cancel one occurrence. A date that has not been generated yet is added to the
+	 * series' excluded dates instead.
+	 */
+	static async cancelOccurrence(seriesId, { eventId, occurrenceDate, reason }, tenantFilter = {}) {
+		const series = await this.findSeries(seriesId, tenantFilter);
+
+		const occurrence = await prisma.event.findFirst({
+			where: eventId
+				? { id: eventId, seriesId }
+				: { seriesId, occurrenceDate: new Date(occurrenceDate) },
+			select: { id: true, title: true, eventDate: true, status: true, occurrenceDate: true },
+		});
+
+		if (!occurrence) {
+			if (eventId) {
+				throw seriesError("Occurrence not found in this series", 404, "OCCURRENCE_NOT_FOUND");
+			}
+
+			const date = new Date(occurrenceDate);
+			const scheduled = expandRecurrence(this.ruleOf(series), { from: date, to: date, limit: 1 });
+			if (scheduled.length === 0) {
+				throw seriesError("The series has no occurrence on this date", 400, "NOT_AN_OCCURRENCE");
+			}
+
+			await prisma.eventSeries.update({
+				where: { id: seriesId },
+				data: { excludedDates: { push: date } },
+			});
+
+			return { occurrence: null, excludedDate: date, notified: 0 };
+		}
+
+		if (occurrence.status === "CANCELLED") {
+			throw seriesError("Occurrence is already cancelled", 400, "ALREADY_CANCELLED");
+		}
+
+		const updated = await prisma.event.update({
+			where: { id: occurrence.id },
+			data: { status: "CANCELLED", isSeriesOverride: true, calendarSequence: { increment: 1 } },
+			select: {
+				id: true,
+				title: true,
+				eventDate: true,
+				occurrenceDate: true,
+				status: true,
+				calendarSequence: true,
+				organizationId: true,
+			},
+		});
+
+		const notified = await this.notifyCancellation(updated, series, reason);
+		if (notified > 0) {
+			await CalendarUpdateService.queueEventUpdate(updated);
+		}
+		return { occurrence: updated, excludedDate: null, notified };
+	}
+
+	static async notifyCancellation(occurrence, series, reason) {
+		const registrations = await prisma.eventRegistration.findMany({
+			where: { eventId: occurrence.id, status: { in: ["CONFIRMED", "WAITLIST"] } },
+			select: { userId: true },
+		});
+
+		if (registrations.length === 0) {
+			return 0;
+		}
+
+		const date = occurrence.eventDate.toDateString();
+
+		try {
+			await NotificationService.createAndSendNotification({
+				recipientIds: registrations.map((registration) => registration.userId),
+				type: NOTIFICATION_TYPES.EVENT_CANCELLATION,
+				title: `${occurrence.title} on ${date} is cancelled`,
+				message: reason || `The ${date} session of ${series.title} has been cancelled. Other dates in the series are unaffected.`,
+				data: { eventId: occurrence.id, seriesId: series.id, reason: reason || null },
+				priority: PRIORITY_LEVELS.HIGH,
+				relatedEntityType: "EVENT",
+				relatedEntityId: occurrence.id,
+				organizationId: series.organizationId,
+			});
+		} catch (error) {
+			console.error("Occurrence cancellation notification failed:", error);
+		}
+
+		return registrations.length;
+	}
+
+	/**
+	 * Record an occurrence deleted through the event endpoints so it is not regenerated
+	 */
+	static async excludeOccurrence(event) {
+		if (!event.seriesId || !event.occurrenceDate) {
+			return;
+		}
+
+		await prisma.eventSeries.update({
+			where: { id: event.seriesId },
+			data: { excludedDates: { push: event.occurrenceDate } },
+		});
+	}
+
+	/**
+	 * Delete a series: upcoming occurrences without registrations and the template are
+	 * removed, the rest stay as standalone events
+	 */
+	static async deleteSeries(seriesId, tenantFilter = {}) {
+		const series = await this.findSeries(seriesId, tenantFilter);
+
+		return prisma.$transaction(async (tx) => {
+			const { count: removed } = await tx.event.deleteMany({
+				where: {
+					seriesId,
+					eventDate: { gte: new Date() },
+					registrations: { none: {} },
+				},
+			});
+
+			const { count: detached } = await tx.event.updateMany({
+				where: { seriesId },
+				data: { seriesId: null, isSeriesOverride: false },
+			});
+
+			await tx.eventSeries.delete({ where: { id: seriesId } });
+			await tx.event.delete({ where: { id: series.templateEventId } });
+
+			return { removed, detached };
+		});
+	}
+
+	// ==========================================
+	// QUERIES
+	// ==========================================
+
+	static async listSeries(tenantFilter = {}) {
+		const seriesList = await prisma.eventSeries.findMany({
+			where: tenantFilter,
+			include: {
+				templateEvent: { select: { id: true, title: true, heroImage: true, categoryId: true } },
+				_count: { select: { occurrences: true } },
+			},
+			orderBy: { createdAt: "desc" },
+		});
+
+		return seriesList.map((series) => ({
+			...series,
+			recurrence: describeRecurrence(series),
+		}));
+	}
+
+	/**
+	 * Series with its occurrences and the next dates the rule will generate
+	 */
+	static async getSeries(seriesId, tenantFilter = {}) {
+		const series = await prisma.eventSeries.findFirst({
+			where: { id: seriesId, ...tenantFilter },
+			include: {
+				templateEvent: {
+					select: {
+						id: true,
+						title: true,
+						heroImage: true,
+						startTime: true,
+						endTime: true,
+						venue: true,
+						_count: { select: { sections: true, merchandise: true } },
+						form: { select: { id: true, _count: { select: { fields: true } } } },
+					},
+				},
+				occurrences: {
+					orderBy: { eventDate: "asc" },
+					select: {
+						id: true,
+						title: true,
+						slug: true,
+						eventDate: true,
+						occurrenceDate: true,
+						status: true,
+						isSeriesOverride: true,
+						maxCapacity: true,
+						_count: {
+							select: { registrations: { where: { status: "CONFIRMED" } } },
+						},
+					},
+				},
+			},
+		});
+
+		if (!series) {
+			throw seriesError("Event series not found", 404, "SERIES_NOT_FOUND");
+		}
+
+		const upcomingDates = series.isActive
+			? expandRecurrence(this.ruleOf(series), {
+				from: series.generatedUntil || new Date(),
+				limit: 5,
+			}).filter((date) => !series.generatedUntil || date > series.generatedUntil)
+			: [];
+
+		return {
+			...series,
+			recurrence: describeRecurrence(series),
+			upcomingDates,
+		};
+	}
+}
+
+module.exports = { EventSeriesService, NOT_SERIES_TEMPLATE };
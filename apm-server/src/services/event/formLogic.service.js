@@ -0,0 +1,503 @@
+// src/services/event/formLogic.service.js
+// Conditional visibility/requirement, pages and fee add-ons for event registration forms
+
+const CONDITION_OPERATORS = [
+	"equals",
+	"notEquals",
+	"in",
+	"notIn",
+	"greaterThan",
+	"greaterThanOrEqual",
+	"lessThan",
+	"lessThanOrEqual",
+	"answered",
+	"notAnswered",
+];
+
+const CHOICE_FIELD_TYPES = ["SELECT", "RADIO", "CHECKBOX"];
+const NUMERIC_OPERATORS = ["greaterThan", "greaterThanOrEqual", "lessThan", "lessThanOrEqual"];
+const LIST_OPERATORS = ["in", "notIn"];
+const ADD_ON_TYPES = ["OPTION", "PER_UNIT", "FLAT"];
+
+// Field columns the rules need
+const FORM_LOGIC_FIELD_SELECT = {
+	id: true,
+	fieldName: true,
+	fieldLabel: true,
+	fieldType: true,
+	options: true,
+	isRequired: true,
+	orderIndex: true,
+	validation: true,
+	pageIndex: true,
+	visibleWhen: true,
+	requiredWhen: true,
+	feeAddOn: true,
+};
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_REGEX = /^[+]?[1-9][\d]{0,15}$/;
+
+const isBlank = (value) =>
+	value === null || value === undefined || (Array.isArray(value) ? value.length === 0 : String(value).trim() === "");
+
+const toNumber = (value) => {
+	if (isBlank(value) || Array.isArray(value)) return null;
+	const number = Number(value);
+	return Number.isFinite(number) ? number : null;
+};
+
+const sameValue = (a, b) => String(a) === String(b);
+
+// Field names referenced anywhere in a condition tree
+const conditionFields = (condition, names = new Set()) => {
+	if (!condition) return names;
+	if (Array.isArray(condition.all)) condition.all.forEach((item) => conditionFields(item, names));
+	if (Array.isArray(condition.any)) condition.any.forEach((item) => conditionFields(item, names));
+	if (condition.field) names.add(condition.field);
+	return names;
+};
+
+const leafConditions = (condition, leaves = []) => {
+	if (!condition) return leaves;
+	if (Array.isArray(condition.all)) condition.all.forEach((item) => leafConditions(item, leaves));
+	if (Array.isArray(condition.any)) condition.any.forEach((item) => leafConditions(item, leaves));
+	if (condition.field) leaves.push(condition);
+	return leaves;
+};
+
+class FormLogicService {
+	/**
+	 * Stored response string -> comparable value (CHECKBOX answers are JSON arrays)
+	 * @returns {string|number|string[]|null} null when unanswered
+	 */
+	static parseAnswer(field, response) {
+		if (isBlank(response)) return null;
+
+		if (field.fieldType === "CHECKBOX") {
+			try {
+				const selected = JSON.parse(response);
+				return Array.isArray(selected) && selected.length > 0 ? selected : null;
+			} catch {
+				return undefined;
+			}
+		}
+
+		if (field.fieldType === "NUMBER") {
+			const number = toNumber(response);
+			return number === null ? undefined : number;
+		}
+
+		return String(response).trim();
+	}
+
+	/**
+	 * Evaluate one condition against parsed answers
+	 * @param {Object} condition - { field, operator, value } or { all: [...] } / { any: [...] }
+	 * @param {Function} answerOf - fieldName -> parsed answer (null for unanswered or hidden)
+	 */
+	static evaluateCondition(condition, answerOf) {
+		if (!condition) return true;
+		if (Array.isArray(condition.all)) {
+			return condition.all.every((item) => this.evaluateCondition(item, answerOf));
+		}
+		if (Array.isArray(condition.any)) {
+			return condition.any.some((item) => this.evaluateCondition(item, answerOf));
+		}
+
+		const answer = answerOf(condition.field);
+		const answered = !isBlank(answer);
+		const values = Array.isArray(condition.value) ? condition.value : [condition.value];
+		// A checkbox answer "equals" a value when that box is ticked
+		const matches = (expected) =>
+			Array.isArray(answer) ? answer.some((item) => sameValue(item, expected)) : sameValue(answer, expected);
+
+		switch (condition.operator) {
+			case "answered":
+				return answered;
+			case "notAnswered":
+				return !answered;
+			case "equals":
+				return answered && matches(condition.value);
+			case "notEquals":
+				return !answered || !matches(condition.value);
+			case "in":
+				return answered && values.some(matches);
+			case "notIn":
+				return !answered || !values.some(matches);
+			default: {
+				const actual = toNumber(answer);
+				const expected = toNumber(condition.value);
+				if (actual === null || expected === null) return false;
+				if (condition.operator === "greaterThan") return actual > expected;
+				if (condition.operator === "greaterThanOrEqual") return actual >= expected;
+				if (condition.operator === "lessThan") return actual < expected;
+				if (condition.operator === "lessThanOrEqual") return actual <= expected;
+				return false;
+			}
+		}
+	}
+
+	/**
+	 * Visibility resolver over all fields. A hidden field counts as unanswered, so hiding
+	 * a field also hides everything that depends on it.
+	 * @returns {Function} fieldName -> boolean
+	 */
+	static visibilityResolver(fieldsByName, answers) {
+		const visible = new Map();
+		const resolving = new Set();
+
+		const answerOf = (name) => (isVisible(name) ? answers.get(name) ?? null : null);
+
+		const isVisible = (name) => {
+			if (visible.has(name)) return visible.get(name);
+			const field = fieldsByName.get(name);
+			if (!field) return false;
+
+			// Cycles are rejected when fields are saved; treat any that slip through as hidden
+			if (resolving.has(name)) return false;
+			resolving.add(name);
+			const result = this.evaluateCondition(field.visibleWhen, answerOf);
+			resolving.delete(name);
+
+			visible.set(name, result);
+			return result;
+		};
+
+		return { isVisible, answerOf };
+	}
+
+	/**
+	 * Check a submission against the form's rules.
+	 * Answers to hidden fields are dropped rather than rejected, since they are usually
+	 * left over from an earlier choice the registrant changed.
+	 * @param {Array} fields - Form fields (FORM_LOGIC_FIELD_SELECT)
+	 * @param {Array} responses - [{ fieldId, response }]
+	 * @param {Object} options - { pageIndex } to report errors for one step only
+	 * @returns {Object} { valid, errors, responses, ignoredFieldIds, visibleFieldIds, addOns, addOnTotal }
+	 */
+	static evaluate(fields, responses = [], options = {}) {
+		const { pageIndex } = options;
+		const fieldsById = new Map(fields.map((field) => [field.id, field]));
+		const fieldsByName = new Map(fields.map((field) => [field.fieldName, field]));
+		const errors = [];
+		const provided = new Map();
+
+		for (const { fieldId, response } of responses) {
+			const field = fieldsById.get(fieldId);
+			if (!field) {
+				errors.push({ fieldId, message: "Response submitted for a field that is not on this form" });
+				continue;
+			}
+			if (provided.has(fieldId)) {
+				errors.push({ fieldId, fieldName: field.fieldName, message: `${field.fieldLabel} was answered more than once` });
+				continue;
+			}
+			provided.set(fieldId, response);
+		}
+
+		const answers = new Map();
+		for (const [fieldId, response] of provided) {
+			const field = fieldsById.get(fieldId);
+			const parsed = this.parseAnswer(field, response);
+			// Unparseable answers are reported below; for conditions they count as unanswered
+			answers.set(field.fieldName, parsed === undefined ? null : parsed);
+		}
+
+		const { isVisible, answerOf } = this.visibilityResolver(fieldsByName, answers);
+		const kept = [];
+		const ignoredFieldIds = [];
+		const visibleFieldIds = [];
+		const addOns = [];
+
+		for (const field of fields) {
+			const onPage = pageIndex === undefined || (field.pageIndex || 0) === pageIndex;
+			const response = provided.get(field.id);
+
+			if (!isVisible(field.fieldName)) {
+				if (response !== undefined) ignoredFieldIds.push(field.id);
+				continue;
+			}
+			visibleFieldIds.push(field.id);
+
+			const required = field.isRequired || (field.requiredWhen && this.evaluateCondition(field.requiredWhen, answerOf));
+			const answered = !isBlank(response);
+
+			if (!answered) {
+				if (required && onPage) {
+					errors.push({ fieldId: field.id, fieldName: field.fieldName, message: `${field.fieldLabel} is required` });
+				}
+				continue;
+			}
+
+			const fieldErrors = this.validateAnswer(field, String(response));
+			if (fieldErrors.length > 0) {
+				if (onPage) errors.push(...fieldErrors);
+				continue;
+			}
+
+			kept.push({ fieldId: field.id, response: String(response) });
+
+			const addOn = this.addOnFor(field, this.parseAnswer(field, response));
+			if (addOn) addOns.push(addOn);
+		}
+
+		return {
+			valid: errors.length === 0,
+			errors,
+			responses: kept,
+			ignoredFieldIds,
+			visibleFieldIds,
+			addOns,
+			addOnTotal: addOns.reduce((total, addOn) => total + addOn.amount, 0),
+		};
+	}
+
+	/**
+	 * Type, option and custom rule checks for one answered field
+	 */
+	static validateAnswer(field, response) {
+		const errors = [];
+		const fail = (message) => errors.push({ fieldId: field.id, fieldName: field.fieldName, message });
+		const options = Array.isArray(field.options) ? field.options : [];
+
+		switch (field.fieldType) {
+			case "EMAIL":
+				if (!EMAIL_REGEX.test(response)) fail(`${field.fieldLabel} must be a valid email address`);
+				break;
+
+			case "PHONE":
+				if (!PHONE_REGEX.test(response.replace(/[\s\-()]/g, ""))) {
+					fail(`${field.fieldLabel} must be a valid phone number`);
+				}
+				break;
+
+			case "NUMBER": {
+				const number = toNumber(response);
+				if (number === null) {
+					fail(`${field.fieldLabel} must be a number`);
+				} else if (field.feeAddOn?.type === "PER_UNIT" && (!Number.isInteger(number) || number < 0)) {
+					fail(`${field.fieldLabel} must be a whole number`);
+				} else if (field.feeAddOn?.max !== undefined && number > field.feeAddOn.max) {
+					fail(`${field.fieldLabel} must be at most ${field.feeAddOn.max}`);
+				}
+				break;
+			}
+
+			case "SELECT":
+			case "RADIO":
+				if (!options.includes(response)) fail(`${field.fieldLabel} must be one of the provided options`);
+				break;
+
+			case "CHECKBOX": {
+				const selected = this.parseAnswer(field, response);
+				if (!Array.isArray(selected)) {
+					fail(`${field.fieldLabel} must be a valid selection`);
+				} else if (selected.some((option) => !options.includes(option))) {
+					fail(`${field.fieldLabel} contains invalid options`);
+				}
+				break;
+			}
+		}
+
+		const rules = field.validation;
+		if (!rules || errors.length > 0) return errors;
+
+		if (rules.minLength && response.length < rules.minLength) {
+			fail(`${field.fieldLabel} must be at least ${rules.minLength} characters`);
+		}
+		if (rules.maxLength && response.length > rules.maxLength) {
+			fail(`${field.fieldLabel} must be no more than ${rules.maxLength} characters`);
+		}
+		if (rules.pattern) {
+			let regex = null;
+			try {
+				regex = new RegExp(rules.pattern);
+			} catch (error) {
+				console.error(`Invalid validation pattern on form field ${field.id}:`, error.message);
+			}
+			if (regex && !regex.test(response)) fail(`${field.fieldLabel} format is invalid`);
+		}
+		if (field.fieldType === "NUMBER") {
+			const number = toNumber(response);
+			if (rules.min !== undefined && number < rules.min) fail(`${field.fieldLabel} must be at least ${rules.min}`);
+			if (rules.max !== undefined && number > rules.max) fail(`${field.fieldLabel} must be at most ${rules.max}`);
+		}
+
+		return errors;
+	}
+
+	/**
+	 * Fee add-on for a visible answer, in the organization's base currency
+	 * - OPTION:   { type, amounts: { [option]: amount } } - every ticked/selected option
+	 * - PER_UNIT: { type, amount, max? } - NUMBER answer x amount
+	 * - FLAT:     { type, amount } - whenever the field is answered
+	 * @returns {Object|null} { fieldId, fieldName, description, amount }
+	 */
+	static addOnFor(field, answer) {
+		const addOn = field.feeAddOn;
+		if (!addOn || isBlank(answer)) return null;
+
+		let amount = 0;
+		let description = field.fieldLabel;
+
+		if (addOn.type === "OPTION") {
+			const selected = Array.isArray(answer) ? answer : [answer];
+			const charged = selected.filter((option) => Number(addOn.amounts?.[option]) > 0);
+			amount = charged.reduce((total, option) => total + Number(addOn.amounts[option]), 0);
+			description = `${field.fieldLabel}: ${charged.join(", ")}`;
+		} else if (addOn.type === "PER_UNIT") {
+			amount = Number(addOn.amount) * Number(answer);
+			description = `${field.fieldLabel} x${answer}`;
+		} else if (addOn.type === "FLAT") {
+			amount = Number(addOn.amount);
+		}
+
+		if (!(amount > 0)) return null;
+
+		return {
+			fieldId: field.id,
+			fieldName: field.fieldName,
+			description,
+			amount: Math.round(amount * 100) / 100,
+		};
+	}
+
+	/**
+	 * Check a form's rules before saving a field or page change: conditions must reference
+	 * other fields on the same or an earlier page, visibility must not loop, and add-ons
+	 * must fit the field type.
+	 * @param {Array} fields - Every field as it will be saved
+	 * @param {Array|null} pages - Form pages
+	 * @returns {Array} [{ fieldName, message }]
+	 */
+	static validateDefinition(fields, pages = null) {
+		const errors = [];
+		const fieldsByName = new Map(fields.map((field) => [field.fieldName, field]));
+		const pageCount = Array.isArray(pages) && pages.length > 0 ? pages.length : 1;
+		const fail = (field, message) => errors.push({ fieldName: field.fieldName, message });
+
+		for (const field of fields) {
+			const pageIndex = field.pageIndex || 0;
+			if (pageIndex >= pageCount) {
+				fail(field, `${field.fieldLabel} is on page ${pageIndex + 1}, but the form has ${pageCount} page(s)`);
+			}
+
+			for (const [ruleName, condition] of [["visibleWhen", field.visibleWhen], ["requiredWhen", field.requiredWhen]]) {
+				for (const leaf of leafConditions(condition)) {
+					const target = fieldsByName.get(leaf.field);
+
+					if (!target) {
+						fail(field, `${ruleName} refers to unknown field "${leaf.field}"`);
+						continue;
+					}
+					if (target.fieldName === field.fieldName) {
+						fail(field, `${ruleName} cannot refer to the field itself`);
+						continue;
+					}
+					if ((target.pageIndex || 0) > pageIndex) {
+						fail(field, `${ruleName} refers to "${leaf.field}", which is on a later page`);
+					}
+					if (NUMERIC_OPERATORS.includes(leaf.operator) && toNumber(leaf.value) === null) {
+						fail(field, `${ruleName} needs a numeric value for ${leaf.operator}`);
+					}
+					if (LIST_OPERATORS.includes(leaf.operator) && !Array.isArray(leaf.value)) {
+						fail(field, `${ruleName} needs a list of values for ${leaf.operator}`);
+					}
+					if (CHOICE_FIELD_TYPES.includes(target.fieldType) && ["equals", "notEquals", ...LIST_OPERATORS].includes(leaf.operator)) {
+						const options = Array.isArray(target.options) ? target.options : [];
+						const values = Array.isArray(leaf.value) ? leaf.value : [leaf.value];
+						const unknown = values.filter((value) => !options.some((option) => sameValue(option, value)));
+						if (unknown.length > 0) {
+							fail(field, `${ruleName} uses "${unknown.join('", "')}", which is not an option of "${leaf.field}"`);
+						}
+					}
+				}
+			}
+
+			errors.push(...this.validateAddOn(field));
+		}
+
+		const cycle = this.findVisibilityCycle(fieldsByName);
+		if (cycle) {
+			errors.push({
+				fieldName: cycle[0],
+				message: `Visibility rules form a loop: ${cycle.join(" -> ")}`,
+			});
+		}
+
+		return errors;
+	}
+
+	static validateAddOn(field) {
+		const addOn = field.feeAddOn;
+		if (!addOn) return [];
+
+		const fail = (message) => [{ fieldName: field.fieldName, message }];
+
+		if (!ADD_ON_TYPES.includes(addOn.type)) {
+			return fail(`Unknown fee add-on type "${addOn.type}"`);
+		}
+		if (addOn.type === "OPTION") {
+			if (!CHOICE_FIELD_TYPES.includes(field.fieldType)) {
+				return fail("Option add-ons are only available for SELECT, RADIO and CHECKBOX fields");
+			}
+			const options = Array.isArray(field.options) ? field.options : [];
+			const unknown = Object.keys(addOn.amounts || {}).filter((option) => !options.includes(option));
+			if (unknown.length > 0) {
+				return fail(`Fee add-on prices options that don't exist: ${unknown.join(", ")}`);
+			}
+		}
+		if (addOn.type === "PER_UNIT" && field.fieldType !== "NUMBER") {
+			return fail("Per-unit add-ons are only available for NUMBER fields");
+		}
+
+		return [];
+	}
+
+	/**
+	 * @returns {Array|null} Field names around the first visibleWhen loop found
+	 */
+	static findVisibilityCycle(fieldsByName) {
+		const state = new Map(); // 1 = on the current path, 2 = done
+		const path = [];
+
+		const visit = (name) => {
+			if (state.get(name) === 2 || !fieldsByName.has(name)) return null;
+			if (state.get(name) === 1) return [...path.slice(path.indexOf(name)), name];
+
+			state.set(name, 1);
+			path.push(name);
+			for (const dependency of conditionFields(fieldsByName.get(name).visibleWhen)) {
+				const cycle = visit(dependency);
+				if (cycle) return cycle;
+			}
+			path.pop();
+			state.set(name, 2);
+			return null;
+		};
+
+		for (const name of fieldsByName.keys()) {
+			const cycle = visit(name);
+			if (cycle) return cycle;
+		}
+		return null;
+	}
+
+	/**
+	 * Fields that refer to the given field in their rules (blocks deleting it)
+	 */
+	static dependentsOf(fields, fieldName) {
+		return fields.filter(
+			(field) =>
+				field.fieldName !== fieldName &&
+				(conditionFields(field.visibleWhen).has(fieldName) || conditionFields(field.requiredWhen).has(fieldName))
+		);
+	}
+}
+
+module.exports = {
+	FormLogicService,
+	FORM_LOGIC_FIELD_SELECT,
+	CONDITION_OPERATORS,
+};
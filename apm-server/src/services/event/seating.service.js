@@ -0,0 +1,681 @@
+// src/services/event/seating.service.js
+const PDFDocument = require("pdfkit");
+const json2csv = require("json2csv").parse;
+const { prisma } = require("../../config/database");
+
+const seatingError = (message, statusCode, code) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	error.code = code;
+	return error;
+};
+
+const TABLE_FIELDS = [
+	"name",
+	"capacity",
+	"shape",
+	"orderIndex",
+	"positionX",
+	"positionY",
+	"reservedBatches",
+	"reservedLabel",
+];
+
+const ASSIGNMENT_INCLUDE = {
+	registration: {
+		select: {
+			id: true,
+			mealPreference: true,
+			user: { select: { id: true, fullName: true, batch: true } },
+		},
+	},
+	guest: { select: { id: true, name: true, mealPreference: true } },
+};
+
+// Registrant and guest seats are keyed the same way everywhere
+const attendeeKey = (registrationId, guestId) => `${registrationId}:${guestId || ""}`;
+
+const freeSeatNumbers = (capacity, taken) => {
+	const free = [];
+	for (let seat = 1; seat <= capacity; seat++) {
+		if (!taken.has(seat)) free.push(seat);
+	}
+	return free;
+};
+
+/**
+ * Event seating: table layout, batch-aware auto-assignment, admin overrides
+ * and printable seating charts
+ */
+class SeatingService {
+	static async findEvent(eventId, tenantFilter = {}) {
+		const event = await prisma.event.findFirst({
+			where: { id: eventId, ...tenantFilter },
+			select: { id: true, title: true, eventDate: true, venue: true },
+		});
+
+		if (!event) {
+			throw seatingError("Event not found", 404, "EVENT_NOT_FOUND");
+		}
+
+		return event;
+	}
+
+	static async findTable(eventId, tableId) {
+		const table = await prisma.eventSeatingTable.findFirst({
+			where: { id: tableId, eventId },
+			include: { seats: { select: { seatNumber: true, registrationId: true } } },
+		});
+
+		if (!table) {
+			throw seatingError("Seating table not found", 404, "SEATING_TABLE_NOT_FOUND");
+		}
+
+		return table;
+	}
+
+	static pickTableData(data) {
+		return Object.fromEntries(
+			TABLE_FIELDS.filter((field) => data[field] !== undefined).map((field) => [field, data[field]])
+		);
+	}
+
+	// ==========================================
+	// TABLES
+	// ==========================================
+
+	static async createTable(eventId, data) {
+		const orderIndex = data.orderIndex ?? (await prisma.eventSeatingTable.count({ where: { eventId } }));
+
+		try {
+			return await prisma.eventSeatingTable.create({
+				data: { ...this.pickTableData(data), orderIndex, eventId },
+			});
+		} catch (error) {
+			if (error.code === "P2002") {
+				throw seatingError(`A table named "${data.name}" already exists`, 409, "SEATING_TABLE_EXISTS");
+			}
+			throw error;
+		}
+	}
+
+	/**
+	 * Capacity can only shrink once nobody sits in the seats being removed
+	 */
+	static async updateTable(eventId, tableId, data) {
+		const table = await this.findTable(eventId, tableId);
+
+		if (data.capacity !== undefined) {
+			const displaced = table.seats.filter((seat) => seat.seatNumber > data.capacity).length;
+			if (displaced > 0) {
+				throw seatingError(
+					`${displaced} attendee(s) sit beyond seat ${data.capacity}; move them before reducing capacity`,
+					409,
+					"SEATS_OCCUPIED"
+				);
+			}
+		}
+
+		try {
+			return await prisma.eventSeatingTable.update({
+				where: { id: tableId },
+				data: this.pickTableData(data),
+			});
+		} catch (error) {
+			if (error.code === "P2002") {
+				throw seatingError(`A table named "${data.name}" already exists`, 409, "SEATING_TABLE_EXISTS");
+			}
+			throw error;
+		}
+	}
+
+	/**
+	 * Delete a table; its attendees go back to the unseated list
+	 * @returns {Promise<Object>} { table, registrationIds } - registrations whose passes need refreshing
+	 */
+	static async deleteTable(eventId, tableId) {
+		const table = await this.findTable(eventId, tableId);
+		await prisma.eventSeatingTable.delete({ where: { id: tableId } });
+
+		return {
+			table,
+			registrationIds: [...new Set(table.seats.map((seat) => seat.registrationId))],
+		};
+	}
+
+	// ==========================================
+	// LAYOUT
+	// ==========================================
+
+	/**
+	 * Confirmed registrations with their active guests, in registration order
+	 */
+	static async getAttendingParties(eventId) {
+		const registrations = await prisma.eventRegistration.findMany({
+			where: { eventId, status: "CONFIRMED" },
+			select: {
+				id: true,
+				mealPreference: true,
+				user: { select: { id: true, fullName: true, batch: true } },
+				guests: {
+					where: { status: "ACTIVE" },
+					select: { id: true, name: true, mealPreference: true },
+					orderBy: { createdAt: "asc" },
+				},
+			},
+			orderBy: { registrationDate: "asc" },
+		});
+
+		return registrations.map((registration) => ({
+			registrationId: registration.id,
+			batch: registration.user.batch,
+			attendees: [
+				{
+					registrationId: registration.id,
+					guestId: null,
+					name: registration.user.fullName,
+					batch: registration.user.batch,
+					mealPreference: registration.mealPreference,
+					isGuest: false,
+				},
+				...registration.guests.map((guest) => ({
+					registrationId: registration.id,
+					guestId: guest.id,
+					name: guest.name,
+					batch: registration.user.batch,
+					mealPreference: guest.mealPreference,
+					isGuest: true,
+					hostName: registration.user.fullName,
+				})),
+			],
+		}));
+	}
+
+	static formatAssignment(assignment) {
+		const { registration, guest } = assignment;
+
+		return {
+			id: assignment.id,
+			seatNumber: assignment.seatNumber,
+			isLocked: assignment.isLocked,
+			registrationId: assignment.registrationId,
+			guestId: assignment.guestId,
+			name: guest ? guest.name : registration.user.fullName,
+			batch: registration.user.batch,
+			mealPreference: guest ? guest.mealPreference : registration.mealPreference,
+			isGuest: !!guest,
+			hostName: guest ? registration.user.fullName : null,
+		};
+	}
+
+	/**
+	 * Tables with their seated attendees plus everyone still waiting for a seat
+	 */
+	static async getLayout(eventId) {
+		const [tables, parties] = await Promise.all([
+			prisma.eventSeatingTable.findMany({
+				where: { eventId },
+				include: {
+					seats: { include: ASSIGNMENT_INCLUDE, orderBy: { seatNumber: "asc" } },
+				},
+				orderBy: [{ orderIndex: "asc" }, { name: "asc" }],
+			}),
+			this.getAttendingParties(eventId),
+		]);
+
+		const attending = new Map(
+			parties.flatMap((party) => party.attendees).map((attendee) => [
+				attendeeKey(attendee.registrationId, attendee.guestId),
+				attendee,
+			])
+		);
+
+		const seated = new Set();
+		const layoutTables = tables.map(({ seats, ...table }) => {
+			// Seats left over from cancelled registrations are cleaned up on the next auto-assign
+			const current = seats.filter((seat) => attending.has(attendeeKey(seat.registrationId, seat.guestId)));
+			current.forEach((seat) => seated.add(attendeeKey(seat.registrationId, seat.guestId)));
+
+			return {
+				...table,
+				seats: current.map((seat) => this.formatAssignment(seat)),
+				occupied: current.length,
+				available: table.capacity - current.length,
+			};
+		});
+
+		const unseated = [...attending.entries()]
+			.filter(([key]) => !seated.has(key))
+			.map(([, attendee]) => attendee);
+
+		return {
+			tables: layoutTables,
+			unseated,
+			stats: {
+				tables: layoutTables.length,
+				capacity: layoutTables.reduce((sum, table) => sum + table.capacity, 0),
+				attendees: attending.size,
+				seated: seated.size,
+				unseated: unseated.length,
+			},
+		};
+	}
+
+	// ==========================================
+	// AUTO-ASSIGNMENT
+	// ==========================================
+
+	/**
+	 * Seat every confirmed attendee who has no seat yet. Parties (a registrant and
+	 * their guests) stay at one table, and batches are kept together: tables
+	 * reserved for the batch first, then tables the batch already occupies, then
+	 * the empty table that best fits the rest of the batch. Locked (admin-placed)
+	 * seats are never moved.
+	 * @param {Object} options - { reset: re-seat everyone not locked, assignedBy }
+	 * @returns {Promise<Object>} { assigned, split, unseated, registrationIds }
+	 */
+	static async autoAssign(eventId, { reset = false, assignedBy = null } = {}) {
+		const [tables, parties, existing] = await Promise.all([
+			prisma.eventSeatingTable.findMany({
+				where: { eventId },
+				orderBy: [{ orderIndex: "asc" }, { name: "asc" }],
+			}),
+			this.getAttendingParties(eventId),
+			prisma.eventSeatAssignment.findMany({ where: { eventId } }),
+		]);
+
+		if (tables.length === 0) {
+			throw seatingError("Add seating tables before assigning seats", 400, "NO_SEATING_TABLES");
+		}
+
+		const attending = new Set(
+			parties.flatMap((party) => party.attendees).map((a) => attendeeKey(a.registrationId, a.guestId))
+		);
+		const batchOf = new Map(parties.map((party) => [party.registrationId, party.batch]));
+
+		const kept = existing.filter(
+			(seat) => attending.has(attendeeKey(seat.registrationId, seat.guestId)) && (seat.isLocked || !reset)
+		);
+		const released = existing.filter((seat) => !kept.includes(seat));
+		const keptKeys = new Set(kept.map((seat) => attendeeKey(seat.registrationId, seat.guestId)));
+
+		const state = tables.map((table) => {
+			const seats = kept.filter((seat) => seat.tableId === table.id);
+			const batches = new Map();
+			seats.forEach((seat) => {
+				const batch = batchOf.get(seat.registrationId);
+				batches.set(batch, (batches.get(batch) || 0) + 1);
+			});
+
+			return {
+				...table,
+				free: freeSeatNumbers(table.capacity, new Set(seats.map((seat) => seat.seatNumber))),
+				batches,
+				registrationIds: new Set(seats.map((seat) => seat.registrationId)),
+			};
+		});
+
+		const pending = parties
+			.map((party) => ({
+				...party,
+				attendees: party.attendees.filter((a) => !keptKeys.has(attendeeKey(a.registrationId, a.guestId))),
+			}))
+			.filter((party) => party.attendees.length > 0);
+
+		// Largest batches first so they claim whole tables before smaller ones fill the gaps
+		const byBatch = new Map();
+		pending.forEach((party) => {
+			if (!byBatch.has(party.batch)) byBatch.set(party.batch, []);
+			byBatch.get(party.batch).push(party);
+		});
+		const batchGroups = [...byBatch.entries()]
+			.map(([batch, batchParties]) => ({
+				batch,
+				parties: batchParties.sort((a, b) => b.attendees.length - a.attendees.length),
+				size: batchParties.reduce((sum, party) => sum + party.attendees.length, 0),
+			}))
+			.sort((a, b) => b.size - a.size || a.batch - b.batch);
+
+		const created = [];
+		const split = [];
+		const unseated = [];
+
+		const seatParty = (party, table, count) => {
+			party.attendees.splice(0, count).forEach((attendee) => {
+				created.push({
+					eventId,
+					tableId: table.id,
+					registrationId: attendee.registrationId,
+					guestId: attendee.guestId,
+					seatNumber: table.free.shift(),
+					assignedBy,
+				});
+			});
+			table.batches.set(party.batch, (table.batches.get(party.batch) || 0) + count);
+			table.registrationIds.add(party.registrationId);
+		};
+
+		for (const group of batchGroups) {
+			let remaining = group.size;
+
+			for (const party of group.parties) {
+				const size = party.attendees.length;
+				const eligible = state.filter(
+					(table) => table.free.length > 0 &&
+						(table.reservedBatches.length === 0 || table.reservedBatches.includes(group.batch))
+				);
+				const ranked = this.rankTables(eligible, party, group.batch, remaining);
+				const table = ranked.find((candidate) => candidate.free.length >= size);
+
+				if (table) {
+					seatParty(party, table, size);
+				} else if (ranked.length > 0) {
+					// No single table has room: seat the party across tables rather than leave them out
+					for (const candidate of ranked) {
+						if (party.attendees.length === 0) break;
+						seatParty(party, candidate, Math.min(candidate.free.length, party.attendees.length));
+					}
+					split.push({ registrationId: party.registrationId, batch: group.batch, size });
+				}
+
+				if (party.attendees.length > 0) {
+					unseated.push(...party.attendees);
+				}
+				remaining -= size;
+			}
+		}
+
+		await prisma.$transaction([
+			prisma.eventSeatAssignment.deleteMany({ where: { id: { in: released.map((seat) => seat.id) } } }),
+			prisma.eventSeatAssignment.createMany({ data: created }),
+		]);
+
+		return {
+			assigned: created.length,
+			released: released.length,
+			split,
+			unseated,
+			registrationIds: [
+				...new Set([...created, ...released].map((seat) => seat.registrationId)),
+			],
+		};
+	}
+
+	/**
+	 * Order candidate tables for a party (see autoAssign)
+	 */
+	static rankTables(tables, party, batch, batchRemaining) {
+		const rank = (table) => {
+			if (table.registrationIds.has(party.registrationId)) return 0;
+			if (table.reservedBatches.includes(batch)) return 1;
+			if (table.batches.has(batch)) return 2;
+			if (table.free.length === table.capacity) return 3;
+			return 4;
+		};
+
+		// Among empty tables, the smallest one the rest of the batch fits at, else the largest
+		const emptyFit = (table) =>
+			table.free.length >= batchRemaining ? table.free.length - batchRemaining : 1000 - table.free.length;
+
+		return [...tables].sort((a, b) => {
+			const diff = rank(a) - rank(b);
+			if (diff !== 0) return diff;
+
+			switch (rank(a)) {
+				case 2:
+					return (b.batches.get(batch) || 0) - (a.batches.get(batch) || 0);
+				case 3:
+					return emptyFit(a) - emptyFit(b);
+				default:
+					return b.free.length - a.free.length;
+			}
+		});
+	}
+
+	// ==========================================
+	// MANUAL OVERRIDES
+	// ==========================================
+
+	/**
+	 * Apply drag-and-drop moves in order. Dropping onto an occupied seat swaps
+	 * the two attendees (or unseats the occupant when the mover had no seat).
+	 * Moved seats are locked so auto-assign leaves them alone.
+	 * @param {Array} moves - [{ registrationId, guestId, tableId, seatNumber? }]
+	 * @returns {Promise<Object>} { moved, unseated, registrationIds }
+	 */
+	static async moveSeats(eventId, moves, { lock = true, assignedBy = null } = {}) {
+		const registrationIds = new Set();
+		const unseated = [];
+
+		await prisma.$transaction(async (tx) => {
+			for (const move of moves) {
+				const guestId = move.guestId || null;
+				const registration = await tx.eventRegistration.findFirst({
+					where: { id: move.registrationId, eventId, status: "CONFIRMED" },
+					select: { id: true, guests: { where: { status: "ACTIVE" }, select: { id: true } } },
+				});
+
+				if (!registration) {
+					throw seatingError("Confirmed registration not found for this event", 404, "REGISTRATION_NOT_FOUND");
+				}
+				if (guestId && !registration.guests.some((guest) => guest.id === guestId)) {
+					throw seatingError("Guest not found on this registration", 404, "GUEST_NOT_FOUND");
+				}
+
+				const table = await tx.eventSeatingTable.findFirst({
+					where: { id: move.tableId, eventId },
+					include: { seats: { select: { seatNumber: true } } },
+				});
+
+				if (!table) {
+					throw seatingError("Seating table not found", 404, "SEATING_TABLE_NOT_FOUND");
+				}
+
+				const current = await tx.eventSeatAssignment.findFirst({
+					where: { registrationId: registration.id, guestId },
+				});
+
+				let seatNumber = move.seatNumber;
+				if (seatNumber === undefined) {
+					if (current?.tableId === table.id) continue;
+
+					seatNumber = freeSeatNumbers(table.capacity, new Set(table.seats.map((seat) => seat.seatNumber)))[0];
+					if (!seatNumber) {
+						throw seatingError(`${table.name} is full`, 409, "TABLE_FULL");
+					}
+				} else if (seatNumber > table.capacity) {
+					throw seatingError(`${table.name} only has ${table.capacity} seats`, 400, "INVALID_SEAT");
+				}
+
+				const occupant = await tx.eventSeatAssignment.findUnique({
+					where: { tableId_seatNumber: { tableId: table.id, seatNumber } },
+				});
+
+				if (occupant && occupant.id !== current?.id) {
+					registrationIds.add(occupant.registrationId);
+
+					if (current) {
+						// Seat 0 is never used, so it holds the occupant while the two seats are exchanged
+						await tx.eventSeatAssignment.update({
+							where: { id: occupant.id },
+							data: { tableId: current.tableId, seatNumber: 0 },
+						});
+					} else {
+						await tx.eventSeatAssignment.delete({ where: { id: occupant.id } });
+						unseated.push({ registrationId: occupant.registrationId, guestId: occupant.guestId });
+					}
+				}
+
+				const data = { tableId: table.id, seatNumber, isLocked: lock, assignedBy, assignedAt: new Date() };
+
+				if (current) {
+					await tx.eventSeatAssignment.update({ where: { id: current.id }, data });
+				} else {
+					await tx.eventSeatAssignment.create({
+						data: { ...data, eventId, registrationId: registration.id, guestId },
+					});
+				}
+
+				if (occupant && current && occupant.id !== current.id) {
+					await tx.eventSeatAssignment.update({
+						where: { id: occupant.id },
+						data: { seatNumber: current.seatNumber, isLocked: lock, assignedBy, assignedAt: new Date() },
+					});
+				}
+
+				registrationIds.add(registration.id);
+			}
+		});
+
+		return { moved: moves.length, unseated, registrationIds: [...registrationIds] };
+	}
+
+	/**
+	 * Take an attendee off their seat
+	 * @returns {Promise<Object>} The removed assignment
+	 */
+	static async unassignSeat(eventId, assignmentId) {
+		const assignment = await prisma.eventSeatAssignment.findFirst({
+			where: { id: assignmentId, eventId },
+		});
+
+		if (!assignment) {
+			throw seatingError("Seat assignment not found", 404, "SEAT_ASSIGNMENT_NOT_FOUND");
+		}
+
+		await prisma.eventSeatAssignment.delete({ where: { id: assignmentId } });
+		return assignment;
+	}
+
+	/**
+	 * Seats for one registration, as shown on the QR pass
+	 */
+	static async getRegistrationSeating(registrationId) {
+		const seats = await prisma.eventSeatAssignment.findMany({
+			where: { registrationId },
+			include: {
+				table: { select: { name: true } },
+				guest: { select: { name: true } },
+			},
+			orderBy: [{ guestId: { sort: "asc", nulls: "first" } }],
+		});
+
+		return seats.map((seat) => ({
+			guestId: seat.guestId,
+			guestName: seat.guest?.name || null,
+			table: seat.table.name,
+			seatNumber: seat.seatNumber,
+		}));
+	}
+
+	// ==========================================
+	// SEATING CHART EXPORT
+	// ==========================================
+
+	static chartRows(layout) {
+		return layout.tables.flatMap((table) =>
+			table.seats.map((seat) => ({
+				Table: table.name,
+				Seat: seat.seatNumber,
+				Name: seat.name,
+				Batch: seat.batch,
+				Guest: seat.isGuest ? `Guest of ${seat.hostName}` : "",
+				Meal: seat.mealPreference || "",
+				Reserved: table.reservedLabel || "",
+			}))
+		);
+	}
+
+	static async exportChartCSV(eventId, tenantFilter = {}) {
+		const event = await this.findEvent(eventId, tenantFilter);
+		const layout = await this.getLayout(eventId);
+
+		const fields = ["Table", "Seat", "Name", "Batch", "Guest", "Meal", "Reserved"];
+		return {
+			buffer: Buffer.from(json2csv(this.chartRows(layout), { fields })),
+			fileName: `seating_chart_${event.id}.csv`,
+			mimeType: "text/csv",
+		};
+	}
+
+	/**
+	 * Printable seating chart: one block per table, then the unseated list
+	 */
+	static async exportChartPDF(eventId, tenantFilter = {}) {
+		const event = await this.findEvent(eventId, tenantFilter);
+		const layout = await this.getLayout(eventId);
+
+		const buffer = await new Promise((resolve, reject) => {
+			const doc = new PDFDocument({ margin: 40, size: "A4" });
+			const chunks = [];
+			doc.on("data", (chunk) => chunks.push(chunk));
+			doc.on("end", () => resolve(Buffer.concat(chunks)));
+			doc.on("error", reject);
+
+			doc.fontSize(18).fillColor("#333").text(event.title, { align: "center" });
+			doc
+				.fontSize(10)
+				.fillColor("#666")
+				.text(
+					[new Date(event.eventDate).toLocaleDateString(), event.venue].filter(Boolean).join(" | "),
+					{ align: "center" }
+				)
+				.text(
+					`${layout.stats.seated} seated across ${layout.stats.tables} tables, ${layout.stats.unseated} unseated`,
+					{ align: "center" }
+				)
+				.moveDown(1);
+
+			layout.tables.forEach((table) => {
+				// Keep each table's block on one page
+				if (doc.y + 30 + table.capacity * 14 > doc.page.height - doc.page.margins.bottom) {
+					doc.addPage();
+				}
+
+				const heading = [
+					table.name,
+					`${table.occupied}/${table.capacity}`,
+					table.reservedLabel ||
+						(table.reservedBatches.length > 0 ? `Batch ${table.reservedBatches.join(", ")}` : null),
+				].filter(Boolean);
+
+				doc.fontSize(12).fillColor("#333").text(heading.join("  -  "), { underline: true }).moveDown(0.3);
+
+				const bySeat = new Map(table.seats.map((seat) => [seat.seatNumber, seat]));
+				for (let seatNumber = 1; seatNumber <= table.capacity; seatNumber++) {
+					const seat = bySeat.get(seatNumber);
+					const line = seat
+						? `${seatNumber}. ${seat.name} (${seat.batch})${seat.isGuest ? ` - guest of ${seat.hostName}` : ""}${seat.mealPreference ? ` [${seat.mealPreference}]` : ""}`
+						: `${seatNumber}. -`;
+
+					doc.fontSize(9).fillColor(seat ? "#333" : "#aaa").text(line, { indent: 15 });
+				}
+
+				doc.moveDown(0.8);
+			});
+
+			if (layout.unseated.length > 0) {
+				doc.addPage();
+				doc.fontSize(12).fillColor("#333").text("UNSEATED", { underline: true }).moveDown(0.3);
+				layout.unseated.forEach((attendee) => {
+					doc
+						.fontSize(9)
+						.fillColor("#333")
+						.text(`${attendee.name} (${attendee.batch})${attendee.isGuest ? ` - guest of ${attendee.hostName}` : ""}`, {
+							indent: 15,
+						});
+				});
+			}
+
+			doc.end();
+		});
+
+		return {
+			buffer,
+			fileName: `seating_chart_${event.id}.pdf`,
+			mimeType: "application/pdf",
+		};
+	}
+}
+
+module.exports = { SeatingService };
@@ -0,0 +1,341 @@
+// src/services/event/waitlist.service.js
+const { prisma } = require("../../config/database");
+const tenantEmailManager = require("../email/TenantEmailManager");
+const {
+	NotificationService,
+	NOTIFICATION_TYPES,
+	PRIORITY_LEVELS,
+} = require("../notification.service");
+const { JobQueueService, JOB_TYPES } = require("../queue/jobQueue.service");
+const { runUnscopedRaw } = require("../../utils/tenantContext.util");
+
+const WAITLIST_STEPS = {
+	JOINED: "JOINED",
+	PROMOTED: "PROMOTED",
+	EXPIRED: "EXPIRED",
+};
+
+const waitlistError = (message, statusCode, code) => {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	error.code = code;
+	return error;
+};
+
+/**
+ * Event waitlist: seat assignment, ordered promotion and payment windows
+ * for capacity-limited events
+ */
+class WaitlistService {
+	/**
+	 * Lock the event row so concurrent registrations and promotions see the same seat count
+	 */
+	static async lockEvent(tx, eventId) {
+		await runUnscopedRaw(() => tx.$queryRaw`SELECT id FROM events WHERE id = ${eventId} FOR UPDATE`);
+	}
+
+	/**
+	 * Whether a newcomer would get a seat right now. Free seats are held for
+	 * people already waiting until the promotion job runs.
+	 * Only final under lockEvent; without it this is a preview.
+	 */
+	static async hasFreeSeat(client, event) {
+		if (!event.maxCapacity) {
+			return true;
+		}
+
+		const [confirmedCount, waitingCount] = await Promise.all([
+			client.eventRegistration.count({
+				where: { eventId: event.id, status: "CONFIRMED" },
+			}),
+			client.eventRegistration.count({
+				where: { eventId: event.id, status: "WAITLIST" },
+			}),
+		]);
+
+		return confirmedCount < event.maxCapacity && waitingCount === 0;
+	}
+
+	/**
+	 * Decide whether a new registration gets a seat or joins the waitlist.
+	 * Must run inside the transaction that creates the registration.
+	 * @returns {Promise<Object>} Status and waitlist fields for the registration
+	 */
+	static async assignSeat(tx, event) {
+		if (!event.maxCapacity) {
+			return { status: "CONFIRMED" };
+		}
+
+		await this.lockEvent(tx, event.id);
+
+		if (await this.hasFreeSeat(tx, event)) {
+			return { status: "CONFIRMED" };
+		}
+
+		if (!event.allowWaitlist) {
+			throw waitlistError("Event is full", 400, "EVENT_FULL");
+		}
+
+		const { _max } = await tx.eventRegistration.aggregate({
+			where: { eventId: event.id, status: "WAITLIST" },
+			_max: { waitlistPosition: true },
+		});
+
+		return {
+			status: "WAITLIST",
+			waitlistPosition: (_max.waitlistPosition || 0) + 1,
+			waitlistedAt: new Date(),
+		};
+	}
+
+	/**
+	 * Current 1-based place in the queue for a WAITLIST registration
+	 */
+	static async getPosition(registration) {
+		if (registration.status !== "WAITLIST" || !registration.waitlistPosition) {
+			return null;
+		}
+
+		return prisma.eventRegistration.count({
+			where: {
+				eventId: registration.eventId,
+				status: "WAITLIST",
+				waitlistPosition: { lte: registration.waitlistPosition },
+			},
+		});
+	}
+
+	/**
+	 * Queue a promotion run after a seat may have opened up (cancellation, capacity increase)
+	 */
+	static async queuePromotion(eventId, organizationId = null) {
+		return JobQueueService.dispatch(
+			JOB_TYPES.WAITLIST_PROMOTION,
+			{ eventId },
+			{ organizationId }
+		);
+	}
+
+	/**
+	 * Promote waiting registrations in join order while the event has free seats.
+	 * Unpaid registrations on paid events get a payment deadline.
+	 * @returns {Promise<Array>} The promoted registrations
+	 */
+	static async promoteNext(eventId) {
+		const promoted = await prisma.$transaction(async (tx) => {
+			await this.lockEvent(tx, eventId);
+
+			const event = await tx.event.findUnique({
+				where: { id: eventId },
+				select: {
+					id: true,
+					maxCapacity: true,
+					eventDate: true,
+					status: true,
+					waitlistPaymentWindowHours: true,
+				},
+			});
+
+			if (
+				!event ||
+				event.status === "CANCELLED" ||
+				new Date(event.eventDate) < new Date()
+			) {
+				return [];
+			}
+
+			let seats;
+			if (event.maxCapacity) {
+				const confirmedCount = await tx.eventRegistration.count({
+					where: { eventId, status: "CONFIRMED" },
+				});
+				seats = event.maxCapacity - confirmedCount;
+				if (seats <= 0) {
+					return [];
+				}
+			}
+
+			const waiting = await tx.eventRegistration.findMany({
+				where: { eventId, status: "WAITLIST" },
+				orderBy: { waitlistPosition: "asc" },
+				take: seats,
+			});
+
+			const now = new Date();
+			const windowEnd = new Date(
+				now.getTime() + event.waitlistPaymentWindowHours * 60 * 60 * 1000
+			);
+			// Payment can never be due after the event has started
+			const paymentDueAt =
+				windowEnd < new Date(event.eventDate) ? windowEnd : new Date(event.eventDate);
+
+			const updated = [];
+			for (const registration of waiting) {
+				const requiresPayment =
+					parseFloat(registration.totalAmount) > 0 &&
+					registration.paymentStatus !== "COMPLETED";
+
+				updated.push(
+					await tx.eventRegistration.update({
+						where: { id: registration.id },
+						data: {
+							status: "CONFIRMED",
+							waitlistPosition: null,
+							promotedAt: now,
+							paymentDueAt: requiresPayment ? paymentDueAt : null,
+						},
+					})
+				);
+			}
+
+			return updated;
+		});
+
+		for (const registration of promoted) {
+			console.log(`⬆️ Promoted waitlisted registration ${registration.id} for event ${eventId}`);
+
+			if (registration.paymentDueAt) {
+				await JobQueueService.dispatch(
+					JOB_TYPES.WAITLIST_PAYMENT_EXPIRY,
+					{ registrationId: registration.id },
+					{
+						jobId: `waitlist-expiry:${registration.id}:${registration.paymentDueAt.getTime()}`,
+						runAt: registration.paymentDueAt,
+					}
+				);
+			}
+
+			await this.notifyWaitlistUpdate(registration.id, WAITLIST_STEPS.PROMOTED);
+		}
+
+		return promoted;
+	}
+
+	/**
+	 * Release a promoted seat whose payment deadline passed, then offer it to the next person
+	 * @returns {Promise<boolean>} Whether the registration was cancelled
+	 */
+	static async expireUnpaidPromotion(registrationId) {
+		// Conditional update so a payment that lands at the deadline always wins
+		const { count } = await prisma.eventRegistration.updateMany({
+			where: {
+				id: registrationId,
+				status: "CONFIRMED",
+				paymentStatus: { not: "COMPLETED" },
+				paymentDueAt: { lte: new Date() },
+			},
+			data: {
+				status: "CANCELLED",
+				paymentDueAt: null,
+			},
+		});
+
+		if (count === 0) {
+			return false;
+		}
+
+		const registration = await prisma.eventRegistration.findUnique({
+			where: { id: registrationId },
+			select: { eventId: true },
+		});
+
+		console.log(`⌛ Released unpaid waitlist promotion ${registrationId}`);
+
+		await this.notifyWaitlistUpdate(registrationId, WAITLIST_STEPS.EXPIRED);
+		await this.promoteNext(registration.eventId);
+
+		return true;
+	}
+
+	/**
+	 * Email and push the registrant about a waitlist step; failures are logged, never thrown
+	 */
+	static async notifyWaitlistUpdate(registrationId, step) {
+		const registration = await prisma.eventRegistration.findUnique({
+			where: { id: registrationId },
+			include: {
+				user: { select: { id: true, fullName: true, email: true } },
+				event: {
+					select: {
+						id: true,
+						title: true,
+						eventDate: true,
+						startTime: true,
+						venue: true,
+						eventMode: true,
+						organizationId: true,
+						organization: { select: { name: true, tenantCode: true } },
+					},
+				},
+			},
+		});
+
+		if (!registration) {
+			return;
+		}
+
+		const { user, event } = registration;
+		const tenantCode = event.organization?.tenantCode || null;
+		const position = await this.getPosition(registration);
+		const amount = parseFloat(registration.totalAmount);
+
+		try {
+			const emailService = await tenantEmailManager.getServiceForTenant(tenantCode);
+			if (emailService) {
+				await emailService.sendWaitlistUpdate(user, event, registration, {
+					step,
+					position,
+					paymentDueAt: registration.paymentDueAt,
+					amount,
+					organizationName: event.organization?.name,
+				});
+			}
+		} catch (error) {
+			console.error(`Waitlist ${step.toLowerCase()} email failed:`, error);
+		}
+
+		const messages = {
+			JOINED: {
+				title: "Added to waitlist",
+				message: `${event.title} is full. You are #${position} on the waitlist.`,
+			},
+			PROMOTED: {
+				title: "You're in!",
+				message: registration.paymentDueAt
+					? `A spot opened up for ${event.title}. Complete payment by ${registration.paymentDueAt.toLocaleString()} to keep it.`
+					: `A spot opened up for ${event.title}. Your registration is confirmed.`,
+			},
+			EXPIRED: {
+				title: "Reserved spot released",
+				message: `Payment for ${event.title} was not completed in time, so your spot was released.`,
+			},
+		};
+
+		try {
+			await NotificationService.createAndSendNotification({
+				recipientIds: [user.id],
+				type: NOTIFICATION_TYPES.EVENT_WAITLIST,
+				...messages[step],
+				data: {
+					eventId: event.id,
+					registrationId: registration.id,
+					step,
+					position,
+					paymentDueAt: registration.paymentDueAt,
+				},
+				priority:
+					step === WAITLIST_STEPS.PROMOTED
+						? PRIORITY_LEVELS.HIGH
+						: PRIORITY_LEVELS.MEDIUM,
+				relatedEntityType: "EVENT_REGISTRATION",
+				relatedEntityId: registration.id,
+				organizationId: event.organizationId,
+				tenantCode,
+			});
+		} catch (error) {
+			console.error(`Waitlist ${step.toLowerCase()} notification failed:`, error);
+		}
+	}
+}
+
+module.exports = { WaitlistService, WAITLIST_STEPS };
@@ -1,7 +1,5 @@
 // src/services/export/ExportService.js
 const XLSX = require('xlsx');
-const createCsvWriter = require('csv-writer').createObjectCsvWriter;
-const json2csv = require('json2csv').parse;
 const fs = require('fs');
 const path = require('path');
 const { prisma } = require('../../config/database');
@@ -1048,7 +1046,7 @@ class ExportService {
   }
 
   async generateMerchandiseReportExcel(data) {
-    const { event, orders } = data;
+    const { orders } = data;
     
     const wb = XLSX.utils.book_new();
 
@@ -1129,10 +1127,6 @@ class ExportService {
 
   // Cache invalidation
   async invalidateExportCache(eventId) {
-    const patterns = [
-      `export:${eventId}:*`,
-    ];
-    
     // In a real Redis setup, you'd use SCAN with pattern matching
     // For now, we'll just clear specific known keys
     const types = ['complete', 'registrations', 'financial', 'attendance', 'merchandise'];
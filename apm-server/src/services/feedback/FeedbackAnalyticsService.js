@@ -523,7 +523,7 @@ class FeedbackAnalyticsService {
             allChoices[choice] = (allChoices[choice] || 0) + 1;
           });
         }
-      } catch (error) {
+      } catch {
         // Handle non-JSON responses
         allChoices[response.response] = (allChoices[response.response] || 0) + 1;
       }
@@ -297,7 +297,7 @@ class FeedbackService {
     // Create data rows
     const rows = [];
     
-    for (const [userKey, userResponses] of Object.entries(responsesByUser)) {
+    for (const userResponses of Object.values(responsesByUser)) {
       const row = [];
       const firstResponse = userResponses[0];
       
@@ -366,7 +366,7 @@ class FeedbackService {
       case 'RATING':
         return `${value}/5`;
       
-      case 'LIKERT':
+      case 'LIKERT': {
         const likertMap = {
           strongly_disagree: 'Strongly Disagree',
           disagree: 'Disagree',
@@ -375,6 +375,7 @@ class FeedbackService {
           strongly_agree: 'Strongly Agree'
         };
         return likertMap[value] || value;
+      }
       
       default:
         return value;
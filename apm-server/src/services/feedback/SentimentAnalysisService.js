@@ -81,7 +81,7 @@ class SentimentAnalysisService {
     
     // Moderate positive intensifiers  
     'very': 1.5, 'really': 1.5, 'quite': 1.3, 'pretty': 1.3, 'fairly': 1.2,
-    'rather': 1.2, 'somewhat': 1.1, 'pretty much': 1.4,
+    'rather': 1.2, 'pretty much': 1.4,
     
     // Diminishers
     'slightly': 0.7, 'little': 0.7, 'bit': 0.7, 'somewhat': 0.8, 'kind of': 0.8,
@@ -7,17 +7,21 @@ const emailManager = require('../email/EmailManager');
 const FestivalConfig = require('../../config/festivalConfig');
 const TenantEmailManager = require('../email/TenantEmailManager');
 
+// Each organization has its own festival rows; null is the calendar of single-tenant deployments
+const festivalScope = (organizationId) => ({ organizationId: organizationId || null });
+
 class FestivalService {
   /**
    * Get today's festivals (cached for 12 hours)
    */
-  static async getTodaysFestivals() {
+  static async getTodaysFestivals(organizationId = null) {
     try {
       const today = new Date();
       const todayISO = today.toISOString().split('T')[0];
       
       const festivals = await prisma.festival.findMany({
         where: {
+          ...festivalScope(organizationId),
           isActive: true,
           date: {
             gte: new Date(`${todayISO}T00:00:00.000Z`),
@@ -56,7 +60,7 @@ class FestivalService {
   /**
    * Get upcoming festivals (next 30 days)
    */
-  static async getUpcomingFestivals(days = 30) {
+  static async getUpcomingFestivals(days = 30, organizationId = null) {
     try {
       const today = new Date();
       const futureDate = new Date();
@@ -64,6 +68,7 @@ class FestivalService {
       
       const festivals = await prisma.festival.findMany({
         where: {
+          ...festivalScope(organizationId),
           isActive: true,
           date: {
             gt: today,
@@ -122,15 +127,6 @@ class FestivalService {
    */
   static async sendFestivalNotifications() {
     try {
-      const todaysFestivals = await this.getTodaysFestivals();
-
-      if (todaysFestivals.length === 0) {
-        console.log('ℹ️ No festivals today');
-        return { success: true, festivalsCount: 0, notificationsSent: 0 };
-      }
-
-      console.log(`🎊 Found ${todaysFestivals.length} festival(s) today`);
-
       // Get all active users with their organization info for multi-tenant email isolation
       const allUsers = await prisma.user.findMany({
         where: {
@@ -153,9 +149,10 @@ class FestivalService {
         }
       });
 
-      const userIds = allUsers.map(user => user.id);
       let totalNotificationsSent = 0;
       let totalEmailsSent = 0;
+      let recipientCount = 0;
+      const celebratedFestivals = [];
 
       // Group users by organization for tenant-specific emails
       const usersByOrg = {};
@@ -163,6 +160,7 @@ class FestivalService {
         const orgId = user.organizationId || 'default';
         if (!usersByOrg[orgId]) {
           usersByOrg[orgId] = {
+            organizationId: user.organizationId || null,
             organization: user.organization || null,
             tenantCode: user.organization?.tenantCode || null,
             users: []
@@ -171,19 +169,35 @@ class FestivalService {
         usersByOrg[orgId].users.push(user);
       }
 
-      // Send notifications and emails for each festival
-      for (const festival of todaysFestivals) {
-        try {
-          // Send push notifications (all users)
-          const notificationResult = await this.sendFestivalNotification(festival, userIds);
+      // Every organization celebrates its own calendar
+      for (const orgId of Object.keys(usersByOrg)) {
+        const { organizationId, organization, tenantCode, users } = usersByOrg[orgId];
+        const todaysFestivals = await this.getTodaysFestivals(organizationId);
 
-          if (notificationResult.success) {
-            totalNotificationsSent++;
-          }
+        if (todaysFestivals.length === 0) {
+          continue;
+        }
+
+        console.log(`🎊 Found ${todaysFestivals.length} festival(s) today for ${organization?.name || 'default organization'}`);
+
+        const userIds = users.map(user => user.id);
+        recipientCount += userIds.length;
+
+        for (const festival of todaysFestivals) {
+          celebratedFestivals.push(festival);
+
+          try {
+            // Send push notifications to this organization's users
+            const notificationResult = await this.sendFestivalNotification(festival, userIds, {
+              organizationId,
+              tenantCode
+            });
 
-          // Send festival emails per organization (multi-tenant isolation)
-          for (const orgId of Object.keys(usersByOrg)) {
-            const { organization, tenantCode, users } = usersByOrg[orgId];
+            if (notificationResult.success) {
+              totalNotificationsSent++;
+            }
+
+            // Send festival emails from the organization's own email configuration
             const emailResult = await this.sendFestivalEmailsForTenant(
               festival,
               users,
@@ -191,46 +205,49 @@ class FestivalService {
               tenantCode
             );
             totalEmailsSent += emailResult.emailsSent;
-          }
 
-        } catch (error) {
-          console.error(`❌ Failed to send festival notifications/emails for ${festival.name}:`, error);
+          } catch (error) {
+            console.error(`❌ Failed to send festival notifications/emails for ${festival.name}:`, error);
+          }
         }
       }
 
+      if (celebratedFestivals.length === 0) {
+        console.log('ℹ️ No festivals today');
+        return { success: true, festivalsCount: 0, notificationsSent: 0 };
+      }
+
+      const festivalSummaries = celebratedFestivals.map(f => ({
+        name: f.name,
+        type: f.festivalType,
+        priority: f.priority
+      }));
+
       // Log overall festival job completion in ActivityLog
       await prisma.activityLog.create({
         data: {
           userId: 'system',
           action: 'festival_notifications_sent',
           details: {
-            festivalsCount: todaysFestivals.length,
+            festivalsCount: celebratedFestivals.length,
             notificationsSent: totalNotificationsSent,
             emailsSent: totalEmailsSent,
-            festivals: todaysFestivals.map(f => ({
-              name: f.name,
-              type: f.festivalType,
-              priority: f.priority
-            })),
-            recipientCount: userIds.length,
+            festivals: festivalSummaries,
+            recipientCount,
             organizationsCount: Object.keys(usersByOrg).length,
             date: new Date().toISOString().split('T')[0]
           }
         }
       });
 
-      console.log(`✅ Festival notifications processed: ${totalNotificationsSent}/${todaysFestivals.length} push notifications and ${totalEmailsSent} emails sent successfully`);
+      console.log(`✅ Festival notifications processed: ${totalNotificationsSent}/${celebratedFestivals.length} push notifications and ${totalEmailsSent} emails sent successfully`);
 
       return {
         success: true,
-        festivalsCount: todaysFestivals.length,
+        festivalsCount: celebratedFestivals.length,
         notificationsSent: totalNotificationsSent,
         emailsSent: totalEmailsSent,
-        festivals: todaysFestivals.map(f => ({
-          name: f.name,
-          type: f.festivalType,
-          priority: f.priority
-        }))
+        festivals: festivalSummaries
       };
     } catch (error) {
       console.error('❌ Festival notification service error:', error);
@@ -242,7 +259,7 @@ class FestivalService {
    * Send notification for a specific festival
    * Uses existing NotificationService
    */
-  static async sendFestivalNotification(festival, userIds) {
+  static async sendFestivalNotification(festival, userIds, { organizationId = null, tenantCode = null } = {}) {
     try {
       await NotificationService.createAndSendNotification({
         recipientIds: userIds,
@@ -262,7 +279,9 @@ class FestivalService {
         priority: 'NORMAL',
         channels: ['PUSH', 'IN_APP'],
         relatedEntityType: 'FESTIVAL_CELEBRATION',
-        relatedEntityId: festival.id
+        relatedEntityId: festival.id,
+        tenantCode,
+        organizationId
       });
 
       console.log(`✅ Festival notification sent for ${festival.name}`);
@@ -324,13 +343,14 @@ class FestivalService {
   /**
    * Get festival statistics for admin dashboard
    */
-  static async getFestivalStats() {
+  static async getFestivalStats(organizationId = null) {
     try {
       const currentYear = new Date().getFullYear();
       
       // Total festivals this year
       const totalFestivals = await prisma.festival.count({
         where: {
+          ...festivalScope(organizationId),
           date: {
             gte: new Date(`${currentYear}-01-01`),
             lte: new Date(`${currentYear}-12-31`)
@@ -342,6 +362,7 @@ class FestivalService {
       const festivalsByType = await prisma.festival.groupBy({
         by: ['festivalType'],
         where: {
+          ...festivalScope(organizationId),
           date: {
             gte: new Date(`${currentYear}-01-01`),
             lte: new Date(`${currentYear}-12-31`)
@@ -358,6 +379,7 @@ class FestivalService {
       const recentNotifications = await prisma.notification.count({
         where: {
           type: 'FESTIVAL_NOTIFICATION',
+          ...(organizationId && { organizationId }),
           createdAt: {
             gte: thirtyDaysAgo
           }
@@ -382,8 +404,17 @@ class FestivalService {
   /**
    * Toggle festival notifications for specific festival
    */
-  static async toggleFestivalNotifications(festivalId, enabled) {
+  static async toggleFestivalNotifications(festivalId, enabled, organizationId = null) {
     try {
+      const existing = await prisma.festival.findFirst({
+        where: { id: festivalId, ...festivalScope(organizationId) },
+        select: { id: true }
+      });
+
+      if (!existing) {
+        throw new Error('Festival not found');
+      }
+
       const festival = await prisma.festival.update({
         where: { id: festivalId },
         data: { enableNotifications: enabled }
@@ -448,11 +479,11 @@ class FestivalService {
   /**
    * Get combined today's celebrations (birthdays + festivals)
    */
-  static async getTodaysCelebrations() {
+  static async getTodaysCelebrations(organizationId = null) {
     try {
       const [birthdays, festivals] = await Promise.all([
         require('../BirthdayService').getTodaysBirthdays(),
-        this.getTodaysFestivals()
+        this.getTodaysFestivals(organizationId)
       ]);
 
       return {
@@ -478,14 +509,14 @@ class FestivalService {
   /**
    * Get celebration summary for admin dashboard
    */
-  static async getCelebrationSummary() {
+  static async getCelebrationSummary(organizationId = null) {
     try {
       const today = new Date();
       const currentMonth = today.getMonth() + 1;
       const currentYear = today.getFullYear();
 
       // Today's celebrations
-      const todaysCelebrations = await this.getTodaysCelebrations();
+      const todaysCelebrations = await this.getTodaysCelebrations(organizationId);
       
       // This month's stats
       const thisMonthBirthdays = await prisma.$queryRaw`
@@ -493,10 +524,12 @@ class FestivalService {
         WHERE "isActive" = true 
         AND "dateOfBirth" IS NOT NULL
         AND EXTRACT(MONTH FROM "dateOfBirth") = ${currentMonth}
+        AND (${organizationId}::text IS NULL OR "organizationId" = ${organizationId})
       `;
 
       const thisMonthFestivals = await prisma.festival.count({
         where: {
+          ...festivalScope(organizationId),
           isActive: true,
           date: {
             gte: new Date(`${currentYear}-${currentMonth.toString().padStart(2, '0')}-01`),
@@ -530,10 +563,12 @@ class FestivalService {
         religion, 
         priority, 
         year = new Date().getFullYear(),
-        limit = 50 
+        limit = 50,
+        organizationId = null
       } = filters;
 
       const whereConditions = {
+        ...festivalScope(organizationId),
         isActive: true,
         date: {
           gte: new Date(`${year}-01-01`),
@@ -599,10 +634,11 @@ class FestivalService {
    * Get festival calendar for the year (month-wise breakdown)
    * Auto-seeds from static config if database is empty
    */
-  static async getFestivalCalendar(year = new Date().getFullYear()) {
+  static async getFestivalCalendar(year = new Date().getFullYear(), organizationId = null) {
     try {
       let festivals = await prisma.festival.findMany({
         where: {
+          ...festivalScope(organizationId),
           isActive: true,
           date: {
             gte: new Date(`${year}-01-01`),
@@ -615,11 +651,12 @@ class FestivalService {
       // If no festivals in database, seed from static config
       if (festivals.length === 0) {
         console.log(`📅 No festivals found for ${year}, seeding from static config...`);
-        await this.seedFestivalsFromConfig(year);
+        await this.seedFestivalsFromConfig(year, organizationId);
 
         // Fetch again after seeding
         festivals = await prisma.festival.findMany({
           where: {
+            ...festivalScope(organizationId),
             isActive: true,
             date: {
               gte: new Date(`${year}-01-01`),
@@ -684,10 +721,10 @@ class FestivalService {
   }
 
   /**
-   * Seed festivals from static configuration
+   * Seed festivals from static configuration into one organization's calendar
    * Used when database is empty or for initial setup
    */
-  static async seedFestivalsFromConfig(year = new Date().getFullYear()) {
+  static async seedFestivalsFromConfig(year = new Date().getFullYear(), organizationId = null) {
     try {
       const majorFestivals = FestivalConfig.getMajorFestivals(year);
       let seededCount = 0;
@@ -704,6 +741,7 @@ class FestivalService {
         // Check if festival already exists
         const existing = await prisma.festival.findFirst({
           where: {
+            ...festivalScope(organizationId),
             name: festival.name,
             date: {
               gte: new Date(`${year}-01-01`),
@@ -732,7 +770,8 @@ class FestivalService {
             textColor: festival.textColor || '#333333',
             source: 'STATIC_CONFIG',
             enableNotifications: true,
-            isActive: true
+            isActive: true,
+            organizationId: organizationId || null
           }
         });
 
@@ -234,16 +234,35 @@ class FestivalSyncService {
   }
 
   /**
-   * Create or update festival in database
+   * Organizations whose calendars receive synced festivals
+   * Deployments without organizations keep a single unscoped calendar (null)
    */
-  async upsertFestival(apiFestival, configFestival, year) {
-    try {
-      const festivalDate = new Date(apiFestival.date.iso);
-      
-      // Check if festival already exists for this year
+  async getCalendarOrganizationIds() {
+    const organizations = await prisma.organization.findMany({
+      where: { isActive: true },
+      select: { id: true }
+    });
+
+    return organizations.length > 0 ? organizations.map(org => org.id) : [null];
+  }
+
+  /**
+   * Write one festival into every organization's calendar for the year
+   * Per-organization notification toggles are left untouched on update
+   * @returns {Promise<Object>} { created, updated } row counts
+   */
+  async saveFestivalForOrganizations(festivalData, year) {
+    const organizationIds = await this.getCalendarOrganizationIds();
+    const updateData = { ...festivalData };
+    delete updateData.enableNotifications;
+    let created = 0;
+    let updated = 0;
+
+    for (const organizationId of organizationIds) {
       const existingFestival = await prisma.festival.findFirst({
         where: {
-          name: configFestival.name,
+          organizationId,
+          name: festivalData.name,
           date: {
             gte: new Date(`${year}-01-01`),
             lte: new Date(`${year}-12-31`)
@@ -251,6 +270,30 @@ class FestivalSyncService {
         }
       });
 
+      if (existingFestival) {
+        await prisma.festival.update({
+          where: { id: existingFestival.id },
+          data: updateData
+        });
+        updated++;
+      } else {
+        await prisma.festival.create({
+          data: { ...festivalData, organizationId }
+        });
+        created++;
+      }
+    }
+
+    return { created, updated };
+  }
+
+  /**
+   * Create or update festival in database
+   */
+  async upsertFestival(apiFestival, configFestival, year) {
+    try {
+      const festivalDate = new Date(apiFestival.date.iso);
+
       const festivalData = {
         name: configFestival.name,
         description: configFestival.description || apiFestival.description,
@@ -270,24 +313,15 @@ class FestivalSyncService {
         lastSyncedAt: new Date()
       };
 
-      if (existingFestival) {
-        // Update existing festival
-        await prisma.festival.update({
-          where: { id: existingFestival.id },
-          data: festivalData
-        });
-        
-        console.log(`📝 Updated festival: ${configFestival.name} for ${year}`);
-        return { created: false };
-      } else {
-        // Create new festival
-        await prisma.festival.create({
-          data: festivalData
-        });
-        
-        console.log(`➕ Added festival: ${configFestival.name} for ${year}`);
+      const { created } = await this.saveFestivalForOrganizations(festivalData, year);
+
+      if (created > 0) {
+        console.log(`➕ Added festival: ${configFestival.name} for ${year} (${created} organization calendar(s))`);
         return { created: true };
       }
+
+      console.log(`📝 Updated festival: ${configFestival.name} for ${year}`);
+      return { created: false };
     } catch (error) {
       console.error(`❌ Error upserting festival ${configFestival.name}:`, error);
       throw error;
@@ -373,16 +407,6 @@ class FestivalSyncService {
 
           if (matchedConfig) {
             const festivalDate = new Date(staticFestival.date.iso);
-            
-            const existingFestival = await prisma.festival.findFirst({
-              where: {
-                name: matchedConfig.name,
-                date: {
-                  gte: new Date(`${year}-01-01`),
-                  lte: new Date(`${year}-12-31`)
-                }
-              }
-            });
 
             const festivalData = {
               name: matchedConfig.name,
@@ -402,18 +426,9 @@ class FestivalSyncService {
               lastSyncedAt: new Date()
             };
 
-            if (existingFestival) {
-              await prisma.festival.update({
-                where: { id: existingFestival.id },
-                data: festivalData
-              });
-              updated++;
-            } else {
-              await prisma.festival.create({
-                data: festivalData
-              });
-              added++;
-            }
+            const result = await this.saveFestivalForOrganizations(festivalData, year);
+            added += result.created;
+            updated += result.updated;
           }
         } catch (error) {
           console.error(`❌ Failed to process fallback festival ${staticFestival.name}:`, error);
@@ -2,8 +2,7 @@
 // LifeLink Network - Blood Compatibility Service
 // Medical-grade blood compatibility logic
 
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+const { prisma } = require('../../config/database');
 
 /**
  * Blood Compatibility Matrix - Medical Standard
@@ -75,7 +74,7 @@ class BloodCompatibilityService {
     try {
       const compatibleDonors = this.getCompatibleDonors(recipientBloodGroup);
       return compatibleDonors.includes(donorBloodGroup);
-    } catch (error) {
+    } catch {
       return false;
     }
   }
@@ -0,0 +1,350 @@
+// src/services/lifeLink/donor-matching.service.js
+// LifeLink Network - Proximity donor matching and radius-ring emergency broadcasts
+
+const { prisma } = require('../../config/database');
+const config = require('../../config');
+const BloodCompatibilityService = require('./blood-compatibility.service');
+const GeocodingService = require('./geocoding.service');
+const { NotificationService } = require('../notification.service');
+const { JobQueueService, JOB_TYPES } = require('../queue/jobQueue.service');
+
+const donorSelect = {
+  id: true,
+  fullName: true,
+  bloodGroup: true,
+  lastBloodDonationDate: true,
+  totalBloodDonations: true,
+  showPhone: true,
+  whatsappNumber: true,
+  addresses: {
+    select: {
+      city: true,
+      state: true,
+      addressType: true,
+      latitude: true,
+      longitude: true
+    }
+  }
+};
+
+class DonorMatchingService {
+
+  /**
+   * Coordinates of a requisition, geocoding (and saving) its location text the
+   * first time they are needed
+   * @param {Object} requisition - BloodRequisition
+   * @returns {Promise<Object|null>} { latitude, longitude }
+   */
+  static async resolveRequisitionPoint(requisition) {
+    if (GeocodingService.hasCoordinates(requisition)) {
+      return { latitude: requisition.latitude, longitude: requisition.longitude };
+    }
+
+    const match = await GeocodingService.geocodeText(requisition.location);
+    if (!match) {
+      return null;
+    }
+
+    await prisma.bloodRequisition.update({
+      where: { id: requisition.id },
+      data: { latitude: match.latitude, longitude: match.longitude, geoSource: 'GAZETTEER' }
+    });
+
+    return { latitude: match.latitude, longitude: match.longitude };
+  }
+
+  /**
+   * Donor availability relative to when the blood is needed
+   * @param {Date|null} lastDonationDate - Donor's last donation
+   * @param {Date|null} neededBy - Requisition's required-by date (defaults to now)
+   */
+  static availability(lastDonationDate, neededBy = null) {
+    const eligibility = BloodCompatibilityService.checkDonorEligibility(lastDonationDate);
+    const daysUntilEligible = eligibility.isEligible ? 0 : eligibility.daysRemaining;
+    const availableBy = eligibility.isEligible ? null : eligibility.nextEligibleDate;
+    const deadline = neededBy ? new Date(neededBy) : new Date();
+
+    return {
+      eligibility,
+      daysUntilEligible,
+      // Donors whose waiting period ends before the blood is needed can still help
+      isAvailable: eligibility.isEligible || (availableBy !== null && availableBy <= deadline)
+    };
+  }
+
+  /**
+   * Rank: distance plus a penalty per day until the donor may donate again
+   */
+  static matchScore(distanceKm, daysUntilEligible) {
+    return Math.round((distanceKm + daysUntilEligible * config.lifeLink.eligibilityDayKm) * 10) / 10;
+  }
+
+  /**
+   * Compatible donors within a radius, closest (and soonest eligible) first
+   * @param {Object} params
+   * @param {string} params.requiredBloodGroup - Recipient blood group
+   * @param {Object} params.point - { latitude, longitude } to measure from
+   * @param {number} params.radiusKm - Search radius
+   * @param {Array<string>} params.excludeDonorIds - Donors to leave out (already notified)
+   * @param {Date} params.neededBy - Required-by date for availability
+   * @param {boolean} params.availableOnly - Drop donors who can't donate by neededBy
+   * @param {number} params.limit - Maximum donors to return
+   * @param {Object} params.tenantFilter - Tenant filter for multi-tenant isolation
+   * @returns {Promise<Array>} Donors in the formatDonorResults shape plus distanceKm/matchScore
+   */
+  static async findNearestDonors({
+    requiredBloodGroup,
+    point,
+    radiusKm,
+    excludeDonorIds = [],
+    neededBy = null,
+    availableOnly = false,
+    limit = 50,
+    tenantFilter = {}
+  }) {
+    const compatibleBloodGroups = BloodCompatibilityService.getCompatibleDonors(requiredBloodGroup);
+
+    const donors = await prisma.user.findMany({
+      where: {
+        isBloodDonor: true,
+        isActive: true,
+        bloodGroup: { in: compatibleBloodGroups },
+        ...(excludeDonorIds.length > 0 && { id: { notIn: excludeDonorIds } }),
+        ...tenantFilter,
+        addresses: { some: GeocodingService.boundingBox(point, radiusKm) }
+      },
+      select: donorSelect
+    });
+
+    return donors
+      .map(donor => {
+        const located = donor.addresses.filter(address => GeocodingService.hasCoordinates(address));
+        const distances = located.map(address => ({
+          address,
+          distanceKm: GeocodingService.distanceKm(point, address)
+        }));
+        const nearest = distances.sort((a, b) => a.distanceKm - b.distanceKm)[0];
+        if (!nearest || nearest.distanceKm > radiusKm) {
+          return null;
+        }
+
+        const { eligibility, daysUntilEligible, isAvailable } = this.availability(donor.lastBloodDonationDate, neededBy);
+        if (availableOnly && !isAvailable) {
+          return null;
+        }
+
+        return {
+          id: donor.id,
+          name: donor.fullName || 'Unknown',
+          bloodGroup: donor.bloodGroup,
+          totalDonations: donor.totalBloodDonations,
+          location: `${nearest.address.city}, ${nearest.address.state}`,
+          distanceKm: Math.round(nearest.distanceKm * 10) / 10,
+          matchScore: this.matchScore(nearest.distanceKm, daysUntilEligible),
+          eligibility,
+          isAvailable,
+          contactAvailable: donor.showPhone,
+          phone: donor.showPhone ? donor.whatsappNumber : null
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.matchScore - b.matchScore || b.totalDonations - a.totalDonations)
+      .slice(0, limit);
+  }
+
+  /**
+   * Text-matched donors that have no coordinates yet (listed after located donors)
+   */
+  static async findUnlocatedDonors(requiredBloodGroup, location, limit, excludeDonorIds = [], tenantFilter = {}) {
+    const compatibleBloodGroups = BloodCompatibilityService.getCompatibleDonors(requiredBloodGroup);
+
+    const donors = await prisma.user.findMany({
+      where: {
+        isBloodDonor: true,
+        isActive: true,
+        bloodGroup: { in: compatibleBloodGroups },
+        ...(excludeDonorIds.length > 0 && { id: { notIn: excludeDonorIds } }),
+        ...tenantFilter,
+        AND: [
+          { addresses: { none: { latitude: { not: null } } } },
+          {
+            addresses: {
+              some: {
+                OR: [
+                  { city: { contains: location, mode: 'insensitive' } },
+                  { state: { contains: location, mode: 'insensitive' } },
+                  { district: { contains: location, mode: 'insensitive' } }
+                ]
+              }
+            }
+          }
+        ]
+      },
+      select: donorSelect,
+      take: limit
+    });
+
+    return BloodCompatibilityService.formatDonorResults(donors, limit, false)
+      .map(donor => ({ ...donor, distanceKm: null, matchScore: null }));
+  }
+
+  /**
+   * Donor search: by distance when the location (or given coordinates) can be
+   * placed on the map, otherwise the original text search
+   * @returns {Promise<Object>} { donors, origin, radiusKm, matchedBy }
+   */
+  static async searchDonors({ requiredBloodGroup, location, latitude, longitude, radiusKm, limit = 50, tenantFilter = {} }) {
+    const origin = GeocodingService.hasCoordinates({ latitude, longitude })
+      ? { latitude, longitude }
+      : await GeocodingService.geocodeText(location);
+
+    if (!origin) {
+      const donors = await BloodCompatibilityService.findAvailableDonors(requiredBloodGroup, location, limit, tenantFilter);
+      return { donors, origin: null, radiusKm: null, matchedBy: 'text' };
+    }
+
+    const rings = config.lifeLink.radiusRingsKm;
+    const searchRadiusKm = radiusKm || rings[rings.length - 1];
+
+    const nearby = await this.findNearestDonors({
+      requiredBloodGroup,
+      point: origin,
+      radiusKm: searchRadiusKm,
+      limit,
+      tenantFilter
+    });
+
+    const unlocated = nearby.length < limit && location
+      ? await this.findUnlocatedDonors(requiredBloodGroup, location, limit - nearby.length, nearby.map(d => d.id), tenantFilter)
+      : [];
+
+    return {
+      donors: [...nearby, ...unlocated],
+      origin: { latitude: origin.latitude, longitude: origin.longitude, placeName: origin.placeName || null },
+      radiusKm: searchRadiusKm,
+      matchedBy: 'distance'
+    };
+  }
+
+  // ==========================================
+  // RADIUS-RING BROADCAST
+  // ==========================================
+
+  /**
+   * Notify the closest ring that has donors who were not notified yet, starting
+   * at ringIndex and widening immediately past empty rings. Schedules the next
+   * ring if the requisition is still open after the urgency's wait.
+   * @returns {Promise<Object>} { ring, radiusKm, notified, notificationResult, exhausted }
+   */
+  static async broadcastRing(requisition, ringIndex = 0, customMessage = null) {
+    const rings = config.lifeLink.radiusRingsKm;
+    const point = await this.resolveRequisitionPoint(requisition);
+    if (!point) {
+      return null;
+    }
+
+    const tenantFilter = requisition.organizationId ? { organizationId: requisition.organizationId } : {};
+    const notified = await prisma.donorNotification.findMany({
+      where: { requisitionId: requisition.id },
+      select: { donorId: true }
+    });
+    const excludeDonorIds = [...new Set([requisition.requesterId, ...notified.map(n => n.donorId)])];
+
+    for (let ring = ringIndex; ring < rings.length; ring++) {
+      const donors = await this.findNearestDonors({
+        requiredBloodGroup: requisition.requiredBloodGroup,
+        point,
+        radiusKm: rings[ring],
+        excludeDonorIds,
+        neededBy: requisition.requiredByDate,
+        availableOnly: true,
+        limit: config.lifeLink.maxDonorsPerRing,
+        tenantFilter
+      });
+
+      if (donors.length === 0) {
+        continue;
+      }
+
+      const notificationResult = await NotificationService.sendLifeLinkEmergencyNotification(
+        requisition,
+        donors.map(donor => donor.id),
+        customMessage
+      );
+
+      await prisma.bloodRequisition.update({
+        where: { id: requisition.id },
+        data: { broadcastRing: ring, notifiedRadiusKm: rings[ring], lastRingNotifiedAt: new Date() }
+      });
+
+      console.log(`🩸 Requisition ${requisition.id}: notified ${donors.length} donors within ${rings[ring]} km`);
+
+      if (ring + 1 < rings.length) {
+        await this.scheduleNextRing(requisition, ring + 1, customMessage);
+      }
+
+      return { ring, radiusKm: rings[ring], notified: donors.length, notificationResult, exhausted: ring + 1 >= rings.length };
+    }
+
+    await prisma.bloodRequisition.update({
+      where: { id: requisition.id },
+      data: { broadcastRing: rings.length - 1, notifiedRadiusKm: rings[rings.length - 1], lastRingNotifiedAt: new Date() }
+    });
+
+    return { ring: rings.length - 1, radiusKm: rings[rings.length - 1], notified: 0, notificationResult: null, exhausted: true };
+  }
+
+  static async scheduleNextRing(requisition, ringIndex, customMessage) {
+    const minutes = config.lifeLink.ringIntervalMinutes[requisition.urgencyLevel] ||
+      config.lifeLink.ringIntervalMinutes.HIGH;
+
+    await JobQueueService.dispatch(
+      JOB_TYPES.LIFELINK_RING_WIDEN,
+      { requisitionId: requisition.id, ringIndex, customMessage },
+      {
+        jobId: `lifelink-ring:${requisition.id}:${ringIndex}`,
+        runAt: new Date(Date.now() + minutes * 60 * 1000),
+        organizationId: requisition.organizationId
+      }
+    );
+  }
+
+  /**
+   * Queue handler: widen to the next ring unless the requisition is closed,
+   * expired, already has enough willing donors, or was widened in the meantime
+   */
+  static async widenRing({ requisitionId, ringIndex, customMessage }) {
+    const requisition = await prisma.bloodRequisition.findUnique({ where: { id: requisitionId } });
+
+    if (!requisition || requisition.status !== 'ACTIVE') return null;
+    if (requisition.expiresAt && requisition.expiresAt < new Date()) return null;
+    if (requisition.broadcastRing !== null && requisition.broadcastRing >= ringIndex) return null;
+
+    const willing = await prisma.donorResponse.count({
+      where: { requisitionId, response: 'WILLING' }
+    });
+    if (willing >= requisition.unitsNeeded) {
+      console.log(`🩸 Requisition ${requisitionId} has ${willing} willing donors, not widening`);
+      return null;
+    }
+
+    return this.broadcastRing(requisition, ringIndex, customMessage);
+  }
+
+  /**
+   * Distance between a donor's nearest located address and a requisition, if both are located
+   */
+  static distanceToRequisition(addresses = [], requisition) {
+    if (!GeocodingService.hasCoordinates(requisition)) {
+      return null;
+    }
+
+    const distances = addresses
+      .filter(address => GeocodingService.hasCoordinates(address))
+      .map(address => GeocodingService.distanceKm(address, requisition));
+
+    return distances.length > 0 ? Math.round(Math.min(...distances) * 10) / 10 : null;
+  }
+}
+
+module.exports = DonorMatchingService;
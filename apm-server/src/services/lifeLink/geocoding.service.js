@@ -0,0 +1,236 @@
+// src/services/lifeLink/geocoding.service.js
+// LifeLink Network - Offline geocoding against the GeoPlace gazetteer
+// (no external API: places are imported with scripts/import-gazetteer.js or added by admins)
+
+const { prisma } = require('../../config/database');
+
+const EARTH_RADIUS_KM = 6371;
+const POSTAL_CODE_PATTERN = /\b(\d{6})\b/;
+
+class GeocodingService {
+
+  /**
+   * Normalize a place name for matching ("Bengaluru (Bangalore)" -> "bengaluru bangalore")
+   * @param {string} name - Place name
+   * @returns {string} Normalized name
+   */
+  static normalizePlaceName(name) {
+    return (name || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Great-circle distance between two points
+   * @returns {number} Distance in km
+   */
+  static distanceKm(from, to) {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLng = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  }
+
+  /**
+   * Latitude/longitude box around a point, used to pre-filter in the database
+   * before the exact distance is computed
+   */
+  static boundingBox({ latitude, longitude }, radiusKm) {
+    const latDelta = radiusKm / 111.32;
+    const lngDelta = radiusKm / (111.32 * Math.max(Math.cos(latitude * Math.PI / 180), 0.01));
+
+    return {
+      latitude: { gte: latitude - latDelta, lte: latitude + latDelta },
+      longitude: { gte: longitude - lngDelta, lte: longitude + lngDelta }
+    };
+  }
+
+  static hasCoordinates(point) {
+    return Boolean(point) && Number.isFinite(point.latitude) && Number.isFinite(point.longitude);
+  }
+
+  /**
+   * Best gazetteer match for a name, preferring the given state and the most populous place
+   * @returns {Promise<Object|null>} GeoPlace
+   */
+  static async findPlace(name, state = null) {
+    const normalizedName = this.normalizePlaceName(name);
+    if (!normalizedName) {
+      return null;
+    }
+
+    const places = await prisma.geoPlace.findMany({
+      where: { normalizedName },
+      orderBy: { population: { sort: 'desc', nulls: 'last' } },
+      take: 20
+    });
+
+    if (places.length === 0) {
+      return null;
+    }
+
+    const normalizedState = this.normalizePlaceName(state);
+    return (normalizedState && places.find(place => this.normalizePlaceName(place.state) === normalizedState)) ||
+      places[0];
+  }
+
+  static async findByPostalCode(postalCode) {
+    if (!postalCode) {
+      return null;
+    }
+
+    return prisma.geoPlace.findFirst({
+      where: { postalCode: String(postalCode).trim() },
+      orderBy: { population: { sort: 'desc', nulls: 'last' } }
+    });
+  }
+
+  static toResult(place, matchedOn) {
+    return place
+      ? { latitude: place.latitude, longitude: place.longitude, placeId: place.id, placeName: place.name, matchedOn }
+      : null;
+  }
+
+  /**
+   * Geocode a structured user address: postal code, then city, then district
+   * @returns {Promise<Object|null>} { latitude, longitude, placeId, placeName, matchedOn }
+   */
+  static async geocodeAddress({ city, district, state, postalCode }) {
+    const byPostalCode = await this.findByPostalCode(postalCode);
+    if (byPostalCode) return this.toResult(byPostalCode, 'postalCode');
+
+    const byCity = await this.findPlace(city, state);
+    if (byCity) return this.toResult(byCity, 'city');
+
+    const byDistrict = await this.findPlace(district, state);
+    if (byDistrict) return this.toResult(byDistrict, 'district');
+
+    return null;
+  }
+
+  /**
+   * Geocode free text such as a requisition location ("Andheri West, Mumbai"):
+   * a postal code if present, otherwise each comma-separated part from the most
+   * specific one, then the whole string
+   * @returns {Promise<Object|null>} { latitude, longitude, placeId, placeName, matchedOn }
+   */
+  static async geocodeText(text) {
+    if (!text) {
+      return null;
+    }
+
+    const postalCode = text.match(POSTAL_CODE_PATTERN);
+    if (postalCode) {
+      const byPostalCode = await this.findByPostalCode(postalCode[1]);
+      if (byPostalCode) return this.toResult(byPostalCode, 'postalCode');
+    }
+
+    const parts = text.split(/[,;\n]/).map(part => part.trim()).filter(Boolean);
+    for (const part of [...parts, text]) {
+      const place = await this.findPlace(part.replace(POSTAL_CODE_PATTERN, ''));
+      if (place) return this.toResult(place, 'name');
+    }
+
+    return null;
+  }
+
+  /**
+   * Coordinate fields to store on a UserAddress after its text changed.
+   * Clears old coordinates (including an admin pin) when nothing matches,
+   * since they described the previous address.
+   */
+  static async addressCoordinates(address) {
+    const match = await this.geocodeAddress(address);
+
+    return match
+      ? { latitude: match.latitude, longitude: match.longitude, geoSource: 'GAZETTEER', geocodedAt: new Date() }
+      : { latitude: null, longitude: null, geoSource: null, geocodedAt: null };
+  }
+
+  /**
+   * Geocode addresses and active requisitions that have no coordinates yet
+   * (after a gazetteer import). Admin pins are never touched.
+   * @param {Object} tenantFilter - Tenant filter for multi-tenant isolation
+   * @returns {Promise<Object>} Counts of updated and unmatched records
+   */
+  static async backfill(tenantFilter = {}) {
+    const summary = { addresses: 0, requisitions: 0, unmatchedAddresses: 0, unmatchedRequisitions: 0 };
+
+    const addresses = await prisma.userAddress.findMany({
+      where: { latitude: null, user: { ...tenantFilter } },
+      select: { id: true, city: true, district: true, state: true, postalCode: true }
+    });
+
+    for (const address of addresses) {
+      const match = await this.geocodeAddress(address);
+      if (!match) {
+        summary.unmatchedAddresses++;
+        continue;
+      }
+      await prisma.userAddress.update({
+        where: { id: address.id },
+        data: { latitude: match.latitude, longitude: match.longitude, geoSource: 'GAZETTEER', geocodedAt: new Date() }
+      });
+      summary.addresses++;
+    }
+
+    const requisitions = await prisma.bloodRequisition.findMany({
+      where: { latitude: null, status: 'ACTIVE', ...tenantFilter },
+      select: { id: true, location: true }
+    });
+
+    for (const requisition of requisitions) {
+      const match = await this.geocodeText(requisition.location);
+      if (!match) {
+        summary.unmatchedRequisitions++;
+        continue;
+      }
+      await prisma.bloodRequisition.update({
+        where: { id: requisition.id },
+        data: { latitude: match.latitude, longitude: match.longitude, geoSource: 'GAZETTEER' }
+      });
+      summary.requisitions++;
+    }
+
+    return summary;
+  }
+
+  // ==========================================
+  // GAZETTEER MANAGEMENT
+  // ==========================================
+
+  static async searchPlaces(query, limit = 20) {
+    const normalizedQuery = this.normalizePlaceName(query);
+
+    return prisma.geoPlace.findMany({
+      where: normalizedQuery
+        ? {
+          OR: [
+            { normalizedName: { startsWith: normalizedQuery } },
+            { postalCode: query.trim() }
+          ]
+        }
+        : {},
+      orderBy: [{ population: { sort: 'desc', nulls: 'last' } }, { name: 'asc' }],
+      take: limit
+    });
+  }
+
+  static async addPlace(placeData) {
+    return prisma.geoPlace.create({
+      data: {
+        ...placeData,
+        normalizedName: this.normalizePlaceName(placeData.name),
+        source: 'ADMIN'
+      }
+    });
+  }
+}
+
+module.exports = GeocodingService;
@@ -4,6 +4,9 @@
 const { prisma } = require('../../config/database');
 const { CacheService } = require('../../config/redis');
 
+// Must match the tenant segment in merchandise.cache.middleware keys
+const tenantScope = (organizationId) => organizationId || 'global';
+
 class MerchandiseService {
   /**
    * Generate unique order number
@@ -38,12 +41,13 @@ class MerchandiseService {
    * @param {string} merchandiseId 
    * @param {string} size 
    * @param {number} quantity 
+   * @param {string} organizationId - Only items of this organization are purchasable
    * @returns {Object} Stock check result
    */
-  static async checkStock(merchandiseId, size, quantity) {
+  static async checkStock(merchandiseId, size, quantity, organizationId = null) {
     try {
-      const merchandise = await prisma.merchandise.findUnique({
-        where: { id: merchandiseId },
+      const merchandise = await prisma.merchandise.findFirst({
+        where: { id: merchandiseId, ...(organizationId && { organizationId }) },
         select: { 
           id: true, 
           name: true, 
@@ -122,9 +126,10 @@ class MerchandiseService {
   /**
    * Validate cart before checkout
    * @param {string} userId 
+   * @param {string} organizationId 
    * @returns {Object} Validation result
    */
-  static async validateCartForCheckout(userId) {
+  static async validateCartForCheckout(userId, organizationId = null) {
     try {
       const cartItems = await prisma.merchandiseCartItem.findMany({
         where: { userId },
@@ -153,7 +158,8 @@ class MerchandiseService {
         const stockCheck = await this.checkStock(
           item.merchandiseId,
           item.selectedSize,
-          item.quantity
+          item.quantity,
+          organizationId
         );
 
         if (!stockCheck.available) {
@@ -194,14 +200,16 @@ class MerchandiseService {
   /**
    * Process merchandise order (transaction-safe)
    * @param {string} userId 
-   * @param {Object} orderData 
+   * @param {Object} orderData - { organizationId }
    * @returns {Object} Created order
    */
   static async processOrder(userId, orderData = {}) {
+    const { organizationId = null } = orderData;
+
     try {
       return await prisma.$transaction(async (tx) => {
         // Validate cart
-        const cartValidation = await this.validateCartForCheckout(userId);
+        const cartValidation = await this.validateCartForCheckout(userId, organizationId);
         if (!cartValidation.valid) {
           throw new Error(cartValidation.reason);
         }
@@ -228,7 +236,8 @@ class MerchandiseService {
             userId,
             totalAmount: totals.subtotal,
             qrData,
-            status: 'PENDING'
+            status: 'PENDING',
+            organizationId
           }
         });
 
@@ -301,12 +310,13 @@ class MerchandiseService {
    * @param {string} merchandiseId 
    * @param {number} newStock 
    * @param {string} adminId 
+   * @param {string} organizationId 
    * @returns {Object} Updated merchandise
    */
-  static async updateStock(merchandiseId, newStock, adminId) {
+  static async updateStock(merchandiseId, newStock, adminId, organizationId = null) {
     try {
-      const currentMerchandise = await prisma.merchandise.findUnique({
-        where: { id: merchandiseId },
+      const currentMerchandise = await prisma.merchandise.findFirst({
+        where: { id: merchandiseId, ...(organizationId && { organizationId }) },
         select: { stock: true, name: true }
       });
 
@@ -414,9 +424,9 @@ class MerchandiseService {
    */
   static async getMerchandiseAnalytics(filters = {}) {
     try {
-      const { startDate, endDate, category } = filters;
+      const { startDate, endDate, category, organizationId } = filters;
       
-      let whereClause = {};
+      let whereClause = organizationId ? { organizationId } : {};
       if (startDate || endDate) {
         whereClause.createdAt = {};
         if (startDate) whereClause.createdAt.gte = new Date(startDate);
@@ -471,6 +481,7 @@ class MerchandiseService {
         // Revenue by category (if categories are implemented)
         category ? null : prisma.merchandise.groupBy({
           by: ['category'],
+          where: organizationId ? { organizationId } : {},
           _count: true,
           _sum: { stock: true }
         })
@@ -501,29 +512,39 @@ class MerchandiseService {
     }
   }
 
+  /**
+   * Delete cache keys matching the given patterns
+   * @param {Array<string>} patterns 
+   */
+  static async deleteCachePatterns(patterns) {
+    await Promise.all(
+      patterns.map(pattern => 
+        CacheService.delPattern ? 
+        CacheService.delPattern(pattern) : 
+        CacheService.del(pattern)
+      )
+    );
+  }
+
   /**
    * Clear merchandise caches
    * @param {string} merchandiseId 
+   * @param {string} organizationId 
    */
-  static async clearMerchandiseCaches(merchandiseId = null) {
+  static async clearMerchandiseCaches(merchandiseId = null, organizationId = null) {
+    const scope = tenantScope(organizationId);
     try {
       const patterns = [
-        'merchandise:catalog:*',
-        'merchandise:stats:*',
+        `merchandise:${scope}:catalog:*`,
+        `merchandise:${scope}:stats*`,
         'user:*:cart'
       ];
 
       if (merchandiseId) {
-        patterns.push(`merchandise:${merchandiseId}:*`);
+        patterns.push(`merchandise:${scope}:item:${merchandiseId}`);
       }
 
-      await Promise.all(
-        patterns.map(pattern => 
-          CacheService.delPattern ? 
-          CacheService.delPattern(pattern) : 
-          CacheService.del(pattern)
-        )
-      );
+      await this.deleteCachePatterns(patterns);
 
       console.log('🗑️ Cleared merchandise caches');
     } catch (error) {
@@ -531,6 +552,68 @@ class MerchandiseService {
     }
   }
 
+  /**
+   * Clear stock-related caches
+   * @param {string} merchandiseId 
+   * @param {string} organizationId 
+   */
+  static async clearStockCaches(merchandiseId = null, organizationId = null) {
+    const scope = tenantScope(organizationId);
+    try {
+      const patterns = [
+        `merchandise:${scope}:stock:alerts`,
+        `merchandise:${scope}:stats*`,
+        `merchandise:${scope}:catalog:*`
+      ];
+
+      if (merchandiseId) {
+        patterns.push(`merchandise:${scope}:item:${merchandiseId}`);
+      }
+
+      await this.deleteCachePatterns(patterns);
+    } catch (error) {
+      console.error('Clear stock caches error:', error);
+    }
+  }
+
+  /**
+   * Clear order caches
+   * @param {string} orderNumber 
+   * @param {string} organizationId 
+   */
+  static async clearOrderCaches(orderNumber = null, organizationId = null) {
+    const scope = tenantScope(organizationId);
+    try {
+      await this.deleteCachePatterns([
+        `admin:merchandise:${scope}:orders:*`,
+        `merchandise:${scope}:stats*`,
+        orderNumber ? `order:${scope}:${orderNumber}:*` : `order:${scope}:*`
+      ]);
+    } catch (error) {
+      console.error('Clear order caches error:', error);
+    }
+  }
+
+  /**
+   * Clear every merchandise cache of an organization
+   * @param {string} organizationId 
+   */
+  static async clearAllMerchandiseCaches(organizationId = null) {
+    const scope = tenantScope(organizationId);
+    try {
+      await this.deleteCachePatterns([
+        `merchandise:${scope}:*`,
+        `order:${scope}:*`,
+        `admin:merchandise:${scope}:*`,
+        'user:*:cart'
+      ]);
+
+      console.log('🗑️ Cleared all merchandise caches');
+    } catch (error) {
+      console.error('Clear all merchandise caches error:', error);
+    }
+  }
+
   /**
    * Clear user cart cache
    * @param {string} userId 
@@ -371,7 +371,7 @@ class MerchandiseNotificationService {
    */
   static async handlePaymentWebhook(paymentData) {
     try {
-      const { transactionId, status, referenceType, referenceId } = paymentData;
+      const { status, referenceType, referenceId } = paymentData;
 
       // Only handle merchandise payments
       if (referenceType !== 'MERCHANDISE_ORDER') {
@@ -2,12 +2,13 @@
 // Generic Notification Service - Universal system for all app features
 // Multi-Tenant Aware Implementation
 
-const { PrismaClient } = require('@prisma/client');
-const PushNotificationService = require('../utils/push-notification.util');
+const { prisma } = require('../config/database');
 const TenantPushNotificationService = require('./TenantPushNotificationService');
 const { CacheService } = require('../config/redis');
-
-const prisma = new PrismaClient();
+const { JobQueueService, JOB_TYPES } = require('./queue/jobQueue.service');
+const { NotificationPreferenceService } = require('./notificationPreference.service');
+const { RealtimeService, REALTIME_EVENTS } = require('./realtime/realtime.service');
+const config = require('../config');
 
 /**
  * Notification Types - Extensible for all app features
@@ -23,6 +24,7 @@ const NOTIFICATION_TYPES = {
   EVENT_REMINDER: 'EVENT_REMINDER',
   EVENT_UPDATE: 'EVENT_UPDATE',
   EVENT_CANCELLATION: 'EVENT_CANCELLATION',
+  EVENT_WAITLIST: 'EVENT_WAITLIST',
   
   // Poll notifications
   POLL_CREATED: 'POLL_CREATED',
@@ -50,6 +52,9 @@ const NOTIFICATION_TYPES = {
   POST_COMMENTED: 'POST_COMMENTED',
   POST_LIKED: 'POST_LIKED',
   MENTION: 'MENTION',
+
+  // Support ticket notifications
+  TICKET_SLA_BREACH: 'TICKET_SLA_BREACH',
   
   // Birthday/Festival notifications
   BIRTHDAY_NOTIFICATION: 'BIRTHDAY_NOTIFICATION',
@@ -76,6 +81,9 @@ const CHANNELS = {
   IN_APP: 'IN_APP'        // In-app notifications only
 };
 
+// Recipients loaded and sent per batch by bulk sends
+const BULK_BATCH_SIZE = 500;
+
 class NotificationService {
 
   /**
@@ -106,9 +114,44 @@ class NotificationService {
         throw new Error('At least one recipient is required');
       }
 
+      // Scheduled notifications are created and sent by the job queue when due
+      if (scheduleAt && new Date(scheduleAt) > new Date()) {
+        const job = await JobQueueService.add(JOB_TYPES.NOTIFICATION_SEND, { ...notificationData, scheduleAt: null }, {
+          runAt: scheduleAt,
+          organizationId
+        });
+
+        return {
+          success: true,
+          scheduled: true,
+          jobId: job.id,
+          scheduleAt: job.runAt,
+          notificationsSent: 0,
+          notifications: []
+        };
+      }
+
+      // Per-recipient delivery plan from their channel/type preferences
+      const preferences = await NotificationPreferenceService.getPreferences(recipientIds);
+      const plans = new Map(recipientIds.map(recipientId => [
+        recipientId,
+        NotificationPreferenceService.planDelivery(preferences.get(recipientId), { type, priority, channels })
+      ]));
+
+      // Recipients who opted out of every channel for this type get nothing at all
+      const deliverableIds = recipientIds.filter(recipientId => {
+        const plan = plans.get(recipientId);
+        return plan.inApp || plan.push !== 'SKIP' || plan.email !== 'SKIP';
+      });
+
+      if (deliverableIds.length === 0) {
+        return { success: true, notificationsSent: 0, notifications: [] };
+      }
+
       // Create notifications in database
       const notifications = await this.createNotifications({
-        recipientIds,
+        recipientIds: deliverableIds,
+        plans,
         type,
         title,
         message,
@@ -122,14 +165,34 @@ class NotificationService {
         organizationId  // Multi-tenant support
       });
 
-      // Send push notifications if not scheduled (Multi-tenant aware)
-      if (!scheduleAt && channels.includes(CHANNELS.PUSH)) {
-        await this.sendPushNotifications(notifications, tenantCode);
+      // Push to open web app streams (in-app opt-outs are created already read)
+      await RealtimeService.publishMany(
+        notifications
+          .filter(n => !n.isRead)
+          .map(n => ({
+            topic: RealtimeService.userTopic(n.userId),
+            event: REALTIME_EVENTS.NOTIFICATION_CREATED,
+            data: {
+              id: n.id,
+              type: n.type,
+              title: n.title,
+              message: n.message,
+              payload: n.payload,
+              createdAt: n.createdAt
+            }
+          }))
+      );
+
+      // Send push notifications (Multi-tenant aware); quiet hours defer them
+      const pushNotifications = notifications.filter(n => plans.get(n.userId).push !== 'SKIP');
+      if (pushNotifications.length > 0) {
+        await this.sendPushNotifications(pushNotifications, tenantCode, priority);
       }
 
-      // Send email notifications if enabled (Multi-tenant aware)
-      if (!scheduleAt && channels.includes(CHANNELS.EMAIL)) {
-        await this.sendEmailNotifications(notifications, tenantCode);
+      // Send email notifications if enabled (Multi-tenant aware); digest users get them later
+      const emailNotifications = notifications.filter(n => plans.get(n.userId).email === 'SEND');
+      if (emailNotifications.length > 0) {
+        await this.sendEmailNotifications(emailNotifications, tenantCode);
       }
 
       return {
@@ -149,6 +212,57 @@ class NotificationService {
     }
   }
 
+  /**
+   * Send one notification to every active user matching the audience filters.
+   * Runs from the job queue; progress.lastRecipientId lets a retried job resume
+   * after the last batch that went out.
+   * @param {Object} bulkData - { filters: { batchYears, roles }, notification, organizationId, tenantCode }
+   * @param {Object} [progress] - Mutable progress record (the job's data)
+   * @returns {Promise<Object>} { recipientCount }
+   */
+  static async sendBulkNotification(bulkData, progress = {}) {
+    const { filters = {}, notification, organizationId = null, tenantCode = null } = bulkData;
+
+    const where = {
+      isActive: true,
+      organizationId,
+      ...(filters.batchYears?.length ? { batch: { in: filters.batchYears } } : {}),
+      ...(filters.roles?.length ? { role: { in: filters.roles } } : {})
+    };
+
+    let recipientCount = progress.recipientCount || 0;
+
+    while (true) {
+      const recipients = await prisma.user.findMany({
+        where: {
+          ...where,
+          ...(progress.lastRecipientId ? { id: { gt: progress.lastRecipientId } } : {})
+        },
+        select: { id: true },
+        orderBy: { id: 'asc' },
+        take: BULK_BATCH_SIZE
+      });
+
+      if (recipients.length === 0) {
+        break;
+      }
+
+      await this.createAndSendNotification({
+        ...notification,
+        recipientIds: recipients.map(user => user.id),
+        organizationId,
+        tenantCode
+      });
+
+      recipientCount += recipients.length;
+      progress.lastRecipientId = recipients[recipients.length - 1].id;
+      progress.recipientCount = recipientCount;
+    }
+
+    console.log(`📣 Bulk notification sent to ${recipientCount} users`);
+    return { recipientCount };
+  }
+
   /**
    * Create notifications in database (Multi-Tenant Aware)
    * @param {Object} data - Notification data
@@ -161,12 +275,7 @@ class NotificationService {
       title,
       message,
       data: notificationData,
-      priority,
-      channels,
-      scheduleAt,
-      expiresAt,
-      relatedEntityType,
-      relatedEntityId,
+      plans = new Map(),
       organizationId = null  // Multi-tenant support
     } = data;
 
@@ -175,6 +284,7 @@ class NotificationService {
         const createdNotifications = [];
 
         for (const recipientId of recipientIds) {
+          const plan = plans.get(recipientId);
           const notification = await tx.notification.create({
             data: {
               userId: recipientId,
@@ -182,6 +292,9 @@ class NotificationService {
               title,
               message,
               payload: notificationData,
+              // In-app opt-outs keep the record (push/email reference it) but never show as unread
+              isRead: plan ? !plan.inApp : false,
+              digestPending: plan?.email === 'DIGEST',
               organizationId  // Multi-tenant support
             }
           });
@@ -213,28 +326,26 @@ class NotificationService {
 
   /**
    * Send push notifications (Multi-Tenant Aware)
+   * Recipients in quiet hours are rescheduled for when their quiet hours end.
    * @param {Array} notifications - Array of notification objects
    * @param {string} tenantCode - Tenant code for multi-tenant push
+   * @param {string} priority - Notification priority; HIGH/EMERGENCY ignore quiet hours
    * @returns {Promise<void>}
    */
-  static async sendPushNotifications(notifications, tenantCode = null) {
+  static async sendPushNotifications(notifications, tenantCode = null, priority = PRIORITY_LEVELS.MEDIUM) {
     console.log(`🔔 sendPushNotifications called for ${notifications.length} notifications`);
 
+    // deferUntil (ms) -> notification ids held back by quiet hours
+    const deferred = new Map();
+
     try {
       for (const notification of notifications) {
-        // Get user's push tokens from the device tokens table
         const user = await prisma.user.findUnique({
           where: { id: notification.userId },
           select: {
             id: true,
             fullName: true,
-            organizationId: true,
-            deviceTokens: {
-              where: { isActive: true },
-              select: { token: true, platform: true },
-              orderBy: { lastUsedAt: 'desc' },
-              take: 5 // Limit to 5 most recent active tokens
-            }
+            organization: { select: { tenantCode: true } }
           }
         });
 
@@ -244,83 +355,66 @@ class NotificationService {
         }
 
         // Get tenant code from user's organization if not provided
-        let effectiveTenantCode = tenantCode;
-        if (!effectiveTenantCode && user.organizationId) {
-          const org = await prisma.organization.findUnique({
-            where: { id: user.organizationId },
-            select: { tenantCode: true }
-          });
-          effectiveTenantCode = org?.tenantCode;
-        }
-
-        // Get device tokens to send to
-        const deviceTokens = user.deviceTokens?.map(dt => dt.token) || [];
-
-        console.log(`📱 User ${user.fullName} has ${deviceTokens.length} active device tokens`);
-        if (deviceTokens.length > 0) {
-          console.log(`   Token preview: ${deviceTokens[0]?.substring(0, 30)}...`);
-        }
+        const effectiveTenantCode = tenantCode || user.organization?.tenantCode;
 
-        // Send push notification using tenant-aware service
+        // Send push notification using tenant-aware service (checks preferences and quiet hours)
         try {
-          let pushResult;
-
-          if (deviceTokens.length > 0) {
-            // Send to actual device tokens using tenant-aware service
-            console.log(`📤 Sending FCM push to ${deviceTokens.length} tokens for ${user.fullName}`);
-            console.log(`📤 Token(s): ${deviceTokens.map(t => t.substring(0, 20) + '...').join(', ')}`);
-            console.log(`📤 Tenant code: ${effectiveTenantCode}`);
-            pushResult = await TenantPushNotificationService.sendToTokens(
-              effectiveTenantCode,
-              {
-                tokens: deviceTokens,
-                title: notification.title,
-                body: notification.message,
-                data: {
-                  notificationId: notification.id,
-                  type: notification.type,
-                  userId: user.id,
-                  ...notification.payload
-                },
-                priority: 'high'  // Changed to high priority for better delivery
-              }
-            );
-            console.log(`📤 FCM push result:`, JSON.stringify(pushResult, null, 2));
-          } else {
-            // No device tokens registered
-            console.log(`⚠️ No device tokens for ${user.fullName}, skipping FCM push`);
-            pushResult = { success: false, error: 'No device tokens' };
-          }
-
-          // Update notification status based on result
-          await prisma.notification.update({
-            where: { id: notification.id },
+          const pushResult = await TenantPushNotificationService.sendToUser(effectiveTenantCode, user.id, {
+            title: notification.title,
+            body: notification.message,
             data: {
-              isRead: false
-            }
+              notificationId: notification.id,
+              type: notification.type,
+              userId: user.id,
+              ...notification.payload
+            },
+            priority: 'high',  // Changed to high priority for better delivery
+            type: notification.type,
+            notificationPriority: priority
           });
 
-          if (pushResult.success) {
+          if (pushResult.deferred) {
+            const key = pushResult.deferUntil.getTime();
+            deferred.set(key, [...(deferred.get(key) || []), notification.id]);
+            console.log(`🌙 Push for ${user.fullName} held until quiet hours end (${pushResult.deferUntil.toISOString()})`);
+          } else if (pushResult.success) {
             console.log(`✅ Push notification sent to ${user.fullName}: ${notification.title}`);
           } else {
-            console.log(`⚠️ Push notification may have failed for ${user.fullName}: ${pushResult.error || 'unknown'}`);
+            console.log(`⚠️ Push notification not sent to ${user.fullName}: ${pushResult.error || 'unknown'}`);
           }
         } catch (pushError) {
           console.error(`❌ Failed to send push notification to ${user.fullName}:`, pushError);
-
-          // Update notification to mark delivery failure
-          await prisma.notification.update({
-            where: { id: notification.id },
-            data: { isRead: false }
-          });
         }
       }
+
+      for (const [deferUntil, notificationIds] of deferred) {
+        await JobQueueService.add(JOB_TYPES.NOTIFICATION_PUSH_DEFERRED, { notificationIds, tenantCode, priority }, {
+          runAt: new Date(deferUntil)
+        });
+      }
     } catch (error) {
       console.error('Send push notifications error:', error);
       // Don't throw - partial failure is acceptable
     }
   }
 
+  /**
+   * Send push notifications that were held back by quiet hours (queue handler)
+   * @param {Object} data - { notificationIds, tenantCode, priority }
+   * @returns {Promise<Object>} { sent }
+   */
+  static async sendDeferredPush({ notificationIds, tenantCode = null, priority }) {
+    const notifications = await prisma.notification.findMany({
+      where: { id: { in: notificationIds } }
+    });
+
+    if (notifications.length > 0) {
+      await this.sendPushNotifications(notifications, tenantCode, priority);
+    }
+
+    return { sent: notifications.length };
+  }
+
   /**
    * Send email notifications (Multi-Tenant Aware)
    * @param {Array} notifications - Array of notification objects
@@ -377,14 +471,15 @@ class NotificationService {
             emailService = defaultEmailManager.getService();
           }
 
-          // Send notification email
-          const emailOptions = {
-            to: user.email,
-            subject: notification.title,
-            html: this.generateNotificationEmailHTML(notification, user, emailService.tenantConfig)
-          };
-
-          const result = await emailService.provider.sendEmail(emailOptions);
+          // Send notification email with a one-click unsubscribe for this type
+          const { unsubscribeUrl } = await NotificationPreferenceService.checkEmail(user.id, notification.type);
+          const result = await emailService.provider.sendEmail(
+            user.email,
+            notification.title,
+            this.generateNotificationEmailHTML(notification, user, emailService.tenantConfig, unsubscribeUrl),
+            {},
+            { listUnsubscribe: unsubscribeUrl }
+          );
 
           // Update notification status based on email result
           await prisma.notification.update({
@@ -422,9 +517,10 @@ class NotificationService {
    * @param {Object} notification - Notification object
    * @param {Object} user - User object
    * @param {Object} tenantConfig - Tenant branding configuration (optional)
+   * @param {string} unsubscribeUrl - One-click unsubscribe link for the footer (optional)
    * @returns {string} HTML email content
    */
-  static generateNotificationEmailHTML(notification, user, tenantConfig = null) {
+  static generateNotificationEmailHTML(notification, user, tenantConfig = null, unsubscribeUrl = null) {
     // Default branding
     const defaultBranding = {
       primaryColor: '#667eea',
@@ -503,6 +599,7 @@ class NotificationService {
           <div class="footer">
             <p>&copy; ${currentYear} ${branding.organizationName}. All rights reserved.</p>
             <p style="margin-top: 10px; font-size: 12px; color: #999;">This is an automated notification. Please do not reply directly to this email.</p>
+            ${unsubscribeUrl ? `<p style="margin-top: 10px; font-size: 12px;"><a href="${unsubscribeUrl}">Unsubscribe from these emails</a></p>` : ''}
           </div>
         </div>
       </body>
@@ -624,6 +721,13 @@ class NotificationService {
       // Clear user notification caches
       await CacheService.delPattern(`notifications:user:${userId}*`);
 
+      // Keep the user's other open tabs and devices in sync
+      await RealtimeService.publish(
+        RealtimeService.userTopic(userId),
+        REALTIME_EVENTS.NOTIFICATION_READ,
+        { notificationId }
+      );
+
       return updatedNotification;
     } catch (error) {
       console.error('Mark notification as read error:', error);
@@ -651,6 +755,14 @@ class NotificationService {
       // Clear user notification caches
       await CacheService.delPattern(`notifications:user:${userId}*`);
 
+      if (result.count > 0) {
+        await RealtimeService.publish(
+          RealtimeService.userTopic(userId),
+          REALTIME_EVENTS.NOTIFICATION_READ,
+          { all: true }
+        );
+      }
+
       return { markedCount: result.count };
     } catch (error) {
       console.error('Mark all as read error:', error);
@@ -710,6 +822,129 @@ class NotificationService {
     }
   }
 
+  /**
+   * Email every user whose digest is due the notifications held for it (queue handler).
+   * Runs hourly; see NotificationPreferenceService.isDigestDue for the schedule.
+   * @param {Date} at - Run time
+   * @returns {Promise<Object>} { sent, candidates }
+   */
+  static async sendDigests(at = new Date()) {
+    const preferences = await prisma.notificationPreference.findMany({
+      where: { user: { notifications: { some: { digestPending: true } } } },
+      include: {
+        user: {
+          select: {
+            id: true,
+            fullName: true,
+            email: true,
+            organization: { select: { tenantCode: true } }
+          }
+        }
+      }
+    });
+
+    let sent = 0;
+
+    for (const preference of preferences) {
+      if (!NotificationPreferenceService.isDigestDue(preference, at)) {
+        continue;
+      }
+
+      try {
+        if (await this.sendDigest(preference, at)) {
+          sent++;
+        }
+      } catch (error) {
+        console.error(`❌ Failed to send notification digest to user ${preference.userId}:`, error);
+      }
+    }
+
+    console.log(`📬 Notification digests sent: ${sent} of ${preferences.length} users with pending items`);
+    return { sent, candidates: preferences.length };
+  }
+
+  /**
+   * Send one user's digest and clear the items it covered
+   * @param {Object} preference - Notification preference with user
+   * @param {Date} at - Items created after this are left for the next digest
+   * @returns {Promise<boolean>} Whether an email went out
+   */
+  static async sendDigest(preference, at) {
+    const { user } = preference;
+
+    const pending = await prisma.notification.findMany({
+      where: { userId: user.id, digestPending: true, createdAt: { lte: at } },
+      select: { id: true, type: true, title: true, message: true, createdAt: true },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    if (pending.length === 0) {
+      return false;
+    }
+
+    // Types the user turned off for email since the items were held are dropped
+    const items = pending.filter(item => NotificationPreferenceService.isChannelEnabled(preference, item.type, CHANNELS.EMAIL));
+    const shouldEmail = Boolean(user.email) && items.length > 0;
+
+    if (shouldEmail) {
+      const TenantEmailManager = require('./email/TenantEmailManager');
+      const defaultEmailManager = require('./email/EmailManager');
+
+      let emailService;
+      try {
+        emailService = await TenantEmailManager.getServiceForTenant(user.organization?.tenantCode);
+      } catch (tenantError) {
+        console.log(`Using default email service for notification digest (tenant error): ${tenantError.message}`);
+        emailService = defaultEmailManager.getService();
+      }
+
+      const { digestMaxItems } = config.notifications;
+      const shown = items.slice(0, digestMaxItems);
+      const more = items.length - shown.length;
+      const unsubscribeUrl = NotificationPreferenceService.unsubscribeUrl(preference);
+
+      const digest = {
+        type: 'NOTIFICATION_DIGEST',
+        title: preference.digestFrequency === 'WEEKLY' ? 'Your weekly notification digest' : 'Your daily notification digest',
+        message: `
+            Here's what you missed:
+            <ul style="padding-left: 20px;">
+              ${shown.map(item => `<li style="margin-bottom: 10px;"><strong>${item.title}</strong><br>${item.message}</li>`).join('')}
+            </ul>
+            ${more > 0 ? `<em>…and ${more} more. Open the app to see everything.</em>` : ''}
+          `
+      };
+
+      const result = await emailService.provider.sendEmail(
+        user.email,
+        digest.title,
+        this.generateNotificationEmailHTML(digest, user, emailService.tenantConfig, unsubscribeUrl),
+        {},
+        { listUnsubscribe: unsubscribeUrl }
+      );
+
+      if (!result.success) {
+        // Items stay pending for the next run
+        console.error(`❌ Notification digest to ${user.email} failed: ${result.error}`);
+        return false;
+      }
+    }
+
+    await prisma.$transaction([
+      prisma.notification.updateMany({
+        where: { id: { in: pending.map(item => item.id) } },
+        data: { digestPending: false }
+      }),
+      prisma.notificationPreference.update({
+        where: { id: preference.id },
+        data: { digestLastSentAt: at }
+      })
+    ]);
+    await CacheService.del(NotificationPreferenceService.cacheKey(user.id));
+
+    return shouldEmail;
+  }
+
   /**
    * Helper: Map internal priority to FCM priority
    * @param {string} priority - Internal priority level
@@ -847,7 +1082,7 @@ class NotificationService {
    * @returns {Promise<Object>} Notification result  
    */
   static async sendLifeLinkBroadcastNotification(requisitionData, donorIds) {
-    const { requiredBloodGroup, location, urgencyLevel } = requisitionData;
+    const { requiredBloodGroup, location } = requisitionData;
 
     return await this.sendLifeLinkEmergencyNotification(
       requisitionData,
@@ -0,0 +1,388 @@
+// src/services/notificationPreference.service.js
+// Per-user notification delivery settings: channel x type switches, quiet hours,
+// digest frequency and one-click email unsubscribe tokens
+
+const crypto = require('crypto');
+const { NotificationType } = require('@prisma/client');
+const { prisma } = require('../config/database');
+const { CacheService } = require('../config/redis');
+const config = require('../config');
+
+const PREFERENCE_CHANNELS = ['IN_APP', 'EMAIL', 'PUSH'];
+
+// Preferences are keyed by the stored notification types
+const PREFERENCE_TYPES = Object.values(NotificationType);
+
+const CHANNEL_SWITCHES = {
+  IN_APP: 'inAppEnabled',
+  EMAIL: 'emailEnabled',
+  PUSH: 'pushEnabled'
+};
+
+// Account and verification messages go out regardless of preferences
+const MANDATORY_TYPES = ['VERIFICATION_APPROVED', 'VERIFICATION_REJECTED', 'ROLE_UPDATED'];
+
+// Quiet hours and digests never hold these back
+const URGENT_PRIORITIES = ['EMERGENCY', 'HIGH'];
+
+const PREFERENCE_CACHE_TTL = 10 * 60;
+
+const preferenceError = (message, statusCode, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+const generateToken = () => crypto.randomBytes(24).toString('base64url');
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Wall-clock hour, minute and weekday (0 = Sunday) in the given IANA timezone
+const localTime = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const value = (type) => parts.find(part => part.type === type).value;
+  return {
+    hour: Number(value('hour')),
+    minute: Number(value('minute')),
+    weekday: WEEKDAYS.indexOf(value('weekday'))
+  };
+};
+
+class NotificationPreferenceService {
+  static cacheKey(userId) {
+    return `notification:prefs:${userId}`;
+  }
+
+  static isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Stored preferences, created with everything on the first time they're needed
+   */
+  static async getPreference(userId) {
+    const cached = await CacheService.get(this.cacheKey(userId));
+    if (cached) return cached;
+
+    const preference = await prisma.notificationPreference.upsert({
+      where: { userId },
+      update: {},
+      create: {
+        userId,
+        unsubscribeToken: generateToken(),
+        timezone: config.notifications.defaultTimezone
+      }
+    });
+
+    await CacheService.set(this.cacheKey(userId), preference, PREFERENCE_CACHE_TTL);
+    return preference;
+  }
+
+  /**
+   * Preferences for many users at once (bulk sends); users without a row get defaults
+   * @returns {Promise<Map>} userId -> preference (null when never saved)
+   */
+  static async getPreferences(userIds) {
+    const preferences = await prisma.notificationPreference.findMany({
+      where: { userId: { in: userIds } }
+    });
+
+    const byUser = new Map(userIds.map(userId => [userId, null]));
+    preferences.forEach(preference => byUser.set(preference.userId, preference));
+    return byUser;
+  }
+
+  /**
+   * API shape: full type x channel matrix with defaults filled in
+   */
+  static format(preference) {
+    const types = Object.fromEntries(
+      PREFERENCE_TYPES.map(type => [
+        type,
+        Object.fromEntries(PREFERENCE_CHANNELS.map(channel => [
+          channel,
+          MANDATORY_TYPES.includes(type) || preference.typeSettings?.[type]?.[channel] !== false
+        ]))
+      ])
+    );
+
+    return {
+      channels: {
+        IN_APP: preference.inAppEnabled,
+        EMAIL: preference.emailEnabled,
+        PUSH: preference.pushEnabled
+      },
+      types,
+      mandatoryTypes: MANDATORY_TYPES,
+      quietHours: {
+        enabled: preference.quietHoursEnabled,
+        start: preference.quietHoursStart,
+        end: preference.quietHoursEnd,
+        timezone: preference.timezone
+      },
+      digest: {
+        frequency: preference.digestFrequency,
+        lastSentAt: preference.digestLastSentAt
+      },
+      emailUnsubscribedAt: preference.emailUnsubscribedAt,
+      updatedAt: preference.updatedAt
+    };
+  }
+
+  /**
+   * Apply a partial update from PUT /api/notifications/preferences
+   * @param {Object} data - { channels, types, quietHours, digest }
+   */
+  static async updatePreferences(userId, data) {
+    const current = await this.getPreference(userId);
+    const update = {};
+
+    if (data.channels) {
+      Object.entries(data.channels).forEach(([channel, enabled]) => {
+        update[CHANNEL_SWITCHES[channel]] = enabled;
+      });
+      // Turning email back on is how a user re-subscribes after a one-click unsubscribe
+      if (data.channels.EMAIL === true) {
+        update.emailUnsubscribedAt = null;
+      }
+    }
+
+    if (data.types) {
+      const typeSettings = { ...(current.typeSettings || {}) };
+      Object.entries(data.types).forEach(([type, channels]) => {
+        typeSettings[type] = { ...(typeSettings[type] || {}), ...channels };
+      });
+      update.typeSettings = typeSettings;
+    }
+
+    if (data.quietHours) {
+      const { enabled, start, end, timezone } = data.quietHours;
+      const nextStart = start !== undefined ? start : current.quietHoursStart;
+      const nextEnd = end !== undefined ? end : current.quietHoursEnd;
+      const nextEnabled = enabled !== undefined ? enabled : current.quietHoursEnabled;
+
+      if (nextEnabled && (!nextStart || !nextEnd)) {
+        throw preferenceError('Quiet hours need a start and end time', 400, 'QUIET_HOURS_INCOMPLETE');
+      }
+
+      Object.assign(update, {
+        quietHoursEnabled: nextEnabled,
+        quietHoursStart: nextStart,
+        quietHoursEnd: nextEnd,
+        ...(timezone && { timezone })
+      });
+    }
+
+    if (data.digest?.frequency) {
+      update.digestFrequency = data.digest.frequency;
+    }
+
+    const preference = await prisma.notificationPreference.update({
+      where: { userId },
+      data: update
+    });
+
+    await CacheService.del(this.cacheKey(userId));
+    return preference;
+  }
+
+  // ==========================================
+  // DELIVERY DECISIONS
+  // ==========================================
+
+  static isChannelEnabled(preference, type, channel) {
+    if (MANDATORY_TYPES.includes(type)) return true;
+    if (!preference) return true;
+    if (!preference[CHANNEL_SWITCHES[channel]]) return false;
+    if (channel === 'EMAIL' && preference.emailUnsubscribedAt) return false;
+    return preference.typeSettings?.[type]?.[channel] !== false;
+  }
+
+  /**
+   * When the user's current quiet hours end, or null if they aren't in quiet hours
+   */
+  static quietHoursEndAt(preference, at = new Date()) {
+    if (!preference?.quietHoursEnabled || !preference.quietHoursStart || !preference.quietHoursEnd) {
+      return null;
+    }
+
+    const { hour, minute } = localTime(at, preference.timezone);
+    const now = hour * 60 + minute;
+    const start = toMinutes(preference.quietHoursStart);
+    const end = toMinutes(preference.quietHoursEnd);
+
+    const quiet = start <= end
+      ? now >= start && now < end
+      : now >= start || now < end;
+
+    if (!quiet) return null;
+
+    const minutesLeft = (end - now + 24 * 60) % (24 * 60);
+    const endAt = new Date(at.getTime() + minutesLeft * 60 * 1000);
+    endAt.setSeconds(0, 0);
+    return endAt;
+  }
+
+  /**
+   * Decide per channel what happens to one notification for one user
+   * @returns {Object} { inApp: boolean, push: 'SEND'|'DEFER'|'SKIP', email: 'SEND'|'DIGEST'|'SKIP', deferUntil }
+   */
+  static planDelivery(preference, { type, priority, channels }) {
+    const urgent = URGENT_PRIORITIES.includes(priority);
+    const plan = {
+      inApp: this.isChannelEnabled(preference, type, 'IN_APP'),
+      push: 'SKIP',
+      email: 'SKIP',
+      deferUntil: null
+    };
+
+    if (channels.includes('PUSH') && this.isChannelEnabled(preference, type, 'PUSH')) {
+      plan.deferUntil = urgent ? null : this.quietHoursEndAt(preference);
+      plan.push = plan.deferUntil ? 'DEFER' : 'SEND';
+    }
+
+    if (channels.includes('EMAIL') && this.isChannelEnabled(preference, type, 'EMAIL')) {
+      const digest = preference && preference.digestFrequency !== 'OFF' && !urgent && !MANDATORY_TYPES.includes(type);
+      plan.email = digest ? 'DIGEST' : 'SEND';
+    }
+
+    return plan;
+  }
+
+  /**
+   * Whether a user's digest should go out in the hourly run at `at`: at digestHour in
+   * their timezone, once a day or on weeklyDigestDay. Users who switched digests off
+   * get their leftover items in the next run.
+   */
+  static isDigestDue(preference, at = new Date()) {
+    if (preference.digestFrequency === 'OFF') return true;
+
+    const { hour, weekday } = localTime(at, preference.timezone);
+    if (hour !== config.notifications.digestHour) return false;
+
+    const sinceLast = preference.digestLastSentAt
+      ? at.getTime() - new Date(preference.digestLastSentAt).getTime()
+      : Infinity;
+
+    if (preference.digestFrequency === 'WEEKLY') {
+      return weekday === config.notifications.weeklyDigestDay && sinceLast > 6 * 24 * 60 * 60 * 1000;
+    }
+
+    return sinceLast > 20 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Email gate used by EmailService before sending a preference-controlled email
+   * @returns {Promise<Object>} { allowed, unsubscribeUrl }
+   */
+  static async checkEmail(userId, type) {
+    if (!userId) {
+      return { allowed: true, unsubscribeUrl: null };
+    }
+
+    try {
+      const preference = await this.getPreference(userId);
+      return {
+        allowed: this.isChannelEnabled(preference, type, 'EMAIL'),
+        unsubscribeUrl: MANDATORY_TYPES.includes(type) ? null : this.unsubscribeUrl(preference, type)
+      };
+    } catch (error) {
+      // Preferences must never block mail delivery outright
+      console.error('Notification preference lookup failed:', error);
+      return { allowed: true, unsubscribeUrl: null };
+    }
+  }
+
+  /**
+   * Push gate used by TenantPushNotificationService
+   * @returns {Promise<Object>} { allowed, deferUntil }
+   */
+  static async checkPush(userId, type, priority) {
+    try {
+      const preference = await this.getPreference(userId);
+      if (!this.isChannelEnabled(preference, type, 'PUSH')) {
+        return { allowed: false, deferUntil: null };
+      }
+
+      const deferUntil = URGENT_PRIORITIES.includes(priority) ? null : this.quietHoursEndAt(preference);
+      return { allowed: !deferUntil, deferUntil };
+    } catch (error) {
+      console.error('Notification preference lookup failed:', error);
+      return { allowed: true, deferUntil: null };
+    }
+  }
+
+  // ==========================================
+  // ONE-CLICK UNSUBSCRIBE
+  // ==========================================
+
+  /**
+   * Unsubscribe link for an email; type-specific links only turn off that type
+   */
+  static unsubscribeUrl(preference, type = null) {
+    const baseUrl = config.notifications.unsubscribeBaseUrl;
+    if (!baseUrl || !preference?.unsubscribeToken) return null;
+
+    const url = `${baseUrl.replace(/\/$/, '')}/api/notifications/unsubscribe/${preference.unsubscribeToken}`;
+    return type ? `${url}?type=${encodeURIComponent(type)}` : url;
+  }
+
+  static async findByUnsubscribeToken(token) {
+    const preference = await prisma.notificationPreference.findUnique({
+      where: { unsubscribeToken: token },
+      include: { user: { select: { id: true, email: true, organization: { select: { name: true } } } } }
+    });
+
+    if (!preference) {
+      throw preferenceError('Unsubscribe link is invalid or has expired', 404, 'UNSUBSCRIBE_TOKEN_INVALID');
+    }
+
+    return preference;
+  }
+
+  /**
+   * Turn off email for one type, or all non-mandatory email when no type is given
+   */
+  static async unsubscribe(token, type = null) {
+    const preference = await this.findByUnsubscribeToken(token);
+
+    const data = type && PREFERENCE_TYPES.includes(type)
+      ? {
+        typeSettings: {
+          ...(preference.typeSettings || {}),
+          [type]: { ...(preference.typeSettings?.[type] || {}), EMAIL: false }
+        }
+      }
+      : { emailEnabled: false, emailUnsubscribedAt: new Date() };
+
+    await prisma.notificationPreference.update({ where: { id: preference.id }, data });
+    await CacheService.del(this.cacheKey(preference.userId));
+
+    return { preference, type: data.typeSettings ? type : null };
+  }
+}
+
+module.exports = {
+  NotificationPreferenceService,
+  PREFERENCE_CHANNELS,
+  PREFERENCE_TYPES,
+  MANDATORY_TYPES
+};
@@ -0,0 +1,179 @@
+// src/services/payment/CurrencyService.js
+// Organization base currency, admin-maintained exchange rates and multi-currency pricing
+
+const { prisma } = require("../../config/database");
+const paymentConfig = require("../../config/payment");
+const {
+	isSupportedCurrency,
+	roundAmount,
+} = require("../../utils/currency.util");
+
+class CurrencyService {
+	/**
+	 * Get the currency an organization reports in
+	 * @param {string|null} organizationId - Organization ID
+	 * @returns {string} ISO 4217 code
+	 */
+	async getBaseCurrency(organizationId) {
+		if (!organizationId) {
+			return paymentConfig.settings.defaultCurrency;
+		}
+
+		const organization = await prisma.organization.findUnique({
+			where: { id: organizationId },
+			select: { baseCurrency: true },
+		});
+
+		return organization?.baseCurrency || paymentConfig.settings.defaultCurrency;
+	}
+
+	/**
+	 * Latest rate (1 currency = rate baseCurrency) effective at the given time
+	 * @returns {Object} { rate, exchangeRateId, effectiveFrom }
+	 */
+	async getExchangeRate(organizationId, currency, baseCurrency, at = new Date()) {
+		if (currency === baseCurrency) {
+			return { rate: 1, exchangeRateId: null, effectiveFrom: null };
+		}
+
+		const exchangeRate = organizationId
+			? await prisma.exchangeRate.findFirst({
+					where: {
+						organizationId,
+						currency,
+						baseCurrency,
+						effectiveFrom: { lte: at },
+					},
+					orderBy: { effectiveFrom: "desc" },
+				})
+			: null;
+
+		if (!exchangeRate) {
+			throw new Error(
+				`No exchange rate configured for ${currency} to ${baseCurrency}`
+			);
+		}
+
+		return {
+			rate: parseFloat(exchangeRate.rate),
+			exchangeRateId: exchangeRate.id,
+			effectiveFrom: exchangeRate.effectiveFrom,
+		};
+	}
+
+	/**
+	 * Build the pricing context for a payment: which currency the payer is charged in
+	 * and the rate used to report it in the organization's base currency
+	 * @param {string|null} organizationId - Organization ID
+	 * @param {string|null} requestedCurrency - Currency chosen by payer (defaults to base)
+	 * @returns {Object} { organizationId, currency, baseCurrency, exchangeRate }
+	 */
+	async getPricingContext(organizationId, requestedCurrency = null) {
+		const baseCurrency = await this.getBaseCurrency(organizationId);
+		const currency = (requestedCurrency || baseCurrency).toUpperCase();
+
+		if (!isSupportedCurrency(currency)) {
+			throw new Error(`Currency ${currency} not supported`);
+		}
+
+		const { rate } = await this.getExchangeRate(
+			organizationId,
+			currency,
+			baseCurrency
+		);
+
+		return {
+			organizationId,
+			currency,
+			baseCurrency,
+			exchangeRate: rate,
+		};
+	}
+
+	/**
+	 * Price of an item in the context currency.
+	 * An explicit per-currency price wins, otherwise the base price is converted.
+	 * @param {Object} pricing - Pricing context from getPricingContext()
+	 * @param {number|string} basePrice - Price in the organization base currency
+	 * @param {number|string|null} explicitPrice - Price set for pricing.currency, if any
+	 * @returns {number}
+	 */
+	priceIn(pricing, basePrice, explicitPrice = null) {
+		if (pricing.currency === pricing.baseCurrency) {
+			return roundAmount(basePrice || 0, pricing.currency);
+		}
+
+		if (explicitPrice !== null && explicitPrice !== undefined) {
+			return roundAmount(explicitPrice, pricing.currency);
+		}
+
+		return roundAmount(
+			parseFloat(basePrice || 0) / pricing.exchangeRate,
+			pricing.currency
+		);
+	}
+
+	/**
+	 * Base-currency fields stored on a PaymentTransaction
+	 * @param {Object} pricing - Pricing context
+	 * @param {number} amount - Amount in pricing.currency
+	 * @returns {Object} { currency, baseCurrency, baseAmount, exchangeRate }
+	 */
+	toTransactionFields(pricing, amount) {
+		return {
+			currency: pricing.currency,
+			baseCurrency: pricing.baseCurrency,
+			baseAmount: roundAmount(amount * pricing.exchangeRate, pricing.baseCurrency),
+			exchangeRate: pricing.exchangeRate,
+		};
+	}
+
+	// ==========================================
+	// ADMIN RATE MANAGEMENT
+	// ==========================================
+
+	async listExchangeRates(organizationId) {
+		return prisma.exchangeRate.findMany({
+			where: { organizationId },
+			orderBy: [{ currency: "asc" }, { effectiveFrom: "desc" }],
+			include: {
+				creator: { select: { id: true, fullName: true } },
+			},
+		});
+	}
+
+	async createExchangeRate(organizationId, rateData, adminId) {
+		const baseCurrency = await this.getBaseCurrency(organizationId);
+		const currency = rateData.currency.toUpperCase();
+
+		if (currency === baseCurrency) {
+			throw new Error(`${currency} is already the base currency`);
+		}
+
+		return prisma.exchangeRate.create({
+			data: {
+				organizationId,
+				currency,
+				baseCurrency,
+				rate: rateData.rate,
+				effectiveFrom: rateData.effectiveFrom
+					? new Date(rateData.effectiveFrom)
+					: new Date(),
+				notes: rateData.notes || null,
+				createdBy: adminId,
+			},
+		});
+	}
+
+	async deleteExchangeRate(organizationId, rateId) {
+		const result = await prisma.exchangeRate.deleteMany({
+			where: { id: rateId, organizationId },
+		});
+
+		if (result.count === 0) {
+			throw new Error("Exchange rate not found");
+		}
+	}
+}
+
+module.exports = new CurrencyService();
@@ -0,0 +1,426 @@
+// src/services/payment/DiscountService.js
+// Time-tiered (early-bird) and batch-specific event prices, and admin-managed promo codes
+
+const { prisma } = require("../../config/database");
+const CurrencyService = require("./CurrencyService");
+const { roundAmount } = require("../../utils/currency.util");
+
+const promoError = (message) => {
+	const error = new Error(message);
+	error.statusCode = 400;
+	error.code = "INVALID_PROMO_CODE";
+	return error;
+};
+
+class DiscountService {
+	normalizeCode(code) {
+		return String(code || "").trim().toUpperCase();
+	}
+
+	// ==========================================
+	// PRICE TIERS
+	// ==========================================
+
+	/**
+	 * Cheapest active tier whose window and batch list match
+	 * @param {Array} tiers - Event price tiers
+	 * @param {Object} options - { batch, at }
+	 * @returns {Object|null}
+	 */
+	findPriceTier(tiers = [], { batch = null, at = new Date() } = {}) {
+		const applicable = tiers.filter(
+			(tier) =>
+				tier.isActive &&
+				(!tier.startsAt || at >= new Date(tier.startsAt)) &&
+				(!tier.endsAt || at <= new Date(tier.endsAt)) &&
+				(!tier.batchYears?.length || tier.batchYears.includes(batch))
+		);
+
+		applicable.sort(
+			(a, b) => parseFloat(a.registrationFee) - parseFloat(b.registrationFee)
+		);
+		return applicable[0] || null;
+	}
+
+	/**
+	 * Registration and guest fee in the pricing currency, after price tiers
+	 * @param {Object} pricing - Pricing context from CurrencyService.getPricingContext()
+	 * @param {Object} event - Event with registrationFee, guestFee, currencyPricing and priceTiers
+	 * @param {Object} options - { batch, at } of the registrant
+	 * @returns {Object} { registrationFee, guestFee, priceTier }
+	 */
+	getEventFees(pricing, event, options = {}) {
+		const tier = this.findPriceTier(event.priceTiers, options);
+		const eventPricing = event.currencyPricing?.[pricing.currency] || {};
+		const tierPricing = tier?.currencyPricing?.[pricing.currency] || {};
+
+		const registrationFee = tier
+			? CurrencyService.priceIn(pricing, tier.registrationFee, tierPricing.registrationFee)
+			: CurrencyService.priceIn(pricing, event.registrationFee, eventPricing.registrationFee);
+
+		const guestFee =
+			tier && tier.guestFee !== null && tier.guestFee !== undefined
+				? CurrencyService.priceIn(pricing, tier.guestFee, tierPricing.guestFee)
+				: CurrencyService.priceIn(pricing, event.guestFee, eventPricing.guestFee);
+
+		return {
+			registrationFee,
+			guestFee,
+			priceTier: tier ? { id: tier.id, name: tier.name } : null,
+		};
+	}
+
+	// ==========================================
+	// PROMO CODES
+	// ==========================================
+
+	/**
+	 * Validate a promo code for a purchase and work out the discount
+	 * @param {string} code - Code entered by the payer
+	 * @param {Object} context - { userId, pricing, amounts, eventId }
+	 *   amounts holds the discountable amount per PromoCodeScope, in the pricing currency
+	 * @returns {Promise<Object>} { promoCodeId, code, discountType, discountValue, amount }
+	 */
+	async applyPromoCode(code, { userId, pricing, amounts, eventId = null }) {
+		const normalized = this.normalizeCode(code);
+		if (!normalized || !pricing.organizationId) {
+			throw promoError("Invalid promo code");
+		}
+
+		const promoCode = await prisma.promoCode.findFirst({
+			where: { organizationId: pricing.organizationId, code: normalized },
+		});
+
+		if (!promoCode || !promoCode.isActive) {
+			throw promoError("Invalid promo code");
+		}
+
+		const now = new Date();
+		if (promoCode.validFrom && now < promoCode.validFrom) {
+			throw promoError("Promo code is not active yet");
+		}
+		if (promoCode.validUntil && now > promoCode.validUntil) {
+			throw promoError("Promo code has expired");
+		}
+		if (promoCode.usageLimit !== null && promoCode.usageCount >= promoCode.usageLimit) {
+			throw promoError("Promo code usage limit reached");
+		}
+		if (promoCode.eventId && promoCode.eventId !== eventId) {
+			throw promoError("Promo code is not valid for this purchase");
+		}
+
+		await this.assertUserCanRedeem(prisma, promoCode, userId);
+
+		const discountable = promoCode.scopes.reduce(
+			(sum, scope) => sum + (amounts[scope] || 0),
+			0
+		);
+		if (discountable <= 0) {
+			throw promoError("Promo code does not apply to this purchase");
+		}
+
+		if (
+			promoCode.minOrderAmount !== null &&
+			discountable < CurrencyService.priceIn(pricing, promoCode.minOrderAmount)
+		) {
+			throw promoError("Order does not meet the minimum amount for this promo code");
+		}
+
+		let amount;
+		if (promoCode.discountType === "PERCENTAGE") {
+			amount = (discountable * parseFloat(promoCode.discountValue)) / 100;
+			if (promoCode.maxDiscountAmount !== null) {
+				amount = Math.min(
+					amount,
+					CurrencyService.priceIn(pricing, promoCode.maxDiscountAmount)
+				);
+			}
+		} else {
+			amount = CurrencyService.priceIn(pricing, promoCode.discountValue);
+		}
+
+		return {
+			promoCodeId: promoCode.id,
+			code: promoCode.code,
+			discountType: promoCode.discountType,
+			discountValue: parseFloat(promoCode.discountValue),
+			amount: roundAmount(Math.min(amount, discountable), pricing.currency),
+		};
+	}
+
+	// ==========================================
+	// PROMO CODE ADMINISTRATION
+	// ==========================================
+
+	/**
+	 * List an organization's promo codes
+	 * @param {string} organizationId - Organization ID
+	 * @param {Object} filters - { isActive, eventId, search, page, limit }
+	 * @returns {Promise<Object>} { promoCodes, total }
+	 */
+	async listPromoCodes(organizationId, { isActive, eventId, search, page = 1, limit = 20 } = {}) {
+		const where = {
+			organizationId,
+			...(isActive !== undefined && { isActive }),
+			...(eventId && { eventId }),
+			...(search && { code: { contains: this.normalizeCode(search) } }),
+		};
+
+		const [promoCodes, total] = await Promise.all([
+			prisma.promoCode.findMany({
+				where,
+				include: {
+					event: { select: { id: true, title: true } },
+					creator: { select: { id: true, fullName: true } },
+				},
+				orderBy: { createdAt: "desc" },
+				skip: (page - 1) * limit,
+				take: limit,
+			}),
+			prisma.promoCode.count({ where }),
+		]);
+
+		return { promoCodes, total };
+	}
+
+	async createPromoCode(organizationId, data, adminId) {
+		const code = this.normalizeCode(data.code);
+
+		const existing = await prisma.promoCode.findFirst({
+			where: { organizationId, code },
+			select: { id: true },
+		});
+		if (existing) {
+			const error = new Error(`Promo code ${code} already exists`);
+			error.statusCode = 409;
+			throw error;
+		}
+
+		await this.assertEventInOrganization(organizationId, data.eventId);
+
+		return prisma.promoCode.create({
+			data: {
+				...data,
+				code,
+				organizationId,
+				createdBy: adminId,
+			},
+		});
+	}
+
+	async updatePromoCode(organizationId, promoCodeId, data) {
+		const promoCode = await prisma.promoCode.findFirst({
+			where: { id: promoCodeId, organizationId },
+		});
+		if (!promoCode) {
+			return null;
+		}
+
+		if (data.eventId) {
+			await this.assertEventInOrganization(organizationId, data.eventId);
+		}
+
+		// The code itself is immutable once created; it is recorded on past payments
+		return prisma.promoCode.update({
+			where: { id: promoCodeId },
+			data,
+		});
+	}
+
+	async getPromoCodeRedemptions(organizationId, promoCodeId, { page = 1, limit = 20 } = {}) {
+		const promoCode = await prisma.promoCode.findFirst({
+			where: { id: promoCodeId, organizationId },
+		});
+		if (!promoCode) {
+			return null;
+		}
+
+		const [redemptions, total] = await Promise.all([
+			prisma.promoCodeRedemption.findMany({
+				where: { promoCodeId },
+				include: {
+					user: { select: { id: true, fullName: true, email: true } },
+					transaction: {
+						select: {
+							transactionNumber: true,
+							referenceType: true,
+							amount: true,
+							status: true,
+						},
+					},
+				},
+				orderBy: { createdAt: "desc" },
+				skip: (page - 1) * limit,
+				take: limit,
+			}),
+			prisma.promoCodeRedemption.count({ where: { promoCodeId } }),
+		]);
+
+		return { promoCode, redemptions, total };
+	}
+
+	async assertEventInOrganization(organizationId, eventId) {
+		if (!eventId) return;
+
+		const event = await prisma.event.findFirst({
+			where: { id: eventId, organizationId },
+			select: { id: true },
+		});
+		if (!event) {
+			const error = new Error("Event not found");
+			error.statusCode = 404;
+			throw error;
+		}
+	}
+
+	/**
+	 * Reservations and redemptions both count towards perUserLimit
+	 * @param {Object} client - Prisma client or transaction client
+	 */
+	async assertUserCanRedeem(client, promoCode, userId) {
+		const userRedemptions = await client.promoCodeRedemption.findMany({
+			where: { promoCodeId: promoCode.id, userId },
+			select: { status: true },
+		});
+
+		if (userRedemptions.length >= promoCode.perUserLimit) {
+			throw promoError(
+				userRedemptions.some((redemption) => redemption.status === "RESERVED")
+					? "This promo code is held by a payment you started; complete it or try again once it expires"
+					: "You have already used this promo code"
+			);
+		}
+	}
+
+	/**
+	 * Hold one use of the promo code in a payment's breakdown while the payer checks out,
+	 * so concurrent checkouts can't go past usageLimit or perUserLimit.
+	 * Must run in the transaction that creates the payment transaction.
+	 * @param {Object} tx - Prisma transaction client
+	 * @param {Object} transaction - New payment transaction
+	 */
+	async reserveRedemption(tx, transaction) {
+		const discount = transaction.breakdown?.discount;
+		if (!discount?.promoCodeId) {
+			return null;
+		}
+
+		// The conditional increment also holds the code's row lock until commit, so the
+		// per-user check below sees every reservation made before this one
+		const { count } = await tx.promoCode.updateMany({
+			where: {
+				id: discount.promoCodeId,
+				OR: [
+					{ usageLimit: null },
+					{ usageCount: { lt: prisma.promoCode.fields.usageLimit } },
+				],
+			},
+			data: { usageCount: { increment: 1 } },
+		});
+		if (count === 0) {
+			throw promoError("Promo code usage limit reached");
+		}
+
+		const promoCode = await tx.promoCode.findUnique({
+			where: { id: discount.promoCodeId },
+			select: { id: true, perUserLimit: true },
+		});
+		await this.assertUserCanRedeem(tx, promoCode, transaction.userId);
+
+		return tx.promoCodeRedemption.create({
+			data: {
+				promoCodeId: discount.promoCodeId,
+				userId: transaction.userId,
+				transactionId: transaction.id,
+				discountAmount: discount.amount,
+				currency: transaction.currency,
+				status: "RESERVED",
+			},
+		});
+	}
+
+	/**
+	 * Give a reserved use back when its payment fails or expires.
+	 * Completed payments keep their redemption; safe to call more than once.
+	 * @param {string} transactionId - Payment transaction ID
+	 * @returns {Promise<boolean>} Whether a reservation was released
+	 */
+	async releaseReservation(transactionId) {
+		return prisma.$transaction(async (tx) => {
+			const reservation = await tx.promoCodeRedemption.findUnique({
+				where: { transactionId },
+				select: { id: true, promoCodeId: true },
+			});
+			if (!reservation) {
+				return false;
+			}
+
+			// Completion may have turned it into a redemption meanwhile
+			const { count } = await tx.promoCodeRedemption.deleteMany({
+				where: { id: reservation.id, status: "RESERVED" },
+			});
+			if (count === 0) {
+				return false;
+			}
+
+			await tx.promoCode.update({
+				where: { id: reservation.promoCodeId },
+				data: { usageCount: { decrement: 1 } },
+			});
+
+			console.log(`🏷️ Released promo code reservation of transaction ${transactionId}`);
+			return true;
+		});
+	}
+
+	/**
+	 * Turn the reservation of a completed payment into a redemption.
+	 * Safe to call again for the same transaction.
+	 * @param {Object} tx - Prisma transaction client
+	 * @param {Object} transaction - Completed payment transaction
+	 */
+	async recordRedemption(tx, transaction) {
+		const discount = transaction.breakdown?.discount;
+		if (!discount?.promoCodeId) {
+			return null;
+		}
+
+		const { count } = await tx.promoCodeRedemption.updateMany({
+			where: { transactionId: transaction.id, status: "RESERVED" },
+			data: { status: "REDEEMED" },
+		});
+
+		const existing = await tx.promoCodeRedemption.findUnique({
+			where: { transactionId: transaction.id },
+		});
+		if (existing) {
+			if (count > 0) {
+				console.log(`🏷️ Promo code ${discount.code} redeemed on transaction ${transaction.transactionNumber}`);
+			}
+			return existing;
+		}
+
+		// The reservation was released (payment failed or expired) but the payment still went
+		// through, so it counts even if the cap was reached meanwhile
+		const redemption = await tx.promoCodeRedemption.create({
+			data: {
+				promoCodeId: discount.promoCodeId,
+				userId: transaction.userId,
+				transactionId: transaction.id,
+				discountAmount: discount.amount,
+				currency: transaction.currency,
+				status: "REDEEMED",
+			},
+		});
+
+		await tx.promoCode.update({
+			where: { id: discount.promoCodeId },
+			data: { usageCount: { increment: 1 } },
+		});
+
+		console.log(`🏷️ Promo code ${discount.code} redeemed on transaction ${transaction.transactionNumber} after its reservation lapsed`);
+		return redemption;
+	}
+}
+
+module.exports = new DiscountService();
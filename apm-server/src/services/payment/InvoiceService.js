@@ -1,11 +1,10 @@
 // src/services/payment/InvoiceService.js
 // Invoice generation and management service
 
-const { PrismaClient } = require("@prisma/client");
-const fs = require("fs").promises;
-const path = require("path");
+const { prisma } = require("../../config/database");
+const { roundAmount } = require("../../utils/currency.util");
 
-const prisma = new PrismaClient();
+const PAID_STATUSES = ["COMPLETED", "PARTIALLY_REFUNDED", "REFUNDED"];
 
 class InvoiceService {
 	constructor() {
@@ -38,7 +37,8 @@ class InvoiceService {
 				throw new Error("Transaction not found");
 			}
 
-			if (transaction.status !== "COMPLETED") {
+			// Refunded payments keep their original invoice (credit notes offset it)
+			if (!PAID_STATUSES.includes(transaction.status)) {
 				throw new Error("Can only generate invoice for completed payments");
 			}
 
@@ -186,6 +186,9 @@ class InvoiceService {
 				breakdown,
 			},
 
+			// Organization base-currency equivalent at the rate used when the payment was taken
+			baseCurrency: this.getBaseCurrencyDetails(transaction, transaction.amount),
+
 			// Reference details (event/merchandise info)
 			reference: referenceDetails,
 
@@ -195,6 +198,7 @@ class InvoiceService {
 			// Totals
 			totals: {
 				subtotal: breakdown.subtotal || parseFloat(transaction.amount),
+				discount: breakdown.discountAmount || 0,
 				processingFee: breakdown.processingFee || 0,
 				total: parseFloat(transaction.amount),
 			},
@@ -376,8 +380,8 @@ class InvoiceService {
 				items.push({
 					description: `${referenceDetails.title} - Batch ${referenceDetails.batchYear}`,
 					quantity: 1,
-					unitPrice: referenceDetails.amount,
-					totalPrice: referenceDetails.amount,
+					unitPrice: breakdown.membershipFee ?? referenceDetails.amount,
+					totalPrice: breakdown.membershipFee ?? referenceDetails.amount,
 				});
 				break;
 
@@ -401,6 +405,16 @@ class InvoiceService {
 				break;
 		}
 
+		// Promo code discount (if applied)
+		if (breakdown.discount && breakdown.discountAmount > 0) {
+			items.push({
+				description: `Discount (${breakdown.discount.code})`,
+				quantity: 1,
+				unitPrice: -breakdown.discountAmount,
+				totalPrice: -breakdown.discountAmount,
+			});
+		}
+
 		// Processing fee (if applicable)
 		if (breakdown.processingFee && breakdown.processingFee > 0) {
 			items.push({
@@ -414,6 +428,26 @@ class InvoiceService {
 		return items;
 	}
 
+	/**
+	 * Base-currency figures for a document, null when paid in the base currency
+	 * @param {Object} transaction - Payment transaction
+	 * @param {number|string} amount - Amount in transaction.currency
+	 * @returns {Object|null} { currency, amount, exchangeRate }
+	 */
+	getBaseCurrencyDetails(transaction, amount) {
+		if (!transaction.baseCurrency || transaction.baseCurrency === transaction.currency) {
+			return null;
+		}
+
+		const exchangeRate = parseFloat(transaction.exchangeRate || 1);
+
+		return {
+			currency: transaction.baseCurrency,
+			amount: roundAmount(parseFloat(amount) * exchangeRate, transaction.baseCurrency),
+			exchangeRate,
+		};
+	}
+
 	/**
 	 * Generate invoice PDF (placeholder implementation)
 	 * In production, you'd use libraries like puppeteer, jsPDF, or PDFKit
@@ -707,6 +741,191 @@ class InvoiceService {
 		}
 	}
 
+	/**
+	 * Generate credit note for a processed refund
+	 * @param {string} refundId - Payment refund ID
+	 * @returns {Object} Credit note generation result
+	 */
+	async generateCreditNote(refundId) {
+		try {
+			const refund = await prisma.paymentRefund.findUnique({
+				where: { id: refundId },
+				include: {
+					transaction: {
+						include: {
+							user: {
+								select: {
+									fullName: true,
+									email: true,
+									whatsappNumber: true,
+									batch: true,
+								},
+							},
+						},
+					},
+				},
+			});
+
+			if (!refund) {
+				throw new Error("Refund not found");
+			}
+
+			if (refund.status !== "PROCESSED") {
+				throw new Error("Can only generate credit note for processed refunds");
+			}
+
+			if (refund.creditNoteNumber) {
+				return {
+					success: true,
+					alreadyExists: true,
+					creditNote: {
+						creditNoteNumber: refund.creditNoteNumber,
+						creditNoteData: refund.creditNoteData,
+						pdfUrl: refund.creditNotePdfUrl,
+					},
+				};
+			}
+
+			// A credit note always offsets an invoice, so make sure one exists
+			const { invoice } = await this.generateInvoice(refund.transactionId);
+
+			const creditNoteNumber = this.generateCreditNoteNumber();
+			const creditNoteData = this.prepareCreditNoteData(
+				refund,
+				invoice,
+				creditNoteNumber
+			);
+
+			let pdfUrl = null;
+			if (this.config.settings.invoice.autoGenerate) {
+				pdfUrl = await this.generateCreditNotePDF(refund.id, creditNoteData);
+			}
+
+			await prisma.paymentRefund.update({
+				where: { id: refund.id },
+				data: {
+					creditNoteNumber,
+					creditNoteData,
+					creditNotePdfUrl: pdfUrl,
+					creditNoteIssuedAt: new Date(),
+				},
+			});
+
+			return {
+				success: true,
+				creditNote: {
+					creditNoteNumber,
+					creditNoteData,
+					pdfUrl,
+				},
+			};
+		} catch (error) {
+			console.error("Credit note generation failed:", error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Prepare credit note data structure
+	 * @param {Object} refund - Refund with transaction and user
+	 * @param {Object} invoice - Original invoice being credited
+	 * @param {string} creditNoteNumber - Generated credit note number
+	 * @returns {Object} Structured credit note data
+	 */
+	prepareCreditNoteData(refund, invoice, creditNoteNumber) {
+		const { transaction } = refund;
+		const amount = parseFloat(refund.amount);
+
+		return {
+			// Credit note identification
+			creditNoteNumber,
+			issueDate: new Date().toISOString(),
+			refundNumber: refund.refundNumber,
+
+			// Original invoice being offset
+			originalInvoice: {
+				invoiceNumber: invoice.invoiceNumber,
+				issueDate: invoice.invoiceData?.issueDate || invoice.createdAt,
+				total: parseFloat(transaction.amount),
+			},
+
+			// Transaction details
+			transactionNumber: transaction.transactionNumber,
+			paymentProvider: transaction.provider,
+			providerRefundId: refund.providerRefundId,
+
+			// Customer details
+			customer: invoice.invoiceData?.customer || {
+				name: transaction.user.fullName,
+				email: transaction.user.email,
+				phone: transaction.user.whatsappNumber,
+				batch: transaction.user.batch,
+			},
+
+			// Organization details
+			organization: invoice.invoiceData?.organization || {
+				name: process.env.ORGANIZATION_NAME || "Alumni Portal",
+			},
+
+			// Line items
+			lineItems: [
+				{
+					description: `Refund against invoice ${invoice.invoiceNumber}${
+						refund.reason ? ` - ${refund.reason}` : ""
+					}`,
+					quantity: 1,
+					unitPrice: amount,
+					totalPrice: amount,
+				},
+			],
+
+			// Totals
+			totals: {
+				total: amount,
+				currency: refund.currency,
+				isFullRefund: refund.isFullRefund,
+			},
+
+			// Base-currency equivalent at the original payment's rate
+			baseCurrency: this.getBaseCurrencyDetails(transaction, amount),
+
+			// Meta information
+			meta: {
+				generatedAt: new Date().toISOString(),
+				generatedBy: refund.initiatedBy,
+			},
+		};
+	}
+
+	/**
+	 * Generate credit note PDF (placeholder implementation, see generateInvoicePDF)
+	 */
+	async generateCreditNotePDF(refundId, creditNoteData) {
+		try {
+			const pdfPath = `/credit-notes/${creditNoteData.creditNoteNumber}.pdf`;
+			const pdfUrl = `${process.env.BACKEND_URL}/public${pdfPath}`;
+
+			console.log(
+				`PDF generation placeholder for credit note ${creditNoteData.creditNoteNumber}`
+			);
+
+			return pdfUrl;
+		} catch (error) {
+			console.error("Credit note PDF generation failed:", error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Generate credit note number, mirrors invoice numbering
+	 */
+	generateCreditNoteNumber() {
+		const prefix = this.config.transaction.creditNotePrefix || "CN";
+		const date = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+		const random = Math.random().toString(36).substr(2, 6).toUpperCase();
+		return `${prefix}-${date}-${random}`;
+	}
+
 	/**
 	 * Generate invoice number following existing pattern
 	 */
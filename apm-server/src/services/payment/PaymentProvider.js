@@ -1,3 +1,10 @@
+const {
+  getSupportedCurrencies,
+  toMinorUnits,
+  fromMinorUnits,
+  formatMoney
+} = require('../../utils/currency.util');
+
 class PaymentProvider {
   constructor(config) {
     this.config = config;
@@ -13,7 +20,8 @@ class PaymentProvider {
     throw new Error('verifyPayment method must be implemented by payment provider');
   }
 
-  async verifyWebhookSignature(payload, signature) {
+  // rawBody is the unparsed request body - some providers sign the exact bytes
+  async verifyWebhookSignature(payload, signature, rawBody = null) {
     throw new Error('verifyWebhookSignature method must be implemented by payment provider');
   }
 
@@ -25,19 +33,51 @@ class PaymentProvider {
     throw new Error('generatePaymentLink method must be implemented by payment provider');
   }
 
+  // refundData: { providerPaymentId, amount, currency, reason, transactionId, refundNumber }
+  // Errors carry providerRejected: true only when the provider refused the refund
+  async createRefund(refundData) {
+    throw new Error('createRefund method must be implemented by payment provider');
+  }
+
+  /**
+   * Wrap an SDK failure. Only a 4xx answer means the provider refused the request;
+   * timeouts, network errors and 5xx/408/429 leave the outcome unknown.
+   */
+  createProviderError(message, error = {}) {
+    const status = Number(error.statusCode);
+    const wrapped = new Error(message);
+    wrapped.providerRejected = status >= 400 && status < 500 && status !== 408 && status !== 429;
+    return wrapped;
+  }
+
+  // Webhook helpers (override when the provider uses a different header/payload shape)
+  getWebhookSignature(headers = {}) {
+    return headers['x-webhook-signature'] || null;
+  }
+
+  getWebhookEventInfo(payload = {}) {
+    return {
+      eventType: payload.event || payload.type || 'unknown',
+      eventId: payload.id || null
+    };
+  }
+
+  isConfigured() {
+    return false;
+  }
+
+  // Currencies this provider can charge in (override to narrow the list)
+  getSupportedCurrencies() {
+    return getSupportedCurrencies();
+  }
+
   // Common utility methods
   formatAmount(amount, currency = 'INR') {
-    if (currency === 'INR') {
-      return Math.round(amount * 100); // Convert to paise
-    }
-    return amount;
+    return toMinorUnits(amount, currency); // paise, cents, fils...
   }
 
   parseAmount(amount, currency = 'INR') {
-    if (currency === 'INR') {
-      return amount / 100; // Convert from paise
-    }
-    return amount;
+    return fromMinorUnits(amount, currency);
   }
 
   generateTransactionNumber() {
@@ -57,23 +97,23 @@ class PaymentProvider {
   // Validation methods
   validateAmount(amount, currency = 'INR') {
     const paymentConfig = require('../../config/payment');
-    const formattedAmount = this.formatAmount(amount, currency);
+    const minAmount = paymentConfig.transaction.minAmount / 100;
+    const maxAmount = paymentConfig.transaction.maxAmount / 100;
     
-    if (formattedAmount < paymentConfig.transaction.minAmount) {
-      throw new Error(`Amount too low. Minimum: ₹${paymentConfig.transaction.minAmount / 100}`);
+    if (amount < minAmount) {
+      throw new Error(`Amount too low. Minimum: ${formatMoney(minAmount, currency)}`);
     }
     
-    if (formattedAmount > paymentConfig.transaction.maxAmount) {
-      throw new Error(`Amount too high. Maximum: ₹${paymentConfig.transaction.maxAmount / 100}`);
+    if (amount > maxAmount) {
+      throw new Error(`Amount too high. Maximum: ${formatMoney(maxAmount, currency)}`);
     }
     
     return true;
   }
 
   validateCurrency(currency) {
-    const supportedCurrencies = ['INR'];
-    if (!supportedCurrencies.includes(currency)) {
-      throw new Error(`Currency ${currency} not supported`);
+    if (!this.getSupportedCurrencies().includes(currency)) {
+      throw new Error(`Currency ${currency} not supported by ${this.provider}`);
     }
     return true;
   }
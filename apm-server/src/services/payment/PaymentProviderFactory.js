@@ -3,30 +3,58 @@ const paymentConfig = require('../../config/payment');
 class PaymentProviderFactory {
   static create(providerName = null) {
     const provider = providerName || paymentConfig.defaultProvider;
-    
+
     switch (provider.toUpperCase()) {
-      case 'RAZORPAY':
+      case 'RAZORPAY': {
         const RazorpayProvider = require('./providers/RazorpayProvider');
         return new RazorpayProvider(paymentConfig.razorpay);
-      
+      }
+
+      case 'STRIPE': {
+        const StripeProvider = require('./providers/StripeProvider');
+        return new StripeProvider(paymentConfig.stripe);
+      }
+
       case 'PAYTM':
         throw new Error('Paytm provider not yet implemented');
-      
+
       case 'PHONEPE':
         throw new Error('PhonePe provider not yet implemented');
-      
+
       default:
         throw new Error(`Payment provider ${provider} not supported`);
     }
   }
 
   static getSupportedProviders() {
-    return ['RAZORPAY'];
+    return ['RAZORPAY', 'STRIPE'];
   }
 
   static isProviderSupported(provider) {
     return this.getSupportedProviders().includes(provider.toUpperCase());
   }
+
+  // Supported AND has credentials on this deployment
+  static isProviderConfigured(provider) {
+    if (!provider || !this.isProviderSupported(provider)) {
+      return false;
+    }
+    try {
+      return this.create(provider).isConfigured();
+    } catch {
+      // SDK constructors throw when credentials are missing
+      return false;
+    }
+  }
+
+  // Tenant's chosen provider, falling back to the deployment default
+  static resolveProviderName(organization = null) {
+    const chosen = organization?.paymentProvider;
+    if (chosen && this.isProviderSupported(chosen)) {
+      return chosen.toUpperCase();
+    }
+    return paymentConfig.defaultProvider.toUpperCase();
+  }
 }
 
-module.exports = PaymentProviderFactory;
\ No newline at end of file
+module.exports = PaymentProviderFactory;
@@ -3,16 +3,22 @@
 // =============================================
 // Create this file: src/services/payment/PaymentService.js
 
-const { PrismaClient } = require("@prisma/client");
+const { prisma } = require("../../config/database");
 const PaymentProviderFactory = require("./PaymentProviderFactory");
 const paymentConfig = require("../../config/payment");
 const tenantEmailManager = require("../email/TenantEmailManager");
 const MembershipService = require("../membership/membership.service");
 const BatchPaymentService = require("./batchPayment.service");
+const RefundService = require("./RefundService");
+const CurrencyService = require("./CurrencyService");
+const DiscountService = require("./DiscountService");
+const { FormLogicService, FORM_LOGIC_FIELD_SELECT } = require("../event/formLogic.service");
+const { getCurrencyInfo, roundAmount, toMinorUnits } = require("../../utils/currency.util");
 const NotificationService = require("../notification.service");
 const SubscriptionService = require("../subscription/SubscriptionService");
-
-const prisma = new PrismaClient();
+const { JobQueueService, JOB_TYPES } = require("../queue/jobQueue.service");
+const { WaitlistService, WAITLIST_STEPS } = require("../event/waitlist.service");
+const { RealtimeService, REALTIME_EVENTS } = require("../realtime/realtime.service");
 
 /**
  * Helper function to get tenant code from user's organization
@@ -42,13 +48,95 @@ async function getTenantInfoFromUser(userId) {
 	}
 }
 
+/**
+ * Helper function to resolve the payment provider chosen by the user's organization
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} Provider name (e.g. RAZORPAY, STRIPE)
+ */
+async function getPaymentProviderForUser(userId) {
+	try {
+		const user = await prisma.user.findUnique({
+			where: { id: userId },
+			select: { organization: { select: { paymentProvider: true } } },
+		});
+		return PaymentProviderFactory.resolveProviderName(user?.organization);
+	} catch (error) {
+		console.error('Error resolving payment provider for user:', error);
+		return PaymentProviderFactory.resolveProviderName(null);
+	}
+}
+
 class PaymentService {
 	constructor() {
 		this.config = paymentConfig;
 	}
 
+	// Provider ids are kept in providerOrderData as { orderId, paymentId, order }
+	buildProviderOrderData(providerOrderId, order, providerPaymentId = null) {
+		return {
+			orderId: providerOrderId,
+			paymentId: providerPaymentId,
+			order,
+		};
+	}
+
+	getProviderIds(transaction) {
+		return {
+			providerOrderId: transaction?.providerOrderData?.orderId || null,
+			providerPaymentId: transaction?.providerOrderData?.paymentId || null,
+		};
+	}
+
+	// A verified payment only completes the transaction whose provider order it paid, for its amount
+	assertVerificationMatchesTransaction(transaction, verificationResult) {
+		const { providerOrderId } = this.getProviderIds(transaction);
+
+		if (!providerOrderId || verificationResult.providerOrderId !== providerOrderId) {
+			throw new Error("Payment does not belong to this transaction");
+		}
+
+		const currency = transaction.currency.toUpperCase();
+		if (
+			String(verificationResult.currency).toUpperCase() !== currency ||
+			toMinorUnits(verificationResult.amount, currency) !== toMinorUnits(parseFloat(transaction.amount), currency)
+		) {
+			throw new Error("Paid amount does not match the transaction");
+		}
+	}
+
+	// Pricing context (charge currency + rate to base currency) for the user's organization
+	async getPricingContextForUser(userId, currency = null) {
+		const user = await prisma.user.findUnique({
+			where: { id: userId },
+			select: { organizationId: true },
+		});
+		return CurrencyService.getPricingContext(user?.organizationId || null, currency);
+	}
+
+	// Negative line item shown for an applied promo code
+	buildDiscountItems(discount) {
+		if (!discount) return [];
+		return [
+			{
+				type: "discount",
+				description: `Promo code ${discount.code}`,
+				amount: -discount.amount,
+			},
+		];
+	}
+
+	async findTransactionByProviderOrderId(provider, providerOrderId, client = prisma) {
+		if (!providerOrderId) return null;
+		return client.paymentTransaction.findFirst({
+			where: {
+				provider: provider.toUpperCase(),
+				providerOrderData: { path: ["orderId"], equals: providerOrderId },
+			},
+		});
+	}
+
 	// Calculate total payment for event registration
-	async calculateEventRegistrationTotal(registrationId) {
+	async calculateEventRegistrationTotal(registrationId, pricing = null, promoCode = null) {
 		try {
 			const registration = await prisma.eventRegistration.findUnique({
 				where: { id: registrationId },
@@ -57,6 +145,8 @@ class PaymentService {
 						select: {
 							registrationFee: true,
 							guestFee: true,
+							currencyPricing: true,
+							priceTiers: { where: { isActive: true } },
 							title: true,
 						},
 					},
@@ -65,6 +155,7 @@ class PaymentService {
 							fullName: true,
 							email: true,
 							whatsappNumber: true,
+							batch: true,
 						},
 					},
 					guests: {
@@ -80,7 +171,7 @@ class PaymentService {
 							sizeSelected: true,
 							priceAtTime: true,
 							merchandise: {
-								select: { name: true },
+								select: { name: true, currencyPrices: true },
 							},
 						},
 					},
@@ -91,34 +182,61 @@ class PaymentService {
 				throw new Error("Registration not found");
 			}
 
-			// Calculate breakdown
-			const registrationFee = parseFloat(
-				registration.event.registrationFee || 0
+			pricing = pricing || (await this.getPricingContextForUser(registration.userId));
+			const merchandiseUnitPrice = (order) =>
+				CurrencyService.priceIn(
+					pricing,
+					order.priceAtTime,
+					order.merchandise.currencyPrices?.[pricing.currency]
+				);
+
+			// Calculate breakdown (early-bird tiers are honoured from the registration date)
+			const { registrationFee, guestFee, priceTier } = DiscountService.getEventFees(
+				pricing,
+				registration.event,
+				{ batch: registration.user.batch, at: registration.registrationDate }
 			);
 			const guestCount = registration.guests.length;
-			const guestFees =
-				guestCount * parseFloat(registration.event.guestFee || 0);
+			const guestFees = guestCount * guestFee;
+
+			// Fee add-ons priced from the registration form answers (stored in base currency)
+			const formAddOnTotal = CurrencyService.priceIn(pricing, registration.formAddOnAmount);
 
 			// Calculate pending merchandise total
 			const merchandiseTotal = registration.merchandiseOrders.reduce(
 				(total, order) => {
-					return total + parseFloat(order.priceAtTime) * order.quantity;
+					return total + merchandiseUnitPrice(order) * order.quantity;
 				},
 				0
 			);
 
-			const subtotal = registrationFee + guestFees + merchandiseTotal;
-			const processingFee = this.calculateProcessingFee(subtotal);
-			const total = subtotal + processingFee;
+			const discount = promoCode
+				? await DiscountService.applyPromoCode(promoCode, {
+						userId: registration.userId,
+						pricing,
+						eventId: registration.eventId,
+						amounts: { EVENT: registrationFee + guestFees + formAddOnTotal, MERCHANDISE: merchandiseTotal },
+					})
+				: null;
+			const discountAmount = discount?.amount || 0;
+
+			const subtotal = registrationFee + guestFees + formAddOnTotal + merchandiseTotal;
+			const processingFee = this.calculateProcessingFee(subtotal - discountAmount, pricing.currency);
+			const total = roundAmount(subtotal - discountAmount + processingFee, pricing.currency);
 
 			return {
 				success: true,
 				breakdown: {
+					currency: pricing.currency,
 					registrationFee,
+					priceTier,
 					guestCount,
 					guestFees,
+					formAddOnTotal,
 					merchandiseTotal,
 					subtotal,
+					discountAmount,
+					discount,
 					processingFee,
 					total,
 				},
@@ -137,13 +255,24 @@ class PaymentService {
 								},
 							]
 						: []),
+					...(formAddOnTotal > 0
+						? [
+								{
+									type: "form_add_ons",
+									description: "Registration options",
+									amount: formAddOnTotal,
+								},
+							]
+						: []),
 					...registration.merchandiseOrders.map((order) => ({
 						type: "merchandise",
 						description: `${order.merchandise.name} (${order.sizeSelected || "No Size"}) x${order.quantity}`,
-						amount: parseFloat(order.priceAtTime) * order.quantity,
+						amount: merchandiseUnitPrice(order) * order.quantity,
 					})),
+					...this.buildDiscountItems(discount),
 				],
 				user: registration.user,
+				pricing,
 				metadata: {
 					registrationId,
 					eventId: registration.eventId,
@@ -158,7 +287,7 @@ class PaymentService {
 	}
 
 	// Calculate total payment for event payment (before registration exists)
-	async calculateEventPaymentTotal(eventId, userId, registrationData = {}) {
+	async calculateEventPaymentTotal(eventId, userId, registrationData = {}, pricing = null, promoCode = null) {
 		try {
 			const event = await prisma.event.findUnique({
 				where: { id: eventId },
@@ -167,11 +296,14 @@ class PaymentService {
 					title: true,
 					registrationFee: true,
 					guestFee: true,
+					currencyPricing: true,
+					priceTiers: { where: { isActive: true } },
 					status: true,
 					registrationStartDate: true,
 					registrationEndDate: true,
 					eventDate: true,
 					maxCapacity: true,
+					allowWaitlist: true,
 				},
 			});
 
@@ -194,18 +326,14 @@ class PaymentService {
 				throw new Error("Registration deadline has passed");
 			}
 
-			// Check capacity
-			if (event.maxCapacity) {
-				const currentRegistrationCount = await prisma.eventRegistration.count({
-					where: {
-						eventId: eventId,
-						status: "CONFIRMED"
-					}
-				});
-				
-				if (currentRegistrationCount >= event.maxCapacity) {
-					throw new Error("Event is full");
-				}
+			// Early answer for the payer; the seat itself is taken under the event
+			// lock when the payment completes (see updateRelatedRecords)
+			if (!(await WaitlistService.hasFreeSeat(prisma, event))) {
+				throw new Error(
+					event.allowWaitlist
+						? "Event is full - register without payment to join the waitlist"
+						: "Event is full"
+				);
 			}
 
 			// Check if user is already registered
@@ -228,6 +356,7 @@ class PaymentService {
 					fullName: true,
 					email: true,
 					whatsappNumber: true,
+					batch: true,
 				},
 			});
 
@@ -235,24 +364,56 @@ class PaymentService {
 				throw new Error("User not found");
 			}
 
-			// Calculate fees
-			const registrationFee = parseFloat(event.registrationFee || 0);
+			pricing = pricing || (await this.getPricingContextForUser(userId));
+
+			// Calculate fees (donation is entered by the payer in the charge currency)
+			const { registrationFee, guestFee, priceTier } = DiscountService.getEventFees(
+				pricing,
+				event,
+				{ batch: user.batch }
+			);
 			const guestCount = registrationData?.guests ? registrationData.guests.length : 0;
-			const guestFees = guestCount * parseFloat(event.guestFee || 0);
+			const guestFees = guestCount * guestFee;
 			const donationAmount = parseFloat(registrationData?.donationAmount || 0);
 
-			const subtotal = registrationFee + guestFees + donationAmount;
-			const processingFee = this.calculateProcessingFee(subtotal);
-			const total = subtotal + processingFee;
+			// Registration form answers are checked here because the registration is only
+			// created after payment; their add-ons are priced in the charge currency
+			const formEvaluation = await this.evaluateRegistrationForm(eventId, registrationData?.formResponses);
+			const formAddOnItems = formEvaluation.addOns.map((addOn) => ({
+				type: "form_add_on",
+				description: addOn.description,
+				amount: CurrencyService.priceIn(pricing, addOn.amount),
+			}));
+			const formAddOnTotal = formAddOnItems.reduce((total, item) => total + item.amount, 0);
+
+			// Donations are never discounted
+			const discount = promoCode
+				? await DiscountService.applyPromoCode(promoCode, {
+						userId,
+						pricing,
+						eventId,
+						amounts: { EVENT: registrationFee + guestFees + formAddOnTotal },
+					})
+				: null;
+			const discountAmount = discount?.amount || 0;
+
+			const subtotal = registrationFee + guestFees + formAddOnTotal + donationAmount;
+			const processingFee = this.calculateProcessingFee(subtotal - discountAmount, pricing.currency);
+			const total = roundAmount(subtotal - discountAmount + processingFee, pricing.currency);
 
 			return {
 				success: true,
 				breakdown: {
+					currency: pricing.currency,
 					registrationFee,
+					priceTier,
 					guestCount,
 					guestFees,
+					formAddOnTotal,
 					donationAmount,
 					subtotal,
+					discountAmount,
+					discount,
 					processingFee,
 					total,
 				},
@@ -271,6 +432,7 @@ class PaymentService {
 								},
 							]
 						: []),
+					...formAddOnItems,
 					...(donationAmount > 0
 						? [
 								{
@@ -280,12 +442,18 @@ class PaymentService {
 								},
 							]
 						: []),
+					...this.buildDiscountItems(discount),
 				],
 				user,
+				pricing,
 				metadata: {
 					eventId,
 					hasGuests: guestCount > 0,
-					registrationData,
+					registrationData: registrationData && {
+						...registrationData,
+						formResponses: formEvaluation.responses,
+					},
+					formAddOnAmount: formEvaluation.addOnTotal,
 				},
 			};
 		} catch (error) {
@@ -294,8 +462,32 @@ class PaymentService {
 		}
 	}
 
+	// Check pay-first registration answers against the event form's rules
+	async evaluateRegistrationForm(eventId, formResponses = []) {
+		const form = await prisma.eventForm.findUnique({
+			where: { eventId },
+			select: {
+				isActive: true,
+				fields: { select: FORM_LOGIC_FIELD_SELECT, orderBy: { orderIndex: "asc" } },
+			},
+		});
+
+		if (!form || !form.isActive) {
+			return { valid: true, errors: [], responses: [], addOns: [], addOnTotal: 0 };
+		}
+
+		const evaluation = FormLogicService.evaluate(form.fields, formResponses || []);
+		if (!evaluation.valid) {
+			throw new Error(
+				`Registration form is incomplete: ${evaluation.errors.map((error) => error.message).join("; ")}`
+			);
+		}
+
+		return evaluation;
+	}
+
 	// Calculate merchandise-only payment
-	async calculateMerchandiseTotal(registrationId) {
+	async calculateMerchandiseTotal(registrationId, pricing = null, promoCode = null) {
 		try {
 			const registration = await prisma.eventRegistration.findUnique({
 				where: { id: registrationId },
@@ -314,7 +506,7 @@ class PaymentService {
 						},
 						include: {
 							merchandise: {
-								select: { name: true },
+								select: { name: true, currencyPrices: true },
 							},
 						},
 					},
@@ -325,30 +517,56 @@ class PaymentService {
 				throw new Error("No pending merchandise orders found");
 			}
 
+			pricing = pricing || (await this.getPricingContextForUser(registration.userId));
+			const merchandiseUnitPrice = (order) =>
+				CurrencyService.priceIn(
+					pricing,
+					order.priceAtTime,
+					order.merchandise.currencyPrices?.[pricing.currency]
+				);
+
 			const merchandiseTotal = registration.merchandiseOrders.reduce(
 				(total, order) => {
-					return total + parseFloat(order.priceAtTime) * order.quantity;
+					return total + merchandiseUnitPrice(order) * order.quantity;
 				},
 				0
 			);
 
-			const processingFee = this.calculateProcessingFee(merchandiseTotal);
-			const total = merchandiseTotal + processingFee;
+			const discount = promoCode
+				? await DiscountService.applyPromoCode(promoCode, {
+						userId: registration.userId,
+						pricing,
+						eventId: registration.eventId,
+						amounts: { MERCHANDISE: merchandiseTotal },
+					})
+				: null;
+			const discountAmount = discount?.amount || 0;
+
+			const processingFee = this.calculateProcessingFee(merchandiseTotal - discountAmount, pricing.currency);
+			const total = roundAmount(merchandiseTotal - discountAmount + processingFee, pricing.currency);
 
 			return {
 				success: true,
 				breakdown: {
+					currency: pricing.currency,
 					merchandiseTotal,
+					subtotal: merchandiseTotal,
+					discountAmount,
+					discount,
 					processingFee,
 					total,
 				},
-				items: registration.merchandiseOrders.map((order) => ({
-					type: "merchandise",
-					description: `${order.merchandise.name} (${order.sizeSelected || "No Size"}) x${order.quantity}`,
-					amount: parseFloat(order.priceAtTime) * order.quantity,
-					orderId: order.id,
-				})),
+				items: [
+					...registration.merchandiseOrders.map((order) => ({
+						type: "merchandise",
+						description: `${order.merchandise.name} (${order.sizeSelected || "No Size"}) x${order.quantity}`,
+						amount: merchandiseUnitPrice(order) * order.quantity,
+						orderId: order.id,
+					})),
+					...this.buildDiscountItems(discount),
+				],
 				user: registration.user,
+				pricing,
 				metadata: {
 					registrationId,
 					eventId: registration.eventId,
@@ -362,7 +580,7 @@ class PaymentService {
 	}
 
 	// Standalone Merchandise Calculation
-	async calculateStandaloneMerchandiseTotal(userId) {
+	async calculateStandaloneMerchandiseTotal(userId, pricing = null, promoCode = null) {
 		try {
 			// Get user's cart items from standalone merchandise system
 			const cartItems = await prisma.merchandiseCartItem.findMany({
@@ -373,6 +591,7 @@ class PaymentService {
 							id: true,
 							name: true,
 							price: true,
+							currencyPrices: true,
 							stock: true,
 							isActive: true,
 						},
@@ -394,31 +613,53 @@ class PaymentService {
 				}
 			}
 
+			pricing = pricing || (await this.getPricingContextForUser(userId));
+			const unitPrice = (item) =>
+				CurrencyService.priceIn(
+					pricing,
+					item.merchandise.price,
+					item.merchandise.currencyPrices?.[pricing.currency]
+				);
+
 			// Calculate totals
 			const subtotal = cartItems.reduce((sum, item) => {
-				return sum + item.merchandise.price * item.quantity;
+				return sum + unitPrice(item) * item.quantity;
 			}, 0);
 
-			const processingFee = this.calculateProcessingFee(subtotal);
-			const total = subtotal + processingFee;
+			const discount = promoCode
+				? await DiscountService.applyPromoCode(promoCode, {
+						userId,
+						pricing,
+						amounts: { MERCHANDISE: subtotal },
+					})
+				: null;
+			const discountAmount = discount?.amount || 0;
+
+			const processingFee = this.calculateProcessingFee(subtotal - discountAmount, pricing.currency);
+			const total = subtotal - discountAmount + processingFee;
 
 			return {
 				success: true,
 				breakdown: {
-					subtotal: parseFloat(subtotal.toFixed(2)),
-					processingFee: parseFloat(processingFee.toFixed(2)),
-					total: parseFloat(total.toFixed(2)),
+					currency: pricing.currency,
+					subtotal: roundAmount(subtotal, pricing.currency),
+					discountAmount,
+					discount,
+					processingFee: roundAmount(processingFee, pricing.currency),
+					total: roundAmount(total, pricing.currency),
 				},
-				items: cartItems.map((item) => ({
-					type: "merchandise",
-					description: `${item.merchandise.name} ${item.selectedSize ? `(${item.selectedSize})` : ""} x${item.quantity}`,
-					amount: parseFloat(
-						(item.merchandise.price * item.quantity).toFixed(2)
-					),
-					merchandiseId: item.merchandise.id,
-					quantity: item.quantity,
-					selectedSize: item.selectedSize,
-				})),
+				pricing,
+				items: [
+					...cartItems.map((item) => ({
+						type: "merchandise",
+						description: `${item.merchandise.name} ${item.selectedSize ? `(${item.selectedSize})` : ""} x${item.quantity}`,
+						amount: roundAmount(unitPrice(item) * item.quantity, pricing.currency),
+						merchandiseId: item.merchandise.id,
+						quantity: item.quantity,
+						selectedSize: item.selectedSize,
+					})),
+					...this.buildDiscountItems(discount),
+				],
 				user: await prisma.user.findUnique({
 					where: { id: userId },
 					select: {
@@ -436,31 +677,35 @@ class PaymentService {
 
 	// Initiate payment transaction
 	async initiatePayment(paymentData) {
+		let transaction = null;
 		try {
-			const { referenceType, referenceId, userId, description } = paymentData;
+			const { referenceType, referenceId, userId, description, promoCode } = paymentData;
+
+			// Charge currency chosen by the payer (defaults to the organization's base currency)
+			const pricing = await this.getPricingContextForUser(userId, paymentData.currency);
 
 			// Calculate payment total based on reference type
 			let calculation;
 			switch (referenceType) {
 				case "EVENT_REGISTRATION":
-					calculation = await this.calculateEventRegistrationTotal(referenceId);
+					calculation = await this.calculateEventRegistrationTotal(referenceId, pricing, promoCode);
 					break;
 				case "EVENT_PAYMENT":
 					console.log('=== INITIATE PAYMENT - EVENT_PAYMENT CASE ===');
 					console.log('Calling calculateEventPaymentTotal with:', { referenceId, userId, registrationData: paymentData.registrationData });
-					calculation = await this.calculateEventPaymentTotal(referenceId, userId, paymentData.registrationData);
+					calculation = await this.calculateEventPaymentTotal(referenceId, userId, paymentData.registrationData, pricing, promoCode);
 					console.log('Calculation result:', calculation);
 					console.log('============================================');
 					break;
 				case "MERCHANDISE":
-					calculation = await this.calculateMerchandiseTotal(referenceId);
+					calculation = await this.calculateMerchandiseTotal(referenceId, pricing, promoCode);
 					break;
 				case "MEMBERSHIP":
-					calculation = await this.calculateMembershipTotal(userId);
+					calculation = await this.calculateMembershipTotal(userId, pricing, promoCode);
 					break;
 				case "MERCHANDISE_ORDER": // STANDALONE MERCHANDISE
 					calculation =
-						await this.calculateStandaloneMerchandiseTotal(referenceId); // referenceId = userId for standalone
+						await this.calculateStandaloneMerchandiseTotal(referenceId, pricing, promoCode); // referenceId = userId for standalone
 					break;
 				case "SUBSCRIPTION_RENEWAL":
 					calculation = await this.calculateSubscriptionRenewalTotal(referenceId, userId); // referenceId = paymentRequestId
@@ -485,37 +730,47 @@ class PaymentService {
 				throw new Error("Payment amount must be greater than 0");
 			}
 
-			// Generate transaction number
-			const provider = PaymentProviderFactory.create();
+			// Subscription calculations are platform billing and stay in the default currency
+			const chargePricing = calculation.pricing || (await CurrencyService.getPricingContext(null));
+
+			// Generate transaction number with the organization's provider
+			const providerName = await getPaymentProviderForUser(userId);
+			const provider = PaymentProviderFactory.create(providerName);
 			const transactionNumber = provider.generateTransactionNumber();
 
-			// Create payment transaction record
-			const transaction = await prisma.paymentTransaction.create({
-				data: {
-					transactionNumber,
-					amount: calculation.breakdown.total,
-					currency: "INR",
-					description:
-						description ||
-						`Payment for ${referenceType.toLowerCase().replace("_", " ")}`,
-					referenceType,
-					referenceId,
-					breakdown: calculation.breakdown,
-					provider: this.config.defaultProvider,
-					status: "PENDING",
-					userId,
-					expiresAt: new Date(
-						Date.now() + this.config.settings.paymentTimeout * 60 * 1000
-					),
-					metadata: calculation.metadata,
-				},
+			// Create payment transaction record, holding its promo code use until it completes or expires
+			transaction = await prisma.$transaction(async (tx) => {
+				const created = await tx.paymentTransaction.create({
+					data: {
+						transactionNumber,
+						amount: calculation.breakdown.total,
+						...CurrencyService.toTransactionFields(chargePricing, calculation.breakdown.total),
+						description:
+							description ||
+							`Payment for ${referenceType.toLowerCase().replace("_", " ")}`,
+						referenceType,
+						referenceId,
+						breakdown: calculation.breakdown,
+						provider: providerName,
+						status: "PENDING",
+						userId,
+						expiresAt: new Date(
+							Date.now() + this.config.settings.paymentTimeout * 60 * 1000
+						),
+						metadata: calculation.metadata,
+					},
+				});
+
+				await DiscountService.reserveRedemption(tx, created);
+				return created;
 			});
 
 			// Create order with payment provider
 			const orderData = {
+				transactionId: transaction.id,
 				transactionNumber,
 				amount: calculation.breakdown.total,
-				currency: "INR",
+				currency: chargePricing.currency,
 				description: transaction.description,
 				referenceType,
 				referenceId,
@@ -533,8 +788,10 @@ class PaymentService {
 			const updatedTransaction = await prisma.paymentTransaction.update({
 				where: { id: transaction.id },
 				data: {
-					razorpayOrderId: orderResult.providerOrderId,
-					providerOrderData: orderResult.providerOrderData,
+					providerOrderData: this.buildProviderOrderData(
+						orderResult.providerOrderId,
+						orderResult.providerOrderData
+					),
 					expiresAt: orderResult.expiresAt,
 				},
 				include: {
@@ -548,10 +805,23 @@ class PaymentService {
 				},
 			});
 
+			if (calculation.breakdown.discount?.promoCodeId) {
+				await JobQueueService.dispatch(
+					JOB_TYPES.PROMO_RESERVATION_EXPIRY,
+					{ transactionId: transaction.id },
+					{
+						jobId: `promo-expiry:${transaction.id}`,
+						runAt: updatedTransaction.expiresAt,
+						organizationId: chargePricing.organizationId,
+					}
+				);
+			}
+
 			// Generate payment link/options
 			const paymentLink = await provider.generatePaymentLink({
 				...orderData,
 				providerOrderId: orderResult.providerOrderId,
+				providerOrderData: orderResult.providerOrderData,
 				user: calculation.user,
 			});
 
@@ -571,6 +841,8 @@ class PaymentService {
 					transactionNumber: updatedTransaction.transactionNumber,
 					amount: updatedTransaction.amount,
 					currency: updatedTransaction.currency,
+					baseCurrency: updatedTransaction.baseCurrency,
+					baseAmount: updatedTransaction.baseAmount,
 					description: updatedTransaction.description,
 					status: updatedTransaction.status,
 					expiresAt: updatedTransaction.expiresAt,
@@ -578,19 +850,28 @@ class PaymentService {
 				breakdown: calculation.breakdown,
 				items: calculation.items,
 				provider: {
-					name: this.config.defaultProvider,
+					name: providerName,
 					orderId: orderResult.providerOrderId,
 					checkoutOptions: paymentLink.checkoutOptions,
+					paymentLink: paymentLink.paymentLink,
 				},
 			};
 		} catch (error) {
 			console.error("Payment initiation failed:", error);
+
+			// The payer never got to pay, so the promo code use is free again
+			if (transaction) {
+				await DiscountService.releaseReservation(transaction.id).catch((releaseError) => {
+					console.error("Promo code reservation release failed:", releaseError);
+				});
+			}
+
 			throw error;
 		}
 	}
 
 	// Calculate Membership Total
-	async calculateMembershipTotal(userId) {
+	async calculateMembershipTotal(userId, pricing = null, promoCode = null) {
 		try {
 			const user = await prisma.user.findUnique({
 				where: { id: userId },
@@ -607,12 +888,33 @@ class PaymentService {
 				throw new Error("Membership fee not configured for your batch");
 			}
 
+			pricing = pricing || (await this.getPricingContextForUser(userId));
+			const membershipFee = CurrencyService.priceIn(
+				pricing,
+				feeInfo.fee,
+				feeInfo.settings?.currencyFees?.[pricing.currency]
+			);
+
+			const discount = promoCode
+				? await DiscountService.applyPromoCode(promoCode, {
+						userId,
+						pricing,
+						amounts: { MEMBERSHIP: membershipFee },
+					})
+				: null;
+			const discountAmount = discount?.amount || 0;
+
 			return {
 				breakdown: {
-					membershipFee: parseFloat(feeInfo.fee),
-					total: parseFloat(feeInfo.fee),
+					currency: pricing.currency,
+					membershipFee,
+					subtotal: membershipFee,
+					discountAmount,
+					discount,
+					total: roundAmount(membershipFee - discountAmount, pricing.currency),
 				},
 				user: user,
+				pricing,
 				metadata: {
 					membershipYear: new Date().getFullYear(),
 					batchYear: user.batch,
@@ -879,6 +1181,9 @@ class PaymentService {
 				);
 			}
 
+			// The client names the provider order (e.g. Stripe's session_id), so it must be this transaction's
+			this.assertVerificationMatchesTransaction(transaction, verificationResult);
+
 			// Update transaction in database transaction
 			const result = await prisma.$transaction(async (tx) => {
 				// Update payment transaction
@@ -886,7 +1191,10 @@ class PaymentService {
 					where: { id: transactionId },
 					data: {
 						status: "COMPLETED",
-						razorpayPaymentId: verificationResult.providerPaymentId,
+						providerOrderData: {
+							...transaction.providerOrderData,
+							paymentId: verificationResult.providerPaymentId,
+						},
 						providerPaymentData: verificationResult.providerPaymentData,
 						completedAt: verificationResult.completedAt || new Date(),
 					},
@@ -906,32 +1214,9 @@ class PaymentService {
 				paymentId: verificationResult.providerPaymentId,
 			});
 
-			// Handle post-transaction operations (QR code, invoice generation)
-			if (transaction._postTransactionOps) {
-				const ops = transaction._postTransactionOps;
-				
-				// Generate QR code for EVENT_PAYMENT registrations
-				if (ops.type === 'EVENT_PAYMENT') {
-					try {
-						console.log(`🔄 Generating QR code for registration: ${ops.registrationId}`);
-						const QRCodeService = require("../qr/QRCodeService");
-						await QRCodeService.generateQRCode(ops.registrationId);
-						console.log("✅ QR code generated successfully after payment");
-					} catch (qrError) {
-						console.error("❌ Post-transaction QR code generation failed:", qrError);
-					}
-
-					// Generate invoice for EVENT_PAYMENT
-					try {
-						console.log(`🔄 Generating invoice for transaction: ${ops.transactionId}`);
-						const InvoiceService = require("./InvoiceService");
-						await InvoiceService.generateInvoice(ops.transactionId);
-						console.log("✅ Invoice generated successfully after payment");
-					} catch (invoiceError) {
-						console.error("❌ Post-transaction invoice generation failed:", invoiceError);
-					}
-				}
-			}
+			// Handle post-transaction operations (QR code, invoice, notifications)
+			await this.dispatchPostPaymentJobs(transaction);
+			await this.publishPaymentStatus(transaction, "COMPLETED");
 
 			return {
 				success: true,
@@ -954,16 +1239,20 @@ class PaymentService {
 	}
 
 	// Process webhook from payment provider
-	async processWebhook(provider, payload, signature) {
+	async processWebhook(provider, payload, signature, rawBody = null) {
+		let webhook;
 		try {
+			const paymentProvider = PaymentProviderFactory.create(provider);
+			const { eventType, eventId } = paymentProvider.getWebhookEventInfo(payload);
+
 			// Log webhook receipt
-			const webhook = await prisma.paymentWebhook.create({
+			webhook = await prisma.paymentWebhook.create({
 				data: {
 					provider: provider.toUpperCase(),
-					eventType: payload.event,
-					eventId: payload.account_id || null,
+					eventType: eventType || "unknown",
+					eventId: eventId || null,
 					rawPayload: payload,
-					signature,
+					signature: signature || "",
 					status: "RECEIVED",
 					headers: {},
 					receivedAt: new Date(),
@@ -971,10 +1260,10 @@ class PaymentService {
 			});
 
 			// Verify signature
-			const paymentProvider = PaymentProviderFactory.create(provider);
 			const isSignatureValid = await paymentProvider.verifyWebhookSignature(
 				payload,
-				signature
+				signature,
+				rawBody
 			);
 
 			// Update webhook verification status
@@ -990,15 +1279,12 @@ class PaymentService {
 				throw new Error("Webhook signature verification failed");
 			}
 
-			// Process webhook event
-			const processingResult = await paymentProvider.processWebhook({
-				event: payload.event,
-				payload: payload.payload,
-			});
+			// Process webhook event (each provider understands its own payload shape)
+			const processingResult = await paymentProvider.processWebhook(payload);
 
 			// Update related transaction if applicable
 			if (processingResult.success && processingResult.data) {
-				await this.handleWebhookUpdate(processingResult, webhook.id);
+				await this.handleWebhookUpdate(processingResult, webhook.id, provider);
 			}
 
 			// Update webhook processing status
@@ -1020,7 +1306,7 @@ class PaymentService {
 			console.error("Webhook processing failed:", error);
 
 			// Update webhook with error if webhook exists
-			if (typeof webhook !== "undefined" && webhook?.id) {
+			if (webhook?.id) {
 				await prisma.paymentWebhook.update({
 					where: { id: webhook.id },
 					data: {
@@ -1035,14 +1321,17 @@ class PaymentService {
 	}
 
 	// Helper methods
-	calculateProcessingFee(amount) {
-		const fee = Math.max(amount * 0.02, 2); // 2% or minimum ₹2
-		return Math.round(fee * 100) / 100;
+	calculateProcessingFee(amount, currency = this.config.settings.defaultCurrency) {
+		// 2% or the currency's minimum (₹2, $0.30, ...)
+		const fee = Math.max(amount * 0.02, getCurrencyInfo(currency).minProcessingFee);
+		return roundAmount(fee, currency);
 	}
 
 	async updateRelatedRecords(tx, transaction, verificationResult) {
 		const { referenceType, referenceId } = transaction;
 
+		await DiscountService.recordRedemption(tx, transaction);
+
 		switch (referenceType) {
 			case "EVENT_REGISTRATION":
 				await tx.eventRegistration.update({
@@ -1068,18 +1357,9 @@ class PaymentService {
 				});
 
 				// 🚨 Generate QR code for event registration
-				setTimeout(async () => {
-					try {
-						const QRCodeService = require("../qr/QRCodeService");
-						await QRCodeService.generateQRCode(referenceId); // referenceId = registrationId
-						console.log("✅ Event registration QR code generated successfully");
-					} catch (qrError) {
-						console.error(
-							"❌ Event registration QR code generation failed:",
-							qrError
-						);
-					}
-				}, 200);
+				this.queuePostPaymentJob(transaction, JOB_TYPES.EVENT_REGISTRATION_QR, {
+					registrationId: referenceId,
+				});
 
 				// Send payment confirmation email (TENANT-AWARE)
 				try {
@@ -1127,35 +1407,27 @@ class PaymentService {
 				}
 
 				// 🎯 ENHANCEMENT: Create success notification
-				setTimeout(async () => {
-					try {
-						await NotificationService.createAndSendNotification({
-							recipientIds: [transaction.userId],
-							type: "PAYMENT_SUCCESS",
-							title: "✅ Event Registration Confirmed!",
-							message: `Your payment of ₹${transaction.amount.toLocaleString("en-IN")} was successful. QR code has been generated for event check-in.`,
-							data: {
-								transactionId: transaction.id,
-								transactionNumber: transaction.transactionNumber,
-								registrationId: referenceId,
-								amount: transaction.amount,
-								paymentDate: new Date().toISOString(),
-							},
-							priority: "HIGH",
-							channels: ["PUSH", "IN_APP"],
-							relatedEntityType: "EVENT_REGISTRATION",
-							relatedEntityId: referenceId,
-						});
-
-						console.log("✅ Event registration success notification sent");
-					} catch (notificationError) {
-						console.error("❌ Success notification failed:", notificationError);
-					}
-				}, 300);
+				this.queuePostPaymentJob(transaction, JOB_TYPES.NOTIFICATION_SEND, {
+					recipientIds: [transaction.userId],
+					type: "PAYMENT_SUCCESS",
+					title: "✅ Event Registration Confirmed!",
+					message: `Your payment of ₹${transaction.amount.toLocaleString("en-IN")} was successful. QR code has been generated for event check-in.`,
+					data: {
+						transactionId: transaction.id,
+						transactionNumber: transaction.transactionNumber,
+						registrationId: referenceId,
+						amount: transaction.amount,
+						paymentDate: new Date().toISOString(),
+					},
+					priority: "HIGH",
+					channels: ["PUSH", "IN_APP"],
+					relatedEntityType: "EVENT_REGISTRATION",
+					relatedEntityId: referenceId,
+				});
 
 				break;
 
-			case "MERCHANDISE":
+			case "MERCHANDISE": {
 				const orderIds = transaction.metadata?.orderIds || [];
 				if (orderIds.length > 0) {
 					await tx.eventMerchandiseOrder.updateMany({
@@ -1207,6 +1479,7 @@ class PaymentService {
 				await this.sendPaymentSuccessNotification(transaction, tx);
 
 				break;
+			}
 
 			case "MEMBERSHIP":
 				// Process membership payment
@@ -1255,7 +1528,7 @@ class PaymentService {
 			case "BATCH_ADMIN_PAYMENT":
 				await BatchPaymentService.processBatchPaymentSuccess(
 					transaction.id,
-					data
+					verificationResult
 				);
 
 				// Send batch payment confirmation email (TENANT-AWARE)
@@ -1295,7 +1568,7 @@ class PaymentService {
 				break;
 
 			// STANDALONE MERCHANDISE
-			case "MERCHANDISE_ORDER":
+			case "MERCHANDISE_ORDER": {
 				// Find the order by ID
 				const order = await tx.merchandiseOrder.findUnique({
 					where: { id: referenceId },
@@ -1335,33 +1608,21 @@ class PaymentService {
 					});
 
 					// Generate QR code for delivery tracking
-					setTimeout(async () => {
-						try {
-							const QRCodeService = require("../qr/QRCodeService");
-							await QRCodeService.generateMerchandiseOrderQR(referenceId);
-							console.log("✅ Merchandise order QR code generated");
-						} catch (qrError) {
-							console.error("QR code generation failed:", qrError);
-						}
-					}, 200);
+					this.queuePostPaymentJob(transaction, JOB_TYPES.MERCHANDISE_ORDER_QR, {
+						orderId: referenceId,
+					});
 
-					// Send confirmation email (async, don't wait)
-					setTimeout(async () => {
-						try {
-							const MerchandiseNotificationService = require("../../merchandiseNotification.service");
-							await MerchandiseNotificationService.sendOrderConfirmationEmail(
-								referenceId
-							);
-						} catch (emailError) {
-							console.error("Order confirmation email failed:", emailError);
-						}
-					}, 100);
+					// Send confirmation email
+					this.queuePostPaymentJob(transaction, JOB_TYPES.MERCHANDISE_ORDER_EMAIL, {
+						orderId: referenceId,
+					});
 				}
 
 				// Send push notification
 				await this.sendPaymentSuccessNotification(transaction, tx);
 
 				break;
+			}
 
 			case "DONATION":
 				// Send donation confirmation email (TENANT-AWARE)
@@ -1419,17 +1680,26 @@ class PaymentService {
 				);
 				break;
 
-			case "EVENT_PAYMENT":
+			case "EVENT_PAYMENT": {
 				// Create event registration after successful payment
-				const { eventId, registrationData } = transaction.metadata;
-				
+				const { registrationData, formAddOnAmount } = transaction.metadata;
+
+				// Seats go through the same event lock as free registrations and promotions.
+				// The payer has already been charged, so an event that filled up during
+				// checkout queues them (no payment deadline on promotion) rather than failing.
+				const seatEvent = await tx.event.findUnique({
+					where: { id: referenceId },
+					select: { id: true, maxCapacity: true },
+				});
+				const seat = await WaitlistService.assignSeat(tx, { ...seatEvent, allowWaitlist: true });
+
 				// Create the registration
 				const guestCount = registrationData?.guests?.length || 0;
 				const newRegistration = await tx.eventRegistration.create({
 					data: {
 						userId: transaction.userId,
 						eventId: referenceId, // referenceId is the event ID for EVENT_PAYMENT
-						status: "CONFIRMED",
+						...seat,
 						paymentStatus: "COMPLETED",
 						paymentTransactionId: transaction.id,
 						totalAmountPaid: transaction.amount,
@@ -1439,11 +1709,24 @@ class PaymentService {
 						totalAmount: transaction.amount,
 						registrationFeePaid: parseFloat(transaction.breakdown?.registrationFee || 0),
 						guestFeesPaid: parseFloat(transaction.breakdown?.guestFees || 0),
+						formAddOnAmount: parseFloat(formAddOnAmount || 0),
 						totalGuests: guestCount,
 						activeGuests: guestCount,
 					},
 				});
 
+				// Save the registration form answers (checked when the payment was started)
+				if (registrationData?.formResponses?.length > 0) {
+					await tx.eventFormResponse.createMany({
+						data: registrationData.formResponses.map((response) => ({
+							registrationId: newRegistration.id,
+							fieldId: response.fieldId,
+							response: response.response,
+							version: 1,
+						})),
+					});
+				}
+
 				// Create guest registrations if any
 				if (registrationData?.guests && registrationData.guests.length > 0) {
 					const guestData = registrationData.guests.map(guest => ({
@@ -1463,8 +1746,15 @@ class PaymentService {
 
 				// Note: Event registration count is now calculated dynamically via COUNT queries when needed
 
-				// Store registration ID for post-transaction operations
-				const registrationId = newRegistration.id;
+				if (seat.status === "WAITLIST") {
+					// Confirmation, QR code and check-in details follow on promotion
+					transaction._waitlistedRegistrationId = newRegistration.id;
+					this.queuePostPaymentJob(transaction, JOB_TYPES.PAYMENT_INVOICE, {
+						transactionId: transaction.id,
+					});
+					console.log(`⏳ Event filled during checkout; paid registration ${newRegistration.id} waitlisted`);
+					break;
+				}
 
 				// Send payment confirmation email (TENANT-AWARE)
 				try {
@@ -1480,6 +1770,10 @@ class PaymentService {
 							venue: true,
 							eventMode: true,
 							meetingLink: true,
+							description: true,
+							slug: true,
+							status: true,
+							calendarSequence: true,
 						},
 					});
 
@@ -1568,47 +1862,41 @@ class PaymentService {
 				}
 
 				// Send success notification
-				setTimeout(async () => {
-					try {
-						await NotificationService.createAndSendNotification({
-							recipientIds: [transaction.userId],
-							type: "PAYMENT_SUCCESS",
-							title: "✅ Event Registration Confirmed!",
-							message: `Your payment of ₹${transaction.amount.toLocaleString("en-IN")} was successful. You are now registered for the event!`,
-							data: {
-								transactionId: transaction.id,
-								transactionNumber: transaction.transactionNumber,
-								registrationId: newRegistration.id,
-								amount: transaction.amount,
-								paymentDate: new Date().toISOString(),
-							},
-							priority: "HIGH",
-							channels: ["PUSH", "IN_APP"],
-							relatedEntityType: "EVENT_REGISTRATION",
-							relatedEntityId: newRegistration.id,
-						});
-
-						console.log("✅ Event payment success notification sent");
-					} catch (notificationError) {
-						console.error("❌ Event payment success notification failed:", notificationError);
-					}
-				}, 300);
+				this.queuePostPaymentJob(transaction, JOB_TYPES.NOTIFICATION_SEND, {
+					recipientIds: [transaction.userId],
+					type: "PAYMENT_SUCCESS",
+					title: "✅ Event Registration Confirmed!",
+					message: `Your payment of ₹${transaction.amount.toLocaleString("en-IN")} was successful. You are now registered for the event!`,
+					data: {
+						transactionId: transaction.id,
+						transactionNumber: transaction.transactionNumber,
+						registrationId: newRegistration.id,
+						amount: transaction.amount,
+						paymentDate: new Date().toISOString(),
+					},
+					priority: "HIGH",
+					channels: ["PUSH", "IN_APP"],
+					relatedEntityType: "EVENT_REGISTRATION",
+					relatedEntityId: newRegistration.id,
+				});
 
 				console.log(`✅ Event payment processed and registration created: ${newRegistration.id}`);
 
-				// Store for post-transaction operations
-				transaction._postTransactionOps = {
-					type: 'EVENT_PAYMENT',
+				// QR code and invoice once the registration is committed
+				this.queuePostPaymentJob(transaction, JOB_TYPES.EVENT_REGISTRATION_QR, {
 					registrationId: newRegistration.id,
-					transactionId: transaction.id
-				};
+				});
+				this.queuePostPaymentJob(transaction, JOB_TYPES.PAYMENT_INVOICE, {
+					transactionId: transaction.id,
+				});
 				break;
 
 			// ==========================================
 			// SUBSCRIPTION PAYMENTS
 			// ==========================================
+			}
 			case "SUBSCRIPTION_RENEWAL":
-			case "SUBSCRIPTION_UPGRADE":
+			case "SUBSCRIPTION_UPGRADE": {
 				// Process subscription payment through SubscriptionService
 				const subscriptionMetadata = transaction.metadata;
 
@@ -1680,8 +1968,9 @@ class PaymentService {
 					throw subscriptionError;
 				}
 				break;
+			}
 
-			case "SUBSCRIPTION_NEW":
+			case "SUBSCRIPTION_NEW": {
 				// Process new subscription payment
 				const newSubMetadata = transaction.metadata;
 
@@ -1763,33 +2052,63 @@ class PaymentService {
 					throw newSubError;
 				}
 				break;
+			}
 		}
 	}
 
-	async handleWebhookUpdate(processingResult, webhookId) {
+	async handleWebhookUpdate(processingResult, webhookId, provider) {
 		const { action, data } = processingResult;
 
+		// Refund events are keyed by refund, not by order
+		if (action === "refund_processed" || action === "refund_failed") {
+			return RefundService.handleRefundWebhook(processingResult, webhookId);
+		}
+
+		// Find transaction by provider order ID
+		const transaction = await this.findTransactionByProviderOrderId(
+			provider,
+			data.providerOrderId
+		);
+
+		if (!transaction) {
+			return;
+		}
+
+		// Link webhook to its transaction for auditing
+		await prisma.paymentWebhook.update({
+			where: { id: webhookId },
+			data: { transactionId: transaction.id },
+		});
+
 		if (action === "payment_captured" || action === "order_paid") {
-			// Find transaction by provider order ID
-			const transaction = await prisma.paymentTransaction.findFirst({
-				where: { razorpayOrderId: data.providerOrderId },
-			});
+			if (transaction.status !== "COMPLETED") {
+				// One transaction, as in verifyPayment: seat assignment holds the event lock
+				// until the registration is written
+				await prisma.$transaction(async (tx) => {
+					await tx.paymentTransaction.update({
+						where: { id: transaction.id },
+						data: {
+							status: "COMPLETED",
+							providerOrderData: {
+								...transaction.providerOrderData,
+								paymentId: data.providerPaymentId || transaction.providerOrderData?.paymentId || null,
+							},
+							completedAt: data.completedAt || new Date(),
+							providerPaymentData: data.providerData,
+						},
+					});
 
-			if (transaction && transaction.status !== "COMPLETED") {
-				await prisma.paymentTransaction.update({
-					where: { id: transaction.id },
-					data: {
-						status: "COMPLETED",
-						razorpayPaymentId: data.providerPaymentId,
-						completedAt: data.completedAt || new Date(),
-						providerPaymentData: data.providerData,
-					},
+					// Update related records
+					await this.updateRelatedRecords(tx, transaction, data);
 				});
-
-				// Update related records
-				await this.updateRelatedRecords(prisma, transaction, data);
+				await this.dispatchPostPaymentJobs(transaction);
+				await this.publishPaymentStatus(transaction, "COMPLETED");
 			}
 		}
+		// A retry on the same order can still succeed; completion then records the use again
+		if (action === "payment_failed" && transaction.status !== "COMPLETED") {
+			await DiscountService.releaseReservation(transaction.id);
+		}
 		if (
 			action === "payment_failed" &&
 			transaction.referenceType === "BATCH_ADMIN_PAYMENT"
@@ -1801,6 +2120,64 @@ class PaymentService {
 		}
 	}
 
+	/**
+	 * Tell the payer's open web app streams about a status change (checkout pages
+	 * waiting on a webhook stop polling)
+	 */
+	async publishPaymentStatus(transaction, status) {
+		await RealtimeService.publish(
+			RealtimeService.userTopic(transaction.userId),
+			REALTIME_EVENTS.PAYMENT_STATUS,
+			{
+				transactionId: transaction.id,
+				transactionNumber: transaction.transactionNumber,
+				status,
+				referenceType: transaction.referenceType,
+				referenceId: transaction.referenceId,
+			}
+		);
+	}
+
+	/**
+	 * Collect follow-up work while related records are updated; it is queued by
+	 * dispatchPostPaymentJobs once the records are committed
+	 */
+	queuePostPaymentJob(transaction, name, data) {
+		transaction._postPaymentJobs = transaction._postPaymentJobs || [];
+		transaction._postPaymentJobs.push({ name, data });
+	}
+
+	async dispatchPostPaymentJobs(transaction) {
+		if (transaction._waitlistedRegistrationId) {
+			await WaitlistService.notifyWaitlistUpdate(
+				transaction._waitlistedRegistrationId,
+				WAITLIST_STEPS.JOINED
+			);
+			transaction._waitlistedRegistrationId = null;
+		}
+
+		const jobs = transaction._postPaymentJobs || [];
+		if (jobs.length === 0) {
+			return;
+		}
+
+		// Tags the jobs for the tenant's admin view; the payment is already committed
+		const user = await prisma.user
+			.findUnique({
+				where: { id: transaction.userId },
+				select: { organizationId: true },
+			})
+			.catch(() => null);
+
+		for (const { name, data } of jobs) {
+			await JobQueueService.dispatch(name, data, {
+				organizationId: user?.organizationId,
+			});
+		}
+
+		transaction._postPaymentJobs = [];
+	}
+
 	async logActivity(userId, action, details) {
 		try {
 			// Skip logging if userId is null for now to avoid constraint issues
@@ -1884,8 +2261,12 @@ class PaymentService {
 				metadata,
 			} = donationData;
 
-			// Generate transaction number
-			const provider = PaymentProviderFactory.create();
+			// Donations are entered in the payer's chosen currency
+			const pricing = await this.getPricingContextForUser(userId, donationData.currency);
+
+			// Generate transaction number with the organization's provider
+			const providerName = await getPaymentProviderForUser(userId);
+			const provider = PaymentProviderFactory.create(providerName);
 			const transactionNumber = provider.generateTransactionNumber();
 
 			// Create payment transaction record
@@ -1893,14 +2274,14 @@ class PaymentService {
 				data: {
 					transactionNumber,
 					amount: calculation.breakdown.total,
-					currency: "INR",
+					...CurrencyService.toTransactionFields(pricing, calculation.breakdown.total),
 					description,
 					referenceType,
 					referenceId,
 					breakdown: calculation.breakdown,
 					userId,
 					status: "PENDING",
-					provider: "RAZORPAY",
+					provider: providerName,
 					metadata: metadata || null,
 					expiresAt: new Date(Date.now() + 30 * 60 * 1000), // 30 minutes
 				},
@@ -1908,8 +2289,8 @@ class PaymentService {
 
 			// Create payment order with provider
 			const orderData = await provider.createOrder({
-				amount: calculation.breakdown.total * 100, // Convert to paise
-				currency: "INR",
+				amount: calculation.breakdown.total, // Provider converts to minor units
+				currency: pricing.currency,
 				receipt: transactionNumber,
 				notes: {
 					transactionId: transaction.id,
@@ -1924,16 +2305,15 @@ class PaymentService {
 			await prisma.paymentTransaction.update({
 				where: { id: transaction.id },
 				data: {
-					razorpayOrderId: orderData.id,
-					providerOrderData: orderData,
+					providerOrderData: this.buildProviderOrderData(orderData.id, orderData),
 				},
 			});
 
 			// Generate payment URL
 			const paymentUrl = provider.generatePaymentUrl({
 				orderId: orderData.id,
-				amount: calculation.breakdown.total * 100,
-				currency: "INR",
+				amount: calculation.breakdown.total,
+				currency: pricing.currency,
 				name: "JNV Alumni Organization",
 				description,
 				prefill: {
@@ -1952,7 +2332,7 @@ class PaymentService {
 					id: transaction.id,
 					transactionNumber,
 					amount: transaction.amount,
-					razorpayOrderId: orderData.id,
+					providerOrderId: orderData.id,
 				},
 				paymentUrl,
 			};
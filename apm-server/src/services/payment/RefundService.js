@@ -0,0 +1,364 @@
+// src/services/payment/RefundService.js
+// Full and partial refunds of completed payment transactions
+
+const { prisma } = require("../../config/database");
+const PaymentProviderFactory = require("./PaymentProviderFactory");
+const InvoiceService = require("./InvoiceService");
+const TreasuryService = require("../TreasuryService");
+const { RealtimeService, REALTIME_EVENTS } = require("../realtime/realtime.service");
+const { runUnscopedRaw } = require("../../utils/tenantContext.util");
+
+const REFUNDABLE_STATUSES = ["COMPLETED", "PARTIALLY_REFUNDED"];
+
+class RefundService {
+	constructor() {
+		this.config = require("../../config/payment");
+	}
+
+	/**
+	 * Amount still available for refund (processed and in-flight refunds are excluded)
+	 * @param {Object} transaction - Transaction including its refunds
+	 * @returns {number} Refundable amount
+	 */
+	getRefundableAmount(transaction) {
+		const pending = (transaction.refunds || [])
+			.filter((refund) => refund.status === "PENDING")
+			.reduce((sum, refund) => sum + parseFloat(refund.amount), 0);
+
+		const refundable =
+			parseFloat(transaction.amount) -
+			parseFloat(transaction.refundedAmount || 0) -
+			pending;
+
+		return Math.max(Math.round(refundable * 100) / 100, 0);
+	}
+
+	/**
+	 * Transactions carry no organizationId; they belong to the payer's organization.
+	 * Other tenants' transactions are reported as missing.
+	 */
+	assertTransactionInTenant(transaction, organizationId) {
+		if (!transaction || (organizationId && transaction.user?.organizationId !== organizationId)) {
+			throw new Error("Transaction not found");
+		}
+	}
+
+	/**
+	 * Lock the transaction row so concurrent refunds see each other's pending amounts
+	 */
+	async lockTransaction(tx, transactionId) {
+		await runUnscopedRaw(() => tx.$queryRaw`SELECT id FROM payment_transactions WHERE id = ${transactionId} FOR UPDATE`);
+	}
+
+	/**
+	 * Issue a full or partial refund through the transaction's provider
+	 * @param {Object} refundRequest - { transactionId, amount, reason, adminId, organizationId }
+	 * @returns {Object} Refund record
+	 */
+	async initiateRefund({ transactionId, amount = null, reason = null, adminId, organizationId = null }) {
+		// Check the balance and record the refund under the row lock, so two refunds
+		// can't both pass the check; the request is recorded before calling the
+		// provider so the webhook can always find it
+		const { transaction, refund, refundAmount, isFullRefund, providerPaymentId } =
+			await prisma.$transaction(async (tx) => {
+				await this.lockTransaction(tx, transactionId);
+
+				const transaction = await tx.paymentTransaction.findUnique({
+					where: { id: transactionId },
+					include: {
+						refunds: true,
+						user: { select: { organizationId: true } },
+					},
+				});
+
+				this.assertTransactionInTenant(transaction, organizationId);
+
+				if (!REFUNDABLE_STATUSES.includes(transaction.status)) {
+					throw new Error(
+						`Cannot refund a transaction with status ${transaction.status}`
+					);
+				}
+
+				const providerPaymentId = transaction.providerOrderData?.paymentId;
+				if (!providerPaymentId) {
+					throw new Error("Provider payment ID not found for this transaction");
+				}
+
+				const refundable = this.getRefundableAmount(transaction);
+				const refundAmount =
+					amount === null || amount === undefined ? refundable : parseFloat(amount);
+
+				if (!(refundAmount > 0)) {
+					throw new Error("Nothing left to refund on this transaction");
+				}
+
+				if (refundAmount > refundable) {
+					throw new Error(`Refund amount exceeds refundable balance of ${refundable}`);
+				}
+
+				const isFullRefund =
+					parseFloat(transaction.refundedAmount || 0) + refundAmount >=
+					parseFloat(transaction.amount);
+
+				const refund = await tx.paymentRefund.create({
+					data: {
+						refundNumber: this.generateRefundNumber(),
+						transactionId,
+						amount: refundAmount,
+						currency: transaction.currency,
+						reason,
+						isFullRefund,
+						provider: transaction.provider,
+						initiatedBy: adminId,
+					},
+				});
+
+				return { transaction, refund, refundAmount, isFullRefund, providerPaymentId };
+			});
+
+		let providerResult;
+		try {
+			const paymentProvider = PaymentProviderFactory.create(transaction.provider);
+			providerResult = await paymentProvider.createRefund({
+				providerPaymentId,
+				amount: refundAmount,
+				currency: transaction.currency,
+				reason,
+				transactionId,
+				refundNumber: refund.refundNumber,
+			});
+		} catch (error) {
+			// Only a refusal frees the balance again. Without an answer (timeout, network
+			// error, provider outage) the refund may exist at the provider, so it stays
+			// PENDING until the refund webhook settles it by refund number
+			if (error.providerRejected) {
+				await this.failRefund(refund.id, error.message);
+				throw error;
+			}
+
+			console.error(`Refund ${refund.refundNumber} left pending, provider outcome unknown:`, error);
+		}
+
+		if (providerResult) {
+			await prisma.paymentRefund.update({
+				where: { id: refund.id },
+				data: {
+					providerRefundId: providerResult.providerRefundId,
+					providerRefundData: providerResult.providerRefundData,
+				},
+			});
+
+			if (providerResult.status === "PROCESSED") {
+				await this.completeRefund(refund.id, providerResult.providerRefundData);
+			} else if (providerResult.status === "FAILED") {
+				await this.failRefund(
+					refund.id,
+					"Refund rejected by provider",
+					providerResult.providerRefundData
+				);
+			}
+		}
+
+		await this.logActivity(adminId, "payment_refund_initiated", {
+			transactionId,
+			refundId: refund.id,
+			refundNumber: refund.refundNumber,
+			amount: refundAmount,
+			isFullRefund,
+			providerStatus: providerResult?.status || "UNKNOWN",
+		});
+
+		return prisma.paymentRefund.findUnique({ where: { id: refund.id } });
+	}
+
+	/**
+	 * Mark a refund as settled, roll it into the transaction and post follow-ups.
+	 * Safe to call twice (API response and webhook can race).
+	 */
+	async completeRefund(refundId, providerData = null) {
+		const refund = await prisma.$transaction(async (tx) => {
+			const claimed = await tx.paymentRefund.updateMany({
+				where: { id: refundId, status: "PENDING" },
+				data: {
+					status: "PROCESSED",
+					processedAt: new Date(),
+					...(providerData && { providerRefundData: providerData }),
+				},
+			});
+
+			if (claimed.count === 0) {
+				return null;
+			}
+
+			const processed = await tx.paymentRefund.findUnique({
+				where: { id: refundId },
+			});
+
+			const updated = await tx.paymentTransaction.update({
+				where: { id: processed.transactionId },
+				data: {
+					refundedAmount: { increment: processed.amount },
+					refundedAt: new Date(),
+				},
+			});
+
+			const status =
+				parseFloat(updated.refundedAmount) >= parseFloat(updated.amount)
+					? "REFUNDED"
+					: "PARTIALLY_REFUNDED";
+
+			await tx.paymentTransaction.update({
+				where: { id: updated.id },
+				data: { status },
+			});
+
+			await tx.eventRegistration.updateMany({
+				where: { paymentTransactionId: updated.id },
+				data: { paymentStatus: status },
+			});
+
+			return { ...processed, transaction: { ...updated, status } };
+		});
+
+		if (!refund) {
+			return;
+		}
+
+		const { transaction } = refund;
+		await RealtimeService.publish(
+			RealtimeService.userTopic(transaction.userId),
+			REALTIME_EVENTS.PAYMENT_STATUS,
+			{
+				transactionId: transaction.id,
+				transactionNumber: transaction.transactionNumber,
+				status: transaction.status,
+				referenceType: transaction.referenceType,
+				referenceId: transaction.referenceId,
+			}
+		);
+
+		// Paperwork failures must not undo a refund the provider already settled
+		try {
+			await InvoiceService.generateCreditNote(refund.id);
+		} catch (error) {
+			console.error(`Credit note generation failed for refund ${refund.id}:`, error);
+		}
+
+		try {
+			await TreasuryService.postRefundReversal(refund.id);
+		} catch (error) {
+			console.error(`Treasury reversal failed for refund ${refund.id}:`, error);
+		}
+	}
+
+	async failRefund(refundId, failureReason, providerData = null) {
+		await prisma.paymentRefund.updateMany({
+			where: { id: refundId, status: "PENDING" },
+			data: {
+				status: "FAILED",
+				failureReason,
+				...(providerData && { providerRefundData: providerData }),
+			},
+		});
+	}
+
+	/**
+	 * Apply a refund_processed / refund_failed webhook result
+	 */
+	async handleRefundWebhook(processingResult, webhookId) {
+		const { action, data } = processingResult;
+
+		const refund = await prisma.paymentRefund.findFirst({
+			where: {
+				OR: [
+					...(data.providerRefundId ? [{ providerRefundId: data.providerRefundId }] : []),
+					...(data.refundNumber ? [{ refundNumber: data.refundNumber }] : []),
+				],
+			},
+		});
+
+		// Refunds issued from the provider dashboard have no local record
+		if (!refund) {
+			console.warn("Refund webhook for unknown refund ignored:", data.providerRefundId);
+			return;
+		}
+
+		await prisma.paymentWebhook.update({
+			where: { id: webhookId },
+			data: { transactionId: refund.transactionId },
+		});
+
+		if (!refund.providerRefundId && data.providerRefundId) {
+			await prisma.paymentRefund.update({
+				where: { id: refund.id },
+				data: { providerRefundId: data.providerRefundId },
+			});
+		}
+
+		if (action === "refund_processed") {
+			await this.completeRefund(refund.id, data.providerData);
+		} else if (action === "refund_failed") {
+			await this.failRefund(
+				refund.id,
+				data.errorDescription || "Refund failed",
+				data.providerData
+			);
+		}
+	}
+
+	/**
+	 * Refund history for a transaction
+	 */
+	async getTransactionRefunds(transactionId, organizationId = null) {
+		const transaction = await prisma.paymentTransaction.findUnique({
+			where: { id: transactionId },
+			select: {
+				id: true,
+				user: { select: { organizationId: true } },
+				transactionNumber: true,
+				amount: true,
+				currency: true,
+				status: true,
+				refundedAmount: true,
+				refundedAt: true,
+				refunds: {
+					orderBy: { createdAt: "desc" },
+					include: {
+						initiator: { select: { id: true, fullName: true, email: true } },
+					},
+				},
+			},
+		});
+
+		this.assertTransactionInTenant(transaction, organizationId);
+
+		const { user, ...details } = transaction;
+
+		return {
+			transaction: details,
+			refundableAmount: REFUNDABLE_STATUSES.includes(transaction.status)
+				? this.getRefundableAmount(transaction)
+				: 0,
+			refunds: transaction.refunds,
+		};
+	}
+
+	async logActivity(userId, action, details) {
+		try {
+			await prisma.activityLog.create({
+				data: { userId, action, details },
+			});
+		} catch (error) {
+			console.error("Failed to log activity:", error);
+		}
+	}
+
+	generateRefundNumber() {
+		const prefix = this.config.transaction.refundPrefix || "RF";
+		const date = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+		const random = Math.random().toString(36).substr(2, 6).toUpperCase();
+		return `${prefix}-${date}-${random}`;
+	}
+}
+
+module.exports = new RefundService();
@@ -101,8 +101,8 @@ class RazorpayProvider extends PaymentProvider {
         razorpay_payment_id
       );
 
-      // Verify signature or bypass for test mode
-      const isTestMode = razorpay_signature.startsWith('test_signature_');
+      // Verify signature, or accept a test signature where the config allows it
+      const isTestMode = Boolean(this.config.allowTestSignatures) && razorpay_signature.startsWith('test_signature_');
       const isSignatureValid = isTestMode || (generatedSignature === razorpay_signature);
       
       if (!isSignatureValid) {
@@ -115,14 +115,15 @@ class RazorpayProvider extends PaymentProvider {
         throw new Error('Payment signature verification failed');
       }
 
-      // Fetch payment details from Razorpay or use mock data for test mode
+      // Fetch payment details from Razorpay, or simulate them for test mode
       let paymentDetails;
       if (isTestMode) {
-        // Mock payment details for test mode
+        // The payment is simulated but the order is real, so the amount is what the order charges
+        const order = await this.razorpay.orders.fetch(razorpay_order_id);
         paymentDetails = {
           id: razorpay_payment_id,
-          amount: 2700, // Amount in paisa
-          currency: 'INR',
+          amount: order.amount, // Amount in paisa
+          currency: order.currency,
           status: 'captured',
           method: 'card',
           created_at: Math.floor(Date.now() / 1000)
@@ -150,7 +151,8 @@ class RazorpayProvider extends PaymentProvider {
         status: this.mapRazorpayStatus(paymentDetails.status),
         method: paymentDetails.method,
         providerPaymentData: paymentDetails,
-        completedAt: paymentDetails.created_at ? new Date(paymentDetails.created_at * 1000) : new Date()
+        completedAt: paymentDetails.created_at ? new Date(paymentDetails.created_at * 1000) : new Date(),
+        testMode: isTestMode
       };
 
     } catch (error) {
@@ -166,7 +168,7 @@ class RazorpayProvider extends PaymentProvider {
   // ==============================================
   // WEBHOOK SIGNATURE VERIFICATION
   // ==============================================
-  async verifyWebhookSignature(payload, signature) {
+  async verifyWebhookSignature(payload, signature, rawBody = null) {
     try {
       this.logDebug('Verifying webhook signature');
 
@@ -177,7 +179,7 @@ class RazorpayProvider extends PaymentProvider {
       // Generate expected signature
       const expectedSignature = crypto
         .createHmac('sha256', this.webhookSecret)
-        .update(JSON.stringify(payload))
+        .update(rawBody || JSON.stringify(payload))
         .digest('hex');
 
       // Compare signatures
@@ -220,6 +222,12 @@ class RazorpayProvider extends PaymentProvider {
         
         case 'order.paid':
           return this.processOrderPaid(payload);
+
+        case 'refund.processed':
+          return this.processRefundUpdate(payload, 'refund_processed');
+
+        case 'refund.failed':
+          return this.processRefundUpdate(payload, 'refund_failed');
         
         default:
           this.logInfo('Webhook event not handled', { event });
@@ -286,6 +294,71 @@ class RazorpayProvider extends PaymentProvider {
     }
   }
 
+  // ==============================================
+  // REFUNDS
+  // ==============================================
+  async createRefund(refundData) {
+    if (!refundData.providerPaymentId) {
+      throw this.createProviderError('Provider payment ID is required for refund', { statusCode: 400 });
+    }
+
+    try {
+      this.logDebug('Creating Razorpay refund', refundData);
+
+      const refund = await this.razorpay.payments.refund(refundData.providerPaymentId, {
+        amount: this.formatAmount(refundData.amount, refundData.currency),
+        speed: 'normal',
+        receipt: refundData.refundNumber,
+        notes: {
+          transactionId: refundData.transactionId,
+          refundNumber: refundData.refundNumber,
+          reason: refundData.reason || ''
+        }
+      });
+
+      this.logInfo('Razorpay refund created successfully', {
+        refundId: refund.id,
+        paymentId: refund.payment_id,
+        amount: refund.amount,
+        status: refund.status
+      });
+
+      return {
+        success: true,
+        provider: 'RAZORPAY',
+        providerRefundId: refund.id,
+        amount: this.parseAmount(refund.amount, refund.currency),
+        currency: refund.currency,
+        status: this.mapRefundStatus(refund.status),
+        providerRefundData: refund
+      };
+
+    } catch (error) {
+      this.logError('Failed to create Razorpay refund', error);
+      // Razorpay SDK rejects with { statusCode, error: { description } } rather than an Error
+      const message = error.error?.description || error.message;
+      throw this.createProviderError(`Razorpay refund failed: ${message}`, error);
+    }
+  }
+
+  // ==============================================
+  // WEBHOOK HELPERS
+  // ==============================================
+  getWebhookSignature(headers = {}) {
+    return headers['x-razorpay-signature'] || headers['x-webhook-signature'] || null;
+  }
+
+  getWebhookEventInfo(payload = {}) {
+    return {
+      eventType: payload.event,
+      eventId: payload.account_id || null
+    };
+  }
+
+  isConfigured() {
+    return !!(this.config.keyId && this.config.keySecret);
+  }
+
   // ==============================================
   // PRIVATE HELPER METHODS
   // ==============================================
@@ -299,8 +372,8 @@ class RazorpayProvider extends PaymentProvider {
       }
     }
 
-    this.validateAmount(orderData.amount, orderData.currency);
     this.validateCurrency(orderData.currency || 'INR');
+    this.validateAmount(orderData.amount, orderData.currency || 'INR');
   }
 
   generatePaymentSignature(orderId, paymentId) {
@@ -322,6 +395,16 @@ class RazorpayProvider extends PaymentProvider {
     return statusMap[razorpayStatus] || 'PENDING';
   }
 
+  mapRefundStatus(refundStatus) {
+    const statusMap = {
+      'pending': 'PENDING',
+      'processed': 'PROCESSED',
+      'failed': 'FAILED'
+    };
+
+    return statusMap[refundStatus] || 'PENDING';
+  }
+
   // Webhook event processors
   async processPaymentCaptured(payload) {
     const payment = payload.payment.entity;
@@ -378,6 +461,27 @@ class RazorpayProvider extends PaymentProvider {
       }
     };
   }
+
+  async processRefundUpdate(payload, action) {
+    const refund = payload.refund.entity;
+    const payment = payload.payment?.entity || {};
+
+    return {
+      success: true,
+      action,
+      data: {
+        providerRefundId: refund.id,
+        providerPaymentId: refund.payment_id,
+        providerOrderId: payment.order_id || null,
+        refundNumber: refund.notes?.refundNumber || refund.receipt || null,
+        amount: this.parseAmount(refund.amount, refund.currency),
+        currency: refund.currency,
+        status: this.mapRefundStatus(refund.status),
+        errorDescription: action === 'refund_failed' ? 'Refund failed at Razorpay' : null,
+        providerData: refund
+      }
+    };
+  }
 }
 
-module.exports = RazorpayProvider;
\ No newline at end of file
+module.exports = RazorpayProvider;
@@ -0,0 +1,422 @@
+// src/services/payment/providers/StripeProvider.js
+// Stripe-specific payment provider implementation (hosted Checkout Sessions)
+
+const Stripe = require('stripe');
+const PaymentProvider = require('../PaymentProvider');
+const paymentConfig = require('../../../config/payment');
+
+class StripeProvider extends PaymentProvider {
+  constructor(config) {
+    super(config);
+
+    // Initialize Stripe client
+    this.stripe = Stripe(config.secretKey || '');
+
+    this.webhookSecret = config.webhookSecret;
+    this.logInfo('Stripe provider initialized', { publishableKey: config.publishableKey });
+  }
+
+  // ==============================================
+  // ORDER CREATION
+  // ==============================================
+  async createOrder(orderData) {
+    try {
+      this.logDebug('Creating Stripe checkout session', orderData);
+
+      // Validate required fields
+      this.validateOrderData(orderData);
+
+      const currency = orderData.currency || this.config.options.currency;
+      // Stripe refuses sessions that expire in under 30 minutes; keep a minute spare for clock skew
+      const expiresInMinutes = Math.max(paymentConfig.settings.paymentTimeout, 31);
+      const query = `transactionId=${orderData.transactionId || ''}&session_id={CHECKOUT_SESSION_ID}`;
+
+      // Create hosted checkout session (Stripe's equivalent of an order)
+      const session = await this.stripe.checkout.sessions.create({
+        mode: 'payment',
+        payment_method_types: this.config.options.paymentMethodTypes,
+        client_reference_id: orderData.transactionNumber,
+        customer_email: orderData.user?.email || undefined,
+        line_items: [
+          {
+            quantity: 1,
+            price_data: {
+              currency: currency.toLowerCase(),
+              unit_amount: this.formatAmount(orderData.amount, currency),
+              product_data: {
+                name: orderData.description
+              }
+            }
+          }
+        ],
+        metadata: {
+          ...this.config.options.metadata,
+          transactionNumber: orderData.transactionNumber,
+          referenceType: orderData.referenceType,
+          referenceId: orderData.referenceId,
+          userId: orderData.userId
+        },
+        success_url: `${paymentConfig.urls.success}?${query}`,
+        cancel_url: `${paymentConfig.urls.failure}?${query}`,
+        expires_at: Math.floor(Date.now() / 1000) + (expiresInMinutes * 60)
+      });
+
+      this.logInfo('Stripe checkout session created successfully', {
+        sessionId: session.id,
+        amount: session.amount_total,
+        transactionNumber: orderData.transactionNumber
+      });
+
+      // Return standardized order response
+      return {
+        success: true,
+        provider: 'STRIPE',
+        providerOrderId: session.id,
+        amount: this.parseAmount(session.amount_total, currency),
+        currency: currency,
+        status: session.status,
+        providerOrderData: session,
+        expiresAt: new Date(session.expires_at * 1000)
+      };
+
+    } catch (error) {
+      this.logError('Failed to create Stripe checkout session', error);
+      throw new Error(`Stripe order creation failed: ${error.message}`);
+    }
+  }
+
+  // ==============================================
+  // PAYMENT VERIFICATION
+  // ==============================================
+  async verifyPayment(paymentData) {
+    try {
+      const sessionId = paymentData.session_id || paymentData.stripe_session_id;
+
+      this.logDebug('Verifying Stripe payment', { sessionId });
+
+      if (!sessionId) {
+        throw new Error('Missing required payment verification fields');
+      }
+
+      // Checkout sessions can only be confirmed server-side, so fetch the source of truth
+      const session = await this.stripe.checkout.sessions.retrieve(sessionId, {
+        expand: ['payment_intent']
+      });
+
+      if (session.payment_status !== 'paid') {
+        throw new Error(`Payment not completed (status: ${session.payment_status})`);
+      }
+
+      const paymentIntent = session.payment_intent;
+      const paymentIntentId = typeof paymentIntent === 'string' ? paymentIntent : paymentIntent?.id;
+
+      this.logInfo('Payment verified successfully', {
+        sessionId,
+        paymentIntentId,
+        amount: session.amount_total
+      });
+
+      return {
+        success: true,
+        verified: true,
+        provider: 'STRIPE',
+        providerOrderId: session.id,
+        providerPaymentId: paymentIntentId,
+        amount: this.parseAmount(session.amount_total, session.currency.toUpperCase()),
+        currency: session.currency.toUpperCase(),
+        status: 'COMPLETED',
+        method: paymentIntent?.payment_method_types?.[0] || 'card',
+        providerPaymentData: typeof paymentIntent === 'object' ? paymentIntent : session,
+        completedAt: paymentIntent?.created ? new Date(paymentIntent.created * 1000) : new Date()
+      };
+
+    } catch (error) {
+      this.logError('Payment verification failed', error);
+      return {
+        success: false,
+        verified: false,
+        error: error.message
+      };
+    }
+  }
+
+  // ==============================================
+  // WEBHOOK SIGNATURE VERIFICATION
+  // ==============================================
+  async verifyWebhookSignature(payload, signature, rawBody = null) {
+    try {
+      this.logDebug('Verifying webhook signature');
+
+      if (!signature) {
+        throw new Error('Webhook signature missing');
+      }
+
+      // Stripe signs "<timestamp>.<raw body>" and rejects stale timestamps
+      this.stripe.webhooks.constructEvent(
+        rawBody || JSON.stringify(payload),
+        signature,
+        this.webhookSecret
+      );
+
+      return true;
+
+    } catch (error) {
+      this.logError('Webhook signature verification failed', error);
+      return false;
+    }
+  }
+
+  // ==============================================
+  // WEBHOOK PROCESSING
+  // ==============================================
+  async processWebhook(webhookData) {
+    try {
+      const { type } = webhookData;
+      const session = webhookData.data?.object || {};
+
+      this.logInfo('Processing webhook event', {
+        event: type,
+        entityId: session.id
+      });
+
+      switch (type) {
+        case 'checkout.session.completed':
+          // Delayed payment methods complete later via async_payment_succeeded
+          if (session.payment_status !== 'paid') {
+            return {
+              success: true,
+              action: 'ignored',
+              message: 'Checkout completed, awaiting payment'
+            };
+          }
+          return this.processSessionPaid(session);
+
+        case 'checkout.session.async_payment_succeeded':
+          return this.processSessionPaid(session);
+
+        case 'checkout.session.async_payment_failed':
+        case 'checkout.session.expired':
+          return this.processSessionFailed(session, type);
+
+        // data.object is a Refund here, not a session
+        case 'refund.updated':
+        case 'charge.refund.updated':
+        case 'refund.failed':
+          return this.processRefundUpdate(webhookData.data.object);
+
+        default:
+          this.logInfo('Webhook event not handled', { event: type });
+          return {
+            success: true,
+            action: 'ignored',
+            message: `Event ${type} not handled`
+          };
+      }
+
+    } catch (error) {
+      this.logError('Webhook processing failed', error);
+      throw error;
+    }
+  }
+
+  // ==============================================
+  // PAYMENT LINK GENERATION
+  // ==============================================
+  async generatePaymentLink(orderData) {
+    try {
+      let checkoutUrl = orderData.providerOrderData?.url;
+
+      if (!checkoutUrl) {
+        const session = await this.stripe.checkout.sessions.retrieve(orderData.providerOrderId);
+        checkoutUrl = session.url;
+      }
+
+      const checkoutOptions = {
+        key: this.config.publishableKey,
+        sessionId: orderData.providerOrderId,
+        url: checkoutUrl
+      };
+
+      return {
+        success: true,
+        paymentLink: checkoutUrl, // Stripe uses a hosted page, not a modal
+        checkoutOptions,
+        instructions: 'Redirect the user to paymentLink; verify with session_id on return'
+      };
+
+    } catch (error) {
+      this.logError('Payment link generation failed', error);
+      throw error;
+    }
+  }
+
+  // ==============================================
+  // REFUNDS
+  // ==============================================
+  async createRefund(refundData) {
+    if (!refundData.providerPaymentId) {
+      throw this.createProviderError('Provider payment ID is required for refund', { statusCode: 400 });
+    }
+
+    try {
+      this.logDebug('Creating Stripe refund', refundData);
+
+      const refund = await this.stripe.refunds.create({
+        payment_intent: refundData.providerPaymentId,
+        amount: this.formatAmount(refundData.amount, refundData.currency),
+        // Stripe only accepts a fixed set of reasons, free text goes in metadata
+        reason: 'requested_by_customer',
+        metadata: {
+          transactionId: refundData.transactionId,
+          refundNumber: refundData.refundNumber,
+          reason: refundData.reason || ''
+        }
+      });
+
+      const currency = refund.currency.toUpperCase();
+
+      this.logInfo('Stripe refund created successfully', {
+        refundId: refund.id,
+        paymentIntentId: refund.payment_intent,
+        amount: refund.amount,
+        status: refund.status
+      });
+
+      return {
+        success: true,
+        provider: 'STRIPE',
+        providerRefundId: refund.id,
+        amount: this.parseAmount(refund.amount, currency),
+        currency,
+        status: this.mapRefundStatus(refund.status),
+        providerRefundData: refund
+      };
+
+    } catch (error) {
+      this.logError('Failed to create Stripe refund', error);
+      // StripeConnectionError has no statusCode
+      throw this.createProviderError(`Stripe refund failed: ${error.message}`, error);
+    }
+  }
+
+  // ==============================================
+  // WEBHOOK HELPERS
+  // ==============================================
+  getWebhookSignature(headers = {}) {
+    return headers['stripe-signature'] || headers['x-webhook-signature'] || null;
+  }
+
+  getWebhookEventInfo(payload = {}) {
+    return {
+      eventType: payload.type,
+      eventId: payload.id || null
+    };
+  }
+
+  isConfigured() {
+    return !!(this.config.secretKey && this.config.webhookSecret);
+  }
+
+  // ==============================================
+  // PRIVATE HELPER METHODS
+  // ==============================================
+
+  validateOrderData(orderData) {
+    const required = ['amount', 'transactionNumber', 'description', 'referenceType', 'referenceId', 'userId'];
+
+    for (const field of required) {
+      if (!orderData[field]) {
+        throw new Error(`Missing required field: ${field}`);
+      }
+    }
+
+    this.validateCurrency(orderData.currency || 'INR');
+    this.validateAmount(orderData.amount, orderData.currency || 'INR');
+  }
+
+  // Webhook event processors
+  async processSessionPaid(session) {
+    const currency = session.currency.toUpperCase();
+
+    return {
+      success: true,
+      action: 'payment_captured',
+      data: {
+        providerPaymentId: session.payment_intent,
+        providerOrderId: session.id,
+        amount: this.parseAmount(session.amount_total, currency),
+        currency,
+        status: 'COMPLETED',
+        method: session.payment_method_types?.[0] || 'card',
+        completedAt: new Date(),
+        providerData: session
+      }
+    };
+  }
+
+  async processSessionFailed(session, eventType) {
+    const currency = (session.currency || 'inr').toUpperCase();
+
+    return {
+      success: true,
+      action: 'payment_failed',
+      data: {
+        providerPaymentId: session.payment_intent,
+        providerOrderId: session.id,
+        amount: this.parseAmount(session.amount_total, currency),
+        currency,
+        status: eventType === 'checkout.session.expired' ? 'EXPIRED' : 'FAILED',
+        errorCode: eventType,
+        errorDescription: eventType === 'checkout.session.expired'
+          ? 'Checkout session expired'
+          : 'Asynchronous payment failed',
+        failedAt: new Date(),
+        providerData: session
+      }
+    };
+  }
+
+  mapRefundStatus(refundStatus) {
+    const statusMap = {
+      'pending': 'PENDING',
+      'requires_action': 'PENDING',
+      'succeeded': 'PROCESSED',
+      'failed': 'FAILED',
+      'canceled': 'FAILED'
+    };
+
+    return statusMap[refundStatus] || 'PENDING';
+  }
+
+  async processRefundUpdate(refund) {
+    const currency = (refund.currency || 'inr').toUpperCase();
+    const status = this.mapRefundStatus(refund.status);
+
+    // Intermediate updates (e.g. pending -> requires_action) carry nothing to act on
+    if (status === 'PENDING') {
+      return {
+        success: true,
+        action: 'ignored',
+        message: `Refund ${refund.id} still ${refund.status}`
+      };
+    }
+
+    return {
+      success: true,
+      action: status === 'PROCESSED' ? 'refund_processed' : 'refund_failed',
+      data: {
+        providerRefundId: refund.id,
+        providerPaymentId: refund.payment_intent,
+        providerOrderId: null,
+        refundNumber: refund.metadata?.refundNumber || null,
+        amount: this.parseAmount(refund.amount, currency),
+        currency,
+        status,
+        errorDescription: refund.failure_reason || null,
+        providerData: refund
+      }
+    };
+  }
+}
+
+module.exports = StripeProvider;
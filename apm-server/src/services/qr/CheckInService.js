@@ -2,6 +2,7 @@
 const { prisma } = require('../../config/database');
 const { CacheService } = require('../../config/redis');
 const QRCodeService = require('./QRCodeService');
+const { RealtimeService, REALTIME_EVENTS } = require('../realtime/realtime.service');
 
 class CheckInService {
   constructor() {
@@ -103,6 +104,7 @@ class CheckInService {
 
       // Clear cache for live stats
       await this.invalidateEventCache(qrData.eventId);
+      await this.publishLiveCount(qrData.eventId);
 
       // Log activity
       await prisma.activityLog.create({
@@ -337,6 +339,19 @@ class CheckInService {
     
     await Promise.all(keys.map(key => CacheService.del(key)));
   }
+
+  /**
+   * Push the fresh check-in count to live counter streams (call after invalidateEventCache)
+   */
+  async publishLiveCount(eventId) {
+    const liveData = await this.getLiveCheckInCount(eventId);
+
+    await RealtimeService.publish(
+      RealtimeService.checkInTopic(eventId),
+      REALTIME_EVENTS.CHECKIN_COUNT,
+      { eventId, ...liveData }
+    );
+  }
 }
 
 module.exports = new CheckInService();
\ No newline at end of file
@@ -0,0 +1,411 @@
+// src/services/qr/CheckInSyncService.js
+const crypto = require('crypto');
+const { prisma } = require('../../config/database');
+const config = require('../../config');
+const QRCodeService = require('./QRCodeService');
+const CheckInService = require('./CheckInService');
+const { runUnscopedRaw } = require('../../utils/tenantContext.util');
+
+const syncError = (message, statusCode, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+// Kits carry hashes, not the QR codes themselves, so a lost scanner can't be used to print passes
+const hashQRCode = (qrCode) => crypto.createHash('sha256').update(qrCode).digest('hex');
+
+class CheckInSyncService {
+  async findEvent(eventId, tenantFilter = {}) {
+    const event = await prisma.event.findFirst({
+      where: { id: eventId, ...tenantFilter },
+      select: { id: true, title: true, eventDate: true, venue: true, status: true }
+    });
+
+    if (!event) {
+      throw syncError('Event not found', 404, 'EVENT_NOT_FOUND');
+    }
+    if (['DRAFT', 'CANCELLED'].includes(event.status)) {
+      throw syncError('Check-in is not open for this event', 400, 'CHECK_IN_CLOSED');
+    }
+
+    return event;
+  }
+
+  // Scanner apps compare this against the kit they hold to detect edited or truncated downloads
+  signKit(kit) {
+    return crypto
+      .createHmac('sha256', config.checkIn.kitSigningSecret || '')
+      .update(JSON.stringify(kit))
+      .digest('base64url');
+  }
+
+  /**
+   * Signed snapshot of every valid pass for an event, for scanners that may lose connectivity
+   * @returns {Promise<Object>} { kit, signature }
+   */
+  async buildKit(event, { deviceId, deviceName }, staffId) {
+    const qrs = await prisma.registrationQR.findMany({
+      where: {
+        isActive: true,
+        registration: { eventId: event.id, status: 'CONFIRMED' }
+      },
+      select: {
+        qrCode: true,
+        qrData: true,
+        registrationId: true,
+        registration: {
+          select: {
+            user: { select: { fullName: true, batch: true } },
+            guests: { where: { status: 'ACTIVE' }, select: { id: true, name: true } },
+            checkIns: {
+              select: { checkedInAt: true, guestsCheckedIn: true },
+              orderBy: { checkedInAt: 'asc' },
+              take: 1
+            }
+          }
+        }
+      }
+    });
+
+    const issuedAt = new Date();
+
+    await prisma.eventCheckInDevice.upsert({
+      where: { eventId_deviceId: { eventId: event.id, deviceId } },
+      update: { kitIssuedAt: issuedAt, staffId, ...(deviceName && { deviceName }) },
+      create: { eventId: event.id, deviceId, deviceName, staffId, kitIssuedAt: issuedAt }
+    });
+
+    const kit = {
+      version: 1,
+      event: {
+        id: event.id,
+        title: event.title,
+        eventDate: event.eventDate,
+        venue: event.venue
+      },
+      deviceId,
+      issuedAt: issuedAt.toISOString(),
+      expiresAt: new Date(issuedAt.getTime() + config.checkIn.kitTtlHours * 60 * 60 * 1000).toISOString(),
+      passes: qrs.map(({ qrCode, qrData, registrationId, registration }) => ({
+        codeHash: hashQRCode(qrCode),
+        registrationId,
+        name: registration.user.fullName,
+        batch: registration.user.batch,
+        // Same limit the live check-in enforces
+        maxGuests: qrData?.summary?.totalGuests || 0,
+        guests: registration.guests,
+        seating: qrData?.seating || [],
+        checkedIn: registration.checkIns[0] || null
+      }))
+    };
+
+    return { kit, signature: this.signKit(kit) };
+  }
+
+  /**
+   * Apply a batch of offline scans from one device. Scans are idempotent by
+   * clientScanId; when several devices (or a live scan) check in the same
+   * registration, the earliest scan wins and the largest guest count is kept.
+   * @returns {Promise<Object>} { results, summary, updates, syncedAt }
+   */
+  async syncScans(event, { deviceId, deviceName, deviceTime, since, scans }, staffId) {
+    const receivedAt = new Date();
+    // Device clocks drift; every scan time is shifted by the offset measured at upload
+    const clockOffsetMs = deviceTime ? receivedAt - new Date(deviceTime) : 0;
+
+    const device = await prisma.eventCheckInDevice.upsert({
+      where: { eventId_deviceId: { eventId: event.id, deviceId } },
+      update: { staffId, clockOffsetMs, ...(deviceName && { deviceName }) },
+      create: { eventId: event.id, deviceId, deviceName, staffId, clockOffsetMs }
+    });
+
+    const ordered = [...scans].sort((a, b) => new Date(a.scannedAt) - new Date(b.scannedAt));
+    const results = [];
+
+    for (const scan of ordered) {
+      const scannedAt = new Date(Math.min(new Date(scan.scannedAt).getTime() + clockOffsetMs, receivedAt.getTime()));
+
+      try {
+        results.push(await this.applyScan(event, device, scan, scannedAt, staffId));
+      } catch (error) {
+        console.error('Offline scan sync error:', error);
+        results.push({ clientScanId: scan.clientScanId, result: 'ERROR', reason: 'Could not be processed; retry the sync' });
+      }
+    }
+
+    await prisma.eventCheckInDevice.update({
+      where: { id: device.id },
+      data: { lastSyncedAt: receivedAt }
+    });
+
+    await CheckInService.invalidateEventCache(event.id);
+    await CheckInService.publishLiveCount(event.id);
+
+    const summary = results.reduce((counts, { result }) => {
+      counts[result] = (counts[result] || 0) + 1;
+      return counts;
+    }, {});
+
+    console.log(`📲 Check-in sync for ${event.title} from ${deviceName || deviceId}: ${JSON.stringify(summary)}`);
+
+    return {
+      results,
+      summary,
+      updates: await this.getCheckInUpdates(event.id, since),
+      syncedAt: receivedAt.toISOString()
+    };
+  }
+
+  async applyScan(event, device, scan, scannedAt, staffId) {
+    const previous = await prisma.eventCheckInScan.findUnique({
+      where: { deviceId_clientScanId: { deviceId: device.id, clientScanId: scan.clientScanId } }
+    });
+
+    if (previous) {
+      return this.formatResult(scan.clientScanId, previous, true);
+    }
+
+    const qr = await prisma.registrationQR.findUnique({
+      where: { qrCode: scan.qrCode },
+      select: {
+        id: true,
+        isActive: true,
+        qrData: true,
+        registration: { select: { id: true, eventId: true, status: true, userId: true } }
+      }
+    });
+
+    const record = (data) => prisma.eventCheckInScan.create({
+      data: {
+        deviceId: device.id,
+        clientScanId: scan.clientScanId,
+        scannedAt,
+        guestsCheckedIn: scan.guestsCheckedIn || 0,
+        ...data
+      }
+    });
+
+    let rejection = null;
+    if (!qr || !qr.isActive || qr.registration.eventId !== event.id) {
+      rejection = 'Pass not valid for this event';
+    } else if (qr.registration.status !== 'CONFIRMED') {
+      rejection = `Registration is ${qr.registration.status.toLowerCase()}`;
+    } else if (!QRCodeService.isWithinCheckInWindow(event.eventDate, scannedAt)) {
+      rejection = 'Scanned outside the check-in window';
+    }
+
+    if (rejection) {
+      const rejected = await record({
+        registrationId: qr?.registration.eventId === event.id ? qr.registration.id : null,
+        result: 'REJECTED',
+        reason: rejection
+      });
+      return this.formatResult(scan.clientScanId, rejected);
+    }
+
+    const registrationId = qr.registration.id;
+    const maxGuests = qr.qrData?.summary?.totalGuests || 0;
+    const guestsCheckedIn = Math.min(scan.guestsCheckedIn || 0, maxGuests);
+
+    const saved = await prisma.$transaction(async (tx) => {
+      // Serialise with other devices syncing the same attendee
+      await runUnscopedRaw(() => tx.$queryRaw`SELECT id FROM event_registrations WHERE id = ${registrationId} FOR UPDATE`);
+
+      const existing = await tx.eventCheckIn.findFirst({
+        where: { registrationId },
+        include: { scans: { select: { deviceId: true } } },
+        orderBy: { checkedInAt: 'asc' }
+      });
+
+      if (!existing) {
+        const checkIn = await tx.eventCheckIn.create({
+          data: {
+            registrationId,
+            qrId: qr.id,
+            checkedInAt: scannedAt,
+            checkedInBy: staffId,
+            guestsCheckedIn,
+            totalGuests: maxGuests,
+            guestDetails: scan.guestDetails?.length > 0 ? scan.guestDetails : undefined,
+            checkInLocation: scan.checkInLocation,
+            notes: scan.notes,
+            checkInMethod: 'OFFLINE_SYNC',
+            deviceId: device.deviceId,
+            isVerified: true
+          }
+        });
+
+        await tx.registrationQR.update({
+          where: { id: qr.id },
+          data: { lastScannedAt: scannedAt, scanCount: { increment: 1 } }
+        });
+
+        return tx.eventCheckInScan.create({
+          data: {
+            deviceId: device.id,
+            clientScanId: scan.clientScanId,
+            registrationId,
+            checkInId: checkIn.id,
+            scannedAt,
+            guestsCheckedIn,
+            result: 'ACCEPTED'
+          }
+        });
+      }
+
+      const sameDevice = existing.deviceId === device.deviceId ||
+        existing.scans.some((merged) => merged.deviceId === device.id);
+      const earlier = scannedAt < existing.checkedInAt;
+
+      await tx.eventCheckIn.update({
+        where: { id: existing.id },
+        data: {
+          guestsCheckedIn: Math.max(existing.guestsCheckedIn, guestsCheckedIn),
+          ...(!existing.guestDetails && scan.guestDetails?.length > 0 && { guestDetails: scan.guestDetails }),
+          ...(earlier && {
+            checkedInAt: scannedAt,
+            checkedInBy: staffId,
+            deviceId: device.deviceId,
+            ...(scan.checkInLocation && { checkInLocation: scan.checkInLocation })
+          })
+        }
+      });
+
+      return tx.eventCheckInScan.create({
+        data: {
+          deviceId: device.id,
+          clientScanId: scan.clientScanId,
+          registrationId,
+          checkInId: existing.id,
+          scannedAt,
+          guestsCheckedIn,
+          result: sameDevice ? 'DUPLICATE' : 'CONFLICT',
+          reason: sameDevice
+            ? 'Already checked in on this device'
+            : earlier
+              ? 'Also checked in elsewhere; this earlier scan is now the check-in time'
+              : 'Already checked in elsewhere; kept the earlier check-in'
+        }
+      });
+    });
+
+    if (saved.result === 'ACCEPTED') {
+      await prisma.activityLog.create({
+        data: {
+          userId: qr.registration.userId,
+          action: 'event_checkin',
+          details: {
+            eventId: event.id,
+            registrationId,
+            checkInId: saved.checkInId,
+            guestsCheckedIn,
+            checkInMethod: 'OFFLINE_SYNC',
+            deviceId: device.deviceId,
+            scannedAt,
+            staffUserId: staffId
+          },
+          ipAddress: null,
+          userAgent: null
+        }
+      });
+    }
+
+    return this.formatResult(scan.clientScanId, saved);
+  }
+
+  formatResult(clientScanId, scan, isRetry = false) {
+    return {
+      clientScanId,
+      result: scan.result,
+      reason: scan.reason,
+      registrationId: scan.registrationId,
+      checkInId: scan.checkInId,
+      scannedAt: scan.scannedAt,
+      ...(isRetry && { isRetry })
+    };
+  }
+
+  /**
+   * Check-ins recorded since a device's last sync, so every scanner converges on the same state
+   */
+  async getCheckInUpdates(eventId, since) {
+    const checkIns = await prisma.eventCheckIn.findMany({
+      where: {
+        registration: { eventId },
+        ...(since && { updatedAt: { gt: new Date(since) } })
+      },
+      select: {
+        registrationId: true,
+        checkedInAt: true,
+        guestsCheckedIn: true,
+        qr: { select: { qrCode: true } }
+      },
+      orderBy: { checkedInAt: 'asc' }
+    });
+
+    return checkIns.map(({ qr, ...checkIn }) => ({
+      ...checkIn,
+      codeHash: qr ? hashQRCode(qr.qrCode) : null
+    }));
+  }
+
+  /**
+   * Per-device sync status for the check-in stats endpoint
+   */
+  async getSyncStatus(eventId) {
+    const [devices, scanCounts, offlineCheckIns] = await Promise.all([
+      prisma.eventCheckInDevice.findMany({
+        where: { eventId },
+        orderBy: { createdAt: 'asc' }
+      }),
+      prisma.eventCheckInScan.groupBy({
+        by: ['deviceId', 'result'],
+        where: { device: { eventId } },
+        _count: { _all: true }
+      }),
+      prisma.eventCheckIn.count({
+        where: { registration: { eventId }, checkInMethod: 'OFFLINE_SYNC' }
+      })
+    ]);
+
+    const now = Date.now();
+    const staleAfterMs = config.checkIn.staleDeviceMinutes * 60 * 1000;
+    const totals = { ACCEPTED: 0, DUPLICATE: 0, CONFLICT: 0, REJECTED: 0 };
+
+    const deviceStatus = devices.map((device) => {
+      const scans = { ACCEPTED: 0, DUPLICATE: 0, CONFLICT: 0, REJECTED: 0 };
+      scanCounts
+        .filter((count) => count.deviceId === device.id)
+        .forEach((count) => {
+          scans[count.result] = count._count._all;
+          totals[count.result] += count._count._all;
+        });
+
+      const lastSeen = device.lastSyncedAt || device.kitIssuedAt;
+
+      return {
+        deviceId: device.deviceId,
+        deviceName: device.deviceName,
+        staffId: device.staffId,
+        kitIssuedAt: device.kitIssuedAt,
+        lastSyncedAt: device.lastSyncedAt,
+        clockOffsetMs: device.clockOffsetMs,
+        status: !device.lastSyncedAt
+          ? 'NEVER_SYNCED'
+          : now - lastSeen.getTime() > staleAfterMs ? 'STALE' : 'SYNCED',
+        scans
+      };
+    });
+
+    return {
+      devices: deviceStatus,
+      totals: { ...totals, scans: Object.values(totals).reduce((sum, count) => sum + count, 0) },
+      offlineCheckIns,
+      staleDevices: deviceStatus.filter((device) => device.status !== 'SYNCED').length
+    };
+  }
+}
+
+module.exports = new CheckInSyncService();
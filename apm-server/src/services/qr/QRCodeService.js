@@ -3,6 +3,7 @@ const QRCode = require("qrcode");
 const crypto = require("crypto");
 const { prisma } = require("../../config/database");
 const { CacheService } = require("../../config/redis");
+const { SeatingService } = require("../event/seating.service");
 
 class QRCodeService {
 	constructor() {
@@ -82,6 +83,8 @@ class QRCodeService {
 				};
 			}
 
+			const seating = await SeatingService.getRegistrationSeating(registrationId);
+
 			// Create comprehensive QR data
 			const qrData = {
 				registrationId: registration.id,
@@ -97,6 +100,7 @@ class QRCodeService {
 					mealPreference: registration.mealPreference,
 				},
 				guests: registration.guests,
+				seating,
 				merchandise: registration.merchandiseOrders.map((order) => ({
 					id: order.id,
 					name: order.merchandise.name,
@@ -164,6 +168,35 @@ class QRCodeService {
 		}
 	}
 
+	/**
+	 * Copy current seat assignments onto existing passes after seating changes.
+	 * The QR code itself is unchanged, so printed passes keep working.
+	 */
+	async refreshSeating(registrationIds) {
+		for (const registrationId of registrationIds) {
+			try {
+				const qr = await prisma.registrationQR.findUnique({
+					where: { registrationId },
+				});
+
+				if (!qr) continue;
+
+				const seating = await SeatingService.getRegistrationSeating(registrationId);
+				await prisma.registrationQR.update({
+					where: { registrationId },
+					data: { qrData: { ...qr.qrData, seating } },
+				});
+
+				await Promise.all([
+					CacheService.del(this.cacheKeys.qrCode(registrationId)),
+					CacheService.del(this.cacheKeys.qrData(qr.qrCode)),
+				]);
+			} catch (error) {
+				console.error("QR seating refresh error:", error);
+			}
+		}
+	}
+
 	/**
 	 * Generate QR code image URL/data
 	 */
@@ -219,16 +252,7 @@ class QRCodeService {
 			}
 
 			// Check if event is still valid for check-in
-			const event = qr.registration.event;
-			const eventDate = new Date(event.eventDate);
-			const now = new Date();
-			const timeDiff = now - eventDate;
-
-			// Allow check-in from 2 hours before to 4 hours after event start
-			const allowedWindow = 6 * 60 * 60 * 1000; // 6 hours in milliseconds
-			const startWindow = 2 * 60 * 60 * 1000; // 2 hours before
-
-			if (timeDiff < -startWindow || timeDiff > allowedWindow) {
+			if (!this.isWithinCheckInWindow(qr.registration.event.eventDate)) {
 				return {
 					isValid: false,
 					error: "Check-in window is closed for this event",
@@ -254,6 +278,18 @@ class QRCodeService {
 		}
 	}
 
+	/**
+	 * Check-in opens 2 hours before the event date and closes 6 hours after it
+	 */
+	isWithinCheckInWindow(eventDate, at = new Date()) {
+		const timeDiff = at - new Date(eventDate);
+
+		const allowedWindow = 6 * 60 * 60 * 1000; // 6 hours in milliseconds
+		const startWindow = 2 * 60 * 60 * 1000; // 2 hours before
+
+		return timeDiff >= -startWindow && timeDiff <= allowedWindow;
+	}
+
 	/**
 	 * Get QR code analytics
 	 */
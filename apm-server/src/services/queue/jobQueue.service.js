@@ -0,0 +1,654 @@
+// src/services/queue/jobQueue.service.js
+// Durable Redis job queue: delayed jobs, retries with exponential backoff and a dead-letter set
+
+const crypto = require('crypto');
+const config = require('../../config');
+const { redis } = require('../../config/redis');
+
+const KEY_PREFIX = 'jobqueue';
+
+const keys = {
+  job: (jobId) => `${KEY_PREFIX}:job:${jobId}`,
+  delayed: `${KEY_PREFIX}:delayed`, // sorted set, scored by run time
+  waiting: `${KEY_PREFIX}:waiting`, // list, ready to run
+  active: `${KEY_PREFIX}:active`, // sorted set, scored by lock expiry
+  failed: `${KEY_PREFIX}:failed`, // sorted set (dead letter), scored by failure time
+};
+
+/**
+ * Job types - every handler is registered in src/jobs/jobHandlers.js
+ */
+const JOB_TYPES = {
+  // Notifications
+  NOTIFICATION_SEND: 'notification.send',
+  NOTIFICATION_BULK: 'notification.bulk',
+  NOTIFICATION_PUSH_DEFERRED: 'notification.push-deferred',
+
+  // Event waitlist
+  WAITLIST_PROMOTION: 'event.waitlist-promotion',
+  WAITLIST_PAYMENT_EXPIRY: 'event.waitlist-payment-expiry',
+
+  // Calendar invites
+  EVENT_CALENDAR_UPDATE: 'event.calendar-update',
+
+  // LifeLink
+  LIFELINK_RING_WIDEN: 'lifelink.ring-widen',
+
+  // Weekly community digest (one job per organization)
+  COMMUNITY_DIGEST_TENANT: 'digest.community-tenant',
+
+  // Payment post-processing
+  EVENT_REGISTRATION_QR: 'payment.event-registration-qr',
+  MERCHANDISE_ORDER_QR: 'payment.merchandise-order-qr',
+  MERCHANDISE_ORDER_EMAIL: 'payment.merchandise-order-email',
+  PAYMENT_INVOICE: 'payment.invoice',
+  PROMO_RESERVATION_EXPIRY: 'payment.promo-reservation-expiry',
+
+  // Scheduled (cron) jobs
+  SESSION_CLEANUP: 'cron.session-cleanup',
+  MEMBERSHIP_EXPIRY: 'cron.membership-expiry',
+  BIRTHDAY_EMAILS: 'cron.birthday-emails',
+  DAILY_CELEBRATIONS: 'cron.daily-celebrations',
+  FESTIVAL_SYNC: 'cron.festival-sync',
+  TICKET_SLA_CHECK: 'cron.ticket-sla-check',
+  EVENT_SERIES_GENERATE: 'cron.event-series-generate',
+  NOTIFICATION_DIGEST: 'cron.notification-digest',
+  COMMUNITY_DIGEST: 'cron.community-digest',
+};
+
+const JOB_STATES = {
+  DELAYED: 'delayed',
+  WAITING: 'waiting',
+  ACTIVE: 'active',
+  FAILED: 'failed',
+};
+
+// setTimeout overflows past ~24.8 days
+const MAX_TIMER_MS = 2 ** 31 - 1;
+const LIST_SCAN_LIMIT = 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Adds the job only if its id is new, so repeated enqueues of the same jobId are ignored
+redis.defineCommand('jobQueueEnqueue', {
+  numberOfKeys: 3,
+  lua: `
+    if not redis.call('SET', KEYS[1], ARGV[1], 'NX') then
+      return 0
+    end
+    if tonumber(ARGV[3]) > tonumber(ARGV[4]) then
+      redis.call('ZADD', KEYS[2], ARGV[3], ARGV[2])
+    else
+      redis.call('RPUSH', KEYS[3], ARGV[2])
+    end
+    return 1
+  `,
+});
+
+// Promotes due delayed jobs, requeues jobs whose worker died, then locks the next ready job
+redis.defineCommand('jobQueueClaim', {
+  numberOfKeys: 3,
+  lua: `
+    local due = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, 100)
+    for _, id in ipairs(due) do
+      redis.call('ZREM', KEYS[1], id)
+      redis.call('RPUSH', KEYS[2], id)
+    end
+    local stalled = redis.call('ZRANGEBYSCORE', KEYS[3], '-inf', ARGV[1], 'LIMIT', 0, 100)
+    for _, id in ipairs(stalled) do
+      redis.call('ZREM', KEYS[3], id)
+      redis.call('RPUSH', KEYS[2], id)
+    end
+    local id = redis.call('LPOP', KEYS[2])
+    if not id then
+      return false
+    end
+    redis.call('ZADD', KEYS[3], ARGV[2], id)
+    return id
+  `,
+});
+
+// Pushes out the lock of a running job, unless the lock expired and another worker took it
+redis.defineCommand('jobQueueExtendLock', {
+  numberOfKeys: 1,
+  lua: `
+    local lockedUntil = redis.call('ZSCORE', KEYS[1], ARGV[1])
+    if not lockedUntil or tonumber(lockedUntil) ~= tonumber(ARGV[2]) then
+      return 0
+    end
+    redis.call('ZADD', KEYS[1], ARGV[3], ARGV[1])
+    return 1
+  `,
+});
+
+// Records a job's outcome (result, retry or dead letter) only if the caller still holds
+// its lock; ARGV[4] is a TTL in seconds (0 for none), ARGV[5] a score for KEYS[3] ('' for none)
+redis.defineCommand('jobQueueFinish', {
+  numberOfKeys: 3,
+  lua: `
+    local lockedUntil = redis.call('ZSCORE', KEYS[1], ARGV[1])
+    if not lockedUntil or tonumber(lockedUntil) ~= tonumber(ARGV[2]) then
+      return 0
+    end
+    redis.call('ZREM', KEYS[1], ARGV[1])
+    if tonumber(ARGV[4]) > 0 then
+      redis.call('SET', KEYS[2], ARGV[3], 'EX', ARGV[4])
+    else
+      redis.call('SET', KEYS[2], ARGV[3])
+    end
+    if ARGV[5] ~= '' then
+      redis.call('ZADD', KEYS[3], ARGV[5], ARGV[1])
+    end
+    return 1
+  `,
+});
+
+const handlers = new Map();
+
+const worker = {
+  running: false,
+  timer: null,
+  activeCount: 0,
+  lastPurgeAt: 0,
+};
+
+const jobError = (message, statusCode, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+const resolveRunAt = (options) => {
+  if (options.runAt) {
+    return new Date(options.runAt).getTime();
+  }
+  return Date.now() + (options.delayMs || 0);
+};
+
+class JobQueueService {
+  // ==========================================
+  // HANDLERS
+  // ==========================================
+
+  /**
+   * Register the function that runs a job type. Handlers must throw to trigger
+   * a retry; they may record progress on job.data, which is saved with a failed
+   * attempt so the retry can resume.
+   * The worker renews a running job's lock every third of lockTimeoutMs, so the
+   * timeout only needs to outlast a stalled event loop, not the whole run.
+   * @param {string} name - One of JOB_TYPES
+   * @param {Function} handler - async (data, job) => result
+   * @param {Object} [options] - { maxAttempts, backoffMs, lockTimeoutMs }
+   */
+  static register(name, handler, options = {}) {
+    handlers.set(name, { handler, options });
+  }
+
+  // ==========================================
+  // PRODUCERS
+  // ==========================================
+
+  /**
+   * Add a job to the queue
+   * @param {string} name - One of JOB_TYPES
+   * @param {Object} [data] - JSON-serialisable payload passed to the handler
+   * @param {Object} [options] - { jobId, runAt, delayMs, organizationId, maxAttempts }
+   * @returns {Promise<Object>} The stored job, or the existing one when jobId was already queued
+   */
+  static async add(name, data = {}, options = {}) {
+    const registered = handlers.get(name)?.options || {};
+    const now = Date.now();
+    const runAt = resolveRunAt(options);
+
+    const job = {
+      id: options.jobId || crypto.randomUUID(),
+      name,
+      data,
+      organizationId: options.organizationId || null,
+      attempts: 0,
+      maxAttempts: options.maxAttempts || registered.maxAttempts || config.jobQueue.maxAttempts,
+      backoffMs: registered.backoffMs || config.jobQueue.backoffMs,
+      runAt: new Date(runAt).toISOString(),
+      createdAt: new Date(now).toISOString(),
+      lastError: null,
+    };
+
+    const added = await redis.jobQueueEnqueue(
+      keys.job(job.id), keys.delayed, keys.waiting,
+      JSON.stringify(job), job.id, runAt, now
+    );
+
+    if (!added) {
+      console.log(`ℹ️ Job ${job.id} already queued, skipping duplicate`);
+      return this.getJob(job.id);
+    }
+
+    console.log(`📥 Queued ${name} job ${job.id}${runAt > now ? ` for ${job.runAt}` : ''}`);
+    return job;
+  }
+
+  /**
+   * Add a job, falling back to an in-process timer when Redis is unreachable.
+   * For work that must not be lost or fail its caller (payment follow-ups, cron runs).
+   * @returns {Promise<Object|null>} The stored job, or null when it ran in-process
+   */
+  static async dispatch(name, data = {}, options = {}) {
+    try {
+      return await this.add(name, data, options);
+    } catch (error) {
+      console.error(`❌ Could not queue ${name} job, running it in-process:`, error.message);
+      const delayMs = Math.min(Math.max(resolveRunAt(options) - Date.now(), 0), MAX_TIMER_MS);
+      setTimeout(() => this.runInline(name, data), delayMs);
+      return null;
+    }
+  }
+
+  static async runInline(name, data) {
+    const registered = handlers.get(name);
+    if (!registered) {
+      console.error(`❌ No handler registered for ${name} jobs`);
+      return;
+    }
+
+    try {
+      await registered.handler(data, { id: null, name, data, attempts: 1 });
+    } catch (error) {
+      console.error(`❌ In-process ${name} job failed:`, error);
+    }
+  }
+
+  /**
+   * Job id for a cron run, unique per calendar day so every instance's
+   * scheduler enqueues the same job and it runs once
+   */
+  static dailyJobId(name, timeZone = 'Asia/Kolkata') {
+    const day = new Intl.DateTimeFormat('en-CA', { timeZone }).format(new Date());
+    return `${name}:${day}`;
+  }
+
+  /**
+   * Job id for a cron run that repeats within the day, unique per interval slot
+   */
+  static intervalJobId(name, intervalMs) {
+    return `${name}:${Math.floor(Date.now() / intervalMs)}`;
+  }
+
+  // ==========================================
+  // ADMIN VIEW
+  // ==========================================
+
+  static async getJob(jobId) {
+    const stored = await redis.get(keys.job(jobId));
+    return stored ? JSON.parse(stored) : null;
+  }
+
+  static async getJobState(jobId) {
+    const [[, delayed], [, active], [, failed], [, waiting]] = await redis.multi()
+      .zscore(keys.delayed, jobId)
+      .zscore(keys.active, jobId)
+      .zscore(keys.failed, jobId)
+      .lpos(keys.waiting, jobId)
+      .exec();
+
+    if (delayed !== null) return JOB_STATES.DELAYED;
+    if (active !== null) return JOB_STATES.ACTIVE;
+    if (failed !== null) return JOB_STATES.FAILED;
+    if (waiting !== null) return JOB_STATES.WAITING;
+    return null;
+  }
+
+  static async getJobIds(state) {
+    switch (state) {
+      case JOB_STATES.DELAYED:
+        return redis.zrange(keys.delayed, 0, LIST_SCAN_LIMIT - 1);
+      case JOB_STATES.WAITING:
+        return redis.lrange(keys.waiting, 0, LIST_SCAN_LIMIT - 1);
+      case JOB_STATES.ACTIVE:
+        return redis.zrange(keys.active, 0, LIST_SCAN_LIMIT - 1);
+      case JOB_STATES.FAILED:
+        return redis.zrevrange(keys.failed, 0, LIST_SCAN_LIMIT - 1);
+      default:
+        throw jobError(`Unknown job state: ${state}`, 400, 'INVALID_JOB_STATE');
+    }
+  }
+
+  /**
+   * List jobs in one state (newest failures first, soonest delayed jobs first)
+   * @param {string} state - One of JOB_STATES
+   * @param {Object} [filters] - { organizationId, names, page, limit }; organizationId undefined lists every tenant
+   * @returns {Promise<Object>} { jobs, total }
+   */
+  static async listJobs(state, filters = {}) {
+    const { organizationId, names, page = 1, limit = 20 } = filters;
+    const ids = await this.getJobIds(state);
+
+    if (ids.length === 0) {
+      return { jobs: [], total: 0 };
+    }
+
+    const stored = await redis.mget(ids.map(keys.job));
+    const jobs = stored
+      .filter(Boolean)
+      .map((value) => ({ ...JSON.parse(value), state }))
+      .filter((job) => organizationId === undefined || job.organizationId === organizationId)
+      .filter((job) => !names || names.includes(job.name));
+
+    const offset = (page - 1) * limit;
+    return {
+      jobs: jobs.slice(offset, offset + limit),
+      total: jobs.length,
+    };
+  }
+
+  /**
+   * Count jobs per state
+   * @param {string|null} [organizationId] - undefined counts every tenant
+   */
+  static async getStats(organizationId) {
+    const states = Object.values(JOB_STATES);
+
+    if (organizationId === undefined) {
+      const [[, delayed], [, waiting], [, active], [, failed]] = await redis.multi()
+        .zcard(keys.delayed)
+        .llen(keys.waiting)
+        .zcard(keys.active)
+        .zcard(keys.failed)
+        .exec();
+      return { delayed, waiting, active, failed };
+    }
+
+    const counts = await Promise.all(
+      states.map((state) => this.listJobs(state, { organizationId, limit: 0 }))
+    );
+    return states.reduce((stats, state, index) => {
+      stats[state] = counts[index].total;
+      return stats;
+    }, {});
+  }
+
+  /**
+   * Move a dead-lettered job back to the queue with a fresh set of attempts
+   */
+  static async retryJob(jobId) {
+    const job = await this.getJob(jobId);
+    if (!job || !(await redis.zrem(keys.failed, jobId))) {
+      throw jobError('Failed job not found', 404, 'JOB_NOT_FOUND');
+    }
+
+    const retried = { ...job, attempts: 0, runAt: new Date().toISOString(), failedAt: null };
+    await redis.multi()
+      .set(keys.job(jobId), JSON.stringify(retried))
+      .rpush(keys.waiting, jobId)
+      .exec();
+
+    console.log(`🔁 Job ${jobId} (${job.name}) moved back to the queue`);
+    return retried;
+  }
+
+  /**
+   * Cancel a pending job or discard a failed one; running jobs cannot be removed
+   * @returns {Promise<boolean>} false when the job is not pending or failed
+   */
+  static async removeJob(jobId) {
+    const removed =
+      (await redis.zrem(keys.delayed, jobId)) ||
+      (await redis.lrem(keys.waiting, 0, jobId)) ||
+      (await redis.zrem(keys.failed, jobId));
+
+    if (!removed) {
+      return false;
+    }
+
+    await redis.del(keys.job(jobId));
+    console.log(`🗑️ Job ${jobId} removed from the queue`);
+    return true;
+  }
+
+  // ==========================================
+  // WORKER
+  // ==========================================
+
+  /**
+   * Start polling for jobs. Must be called outside a request so jobs never
+   * inherit a request's tenant context.
+   */
+  static startWorker() {
+    if (worker.running) {
+      return;
+    }
+
+    worker.running = true;
+    this.scheduleTick(0);
+    console.log(`✅ Job queue worker started (concurrency ${config.jobQueue.concurrency})`);
+  }
+
+  /**
+   * Stop polling and give running jobs a moment to finish; anything still
+   * running is picked up again once its lock expires
+   */
+  static async stopWorker(timeoutMs = 10000) {
+    worker.running = false;
+    clearTimeout(worker.timer);
+
+    const deadline = Date.now() + timeoutMs;
+    while (worker.activeCount > 0 && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 200));
+    }
+  }
+
+  static scheduleTick(delayMs) {
+    if (worker.running) {
+      worker.timer = setTimeout(() => this.tick(), delayMs);
+    }
+  }
+
+  static async tick() {
+    let delayMs = config.jobQueue.pollIntervalMs;
+
+    try {
+      await this.purgeExpiredFailures();
+
+      while (worker.running && worker.activeCount < config.jobQueue.concurrency) {
+        const now = Date.now();
+        const lockedUntil = now + config.jobQueue.lockTimeoutMs;
+        const jobId = await redis.jobQueueClaim(
+          keys.delayed, keys.waiting, keys.active,
+          now, lockedUntil
+        );
+
+        if (!jobId) {
+          break;
+        }
+
+        worker.activeCount += 1;
+        this.processJob(jobId, lockedUntil).finally(() => {
+          worker.activeCount -= 1;
+        });
+      }
+    } catch (error) {
+      console.error('❌ Job queue poll failed:', error.message);
+      delayMs *= 10;
+    }
+
+    this.scheduleTick(delayMs);
+  }
+
+  /**
+   * Run a claimed job
+   * @param {string} jobId
+   * @param {number} lockedUntil - Lock expiry set when the job was claimed
+   */
+  static async processJob(jobId, lockedUntil) {
+    try {
+      const job = await this.getJob(jobId);
+
+      if (!job) {
+        await redis.zrem(keys.active, jobId);
+        return;
+      }
+
+      // The previous attempt's worker died mid-run
+      if (job.attempts >= job.maxAttempts) {
+        await this.moveToFailed(job, job.lastError || 'Worker stopped while the job was running', lockedUntil);
+        return;
+      }
+
+      const registered = handlers.get(job.name);
+      if (!registered) {
+        await this.moveToFailed(job, `No handler registered for ${job.name}`, lockedUntil);
+        return;
+      }
+
+      job.attempts += 1;
+      job.startedAt = new Date().toISOString();
+      await redis.set(keys.job(jobId), JSON.stringify(job));
+
+      const heartbeat = await this.startHeartbeat(
+        job,
+        lockedUntil,
+        registered.options.lockTimeoutMs || config.jobQueue.lockTimeoutMs
+      );
+
+      let failure = null;
+      try {
+        await registered.handler(job.data, job);
+      } catch (error) {
+        failure = error || new Error('Job handler failed');
+      }
+
+      const heldUntil = await heartbeat.stop();
+      if (failure) {
+        await this.handleFailure(job, failure, heldUntil);
+      } else {
+        await this.complete(job, heldUntil);
+      }
+    } catch (error) {
+      // Redis went away mid-job; the lock expires and the job runs again
+      console.error(`❌ Job ${jobId} bookkeeping failed:`, error.message);
+    }
+  }
+
+  /**
+   * Take the handler's lock timeout right away, then keep renewing it while the
+   * handler runs so a long job is never handed to a second worker
+   * @returns {Promise<Object>} { stop } - stop() resolves to the lock expiry last set
+   */
+  static async startHeartbeat(job, lockedUntil, lockTimeoutMs) {
+    const heartbeat = { lockedUntil, lost: false, stopped: false, timer: null, renewing: null };
+
+    const extend = async () => {
+      const extendedUntil = Date.now() + lockTimeoutMs;
+      try {
+        const extended = await redis.jobQueueExtendLock(
+          keys.active, job.id, heartbeat.lockedUntil, extendedUntil
+        );
+
+        if (extended) {
+          heartbeat.lockedUntil = extendedUntil;
+        } else if (!heartbeat.lost && !heartbeat.stopped) {
+          heartbeat.lost = true;
+          console.warn(`⚠️ Job ${job.id} (${job.name}) lost its lock; another worker may run it again`);
+        }
+      } catch (error) {
+        // Redis blips are retried on the next beat, well before the lock runs out
+        console.error(`❌ Job ${job.id} lock renewal failed:`, error.message);
+      }
+    };
+
+    const renew = () => {
+      heartbeat.renewing = extend();
+      return heartbeat.renewing;
+    };
+
+    await renew();
+    heartbeat.timer = setInterval(renew, Math.floor(lockTimeoutMs / 3));
+
+    return {
+      stop: async () => {
+        heartbeat.stopped = true;
+        clearInterval(heartbeat.timer);
+        // A renewal in flight may still move the lock
+        await heartbeat.renewing;
+        return heartbeat.lockedUntil;
+      },
+    };
+  }
+
+  /**
+   * Record a job's outcome while this worker still holds the lock taken at
+   * lockedUntil. Once the lock is lost another worker owns the job, so the
+   * outcome is dropped rather than overwriting that worker's state.
+   * @param {Object} [target] - { ttlSeconds, queueKey, score } sorted set to add the job to
+   * @returns {Promise<boolean>} false when the lock was lost
+   */
+  static async finish(job, lockedUntil, stored, { ttlSeconds = 0, queueKey = keys.failed, score = '' } = {}) {
+    const finished = await redis.jobQueueFinish(
+      keys.active, keys.job(job.id), queueKey,
+      job.id, lockedUntil, JSON.stringify(stored), ttlSeconds, score
+    );
+
+    if (!finished) {
+      console.warn(`⚠️ Job ${job.id} (${job.name}) lost its lock; outcome of attempt ${job.attempts} dropped`);
+    }
+    return Boolean(finished);
+  }
+
+  static async complete(job, lockedUntil) {
+    const completed = { ...job, completedAt: new Date().toISOString() };
+
+    if (await this.finish(job, lockedUntil, completed, { ttlSeconds: config.jobQueue.completedTtlSeconds })) {
+      console.log(`✅ Job ${job.id} (${job.name}) completed`);
+    }
+  }
+
+  static async handleFailure(job, error, lockedUntil) {
+    job.lastError = error.message;
+
+    if (job.attempts >= job.maxAttempts) {
+      await this.moveToFailed(job, error.message, lockedUntil);
+      return;
+    }
+
+    const retryAt = Date.now() + job.backoffMs * 2 ** (job.attempts - 1);
+    job.runAt = new Date(retryAt).toISOString();
+
+    if (await this.finish(job, lockedUntil, job, { queueKey: keys.delayed, score: retryAt })) {
+      console.warn(`⚠️ Job ${job.id} (${job.name}) failed attempt ${job.attempts}/${job.maxAttempts}, retrying at ${job.runAt}:`, error.message);
+    }
+  }
+
+  static async moveToFailed(job, reason, lockedUntil) {
+    const failedAt = Date.now();
+    const failed = { ...job, lastError: reason, failedAt: new Date(failedAt).toISOString() };
+
+    if (!(await this.finish(job, lockedUntil, failed, { queueKey: keys.failed, score: failedAt }))) {
+      return;
+    }
+
+    console.error(`❌ Job ${job.id} (${job.name}) moved to dead letter after ${job.attempts} attempt(s): ${reason}`);
+  }
+
+  static async purgeExpiredFailures() {
+    if (Date.now() - worker.lastPurgeAt < PURGE_INTERVAL_MS) {
+      return;
+    }
+    worker.lastPurgeAt = Date.now();
+
+    const cutoff = Date.now() - config.jobQueue.failedRetentionDays * 24 * 60 * 60 * 1000;
+    const expired = await redis.zrangebyscore(keys.failed, '-inf', cutoff);
+
+    if (expired.length > 0) {
+      await redis.multi()
+        .zrem(keys.failed, ...expired)
+        .del(...expired.map(keys.job))
+        .exec();
+      console.log(`🧹 Purged ${expired.length} expired dead-letter jobs`);
+    }
+  }
+}
+
+module.exports = {
+  JobQueueService,
+  JOB_TYPES,
+  JOB_STATES,
+};
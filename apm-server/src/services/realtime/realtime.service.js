@@ -0,0 +1,367 @@
+// src/services/realtime/realtime.service.js
+// Realtime gateway: authenticated server-sent event streams with topic subscriptions,
+// fanned out to every instance over Redis pub/sub
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../../config');
+const { prisma } = require('../../config/database');
+const { redis } = require('../../config/redis');
+const SessionService = require('../auth/session.service');
+
+const CHANNEL = 'realtime:events';
+
+/**
+ * Event names sent on the stream
+ */
+const REALTIME_EVENTS = {
+  READY: 'ready',
+  NOTIFICATION_CREATED: 'notification.created',
+  NOTIFICATION_READ: 'notification.read',
+  TICKET_MESSAGE: 'ticket.message',
+  TICKET_TYPING: 'ticket.typing',
+  CHECKIN_COUNT: 'checkin.count',
+  POLL_RESULTS: 'poll.results',
+  PAYMENT_STATUS: 'payment.status',
+};
+
+// Same role the ticket and live check-in endpoints require for admin access
+const ADMIN_ROLES = ['SUPER_ADMIN'];
+
+// Topics a client can ask for; every connection also gets its own user:<id> topic
+const TOPIC_PATTERN = /^(ticket|poll|checkin):([A-Za-z0-9_-]{1,64})$/;
+
+// Per-instance state; other instances see the same events through Redis
+const state = {
+  subscriber: null,
+  heartbeat: null,
+  connections: new Map(), // connectionId -> connection
+  topics: new Map(), // topic -> Set of connectionIds
+};
+
+const realtimeError = (message, statusCode, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+const sameOrganization = (organizationId, user) =>
+  user.role === 'DEVELOPER' || organizationId === user.organizationId;
+
+// Who may subscribe to each topic kind (the id is the ticket, poll or event id)
+const topicAuthorizers = {
+  // Ticket owner, or a support admin of the ticket's organization
+  ticket: async (ticketId, user) => {
+    const ticket = await prisma.ticket.findUnique({
+      where: { id: ticketId },
+      select: { userId: true, organizationId: true }
+    });
+    return !!ticket && sameOrganization(ticket.organizationId, user) &&
+      (ticket.userId === user.id || user.isAdmin);
+  },
+
+  // Any member of the poll's organization
+  poll: async (pollId, user) => {
+    const poll = await prisma.poll.findUnique({
+      where: { id: pollId },
+      select: { organizationId: true }
+    });
+    return !!poll && sameOrganization(poll.organizationId, user);
+  },
+
+  // Live check-in counter, admins only (same as GET /api/events/:eventId/live-checkin-count)
+  checkin: async (eventId, user) => {
+    if (!user.isAdmin) return false;
+    const event = await prisma.event.findUnique({
+      where: { id: eventId },
+      select: { organizationId: true }
+    });
+    return !!event && sameOrganization(event.organizationId, user);
+  },
+};
+
+const writeEvent = (connection, event, data, id = null) => {
+  connection.res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+class RealtimeService {
+  static userTopic(userId) {
+    return `user:${userId}`;
+  }
+
+  static ticketTopic(ticketId) {
+    return `ticket:${ticketId}`;
+  }
+
+  static pollTopic(pollId) {
+    return `poll:${pollId}`;
+  }
+
+  static checkInTopic(eventId) {
+    return `checkin:${eventId}`;
+  }
+
+  // ==========================================
+  // LIFECYCLE
+  // ==========================================
+
+  /**
+   * Subscribe to the shared Redis channel and start heartbeats
+   */
+  static async start() {
+    if (state.subscriber) {
+      return;
+    }
+
+    // Subscribed connections can't run other commands, so this needs its own
+    state.subscriber = redis.duplicate();
+    state.subscriber.on('message', (channel, raw) => {
+      if (channel !== CHANNEL) return;
+      try {
+        this.deliver(JSON.parse(raw));
+      } catch (error) {
+        console.error('Realtime message delivery failed:', error);
+      }
+    });
+
+    state.heartbeat = setInterval(() => {
+      for (const connection of state.connections.values()) {
+        connection.res.write(': ping\n\n');
+      }
+    }, config.realtime.heartbeatSeconds * 1000);
+    state.heartbeat.unref();
+
+    try {
+      await state.subscriber.subscribe(CHANNEL);
+      console.log('✅ Realtime gateway subscribed to Redis');
+    } catch (error) {
+      // Streams still work for events published by this instance
+      console.error('❌ Realtime gateway could not subscribe to Redis:', error);
+    }
+  }
+
+  /**
+   * Close every open stream (clients reconnect to another instance) and unsubscribe
+   */
+  static async stop() {
+    clearInterval(state.heartbeat);
+    state.heartbeat = null;
+
+    for (const connection of state.connections.values()) {
+      connection.res.end();
+    }
+    state.connections.clear();
+    state.topics.clear();
+
+    if (state.subscriber) {
+      const subscriber = state.subscriber;
+      state.subscriber = null;
+      await subscriber.quit().catch(() => subscriber.disconnect());
+    }
+  }
+
+  // ==========================================
+  // STREAM TICKETS
+  // ==========================================
+
+  /**
+   * Short-lived ticket for opening a stream. EventSource can't send an Authorization
+   * header or X-Tenant-Code, so the stream URL carries this instead of the access token.
+   * @param {Object} user - req.user
+   * @returns {Object} { ticket, expiresIn }
+   */
+  static issueTicket(user) {
+    const expiresIn = config.realtime.ticketTtlSeconds;
+    const ticket = jwt.sign(
+      { type: 'realtime', userId: user.id, sid: user.sessionId || undefined },
+      config.jwt.secret,
+      { expiresIn }
+    );
+
+    return { ticket, expiresIn };
+  }
+
+  /**
+   * Resolve a stream ticket to its user; the session must still be signed in
+   */
+  static async authenticate(ticket) {
+    let decoded;
+    try {
+      decoded = jwt.verify(ticket, config.jwt.secret);
+    } catch {
+      throw realtimeError('Stream ticket is invalid or has expired', 401, 'REALTIME_TICKET_INVALID');
+    }
+
+    // Access, 2FA and step-up tokens share the secret but can't open streams
+    if (decoded.type !== 'realtime') {
+      throw realtimeError('Stream ticket is invalid or has expired', 401, 'REALTIME_TICKET_INVALID');
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId },
+      select: { id: true, fullName: true, role: true, isActive: true, organizationId: true }
+    });
+
+    if (!user || !user.isActive) {
+      throw realtimeError('Account is not active', 403, 'REALTIME_USER_INACTIVE');
+    }
+
+    if (decoded.sid && !(await SessionService.isSessionActive(decoded.sid, user.id))) {
+      throw realtimeError('Session has been signed out', 401, 'SESSION_REVOKED');
+    }
+
+    return { ...user, isAdmin: ADMIN_ROLES.includes(user.role) };
+  }
+
+  // ==========================================
+  // CONNECTIONS
+  // ==========================================
+
+  /**
+   * Check which requested topics the user may follow
+   * @param {Object} user - From authenticate()
+   * @param {string} topicList - Comma-separated, e.g. "ticket:abc,poll:xyz"
+   * @returns {Promise<Object>} { granted, denied }
+   */
+  static async authorizeTopics(user, topicList = '') {
+    const requested = [...new Set(String(topicList).split(',').map(topic => topic.trim()).filter(Boolean))];
+
+    if (requested.length > config.realtime.maxTopicsPerConnection) {
+      throw realtimeError(
+        `At most ${config.realtime.maxTopicsPerConnection} topics per stream`,
+        400,
+        'REALTIME_TOO_MANY_TOPICS'
+      );
+    }
+
+    const granted = [];
+    const denied = [];
+
+    for (const topic of requested) {
+      const match = TOPIC_PATTERN.exec(topic);
+      const allowed = match ? await topicAuthorizers[match[1]](match[2], user) : false;
+      (allowed ? granted : denied).push(topic);
+    }
+
+    return { granted, denied };
+  }
+
+  /**
+   * Turn the response into an event stream for the user and their topics
+   * @param {Object} req - Express request (closing it ends the stream)
+   * @param {Object} res - Express response
+   * @param {Object} user - From authenticate()
+   * @param {Object} topics - From authorizeTopics()
+   */
+  static open(req, res, user, { granted = [], denied = [] } = {}) {
+    const userConnections = [...state.connections.values()].filter(connection => connection.userId === user.id);
+    if (userConnections.length >= config.realtime.maxConnectionsPerUser) {
+      throw realtimeError('Too many open streams for this account', 429, 'REALTIME_TOO_MANY_STREAMS');
+    }
+
+    const connection = {
+      id: crypto.randomUUID(),
+      userId: user.id,
+      organizationId: user.organizationId,
+      role: user.role,
+      isAdmin: user.isAdmin,
+      topics: [this.userTopic(user.id), ...granted],
+      res
+    };
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Stop nginx buffering the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${config.realtime.retryMs}\n\n`);
+
+    state.connections.set(connection.id, connection);
+    for (const topic of connection.topics) {
+      if (!state.topics.has(topic)) state.topics.set(topic, new Set());
+      state.topics.get(topic).add(connection.id);
+    }
+
+    writeEvent(connection, REALTIME_EVENTS.READY, { connectionId: connection.id, topics: connection.topics, denied });
+
+    // Bounded lifetime so revoked sessions and role changes take effect on reconnect
+    const lifetime = setTimeout(() => res.end(), config.realtime.maxStreamMinutes * 60 * 1000);
+    lifetime.unref();
+
+    req.on('close', () => {
+      clearTimeout(lifetime);
+      this.close(connection.id);
+    });
+
+    return connection;
+  }
+
+  static close(connectionId) {
+    const connection = state.connections.get(connectionId);
+    if (!connection) return;
+
+    state.connections.delete(connectionId);
+    for (const topic of connection.topics) {
+      const subscribers = state.topics.get(topic);
+      subscribers?.delete(connectionId);
+      if (subscribers?.size === 0) state.topics.delete(topic);
+    }
+  }
+
+  // ==========================================
+  // PUBLISHING
+  // ==========================================
+
+  /**
+   * Publish one event to a topic on every instance
+   * @param {string} topic - e.g. RealtimeService.ticketTopic(id)
+   * @param {string} event - REALTIME_EVENTS value
+   * @param {Object} data - Event payload (JSON)
+   * @param {Object} options - { organizationId, adminsOnly, excludeUserId }
+   */
+  static async publish(topic, event, data, options = {}) {
+    return this.publishMany([{ topic, event, data, ...options }]);
+  }
+
+  /**
+   * Publish several events in one Redis message (bulk notifications).
+   * Never throws: realtime delivery is best-effort and must not fail the caller.
+   */
+  static async publishMany(messages) {
+    if (messages.length === 0) return;
+
+    const envelopes = messages.map(message => ({ id: crypto.randomUUID(), ...message }));
+
+    try {
+      await redis.publish(CHANNEL, JSON.stringify(envelopes));
+    } catch (error) {
+      console.error('Realtime publish failed, delivering locally only:', error.message);
+      this.deliver(envelopes);
+    }
+  }
+
+  /**
+   * Write events to this instance's matching streams
+   */
+  static deliver(envelopes) {
+    for (const envelope of envelopes) {
+      const subscribers = state.topics.get(envelope.topic);
+      if (!subscribers) continue;
+
+      for (const connectionId of subscribers) {
+        const connection = state.connections.get(connectionId);
+        if (!connection) continue;
+        if (envelope.adminsOnly && !connection.isAdmin) continue;
+        if (envelope.excludeUserId && envelope.excludeUserId === connection.userId) continue;
+        if (envelope.organizationId && !sameOrganization(envelope.organizationId, connection)) continue;
+
+        writeEvent(connection, envelope.event, envelope.data, envelope.id);
+      }
+    }
+  }
+}
+
+module.exports = { RealtimeService, REALTIME_EVENTS };
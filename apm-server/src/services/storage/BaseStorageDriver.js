@@ -0,0 +1,94 @@
+// src/services/storage/BaseStorageDriver.js
+// Contract every storage backend behind cloudflare-r2.service.js must implement
+
+class BaseStorageDriver {
+  constructor(config = {}) {
+    this.config = config;
+    this.publicUrl = config.publicUrl ? config.publicUrl.replace(/\/+$/, '') : '';
+  }
+
+  /**
+   * Store a file under the given key
+   * @param {string} key - Full object key (already tenant-prefixed)
+   * @param {Object} file - Multer-style file object with buffer
+   * @param {Object} metadata - Extra metadata to persist with the object
+   * @returns {Promise<Object>} { key, url, etag }
+   */
+  async upload(key, file, metadata = {}) {
+    throw new Error('upload method must be implemented by storage driver');
+  }
+
+  async delete(key) {
+    throw new Error('delete method must be implemented by storage driver');
+  }
+
+  async getSignedUrl(key, expiresIn = 3600) {
+    throw new Error('getSignedUrl method must be implemented by storage driver');
+  }
+
+  async getFileInfo(key) {
+    throw new Error('getFileInfo method must be implemented by storage driver');
+  }
+
+  /**
+   * Read a file into memory
+   * @returns {Promise<Object>} { data, contentType, size, lastModified }
+   */
+  async getFile(key) {
+    throw new Error('getFile method must be implemented by storage driver');
+  }
+
+  isConfigured() {
+    throw new Error('isConfigured method must be implemented by storage driver');
+  }
+
+  async testConnection() {
+    throw new Error('testConnection method must be implemented by storage driver');
+  }
+
+  /**
+   * Build the stored URL for a key
+   */
+  getPublicUrl(key) {
+    return `${this.publicUrl}/${key}`;
+  }
+
+  /**
+   * Whether a stored URL was produced by this driver
+   */
+  ownsUrl(url) {
+    return this.parseOwnedUrl(url) !== null;
+  }
+
+  /**
+   * Reverse of getPublicUrl()
+   */
+  getKeyFromUrl(url) {
+    return this.parseOwnedUrl(url);
+  }
+
+  /**
+   * Key of a URL on publicUrl's origin and under its path, or null. Compared as
+   * parsed URLs so look-alike hosts and sibling paths never match; the query
+   * (local signatures) is dropped and the path decoded.
+   */
+  parseOwnedUrl(url) {
+    if (!url || !this.publicUrl) return null;
+
+    try {
+      const parsed = new URL(url);
+      const base = new URL(this.publicUrl);
+      const prefix = `${base.pathname.replace(/\/+$/, '')}/`;
+
+      if (parsed.origin !== base.origin || !parsed.pathname.startsWith(prefix)) {
+        return null;
+      }
+
+      return decodeURIComponent(parsed.pathname.substring(prefix.length)) || null;
+    } catch {
+      return null;
+    }
+  }
+}
+
+module.exports = BaseStorageDriver;
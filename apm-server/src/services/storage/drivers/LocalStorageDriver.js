@@ -0,0 +1,139 @@
+// src/services/storage/drivers/LocalStorageDriver.js
+// Local filesystem storage driver for staging and on-prem deployments without R2
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const BaseStorageDriver = require('../BaseStorageDriver');
+
+const METADATA_SUFFIX = '.meta.json';
+
+class LocalStorageDriver extends BaseStorageDriver {
+  constructor(config = {}) {
+    super({
+      rootDir: config.rootDir || process.env.STORAGE_LOCAL_ROOT || './storage',
+      publicUrl:
+        config.publicUrl ||
+        process.env.STORAGE_LOCAL_PUBLIC_URL ||
+        `http://localhost:${process.env.PORT || 3000}/api/storage/files`,
+      signingSecret: config.signingSecret || process.env.STORAGE_LOCAL_SIGNING_SECRET || process.env.JWT_SECRET,
+    });
+
+    this.name = 'LOCAL';
+    this.rootDir = path.resolve(this.config.rootDir);
+  }
+
+  /**
+   * Resolve a key to an absolute path, refusing anything outside rootDir
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  }
+
+  readMetadata(filePath) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath + METADATA_SUFFIX, 'utf8'));
+    } catch {
+      return {};
+    }
+  }
+
+  async upload(key, file, metadata = {}) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, file.buffer);
+    await fs.promises.writeFile(
+      filePath + METADATA_SUFFIX,
+      JSON.stringify({ contentType: file.mimetype, metadata })
+    );
+
+    return {
+      key,
+      url: this.getPublicUrl(key),
+      etag: `"${crypto.createHash('md5').update(file.buffer).digest('hex')}"`,
+    };
+  }
+
+  async delete(key) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.rm(filePath, { force: true });
+    await fs.promises.rm(filePath + METADATA_SUFFIX, { force: true });
+  }
+
+  signKey(key, expires) {
+    return crypto
+      .createHmac('sha256', this.config.signingSecret || '')
+      .update(`${key}:${expires}`)
+      .digest('hex');
+  }
+
+  async getSignedUrl(key, expiresIn = 3600) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const signature = this.signKey(key, expires);
+    return `${this.getPublicUrl(key)}?expires=${expires}&signature=${signature}`;
+  }
+
+  /**
+   * Check a signature produced by getSignedUrl()
+   */
+  verifySignedUrl(key, expires, signature) {
+    if (!expires || !signature || Number(expires) < Math.floor(Date.now() / 1000)) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.signKey(key, Number(expires)));
+    const provided = Buffer.from(String(signature));
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  }
+
+  async getFileInfo(key) {
+    const filePath = this.resolvePath(key);
+    const stats = await fs.promises.stat(filePath);
+    const { contentType, metadata } = this.readMetadata(filePath);
+
+    return {
+      key,
+      size: stats.size,
+      contentType: contentType || 'application/octet-stream',
+      lastModified: stats.mtime,
+      metadata: metadata || {},
+    };
+  }
+
+  async getFile(key) {
+    const filePath = this.resolvePath(key);
+    const [data, stats] = await Promise.all([
+      fs.promises.readFile(filePath),
+      fs.promises.stat(filePath),
+    ]);
+    const { contentType } = this.readMetadata(filePath);
+
+    return {
+      data,
+      contentType: contentType || 'application/octet-stream',
+      size: stats.size,
+      lastModified: stats.mtime,
+    };
+  }
+
+  isConfigured() {
+    return !!this.config.signingSecret;
+  }
+
+  async testConnection() {
+    try {
+      await fs.promises.mkdir(this.rootDir, { recursive: true });
+      await fs.promises.access(this.rootDir, fs.constants.W_OK);
+      return { success: true, message: `Local storage writable at ${this.rootDir}` };
+    } catch (error) {
+      console.error('Local storage connection test failed:', error);
+      return { success: false, message: error.message };
+    }
+  }
+}
+
+module.exports = LocalStorageDriver;
@@ -0,0 +1,157 @@
+// src/services/storage/drivers/R2StorageDriver.js
+// Cloudflare R2 (S3-compatible) storage driver
+
+const { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const BaseStorageDriver = require('../BaseStorageDriver');
+
+class R2StorageDriver extends BaseStorageDriver {
+  constructor(config = {}) {
+    super({
+      endpoint: config.endpoint || process.env.CLOUDFLARE_R2_ENDPOINT,
+      accessKeyId: config.accessKeyId || process.env.CLOUDFLARE_R2_ACCESS_KEY_ID,
+      secretAccessKey: config.secretAccessKey || process.env.CLOUDFLARE_R2_SECRET_ACCESS_KEY,
+      bucketName: config.bucketName || process.env.CLOUDFLARE_R2_BUCKET_NAME,
+      publicUrl: config.publicUrl || process.env.CLOUDFLARE_R2_PUBLIC_URL,
+    });
+
+    this.name = 'R2';
+    this.client = new S3Client({
+      region: 'auto',
+      endpoint: this.config.endpoint,
+      credentials: {
+        accessKeyId: this.config.accessKeyId,
+        secretAccessKey: this.config.secretAccessKey,
+      },
+    });
+
+    this.bucketName = this.config.bucketName;
+  }
+
+  async upload(key, file, metadata = {}) {
+    const command = new PutObjectCommand({
+      Bucket: this.bucketName,
+      Key: key,
+      Body: file.buffer,
+      ContentType: file.mimetype,
+      ContentLength: file.size,
+      Metadata: metadata,
+    });
+
+    const response = await this.client.send(command);
+
+    return {
+      key,
+      url: this.getPublicUrl(key),
+      etag: response.ETag,
+    };
+  }
+
+  async delete(key) {
+    const command = new DeleteObjectCommand({
+      Bucket: this.bucketName,
+      Key: key,
+    });
+
+    await this.client.send(command);
+  }
+
+  async getSignedUrl(key, expiresIn = 3600) {
+    const command = new GetObjectCommand({
+      Bucket: this.bucketName,
+      Key: key,
+    });
+
+    return getSignedUrl(this.client, command, { expiresIn });
+  }
+
+  async getFileInfo(key) {
+    const command = new GetObjectCommand({
+      Bucket: this.bucketName,
+      Key: key,
+    });
+
+    const response = await this.client.send(command);
+
+    return {
+      key,
+      size: response.ContentLength,
+      contentType: response.ContentType,
+      lastModified: response.LastModified,
+      metadata: response.Metadata,
+    };
+  }
+
+  async getFile(key) {
+    const command = new GetObjectCommand({
+      Bucket: this.bucketName,
+      Key: key,
+    });
+
+    const response = await this.client.send(command);
+
+    // Convert stream to buffer
+    const chunks = [];
+    for await (const chunk of response.Body) {
+      chunks.push(chunk);
+    }
+
+    return {
+      data: Buffer.concat(chunks),
+      contentType: response.ContentType || 'application/octet-stream',
+      size: response.ContentLength,
+      lastModified: response.LastModified,
+    };
+  }
+
+  isConfigured() {
+    return !!(
+      this.config.endpoint &&
+      this.config.accessKeyId &&
+      this.config.secretAccessKey &&
+      this.config.bucketName &&
+      this.config.publicUrl
+    );
+  }
+
+  async testConnection() {
+    try {
+      if (!this.isConfigured()) {
+        throw new Error('Cloudflare R2 is not properly configured');
+      }
+
+      // Try to read a sentinel object to test connection
+      const command = new GetObjectCommand({
+        Bucket: this.bucketName,
+        Key: 'test-connection', // This will likely fail, but it tests the connection
+      });
+
+      await this.client.send(command);
+
+      return { success: true, message: 'Connection successful' };
+    } catch (error) {
+      // Expected to fail for non-existent key, but connection errors will be different
+      if (error.name === 'NoSuchKey') {
+        return { success: true, message: 'Connection successful' };
+      }
+
+      console.error('Cloudflare R2 connection test failed:', error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * R2 keys are the URL path (the proxies have always resolved keys this way,
+   * including any bucket prefix that is part of CLOUDFLARE_R2_PUBLIC_URL)
+   */
+  getKeyFromUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      return decodeURIComponent(urlObj.pathname.substring(1)); // Remove leading slash
+    } catch {
+      return null;
+    }
+  }
+}
+
+module.exports = R2StorageDriver;
@@ -0,0 +1,30 @@
+// src/services/storage/index.js
+const BaseStorageDriver = require('./BaseStorageDriver');
+const R2StorageDriver = require('./drivers/R2StorageDriver');
+const LocalStorageDriver = require('./drivers/LocalStorageDriver');
+
+class StorageDriverFactory {
+  static create(driverType, config) {
+    switch (String(driverType).toLowerCase()) {
+      case 'r2':
+        return new R2StorageDriver(config);
+
+      case 'local':
+        return new LocalStorageDriver(config);
+
+      default:
+        throw new Error(`Unsupported storage driver: ${driverType}`);
+    }
+  }
+
+  static getAvailableDrivers() {
+    return ['R2', 'LOCAL'];
+  }
+}
+
+module.exports = {
+  StorageDriverFactory,
+  BaseStorageDriver,
+  R2StorageDriver,
+  LocalStorageDriver,
+};
@@ -4,11 +4,9 @@
 // Handles feature availability and access control
 // ==========================================
 
-const { PrismaClient } = require('@prisma/client');
+const { prisma } = require('../../config/database');
 const { CacheService } = require('../../config/redis');
 
-const prisma = new PrismaClient();
-
 // Default feature definitions (will be seeded to database)
 const DEFAULT_FEATURES = [
   // Core Features (always available)
@@ -4,11 +4,9 @@
 // Handles subscription lifecycle, plans, and billing
 // ==========================================
 
-const { PrismaClient } = require('@prisma/client');
+const { prisma } = require('../../config/database');
 const { CacheService } = require('../../config/redis');
 
-const prisma = new PrismaClient();
-
 class SubscriptionService {
 
   // ==========================================
@@ -251,7 +249,6 @@ class SubscriptionService {
       throw new Error('Subscription not found');
     }
 
-    const plan = subscription.plan;
     const now = new Date();
     let periodEnd;
 
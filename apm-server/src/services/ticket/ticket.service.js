@@ -7,6 +7,8 @@
 const { prisma } = require('../../config/database');
 const CacheService = require('../../config/redis');
 const { generateTicketNumber } = require('../../utils/ticketNumber.util');
+const TicketSlaService = require('./ticketSla.service');
+const { RealtimeService, REALTIME_EVENTS } = require('../realtime/realtime.service');
 
 class TicketService {
   // Fixed categories (no seeding needed)
@@ -133,6 +135,9 @@ class TicketService {
         }
       });
       
+      // Start the SLA clock from the matching policy
+      const slaFields = await TicketSlaService.applyPolicy(newTicket, tx);
+      
       // Add attachments if any
       if (attachments.length > 0) {
         await tx.ticketAttachment.createMany({
@@ -148,7 +153,7 @@ class TicketService {
         });
       }
       
-      return newTicket;
+      return { ...newTicket, ...slaFields };
     });
     
     // NO AUTOMATIC EMAIL - Only send if user requests
@@ -156,7 +161,7 @@ class TicketService {
     // Invalidate relevant caches
     await this.invalidateTicketCaches(userId, assignedToId);
     
-    return ticket;
+    return TicketSlaService.withSlaStatus(ticket);
   }
   
   static async getUserTickets(userId, filters = {}) {
@@ -265,7 +270,7 @@ class TicketService {
     ]);
     
     return {
-      tickets,
+      tickets: tickets.map(ticket => TicketSlaService.withSlaStatus(ticket)),
       pagination: {
         total,
         pages: Math.ceil(total / limit),
@@ -338,7 +343,7 @@ class TicketService {
       });
     }
     
-    return ticket;
+    return TicketSlaService.withSlaStatus(ticket);
   }
 
   // ==========================================
@@ -370,6 +375,11 @@ class TicketService {
       }
     });
     
+    // Category and priority decide which SLA policy applies
+    if (categoryId || priority) {
+      Object.assign(updatedTicket, await TicketSlaService.applyPolicy(updatedTicket));
+    }
+    
     // Invalidate caches
     await this.invalidateTicketCaches(userId, updatedTicket.assignedToId);
     
@@ -411,6 +421,9 @@ class TicketService {
         }
       });
       
+      // Reopened tickets get a fresh resolution target
+      await TicketSlaService.restartResolutionClock(ticketId, tx);
+      
       // Add reopen message
       await tx.ticketMessage.create({
         data: {
@@ -432,10 +445,10 @@ class TicketService {
     return updatedTicket;
   }
 
-  static async addMessage(ticketId, userId, message, attachments = []) {
+  static async addMessage(ticketId, userId, message, attachments = [], options = {}) {
     const ticket = await prisma.ticket.findUnique({
       where: { id: ticketId },
-      select: { userId: true, assignedToId: true, status: true }
+      select: { userId: true, assignedToId: true, status: true, firstRespondedAt: true, organizationId: true }
     });
     
     if (!ticket) {
@@ -457,7 +470,9 @@ class TicketService {
           ticketId,
           senderId: userId,
           message: message.trim(),
-          isFromAdmin
+          isFromAdmin,
+          // Set when the message arrived as an email reply
+          ...(options.emailMessageId && { emailMessageId: options.emailMessageId })
         },
         include: {
           sender: {
@@ -492,7 +507,9 @@ class TicketService {
         where: { id: ticketId },
         data: {
           lastActivity: new Date(),
-          ...statusUpdate
+          ...statusUpdate,
+          // First admin reply stops the first response SLA timer
+          ...(isFromAdmin && !ticket.firstRespondedAt && { firstRespondedAt: new Date() })
         }
       });
       
@@ -504,6 +521,14 @@ class TicketService {
     // Invalidate caches
     await this.invalidateTicketCaches(ticket.userId, ticket.assignedToId);
     
+    // Live update for anyone with the ticket open
+    await RealtimeService.publish(
+      RealtimeService.ticketTopic(ticketId),
+      REALTIME_EVENTS.TICKET_MESSAGE,
+      { ticketId, message: newMessage },
+      { organizationId: ticket.organizationId }
+    );
+    
     return newMessage;
   }
 
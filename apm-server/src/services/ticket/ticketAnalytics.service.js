@@ -1,5 +1,6 @@
 // src/services/ticketAnalytics.service.js
 const { prisma } = require('../../config/database');
+const TicketSlaService = require('./ticketSla.service');
 
 class TicketAnalyticsService {
   
@@ -259,6 +260,18 @@ class TicketAnalyticsService {
     }
   }
 
+  /**
+   * Get SLA compliance (first response and resolution targets met vs breached)
+   */
+  static async getSlaCompliance(days = 30) {
+    try {
+      return await TicketSlaService.getComplianceStats({ days });
+    } catch (error) {
+      console.error('SLA compliance error:', error);
+      throw new Error('Failed to calculate SLA compliance');
+    }
+  }
+
   /**
    * Cache key generators
    */
@@ -110,7 +110,8 @@ class TicketAuditService {
       SATISFACTION_RATED: `Satisfaction rated: ${details.satisfaction}`,
       REOPENED: `Ticket reopened. Reason: ${details.reason}`,
       CLOSED: 'Ticket was closed',
-      BULK_OPERATION: `Bulk operation: ${details.originalAction} (${details.bulkOperationSize} tickets)`
+      BULK_OPERATION: `Bulk operation: ${details.originalAction} (${details.bulkOperationSize} tickets)`,
+      SLA_ESCALATED: `SLA ${details.breachType === 'FIRST_RESPONSE' ? 'first response' : 'resolution'} target breached, escalated to level ${details.escalationLevel}`
     };
     
     return descriptions[actionType] || `Action performed: ${actionType}`;
@@ -1,6 +1,7 @@
 const { prisma } = require("../../config/database");
 const CacheService = require("../../config/redis");
 const TicketAuditService = require("./ticketAudit.service");
+const TicketSlaService = require("./ticketSla.service");
 const { v4: uuidv4 } = require("uuid");
 
 class TicketBulkService {
@@ -161,25 +162,29 @@ class TicketBulkService {
 				});
 				break;
 
-			case "CHANGE_PRIORITY":
-				await prisma.ticket.update({
+			case "CHANGE_PRIORITY": {
+				const updated = await prisma.ticket.update({
 					where: { id: ticketId },
 					data: {
 						priority: operationData.priority,
 						lastActivity: new Date(),
 					},
 				});
+				await TicketSlaService.applyPolicy(updated);
 				break;
+			}
 
-			case "CHANGE_CATEGORY":
-				await prisma.ticket.update({
+			case "CHANGE_CATEGORY": {
+				const updated = await prisma.ticket.update({
 					where: { id: ticketId },
 					data: {
 						categoryId: operationData.categoryId,
 						lastActivity: new Date(),
 					},
 				});
+				await TicketSlaService.applyPolicy(updated);
 				break;
+			}
 
 			case "CLOSE_WITH_RESOLUTION":
 				await prisma.ticket.update({
@@ -194,7 +199,7 @@ class TicketBulkService {
 				});
 				break;
 
-			case "ADD_TAG":
+			case "ADD_TAG": {
 				const ticket = await prisma.ticket.findUnique({
 					where: { id: ticketId },
 					select: { tags: true },
@@ -211,6 +216,7 @@ class TicketBulkService {
 					},
 				});
 				break;
+			}
 
 			default:
 				throw new Error(`Unsupported bulk operation type: ${operationType}`);
@@ -1,8 +1,6 @@
 // src/services/ticketExport.service.js
 const { prisma } = require('../../config/database');
 const PDFDocument = require('pdfkit');
-const fs = require('fs');
-const path = require('path');
 
 class TicketExportService {
   
@@ -0,0 +1,424 @@
+// src/services/ticket/ticketInboundEmail.service.js
+// Reply-by-email for support tickets: signed reply addresses on outgoing ticket
+// emails, and turning inbound replies into ticket messages
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { prisma } = require('../../config/database');
+const config = require('../../config');
+const { parseMessage, parseAddressList } = require('../../utils/mimeParser.util');
+const TicketService = require('./ticket.service');
+const TicketFileService = require('./ticketFile.service');
+const TicketAuditService = require('./ticketAudit.service');
+
+// Shown at the top of reply-enabled emails; everything below it in a reply is dropped
+const REPLY_MARKER = '##- Please type your reply above this line -##';
+
+const SIGNATURE_LENGTH = 20;
+const MAX_MESSAGE_LENGTH = 5000; // Same limit as messages posted in the app
+const UPLOAD_DIR = 'public/uploads/general';
+const ALLOWED_ATTACHMENT_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
+
+// Lines that start the quoted part of a reply in common mail clients
+const QUOTE_HEADER_PATTERNS = [
+  /^On\s.+wrote:\s*$/i, // Gmail / Apple Mail: "On Mon, 1 Jan 2024, Name <a@b.c> wrote:"
+  /^-{2,}\s*Original Message\s*-{2,}/i, // Outlook
+  /^-{2,}\s*Forwarded message\s*-{2,}/i,
+  /^_{10,}\s*$/, // Outlook web separator
+  /^From:\s.+$/i, // Outlook header block without a separator
+  /^Sent from my\s/i // Mobile signatures
+];
+
+const inboundError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class TicketInboundEmailService {
+
+  /**
+   * Reply-by-email is on once a receiving domain is configured
+   */
+  static isEnabled() {
+    return Boolean(config.inboundEmail.domain && config.inboundEmail.signingSecret);
+  }
+
+  static sign(ticketId, userId) {
+    return crypto
+      .createHmac('sha256', config.inboundEmail.signingSecret)
+      .update(`${ticketId}.${userId}`)
+      .digest('hex')
+      .slice(0, SIGNATURE_LENGTH);
+  }
+
+  /**
+   * Reply address for one recipient of one ticket:
+   * reply+<ticketId>.<userId>.<signature>@<domain>
+   */
+  static buildReplyAddress(ticketId, userId) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    const { localPart, domain } = config.inboundEmail;
+    return `${localPart}+${ticketId}.${userId}.${this.sign(ticketId, userId)}@${domain}`;
+  }
+
+  /**
+   * Options for EmailService.sendTicketEmail; empty when reply-by-email is off
+   */
+  static getReplyOptions(ticketId, userId) {
+    const replyTo = this.buildReplyAddress(ticketId, userId);
+    return replyTo ? { replyTo, replyMarker: REPLY_MARKER } : {};
+  }
+
+  /**
+   * Verify a reply address and return the ticket and user it was issued for
+   * @returns {{ ticketId: string, userId: string }|null}
+   */
+  static parseReplyAddress(address) {
+    if (!this.isEnabled() || !address) {
+      return null;
+    }
+
+    const { localPart, domain } = config.inboundEmail;
+    const [local, addressDomain] = address.toLowerCase().split('@');
+    if (addressDomain !== domain.toLowerCase()) {
+      return null;
+    }
+
+    const match = local.match(/^([^+]+)\+([a-z0-9]+)\.([a-z0-9]+)\.([a-f0-9]+)$/);
+    if (!match || match[1] !== localPart.toLowerCase()) {
+      return null;
+    }
+
+    const [, , ticketId, userId, signature] = match;
+    const expected = Buffer.from(this.sign(ticketId, userId));
+    const received = Buffer.from(signature);
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+
+    return { ticketId, userId };
+  }
+
+  /**
+   * Find the first valid reply address among the recipients of an email
+   */
+  static findReplyToken(email) {
+    const recipients = [...email.to, ...email.cc, ...email.deliveredTo];
+
+    for (const recipient of recipients) {
+      const token = this.parseReplyAddress(recipient.address);
+      if (token) {
+        return token;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Auto-replies (out of office, delivery reports) must never become messages,
+   * otherwise two auto-responders can loop through the ticket
+   */
+  static isAutoReply(email) {
+    const header = (name) => ((email.headers[name] || [])[0] || '').toLowerCase();
+
+    const autoSubmitted = header('auto-submitted');
+    if (autoSubmitted && autoSubmitted !== 'no') return true;
+    if (['bulk', 'junk', 'list', 'auto_reply'].includes(header('precedence'))) return true;
+    if (email.headers['x-autoreply'] || email.headers['x-autorespond']) return true;
+
+    return /^(mailer-daemon|postmaster)@/.test(email.from?.address || '');
+  }
+
+  // ==========================================
+  // BODY CLEANUP
+  // ==========================================
+
+  static htmlToText(html) {
+    return html
+      .replace(/<(style|script|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+      .replace(/<blockquote[\s\S]*$/i, '') // Quoted history in most HTML clients
+      .replace(/<div[^>]+class="?gmail_quote[\s\S]*$/i, '')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Keep only what the sender typed: drop everything from the reply marker,
+   * a client's quote header or the first quoted ("> ") line onwards, and a
+   * trailing "-- " signature
+   */
+  static stripQuotedText(text) {
+    const lines = text.replace(/\r\n/g, '\n').split('\n');
+    const kept = [];
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+
+      if (trimmed.includes(REPLY_MARKER)) break;
+      if (trimmed.startsWith('>')) break;
+      if (QUOTE_HEADER_PATTERNS.some(pattern => pattern.test(trimmed))) break;
+      if (line === '-- ' || trimmed === '--') break; // RFC 3676 signature separator
+
+      kept.push(line);
+    }
+
+    // Gmail wraps long "On ... wrote:" headers over two lines
+    const last = kept.length - 1;
+    if (last > 0 && /wrote:\s*$/i.test(kept[last]) && /^On\s/i.test(kept[last - 1].trim())) {
+      kept.splice(last - 1, 2);
+    }
+
+    return kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  static extractReplyText(email) {
+    const body = email.text !== null ? email.text : this.htmlToText(email.html || '');
+    const reply = this.stripQuotedText(body);
+
+    return reply.length > MAX_MESSAGE_LENGTH
+      ? `${reply.slice(0, MAX_MESSAGE_LENGTH - 1)}…`
+      : reply;
+  }
+
+  // ==========================================
+  // ATTACHMENTS
+  // ==========================================
+
+  /**
+   * Write accepted attachments to the same upload folder (and record shape) as
+   * message uploads from the app. Inline parts with a Content-ID are signature
+   * logos and other embedded images, not files the sender attached.
+   */
+  static async saveAttachments(emailAttachments) {
+    const { maxAttachmentBytes, maxAttachments } = config.inboundEmail;
+    const saved = [];
+    const skipped = [];
+
+    for (const attachment of emailAttachments) {
+      if (attachment.inline && attachment.contentId) continue;
+
+      if (!ALLOWED_ATTACHMENT_TYPES.includes(attachment.contentType)) {
+        skipped.push({ filename: attachment.filename, reason: 'type' });
+      } else if (attachment.size > maxAttachmentBytes) {
+        skipped.push({ filename: attachment.filename, reason: 'size' });
+      } else if (saved.length >= maxAttachments) {
+        skipped.push({ filename: attachment.filename, reason: 'count' });
+      } else {
+        const extension = path.extname(attachment.filename);
+        const baseName = path.basename(attachment.filename, extension);
+        const cleanBaseName = baseName.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 50);
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        const filename = `${cleanBaseName}_${uniqueSuffix}${extension}`;
+        const diskPath = path.join(UPLOAD_DIR, filename);
+
+        await fs.mkdir(UPLOAD_DIR, { recursive: true });
+        await fs.writeFile(diskPath, attachment.content);
+
+        saved.push({
+          filename,
+          originalName: attachment.filename,
+          fileSize: attachment.size,
+          mimeType: attachment.contentType,
+          filePath: diskPath.replace('uploads/', '')
+        });
+      }
+    }
+
+    return { saved, skipped };
+  }
+
+  static async removeFiles(attachments) {
+    await Promise.all(attachments.map(attachment =>
+      fs.unlink(path.join(UPLOAD_DIR, attachment.filename)).catch(() => {})
+    ));
+  }
+
+  // ==========================================
+  // INBOUND PROCESSING
+  // ==========================================
+
+  /**
+   * Build the parsed-email shape from a provider's already-parsed JSON payload:
+   * { from, to, cc, subject, messageId, text, html, headers,
+   *   attachments: [{ filename, contentType, content (base64), contentId, inline }] }
+   */
+  static fromFields(fields) {
+    const addresses = (value) => parseAddressList([].concat(value || []).map(String));
+    const headers = {};
+    for (const [name, value] of Object.entries(fields.headers || {})) {
+      headers[name.toLowerCase()] = [].concat(value).map(String);
+    }
+
+    return {
+      headers,
+      from: addresses(fields.from)[0] || null,
+      to: addresses(fields.to),
+      cc: addresses(fields.cc),
+      deliveredTo: addresses(fields.deliveredTo),
+      subject: fields.subject || '',
+      messageId: fields.messageId ? String(fields.messageId).trim().replace(/^<|>$/g, '') : null,
+      inReplyTo: null,
+      references: [],
+      date: null,
+      text: typeof fields.text === 'string' ? fields.text : null,
+      html: typeof fields.html === 'string' ? fields.html : null,
+      attachments: (fields.attachments || []).map(attachment => {
+        const content = Buffer.from(attachment.content || '', 'base64');
+        return {
+          filename: attachment.filename || 'attachment',
+          contentType: (attachment.contentType || 'application/octet-stream').toLowerCase(),
+          contentId: attachment.contentId || null,
+          inline: Boolean(attachment.inline),
+          size: content.length,
+          content
+        };
+      })
+    };
+  }
+
+  /**
+   * Turn an inbound email into a ticket message.
+   * Never throws for mail that simply can't be used (unknown address, wrong
+   * sender, closed ticket) - those come back as { status: 'ignored', reason }
+   * so the provider doesn't keep retrying them.
+   * @param {Buffer|string|Object} input - raw MIME, or an already parsed email
+   */
+  static async processInboundEmail(input) {
+    const email = Buffer.isBuffer(input) || typeof input === 'string' ? parseMessage(input) : input;
+
+    if (!email.from) {
+      throw inboundError('Email has no From address');
+    }
+
+    const ignore = (reason) => {
+      console.log(`📭 Inbound ticket email from ${email.from.address} ignored: ${reason}`);
+      return { status: 'ignored', reason };
+    };
+
+    if (!this.isEnabled()) return ignore('REPLY_BY_EMAIL_DISABLED');
+    if (this.isAutoReply(email)) return ignore('AUTO_REPLY');
+
+    const token = this.findReplyToken(email);
+    if (!token) return ignore('NO_VALID_REPLY_ADDRESS');
+
+    if (email.messageId) {
+      const existing = await prisma.ticketMessage.findUnique({
+        where: { emailMessageId: email.messageId },
+        select: { id: true, ticketId: true }
+      });
+      if (existing) {
+        return { status: 'duplicate', ticketId: existing.ticketId, messageId: existing.id };
+      }
+    }
+
+    const [ticket, user] = await Promise.all([
+      prisma.ticket.findUnique({
+        where: { id: token.ticketId },
+        select: { id: true, userId: true, status: true, organizationId: true }
+      }),
+      prisma.user.findUnique({
+        where: { id: token.userId },
+        select: { id: true, email: true, role: true, isActive: true }
+      })
+    ]);
+
+    if (!ticket) return ignore('TICKET_NOT_FOUND');
+    if (!user || !user.isActive) return ignore('USER_INACTIVE');
+
+    // The reply address is only a capability for the person it was sent to
+    if (user.email.toLowerCase() !== email.from.address) return ignore('SENDER_MISMATCH');
+    if (user.id !== ticket.userId && user.role !== 'SUPER_ADMIN') return ignore('NOT_A_PARTICIPANT');
+    if (ticket.status === 'CLOSED') return ignore('TICKET_CLOSED');
+
+    const text = this.extractReplyText(email);
+    const { saved, skipped } = await this.saveAttachments(email.attachments);
+
+    if (!text && saved.length === 0) {
+      return ignore('EMPTY_REPLY');
+    }
+
+    let message;
+    try {
+      message = await TicketService.addMessage(
+        ticket.id,
+        user.id,
+        text || '(attachment sent by email)',
+        saved,
+        { emailMessageId: email.messageId }
+      );
+    } catch (error) {
+      await this.removeFiles(saved);
+      // Two deliveries of the same email racing each other
+      if (error.code === 'P2002') {
+        return { status: 'duplicate', ticketId: ticket.id };
+      }
+      throw error;
+    }
+
+    await this.saveAttachmentMetadata(message.id, saved);
+
+    await TicketAuditService.logAction(ticket.id, user.id, 'MESSAGE_ADDED', {
+      messageId: message.id,
+      source: 'EMAIL',
+      emailMessageId: email.messageId,
+      attachmentCount: saved.length,
+      skippedAttachments: skipped
+    });
+
+    try {
+      const TicketNotificationService = require('./ticketNotification.service');
+      await TicketNotificationService.handleTicketLifecycleEvent(
+        message.isFromAdmin ? 'ADMIN_RESPONSE' : 'USER_REPLY',
+        ticket.id,
+        { messageId: message.id }
+      );
+    } catch (notificationError) {
+      console.error('Inbound email notification failed:', notificationError);
+    }
+
+    console.log(`📨 Email reply from ${email.from.address} posted to ticket ${ticket.id}`);
+
+    return {
+      status: 'posted',
+      ticketId: ticket.id,
+      messageId: message.id,
+      attachments: saved.length,
+      skippedAttachments: skipped
+    };
+  }
+
+  static async saveAttachmentMetadata(messageId, saved) {
+    if (saved.length === 0) return;
+
+    const records = await prisma.ticketMessageAttachment.findMany({
+      where: { messageId },
+      select: { id: true, filename: true }
+    });
+
+    for (const record of records) {
+      const attachment = saved.find(file => file.filename === record.filename);
+      if (attachment) {
+        const metadata = await TicketFileService.processFileMetadata(attachment, 'message_attachment');
+        await TicketFileService.saveFileMetadata(record.id, metadata);
+      }
+    }
+  }
+}
+
+TicketInboundEmailService.REPLY_MARKER = REPLY_MARKER;
+
+module.exports = TicketInboundEmailService;
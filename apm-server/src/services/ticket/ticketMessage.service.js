@@ -7,10 +7,11 @@
 // FILE: src/services/ticketMessage.service.js (NEW)
 // ============================================
 
-// const { prisma } = require('../config/database');
+const { prisma } = require("../../config/database");
 const CacheService = require("../../config/redis");
 const TicketAuditService = require("./ticketAudit.service");
 const TicketFileService = require("./ticketFile.service");
+const { RealtimeService, REALTIME_EVENTS } = require("../realtime/realtime.service");
 
 class TicketMessageService {
 	// ==========================================
@@ -27,7 +28,13 @@ class TicketMessageService {
 
 		const ticket = await prisma.ticket.findUnique({
 			where: { id: ticketId },
-			select: { userId: true, assignedToId: true, status: true },
+			select: {
+				userId: true,
+				assignedToId: true,
+				status: true,
+				firstRespondedAt: true,
+				organizationId: true,
+			},
 		});
 
 		if (!ticket) {
@@ -68,7 +75,7 @@ class TicketMessageService {
 
 			// Add attachments if any
 			if (attachments.length > 0) {
-				const attachmentRecords = await tx.ticketMessageAttachment.createMany({
+				await tx.ticketMessageAttachment.createMany({
 					data: attachments.map((attachment) => ({
 						messageId: messageRecord.id,
 						filename: attachment.filename,
@@ -101,6 +108,10 @@ class TicketMessageService {
 				data: {
 					lastActivity: new Date(),
 					...statusUpdate,
+					// First public admin reply stops the first response SLA timer
+					...(isFromAdmin &&
+						!isInternalNote &&
+						!ticket.firstRespondedAt && { firstRespondedAt: new Date() }),
 				},
 			});
 
@@ -120,6 +131,17 @@ class TicketMessageService {
 		// Invalidate caches
 		await this.invalidateMessageCaches(ticketId);
 
+		// Live update for anyone with the ticket open; internal notes only reach admins
+		await RealtimeService.publish(
+			RealtimeService.ticketTopic(ticketId),
+			REALTIME_EVENTS.TICKET_MESSAGE,
+			{ ticketId, message: newMessage },
+			{
+				organizationId: ticket.organizationId,
+				adminsOnly: newMessage.isInternalNote,
+			}
+		);
+
 		return newMessage;
 	}
 
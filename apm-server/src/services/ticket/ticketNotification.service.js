@@ -2,8 +2,12 @@
 // Replace your existing ticketNotification.service.js with this enhanced version
 
 const { prisma } = require('../../config/database');
-const EmailManager = require('../email/EmailManager');
-const NotificationService = require('../notification.service');
+const tenantEmailManager = require('../email/TenantEmailManager');
+const {
+  NotificationService,
+  NOTIFICATION_TYPES,
+  PRIORITY_LEVELS
+} = require('../notification.service');
 
 class TicketNotificationService {
   
@@ -19,7 +23,9 @@ class TicketNotificationService {
     subject, 
     templateData, 
     notificationData,
-    priority = 'MEDIUM'
+    priority = 'MEDIUM',
+    tenantCode = null,
+    replyByEmail = false
   }) {
     try {
       const results = {
@@ -29,17 +35,23 @@ class TicketNotificationService {
         success: false
       };
 
-      // 1. Send Email Notification
+      // 1. Send Email Notification (with a signed reply address when reply-by-email is on)
       try {
-        const emailService = EmailManager.getService();
-        results.email = await emailService.sendEmail(
-          recipientEmail,
-          subject,
+        // Required lazily: the inbound service depends on ticket.service, which loads this file
+        const TicketInboundEmailService = require('./ticketInboundEmail.service');
+        const emailService = await tenantEmailManager.getServiceForTenant(tenantCode);
+        results.email = await emailService.sendTicketEmail(
           templateName,
+          { id: recipientId, email: recipientEmail },
+          subject,
           {
             ...templateData,
+            ticketId: notificationData.ticketId,
             recipientName
-          }
+          },
+          replyByEmail
+            ? TicketInboundEmailService.getReplyOptions(notificationData.ticketId, recipientId)
+            : {}
         );
       } catch (emailError) {
         console.error('Email notification failed:', emailError);
@@ -96,6 +108,9 @@ class TicketNotificationService {
           },
           assignedTo: {
             select: { id: true, fullName: true, email: true }
+          },
+          organization: {
+            select: { name: true, tenantCode: true }
           }
         }
       });
@@ -123,14 +138,17 @@ class TicketNotificationService {
           priority: ticket.priority,
           category: ticket.category.name,
           ticketUrl,
-          createdAt: ticket.createdAt.toLocaleDateString()
+          createdAt: ticket.createdAt.toLocaleDateString(),
+          organizationName: ticket.organization?.name
         },
         notificationData: {
           ticketId: ticket.id,
           ticketNumber: ticket.ticketNumber,
           type: 'NEW_TICKET'
         },
-        priority: ticket.priority === 'URGENT' ? 'HIGH' : 'MEDIUM'
+        priority: ticket.priority === 'URGENT' ? 'HIGH' : 'MEDIUM',
+        tenantCode: ticket.organization?.tenantCode,
+        replyByEmail: true
       });
 
       return result;
@@ -156,6 +174,9 @@ class TicketNotificationService {
           assignedTo: {
             select: { fullName: true }
           },
+          organization: {
+            select: { name: true, tenantCode: true }
+          },
           messages: {
             where: { id: messageId },
             include: {
@@ -188,7 +209,8 @@ class TicketNotificationService {
           adminName: message.sender.fullName,
           responseMessage: message.message.substring(0, 200) + (message.message.length > 200 ? '...' : ''),
           ticketUrl,
-          respondedAt: message.createdAt.toLocaleDateString()
+          respondedAt: message.createdAt.toLocaleDateString(),
+          organizationName: ticket.organization?.name
         },
         notificationData: {
           ticketId: ticket.id,
@@ -196,7 +218,9 @@ class TicketNotificationService {
           messageId: message.id,
           type: 'ADMIN_RESPONSE'
         },
-        priority: 'HIGH' // User responses are high priority
+        priority: 'HIGH', // User responses are high priority
+        tenantCode: ticket.organization?.tenantCode,
+        replyByEmail: true
       });
 
       return result;
@@ -224,6 +248,9 @@ class TicketNotificationService {
           },
           category: {
             select: { name: true }
+          },
+          organization: {
+            select: { name: true, tenantCode: true }
           }
         }
       });
@@ -250,7 +277,8 @@ class TicketNotificationService {
           category: ticket.category.name,
           ticketUrl,
           satisfactionUrl,
-          closedAt: ticket.resolvedAt?.toLocaleDateString() || new Date().toLocaleDateString()
+          closedAt: ticket.resolvedAt?.toLocaleDateString() || new Date().toLocaleDateString(),
+          organizationName: ticket.organization?.name
         },
         notificationData: {
           ticketId: ticket.id,
@@ -258,7 +286,8 @@ class TicketNotificationService {
           type: 'TICKET_CLOSED',
           actionRequired: 'SATISFACTION_SURVEY'
         },
-        priority: 'MEDIUM'
+        priority: 'MEDIUM',
+        tenantCode: ticket.organization?.tenantCode
       });
 
       return result;
@@ -269,6 +298,95 @@ class TicketNotificationService {
     }
   }
 
+  /**
+   * Alert admins that a ticket missed its SLA and was escalated.
+   * Goes to the current assignee (and the previous one after a reassignment),
+   * or to every active admin of the organization when nobody is assigned.
+   */
+  static async notifySlaBreach(ticketId, details = {}) {
+    try {
+      const { breachType, dueAt, escalationLevel, previousPriority, previousAssigneeId } = details;
+
+      const ticket = await prisma.ticket.findUnique({
+        where: { id: ticketId },
+        include: {
+          user: { select: { id: true, fullName: true } },
+          category: { select: { name: true } },
+          assignedTo: { select: { id: true, fullName: true, email: true } },
+          organization: { select: { name: true, tenantCode: true } }
+        }
+      });
+
+      if (!ticket) {
+        return { success: false, reason: 'Ticket not found' };
+      }
+
+      const recipientIds = [ticket.assignedToId, previousAssigneeId].filter(Boolean);
+      const recipients = await prisma.user.findMany({
+        where: recipientIds.length > 0
+          ? { id: { in: recipientIds } }
+          : { role: 'SUPER_ADMIN', isActive: true, organizationId: ticket.organizationId },
+        select: { id: true, fullName: true, email: true }
+      });
+
+      if (recipients.length === 0) {
+        return { success: false, reason: 'No admins to notify' };
+      }
+
+      const ticketUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/admin/tickets/${ticket.id}`;
+      const tenantCode = ticket.organization?.tenantCode || null;
+      const breachLabel = breachType === 'FIRST_RESPONSE' ? 'first response' : 'resolution';
+
+      try {
+        const emailService = await tenantEmailManager.getServiceForTenant(tenantCode);
+        if (emailService) {
+          for (const admin of recipients) {
+            await emailService.sendTicketSlaBreach(admin, ticket, {
+              breachType,
+              dueAt,
+              escalationLevel,
+              previousPriority,
+              reassigned: Boolean(previousAssigneeId),
+              assigneeName: ticket.assignedTo?.fullName,
+              ticketUrl,
+              organizationName: ticket.organization?.name
+            });
+          }
+        }
+      } catch (emailError) {
+        console.error('SLA breach email failed:', emailError);
+      }
+
+      const result = await NotificationService.createAndSendNotification({
+        recipientIds: recipients.map(admin => admin.id),
+        type: NOTIFICATION_TYPES.TICKET_SLA_BREACH,
+        title: `🚨 SLA breached: ${ticket.ticketNumber}`,
+        message: `${ticket.subject} missed its ${breachLabel} target and was escalated to level ${escalationLevel} (${ticket.priority})`,
+        data: {
+          ticketId: ticket.id,
+          ticketNumber: ticket.ticketNumber,
+          type: 'SLA_BREACH',
+          breachType,
+          escalationLevel,
+          ticketUrl,
+          actionType: 'VIEW_ADMIN_TICKET'
+        },
+        priority: PRIORITY_LEVELS.HIGH,
+        relatedEntityType: 'TICKET',
+        relatedEntityId: ticket.id,
+        organizationId: ticket.organizationId,
+        tenantCode
+      });
+
+      return { success: true, result };
+
+    } catch (error) {
+      console.error('SLA breach notification error:', error);
+      // Don't throw - the escalation itself has already been applied
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Format notification message for web app display
    */
@@ -458,15 +576,16 @@ class TicketNotificationService {
   static async handleTicketLifecycleEvent(eventType, ticketId, additionalData = {}) {
     try {
       switch (eventType) {
-        case 'CREATED':
+        case 'CREATED': {
           const createdNotificationSent = await this.wasNotificationSent(ticketId, 'CREATED');
           if (!createdNotificationSent) {
             await this.notifyNewTicket(ticketId);
             await this.markNotificationSent(ticketId, 'CREATED');
           }
           break;
+        }
 
-        case 'ADMIN_RESPONSE':
+        case 'ADMIN_RESPONSE': {
           const responseKey = `${ticketId}:RESPONSE:${additionalData.messageId}`;
           const responseNotificationSent = await this.wasNotificationSent(responseKey, 'RESPONSE');
           if (!responseNotificationSent) {
@@ -474,8 +593,9 @@ class TicketNotificationService {
             await this.markNotificationSent(responseKey, 'RESPONSE');
           }
           break;
+        }
 
-        case 'USER_REPLY':
+        case 'USER_REPLY': {
           // New event type for when user replies
           const userReplyKey = `${ticketId}:USER_REPLY:${additionalData.messageId}`;
           const userReplyNotificationSent = await this.wasNotificationSent(userReplyKey, 'USER_REPLY');
@@ -484,14 +604,16 @@ class TicketNotificationService {
             await this.markNotificationSent(userReplyKey, 'USER_REPLY');
           }
           break;
+        }
 
-        case 'CLOSED':
+        case 'CLOSED': {
           const closedNotificationSent = await this.wasNotificationSent(ticketId, 'CLOSED');
           if (!closedNotificationSent) {
             await this.notifyTicketClosed(ticketId);
             await this.markNotificationSent(ticketId, 'CLOSED');
           }
           break;
+        }
 
         default:
           console.log(`Unhandled ticket lifecycle event: ${eventType}`);
@@ -638,7 +760,7 @@ class TicketNotificationService {
 
       return ((successCount / emailLogs.length) * 100).toFixed(1);
 
-    } catch (error) {
+    } catch {
       return 0;
     }
   }
@@ -667,7 +789,7 @@ class TicketNotificationService {
 
       return ((successCount / pushNotifications.length) * 100).toFixed(1);
 
-    } catch (error) {
+    } catch {
       return 0;
     }
   }
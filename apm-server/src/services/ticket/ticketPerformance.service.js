@@ -1,5 +1,6 @@
 // src/services/ticketPerformance.service.js
 const { prisma } = require('../../config/database');
+const { runUnscopedRaw } = require('../../utils/tenantContext.util');
 
 class TicketPerformanceService {
   
@@ -234,16 +235,16 @@ class TicketPerformanceService {
    */
   static async checkTableExists(tableName) {
     try {
-      const result = await prisma.$queryRaw`
+      const result = await runUnscopedRaw(() => prisma.$queryRaw`
         SELECT EXISTS (
           SELECT FROM information_schema.tables 
           WHERE table_schema = 'public' 
           AND table_name = ${tableName}
         );
-      `;
+      `);
       
       return result[0]?.exists || false;
-    } catch (error) {
+    } catch {
       return false;
     }
   }
@@ -261,7 +262,7 @@ class TicketPerformanceService {
       `;
       
       return result[0]?.count || 0;
-    } catch (error) {
+    } catch {
       return 0;
     }
   }
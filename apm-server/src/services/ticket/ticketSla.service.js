@@ -0,0 +1,484 @@
+// src/services/ticket/ticketSla.service.js
+const { prisma } = require('../../config/database');
+const TicketAuditService = require('./ticketAudit.service');
+const TicketNotificationService = require('./ticketNotification.service');
+
+const PRIORITY_ORDER = ['LOW', 'MEDIUM', 'HIGH', 'URGENT'];
+const CLOSED_STATUSES = ['RESOLVED', 'CLOSED'];
+
+const BREACH_TYPES = {
+  FIRST_RESPONSE: 'FIRST_RESPONSE',
+  RESOLUTION: 'RESOLUTION'
+};
+
+// Tickets escalated per breach type in one checker run
+const CHECK_BATCH_SIZE = 200;
+
+const MINUTE_IN_MS = 60 * 1000;
+
+const slaError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class TicketSlaService {
+
+  // ==========================================
+  // POLICY MATCHING
+  // ==========================================
+
+  /**
+   * Most specific active policy for a ticket:
+   * category + priority, then category only, then priority only, then the catch-all
+   */
+  static async findPolicy(client, { organizationId, categoryId, priority }) {
+    const policies = await client.ticketSlaPolicy.findMany({
+      where: {
+        organizationId,
+        isActive: true,
+        OR: [{ categoryId }, { categoryId: null }],
+        AND: [{ OR: [{ priority }, { priority: null }] }]
+      }
+    });
+
+    const specificity = (policy) => (policy.categoryId ? 2 : 0) + (policy.priority ? 1 : 0);
+    policies.sort((a, b) => specificity(b) - specificity(a));
+
+    return policies[0] || null;
+  }
+
+  static computeDueDates(policy, from) {
+    const start = new Date(from).getTime();
+    return {
+      firstResponseDueAt: new Date(start + policy.firstResponseMinutes * MINUTE_IN_MS),
+      resolutionDueAt: new Date(start + policy.resolutionMinutes * MINUTE_IN_MS)
+    };
+  }
+
+  /**
+   * Attach the matching policy and its due dates to a ticket, counted from creation.
+   * Called on create and when category or priority change; pass tx inside a transaction.
+   */
+  static async applyPolicy(ticket, client = prisma) {
+    const policy = await this.findPolicy(client, ticket);
+
+    const data = policy
+      ? { slaPolicyId: policy.id, ...this.computeDueDates(policy, ticket.createdAt) }
+      : { slaPolicyId: null, firstResponseDueAt: null, resolutionDueAt: null };
+
+    return client.ticket.update({
+      where: { id: ticket.id },
+      data
+    });
+  }
+
+  /**
+   * Restart the resolution clock for a reopened ticket
+   */
+  static async restartResolutionClock(ticketId, client = prisma) {
+    const ticket = await client.ticket.findUnique({
+      where: { id: ticketId },
+      select: { slaPolicy: { select: { resolutionMinutes: true, isActive: true } } }
+    });
+
+    if (!ticket?.slaPolicy?.isActive) {
+      return null;
+    }
+
+    return client.ticket.update({
+      where: { id: ticketId },
+      data: {
+        resolutionDueAt: new Date(Date.now() + ticket.slaPolicy.resolutionMinutes * MINUTE_IN_MS),
+        resolutionBreachedAt: null
+      }
+    });
+  }
+
+  // ==========================================
+  // BREACH TIMERS
+  // ==========================================
+
+  static evaluateTarget(dueAt, completedAt, breachedAt, now = new Date()) {
+    if (!dueAt) return null;
+
+    const due = new Date(dueAt);
+    const end = completedAt ? new Date(completedAt) : now;
+    const breached = Boolean(breachedAt) || end > due;
+
+    return {
+      dueAt: due,
+      completedAt: completedAt || null,
+      state: breached ? 'BREACHED' : completedAt ? 'MET' : 'PENDING',
+      breached,
+      // Negative once overdue; null when the target is already settled
+      remainingMinutes: completedAt ? null : Math.round((due - now) / MINUTE_IN_MS)
+    };
+  }
+
+  /**
+   * SLA timers for display on a ticket; null when no policy applies
+   */
+  static getSlaStatus(ticket, now = new Date()) {
+    if (!ticket.firstResponseDueAt && !ticket.resolutionDueAt) {
+      return null;
+    }
+
+    const resolvedAt = CLOSED_STATUSES.includes(ticket.status) ? ticket.resolvedAt : null;
+
+    return {
+      policyId: ticket.slaPolicyId,
+      firstResponse: this.evaluateTarget(
+        ticket.firstResponseDueAt,
+        ticket.firstRespondedAt,
+        ticket.firstResponseBreachedAt,
+        now
+      ),
+      resolution: this.evaluateTarget(
+        ticket.resolutionDueAt,
+        resolvedAt,
+        ticket.resolutionBreachedAt,
+        now
+      ),
+      escalationLevel: ticket.escalationLevel,
+      escalatedAt: ticket.escalatedAt
+    };
+  }
+
+  static withSlaStatus(ticket) {
+    return { ...ticket, sla: this.getSlaStatus(ticket) };
+  }
+
+  // ==========================================
+  // ESCALATION
+  // ==========================================
+
+  /**
+   * Escalate every open ticket that missed a target (queue handler)
+   */
+  static async checkBreaches() {
+    const now = new Date();
+    const open = { status: { notIn: CLOSED_STATUSES } };
+
+    const [firstResponseBreaches, resolutionBreaches] = await Promise.all([
+      prisma.ticket.findMany({
+        where: {
+          ...open,
+          firstRespondedAt: null,
+          firstResponseBreachedAt: null,
+          firstResponseDueAt: { lt: now }
+        },
+        select: { id: true },
+        orderBy: { firstResponseDueAt: 'asc' },
+        take: CHECK_BATCH_SIZE
+      }),
+      prisma.ticket.findMany({
+        where: {
+          ...open,
+          resolutionBreachedAt: null,
+          resolutionDueAt: { lt: now }
+        },
+        select: { id: true },
+        orderBy: { resolutionDueAt: 'asc' },
+        take: CHECK_BATCH_SIZE
+      })
+    ]);
+
+    let escalated = 0;
+
+    for (const { id } of firstResponseBreaches) {
+      if (await this.escalate(id, BREACH_TYPES.FIRST_RESPONSE)) escalated++;
+    }
+    for (const { id } of resolutionBreaches) {
+      if (await this.escalate(id, BREACH_TYPES.RESOLUTION)) escalated++;
+    }
+
+    if (escalated > 0) {
+      console.log(`🚨 Escalated ${escalated} tickets that breached their SLA`);
+    }
+
+    return {
+      firstResponseBreaches: firstResponseBreaches.length,
+      resolutionBreaches: resolutionBreaches.length,
+      escalated
+    };
+  }
+
+  /**
+   * Mark the breach, bump priority and/or reassign per the policy, then notify admins.
+   * The breach column is claimed with a conditional update, so each breach escalates once.
+   * @returns {Promise<boolean>} Whether this call escalated the ticket
+   */
+  static async escalate(ticketId, breachType) {
+    const breachField = breachType === BREACH_TYPES.FIRST_RESPONSE
+      ? 'firstResponseBreachedAt'
+      : 'resolutionBreachedAt';
+
+    const ticket = await prisma.ticket.findUnique({
+      where: { id: ticketId },
+      include: {
+        slaPolicy: {
+          include: {
+            escalateTo: { select: { id: true, fullName: true, isActive: true } }
+          }
+        },
+        assignedTo: { select: { id: true, fullName: true } }
+      }
+    });
+
+    if (!ticket || ticket[breachField] || CLOSED_STATUSES.includes(ticket.status)) {
+      return false;
+    }
+
+    const policy = ticket.slaPolicy;
+    const now = new Date();
+    const data = {
+      [breachField]: now,
+      escalationLevel: { increment: 1 },
+      escalatedAt: now
+    };
+
+    const priorityIndex = PRIORITY_ORDER.indexOf(ticket.priority);
+    if (policy?.bumpPriority && priorityIndex < PRIORITY_ORDER.length - 1) {
+      data.priority = PRIORITY_ORDER[priorityIndex + 1];
+    }
+
+    const escalateTo = policy?.escalateTo;
+    const reassign = escalateTo?.isActive && escalateTo.id !== ticket.assignedToId;
+    if (reassign) {
+      data.assignedToId = escalateTo.id;
+      data.assignedAt = now;
+    }
+
+    const { count } = await prisma.ticket.updateMany({
+      where: { id: ticketId, [breachField]: null },
+      data
+    });
+
+    if (count === 0) {
+      return false;
+    }
+
+    const escalationLevel = ticket.escalationLevel + 1;
+    const dueAt = breachType === BREACH_TYPES.FIRST_RESPONSE
+      ? ticket.firstResponseDueAt
+      : ticket.resolutionDueAt;
+
+    console.log(`⬆️ Ticket ${ticket.ticketNumber} breached ${breachType} SLA, escalated to level ${escalationLevel}`);
+
+    await TicketAuditService.logSystemAction(ticketId, 'SLA_ESCALATED', {
+      breachType,
+      dueAt,
+      escalationLevel,
+      ...(data.priority && { oldPriority: ticket.priority, newPriority: data.priority }),
+      ...(reassign && {
+        oldAssignee: ticket.assignedTo?.fullName || null,
+        newAssignee: escalateTo.fullName
+      })
+    });
+
+    await TicketNotificationService.notifySlaBreach(ticketId, {
+      breachType,
+      dueAt,
+      escalationLevel,
+      previousPriority: ticket.priority,
+      previousAssigneeId: reassign ? ticket.assignedToId : null
+    });
+
+    return true;
+  }
+
+  // ==========================================
+  // COMPLIANCE ANALYTICS
+  // ==========================================
+
+  /**
+   * SLA compliance for tickets created in the last `days` days
+   */
+  static async getComplianceStats({ days = 30 } = {}) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const now = new Date();
+
+    const tickets = await prisma.ticket.findMany({
+      where: {
+        createdAt: { gte: since },
+        slaPolicyId: { not: null }
+      },
+      select: {
+        status: true,
+        priority: true,
+        resolvedAt: true,
+        firstResponseDueAt: true,
+        firstRespondedAt: true,
+        firstResponseBreachedAt: true,
+        resolutionDueAt: true,
+        resolutionBreachedAt: true,
+        escalationLevel: true
+      }
+    });
+
+    const emptyCounts = () => ({ met: 0, breached: 0, pending: 0 });
+    const rate = ({ met, breached }) =>
+      met + breached > 0 ? ((met / (met + breached)) * 100).toFixed(1) : null;
+
+    const firstResponse = emptyCounts();
+    const resolution = emptyCounts();
+    const byPriority = {};
+    let escalatedTickets = 0;
+    let atRisk = 0;
+
+    const tally = (counts, target) => {
+      if (!target) return;
+      counts[target.state.toLowerCase()]++;
+    };
+
+    for (const ticket of tickets) {
+      const sla = this.getSlaStatus(ticket, now);
+      if (!sla) continue;
+
+      byPriority[ticket.priority] = byPriority[ticket.priority] || {
+        firstResponse: emptyCounts(),
+        resolution: emptyCounts()
+      };
+
+      tally(firstResponse, sla.firstResponse);
+      tally(resolution, sla.resolution);
+      tally(byPriority[ticket.priority].firstResponse, sla.firstResponse);
+      tally(byPriority[ticket.priority].resolution, sla.resolution);
+
+      if (ticket.escalationLevel > 0) escalatedTickets++;
+
+      // Still within target but due in the next hour
+      const pending = [sla.firstResponse, sla.resolution].filter((t) => t?.state === 'PENDING');
+      if (pending.some((t) => t.remainingMinutes <= 60)) atRisk++;
+    }
+
+    return {
+      periodDays: days,
+      trackedTickets: tickets.length,
+      escalatedTickets,
+      atRisk,
+      firstResponse: { ...firstResponse, complianceRate: rate(firstResponse) },
+      resolution: { ...resolution, complianceRate: rate(resolution) },
+      byPriority: PRIORITY_ORDER
+        .filter((priority) => byPriority[priority])
+        .map((priority) => ({
+          priority,
+          firstResponseComplianceRate: rate(byPriority[priority].firstResponse),
+          resolutionComplianceRate: rate(byPriority[priority].resolution)
+        }))
+    };
+  }
+
+  // ==========================================
+  // POLICY MANAGEMENT
+  // ==========================================
+
+  static async getPolicies() {
+    return prisma.ticketSlaPolicy.findMany({
+      include: {
+        category: { select: { id: true, name: true } },
+        escalateTo: { select: { id: true, fullName: true } },
+        _count: { select: { tickets: true } }
+      },
+      orderBy: [{ isActive: 'desc' }, { createdAt: 'asc' }]
+    });
+  }
+
+  static async createPolicy(data, adminId) {
+    await this.assertPolicyTargets(data);
+    await this.assertUniqueScope(data.categoryId || null, data.priority || null);
+
+    return prisma.ticketSlaPolicy.create({
+      data: {
+        ...data,
+        categoryId: data.categoryId || null,
+        priority: data.priority || null,
+        escalateToId: data.escalateToId || null,
+        createdBy: adminId
+      }
+    });
+  }
+
+  static async updatePolicy(policyId, data) {
+    const existing = await prisma.ticketSlaPolicy.findFirst({
+      where: { id: policyId }
+    });
+
+    if (!existing) {
+      return null;
+    }
+
+    const merged = { ...existing, ...data };
+    await this.assertPolicyTargets(merged);
+
+    if (data.categoryId !== undefined || data.priority !== undefined) {
+      await this.assertUniqueScope(merged.categoryId || null, merged.priority || null, policyId);
+    }
+
+    // Due dates already set on tickets are kept; the new targets apply to new tickets
+    return prisma.ticketSlaPolicy.update({
+      where: { id: policyId },
+      data
+    });
+  }
+
+  static async deletePolicy(policyId) {
+    const existing = await prisma.ticketSlaPolicy.findFirst({
+      where: { id: policyId }
+    });
+
+    if (!existing) {
+      return null;
+    }
+
+    return prisma.ticketSlaPolicy.delete({ where: { id: policyId } });
+  }
+
+  static async assertPolicyTargets({ firstResponseMinutes, resolutionMinutes, categoryId, escalateToId }) {
+    if (resolutionMinutes < firstResponseMinutes) {
+      throw slaError('Resolution target cannot be shorter than the first response target');
+    }
+
+    if (categoryId) {
+      const category = await prisma.ticketCategory.findUnique({
+        where: { id: categoryId },
+        select: { id: true }
+      });
+
+      if (!category) {
+        throw slaError('Category not found', 404);
+      }
+    }
+
+    if (escalateToId) {
+      const admin = await prisma.user.findFirst({
+        where: { id: escalateToId, role: 'SUPER_ADMIN', isActive: true },
+        select: { id: true }
+      });
+
+      if (!admin) {
+        throw slaError('Escalation admin is not available');
+      }
+    }
+  }
+
+  // The unique index treats NULLs as distinct, so catch-all scopes are checked here
+  static async assertUniqueScope(categoryId, priority, excludeId = null) {
+    const duplicate = await prisma.ticketSlaPolicy.findFirst({
+      where: {
+        categoryId,
+        priority,
+        ...(excludeId && { id: { not: excludeId } })
+      },
+      select: { id: true }
+    });
+
+    if (duplicate) {
+      throw slaError('An SLA policy for this category and priority already exists', 409);
+    }
+  }
+}
+
+module.exports = TicketSlaService;
+module.exports.BREACH_TYPES = BREACH_TYPES;
@@ -1,6 +1,5 @@
 const { prisma } = require("../../config/database");
 const CacheService = require("../../config/redis");
-const TicketAuditService = require("./ticketAudit.service");
 
 class TicketTemplateService {
 	// ==========================================
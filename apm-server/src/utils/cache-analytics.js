@@ -50,7 +50,7 @@ class CacheAnalytics {
   
   // Get cache memory usage
   static async getMemoryStats() {
-    const info = await redis.memory('usage');
+    await redis.memory('usage');
     const memInfo = await redis.info('memory');
     
     const memoryData = {};
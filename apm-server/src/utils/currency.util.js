@@ -0,0 +1,91 @@
+// src/utils/currency.util.js
+// Currency metadata and minor-unit conversion helpers
+
+const paymentConfig = require('../config/payment');
+
+/**
+ * Get supported currency codes
+ * @returns {String[]} - e.g. ['INR', 'USD', ...]
+ */
+const getSupportedCurrencies = () => {
+  return Object.keys(paymentConfig.currencies);
+};
+
+/**
+ * Check whether a currency code is supported
+ * @param {String} currency - ISO 4217 code
+ * @returns {Boolean}
+ */
+const isSupportedCurrency = (currency) => {
+  return !!currency && getSupportedCurrencies().includes(String(currency).toUpperCase());
+};
+
+/**
+ * Get currency metadata
+ * @param {String} currency - ISO 4217 code
+ * @returns {Object} - { name, symbol, minorUnits, locale, minProcessingFee }
+ */
+const getCurrencyInfo = (currency) => {
+  const info = paymentConfig.currencies[String(currency || '').toUpperCase()];
+  if (!info) {
+    throw new Error(`Currency ${currency} not supported`);
+  }
+  return info;
+};
+
+/**
+ * Round an amount to the currency's smallest unit
+ * @param {Number} amount - Amount in major units
+ * @param {String} currency - ISO 4217 code
+ * @returns {Number}
+ */
+const roundAmount = (amount, currency) => {
+  const factor = 10 ** getCurrencyInfo(currency).minorUnits;
+  return Math.round(Number(amount) * factor) / factor;
+};
+
+/**
+ * Convert a major-unit amount to the integer minor units providers expect
+ * @param {Number} amount - e.g. 12.5 USD
+ * @param {String} currency - ISO 4217 code
+ * @returns {Number} - e.g. 1250
+ */
+const toMinorUnits = (amount, currency) => {
+  return Math.round(Number(amount) * 10 ** getCurrencyInfo(currency).minorUnits);
+};
+
+/**
+ * Convert provider minor units back to a major-unit amount
+ * @param {Number} amount - e.g. 1250
+ * @param {String} currency - ISO 4217 code
+ * @returns {Number} - e.g. 12.5
+ */
+const fromMinorUnits = (amount, currency) => {
+  return Number(amount) / 10 ** getCurrencyInfo(currency).minorUnits;
+};
+
+/**
+ * Format an amount for display, e.g. "₹1,500.00" or "$25.00"
+ * @param {Number|String} amount - Amount in major units
+ * @param {String} currency - ISO 4217 code
+ * @returns {String}
+ */
+const formatMoney = (amount, currency = paymentConfig.settings.defaultCurrency) => {
+  const info = getCurrencyInfo(currency);
+  return new Intl.NumberFormat(info.locale, {
+    style: 'currency',
+    currency: String(currency).toUpperCase(),
+    minimumFractionDigits: info.minorUnits,
+    maximumFractionDigits: info.minorUnits,
+  }).format(Number(amount) || 0);
+};
+
+module.exports = {
+  getSupportedCurrencies,
+  isSupportedCurrency,
+  getCurrencyInfo,
+  roundAmount,
+  toMinorUnits,
+  fromMinorUnits,
+  formatMoney,
+};
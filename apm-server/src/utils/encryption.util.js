@@ -0,0 +1,39 @@
+// src/utils/encryption.util.js
+// AES-256-GCM for secrets stored in the database (TOTP seeds, SSO client secrets)
+
+const crypto = require('crypto');
+const config = require('../config');
+
+// Derived from config so stored values stay readable across restarts
+const getKey = () => {
+  return crypto.createHash('sha256').update(String(config.security.encryptionKey)).digest();
+};
+
+/**
+ * @param {string} plainText
+ * @returns {string|null} "iv:authTag:cipherText" in hex
+ */
+const encryptSecret = (plainText) => {
+  if (!plainText) return null;
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('hex')).join(':');
+};
+
+/**
+ * @param {string} payload - Value produced by encryptSecret
+ * @returns {string|null}
+ */
+const decryptSecret = (payload) => {
+  if (!payload) return null;
+  const [iv, authTag, encrypted] = payload.split(':').map((part) => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  encryptSecret,
+  decryptSecret
+};
@@ -0,0 +1,215 @@
+// src/utils/ical.util.js
+// Minimal RFC 5545 (iCalendar) writer for subscription feeds and email invites.
+// Timed events are written in UTC so no VTIMEZONE blocks are needed.
+
+const PRODUCT_ID = '-//APM Alumni Portal//Calendar//EN';
+const MAX_LINE_OCTETS = 75;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// TEXT values escape backslashes, separators and newlines
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a single space
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const formatUtc = (date) => {
+  const value = new Date(date);
+  return `${value.getUTCFullYear()}${pad(value.getUTCMonth() + 1)}${pad(value.getUTCDate())}` +
+    `T${pad(value.getUTCHours())}${pad(value.getUTCMinutes())}${pad(value.getUTCSeconds())}Z`;
+};
+
+const formatDate = ({ year, month, day }) => `${year}${pad(month)}${pad(day)}`;
+
+/**
+ * Calendar date of an instant in a timezone
+ * @returns {Object} { year, month (1-12), day }
+ */
+const zonedDateParts = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric'
+  }).formatToParts(new Date(date));
+
+  const part = (type) => parseInt(parts.find(p => p.type === type).value);
+  return { year: part('year'), month: part('month'), day: part('day') };
+};
+
+// Offset of a timezone from UTC at an instant, in milliseconds
+const zoneOffset = (instant, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date(instant));
+
+  const part = (type) => parseInt(parts.find(p => p.type === type).value);
+  const asUtc = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'));
+  return asUtc - Math.floor(instant / 1000) * 1000;
+};
+
+/**
+ * Instant of a wall-clock time in a timezone
+ * @returns {Date}
+ */
+const zonedTimeToUtc = ({ year, month, day }, hours, minutes, timezone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+  const guess = wallClock - zoneOffset(wallClock, timezone);
+  // Second pass settles times next to a DST change
+  return new Date(wallClock - zoneOffset(guess, timezone));
+};
+
+// Next calendar day (end of an all-day event is exclusive)
+const nextDay = ({ year, month, day }) => {
+  const date = new Date(Date.UTC(year, month - 1, day + 1));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+const parseTime = (value) => {
+  const match = /^(\d{1,2}):(\d{2})/.exec(value || '');
+  return match ? { hours: parseInt(match[1]), minutes: parseInt(match[2]) } : null;
+};
+
+/**
+ * Start and end of an event from its date and "HH:MM" start/end times
+ * @param {Object} event - { eventDate, startTime, endTime }
+ * @param {Object} options - { timezone, defaultDurationMinutes }
+ * @returns {Object} { start, end, allDay } - dates, or { year, month, day } parts when allDay
+ */
+const eventTimes = (event, { timezone, defaultDurationMinutes = 120 }) => {
+  const day = zonedDateParts(event.eventDate, timezone);
+  const startTime = parseTime(event.startTime);
+
+  if (!startTime) {
+    return { start: day, end: nextDay(day), allDay: true };
+  }
+
+  const start = zonedTimeToUtc(day, startTime.hours, startTime.minutes, timezone);
+  const endTime = parseTime(event.endTime);
+  let end = endTime
+    ? zonedTimeToUtc(day, endTime.hours, endTime.minutes, timezone)
+    : new Date(start.getTime() + defaultDurationMinutes * 60 * 1000);
+
+  // An end time before the start time runs past midnight
+  if (end <= start) {
+    end = new Date(end.getTime() + 24 * 60 * 60 * 1000);
+  }
+
+  return { start, end, allDay: false };
+};
+
+const mailto = (person) => `mailto:${person.email}`;
+const commonName = (person) => (person.name ? `;CN="${String(person.name).replace(/"/g, '')}"` : '');
+
+/**
+ * VEVENT lines
+ * @param {Object} vevent - { uid, sequence, start, end, allDay, summary, description, location, url,
+ *   status (CONFIRMED|TENTATIVE|CANCELLED), rrule, categories, organizer, attendee, transparent }
+ * @returns {String[]}
+ */
+const buildEvent = (vevent) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${vevent.uid}`,
+    `DTSTAMP:${formatUtc(vevent.stamp || new Date())}`,
+    `SEQUENCE:${vevent.sequence || 0}`
+  ];
+
+  if (vevent.allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(vevent.start)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(vevent.end || nextDay(vevent.start))}`);
+  } else {
+    lines.push(`DTSTART:${formatUtc(vevent.start)}`);
+    lines.push(`DTEND:${formatUtc(vevent.end)}`);
+  }
+
+  if (vevent.rrule) lines.push(`RRULE:${vevent.rrule}`);
+  lines.push(`SUMMARY:${escapeText(vevent.summary)}`);
+  if (vevent.description) lines.push(`DESCRIPTION:${escapeText(vevent.description)}`);
+  if (vevent.location) lines.push(`LOCATION:${escapeText(vevent.location)}`);
+  if (vevent.url) lines.push(`URL:${vevent.url}`);
+  if (vevent.categories?.length) lines.push(`CATEGORIES:${vevent.categories.map(escapeText).join(',')}`);
+  if (vevent.status) lines.push(`STATUS:${vevent.status}`);
+  lines.push(`TRANSP:${vevent.transparent ? 'TRANSPARENT' : 'OPAQUE'}`);
+
+  if (vevent.organizer) {
+    lines.push(`ORGANIZER${commonName(vevent.organizer)}:${mailto(vevent.organizer)}`);
+  }
+  if (vevent.attendee) {
+    const partStat = vevent.status === 'CANCELLED' ? 'DECLINED' : 'ACCEPTED';
+    lines.push(
+      `ATTENDEE${commonName(vevent.attendee)};ROLE=REQ-PARTICIPANT;PARTSTAT=${partStat};RSVP=FALSE:${mailto(vevent.attendee)}`
+    );
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Complete VCALENDAR document
+ * @param {Object} calendar - { name, method (PUBLISH|REQUEST|CANCEL), refreshHours, events: vevent[] }
+ * @returns {String} CRLF-terminated iCalendar text
+ */
+const buildCalendar = ({ name, method = 'PUBLISH', refreshHours, events = [] }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`
+  ];
+
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  if (refreshHours) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshHours}H`);
+    lines.push(`X-PUBLISHED-TTL:PT${refreshHours}H`);
+  }
+
+  events.forEach(vevent => lines.push(...buildEvent(vevent)));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  buildCalendar,
+  buildEvent,
+  eventTimes,
+  escapeText,
+  formatUtc,
+  zonedDateParts,
+  zonedTimeToUtc
+};
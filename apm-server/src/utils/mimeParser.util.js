@@ -0,0 +1,281 @@
+// src/utils/mimeParser.util.js
+// Minimal RFC 5322 / MIME parser for inbound support replies: headers, multipart
+// bodies, base64 / quoted-printable transfer encodings and RFC 2047 encoded words
+
+const MAX_DEPTH = 10; // Nested multiparts deeper than this are ignored
+
+/**
+ * Decode bytes in the given charset, falling back to UTF-8 for unknown labels
+ * @param {Buffer} buffer
+ * @param {string} [charset]
+ * @returns {string}
+ */
+const decodeCharset = (buffer, charset = 'utf-8') => {
+  try {
+    return new TextDecoder(charset.toLowerCase()).decode(buffer);
+  } catch {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+};
+
+/**
+ * Decode a quoted-printable body into bytes
+ * @param {string} input
+ * @returns {Buffer}
+ */
+const decodeQuotedPrintable = (input) => {
+  const bytes = [];
+  const text = input.replace(/=\r?\n/g, ''); // Soft line breaks
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '=' && /^[0-9A-Fa-f]{2}$/.test(text.substr(i + 1, 2))) {
+      bytes.push(parseInt(text.substr(i + 1, 2), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(char, 'latin1'));
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Decode a body according to its Content-Transfer-Encoding
+ * @param {Buffer} raw
+ * @param {string} [encoding]
+ * @returns {Buffer}
+ */
+const decodeTransferEncoding = (raw, encoding = '') => {
+  switch (encoding.toLowerCase()) {
+    case 'base64':
+      return Buffer.from(raw.toString('latin1').replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+    case 'quoted-printable':
+      return decodeQuotedPrintable(raw.toString('latin1'));
+    default:
+      return raw;
+  }
+};
+
+/**
+ * Decode RFC 2047 encoded words (=?charset?B|Q?text?=) in a header value
+ * @param {string} value
+ * @returns {string}
+ */
+const decodeEncodedWords = (value) => {
+  return value
+    // Whitespace between two adjacent encoded words is not displayed
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(text, 'base64')
+        : decodeQuotedPrintable(text.replace(/_/g, ' '));
+      return decodeCharset(bytes, charset);
+    });
+};
+
+/**
+ * Split a header block into a lower-cased name -> [values] map, unfolding
+ * continuation lines
+ * @param {string} block
+ * @returns {Object<string, string[]>}
+ */
+const parseHeaders = (block) => {
+  const headers = {};
+  const lines = block.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/);
+
+  for (const line of lines) {
+    const separator = line.indexOf(':');
+    if (separator <= 0) continue;
+
+    const name = line.slice(0, separator).trim().toLowerCase();
+    const value = decodeEncodedWords(line.slice(separator + 1).trim());
+    (headers[name] = headers[name] || []).push(value);
+  }
+
+  return headers;
+};
+
+/**
+ * Parse a structured header like Content-Type into its value and parameters
+ * @param {string} [value]
+ * @returns {{ value: string, params: Object<string, string> }}
+ */
+const parseHeaderParams = (value = '') => {
+  const [main, ...rest] = value.split(';');
+  const params = {};
+
+  for (const part of rest) {
+    const separator = part.indexOf('=');
+    if (separator === -1) continue;
+
+    let name = part.slice(0, separator).trim().toLowerCase();
+    let paramValue = part.slice(separator + 1).trim().replace(/^"(.*)"$/, '$1');
+
+    // RFC 2231 extended parameter (filename*=utf-8''name.pdf)
+    if (name.endsWith('*')) {
+      name = name.slice(0, -1);
+      const extended = paramValue.match(/^([^']*)'[^']*'(.*)$/);
+      if (extended) {
+        try {
+          paramValue = decodeURIComponent(extended[2]);
+        } catch {
+          paramValue = extended[2];
+        }
+      }
+    }
+
+    params[name] = paramValue;
+  }
+
+  return { value: main.trim().toLowerCase(), params };
+};
+
+/**
+ * Extract bare addresses from an address list header
+ * @param {string[]} [values]
+ * @returns {Array<{ name: string|null, address: string }>}
+ */
+const parseAddressList = (values = []) => {
+  const addresses = [];
+
+  for (const value of values) {
+    // Commas inside quoted display names are not separators
+    const parts = value.match(/("[^"]*"|[^,])+/g) || [];
+    for (const part of parts) {
+      const angle = part.match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>/);
+      const address = (angle ? angle[2] : part).trim().toLowerCase();
+      if (address.includes('@')) {
+        addresses.push({ name: angle && angle[1] ? angle[1].trim() : null, address });
+      }
+    }
+  }
+
+  return addresses;
+};
+
+/**
+ * Split a raw entity into its header block and body
+ * @param {Buffer} raw
+ * @returns {{ headers: Object<string, string[]>, body: Buffer }}
+ */
+const splitEntity = (raw) => {
+  const text = raw.toString('latin1');
+  const match = text.match(/\r?\n\r?\n/);
+
+  if (!match) {
+    return { headers: parseHeaders(text), body: Buffer.alloc(0) };
+  }
+
+  return {
+    headers: parseHeaders(text.slice(0, match.index)),
+    body: raw.subarray(match.index + match[0].length)
+  };
+};
+
+/**
+ * Walk a MIME entity, collecting text/html bodies and attachments into `result`
+ */
+const walkEntity = (raw, result, depth = 0) => {
+  const { headers, body } = splitEntity(raw);
+  const contentType = parseHeaderParams((headers['content-type'] || ['text/plain'])[0]);
+  const disposition = parseHeaderParams((headers['content-disposition'] || [''])[0]);
+  const encoding = (headers['content-transfer-encoding'] || [''])[0];
+
+  if (contentType.value.startsWith('multipart/')) {
+    const boundary = contentType.params.boundary;
+    if (!boundary || depth >= MAX_DEPTH) return;
+
+    const delimiter = `--${boundary}`;
+    const sections = body.toString('latin1').split(delimiter);
+    // sections[0] is the preamble, anything after the closing "--" is the epilogue
+    for (const section of sections.slice(1)) {
+      if (section.startsWith('--')) break;
+      const part = Buffer.from(section.replace(/^[ \t]*\r?\n/, '').replace(/\r?\n$/, ''), 'latin1');
+      walkEntity(part, result, depth + 1);
+    }
+    return;
+  }
+
+  if (contentType.value === 'message/rfc822' && disposition.value !== 'attachment') {
+    // Forwarded message - its text is not part of the reply
+    return;
+  }
+
+  const content = decodeTransferEncoding(body, encoding);
+  const filename = disposition.params.filename || contentType.params.name;
+  const isAttachment = disposition.value === 'attachment' || Boolean(filename) ||
+    !contentType.value.startsWith('text/');
+
+  if (isAttachment) {
+    result.attachments.push({
+      filename: filename || 'attachment',
+      contentType: contentType.value,
+      contentId: (headers['content-id'] || [''])[0].replace(/^<|>$/g, '') || null,
+      inline: disposition.value === 'inline',
+      size: content.length,
+      content
+    });
+    return;
+  }
+
+  const decoded = decodeCharset(content, contentType.params.charset);
+  if (contentType.value === 'text/html') {
+    if (result.html === null) result.html = decoded;
+  } else if (result.text === null) {
+    result.text = decoded;
+  }
+};
+
+/**
+ * Parse a raw RFC 5322 message
+ * @param {Buffer|string} raw
+ * @returns {{
+ *   headers: Object<string, string[]>,
+ *   from: { name: string|null, address: string }|null,
+ *   to: Array<{ name: string|null, address: string }>,
+ *   cc: Array<{ name: string|null, address: string }>,
+ *   deliveredTo: Array<{ name: string|null, address: string }>,
+ *   subject: string,
+ *   messageId: string|null,
+ *   inReplyTo: string|null,
+ *   references: string[],
+ *   date: Date|null,
+ *   text: string|null,
+ *   html: string|null,
+ *   attachments: Array<{ filename: string, contentType: string, contentId: string|null, inline: boolean, size: number, content: Buffer }>
+ * }}
+ */
+const parseMessage = (raw) => {
+  const buffer = Buffer.isBuffer(raw) ? raw : Buffer.from(String(raw), 'utf8');
+  const { headers } = splitEntity(buffer);
+  const result = { text: null, html: null, attachments: [] };
+
+  walkEntity(buffer, result);
+
+  const stripAngles = (value) => (value ? value.trim().replace(/^<|>$/g, '') : null);
+  const dateHeader = (headers.date || [])[0];
+  const date = dateHeader ? new Date(dateHeader) : null;
+
+  return {
+    headers,
+    from: parseAddressList(headers.from)[0] || null,
+    to: parseAddressList(headers.to),
+    cc: parseAddressList(headers.cc),
+    deliveredTo: parseAddressList([...(headers['delivered-to'] || []), ...(headers['x-original-to'] || [])]),
+    subject: (headers.subject || [''])[0],
+    messageId: stripAngles((headers['message-id'] || [])[0]),
+    inReplyTo: stripAngles((headers['in-reply-to'] || [])[0]),
+    references: ((headers.references || [''])[0].match(/<[^>]+>/g) || []).map(stripAngles),
+    date: date && !isNaN(date) ? date : null,
+    ...result
+  };
+};
+
+module.exports = {
+  parseMessage,
+  parseAddressList,
+  parseHeaderParams,
+  decodeEncodedWords,
+  decodeQuotedPrintable
+};
@@ -274,8 +274,7 @@ class PushNotificationService {
         if (invalidTokens.length > 0) {
           console.log(`🧹 Marking ${invalidTokens.length} invalid tokens as inactive`);
           try {
-            const { PrismaClient } = require('@prisma/client');
-            const prisma = new PrismaClient();
+            const { prisma } = require('../config/database');
             await prisma.userDeviceToken.updateMany({
               where: { token: { in: invalidTokens } },
               data: { isActive: false, invalidAt: new Date() }
@@ -306,7 +305,7 @@ class PushNotificationService {
         error: error.code || 'UNKNOWN_ERROR',
         message: error.message,
         successCount: 0,
-        failureCount: tokens?.length || 0
+        failureCount: options?.tokens?.length || 0
       };
     }
   }
@@ -0,0 +1,152 @@
+// src/utils/recurrence.util.js
+// Expands event series recurrence rules (a subset of RFC 5545 RRULE) into occurrence dates.
+// Dates are computed in UTC; every occurrence keeps the time of day of the rule's startDate.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PERIODS = 5000; // Rules that never match (e.g. 31 February) stop here
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+const ORDINALS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', [-1]: 'last' };
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+const ruleWeekdays = (rule, start) => {
+  const weekdays = rule.byWeekdays?.length ? rule.byWeekdays : [start.getUTCDay()];
+  return [...new Set(weekdays)].sort((a, b) => a - b);
+};
+
+/**
+ * Day of the month of its nth weekday (n = -1 for the last one)
+ * @returns {Number|null} null when the month has no such day (a fifth Monday)
+ */
+const nthWeekdayOfMonth = (year, month, weekday, n) => {
+  if (n === -1) {
+    const lastDay = daysInMonth(year, month);
+    const lastWeekday = new Date(Date.UTC(year, month, lastDay)).getUTCDay();
+    return lastDay - ((lastWeekday - weekday + 7) % 7);
+  }
+
+  const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+  const day = 1 + ((weekday - firstWeekday + 7) % 7) + (n - 1) * 7;
+  return day <= daysInMonth(year, month) ? day : null;
+};
+
+// Days of one month matched by a MONTHLY/YEARLY rule
+const monthDays = (rule, start, year, month) => {
+  if (rule.weekOfMonth) {
+    return ruleWeekdays(rule, start)
+      .map(weekday => nthWeekdayOfMonth(year, month, weekday, rule.weekOfMonth))
+      .filter(Boolean)
+      .sort((a, b) => a - b);
+  }
+
+  const monthDay = rule.byMonthDay || start.getUTCDate();
+  if (monthDay === -1) {
+    return [daysInMonth(year, month)];
+  }
+
+  // Like RRULE, a day the month doesn't have (the 31st in April) is skipped, not moved
+  return monthDay <= daysInMonth(year, month) ? [monthDay] : [];
+};
+
+// Candidate dates of the rule's Nth period (day, week, month or year), in order
+const periodDates = (rule, start, period) => {
+  const step = period * (rule.interval || 1);
+  const at = (year, month, day) =>
+    new Date(Date.UTC(year, month, day, start.getUTCHours(), start.getUTCMinutes()));
+
+  switch (rule.frequency) {
+    case 'DAILY':
+      return [new Date(start.getTime() + step * DAY_MS)];
+
+    case 'WEEKLY': {
+      // Weeks start on Sunday
+      const weekStart = start.getTime() - start.getUTCDay() * DAY_MS + step * 7 * DAY_MS;
+      return ruleWeekdays(rule, start).map(weekday => new Date(weekStart + weekday * DAY_MS));
+    }
+
+    case 'MONTHLY': {
+      const monthIndex = start.getUTCMonth() + step;
+      const year = start.getUTCFullYear() + Math.floor(monthIndex / 12);
+      const month = monthIndex % 12;
+      return monthDays(rule, start, year, month).map(day => at(year, month, day));
+    }
+
+    case 'YEARLY': {
+      const year = start.getUTCFullYear() + step;
+      const month = rule.byMonth ? rule.byMonth - 1 : start.getUTCMonth();
+      return monthDays(rule, start, year, month).map(day => at(year, month, day));
+    }
+
+    default:
+      throw new Error(`Unsupported recurrence frequency: ${rule.frequency}`);
+  }
+};
+
+/**
+ * Occurrence dates of a recurrence rule
+ * @param {Object} rule - EventSeries rule fields (frequency, interval, byWeekdays, byMonthDay,
+ *   weekOfMonth, byMonth, startDate, endDate, occurrenceCount, excludedDates)
+ * @param {Object} options - { from, to, limit } window; excluded dates still count towards occurrenceCount
+ * @returns {Date[]}
+ */
+const expandRecurrence = (rule, { from = null, to = null, limit = 500 } = {}) => {
+  const start = new Date(rule.startDate);
+  const until = rule.endDate ? new Date(rule.endDate) : null;
+  const excluded = new Set((rule.excludedDates || []).map(date => new Date(date).getTime()));
+  const dates = [];
+  let ordinal = 0;
+
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    for (const date of periodDates(rule, start, period)) {
+      if (date < start) continue;
+      if ((until && date > until) || (to && date > to)) return dates;
+
+      ordinal++;
+      if (rule.occurrenceCount && ordinal > rule.occurrenceCount) return dates;
+      if ((from && date < from) || excluded.has(date.getTime())) continue;
+
+      dates.push(date);
+      if (dates.length >= limit) return dates;
+    }
+  }
+
+  return dates;
+};
+
+/**
+ * Human-readable rule, e.g. "Every month on the second Saturday"
+ * @param {Object} rule - EventSeries rule fields
+ * @returns {String}
+ */
+const describeRecurrence = (rule) => {
+  const start = new Date(rule.startDate);
+  const interval = rule.interval || 1;
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' }[rule.frequency];
+  const every = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+
+  const weekdays = ruleWeekdays(rule, start).map(weekday => WEEKDAY_NAMES[weekday]).join(', ');
+  const monthDay = rule.byMonthDay === -1 ? 'the last day' : `day ${rule.byMonthDay || start.getUTCDate()}`;
+  const dayInMonth = rule.weekOfMonth ? `the ${ORDINALS[rule.weekOfMonth]} ${weekdays}` : monthDay;
+
+  switch (rule.frequency) {
+    case 'WEEKLY':
+      return `${every} on ${weekdays}`;
+    case 'MONTHLY':
+      return `${every} on ${dayInMonth}`;
+    case 'YEARLY':
+      return `${every} on ${dayInMonth} of ${MONTH_NAMES[rule.byMonth ? rule.byMonth - 1 : start.getUTCMonth()]}`;
+    default:
+      return every;
+  }
+};
+
+module.exports = {
+  expandRecurrence,
+  describeRecurrence,
+  nthWeekdayOfMonth
+};
@@ -0,0 +1,141 @@
+// src/utils/tenantContext.util.js
+// Request-scoped tenant context read by the Prisma tenant isolation extension
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+const tenantIsolationError = (message) => {
+  const error = new Error(message);
+  error.code = 'TENANT_ISOLATION_VIOLATION';
+  error.statusCode = 403;
+  return error;
+};
+
+/**
+ * Run fn with the request as tenant context. The request is read lazily, so
+ * req.tenant / req.user set by later middleware are picked up automatically.
+ * @param {Object} req - Express request object
+ * @param {Function} fn
+ */
+const runWithTenantContext = (req, fn) => {
+  return storage.run({ req, elevated: false }, fn);
+};
+
+/**
+ * Organization every tenant-scoped query is pinned to, or null when unscoped
+ * (no request, no tenant selected and nobody signed in, or DEVELOPER elevation
+ * active). Follows getOrganizationId: the selected tenant, else the signed-in
+ * user's own organization.
+ * @returns {String|null}
+ */
+const getScopedTenantId = () => {
+  const store = storage.getStore();
+  if (!store || store.elevated) {
+    return null;
+  }
+  return store.req.tenant?.id || store.req.user?.organizationId || null;
+};
+
+/**
+ * Organization User queries are pinned to. Users stay unscoped until the request
+ * is authenticated (login and authenticateToken look people up across tenants)
+ * and for DEVELOPERs, who may act in any tenant.
+ * @returns {String|null}
+ */
+const getScopedUserTenantId = () => {
+  const user = storage.getStore()?.req.user;
+  if (!user || user.role === 'DEVELOPER') {
+    return null;
+  }
+  return getScopedTenantId();
+};
+
+/**
+ * Organization rows hanging off a user (sessions, payments, saved filters) are
+ * pinned to. Unlike User itself these stay scoped before sign-in; a DEVELOPER's
+ * own rows live in their home organization, so theirs are left unscoped.
+ * @returns {String|null}
+ */
+const getScopedUserDataTenantId = () => {
+  if (storage.getStore()?.req.user?.role === 'DEVELOPER') {
+    return null;
+  }
+  return getScopedTenantId();
+};
+
+/**
+ * Tenant a cached value written now belongs to: the scoped tenant, '*' inside a
+ * request that is not scoped, undefined outside any request (jobs, scripts)
+ * @returns {String|undefined}
+ */
+const getCacheTenantTag = () => {
+  if (!storage.getStore()) {
+    return undefined;
+  }
+  return getScopedTenantId() || '*';
+};
+
+const isElevated = () => !!storage.getStore()?.elevated;
+
+const assertDeveloper = (store) => {
+  if (store.req.user?.role !== 'DEVELOPER') {
+    throw tenantIsolationError('Cross-tenant access requires the DEVELOPER role');
+  }
+};
+
+/**
+ * Elevate the rest of the current request to cross-tenant access (DEVELOPER only)
+ */
+const elevateCurrentRequest = () => {
+  const store = storage.getStore();
+  if (!store) {
+    return;
+  }
+  assertDeveloper(store);
+  store.elevated = true;
+};
+
+/**
+ * Run fn without tenant scoping (DEVELOPER only); the rest of the request stays scoped
+ * @param {Function} fn
+ */
+const runElevated = (fn) => {
+  const store = storage.getStore();
+  if (!store) {
+    return fn();
+  }
+  assertDeveloper(store);
+  // Awaited inside the store: Prisma queries are lazy and only run once awaited
+  return storage.run({ ...store, elevated: true }, async () => await fn());
+};
+
+/**
+ * Run fn with raw SQL allowed even though it does not bind the tenant id.
+ * Only for statements confined to rows the caller reads through the scoped
+ * client anyway (row locks) or that touch no tenant data (catalog lookups).
+ * @param {Function} fn
+ */
+const runUnscopedRaw = (fn) => {
+  const store = storage.getStore();
+  if (!store) {
+    return fn();
+  }
+  return storage.run({ ...store, unscopedRaw: true }, async () => await fn());
+};
+
+const isUnscopedRawAllowed = () => !!storage.getStore()?.unscopedRaw;
+
+module.exports = {
+  runWithTenantContext,
+  getScopedTenantId,
+  getScopedUserTenantId,
+  getScopedUserDataTenantId,
+  getCacheTenantTag,
+  isElevated,
+  elevateCurrentRequest,
+  runElevated,
+  runUnscopedRaw,
+  isUnscopedRawAllowed,
+  tenantIsolationError,
+};
@@ -0,0 +1,54 @@
+// test/config/redis.test.js
+// Objects cached inside a tenant request are only served back to that tenant
+
+const { describe, it, mock, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('../helpers/modules');
+const { createMemoryRedis, useRedisClient } = require('../helpers/redis');
+
+const redis = useRedisClient(createMemoryRedis());
+
+for (const method of ['log', 'error']) {
+  mock.method(console, method, () => {});
+}
+
+const { CacheService } = load('config/redis');
+const { runWithTenantContext } = load('utils/tenantContext.util');
+
+const inTenant = (id, fn) => runWithTenantContext({ tenant: { id } }, fn);
+const asUserOf = (organizationId, fn) => runWithTenantContext({ user: { id: 'user-1', role: 'USER', organizationId } }, fn);
+const unscoped = (fn) => runWithTenantContext({}, fn);
+
+describe('CacheService tenant tagging', () => {
+  beforeEach(() => redis.store.clear());
+
+  it("treats another tenant's cached response as a miss", async () => {
+    await inTenant('org-b', () => CacheService.set('event:1:sections', { title: 'B only' }));
+
+    assert.equal(await inTenant('org-a', () => CacheService.get('event:1:sections')), null);
+    assert.deepEqual(await inTenant('org-b', () => CacheService.get('event:1:sections')), { title: 'B only' });
+    assert.deepEqual(await asUserOf('org-b', () => CacheService.get('event:1:sections')), { title: 'B only' });
+  });
+
+  it('keeps responses cached without a tenant away from tenants', async () => {
+    await unscoped(() => CacheService.set('posts:all', ['every tenant']));
+
+    assert.equal(await inTenant('org-a', () => CacheService.get('posts:all')), null);
+    assert.deepEqual(await unscoped(() => CacheService.get('posts:all')), ['every tenant']);
+  });
+
+  it('shares values cached outside a request, and reads everything there', async () => {
+    await CacheService.set('stats:daily', { sent: 3 });
+    await inTenant('org-b', () => CacheService.set('event:2', { title: 'B' }));
+
+    assert.deepEqual(await inTenant('org-a', () => CacheService.get('stats:daily')), { sent: 3 });
+    assert.deepEqual(await CacheService.get('event:2'), { title: 'B' });
+  });
+
+  it('leaves counters untagged so limits hold whatever tenant is asked for', async () => {
+    await inTenant('org-a', () => CacheService.set('2fa:attempts:user-1', 4));
+
+    assert.equal(await inTenant('org-b', () => CacheService.get('2fa:attempts:user-1')), 4);
+    assert.equal(redis.store.get('2fa:attempts:user-1'), '4');
+  });
+});
@@ -0,0 +1,352 @@
+// test/config/tenantIsolation.test.js
+// What the Prisma tenant isolation hook sends on to the database inside a tenant request
+
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Prisma } = require('@prisma/client');
+const { load } = require('../helpers/modules');
+
+const { applyTenantScope, guardRawQuery } = load('config/tenantIsolation');
+const { runWithTenantContext, runElevated, runUnscopedRaw } = load('utils/tenantContext.util');
+
+// Refusals are logged; keep the test output readable
+mock.method(console, 'warn', () => {});
+
+const TENANT_A = 'org-a';
+const TENANT_B = 'org-b';
+
+const admin = { id: 'admin-a', role: 'SUPER_ADMIN', organizationId: TENANT_A };
+const developer = { id: 'dev-1', role: 'DEVELOPER', organizationId: 'org-dev' };
+
+// Prisma queries are lazy thenables that only run once awaited, possibly outside the callback
+const lazily = (fn) => ({ then: (resolve, reject) => fn().then(resolve, reject) });
+
+/**
+ * Run one model operation through the hook and return the args that reach the database
+ */
+const scoped = (req, model, operation, args) => runWithTenantContext(req, () => applyTenantScope({
+  model,
+  operation,
+  args,
+  query: async (finalArgs) => finalArgs,
+}));
+
+const raw = (req, operation, args) => runWithTenantContext(req, () => guardRawQuery({
+  operation,
+  args,
+  query: async () => 'ran',
+}));
+
+const inTenantA = { tenant: { id: TENANT_A }, user: admin };
+
+const rejectsIsolation = (promise) => assert.rejects(promise, (error) => {
+  assert.equal(error.code, 'TENANT_ISOLATION_VIOLATION');
+  assert.equal(error.statusCode, 403);
+  return true;
+});
+
+describe('tenant isolation hook', () => {
+  describe('top-level queries', () => {
+    it('pins reads to the request tenant', async () => {
+      const args = await scoped(inTenantA, 'Event', 'findUnique', { where: { id: 'event-b' } });
+
+      assert.deepEqual(args.where, { id: 'event-b', organizationId: TENANT_A });
+    });
+
+    it('refuses a query that names another organization', async () => {
+      await rejectsIsolation(scoped(inTenantA, 'Event', 'findMany', { where: { organizationId: TENANT_B } }));
+      await rejectsIsolation(scoped(inTenantA, 'Event', 'deleteMany', { where: { organizationId: null } }));
+    });
+
+    it('narrows organizationId filters instead of replacing them', async () => {
+      const args = await scoped(inTenantA, 'Ticket', 'count', { where: { organizationId: { in: [TENANT_A, TENANT_B] } } });
+
+      assert.deepEqual(args.where.AND, [{ organizationId: TENANT_A }]);
+    });
+
+    it('stamps creates and refuses creates for another organization', async () => {
+      const args = await scoped(inTenantA, 'Post', 'create', { data: { title: 'Hello', authorId: 'admin-a' } });
+
+      assert.equal(args.data.organizationId, TENANT_A);
+      await rejectsIsolation(scoped(inTenantA, 'Post', 'create', { data: { title: 'x', organizationId: TENANT_B } }));
+      await rejectsIsolation(scoped(inTenantA, 'Post', 'create', {
+        data: { title: 'x', organization: { connect: { id: TENANT_B } } },
+      }));
+    });
+
+    it('stamps through the organization relation when the caller writes relations', async () => {
+      const args = await scoped(inTenantA, 'Post', 'create', {
+        data: { title: 'Hello', author: { connect: { id: 'admin-a' } } },
+      });
+
+      assert.equal(args.data.organizationId, undefined);
+      assert.deepEqual(args.data.organization, { connect: { id: TENANT_A } });
+    });
+
+    it('refuses to move a row to another organization', async () => {
+      await rejectsIsolation(scoped(inTenantA, 'Event', 'update', { where: { id: 'event-a' }, data: { organizationId: TENANT_B } }));
+      await rejectsIsolation(scoped(inTenantA, 'Event', 'upsert', {
+        where: { id: 'event-a' },
+        create: { title: 'x' },
+        update: { organization: { connect: { id: TENANT_B } } },
+      }));
+    });
+
+    it('leaves models without an organization column alone', async () => {
+      const args = await scoped(inTenantA, 'Batch', 'findMany', { where: { year: 2010 } });
+
+      assert.deepEqual(args.where, { year: 2010 });
+    });
+  });
+
+  describe('nested reads', () => {
+    it('filters to-many includes of tenant models', async () => {
+      const args = await scoped(inTenantA, 'Organization', 'findUnique', {
+        where: { id: TENANT_B },
+        include: { events: true, posts: { where: { isPublished: true } }, lastUpdatedAdmin: true },
+      });
+
+      assert.deepEqual(args.include.events, { where: { organizationId: TENANT_A } });
+      assert.deepEqual(args.include.posts.where, { isPublished: true, organizationId: TENANT_A });
+      assert.equal(args.include.lastUpdatedAdmin, true);
+    });
+
+    it('filters list relations reached through select and deeper includes', async () => {
+      const args = await scoped(inTenantA, 'Event', 'findMany', {
+        select: { id: true, linkedPosts: { select: { id: true } }, series: { include: { occurrences: true } } },
+      });
+
+      assert.deepEqual(args.select.linkedPosts.where, { organizationId: TENANT_A });
+      assert.deepEqual(args.select.series.include.occurrences, { where: { organizationId: TENANT_A } });
+    });
+
+    it('filters _count of tenant relations', async () => {
+      const explicit = await scoped(inTenantA, 'Organization', 'findMany', {
+        include: { _count: { select: { events: { where: { status: 'PUBLISHED' } } } } },
+      });
+      const everything = await scoped(inTenantA, 'Organization', 'findMany', { select: { _count: true } });
+      const children = await scoped(inTenantA, 'Event', 'findMany', { include: { _count: { select: { registrations: true } } } });
+
+      assert.deepEqual(explicit.include._count.select.events, { where: { status: 'PUBLISHED', organizationId: TENANT_A } });
+      assert.deepEqual(everything.select._count.select.tickets, { where: { organizationId: TENANT_A } });
+      assert.equal(children.include._count.select.registrations, true);
+    });
+
+    it('refuses an include that asks for another organization', async () => {
+      await rejectsIsolation(scoped(inTenantA, 'Organization', 'findUnique', {
+        where: { id: TENANT_A },
+        include: { events: { where: { organizationId: TENANT_B } } },
+      }));
+    });
+  });
+
+  describe('nested writes', () => {
+    it('stamps nested creates and scopes nested connects', async () => {
+      const args = await scoped(inTenantA, 'Event', 'create', {
+        data: {
+          title: 'Reunion',
+          linkedPosts: {
+            create: [{ title: 'Save the date', author: { connect: { id: 'admin-a' } } }],
+            connect: [{ id: 'post-b' }],
+          },
+          promoCodes: { createMany: { data: [{ code: 'EARLY' }] } },
+        },
+      });
+
+      assert.deepEqual(args.data.linkedPosts.create[0].organization, { connect: { id: TENANT_A } });
+      assert.deepEqual(args.data.linkedPosts.connect, [{ id: 'post-b', organizationId: TENANT_A }]);
+      assert.equal(args.data.promoCodes.createMany.data[0].organizationId, TENANT_A);
+    });
+
+    it('refuses nested creates for another organization', async () => {
+      await rejectsIsolation(scoped(inTenantA, 'Event', 'update', {
+        where: { id: 'event-a' },
+        data: { linkedPosts: { create: { title: 'x', organizationId: TENANT_B } } },
+      }));
+    });
+
+    it('scopes nested updates, deletes and connectOrCreate', async () => {
+      const args = await scoped(inTenantA, 'Event', 'update', {
+        where: { id: 'event-a' },
+        data: {
+          linkedPosts: {
+            update: { where: { id: 'post-b' }, data: { title: 'Renamed' } },
+            updateMany: { where: { isPublished: false }, data: { isPublished: true } },
+            delete: { id: 'post-c' },
+            deleteMany: {},
+            set: [{ id: 'post-d' }],
+          },
+          promoCodes: { connectOrCreate: { where: { id: 'promo-b' }, create: { code: 'NEW' } } },
+        },
+      });
+
+      const posts = args.data.linkedPosts;
+      assert.deepEqual(posts.update.where, { id: 'post-b', organizationId: TENANT_A });
+      assert.deepEqual(posts.updateMany.where, { isPublished: false, organizationId: TENANT_A });
+      assert.deepEqual(posts.delete, { id: 'post-c', organizationId: TENANT_A });
+      assert.deepEqual(posts.deleteMany, { organizationId: TENANT_A });
+      assert.deepEqual(posts.set, [{ id: 'post-d', organizationId: TENANT_A }]);
+      assert.deepEqual(args.data.promoCodes.connectOrCreate.where, { id: 'promo-b', organizationId: TENANT_A });
+      assert.equal(args.data.promoCodes.connectOrCreate.create.organizationId, TENANT_A);
+    });
+
+    it('scopes writes nested under models that have no organization column', async () => {
+      const args = await scoped(inTenantA, 'EventRegistration', 'update', {
+        where: { id: 'registration-a' },
+        data: { event: { connect: { id: 'event-b' } } },
+      });
+
+      assert.deepEqual(args.data.event.connect, { id: 'event-b', organizationId: TENANT_A });
+    });
+
+    it('lets nested creates under Organization take the organization from the parent', async () => {
+      const args = await scoped(inTenantA, 'Organization', 'update', {
+        where: { id: TENANT_A },
+        data: { events: { create: { title: 'x' } } },
+      });
+
+      assert.deepEqual(args.data.events.create, { title: 'x' });
+    });
+  });
+
+  describe('child models without an organization column', () => {
+    it('filter through the relation chain that leads to their organization', async () => {
+      const args = await scoped(inTenantA, 'EventCheckIn', 'findUnique', { where: { id: 'check-in-b' } });
+      const deleted = await scoped(inTenantA, 'EventPriceTier', 'deleteMany', { where: { eventId: 'event-b' } });
+
+      assert.deepEqual(args.where, { id: 'check-in-b', AND: [{ registration: { event: { organizationId: TENANT_A } } }] });
+      assert.deepEqual(deleted.where.AND, [{ event: { organizationId: TENANT_A } }]);
+    });
+
+    it("follow their user's organization when nothing else owns them, except for developers", async () => {
+      const anonymous = await scoped({ tenant: { id: TENANT_A } }, 'PaymentTransaction', 'findMany', {});
+      const developers = await scoped({ tenant: { id: TENANT_A }, user: developer }, 'PaymentTransaction', 'findMany', {});
+
+      assert.deepEqual(anonymous.where, { AND: [{ user: { organizationId: TENANT_A } }] });
+      assert.equal(developers.where, undefined);
+    });
+
+    it('are filtered in list includes unless reached from their owner', async () => {
+      const byCategory = await scoped(inTenantA, 'ExpenseCategory', 'findUnique', {
+        where: { id: 'category-1' },
+        include: { expenses: true, _count: { select: { expenses: true } } },
+      });
+      const byEvent = await scoped(inTenantA, 'Event', 'findUnique', { where: { id: 'event-a' }, include: { sections: true } });
+
+      assert.deepEqual(byCategory.include.expenses, { where: { AND: [{ creator: { organizationId: TENANT_A } }] } });
+      assert.deepEqual(byCategory.include._count.select.expenses.where, { AND: [{ creator: { organizationId: TENANT_A } }] });
+      assert.equal(byEvent.include.sections, true);
+    });
+  });
+
+  describe('platform-wide rows', () => {
+    it('can be read by asking for them explicitly', async () => {
+      const platform = await scoped(inTenantA, 'BlacklistedEmail', 'findFirst', { where: { email: 'x@example.org', organizationId: null } });
+      const own = await scoped(inTenantA, 'BlacklistedEmail', 'findMany', { where: { email: 'x@example.org' } });
+
+      assert.deepEqual(platform.where, { email: 'x@example.org', organizationId: null });
+      assert.deepEqual(own.where, { email: 'x@example.org', organizationId: TENANT_A });
+    });
+
+    it('cannot be written inside a tenant request', async () => {
+      await rejectsIsolation(scoped(inTenantA, 'BlacklistedEmail', 'updateMany', {
+        where: { organizationId: null },
+        data: { isActive: false },
+      }));
+      await rejectsIsolation(scoped(inTenantA, 'Event', 'findMany', { where: { organizationId: null } }));
+    });
+  });
+
+  describe('users', () => {
+    it('are looked up across tenants before the request is authenticated', async () => {
+      const args = await scoped({ tenant: { id: TENANT_A } }, 'User', 'findMany', { where: { email: 'a@example.org' } });
+
+      assert.deepEqual(args.where, { email: 'a@example.org' });
+    });
+
+    it('are pinned to the tenant once a member is signed in', async () => {
+      const args = await scoped(inTenantA, 'User', 'findUnique', { where: { id: 'user-b' } });
+      const included = await scoped(inTenantA, 'Organization', 'findUnique', { where: { id: TENANT_A }, include: { users: true } });
+
+      assert.deepEqual(args.where, { id: 'user-b', organizationId: TENANT_A });
+      assert.deepEqual(included.include.users, { where: { organizationId: TENANT_A } });
+      await rejectsIsolation(scoped(inTenantA, 'User', 'update', { where: { id: 'user-a' }, data: { organizationId: TENANT_B } }));
+    });
+
+    it('stay unscoped for developers', async () => {
+      const args = await scoped({ tenant: { id: TENANT_A }, user: developer }, 'User', 'findUnique', { where: { id: 'user-b' } });
+
+      assert.deepEqual(args.where, { id: 'user-b' });
+    });
+  });
+
+  describe('tenant selection', () => {
+    it("falls back to the signed-in user's organization without a tenant header", async () => {
+      const args = await scoped({ user: admin }, 'Event', 'findMany', {});
+
+      assert.deepEqual(args.where, { organizationId: TENANT_A });
+    });
+
+    it('does nothing outside a request', async () => {
+      const args = await applyTenantScope({ model: 'Event', operation: 'findMany', args: {}, query: async (finalArgs) => finalArgs });
+
+      assert.deepEqual(args, {});
+    });
+
+    it('does nothing for anonymous requests without a tenant', async () => {
+      const args = await scoped({}, 'Event', 'findMany', { where: { slug: 'reunion' } });
+
+      assert.deepEqual(args.where, { slug: 'reunion' });
+    });
+  });
+
+  describe('raw SQL', () => {
+    it('refuses statements that do not bind the tenant id', async () => {
+      const sql = Prisma.sql`SELECT COUNT(*) FROM users WHERE "isActive" = ${true}`;
+
+      await rejectsIsolation(raw(inTenantA, '$queryRaw', sql));
+      await rejectsIsolation(raw(inTenantA, '$executeRawUnsafe', ['DELETE FROM tickets WHERE id = $1', 'ticket-b']));
+    });
+
+    it('runs statements that bind the tenant id', async () => {
+      const filter = Prisma.sql`AND "organizationId" = ${TENANT_A}`;
+      const sql = Prisma.sql`SELECT id FROM photos WHERE "albumId" = ${'album-a'} ${filter}`;
+
+      assert.equal(await raw(inTenantA, '$queryRaw', sql), 'ran');
+      assert.equal(await raw(inTenantA, '$queryRawUnsafe', ['SELECT 1 WHERE $1 = $1', TENANT_A]), 'ran');
+    });
+
+    it('runs exempted statements and anything outside a tenant request', async () => {
+      const lock = Prisma.sql`SELECT id FROM events WHERE id = ${'event-a'} FOR UPDATE`;
+
+      const exempted = await runWithTenantContext(inTenantA, () => runUnscopedRaw(() => lazily(() => guardRawQuery({
+        operation: '$queryRaw',
+        args: lock,
+        query: async () => 'ran',
+      }))));
+
+      assert.equal(exempted, 'ran');
+      assert.equal(await raw({}, '$queryRaw', lock), 'ran');
+    });
+  });
+
+  describe('elevation', () => {
+    it('lifts scoping for developers inside runElevated only', async () => {
+      const req = { tenant: { id: TENANT_A }, user: developer };
+
+      const [inside, after] = await runWithTenantContext(req, async () => {
+        const query = async (finalArgs) => finalArgs;
+        const elevatedArgs = await runElevated(() => lazily(() => applyTenantScope({ model: 'Event', operation: 'findMany', args: {}, query })));
+        const scopedArgs = await applyTenantScope({ model: 'Event', operation: 'findMany', args: {}, query });
+        return [elevatedArgs, scopedArgs];
+      });
+
+      assert.deepEqual(inside, {});
+      assert.deepEqual(after.where, { organizationId: TENANT_A });
+    });
+
+    it('refuses runElevated for everyone else', async () => {
+      await rejectsIsolation(runWithTenantContext(inTenantA, async () => runElevated(() => 'escaped')));
+    });
+  });
+});
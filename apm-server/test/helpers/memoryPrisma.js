@@ -0,0 +1,763 @@
+// test/helpers/memoryPrisma.js
+// In-memory Prisma client built from the generated DMMF, for route-level tests.
+// Model operations go through the tenant isolation hook and raw SQL through the
+// raw-query guard, exactly like the extended client in config/database.js, so a
+// route sees the rows a tenant-scoped query would return. Covers the query and
+// write surface the services use; raw SQL is checked by the guard but returns
+// no rows.
+
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
+const { applyTenantScope, guardRawQuery } = require('../../src/config/tenantIsolation');
+
+const MODELS = new Map(Prisma.dmmf.datamodel.models.map((model) => [model.name, model]));
+
+const delegateName = (modelName) => modelName[0].toLowerCase() + modelName.slice(1);
+
+const fieldsOf = (modelName) => MODELS.get(modelName).fields;
+const fieldOf = (modelName, name) => fieldsOf(modelName).find((field) => field.name === name);
+const scalarFields = (modelName) => fieldsOf(modelName).filter((field) => field.kind !== 'object');
+const idField = (modelName) => fieldsOf(modelName).find((field) => field.isId).name;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+  && !(value instanceof Date) && !Prisma.Decimal.isDecimal(value);
+
+const knownError = (code, message) => new Prisma.PrismaClientKnownRequestError(message, {
+  code,
+  clientVersion: Prisma.prismaVersion.client,
+});
+
+const notFound = (modelName, operation) => knownError('P2025', `No ${modelName} found for ${operation}`);
+
+// ==========================================
+// RELATIONS
+// ==========================================
+
+/**
+ * How rows of modelName reach the rows behind relation field `name`:
+ * owner  - this row holds the foreign key (from -> to on the target)
+ * back   - the target holds the foreign key (target[from] -> this[to])
+ * manyToMany - implicit join table
+ */
+const relationOf = (modelName, name) => {
+  const field = fieldOf(modelName, name);
+  if (field.relationFromFields?.length) {
+    return { field, target: field.type, kind: 'owner', from: field.relationFromFields, to: field.relationToFields };
+  }
+  const back = fieldsOf(field.type).find((other) => other.relationName === field.relationName
+    && other !== field && other.relationFromFields?.length);
+  if (back) {
+    return { field, target: field.type, kind: 'back', from: back.relationFromFields, to: back.relationToFields };
+  }
+  return { field, target: field.type, kind: 'manyToMany' };
+};
+
+// ==========================================
+// VALUES
+// ==========================================
+
+// Dates may be filtered with ISO strings, as Prisma accepts
+const DATE_STRING = /^\d{4}-\d{2}-\d{2}/;
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'string' && DATE_STRING.test(value) && !Number.isNaN(Date.parse(value))) return Date.parse(value);
+  if (Prisma.Decimal.isDecimal(value)) return value.toNumber();
+  return value;
+};
+
+const toStored = (field, value) => {
+  if (value === undefined || value === null) return value;
+  if (field.isList) return Array.isArray(value) ? [...value] : [value];
+  switch (field.type) {
+    case 'DateTime':
+      return new Date(value);
+    case 'Decimal':
+      return new Prisma.Decimal(Prisma.Decimal.isDecimal(value) ? value : String(value));
+    case 'Int':
+      return Math.trunc(Number(value));
+    case 'Float':
+      return Number(value);
+    case 'Json':
+      return structuredClone(value);
+    default:
+      return value;
+  }
+};
+
+const defaultFor = (field) => {
+  if (field.isUpdatedAt) return new Date();
+  if (!field.hasDefaultValue) return field.isList ? [] : null;
+  const value = field.default;
+  if (isPlainObject(value) && value.name) {
+    if (value.name === 'cuid' || value.name === 'uuid') return crypto.randomUUID();
+    if (value.name === 'now') return new Date();
+    return null;
+  }
+  if (field.type === 'Json' && typeof value === 'string') return JSON.parse(value);
+  return toStored(field, value);
+};
+
+const equal = (left, right) => {
+  if (isPlainObject(left) || Array.isArray(left)) return JSON.stringify(left) === JSON.stringify(right);
+  return comparable(left) === comparable(right);
+};
+
+const lower = (value, insensitive) => (insensitive && typeof value === 'string' ? value.toLowerCase() : value);
+
+const SCALAR_OPERATORS = new Set([
+  'equals', 'in', 'notIn', 'not', 'lt', 'lte', 'gt', 'gte', 'contains', 'startsWith', 'endsWith',
+  'mode', 'has', 'hasSome', 'hasEvery', 'isEmpty', 'search', 'path', 'string_contains', 'array_contains',
+]);
+
+const isScalarFilter = (value) => isPlainObject(value) && Object.keys(value).length > 0
+  && Object.keys(value).every((key) => SCALAR_OPERATORS.has(key));
+
+const matchesScalar = (value, filter) => {
+  if (!isScalarFilter(filter)) {
+    return filter === null ? value === null || value === undefined : equal(value, filter);
+  }
+
+  const insensitive = filter.mode === 'insensitive';
+  const actual = lower(comparable(value), insensitive);
+
+  return Object.entries(filter).every(([operator, expected]) => {
+    const wanted = lower(comparable(expected), insensitive);
+    switch (operator) {
+      case 'equals':
+        return expected === null ? value == null : equal(lower(value, insensitive), lower(expected, insensitive));
+      case 'in':
+        return expected.some((item) => equal(lower(value, insensitive), lower(item, insensitive)));
+      case 'notIn':
+        return !expected.some((item) => equal(value, item));
+      case 'not':
+        return !matchesScalar(value, expected ?? null);
+      case 'lt':
+        return value != null && actual < wanted;
+      case 'lte':
+        return value != null && actual <= wanted;
+      case 'gt':
+        return value != null && actual > wanted;
+      case 'gte':
+        return value != null && actual >= wanted;
+      case 'contains':
+        return typeof actual === 'string' && actual.includes(wanted);
+      case 'startsWith':
+        return typeof actual === 'string' && actual.startsWith(wanted);
+      case 'endsWith':
+        return typeof actual === 'string' && actual.endsWith(wanted);
+      case 'has':
+        return Array.isArray(value) && value.some((item) => equal(item, expected));
+      case 'hasSome':
+        return Array.isArray(value) && expected.some((item) => value.some((own) => equal(own, item)));
+      case 'hasEvery':
+        return Array.isArray(value) && expected.every((item) => value.some((own) => equal(own, item)));
+      case 'isEmpty':
+        return Array.isArray(value) && (value.length === 0) === expected;
+      default:
+        // mode, full-text search and Json path filters: not modelled
+        return true;
+    }
+  });
+};
+
+// ==========================================
+// CLIENT
+// ==========================================
+
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.tenantIsolation=true] - Run the isolation hooks like config/database.js
+ * @returns {Object} prisma-compatible client with helpers:
+ *   $tables - Map of model name -> rows,
+ *   $insert(model, row) - store a row as-is (no hooks, no defaults),
+ *   $snapshot() / $restore(snapshot) - cheap copies of the whole store
+ */
+const createMemoryPrisma = ({ tenantIsolation = true } = {}) => {
+  let tables = new Map([...MODELS.keys()].map((name) => [name, []]));
+  let joins = new Map();
+
+  const rowsOf = (modelName) => tables.get(modelName);
+
+  const keyOf = (modelName, row) => row[idField(modelName)];
+
+  // Rows are replaced, never mutated, so a snapshot only copies the arrays
+  const replaceRow = (modelName, row, next) => {
+    const rows = rowsOf(modelName);
+    rows[rows.indexOf(row)] = next;
+    return next;
+  };
+
+  const removeRow = (modelName, row) => {
+    tables.set(modelName, rowsOf(modelName).filter((other) => other !== row));
+  };
+
+  const joinPairs = (relationName) => {
+    if (!joins.has(relationName)) joins.set(relationName, []);
+    return joins.get(relationName);
+  };
+
+  // Implicit many-to-many sides are stored as [lowerModelKey, higherModelKey] pairs
+  const manyToManyRows = (modelName, row, relation) => {
+    const pairs = joinPairs(relation.field.relationName);
+    const own = keyOf(modelName, row);
+    const ownFirst = modelName <= relation.target;
+    const keys = pairs
+      .filter(([first, second]) => (ownFirst ? first : second) === own)
+      .map(([first, second]) => (ownFirst ? second : first));
+    return rowsOf(relation.target).filter((target) => keys.includes(keyOf(relation.target, target)));
+  };
+
+  const relatedRows = (modelName, row, name) => {
+    const relation = relationOf(modelName, name);
+    if (relation.kind === 'owner') {
+      if (relation.from.some((from) => row[from] == null)) return [];
+      return rowsOf(relation.target).filter((target) => relation.to.every((to, index) => equal(target[to], row[relation.from[index]])));
+    }
+    if (relation.kind === 'back') {
+      return rowsOf(relation.target).filter((target) => relation.from.every((from, index) => target[from] != null
+        && equal(target[from], row[relation.to[index]])));
+    }
+    return manyToManyRows(modelName, row, relation);
+  };
+
+  // ---------- where ----------
+
+  const matches = (modelName, row, where) => {
+    if (!where) return true;
+
+    return Object.entries(where).every(([key, filter]) => {
+      if (filter === undefined) return true;
+      if (key === 'AND') return [].concat(filter).every((part) => matches(modelName, row, part));
+      if (key === 'OR') return [].concat(filter).some((part) => matches(modelName, row, part));
+      if (key === 'NOT') return [].concat(filter).every((part) => !matches(modelName, row, part));
+
+      const field = fieldOf(modelName, key);
+      if (!field) {
+        // Compound unique input, e.g. user_email_org_unique: { email, organizationId }
+        return isPlainObject(filter) ? matches(modelName, row, filter) : true;
+      }
+
+      if (field.kind !== 'object') {
+        return matchesScalar(row[key], filter);
+      }
+
+      const related = relatedRows(modelName, row, key);
+      if (field.isList) {
+        if (filter.some) return related.some((target) => matches(field.type, target, filter.some));
+        if (filter.every) return related.every((target) => matches(field.type, target, filter.every));
+        if (filter.none) return !related.some((target) => matches(field.type, target, filter.none));
+        return true;
+      }
+      if (filter === null) return related.length === 0;
+      if ('is' in filter) return filter.is === null ? related.length === 0 : related.some((target) => matches(field.type, target, filter.is));
+      if ('isNot' in filter) return filter.isNot === null ? related.length > 0 : !related.some((target) => matches(field.type, target, filter.isNot));
+      return related.some((target) => matches(field.type, target, filter));
+    });
+  };
+
+  // ---------- ordering and paging ----------
+
+  const sortValue = (modelName, row, orderBy) => {
+    const [key, direction] = Object.entries(orderBy)[0] || [];
+    if (!key) return [null, 'asc'];
+    const field = fieldOf(modelName, key);
+    if (field?.kind === 'object' && !field.isList && isPlainObject(direction)) {
+      const [target] = relatedRows(modelName, row, key);
+      return target ? sortValue(field.type, target, direction) : [null, 'asc'];
+    }
+    if (field?.kind === 'object' && isPlainObject(direction) && direction._count) {
+      return [relatedRows(modelName, row, key).length, direction._count];
+    }
+    if (key === '_count' && isPlainObject(direction)) {
+      const [relation, countDirection] = Object.entries(direction)[0];
+      return [relatedRows(modelName, row, relation).length, countDirection];
+    }
+    return [comparable(row[key]), isPlainObject(direction) ? direction.sort : direction];
+  };
+
+  const sortRows = (modelName, rows, orderBy) => {
+    if (!orderBy) return rows;
+    const orders = [].concat(orderBy);
+    return [...rows].sort((left, right) => {
+      for (const order of orders) {
+        const [a, direction] = sortValue(modelName, left, order);
+        const [b] = sortValue(modelName, right, order);
+        if (a === b) continue;
+        const sign = direction === 'desc' ? -1 : 1;
+        if (a === null || a === undefined) return sign;
+        if (b === null || b === undefined) return -sign;
+        return a < b ? -sign : sign;
+      }
+      return 0;
+    });
+  };
+
+  const page = (rows, { skip, take, distinct } = {}) => {
+    let result = rows;
+    if (distinct) {
+      const seen = new Set();
+      result = result.filter((row) => {
+        const key = JSON.stringify([].concat(distinct).map((field) => row[field]));
+        return seen.has(key) ? false : seen.add(key);
+      });
+    }
+    if (skip) result = result.slice(skip);
+    if (take !== undefined && take !== null) result = take < 0 ? result.slice(take) : result.slice(0, take);
+    return result;
+  };
+
+  const findRows = (modelName, args = {}) => {
+    const rows = rowsOf(modelName).filter((row) => matches(modelName, row, args.where));
+    return page(sortRows(modelName, rows, args.orderBy), args);
+  };
+
+  // ---------- select / include ----------
+
+  const countRelations = (modelName, row, selection) => {
+    const wanted = selection === true ? null : selection.select;
+    const relations = wanted ? Object.keys(wanted) : fieldsOf(modelName).filter((field) => field.kind === 'object' && field.isList).map((field) => field.name);
+    return Object.fromEntries(relations.filter((name) => !wanted || wanted[name]).map((name) => {
+      const filter = isPlainObject(wanted?.[name]) ? wanted[name].where : undefined;
+      const related = relatedRows(modelName, row, name).filter((target) => matches(fieldOf(modelName, name).type, target, filter));
+      return [name, related.length];
+    }));
+  };
+
+  const projectRelation = (modelName, row, name, nested) => {
+    const field = fieldOf(modelName, name);
+    const args = isPlainObject(nested) ? nested : {};
+    let related = relatedRows(modelName, row, name).filter((target) => matches(field.type, target, args.where));
+    if (field.isList) {
+      related = page(sortRows(field.type, related, args.orderBy), args);
+      return related.map((target) => project(field.type, target, args));
+    }
+    return related[0] ? project(field.type, related[0], args) : null;
+  };
+
+  const readScalar = (field, value) => (field.type === 'Json' && value != null ? structuredClone(value) : value);
+
+  const project = (modelName, row, args = {}) => {
+    const result = {};
+
+    if (args.select) {
+      for (const [name, wanted] of Object.entries(args.select)) {
+        if (!wanted) continue;
+        if (name === '_count') {
+          result._count = countRelations(modelName, row, wanted);
+          continue;
+        }
+        const field = fieldOf(modelName, name);
+        if (!field) continue;
+        result[name] = field.kind === 'object' ? projectRelation(modelName, row, name, wanted) : readScalar(field, row[name]);
+      }
+      return result;
+    }
+
+    for (const field of scalarFields(modelName)) {
+      result[field.name] = readScalar(field, row[field.name]);
+    }
+    for (const [name, wanted] of Object.entries(args.include || {})) {
+      if (!wanted) continue;
+      result[name] = name === '_count' ? countRelations(modelName, row, wanted) : projectRelation(modelName, row, name, wanted);
+    }
+    return result;
+  };
+
+  // ---------- writes ----------
+
+  const uniqueSets = (modelName) => {
+    const model = MODELS.get(modelName);
+    return [
+      [idField(modelName)],
+      ...model.fields.filter((field) => field.isUnique).map((field) => [field.name]),
+      ...model.uniqueFields,
+    ];
+  };
+
+  const assertUnique = (modelName, candidate, ignore) => {
+    for (const fields of uniqueSets(modelName)) {
+      if (fields.some((field) => candidate[field] == null)) continue;
+      const clash = rowsOf(modelName).find((row) => row !== ignore && fields.every((field) => equal(row[field], candidate[field])));
+      if (clash) {
+        throw knownError('P2002', `Unique constraint failed on ${modelName}(${fields.join(', ')})`);
+      }
+    }
+  };
+
+  const findUniqueRow = (modelName, where) => rowsOf(modelName).find((row) => matches(modelName, row, where));
+
+  const applyScalarUpdate = (field, current, update) => {
+    if (!isPlainObject(update) || field.type === 'Json' && !('set' in update)) {
+      return toStored(field, update);
+    }
+    if ('set' in update) return toStored(field, update.set);
+    if ('push' in update) return [...(current || []), ...[].concat(update.push)];
+    const number = comparable(current) || 0;
+    let next = number;
+    if ('increment' in update) next = number + Number(update.increment);
+    if ('decrement' in update) next = number - Number(update.decrement);
+    if ('multiply' in update) next = number * Number(update.multiply);
+    if ('divide' in update) next = number / Number(update.divide);
+    return toStored(field, next);
+  };
+
+  // Split data into scalar values and relation writes
+  const splitData = (modelName, data = {}) => {
+    const scalars = {};
+    const relations = [];
+    for (const [name, value] of Object.entries(data)) {
+      if (value === undefined) continue;
+      const field = fieldOf(modelName, name);
+      if (!field) continue;
+      if (field.kind === 'object') {
+        relations.push([name, value]);
+      } else {
+        scalars[name] = value;
+      }
+    }
+    return { scalars, relations };
+  };
+
+  const linkOwner = (row, relation, target) => Object.fromEntries(relation.from.map((from, index) => [from, target ? target[relation.to[index]] : null]));
+
+  const linkBack = (relation, parent) => Object.fromEntries(relation.from.map((from, index) => [from, parent[relation.to[index]]]));
+
+  // Owner-side writes decide this row's foreign keys before it is stored
+  const resolveOwnerWrites = (modelName, relations) => {
+    const keys = {};
+    for (const [name, ops] of relations) {
+      const relation = relationOf(modelName, name);
+      if (relation.kind !== 'owner') continue;
+      if (ops.connect) {
+        const target = findUniqueRow(relation.target, ops.connect);
+        if (!target) throw notFound(relation.target, 'connect');
+        Object.assign(keys, linkOwner(null, relation, target));
+      }
+      if (ops.create) {
+        Object.assign(keys, linkOwner(null, relation, createRow(relation.target, ops.create)));
+      }
+      if (ops.connectOrCreate) {
+        const target = findUniqueRow(relation.target, ops.connectOrCreate.where) || createRow(relation.target, ops.connectOrCreate.create);
+        Object.assign(keys, linkOwner(null, relation, target));
+      }
+      if (ops.disconnect) {
+        Object.assign(keys, linkOwner(null, relation, null));
+      }
+    }
+    return keys;
+  };
+
+  const applyManyToMany = (modelName, row, relation, ops) => {
+    const pairs = joinPairs(relation.field.relationName);
+    const own = keyOf(modelName, row);
+    const pair = (other) => (modelName <= relation.target ? [own, other] : [other, own]);
+    const keysFor = (where) => [].concat(where).map((filter) => findUniqueRow(relation.target, filter)).filter(Boolean).map((target) => keyOf(relation.target, target));
+
+    if (ops.set) {
+      joins.set(relation.field.relationName, pairs.filter(([first, second]) => (modelName <= relation.target ? first : second) !== own));
+      keysFor(ops.set).forEach((key) => joinPairs(relation.field.relationName).push(pair(key)));
+    }
+    if (ops.connect) keysFor(ops.connect).forEach((key) => joinPairs(relation.field.relationName).push(pair(key)));
+    if (ops.disconnect) {
+      const drop = new Set(keysFor(ops.disconnect));
+      joins.set(relation.field.relationName, joinPairs(relation.field.relationName).filter(([first, second]) => !drop.has(modelName <= relation.target ? second : first)));
+    }
+    if (ops.create) [].concat(ops.create).forEach((data) => joinPairs(relation.field.relationName).push(pair(keyOf(relation.target, createRow(relation.target, data)))));
+  };
+
+  // Back-side writes need the stored parent row for the foreign key
+  const applyBackWrites = (modelName, row, relations) => {
+    for (const [name, ops] of relations) {
+      const relation = relationOf(modelName, name);
+      if (relation.kind === 'owner') {
+        if (ops.update) {
+          const [target] = relatedRows(modelName, row, name);
+          if (target) updateRow(relation.target, target, ops.update.data && ops.update.where !== undefined ? ops.update.data : ops.update);
+        }
+        if (ops.upsert) {
+          const [target] = relatedRows(modelName, row, name);
+          if (target) {
+            updateRow(relation.target, target, ops.upsert.update);
+          } else {
+            const created = createRow(relation.target, ops.upsert.create);
+            row = replaceRow(modelName, row, { ...row, ...linkOwner(row, relation, created) });
+          }
+        }
+        if (ops.delete) {
+          relatedRows(modelName, row, name).forEach((target) => removeRow(relation.target, target));
+        }
+        continue;
+      }
+      if (relation.kind === 'manyToMany') {
+        applyManyToMany(modelName, row, relation, ops);
+        continue;
+      }
+
+      const link = linkBack(relation, row);
+      const children = () => rowsOf(relation.target).filter((target) => relation.from.every((from) => equal(target[from], link[from])));
+      const childMatching = (where) => children().filter((target) => matches(relation.target, target, where));
+
+      if (ops.create) [].concat(ops.create).forEach((data) => createRow(relation.target, { ...data, ...link }));
+      if (ops.createMany) [].concat(ops.createMany.data).forEach((data) => createRow(relation.target, { ...data, ...link }));
+      if (ops.connectOrCreate) {
+        [].concat(ops.connectOrCreate).forEach(({ where, create }) => {
+          const target = findUniqueRow(relation.target, where);
+          if (target) {
+            replaceRow(relation.target, target, { ...target, ...link });
+          } else {
+            createRow(relation.target, { ...create, ...link });
+          }
+        });
+      }
+      if (ops.set) {
+        children().forEach((target) => replaceRow(relation.target, target, { ...target, ...linkBack(relation, {}) }));
+      }
+      for (const where of [].concat(ops.connect || [], ops.set || [])) {
+        const target = findUniqueRow(relation.target, where);
+        if (!target) throw notFound(relation.target, 'connect');
+        replaceRow(relation.target, target, { ...target, ...link });
+      }
+      if (ops.disconnect) {
+        const targets = ops.disconnect === true ? children() : [].concat(ops.disconnect).flatMap((where) => childMatching(where));
+        targets.forEach((target) => replaceRow(relation.target, target, { ...target, ...linkBack(relation, {}) }));
+      }
+      if (ops.update) {
+        [].concat(ops.update).forEach((update) => {
+          const targets = relation.field.isList ? childMatching(update.where) : children();
+          const data = relation.field.isList ? update.data : (update.data && update.where !== undefined ? update.data : update);
+          if (relation.field.isList && targets.length === 0) throw notFound(relation.target, 'nested update');
+          targets.forEach((target) => updateRow(relation.target, target, data));
+        });
+      }
+      if (ops.updateMany) {
+        [].concat(ops.updateMany).forEach(({ where, data }) => childMatching(where).forEach((target) => updateRow(relation.target, target, data)));
+      }
+      if (ops.upsert) {
+        [].concat(ops.upsert).forEach(({ where, create, update }) => {
+          const [target] = relation.field.isList ? childMatching(where) : children();
+          if (target) {
+            updateRow(relation.target, target, update);
+          } else {
+            createRow(relation.target, { ...create, ...link });
+          }
+        });
+      }
+      if (ops.delete) {
+        const targets = ops.delete === true ? children() : [].concat(ops.delete).flatMap((where) => childMatching(where));
+        targets.forEach((target) => removeRow(relation.target, target));
+      }
+      if (ops.deleteMany) {
+        [].concat(ops.deleteMany).flatMap((where) => childMatching(where)).forEach((target) => removeRow(relation.target, target));
+      }
+    }
+    return row;
+  };
+
+  function createRow(modelName, data = {}) {
+    const { scalars, relations } = splitData(modelName, data);
+    const row = {};
+    for (const field of scalarFields(modelName)) {
+      row[field.name] = field.name in scalars ? toStored(field, scalars[field.name]) : defaultFor(field);
+    }
+    Object.assign(row, resolveOwnerWrites(modelName, relations));
+    assertUnique(modelName, row);
+    rowsOf(modelName).push(row);
+    return applyBackWrites(modelName, row, relations);
+  }
+
+  function updateRow(modelName, row, data = {}) {
+    const { scalars, relations } = splitData(modelName, data);
+    const next = { ...row };
+    for (const field of scalarFields(modelName)) {
+      if (field.name in scalars) {
+        next[field.name] = applyScalarUpdate(field, row[field.name], scalars[field.name]);
+      } else if (field.isUpdatedAt) {
+        next[field.name] = new Date();
+      }
+    }
+    Object.assign(next, resolveOwnerWrites(modelName, relations));
+    assertUnique(modelName, next, row);
+    return applyBackWrites(modelName, replaceRow(modelName, row, next), relations);
+  }
+
+  // ---------- aggregates ----------
+
+  const aggregateRows = (modelName, rows, args) => {
+    const result = {};
+    const numbers = (field) => rows.map((row) => comparable(row[field])).filter((value) => value !== null && value !== undefined);
+    const decimal = (field, value) => (value !== null && fieldOf(modelName, field)?.type === 'Decimal' ? new Prisma.Decimal(value) : value);
+
+    if (args._count) {
+      result._count = args._count === true
+        ? rows.length
+        : Object.fromEntries(Object.keys(args._count).map((field) => [field, field === '_all' ? rows.length : numbers(field).length]));
+    }
+    for (const [key, reduce] of [
+      ['_sum', (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) : null)],
+      ['_avg', (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null)],
+      ['_min', (values) => (values.length ? values.reduce((min, value) => (value < min ? value : min)) : null)],
+      ['_max', (values) => (values.length ? values.reduce((max, value) => (value > max ? value : max)) : null)],
+    ]) {
+      if (!args[key]) continue;
+      result[key] = Object.fromEntries(Object.keys(args[key]).map((field) => {
+        const value = reduce(numbers(field));
+        const type = fieldOf(modelName, field)?.type;
+        return [field, type === 'DateTime' && value !== null ? new Date(value) : decimal(field, value)];
+      }));
+    }
+    return result;
+  };
+
+  // ---------- operations ----------
+
+  const operations = {
+    findUnique: (modelName, args) => {
+      const [row] = findRows(modelName, { where: args.where });
+      return row ? project(modelName, row, args) : null;
+    },
+    findFirst: (modelName, args) => {
+      const [row] = findRows(modelName, { ...args, take: 1 });
+      return row ? project(modelName, row, args) : null;
+    },
+    findMany: (modelName, args) => findRows(modelName, args).map((row) => project(modelName, row, args)),
+    count: (modelName, args) => {
+      const rows = findRows(modelName, args);
+      if (isPlainObject(args.select)) {
+        return Object.fromEntries(Object.keys(args.select).map((field) => [field, field === '_all' ? rows.length : rows.filter((row) => row[field] != null).length]));
+      }
+      return rows.length;
+    },
+    aggregate: (modelName, args) => aggregateRows(modelName, findRows(modelName, args), args),
+    groupBy: (modelName, args) => {
+      const by = [].concat(args.by);
+      const groups = new Map();
+      for (const row of findRows(modelName, { where: args.where })) {
+        const key = JSON.stringify(by.map((field) => comparable(row[field])));
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+      }
+      const result = [...groups.values()].map((rows) => ({
+        ...Object.fromEntries(by.map((field) => [field, rows[0][field]])),
+        ...aggregateRows(modelName, rows, args),
+      }));
+      return page(result, args);
+    },
+    create: (modelName, args) => project(modelName, createRow(modelName, args.data), args),
+    createMany: (modelName, args) => {
+      let count = 0;
+      for (const data of [].concat(args.data)) {
+        try {
+          createRow(modelName, data);
+          count += 1;
+        } catch (error) {
+          if (!(args.skipDuplicates && error.code === 'P2002')) throw error;
+        }
+      }
+      return { count };
+    },
+    update: (modelName, args) => {
+      const row = findUniqueRow(modelName, args.where);
+      if (!row) throw notFound(modelName, 'update');
+      return project(modelName, updateRow(modelName, row, args.data), args);
+    },
+    updateMany: (modelName, args) => {
+      const rows = findRows(modelName, { where: args.where });
+      rows.forEach((row) => updateRow(modelName, row, args.data));
+      return { count: rows.length };
+    },
+    upsert: (modelName, args) => {
+      const row = findUniqueRow(modelName, args.where);
+      const stored = row ? updateRow(modelName, row, args.update) : createRow(modelName, args.create);
+      return project(modelName, stored, args);
+    },
+    delete: (modelName, args) => {
+      const row = findUniqueRow(modelName, args.where);
+      if (!row) throw notFound(modelName, 'delete');
+      const result = project(modelName, row, args);
+      removeRow(modelName, row);
+      return result;
+    },
+    deleteMany: (modelName, args) => {
+      const rows = findRows(modelName, { where: args.where });
+      rows.forEach((row) => removeRow(modelName, row));
+      return { count: rows.length };
+    },
+  };
+
+  operations.findUniqueOrThrow = (modelName, args) => {
+    const row = operations.findUnique(modelName, args);
+    if (!row) throw notFound(modelName, 'findUniqueOrThrow');
+    return row;
+  };
+  operations.findFirstOrThrow = (modelName, args) => {
+    const row = operations.findFirst(modelName, args);
+    if (!row) throw notFound(modelName, 'findFirstOrThrow');
+    return row;
+  };
+  operations.createManyAndReturn = (modelName, args) => [].concat(args.data).map((data) => project(modelName, createRow(modelName, data), args));
+  operations.updateManyAndReturn = (modelName, args) => findRows(modelName, { where: args.where })
+    .map((row) => project(modelName, updateRow(modelName, row, args.data), args));
+
+  const run = (model, operation, args = {}) => {
+    const query = async (finalArgs) => operations[operation](model, finalArgs || {});
+    return tenantIsolation ? applyTenantScope({ model, operation, args, query }) : query(args);
+  };
+
+  const raw = (operation, args, result) => (tenantIsolation
+    ? guardRawQuery({ operation, args, query: async () => result })
+    : Promise.resolve(result));
+
+  const client = {
+    $tables: null,
+    $insert: (modelName, row) => {
+      rowsOf(modelName).push(row);
+      return row;
+    },
+    $snapshot: () => ({
+      tables: new Map([...tables].map(([name, rows]) => [name, rows.slice()])),
+      joins: new Map([...joins].map(([name, pairs]) => [name, pairs.slice()])),
+    }),
+    $restore: (snapshot) => {
+      tables = new Map([...snapshot.tables].map(([name, rows]) => [name, rows.slice()]));
+      joins = new Map([...snapshot.joins].map(([name, pairs]) => [name, pairs.slice()]));
+    },
+    // Interactive transactions roll back on error; batches just run in order
+    $transaction: async (arg) => {
+      if (typeof arg !== 'function') return Promise.all(arg);
+      const before = client.$snapshot();
+      try {
+        return await arg(client);
+      } catch (error) {
+        client.$restore(before);
+        throw error;
+      }
+    },
+    $queryRaw: (strings, ...values) => raw('$queryRaw', Array.isArray(strings) ? Prisma.sql(strings, ...values) : strings, []),
+    $executeRaw: (strings, ...values) => raw('$executeRaw', Array.isArray(strings) ? Prisma.sql(strings, ...values) : strings, 0),
+    $queryRawUnsafe: (sql, ...values) => raw('$queryRawUnsafe', [sql, ...values], []),
+    $executeRawUnsafe: (sql, ...values) => raw('$executeRawUnsafe', [sql, ...values], 0),
+    $connect: async () => {},
+    $disconnect: async () => {},
+    $on: () => {},
+    $use: () => {},
+  };
+
+  Object.defineProperty(client, '$tables', { get: () => tables });
+
+  for (const modelName of MODELS.keys()) {
+    client[delegateName(modelName)] = Object.fromEntries(Object.keys(operations).map((operation) => [
+      operation,
+      (args) => run(modelName, operation, args),
+    ]));
+  }
+
+  return client;
+};
+
+module.exports = {
+  MODELS,
+  createMemoryPrisma,
+  delegateName,
+  relationOf,
+};
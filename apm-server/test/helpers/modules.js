@@ -0,0 +1,34 @@
+// test/helpers/modules.js
+// Swap modules under src/ for test doubles before the code under test requires them.
+// Every test file runs in its own process, so stubs never leak between files.
+
+require('./env');
+
+const path = require('path');
+
+const SRC = path.resolve(__dirname, '../../src');
+
+const resolve = (modulePath) => require.resolve(path.join(SRC, modulePath));
+
+/**
+ * Make every later require of src/<modulePath> return exports
+ * @param {string} modulePath - Relative to src/, e.g. 'config/database'
+ * @param {*} exports
+ * @returns {*} exports
+ */
+const stubModule = (modulePath, exports) => {
+  const filename = resolve(modulePath);
+  require.cache[filename] = { id: filename, filename, loaded: true, exports, children: [], paths: [] };
+  return exports;
+};
+
+/**
+ * require src/<modulePath>
+ */
+const load = (modulePath) => require(resolve(modulePath));
+
+module.exports = {
+  SRC,
+  stubModule,
+  load,
+};
@@ -0,0 +1,130 @@
+// test/helpers/oidcIssuer.js
+// Local OpenID Connect issuer: discovery, JWKS and an authorization-code token endpoint with PKCE
+
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+
+const KEY_ID = 'test-key';
+
+/**
+ * Start an issuer on a random local port
+ * @param {Object} client - { clientId, clientSecret } the issuer accepts
+ * @returns {Promise<Object>} { issuerUrl, authorize, signIdToken, tokenRequests, close }
+ */
+const startOidcIssuer = async ({ clientId, clientSecret }) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' };
+
+  const grants = new Map();
+  const tokenRequests = [];
+  let issuerUrl;
+
+  const signIdToken = (claims, { key = privateKey, keyid = KEY_ID } = {}) => jwt.sign(
+    { iss: issuerUrl, aud: clientId, ...claims },
+    key,
+    { algorithm: 'RS256', keyid, expiresIn: '5m' }
+  );
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const handleToken = (params, res) => {
+    tokenRequests.push(params);
+
+    if (params.client_id !== clientId || params.client_secret !== clientSecret) {
+      return send(res, 401, { error: 'invalid_client' });
+    }
+
+    const grant = grants.get(params.code);
+    grants.delete(params.code);
+    if (!grant || params.redirect_uri !== grant.redirectUri) {
+      return send(res, 400, { error: 'invalid_grant', error_description: 'Unknown authorization code' });
+    }
+
+    const challenge = crypto.createHash('sha256').update(params.code_verifier || '').digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+      return send(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    return send(res, 200, {
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      id_token: grant.idToken || signIdToken({ nonce: grant.nonce, ...grant.claims })
+    });
+  };
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, issuerUrl);
+
+    if (req.method === 'GET' && pathname === '/.well-known/openid-configuration') {
+      return send(res, 200, {
+        issuer: issuerUrl,
+        authorization_endpoint: `${issuerUrl}/authorize`,
+        token_endpoint: `${issuerUrl}/token`,
+        jwks_uri: `${issuerUrl}/jwks`
+      });
+    }
+
+    if (req.method === 'GET' && pathname === '/jwks') {
+      return send(res, 200, { keys: [jwk] });
+    }
+
+    if (req.method === 'POST' && pathname === '/token') {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => handleToken(Object.fromEntries(new URLSearchParams(body)), res));
+      return undefined;
+    }
+
+    return send(res, 404, { error: 'not_found' });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  issuerUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Play the user's browser at the authorization endpoint
+   * @param {string} authorizationUrl - URL the app redirected to
+   * @param {Object} claims - id_token claims for the signed-in user (sub, email, ...)
+   * @param {Object} [options] - { idToken } to hand back a specific token instead
+   * @returns {{ code: string, state: string, nonce: string }}
+   */
+  const authorize = (authorizationUrl, claims, { idToken } = {}) => {
+    const { searchParams } = new URL(authorizationUrl);
+    if (searchParams.get('client_id') !== clientId || searchParams.get('code_challenge_method') !== 'S256') {
+      throw new Error('Unexpected authorization request');
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    grants.set(code, {
+      claims,
+      idToken,
+      nonce: searchParams.get('nonce'),
+      codeChallenge: searchParams.get('code_challenge'),
+      redirectUri: searchParams.get('redirect_uri')
+    });
+
+    return { code, state: searchParams.get('state'), nonce: searchParams.get('nonce') };
+  };
+
+  const close = () => new Promise((resolve) => server.close(resolve));
+
+  return {
+    get issuerUrl() {
+      return issuerUrl;
+    },
+    authorize,
+    signIdToken,
+    tokenRequests,
+    close
+  };
+};
+
+module.exports = {
+  startOidcIssuer,
+};
@@ -0,0 +1,41 @@
+// test/helpers/prisma.js
+// Hand-rolled Prisma client doubles for unit tests (no database needed)
+
+/**
+ * Client whose models are the given objects of async functions; calling a model
+ * method that wasn't provided fails loudly instead of returning undefined.
+ * $transaction runs callbacks against the same client and awaits arrays.
+ * @param {Object} models - e.g. { paymentTransaction: { findUnique: async () => row } }
+ * @returns {Object} prisma
+ */
+const createPrismaStub = (models = {}) => {
+  const client = {
+    $transaction: async (arg) => (typeof arg === 'function' ? arg(prisma) : Promise.all(arg)),
+    $queryRaw: async () => [],
+    $executeRaw: async () => 0,
+  };
+
+  const modelProxy = (name) => new Proxy(models[name] || {}, {
+    get(target, operation) {
+      if (operation in target) return target[operation];
+      if (typeof operation === 'symbol' || operation === 'then') return undefined;
+      return () => {
+        throw new Error(`prisma.${name}.${operation} is not stubbed`);
+      };
+    },
+  });
+
+  const prisma = new Proxy(client, {
+    get(target, name) {
+      if (name in target) return target[name];
+      if (typeof name === 'symbol' || name === 'then') return undefined;
+      return modelProxy(name);
+    },
+  });
+
+  return prisma;
+};
+
+module.exports = {
+  createPrismaStub,
+};
@@ -0,0 +1,100 @@
+// test/helpers/redis.js
+// In-memory stand-in for config/redis ({ redis, CacheService, CacheKeys })
+
+const createRedisStub = () => {
+  const store = new Map();
+
+  const CacheService = {
+    get: async (key) => (store.has(key) ? store.get(key) : null),
+    set: async (key, value) => {
+      store.set(key, value);
+      return true;
+    },
+    del: async (key) => {
+      store.delete(key);
+      return true;
+    },
+    delPattern: async (pattern) => {
+      const prefix = pattern.replace(/\*$/, '');
+      for (const key of store.keys()) {
+        if (key.startsWith(prefix)) store.delete(key);
+      }
+      return true;
+    },
+    exists: async (key) => store.has(key),
+    incr: async (key) => {
+      const value = (store.get(key) || 0) + 1;
+      store.set(key, value);
+      return value;
+    },
+  };
+
+  const redis = {
+    publish: async () => 0,
+    defineCommand: () => {},
+    duplicate: () => redis,
+    on: () => redis,
+  };
+
+  return { redis, CacheService, CacheKeys: {}, store };
+};
+
+/**
+ * In-memory stand-in for an ioredis client, covering the commands CacheService
+ * uses, so tests can run the real config/redis on top of it. Expiry is ignored.
+ */
+const createMemoryRedis = () => {
+  const store = new Map();
+  const pattern = (glob) => new RegExp(`^${glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+
+  const redis = {
+    store,
+    get: async (key) => (store.has(key) ? store.get(key) : null),
+    mget: async (...keys) => keys.flat().map((key) => (store.has(key) ? store.get(key) : null)),
+    set: async (key, value) => {
+      store.set(key, String(value));
+      return 'OK';
+    },
+    setex: async (key, seconds, value) => redis.set(key, value),
+    del: async (...keys) => keys.flat().filter((key) => store.delete(key)).length,
+    keys: async (glob) => [...store.keys()].filter((key) => pattern(glob).test(key)),
+    exists: async (key) => (store.has(key) ? 1 : 0),
+    incr: async (key) => {
+      const value = Number(store.get(key) || 0) + 1;
+      store.set(key, String(value));
+      return value;
+    },
+    expire: async () => 1,
+    ttl: async (key) => (store.has(key) ? -1 : -2),
+    hset: async (hash, field, value) => {
+      const fields = store.get(hash) || new Map();
+      fields.set(field, String(value));
+      store.set(hash, fields);
+      return 1;
+    },
+    hget: async (hash, field) => store.get(hash)?.get(field) ?? null,
+    publish: async () => 0,
+    defineCommand: () => {},
+    duplicate: () => redis,
+    on: () => redis,
+  };
+
+  return redis;
+};
+
+/**
+ * Make every later `new Redis()` return redis, so src/config/redis runs for real
+ * @param {Object} redis - e.g. createMemoryRedis()
+ * @returns {Object} redis
+ */
+const useRedisClient = (redis) => {
+  const filename = require.resolve('ioredis');
+  require.cache[filename] = { id: filename, filename, loaded: true, exports: function Redis() { return redis; }, children: [], paths: [] };
+  return redis;
+};
+
+module.exports = {
+  createRedisStub,
+  createMemoryRedis,
+  useRedisClient,
+};
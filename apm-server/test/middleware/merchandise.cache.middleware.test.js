@@ -0,0 +1,108 @@
+// test/middleware/merchandise.cache.middleware.test.js
+// Cached merchandise responses are kept per organization and invalidated per organization
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load } = require('../helpers/modules');
+const { createRedisStub } = require('../helpers/redis');
+
+const cache = createRedisStub();
+stubModule('config/redis', cache);
+
+const {
+  cacheMerchandiseCatalog,
+  cacheOrderDetails,
+  MerchandiseCacheKeys,
+  MerchandiseCacheInvalidator,
+} = load('middleware/cache/merchandise.cache.middleware');
+
+const createRes = () => ({
+  statusCode: 200,
+  body: null,
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+/**
+ * Run a cache middleware; the "controller" answers with body when it is reached
+ * @returns {Promise<Object>} { res, reachedController }
+ */
+const request = async (middleware, req, body) => {
+  const res = createRes();
+  let reachedController = false;
+  await middleware(req, res, () => {
+    reachedController = true;
+    res.json(body);
+  });
+  // Responses are cached without waiting
+  await new Promise((resolve) => setImmediate(resolve));
+  return { res, reachedController };
+};
+
+const catalogRequest = (tenantId) => ({ tenant: { id: tenantId }, query: { page: '1' }, params: {} });
+
+describe('merchandise cache', () => {
+  beforeEach(() => {
+    cache.store.clear();
+    mock.restoreAll();
+    for (const method of ['log', 'error']) {
+      mock.method(console, method, () => {});
+    }
+  });
+
+  it("never serves one organization's catalog to another", async () => {
+    await request(cacheMerchandiseCatalog, catalogRequest('org-b'), { success: true, data: ['org-b hoodie'] });
+
+    const { res, reachedController } = await request(
+      cacheMerchandiseCatalog, catalogRequest('org-a'), { success: true, data: ['org-a mug'] }
+    );
+
+    assert.equal(reachedController, true);
+    assert.deepEqual(res.body.data, ['org-a mug']);
+  });
+
+  it("serves an organization's own cached catalog", async () => {
+    await request(cacheMerchandiseCatalog, catalogRequest('org-a'), { success: true, data: ['org-a mug'] });
+
+    const { res, reachedController } = await request(cacheMerchandiseCatalog, catalogRequest('org-a'), null);
+
+    assert.equal(reachedController, false);
+    assert.deepEqual(res.body.data, ['org-a mug']);
+  });
+
+  it('keys order details by organization, since order numbers can repeat', async () => {
+    const req = (tenantId) => ({ user: { organizationId: tenantId }, query: {}, params: { orderNumber: 'MO-1001' } });
+    await request(cacheOrderDetails, req('org-b'), { success: true, data: { buyer: 'org-b member' } });
+
+    const { reachedController } = await request(cacheOrderDetails, req('org-a'), { success: true, data: {} });
+
+    assert.equal(reachedController, true);
+  });
+
+  it("clears only the organization's own catalog and stats", async () => {
+    for (const tenantId of ['org-a', 'org-b']) {
+      cache.store.set(MerchandiseCacheKeys.catalog(tenantId, 1), { success: true });
+      cache.store.set(MerchandiseCacheKeys.merchandiseStats(tenantId), { success: true });
+      cache.store.set(MerchandiseCacheKeys.categoryStats(tenantId), { success: true });
+    }
+
+    await MerchandiseCacheInvalidator.invalidateCatalogCaches('org-a');
+
+    assert.deepEqual([...cache.store.keys()].sort(), [
+      MerchandiseCacheKeys.catalog('org-b', 1),
+      MerchandiseCacheKeys.categoryStats('org-b'),
+      MerchandiseCacheKeys.merchandiseStats('org-b'),
+    ].sort());
+  });
+
+  it('clears an order only in the organization it belongs to', async () => {
+    cache.store.set(MerchandiseCacheKeys.orderDetails('org-a', 'MO-1001'), { success: true });
+    cache.store.set(MerchandiseCacheKeys.orderDetails('org-b', 'MO-1001'), { success: true });
+
+    await MerchandiseCacheInvalidator.invalidateOrderCaches('MO-1001', 'org-a');
+
+    assert.deepEqual([...cache.store.keys()], [MerchandiseCacheKeys.orderDetails('org-b', 'MO-1001')]);
+  });
+});
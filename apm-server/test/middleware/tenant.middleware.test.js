@@ -0,0 +1,81 @@
+// test/middleware/tenant.middleware.test.js
+// Only developers may lift tenant scoping for the rest of a request
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load } = require('../helpers/modules');
+const { createPrismaStub } = require('../helpers/prisma');
+
+stubModule('config/database', { prisma: createPrismaStub() });
+
+const { bindTenantContext, allowCrossTenantAccess } = load('middleware/tenant.middleware');
+const { applyTenantScope } = load('config/tenantIsolation');
+
+const createRes = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+/**
+ * Run bindTenantContext then allowCrossTenantAccess, and report the where clause an
+ * Event query would use in the handler (if the request got that far)
+ */
+const runRoute = (req) => new Promise((resolve) => {
+  const res = createRes();
+  bindTenantContext(req, res, () => {
+    allowCrossTenantAccess(req, res, async () => {
+      const args = await applyTenantScope({ model: 'Event', operation: 'findMany', args: {}, query: async (finalArgs) => finalArgs });
+      resolve({ res, reachedHandler: true, where: args.where });
+    });
+    if (res.body) {
+      resolve({ res, reachedHandler: false });
+    }
+  });
+});
+
+describe('allowCrossTenantAccess', () => {
+  it('refuses admins of a tenant', async () => {
+    const req = { tenant: { id: 'org-a' }, user: { id: 'admin-a', role: 'SUPER_ADMIN', organizationId: 'org-a' } };
+
+    const { res, reachedHandler } = await runRoute(req);
+
+    assert.equal(reachedHandler, false);
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.code, 'DEVELOPER_REQUIRED');
+  });
+
+  it('refuses anonymous requests', async () => {
+    const { res, reachedHandler } = await runRoute({ tenant: { id: 'org-a' } });
+
+    assert.equal(reachedHandler, false);
+    assert.equal(res.body.code, 'DEVELOPER_REQUIRED');
+  });
+
+  it('lifts scoping for developers', async () => {
+    const req = { tenant: { id: 'org-a' }, user: { id: 'dev-1', role: 'DEVELOPER', organizationId: 'org-dev' } };
+
+    const { reachedHandler, where } = await runRoute(req);
+
+    assert.equal(reachedHandler, true);
+    assert.equal(where, undefined);
+  });
+
+  it('keeps requests without the middleware scoped, developers included', async () => {
+    const req = { tenant: { id: 'org-a' }, user: { id: 'dev-1', role: 'DEVELOPER', organizationId: 'org-dev' } };
+
+    const where = await new Promise((resolve) => bindTenantContext(req, createRes(), async () => {
+      const args = await applyTenantScope({ model: 'Event', operation: 'findMany', args: {}, query: async (finalArgs) => finalArgs });
+      resolve(args.where);
+    }));
+
+    assert.deepEqual(where, { organizationId: 'org-a' });
+  });
+});
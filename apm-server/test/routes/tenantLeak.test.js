@@ -0,0 +1,348 @@
+// test/routes/tenantLeak.test.js
+// Two-tenant leak harness: every route, called by tenant A with tenant B's ids,
+// must neither return B's data nor change or link to B's rows.
+//
+// Both tenants get one row in every model, with the same id across models
+// (so every route parameter can be B's id) and B's strings carrying a marker.
+// Each route is first called by B's own admin to warm any cache, then by A's
+// admin with and without the X-Tenant-Code header and anonymously under A's
+// header. Bodies are generic, so validated writes mostly stop at validation;
+// the write paths themselves are covered in test/config/tenantIsolation.test.js.
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { Prisma } = require('@prisma/client');
+const { stubModule, load } = require('../helpers/modules');
+const { createMemoryRedis, useRedisClient } = require('../helpers/redis');
+const { createMemoryPrisma, MODELS, relationOf } = require('../helpers/memoryPrisma');
+
+const TENANT_A = '00000000-0000-4000-8000-00000000000a';
+const TENANT_B = '00000000-0000-4000-8000-00000000000b';
+
+const TENANTS = {
+  [TENANT_A]: { marker: 'tenant-a', number: 2001 },
+  [TENANT_B]: { marker: 'zz-leak-b', number: 2002 },
+};
+const SHARED_MARKER = 'shared';
+const LEAK_MARKER = TENANTS[TENANT_B].marker;
+
+// Long-lived responses, not request/response routes
+const SKIPPED_PATHS = new Set(['/api/realtime/stream/']);
+
+// Organization pickers for sign-up and tenant selection list every active
+// organization's name, code and logo by design; writes are still checked
+const PUBLIC_DIRECTORIES = new Set(['GET /api/auth/organizations', 'GET /api/public/organizations']);
+
+const ENUMS = new Map(Prisma.dmmf.datamodel.enums.map((item) => [item.name, item.values.map((value) => value.name)]));
+// Enum values that keep seeded rows visible to list and detail routes
+const VISIBLE_ENUM_VALUES = ['PUBLISHED', 'ACTIVE', 'APPROVED', 'CONFIRMED', 'COMPLETED', 'OPEN', 'PAID'];
+const VISIBLE_FLAGS = /active|public|published|approved|visible|verified|enabled/i;
+const FUTURE = new Date('2030-06-01T10:00:00.000Z');
+
+// ==========================================
+// TWO-TENANT DATASET
+// ==========================================
+
+const ownerRelations = (model) => model.fields
+  .filter((field) => field.kind === 'object' && field.relationFromFields?.length)
+  .map((field) => relationOf(model.name, field.name));
+
+// Models whose rows belong to a tenant: organizationId, or a foreign key chain to one
+const TENANT_OWNED = (() => {
+  const owned = new Set(['Organization']);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const model of MODELS.values()) {
+      if (owned.has(model.name)) continue;
+      if (model.fields.some((field) => field.name === 'organizationId')
+        || ownerRelations(model).some((relation) => owned.has(relation.target))) {
+        owned.add(model.name);
+        grew = true;
+      }
+    }
+  }
+  return owned;
+})();
+
+// field name -> relation, for every scalar that is a foreign key
+const foreignKeys = (model) => new Map(ownerRelations(model)
+  .flatMap((relation) => relation.from.map((from, index) => [from, { ...relation, toField: relation.to[index] }])));
+
+const seedValue = (model, field, tenantId) => {
+  const tenant = TENANTS[tenantId];
+  const marker = TENANT_OWNED.has(model.name) ? tenant.marker : SHARED_MARKER;
+
+  if (field.isId || field.name === 'organizationId') return tenantId;
+
+  const foreignKey = foreignKeys(model).get(field.name);
+  if (foreignKey) {
+    if (foreignKey.target === model.name && !field.isRequired) return null;
+    return seedValue(MODELS.get(foreignKey.target), MODELS.get(foreignKey.target).fields.find((other) => other.name === foreignKey.toField), tenantId);
+  }
+
+  if (field.kind === 'enum') {
+    const values = ENUMS.get(field.type);
+    if (field.isList) return [];
+    return VISIBLE_ENUM_VALUES.find((value) => values.includes(value)) || field.default || values[0];
+  }
+
+  switch (field.type) {
+    case 'String':
+      if (field.isList) return [`${marker}-${field.name}`];
+      return /email/i.test(field.name) ? `${marker}-${field.name}@example.org` : `${marker}-${field.name}`;
+    case 'Boolean':
+      return field.hasDefaultValue ? field.default : VISIBLE_FLAGS.test(field.name);
+    case 'Int':
+    case 'Float':
+      return field.isList ? [tenant.number] : tenant.number;
+    case 'Decimal':
+      return new Prisma.Decimal(tenant.number);
+    case 'DateTime':
+      if (field.hasDefaultValue) return new Date();
+      return field.isRequired ? FUTURE : null;
+    case 'Json':
+      return { seed: `${marker}-${field.name}` };
+    default:
+      return null;
+  }
+};
+
+const seed = (prisma) => {
+  for (const model of MODELS.values()) {
+    for (const tenantId of [TENANT_A, TENANT_B]) {
+      const row = {};
+      for (const field of model.fields.filter((item) => item.kind !== 'object')) {
+        row[field.name] = field.isUpdatedAt ? new Date() : seedValue(model, field, tenantId);
+      }
+      if (model.name === 'Organization') row.tenantCode = TENANTS[tenantId].marker;
+      if (model.name === 'User') Object.assign(row, { role: 'SUPER_ADMIN', isActive: true, twoFactorEnabled: false });
+      prisma.$insert(model.name, row);
+    }
+  }
+};
+
+// ==========================================
+// LEAK CHECKS
+// ==========================================
+
+const rowKey = (row) => JSON.stringify(row);
+
+const tenantBRows = (prisma) => new Map([...TENANT_OWNED]
+  .map((name) => [name, prisma.$tables.get(name).find((row) => row.id === TENANT_B)])
+  .map(([name, row]) => [name, row && rowKey(row)]));
+
+/**
+ * Differences a request made to tenant B's data: B rows changed or deleted, and
+ * any other row now pointing at a B row of a tenant-owned model
+ */
+const tenantBChanges = (prisma, before) => {
+  const changes = [];
+
+  for (const [name, snapshot] of before) {
+    const row = prisma.$tables.get(name).find((item) => item.id === TENANT_B);
+    if (!row) changes.push(`deleted ${name} of tenant B`);
+    else if (rowKey(row) !== snapshot) changes.push(`changed ${name} of tenant B`);
+  }
+
+  for (const model of MODELS.values()) {
+    const links = [...foreignKeys(model)].filter(([, relation]) => TENANT_OWNED.has(relation.target));
+    for (const row of prisma.$tables.get(model.name)) {
+      if (row.id === TENANT_B) continue;
+      const linked = links.find(([field]) => row[field] === TENANT_B);
+      if (linked) changes.push(`${row.id === TENANT_A ? 'relinked' : 'created'} ${model.name} pointing at tenant B (${linked[0]})`);
+    }
+  }
+
+  return changes;
+};
+
+// ==========================================
+// ROUTES
+// ==========================================
+
+const mountPath = (layer) => layer.regexp.source
+  .replace(/^\^/, '')
+  .replace('\\/?(?=\\/|$)', '')
+  .replace(/\\\//g, '/');
+
+const listRoutes = (app) => {
+  const routes = [];
+  const walk = (stack, prefix) => {
+    for (const layer of stack) {
+      if (layer.route) {
+        const methods = Object.keys(layer.route.methods).filter((method) => method !== '_all' && method !== 'options');
+        for (const path of [].concat(layer.route.path)) {
+          if (typeof path !== 'string') continue;
+          for (const method of methods) routes.push({ method, path: `${prefix}${path}`, mount: prefix || '/' });
+        }
+      } else if (layer.name === 'router') {
+        walk(layer.handle.stack, `${prefix}${mountPath(layer)}`);
+      }
+    }
+  };
+  walk(app._router.stack, '');
+
+  const seen = new Set();
+  return routes.filter((route) => {
+    const key = `${route.method} ${route.path}`;
+    return !SKIPPED_PATHS.has(route.path) && !seen.has(key) && seen.add(key);
+  });
+};
+
+const withIds = (path, tenantId) => path.replace(/:(\w+)\??/g, tenantId).replace(/\*/g, 'file.png');
+
+// Every foreign key name in the schema, so handlers reading ids from the body get B's
+const bodyFor = (tenantId) => {
+  const body = { id: tenantId, ids: [tenantId], organizationId: tenantId };
+  for (const model of MODELS.values()) {
+    for (const field of foreignKeys(model).keys()) {
+      body[field] = tenantId;
+      body[`${field}s`] = [tenantId];
+    }
+  }
+  return body;
+};
+
+const queryFor = (tenantId) => `?${new URLSearchParams({ organizationId: tenantId, eventId: tenantId, userId: tenantId, tenantId })}`;
+
+// ==========================================
+// HARNESS
+// ==========================================
+
+const prisma = createMemoryPrisma();
+
+// The real CacheService on an in-memory client; queue and pub/sub commands it
+// does not model resolve to nothing
+useRedisClient(new Proxy(createMemoryRedis(), {
+  get: (target, name) => {
+    if (name in target || typeof name === 'symbol' || name === 'then') return target[name];
+    return async () => null;
+  },
+}));
+
+stubModule('config/database', { prisma, connectDB: async () => {}, disconnectDB: async () => {} });
+
+// Background jobs app.js starts must not keep the test process alive
+const loadApp = () => {
+  const timers = [mock.method(global, 'setInterval'), mock.method(global, 'setTimeout')];
+  const unref = (original) => (...args) => {
+    const timer = original(...args);
+    timer?.unref?.();
+    return timer;
+  };
+  timers.forEach((timer) => timer.mock.mockImplementation(unref(timer.mock.original)));
+  try {
+    return load('app');
+  } finally {
+    timers.forEach((timer) => timer.mock.restore());
+  }
+};
+
+for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+  mock.method(console, method, () => {});
+}
+
+const config = load('config');
+const app = loadApp();
+
+seed(prisma);
+const seeded = prisma.$snapshot();
+
+const tokenFor = (tenantId) => jwt.sign({ userId: tenantId, type: 'access' }, config.jwt.secret, { expiresIn: '1h' });
+
+// Without a header the admin's tenant comes from their token. Routes that never
+// read the token run unscoped there, as for anyone without a header while the
+// tenant is optional (ENFORCE_TENANT answers TENANT_CODE_REQUIRED instead), so
+// findings an anonymous caller without a header gets too are not counted.
+const NO_TENANT = {};
+
+const CALLERS = [
+  { name: 'tenant A admin with header', token: tokenFor(TENANT_A), tenantCode: TENANTS[TENANT_A].marker },
+  { name: 'tenant A admin without header', token: tokenFor(TENANT_A), baseline: NO_TENANT },
+  { name: 'anonymous under tenant A', tenantCode: TENANTS[TENANT_A].marker },
+];
+const OWNER = { token: tokenFor(TENANT_B), tenantCode: TENANTS[TENANT_B].marker };
+
+describe('two-tenant route isolation', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const call = async (route, caller) => {
+    const headers = { 'content-type': 'application/json' };
+    if (caller.token) headers.authorization = `Bearer ${caller.token}`;
+    if (caller.tenantCode) headers['x-tenant-code'] = caller.tenantCode;
+
+    const hasBody = !['get', 'head', 'delete'].includes(route.method);
+    try {
+      const response = await fetch(`${baseUrl}${withIds(route.path, TENANT_B)}${queryFor(TENANT_B)}`, {
+        method: route.method.toUpperCase(),
+        headers,
+        body: hasBody ? JSON.stringify(bodyFor(TENANT_B)) : undefined,
+        signal: AbortSignal.timeout(5000),
+      });
+      return { status: response.status, text: await response.text() };
+    } catch (error) {
+      return { status: 0, text: String(error.message) };
+    } finally {
+      // Let work the handler left running after responding settle
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+  };
+
+  // What tenant B lost to the caller: B's data in the response, B's rows changed
+  const findLeaks = async (route, caller) => {
+    prisma.$restore(seeded);
+    const before = tenantBRows(prisma);
+    const { status, text } = await call(route, caller);
+
+    const found = tenantBChanges(prisma, before);
+    const at = PUBLIC_DIRECTORIES.has(`${route.method.toUpperCase()} ${route.path}`) ? -1 : text.indexOf(LEAK_MARKER);
+    if (at !== -1) found.unshift(`responded ${status} with tenant B data: ${text.slice(Math.max(0, at - 80), at + 40)}`);
+    return found;
+  };
+
+  // Leak without the response excerpt, which differs between callers
+  const kindOf = (leak) => leak.split(':')[0];
+
+  const routes = listRoutes(app);
+  const mounts = [...new Set(routes.map((route) => route.mount))];
+
+  it('finds the application routes', () => {
+    assert.ok(routes.length > 500, `only ${routes.length} routes found`);
+  });
+
+  for (const mount of mounts) {
+    it(`keeps tenant B out of ${mount}`, async () => {
+      const leaks = [];
+
+      for (const route of routes.filter((item) => item.mount === mount)) {
+        // B's own admin first, so a cache keyed without the tenant would hold B's data
+        prisma.$restore(seeded);
+        await call(route, OWNER);
+
+        for (const caller of CALLERS) {
+          const found = await findLeaks(route, caller);
+          const expected = found.length > 0 && caller.baseline ? (await findLeaks(route, caller.baseline)).map(kindOf) : [];
+          found
+            .filter((leak) => !expected.includes(kindOf(leak)))
+            .forEach((leak) => leaks.push(`${route.method.toUpperCase()} ${route.path} (${caller.name}): ${leak}`));
+        }
+      }
+
+      assert.deepEqual(leaks, []);
+    });
+  }
+});
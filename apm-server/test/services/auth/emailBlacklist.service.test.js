@@ -0,0 +1,151 @@
+// test/services/auth/emailBlacklist.service.test.js
+// Only an admin's blacklist entry keeps an address out; bounce and complaint suppressions only stop mail.
+// Queries run through the tenant isolation hook, as they do inside a tenant request.
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const { stubModule, load } = require('../../helpers/modules');
+const { createRedisStub } = require('../../helpers/redis');
+const { createMemoryPrisma } = require('../../helpers/memoryPrisma');
+
+const prisma = createMemoryPrisma();
+
+stubModule('config/redis', createRedisStub());
+stubModule('config/database', { prisma, connectDB: async () => {}, disconnectDB: async () => {} });
+
+const EmailBlacklistService = load('services/auth/emailBlacklist.service');
+const { login } = load('controllers/auth/auth.controller');
+const { runWithTenantContext } = load('utils/tenantContext.util');
+
+const PASSWORD = 'correct horse';
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+const empty = prisma.$snapshot();
+
+const inTenant = (organizationId, fn) => runWithTenantContext({ tenant: { id: organizationId } }, fn);
+
+const addEntry = (overrides = {}) => prisma.$insert('BlacklistedEmail', {
+  id: `entry-${prisma.$tables.get('BlacklistedEmail').length + 1}`,
+  email: 'asha@example.com',
+  reason: 'Fake alumni claim',
+  source: 'MANUAL',
+  organizationId: 'org-a',
+  blacklistedBy: null,
+  blacklistedAt: new Date('2026-01-01'),
+  isActive: true,
+  removedBy: null,
+  removedAt: null,
+  removedReason: null,
+  ...overrides,
+});
+
+const isBlacklistedIn = (organizationId, email = 'asha@example.com') =>
+  inTenant(organizationId, () => EmailBlacklistService.isEmailBlacklisted(email));
+
+describe('EmailBlacklistService', () => {
+  beforeEach(() => {
+    prisma.$restore(empty);
+  });
+
+  it("matches an organization's own active entry whatever the address's case", async () => {
+    addEntry();
+
+    assert.equal(await inTenant('org-a', () => EmailBlacklistService.isEmailBlacklisted('Asha@Example.com')), true);
+    assert.equal((await inTenant('org-a', () => EmailBlacklistService.findActiveEntry('asha@example.com'))).reason, 'Fake alumni claim');
+  });
+
+  it("does not apply one organization's entry in another", async () => {
+    addEntry();
+
+    assert.equal(await isBlacklistedIn('org-b'), false);
+  });
+
+  it('still applies an entry from before blacklists were per organization everywhere', async () => {
+    addEntry({ organizationId: null });
+
+    assert.equal(await isBlacklistedIn('org-a'), true);
+    assert.equal(await isBlacklistedIn('org-b'), true);
+  });
+
+  it('ignores hard bounce and complaint suppressions', async () => {
+    addEntry({ organizationId: null, source: 'HARD_BOUNCE' });
+    addEntry({ id: 'entry-complaint', email: 'ravi@example.com', organizationId: null, source: 'COMPLAINT' });
+
+    assert.equal(await isBlacklistedIn('org-a'), false);
+    assert.equal(await isBlacklistedIn('org-a', 'ravi@example.com'), false);
+  });
+
+  it('ignores a removed entry', async () => {
+    addEntry({ organizationId: null, isActive: false });
+
+    assert.equal(await isBlacklistedIn('org-a'), false);
+  });
+
+  it('treats a missing address as not blacklisted', async () => {
+    assert.equal(await EmailBlacklistService.isEmailBlacklisted(undefined), false);
+  });
+});
+
+describe('login with a blacklisted email', () => {
+  const createRes = () => ({
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  });
+
+  const attemptLogin = async () => {
+    const res = createRes();
+    const req = {
+      body: { email: 'Asha@example.com', password: PASSWORD },
+      tenant: { id: 'org-a' },
+      headers: {},
+      ip: '127.0.0.1',
+      get: () => 'node-test',
+    };
+    await runWithTenantContext(req, () => login(req, res));
+    return res;
+  };
+
+  beforeEach(() => {
+    prisma.$restore(empty);
+    mock.restoreAll();
+    for (const method of ['log', 'warn', 'error']) {
+      mock.method(console, method, () => {});
+    }
+    prisma.$insert('Organization', { id: 'org-a', name: 'Alumni A', tenantCode: 'A', logoUrl: null, isActive: true });
+    prisma.$insert('User', {
+      id: 'user-1',
+      organizationId: 'org-a',
+      email: 'asha@example.com',
+      passwordHash,
+      fullName: 'Asha Menon',
+      role: 'USER',
+      isActive: true,
+      isEmailVerified: true,
+    });
+  });
+
+  it('is refused by a legacy entry with no organization', async () => {
+    addEntry({ organizationId: null });
+
+    const res = await attemptLogin();
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.errors.accountBlacklisted, true);
+    const [attempt] = prisma.$tables.get('ActivityLog');
+    assert.equal(attempt.action, 'blacklisted_login_attempt');
+  });
+
+  it("is refused by the organization's own entry", async () => {
+    addEntry();
+
+    assert.equal((await attemptLogin()).statusCode, 403);
+  });
+});
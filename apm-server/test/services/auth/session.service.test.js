@@ -0,0 +1,193 @@
+// test/services/auth/session.service.test.js
+// Refresh rotation, reuse detection and revocation of server-side sessions
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { stubModule, load } = require('../../helpers/modules');
+const { createPrismaStub } = require('../../helpers/prisma');
+const { createRedisStub } = require('../../helpers/redis');
+
+const db = { sessions: new Map(), users: new Map(), activity: [] };
+
+// Enough of Prisma's where semantics for the filters SessionService uses
+const matches = (row, where) => Object.entries(where).every(([field, condition]) => {
+  if (condition === null) return row[field] === null || row[field] === undefined;
+  if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+    if ('in' in condition) return condition.in.includes(row[field]);
+    if ('not' in condition) return row[field] !== condition.not;
+    if ('gt' in condition) return row[field] > condition.gt;
+  }
+  return row[field] === condition;
+});
+
+const prisma = createPrismaStub({
+  userSession: {
+    create: async ({ data }) => {
+      const session = { revokedAt: null, previousTokenId: null, rotatedAt: null, createdAt: new Date(), ...data };
+      db.sessions.set(data.id, session);
+      return session;
+    },
+    findUnique: async ({ where, include }) => {
+      const session = db.sessions.get(where.id);
+      if (!session) return null;
+      return include?.user ? { ...session, user: db.users.get(session.userId) } : { ...session };
+    },
+    findMany: async ({ where }) => [...db.sessions.values()].filter((session) => matches(session, where)),
+    updateMany: async ({ where, data }) => {
+      const rows = [...db.sessions.values()].filter((session) => matches(session, where));
+      rows.forEach((session) => Object.assign(session, data));
+      return { count: rows.length };
+    },
+  },
+  activityLog: {
+    create: async ({ data }) => {
+      db.activity.push(data);
+      return data;
+    },
+  },
+});
+
+const cache = createRedisStub();
+stubModule('config/redis', cache);
+stubModule('config/database', { prisma });
+
+const config = load('config');
+const SessionService = load('services/auth/session.service');
+
+const req = { ip: '203.0.113.7', get: () => 'Mozilla/5.0 (Windows NT 10.0) Chrome/126.0' };
+
+const rejectsWith = (promise, code) => assert.rejects(promise, (error) => {
+  assert.equal(error.code, code);
+  assert.equal(error.statusCode, 401);
+  return true;
+});
+
+describe('SessionService', () => {
+  beforeEach(() => {
+    db.sessions.clear();
+    db.activity = [];
+    db.users.clear();
+    db.users.set('user-1', { id: 'user-1', isActive: true });
+    cache.store.clear();
+  });
+
+  describe('rotate', () => {
+    it('issues a new pair and retires the presented refresh token', async () => {
+      const login = await SessionService.createSession('user-1', req);
+
+      const rotated = await SessionService.rotate(login.refreshToken, req);
+
+      assert.equal(rotated.sessionId, login.sessionId);
+      assert.notEqual(rotated.refreshToken, login.refreshToken);
+      const session = db.sessions.get(login.sessionId);
+      assert.equal(session.currentTokenId, jwt.decode(rotated.refreshToken).jti);
+      assert.equal(session.previousTokenId, jwt.decode(login.refreshToken).jti);
+      assert.equal(jwt.decode(rotated.accessToken).sid, login.sessionId);
+    });
+
+    it('tells a racing second tab the token was just rotated without revoking', async () => {
+      const login = await SessionService.createSession('user-1', req);
+      await SessionService.rotate(login.refreshToken, req);
+
+      await rejectsWith(SessionService.rotate(login.refreshToken, req), 'REFRESH_TOKEN_ROTATED');
+
+      assert.equal(db.sessions.get(login.sessionId).revokedAt, null);
+    });
+
+    it('revokes the whole session when a retired token is replayed after the grace window', async () => {
+      const login = await SessionService.createSession('user-1', req);
+      const rotated = await SessionService.rotate(login.refreshToken, req);
+      db.sessions.get(login.sessionId).rotatedAt = new Date(Date.now() - (config.session.reuseGraceSeconds + 1) * 1000);
+
+      await rejectsWith(SessionService.rotate(login.refreshToken, req), 'REFRESH_TOKEN_REUSED');
+
+      const session = db.sessions.get(login.sessionId);
+      assert.ok(session.revokedAt);
+      assert.equal(session.revokedReason, 'token_reuse');
+      assert.equal(db.activity[0].action, 'refresh_token_reuse_detected');
+
+      // The legitimate holder of the newest token is signed out too
+      await rejectsWith(SessionService.rotate(rotated.refreshToken, req), 'SESSION_REVOKED');
+    });
+
+    it('treats a token older than the previous one as reuse', async () => {
+      const login = await SessionService.createSession('user-1', req);
+      const second = await SessionService.rotate(login.refreshToken, req);
+      await SessionService.rotate(second.refreshToken, req);
+
+      await rejectsWith(SessionService.rotate(login.refreshToken, req), 'REFRESH_TOKEN_REUSED');
+    });
+
+    it('lets only one of two concurrent rotations win', async () => {
+      const login = await SessionService.createSession('user-1', req);
+
+      const results = await Promise.allSettled([
+        SessionService.rotate(login.refreshToken, req),
+        SessionService.rotate(login.refreshToken, req),
+      ]);
+
+      assert.equal(results.filter((result) => result.status === 'fulfilled').length, 1);
+      assert.equal(results.find((result) => result.status === 'rejected').reason.code, 'REFRESH_TOKEN_ROTATED');
+    });
+
+    it('refuses access tokens, legacy tokens and tokens for another user', async () => {
+      const login = await SessionService.createSession('user-1', req);
+      const { jti, sid } = jwt.decode(login.refreshToken);
+      const legacy = jwt.sign({ userId: 'user-1', type: 'refresh' }, config.jwt.refreshSecret);
+      const foreign = jwt.sign({ userId: 'user-2', sid, type: 'refresh' }, config.jwt.refreshSecret, { jwtid: jti });
+
+      await rejectsWith(SessionService.rotate(login.accessToken, req), 'INVALID_REFRESH_TOKEN');
+      await rejectsWith(SessionService.rotate(legacy, req), 'INVALID_REFRESH_TOKEN');
+      await rejectsWith(SessionService.rotate(foreign, req), 'INVALID_REFRESH_TOKEN');
+    });
+
+    it('refuses to refresh for a deactivated user', async () => {
+      const login = await SessionService.createSession('user-1', req);
+      db.users.get('user-1').isActive = false;
+
+      await rejectsWith(SessionService.rotate(login.refreshToken, req), 'USER_INACTIVE');
+    });
+  });
+
+  describe('revocation', () => {
+    it('stops the access token of a signed-out session at once, despite the status cache', async () => {
+      const login = await SessionService.createSession('user-1', req);
+      assert.equal(await SessionService.isSessionActive(login.sessionId, 'user-1'), true);
+
+      assert.equal(await SessionService.revokeSession(login.sessionId, 'logout'), true);
+
+      assert.equal(await SessionService.isSessionActive(login.sessionId, 'user-1'), false);
+      await rejectsWith(SessionService.rotate(login.refreshToken, req), 'SESSION_REVOKED');
+    });
+
+    it('does not accept a session id under another user', async () => {
+      const login = await SessionService.createSession('user-1', req);
+
+      assert.equal(await SessionService.isSessionActive(login.sessionId, 'user-2'), false);
+    });
+
+    it('only revokes a session owned by the requesting user', async () => {
+      const login = await SessionService.createSession('user-1', req);
+
+      assert.equal(await SessionService.revokeSession(login.sessionId, 'user_revoked', { userId: 'user-2' }), false);
+      assert.equal(db.sessions.get(login.sessionId).revokedAt, null);
+    });
+
+    it('signs out every other device and keeps the current one', async () => {
+      const current = await SessionService.createSession('user-1', req);
+      const laptop = await SessionService.createSession('user-1', req);
+      const phone = await SessionService.createSession('user-1', req);
+      db.users.set('user-2', { id: 'user-2', isActive: true });
+      const stranger = await SessionService.createSession('user-2', req);
+
+      const revoked = await SessionService.revokeAllSessions('user-1', 'password_changed', { exceptSessionId: current.sessionId });
+
+      assert.equal(revoked, 2);
+      assert.equal(await SessionService.isSessionActive(current.sessionId, 'user-1'), true);
+      assert.equal(await SessionService.isSessionActive(laptop.sessionId, 'user-1'), false);
+      assert.equal(await SessionService.isSessionActive(phone.sessionId, 'user-1'), false);
+      assert.equal(await SessionService.isSessionActive(stranger.sessionId, 'user-2'), true);
+    });
+  });
+});
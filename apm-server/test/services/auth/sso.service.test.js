@@ -0,0 +1,328 @@
+// test/services/auth/sso.service.test.js
+// OIDC sign-in against a local issuer: state, PKCE, nonce, signatures and email verification,
+// plus the https/public-host rule for the URLs the server fetches
+
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const axios = require('axios');
+const { stubModule, load } = require('../../helpers/modules');
+const { createPrismaStub } = require('../../helpers/prisma');
+const { createRedisStub } = require('../../helpers/redis');
+const { startOidcIssuer } = require('../../helpers/oidcIssuer');
+
+const CLIENT = { clientId: 'alumni-portal', clientSecret: 'issuer-client-secret' };
+
+const db = { providers: [], identities: [], users: [] };
+
+const prisma = createPrismaStub({
+  organizationSsoProvider: {
+    findFirst: async ({ where }) => db.providers.find((provider) => provider.id === where.id
+      && provider.organizationId === where.organizationId
+      && provider.isActive === where.isActive) || null,
+  },
+  userSsoIdentity: {
+    findUnique: async ({ where }) => db.identities.find((identity) => identity.providerId === where.providerId_subject.providerId
+      && identity.subject === where.providerId_subject.subject) || null,
+    create: async ({ data }) => {
+      const identity = { id: `identity-${db.identities.length + 1}`, ...data };
+      db.identities.push(identity);
+      return identity;
+    },
+    update: async ({ where, data }) => Object.assign(db.identities.find((identity) => identity.id === where.id), data),
+  },
+  user: {
+    findUnique: async ({ where }) => {
+      const { email, organizationId } = where.user_email_org_unique;
+      return db.users.find((user) => user.email === email && user.organizationId === organizationId) || null;
+    },
+    update: async ({ where, data }) => Object.assign(db.users.find((user) => user.id === where.id), data),
+  },
+});
+
+const cache = createRedisStub();
+stubModule('config/redis', cache);
+stubModule('config/database', { prisma });
+
+const { encryptSecret } = load('utils/encryption.util');
+const SsoService = load('services/auth/sso.service');
+
+const ENTRA_DIRECTORY = '6f1c2b7e-0d4a-4c1e-9a53-2f8e7d3b1a90';
+
+describe('SsoService OIDC sign-in', () => {
+  let issuer;
+
+  before(async () => {
+    issuer = await startOidcIssuer(CLIENT);
+  });
+
+  after(async () => {
+    await issuer.close();
+  });
+
+  beforeEach(() => {
+    mock.restoreAll();
+    // The local issuer is plain http on loopback, which real providers may never be
+    mock.method(SsoService, 'assertAllowedUrl', async () => {});
+    cache.store.clear();
+    db.identities = [];
+    db.users = [
+      { id: 'user-a', email: 'alum@example.org', organizationId: 'org-a', isEmailVerified: false },
+      { id: 'user-b', email: 'alum@example.org', organizationId: 'org-b', isEmailVerified: true },
+    ];
+    db.providers = [{
+      id: 'provider-a',
+      organizationId: 'org-a',
+      type: 'OIDC',
+      issuerUrl: issuer.issuerUrl,
+      clientId: CLIENT.clientId,
+      clientSecret: encryptSecret(CLIENT.clientSecret),
+      scopes: 'openid email profile',
+      allowSignup: true,
+      isActive: true,
+    }];
+  });
+
+  const verifiedUser = { sub: 'subject-1', email: 'Alum@Example.org', email_verified: true, name: 'Alum One' };
+
+  const startSignIn = () => SsoService.createAuthorizationUrl('org-a', 'provider-a');
+
+  it('completes sign-in and links a verified email inside the provider organization', async () => {
+    const { code, state } = issuer.authorize(await startSignIn(), verifiedUser);
+
+    const identity = await SsoService.completeAuthorization(code, state);
+    const userId = await SsoService.findOrLinkUser(identity);
+
+    assert.equal(identity.email, 'alum@example.org');
+    assert.equal(identity.subject, 'subject-1');
+    assert.equal(userId, 'user-a');
+    assert.deepEqual(db.identities.map((row) => [row.userId, row.providerId]), [['user-a', 'provider-a']]);
+    assert.equal(db.users.find((user) => user.id === 'user-a').isEmailVerified, true);
+
+    const tokenRequest = issuer.tokenRequests.at(-1);
+    assert.equal(tokenRequest.client_secret, CLIENT.clientSecret);
+    assert.ok(tokenRequest.code_verifier);
+  });
+
+  it('refuses an unknown state', async () => {
+    const { code } = issuer.authorize(await startSignIn(), verifiedUser);
+
+    await assert.rejects(SsoService.completeAuthorization(code, 'forged-state'), /Sign-in session expired/);
+  });
+
+  it('refuses to reuse a state', async () => {
+    const { code, state } = issuer.authorize(await startSignIn(), verifiedUser);
+    await SsoService.completeAuthorization(code, state);
+
+    const replay = issuer.authorize(await startSignIn(), verifiedUser);
+    await assert.rejects(SsoService.completeAuthorization(replay.code, state), /Sign-in session expired/);
+  });
+
+  it('fails PKCE when a code issued for another sign-in is injected', async () => {
+    const victim = issuer.authorize(await startSignIn(), verifiedUser);
+    const attacker = issuer.authorize(await startSignIn(), { ...verifiedUser, sub: 'attacker' });
+
+    await assert.rejects(
+      SsoService.completeAuthorization(attacker.code, victim.state),
+      /rejected the sign-in: PKCE verification failed/
+    );
+  });
+
+  it('refuses an id_token minted for a different nonce', async () => {
+    const url = await startSignIn();
+    const idToken = issuer.signIdToken({ ...verifiedUser, nonce: 'someone-elses-nonce' });
+    const { code, state } = issuer.authorize(url, verifiedUser, { idToken });
+
+    await assert.rejects(SsoService.completeAuthorization(code, state), /nonce mismatch/);
+  });
+
+  it('refuses an id_token signed by a key the issuer does not publish', async () => {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const url = await startSignIn();
+    const { nonce } = Object.fromEntries(new URL(url).searchParams);
+    const idToken = issuer.signIdToken({ ...verifiedUser, nonce }, { key: privateKey });
+    const { code, state } = issuer.authorize(url, verifiedUser, { idToken });
+
+    await assert.rejects(SsoService.completeAuthorization(code, state), /invalid signature/);
+  });
+
+  it('refuses an id_token issued to another client', async () => {
+    const url = await startSignIn();
+    const { nonce } = Object.fromEntries(new URL(url).searchParams);
+    const idToken = issuer.signIdToken({ ...verifiedUser, nonce, aud: 'another-app' });
+    const { code, state } = issuer.authorize(url, verifiedUser, { idToken });
+
+    await assert.rejects(SsoService.completeAuthorization(code, state), /audience invalid/);
+  });
+
+  for (const [label, claims] of [
+    ['email_verified is false', { email_verified: false }],
+    ['email_verified is missing', { email_verified: undefined }],
+  ]) {
+    it(`refuses to sign in when ${label}`, async () => {
+      const { code, state } = issuer.authorize(await startSignIn(), { ...verifiedUser, ...claims });
+
+      await assert.rejects(SsoService.completeAuthorization(code, state), /not verified/);
+      assert.equal(db.identities.length, 0);
+    });
+  }
+
+  it('accepts email_verified sent as the string "true"', async () => {
+    const { code, state } = issuer.authorize(await startSignIn(), { ...verifiedUser, email_verified: 'true' });
+
+    assert.equal((await SsoService.completeAuthorization(code, state)).email, 'alum@example.org');
+  });
+
+  it('never falls back to preferred_username for the email', async () => {
+    const claims = { sub: 'subject-1', preferred_username: 'alum@example.org', email_verified: true };
+    const { code, state } = issuer.authorize(await startSignIn(), claims);
+
+    await assert.rejects(SsoService.completeAuthorization(code, state), /did not share an email address/);
+    assert.equal(db.identities.length, 0);
+  });
+
+  it('signs an already linked subject in without looking at the email again', async () => {
+    db.identities.push({ id: 'identity-1', userId: 'user-a', providerId: 'provider-a', subject: 'subject-1' });
+    const { code, state } = issuer.authorize(await startSignIn(), { ...verifiedUser, email: 'renamed@example.org' });
+
+    const identity = await SsoService.completeAuthorization(code, state);
+
+    assert.equal(await SsoService.findOrLinkUser(identity), 'user-a');
+    assert.equal(db.identities.length, 1);
+  });
+});
+
+describe('SsoService Microsoft Entra sign-in', () => {
+  let issuer;
+
+  before(async () => {
+    issuer = await startOidcIssuer(CLIENT);
+  });
+
+  after(async () => {
+    await issuer.close();
+  });
+
+  // Entra ID tokens carry tid, oid and preferred_username (the UPN) but never email_verified
+  const entraUser = {
+    sub: 'entra-subject-1',
+    oid: '0b7d6c2a-5e1f-4f3a-8c9d-1e2f3a4b5c6d',
+    tid: ENTRA_DIRECTORY,
+    preferred_username: 'Alum@Example.org',
+    name: 'Alum One',
+  };
+
+  const useProvider = (directoryId) => {
+    db.providers = [{
+      id: 'provider-a',
+      organizationId: 'org-a',
+      type: 'MICROSOFT',
+      issuerUrl: `https://login.microsoftonline.com/${directoryId}/v2.0`,
+      clientId: CLIENT.clientId,
+      clientSecret: encryptSecret(CLIENT.clientSecret),
+      scopes: 'openid email profile',
+      allowSignup: true,
+      isActive: true,
+    }];
+  };
+
+  const signIn = async (claims) => {
+    const { code, state } = issuer.authorize(await SsoService.createAuthorizationUrl('org-a', 'provider-a'), claims);
+    return SsoService.completeAuthorization(code, state);
+  };
+
+  beforeEach(() => {
+    mock.restoreAll();
+    mock.method(SsoService, 'assertAllowedUrl', async () => {});
+    // Stand the local issuer in for login.microsoftonline.com
+    const getDiscovery = SsoService.getDiscovery.bind(SsoService);
+    mock.method(SsoService, 'getDiscovery', () => getDiscovery(issuer.issuerUrl));
+    cache.store.clear();
+    db.identities = [];
+    db.users = [{ id: 'user-a', email: 'alum@example.org', organizationId: 'org-a', isEmailVerified: false }];
+  });
+
+  it('takes the UPN as the email in a single-tenant directory', async () => {
+    useProvider(ENTRA_DIRECTORY);
+
+    const identity = await signIn(entraUser);
+
+    assert.equal(identity.email, 'alum@example.org');
+    assert.equal(await SsoService.findOrLinkUser(identity), 'user-a');
+  });
+
+  it('trusts the email claim in a single-tenant directory', async () => {
+    useProvider(ENTRA_DIRECTORY);
+
+    assert.equal((await signIn({ ...entraUser, email: 'Alum.One@Example.org' })).email, 'alum.one@example.org');
+  });
+
+  it('accepts a multi-tenant sign-in whose domain the tenant owns (xms_edov)', async () => {
+    useProvider('organizations');
+
+    const identity = await signIn({ ...entraUser, email: 'alum@example.org', xms_edov: true });
+
+    assert.equal(identity.email, 'alum@example.org');
+  });
+
+  it('refuses a multi-tenant sign-in without xms_edov', async () => {
+    useProvider('common');
+
+    await assert.rejects(signIn({ ...entraUser, email: 'alum@example.org' }), /not verified/);
+    assert.equal(db.identities.length, 0);
+  });
+
+  it('refuses a multi-tenant sign-in that only has a UPN', async () => {
+    useProvider('common');
+
+    await assert.rejects(signIn({ ...entraUser, xms_edov: true }), /did not share an email address/);
+  });
+
+  it('does not trust an account from another directory', async () => {
+    useProvider(ENTRA_DIRECTORY);
+
+    await assert.rejects(
+      signIn({ ...entraUser, tid: '11111111-2222-4333-8444-555555555555', email: 'alum@example.org' }),
+      /not verified/
+    );
+  });
+});
+
+describe('SsoService.assertAllowedUrl', () => {
+  beforeEach(() => {
+    mock.restoreAll();
+    cache.store.clear();
+  });
+
+  it('accepts https on a public address', async () => {
+    await SsoService.assertAllowedUrl('https://93.184.216.34/v2.0');
+  });
+
+  for (const [label, url, message] of [
+    ['plain http', 'http://93.184.216.34', /must use https/],
+    ['loopback', 'https://127.0.0.1:8443', /public host/],
+    ['localhost', 'https://localhost', /public host/],
+    ['a private network', 'https://10.1.2.3', /public host/],
+    ['the cloud metadata address', 'https://169.254.169.254/latest', /public host/],
+    ['IPv6 loopback', 'https://[::1]', /public host/],
+    ['an IPv4-mapped private address', 'https://[::ffff:192.168.1.10]', /public host/],
+    ['a malformed URL', 'not a url', /Invalid Issuer URL/],
+  ]) {
+    it(`refuses ${label}`, async () => {
+      await assert.rejects(SsoService.assertAllowedUrl(url), message);
+    });
+  }
+
+  it('refuses discovery that points keys at an internal host', async () => {
+    mock.method(axios, 'get', async () => ({
+      data: {
+        issuer: 'https://93.184.216.34',
+        authorization_endpoint: 'https://93.184.216.34/authorize',
+        token_endpoint: 'https://93.184.216.34/token',
+        jwks_uri: 'https://169.254.169.254/keys',
+      },
+    }));
+
+    await assert.rejects(SsoService.getDiscovery('https://93.184.216.34'), /JWKS URL must point to a public host/);
+  });
+});
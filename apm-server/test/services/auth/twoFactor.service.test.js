@@ -0,0 +1,286 @@
+// test/services/auth/twoFactor.service.test.js
+// TOTP enrollment, single-use codes, attempt limits and the tokens that gate admin actions
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { stubModule, load } = require('../../helpers/modules');
+const { createPrismaStub } = require('../../helpers/prisma');
+const { createRedisStub } = require('../../helpers/redis');
+
+const users = new Map();
+
+const pick = (row, select) => {
+  if (!row) return null;
+  if (!select) return { ...row };
+  return Object.fromEntries(Object.keys(select).map((key) => [key, row[key]]));
+};
+
+const matchesStep = (row, condition) => {
+  if (condition === null) return row.twoFactorLastUsedStep === null;
+  return row.twoFactorLastUsedStep !== null && row.twoFactorLastUsedStep < condition.lt;
+};
+
+const prisma = createPrismaStub({
+  user: {
+    findUnique: async ({ where, select }) => pick(users.get(where.id), select),
+    update: async ({ where, data }) => Object.assign(users.get(where.id), data),
+    // Only the conditional claim in verify() uses updateMany
+    updateMany: async ({ where, data }) => {
+      const row = users.get(where.id);
+      const claimable = row && where.OR.some((branch) => matchesStep(row, branch.twoFactorLastUsedStep));
+      if (!claimable) return { count: 0 };
+      Object.assign(row, data);
+      return { count: 1 };
+    },
+  },
+  organization: {
+    findUnique: async () => ({ requireAdminTwoFactor: true }),
+  },
+});
+
+const cache = createRedisStub();
+stubModule('config/redis', cache);
+stubModule('config/database', { prisma });
+
+const config = load('config');
+const totp = load('utils/totp.util');
+const { encryptSecret } = load('utils/encryption.util');
+const TwoFactorService = load('services/auth/twoFactor.service');
+const { requireStepUp } = load('middleware/auth/auth.middleware');
+
+const SECRET = totp.generateSecret();
+const STEP_MS = 30 * 1000;
+
+const seedUser = (overrides = {}) => {
+  users.set('user-1', {
+    id: 'user-1',
+    email: 'admin@example.org',
+    role: 'SUPER_ADMIN',
+    organizationId: 'org-a',
+    twoFactorEnabled: false,
+    twoFactorSecret: null,
+    twoFactorPendingSecret: null,
+    twoFactorRecoveryCodes: [],
+    twoFactorLastUsedStep: null,
+    twoFactorEnabledAt: null,
+    ...overrides,
+  });
+  return users.get('user-1');
+};
+
+const seedEnrolledUser = async () => {
+  seedUser({ twoFactorPendingSecret: encryptSecret(SECRET) });
+  // Enroll one step back so the current code is still unused
+  const previous = totp.generateCode(SECRET, totp.getTimeStep() - 1);
+  const recoveryCodes = await TwoFactorService.confirmEnrollment('user-1', previous);
+  return recoveryCodes;
+};
+
+const callMiddleware = async (middleware, req) => {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  let nextCalled = false;
+  await middleware(req, res, () => {
+    nextCalled = true;
+  });
+  return { res, nextCalled };
+};
+
+describe('TwoFactorService', () => {
+  beforeEach(() => {
+    users.clear();
+    cache.store.clear();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('enrollment', () => {
+    it('only offers enrollment to admin and developer accounts', async () => {
+      seedUser({ role: 'USER' });
+
+      await assert.rejects(TwoFactorService.beginEnrollment('user-1'), /only available for admin and developer/);
+    });
+
+    it('keeps the pending secret encrypted at rest', async () => {
+      seedUser();
+
+      const { secret, otpauthUrl } = await TwoFactorService.beginEnrollment('user-1');
+
+      const stored = users.get('user-1').twoFactorPendingSecret;
+      assert.ok(stored);
+      assert.ok(!stored.includes(secret));
+      assert.match(otpauthUrl, new RegExp(`secret=${secret}`));
+      assert.equal(users.get('user-1').twoFactorEnabled, false);
+    });
+
+    it('rejects a wrong first code and leaves 2FA off', async () => {
+      seedUser({ twoFactorPendingSecret: encryptSecret(SECRET) });
+
+      await assert.rejects(TwoFactorService.confirmEnrollment('user-1', '000000'), /Invalid verification code/);
+
+      assert.equal(users.get('user-1').twoFactorEnabled, false);
+      assert.equal(cache.store.get('2fa:attempts:user-1'), 1);
+    });
+
+    it('activates with a valid code and stores only hashed recovery codes', async () => {
+      const recoveryCodes = await seedEnrolledUser();
+      const user = users.get('user-1');
+
+      assert.equal(user.twoFactorEnabled, true);
+      assert.equal(user.twoFactorPendingSecret, null);
+      assert.equal(recoveryCodes.length, config.twoFactor.recoveryCodeCount);
+      assert.equal(user.twoFactorRecoveryCodes.length, recoveryCodes.length);
+      for (const code of recoveryCodes) {
+        assert.ok(!user.twoFactorRecoveryCodes.includes(code));
+      }
+    });
+  });
+
+  describe('verify', () => {
+    it('accepts the current authenticator code exactly once', async () => {
+      await seedEnrolledUser();
+      const code = totp.generateCode(SECRET);
+
+      const result = await TwoFactorService.verify('user-1', code);
+      assert.equal(result.method, 'totp');
+
+      await assert.rejects(TwoFactorService.verify('user-1', code), /Invalid verification code/);
+    });
+
+    it('refuses a code older than the one already used', async () => {
+      await seedEnrolledUser();
+
+      // The enrollment code's step is spent; the step before it is older still
+      const stale = totp.generateCode(SECRET, totp.getTimeStep() - 1);
+
+      await assert.rejects(TwoFactorService.verify('user-1', stale), /Invalid verification code/);
+    });
+
+    it('refuses codes outside the one-step drift window', async () => {
+      await seedEnrolledUser();
+      const future = totp.generateCode(SECRET, totp.getTimeStep(Date.now() + 3 * STEP_MS));
+
+      await assert.rejects(TwoFactorService.verify('user-1', future), /Invalid verification code/);
+    });
+
+    it('lets each recovery code through once and counts down', async () => {
+      const recoveryCodes = await seedEnrolledUser();
+
+      const result = await TwoFactorService.verify('user-1', recoveryCodes[0].toLowerCase());
+      assert.equal(result.method, 'recovery_code');
+      assert.equal(result.recoveryCodesRemaining, recoveryCodes.length - 1);
+
+      await assert.rejects(TwoFactorService.verify('user-1', recoveryCodes[0]), /Invalid verification code/);
+    });
+
+    it('locks out after too many wrong codes, even for a correct one', async () => {
+      await seedEnrolledUser();
+
+      for (let attempt = 0; attempt < config.twoFactor.maxAttempts; attempt++) {
+        await assert.rejects(TwoFactorService.verify('user-1', '000000'), /Invalid verification code/);
+      }
+
+      await assert.rejects(TwoFactorService.verify('user-1', totp.generateCode(SECRET)), (error) => {
+        assert.equal(error.statusCode, 429);
+        return true;
+      });
+    });
+
+    it('clears the failure count after a successful code', async () => {
+      await seedEnrolledUser();
+      await assert.rejects(TwoFactorService.verify('user-1', '000000'));
+
+      await TwoFactorService.verify('user-1', totp.generateCode(SECRET));
+
+      assert.equal(cache.store.has('2fa:attempts:user-1'), false);
+    });
+
+    it('refuses users who never enabled 2FA', async () => {
+      seedUser({ twoFactorPendingSecret: encryptSecret(SECRET) });
+
+      await assert.rejects(
+        TwoFactorService.verify('user-1', totp.generateCode(SECRET)),
+        /not enabled/
+      );
+    });
+  });
+
+  describe('tokens', () => {
+    it('does not accept a challenge token as a step-up token', () => {
+      const challenge = TwoFactorService.createChallengeToken('user-1');
+
+      assert.equal(TwoFactorService.verifyChallengeToken(challenge), 'user-1');
+      assert.equal(TwoFactorService.isValidStepUpToken(challenge, 'user-1'), false);
+    });
+
+    it('does not accept a step-up or access token as a challenge token', () => {
+      const stepUp = TwoFactorService.createStepUpToken('user-1');
+      const access = jwt.sign({ userId: 'user-1', type: 'access' }, config.jwt.secret);
+
+      assert.throws(() => TwoFactorService.verifyChallengeToken(stepUp), /Invalid challenge token/);
+      assert.throws(() => TwoFactorService.verifyChallengeToken(access), /Invalid challenge token/);
+    });
+
+    it('binds step-up tokens to the user they were issued for', () => {
+      const stepUp = TwoFactorService.createStepUpToken('user-1');
+
+      assert.equal(TwoFactorService.isValidStepUpToken(stepUp, 'user-1'), true);
+      assert.equal(TwoFactorService.isValidStepUpToken(stepUp, 'user-2'), false);
+    });
+
+    it('rejects expired or foreign-signed step-up tokens', () => {
+      const expired = jwt.sign({ userId: 'user-1', type: 'step_up' }, config.jwt.secret, { expiresIn: -1 });
+      const forged = jwt.sign({ userId: 'user-1', type: 'step_up' }, 'another-secret');
+
+      assert.equal(TwoFactorService.isValidStepUpToken(expired, 'user-1'), false);
+      assert.equal(TwoFactorService.isValidStepUpToken(forged, 'user-1'), false);
+    });
+  });
+
+  describe('requireStepUp', () => {
+    it('blocks enrolled users without a step-up token', async () => {
+      const req = { user: { id: 'user-1', role: 'SUPER_ADMIN', twoFactorEnabled: true }, headers: {} };
+
+      const { res, nextCalled } = await callMiddleware(requireStepUp, req);
+
+      assert.equal(nextCalled, false);
+      assert.equal(res.statusCode, 403);
+      assert.equal(res.body.code, 'STEP_UP_REQUIRED');
+    });
+
+    it('lets enrolled users through with their own step-up token only', async () => {
+      const user = { id: 'user-1', role: 'SUPER_ADMIN', twoFactorEnabled: true };
+      const own = TwoFactorService.createStepUpToken('user-1');
+      const other = TwoFactorService.createStepUpToken('user-2');
+
+      const allowed = await callMiddleware(requireStepUp, { user, headers: { 'x-step-up-token': own } });
+      const refused = await callMiddleware(requireStepUp, { user, headers: { 'x-step-up-token': other } });
+
+      assert.equal(allowed.nextCalled, true);
+      assert.equal(refused.nextCalled, false);
+      assert.equal(refused.res.body.code, 'STEP_UP_REQUIRED');
+    });
+
+    it('demands enrollment when the organization requires admin 2FA', async () => {
+      const req = { user: { id: 'user-1', role: 'SUPER_ADMIN', organizationId: 'org-a', twoFactorEnabled: false }, headers: {} };
+
+      const { res, nextCalled } = await callMiddleware(requireStepUp, req);
+
+      assert.equal(nextCalled, false);
+      assert.equal(res.body.code, 'TWO_FACTOR_ENROLLMENT_REQUIRED');
+    });
+  });
+});
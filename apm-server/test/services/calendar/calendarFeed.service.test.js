@@ -0,0 +1,257 @@
+// test/services/calendar/calendarFeed.service.test.js
+// A feed token shows only its own organization's calendar, and stops working once revoked
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load } = require('../../helpers/modules');
+const { createPrismaStub } = require('../../helpers/prisma');
+
+const db = { feeds: [], queries: {}, registrations: [], events: [], festivals: [], users: [] };
+
+const record = (model) => (args) => {
+  db.queries[model] = args.where;
+};
+
+const prisma = createPrismaStub({
+  calendarFeed: {
+    findUnique: async ({ where }) => db.feeds.find((feed) => feed.token === where.token) || null,
+    update: async ({ where, data }) => {
+      const feed = db.feeds.find((candidate) => candidate.id === where.id);
+      feed.accessCount += data.accessCount.increment;
+      feed.lastAccessedAt = data.lastAccessedAt;
+      return feed;
+    },
+  },
+  eventRegistration: {
+    findMany: async (args) => {
+      record('eventRegistration')(args);
+      return db.registrations;
+    },
+  },
+  event: {
+    findMany: async (args) => {
+      record('event')(args);
+      return db.events;
+    },
+  },
+  festival: {
+    findMany: async (args) => {
+      record('festival')(args);
+      return db.festivals;
+    },
+  },
+  user: {
+    findMany: async (args) => {
+      record('user')(args);
+      return db.users;
+    },
+  },
+});
+
+stubModule('config/database', { prisma });
+
+const config = load('config');
+const { CalendarFeedService } = load('services/calendar/calendarFeed.service');
+
+const NOW = Date.parse('2026-10-19T06:00:00.000Z');
+
+const event = (overrides = {}) => ({
+  id: 'event-1',
+  slug: 'diwali-meet',
+  title: 'Diwali Meet',
+  description: 'Lights, sweets and old friends',
+  eventDate: new Date('2026-10-20T00:00:00.000Z'),
+  startTime: '18:30',
+  endTime: '21:00',
+  venue: 'Main Hall',
+  meetingLink: null,
+  eventMode: 'PHYSICAL',
+  status: 'PUBLISHED',
+  calendarSequence: 0,
+  updatedAt: new Date('2026-10-01T00:00:00.000Z'),
+  ...overrides,
+});
+
+const userFeed = (overrides = {}) => ({
+  id: 'feed-1',
+  token: 'user-token',
+  scope: 'USER',
+  name: null,
+  userId: 'user-1',
+  organizationId: 'org-a',
+  isActive: true,
+  includeRegistered: true,
+  includePublished: false,
+  includeFestivals: false,
+  includeBirthdays: false,
+  birthdayScope: 'ORGANIZATION',
+  accessCount: 0,
+  lastAccessedAt: null,
+  user: { id: 'user-1', batch: 2012, isActive: true },
+  organization: { id: 'org-a', name: 'Alumni A', isActive: true },
+  ...overrides,
+});
+
+const vevents = (ics) => ics.split('BEGIN:VEVENT').slice(1);
+
+describe('CalendarFeedService', () => {
+  beforeEach(() => {
+    mock.restoreAll();
+    mock.timers.enable({ apis: ['Date'], now: NOW });
+    db.feeds = [userFeed()];
+    db.queries = {};
+    db.registrations = [];
+    db.events = [];
+    db.festivals = [];
+    db.users = [];
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  describe('renderFeed', () => {
+    for (const [label, feed] of [
+      ['an unknown token', null],
+      ['a disabled feed', userFeed({ isActive: false })],
+      ['a deactivated user', userFeed({ user: { id: 'user-1', batch: 2012, isActive: false } })],
+      ['a deactivated organization', userFeed({ organization: { id: 'org-a', name: 'Alumni A', isActive: false } })],
+    ]) {
+      it(`refuses ${label} without a trace`, async () => {
+        db.feeds = feed ? [feed] : [];
+
+        await assert.rejects(CalendarFeedService.renderFeed('user-token'), { statusCode: 404, code: 'CALENDAR_FEED_NOT_FOUND' });
+        assert.equal(db.feeds[0]?.accessCount ?? 0, 0);
+      });
+    }
+
+    it("lists the user's confirmed registrations as timed events and counts the access", async () => {
+      db.registrations = [{ event: event() }];
+
+      const { ics } = await CalendarFeedService.renderFeed('user-token');
+
+      const [vevent] = vevents(ics);
+      assert.match(ics, /X-WR-CALNAME:Alumni A - My Events\r\n/);
+      assert.match(ics, /REFRESH-INTERVAL;VALUE=DURATION:PT6H\r\n/);
+      assert.match(vevent, /UID:event-event-1@apm-server\r\n/);
+      // 18:30-21:00 in Asia/Kolkata
+      assert.match(vevent, /DTSTART:20261020T130000Z\r\nDTEND:20261020T153000Z\r\n/);
+      assert.match(vevent, /LOCATION:Main Hall\r\n/);
+      assert.match(vevent, /STATUS:CONFIRMED\r\n/);
+      assert.equal(db.feeds[0].accessCount, 1);
+      assert.deepEqual(db.feeds[0].lastAccessedAt, new Date(NOW));
+    });
+
+    it("scopes every query to the feed's organization and time window", async () => {
+      db.feeds = [userFeed({ includePublished: true, includeFestivals: true, includeBirthdays: true })];
+
+      await CalendarFeedService.renderFeed('user-token');
+
+      const window = { gte: new Date('2026-07-21T06:00:00.000Z'), lte: new Date('2027-10-19T06:00:00.000Z') };
+      assert.deepEqual(db.queries.eventRegistration, {
+        userId: 'user-1',
+        status: 'CONFIRMED',
+        event: { organizationId: 'org-a', eventDate: window },
+      });
+      assert.equal(db.queries.event.organizationId, 'org-a');
+      assert.deepEqual(db.queries.event.eventDate, window);
+      assert.deepEqual(db.queries.event.seriesTemplateOf, { is: null });
+      assert.equal(db.queries.festival.organizationId, 'org-a');
+      assert.equal(db.queries.user.organizationId, 'org-a');
+      assert.equal(db.queries.user.isProfilePublic, true);
+      assert.equal(db.queries.user.batch, undefined);
+    });
+
+    it('lists an event both registered for and published only once', async () => {
+      db.feeds = [userFeed({ includePublished: true })];
+      db.registrations = [{ event: event() }];
+      db.events = [event(), event({ id: 'event-2', slug: 'walkathon', title: 'Walkathon' })];
+
+      const { ics } = await CalendarFeedService.renderFeed('user-token');
+
+      assert.equal(vevents(ics).length, 2);
+    });
+
+    it('keeps cancelled events in the feed, marked cancelled', async () => {
+      db.registrations = [{ event: event({ status: 'CANCELLED', calendarSequence: 2 }) }];
+
+      const [vevent] = vevents((await CalendarFeedService.renderFeed('user-token')).ics);
+
+      assert.match(vevent, /SEQUENCE:2\r\n/);
+      assert.match(vevent, /STATUS:CANCELLED\r\n/);
+    });
+
+    it('names an organization feed after the feed and skips registrations', async () => {
+      db.feeds = [userFeed({
+        token: 'org-token',
+        scope: 'ORGANIZATION',
+        name: 'Chapter events',
+        userId: null,
+        user: null,
+        includeRegistered: false,
+        includePublished: true,
+      })];
+
+      const { ics } = await CalendarFeedService.renderFeed('org-token');
+
+      assert.match(ics, /X-WR-CALNAME:Chapter events\r\n/);
+      assert.equal(db.queries.eventRegistration, undefined);
+    });
+
+    it('adds festivals as all-day entries', async () => {
+      db.feeds = [userFeed({ includeFestivals: true })];
+      db.festivals = [{ id: 'fest-1', name: 'Diwali', description: null, greetingMessage: 'Happy Diwali!', date: new Date('2026-11-08T00:00:00.000Z'), updatedAt: new Date(NOW) }];
+
+      const [vevent] = vevents((await CalendarFeedService.renderFeed('user-token')).ics);
+
+      assert.match(vevent, /UID:festival-fest-1@apm-server\r\n/);
+      assert.match(vevent, /DTSTART;VALUE=DATE:20261108\r\nDTEND;VALUE=DATE:20261109\r\n/);
+      assert.match(vevent, /DESCRIPTION:Happy Diwali!\r\n/);
+      assert.match(vevent, /TRANSP:TRANSPARENT\r\n/);
+    });
+  });
+
+  describe('feedBirthdays', () => {
+    it('repeats yearly from this year so the birth year is never published', async () => {
+      db.users = [{ id: 'user-2', fullName: 'Ravi Kumar', batch: 2012, dateOfBirth: new Date('1990-03-14T00:00:00.000Z') }];
+
+      const [birthday] = await CalendarFeedService.feedBirthdays(userFeed({ includeBirthdays: true }));
+
+      assert.deepEqual(birthday.start, { year: 2026, month: 3, day: 14 });
+      assert.equal(birthday.rrule, 'FREQ=YEARLY');
+      assert.equal(birthday.summary, "🎂 Ravi Kumar's birthday");
+    });
+
+    it('puts a leap-day birthday on the last day of February', async () => {
+      db.users = [{ id: 'user-3', fullName: 'Meera Das', batch: 2010, dateOfBirth: new Date('1988-02-29T00:00:00.000Z') }];
+
+      const [birthday] = await CalendarFeedService.feedBirthdays(userFeed({ includeBirthdays: true }));
+
+      assert.deepEqual(birthday.start, { year: 2026, month: 2, day: 28 });
+      assert.equal(birthday.rrule, 'FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=-1');
+    });
+
+    it("limits a personal feed to the user's batch when asked", async () => {
+      await CalendarFeedService.feedBirthdays(userFeed({ includeBirthdays: true, birthdayScope: 'BATCH' }));
+
+      assert.equal(db.queries.user.batch, 2012);
+    });
+  });
+
+  describe('feedUrls', () => {
+    it('offers a webcal link next to the https one', (t) => {
+      const { feedBaseUrl } = config.calendar;
+      config.calendar.feedBaseUrl = undefined;
+      t.after(() => {
+        config.calendar.feedBaseUrl = feedBaseUrl;
+      });
+
+      const urls = CalendarFeedService.feedUrls({ token: 'abc' }, 'https://api.example.org/');
+
+      assert.deepEqual(urls, {
+        url: 'https://api.example.org/api/calendar/feeds/abc.ics',
+        webcalUrl: 'webcal://api.example.org/api/calendar/feeds/abc.ics',
+      });
+    });
+  });
+});
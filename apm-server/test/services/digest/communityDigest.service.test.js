@@ -0,0 +1,258 @@
+// test/services/digest/communityDigest.service.test.js
+// Each member gets one digest a week with their own batchmates, and digest links only lead into the portal
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load } = require('../../helpers/modules');
+const { createPrismaStub } = require('../../helpers/prisma');
+const { createRedisStub } = require('../../helpers/redis');
+
+const db = { organization: null, digest: null, members: [], preferences: [], recipients: [], clicks: [] };
+
+const prisma = createPrismaStub({
+  organization: {
+    findUnique: async () => db.organization,
+    findMany: async () => [{ id: 'org-a' }, { id: 'org-b' }],
+  },
+  communityDigest: {
+    findUnique: async () => db.digest,
+    create: async ({ data }) => {
+      db.digest = { id: 'digest-1', completedAt: null, ...data };
+      return db.digest;
+    },
+    update: async ({ data }) => Object.assign(db.digest, data),
+  },
+  user: {
+    // The real query leaves out members who already have a recipient row for this digest
+    findMany: async ({ where }) => db.members.filter((member) =>
+      !db.recipients.some((recipient) => recipient.digestId === where.communityDigests.none.digestId && recipient.userId === member.id)),
+  },
+  notificationPreference: {
+    findMany: async () => db.preferences,
+  },
+  communityDigestRecipient: {
+    create: async ({ data }) => {
+      db.recipients.push(data);
+      return data;
+    },
+    groupBy: async () => ['SENT', 'SKIPPED', 'FAILED']
+      .map((status) => ({ status, _count: { _all: db.recipients.filter((recipient) => recipient.status === status).length } }))
+      .filter((group) => group._count._all > 0),
+    findUnique: async ({ where }) => db.recipients.find((recipient) => recipient.token === where.token) || null,
+    update: async ({ where, data }) => ({ id: where.id, ...data }),
+  },
+  communityDigestClick: {
+    create: async ({ data }) => {
+      db.clicks.push(data);
+      return data;
+    },
+  },
+});
+
+stubModule('config/redis', createRedisStub());
+stubModule('config/database', { prisma });
+
+const config = load('config');
+const { JobQueueService } = load('services/queue/jobQueue.service');
+const tenantEmailManager = load('services/email/TenantEmailManager');
+const CommunityDigestService = load('services/digest/communityDigest.service');
+
+const member = (id, batch) => ({ id, fullName: `Alumnus ${id}`, email: `${id}@example.com`, batch });
+
+const content = (overrides = {}) => ({
+  posts: [{ id: 'post-1', title: 'Campus visit photos', author: { fullName: 'Asha', batch: 2012 } }],
+  events: [{ id: 'event-1', slug: 'webinar', title: 'Careers webinar', eventDate: new Date('2026-10-24T00:00:00.000Z'), startTime: '18:00', venue: 'Hall', eventMode: 'VIRTUAL' }],
+  polls: [],
+  albums: [],
+  requisitions: [],
+  birthdays: [],
+  newMembers: [member('user-new', 2012), member('user-other', 2015)],
+  counts: { posts: 8, events: 1, polls: 0, photos: 0, lifelink: 0, birthdays: 0, batchmates: 2 },
+  ...overrides,
+});
+
+describe('CommunityDigestService', () => {
+  let digestConfig;
+
+  beforeEach(() => {
+    mock.restoreAll();
+    for (const method of ['log', 'error']) {
+      mock.method(console, method, () => {});
+    }
+    digestConfig = { ...config.communityDigest };
+    Object.assign(config.communityDigest, { frontendUrl: 'https://alumni.example.org/', trackingBaseUrl: 'https://api.example.org' });
+    db.organization = { id: 'org-a', name: 'Alumni A', tenantCode: 'A', isActive: true };
+    db.digest = null;
+    db.members = [];
+    db.preferences = [];
+    db.recipients = [];
+    db.clicks = [];
+  });
+
+  afterEach(() => {
+    Object.assign(config.communityDigest, digestConfig);
+  });
+
+  describe('queueTenantDigests', () => {
+    it('queues one job per organization, keyed by the Monday of the week', async () => {
+      const dispatched = [];
+      mock.method(JobQueueService, 'dispatch', async (type, payload, options) => {
+        dispatched.push([payload, options.jobId]);
+      });
+
+      // Sunday evening UTC is already Monday in India
+      const { weekStart } = await CommunityDigestService.queueTenantDigests(new Date('2026-10-25T20:00:00.000Z'));
+
+      assert.equal(weekStart, '2026-10-26');
+      assert.deepEqual(dispatched, [
+        [{ organizationId: 'org-a', weekStart }, 'community-digest:org-a:2026-10-26'],
+        [{ organizationId: 'org-b', weekStart }, 'community-digest:org-b:2026-10-26'],
+      ]);
+    });
+  });
+
+  describe('sectionsFor', () => {
+    it("lists only the member's own new batchmates and counts what was left out", () => {
+      const sections = CommunityDigestService.sectionsFor(member('user-new', 2012), content({
+        newMembers: [member('user-new', 2012), member('user-2', 2012), member('user-3', 2015)],
+      }), 'token-1');
+
+      assert.deepEqual(sections.batchmates.map((batchmate) => batchmate.name), ['Alumnus user-2']);
+      assert.equal(sections.morePosts, 7);
+      assert.equal(sections.events[0].venue, 'Online');
+    });
+
+    it('sends links through the click tracker', () => {
+      const sections = CommunityDigestService.sectionsFor(member('user-1', 2012), content(), 'token-1');
+
+      assert.equal(sections.posts[0].url, 'https://api.example.org/api/notifications/digest/click/token-1?section=posts&to=%2Fposts%2Fpost-1');
+    });
+
+    it('links straight to the portal when tracking is not configured', () => {
+      config.communityDigest.trackingBaseUrl = undefined;
+
+      const sections = CommunityDigestService.sectionsFor(member('user-1', 2012), content(), 'token-1');
+
+      assert.equal(sections.events[0].url, 'https://alumni.example.org/events/webinar');
+    });
+
+    it('is null when nothing concerns the member', () => {
+      const quiet = content({ posts: [], events: [], newMembers: [member('user-1', 2012)] });
+
+      assert.equal(CommunityDigestService.sectionsFor(member('user-1', 2012), quiet, 'token-1'), null);
+    });
+  });
+
+  describe('sendTenantDigest', () => {
+    let sent;
+
+    beforeEach(() => {
+      sent = [];
+      mock.method(CommunityDigestService, 'buildContent', async () => content());
+      mock.method(tenantEmailManager, 'getServiceForTenant', async () => ({
+        sendCommunityDigest: async (recipient, data) => {
+          sent.push([recipient.id, data]);
+          return { success: true };
+        },
+      }));
+    });
+
+    it('emails members, skipping those who opted out, and records the totals', async () => {
+      db.members = [member('user-1', 2012), member('user-2', 2015)];
+      db.preferences = [{ userId: 'user-2', inAppEnabled: true, emailEnabled: true, pushEnabled: true, typeSettings: { COMMUNITY_DIGEST: { EMAIL: false } } }];
+
+      const result = await CommunityDigestService.sendTenantDigest({ organizationId: 'org-a', weekStart: '2026-10-19' });
+
+      assert.deepEqual(result, { digestId: 'digest-1', sent: 1, skipped: 1, failed: 0 });
+      assert.deepEqual(sent.map(([userId]) => userId), ['user-1']);
+      assert.deepEqual(sent[0][1].batchmates.map((batchmate) => batchmate.name), ['Alumnus user-new']);
+      assert.deepEqual(db.recipients.map(({ userId, status }) => [userId, status]), [['user-1', 'SENT'], ['user-2', 'SKIPPED']]);
+      assert.equal(db.digest.sentCount, 1);
+      assert.equal(db.digest.recipientCount, 2);
+      assert.ok(db.digest.completedAt);
+    });
+
+    it('picks up an interrupted run without emailing anyone twice', async () => {
+      db.members = [member('user-1', 2012), member('user-2', 2015)];
+      db.digest = { id: 'digest-1', completedAt: null, periodStart: new Date('2026-10-12T00:00:00.000Z') };
+      db.recipients = [{ digestId: 'digest-1', userId: 'user-1', token: 'token-1', status: 'SENT' }];
+
+      const result = await CommunityDigestService.sendTenantDigest({ organizationId: 'org-a', weekStart: '2026-10-19' });
+
+      assert.deepEqual(sent.map(([userId]) => userId), ['user-2']);
+      assert.equal(result.sent, 1);
+      assert.equal(db.digest.sentCount, 2);
+      assert.equal(CommunityDigestService.buildContent.mock.calls[0].arguments[1].toISOString(), '2026-10-12T00:00:00.000Z');
+    });
+
+    it('does nothing for a digest already completed', async () => {
+      db.members = [member('user-1', 2012)];
+      db.digest = { id: 'digest-1', completedAt: new Date() };
+
+      assert.deepEqual(await CommunityDigestService.sendTenantDigest({ organizationId: 'org-a', weekStart: '2026-10-19' }), {
+        digestId: 'digest-1', sent: 0, skipped: 0, failed: 0,
+      });
+      assert.deepEqual(sent, []);
+    });
+
+    it('records a failed send and carries on', async () => {
+      db.members = [member('user-1', 2012), member('user-2', 2015)];
+      tenantEmailManager.getServiceForTenant.mock.mockImplementation(async () => ({
+        sendCommunityDigest: async (recipient) => {
+          if (recipient.id === 'user-1') throw new Error('SMTP timeout');
+          return { success: true };
+        },
+      }));
+
+      const result = await CommunityDigestService.sendTenantDigest({ organizationId: 'org-a', weekStart: '2026-10-19' });
+
+      assert.deepEqual(result, { digestId: 'digest-1', sent: 1, skipped: 0, failed: 1 });
+      assert.deepEqual(db.recipients[0], { digestId: 'digest-1', userId: 'user-1', token: db.recipients[0].token, status: 'FAILED', error: 'SMTP timeout' });
+    });
+
+    it('closes a week without activity without emailing anyone', async () => {
+      db.members = [member('user-1', 2012)];
+      CommunityDigestService.buildContent.mock.mockImplementation(async () => content({
+        posts: [], events: [], newMembers: [],
+        counts: { posts: 0, events: 0, polls: 0, photos: 0, lifelink: 0, birthdays: 0, batchmates: 0 },
+      }));
+
+      const result = await CommunityDigestService.sendTenantDigest({ organizationId: 'org-a', weekStart: '2026-10-19' });
+
+      assert.equal(result.sent, 0);
+      assert.deepEqual(sent, []);
+      assert.ok(db.digest.completedAt);
+    });
+  });
+
+  describe('recordClick', () => {
+    beforeEach(() => {
+      db.recipients = [{ id: 'recipient-1', token: 'token-1', firstClickedAt: null }];
+    });
+
+    it('records the click and redirects into the portal', async () => {
+      const url = await CommunityDigestService.recordClick('token-1', { section: 'events', to: '/events/webinar' });
+
+      assert.equal(url, 'https://alumni.example.org/events/webinar');
+      assert.deepEqual(db.clicks, [{ recipientId: 'recipient-1', section: 'events', path: '/events/webinar' }]);
+    });
+
+    for (const to of ['https://evil.test/', '//evil.test/', '/\\evil.test', undefined]) {
+      it(`never redirects off the portal for ${to}`, async () => {
+        assert.equal(await CommunityDigestService.recordClick('token-1', { section: 'posts', to }), 'https://alumni.example.org/');
+      });
+    }
+
+    it('files an unknown section under other', async () => {
+      await CommunityDigestService.recordClick('token-1', { section: '<script>', to: '/' });
+
+      assert.equal(db.clicks[0].section, 'other');
+    });
+
+    it('still redirects for an unknown token or a link scanner, without counting', async () => {
+      assert.equal(await CommunityDigestService.recordClick('stale', { to: '/polls' }), 'https://alumni.example.org/polls');
+      assert.equal(await CommunityDigestService.recordClick('token-1', { to: '/polls' }, false), 'https://alumni.example.org/polls');
+      assert.deepEqual(db.clicks, []);
+    });
+  });
+});
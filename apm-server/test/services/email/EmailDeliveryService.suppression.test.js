@@ -0,0 +1,109 @@
+// test/services/email/EmailDeliveryService.suppression.test.js
+// A bounced or complained-about address gets exactly one platform-wide entry, however many reports arrive
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load } = require('../../helpers/modules');
+const { createPrismaStub } = require('../../helpers/prisma');
+const { createRedisStub } = require('../../helpers/redis');
+
+const db = { entries: [] };
+
+// pg_advisory_xact_lock: held by one transaction at a time, released when it ends
+const locks = new Map();
+
+const acquire = async (key) => {
+  while (locks.has(key)) await locks.get(key);
+  let release;
+  locks.set(key, new Promise((resolve) => {
+    release = resolve;
+  }));
+  return () => {
+    locks.delete(key);
+    release();
+  };
+};
+
+// Let the other report interleave between queries if nothing holds it back
+const yieldTurn = () => new Promise((resolve) => setImmediate(resolve));
+
+const matches = (row, where) => Object.entries(where).every(([key, value]) => row[key] === value);
+
+const prisma = createPrismaStub({
+  blacklistedEmail: {
+    findFirst: async ({ where }) => {
+      await yieldTurn();
+      return db.entries.find((entry) => matches(entry, where)) || null;
+    },
+    create: async ({ data }) => {
+      await yieldTurn();
+      const created = { id: `entry-${db.entries.length + 1}`, organizationId: null, isActive: true, ...data };
+      db.entries.push(created);
+      return created;
+    },
+    update: async ({ where, data }) => Object.assign(db.entries.find((entry) => entry.id === where.id), data),
+  },
+});
+prisma.$transaction = async (fn) => {
+  const held = [];
+  const tx = new Proxy(prisma, {
+    get: (target, name) => (name === '$executeRaw'
+      ? async (strings, key) => {
+          held.push(await acquire(key));
+          return 1;
+        }
+      : target[name]),
+  });
+  try {
+    return await fn(tx);
+  } finally {
+    held.forEach((release) => release());
+  }
+};
+
+stubModule('config/redis', createRedisStub());
+stubModule('config/database', { prisma });
+
+const EmailDeliveryService = load('services/email/EmailDeliveryService');
+
+const bounce = { type: 'BOUNCED', bounceType: 'HARD', email: 'asha@example.com', reason: 'mailbox unavailable' };
+
+describe('EmailDeliveryService.suppressFromEvent', () => {
+  beforeEach(() => {
+    db.entries = [];
+    mock.restoreAll();
+    mock.method(console, 'log', () => {});
+  });
+
+  it('creates one platform entry when two reports for an address arrive together', async () => {
+    const results = await Promise.all([
+      EmailDeliveryService.suppressFromEvent('SENDGRID', bounce),
+      EmailDeliveryService.suppressFromEvent('SENDGRID', { ...bounce, type: 'COMPLAINED' }),
+    ]);
+
+    assert.deepEqual(results, [true, false]);
+    assert.equal(db.entries.length, 1);
+    assert.equal(db.entries[0].source, 'HARD_BOUNCE');
+  });
+
+  it("reactivates a removed platform entry and leaves organizations' entries alone", async () => {
+    db.entries.push(
+      { id: 'entry-org', email: 'asha@example.com', organizationId: 'org-a', source: 'MANUAL', isActive: true },
+      { id: 'entry-platform', email: 'asha@example.com', organizationId: null, source: 'HARD_BOUNCE', isActive: false, removedReason: 'Fixed' }
+    );
+
+    assert.equal(await EmailDeliveryService.suppressFromEvent('RESEND', { ...bounce, type: 'COMPLAINED' }), true);
+
+    assert.equal(db.entries.length, 2);
+    assert.equal(db.entries[0].source, 'MANUAL');
+    assert.deepEqual(
+      { source: db.entries[1].source, isActive: db.entries[1].isActive, removedReason: db.entries[1].removedReason },
+      { source: 'COMPLAINT', isActive: true, removedReason: null }
+    );
+  });
+
+  it('ignores soft bounces', async () => {
+    assert.equal(await EmailDeliveryService.suppressFromEvent('SENDGRID', { ...bounce, bounceType: 'SOFT' }), false);
+    assert.equal(db.entries.length, 0);
+  });
+});
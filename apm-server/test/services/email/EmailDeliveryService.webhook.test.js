@@ -0,0 +1,234 @@
+// test/services/email/EmailDeliveryService.webhook.test.js
+// Delivery webhooks are only accepted with the provider's signature over the exact body received
+
+const { describe, it, before, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { stubModule, load } = require('../../helpers/modules');
+const { createPrismaStub } = require('../../helpers/prisma');
+const { createRedisStub } = require('../../helpers/redis');
+
+stubModule('config/redis', createRedisStub());
+stubModule('config/database', { prisma: createPrismaStub() });
+
+const config = load('config');
+const EmailDeliveryService = load('services/email/EmailDeliveryService');
+const { handleEmailDeliveryWebhook } = load('controllers/notification/notification.controller');
+
+const now = () => String(Math.floor(Date.now() / 1000));
+const hmac = (key, content, encoding) => crypto.createHmac('sha256', key).update(content).digest(encoding);
+
+const sendgrid = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+const resendKey = crypto.randomBytes(24);
+
+const bounce = Buffer.from(JSON.stringify([{ event: 'bounce', email: 'asha@example.com', sg_event_id: 'ev-1' }]));
+
+const signSendgrid = (rawBody, timestamp = now()) => ({
+  'x-twilio-email-event-webhook-timestamp': timestamp,
+  'x-twilio-email-event-webhook-signature': crypto
+    .sign('sha256', Buffer.concat([Buffer.from(timestamp), rawBody]), sendgrid.privateKey)
+    .toString('base64'),
+});
+
+const signSvix = (rawBody, { id = 'msg_1', timestamp = now(), key = resendKey } = {}) => ({
+  'svix-id': id,
+  'svix-timestamp': timestamp,
+  'svix-signature': `v1,${hmac(key, Buffer.concat([Buffer.from(`${id}.${timestamp}.`), rawBody]), 'base64')}`,
+});
+
+const mailgunBody = (overrides = {}) => {
+  const timestamp = now();
+  const token = crypto.randomBytes(16).toString('hex');
+  return {
+    signature: { timestamp, token, signature: hmac('mg-key', `${timestamp}${token}`, 'hex'), ...overrides },
+    'event-data': { event: 'failed', severity: 'permanent', recipient: 'asha@example.com' },
+  };
+};
+
+const parse = (provider, rawBody, headers = {}) => EmailDeliveryService.parseSignedWebhook(provider, rawBody, headers);
+
+const rejectsSignature = (fn) => assert.throws(fn, (error) => error.statusCode === 401 && /Invalid webhook signature/.test(error.message));
+
+describe('EmailDeliveryService.parseSignedWebhook', () => {
+  before(() => {
+    Object.assign(config.emailDelivery, {
+      sendgridVerificationKey: sendgrid.publicKey.export({ format: 'der', type: 'spki' }).toString('base64'),
+      resendWebhookSecret: `whsec_${resendKey.toString('base64')}`,
+      mailgunSigningKey: 'mg-key',
+      mailersendSigningSecret: 'ms-secret',
+      webhookSecret: 'relay-secret',
+    });
+  });
+
+  describe('SendGrid (ECDSA)', () => {
+    it('accepts a body signed with the verification key', () => {
+      assert.deepEqual(parse('sendgrid', bounce, signSendgrid(bounce)), JSON.parse(bounce));
+    });
+
+    it('rejects a body changed after signing', () => {
+      const headers = signSendgrid(bounce);
+      const tampered = Buffer.from(bounce.toString().replace('bounce', 'delivered'));
+
+      rejectsSignature(() => parse('sendgrid', tampered, headers));
+    });
+
+    it('rejects the same body re-serialized, since only the raw bytes are signed', () => {
+      const headers = signSendgrid(bounce);
+      const reformatted = Buffer.from(JSON.stringify(JSON.parse(bounce), null, 2));
+
+      rejectsSignature(() => parse('sendgrid', reformatted, headers));
+    });
+
+    it('rejects a replayed signature outside the tolerance window', () => {
+      const stale = String(Math.floor(Date.now() / 1000) - config.emailDelivery.webhookToleranceSeconds - 60);
+
+      rejectsSignature(() => parse('sendgrid', bounce, signSendgrid(bounce, stale)));
+    });
+
+    it('rejects garbage signatures without throwing anything else', () => {
+      rejectsSignature(() => parse('sendgrid', bounce, {
+        'x-twilio-email-event-webhook-timestamp': now(),
+        'x-twilio-email-event-webhook-signature': 'not-a-signature',
+      }));
+    });
+  });
+
+  describe('Resend (Svix HMAC)', () => {
+    const body = Buffer.from(JSON.stringify({ type: 'email.bounced', data: { email_id: 'em_1', to: ['asha@example.com'] } }));
+
+    it('accepts a body signed with the whsec_ secret', () => {
+      assert.equal(parse('resend', body, signSvix(body)).type, 'email.bounced');
+    });
+
+    it('accepts any one of several signatures while a secret rotates', () => {
+      const headers = signSvix(body);
+      headers['svix-signature'] = `v1,${Buffer.from('old-secret-signature').toString('base64')} ${headers['svix-signature']}`;
+
+      assert.equal(parse('resend', body, headers).type, 'email.bounced');
+    });
+
+    it('rejects a signature made with another secret', () => {
+      rejectsSignature(() => parse('resend', body, signSvix(body, { key: crypto.randomBytes(24) })));
+    });
+
+    it('rejects a signature for another message id', () => {
+      const headers = { ...signSvix(body), 'svix-id': 'msg_2' };
+
+      rejectsSignature(() => parse('resend', body, headers));
+    });
+  });
+
+  describe('Mailgun (HMAC of timestamp and token)', () => {
+    it('accepts a signed event', () => {
+      const body = mailgunBody();
+
+      assert.equal(parse('mailgun', Buffer.from(JSON.stringify(body))).signature.token, body.signature.token);
+    });
+
+    it('rejects a forged signature', () => {
+      const body = mailgunBody({ signature: hmac('guess', 'anything', 'hex') });
+
+      rejectsSignature(() => parse('mailgun', Buffer.from(JSON.stringify(body))));
+    });
+
+    it('rejects an unsigned event', () => {
+      const body = mailgunBody();
+      delete body.signature;
+
+      rejectsSignature(() => parse('mailgun', Buffer.from(JSON.stringify(body))));
+    });
+  });
+
+  describe('MailerSend (HMAC of the raw body)', () => {
+    const body = Buffer.from(JSON.stringify({ type: 'activity.hard_bounced', data: {} }));
+
+    it('accepts a body signed with the signing secret', () => {
+      assert.equal(parse('mailersend', body, { signature: hmac('ms-secret', body, 'hex') }).type, 'activity.hard_bounced');
+    });
+
+    it('rejects a body signed with another secret', () => {
+      rejectsSignature(() => parse('mailersend', body, { signature: hmac('other', body, 'hex') }));
+    });
+  });
+
+  describe('relays posting the generic format', () => {
+    const body = Buffer.from(JSON.stringify({ events: [] }));
+
+    it('accepts the shared secret header', () => {
+      assert.deepEqual(parse('ses', body, { 'x-email-webhook-secret': 'relay-secret' }), { events: [] });
+    });
+
+    it('rejects a wrong or missing secret', () => {
+      rejectsSignature(() => parse('smtp', body, { 'x-email-webhook-secret': 'relay-secrex' }));
+      rejectsSignature(() => parse('gmail', body));
+    });
+
+    it('does not let a signed provider fall back to the shared secret', () => {
+      rejectsSignature(() => parse('sendgrid', bounce, { 'x-email-webhook-secret': 'relay-secret' }));
+    });
+  });
+
+  it('rejects every provider when its secret is not configured', () => {
+    const saved = { ...config.emailDelivery };
+    Object.assign(config.emailDelivery, { sendgridVerificationKey: undefined, resendWebhookSecret: undefined });
+    try {
+      rejectsSignature(() => parse('sendgrid', bounce, signSendgrid(bounce)));
+      rejectsSignature(() => parse('resend', bounce, signSvix(bounce)));
+    } finally {
+      Object.assign(config.emailDelivery, saved);
+    }
+  });
+
+  it('reports a body that is not JSON as a bad request', () => {
+    assert.throws(() => parse('sendgrid', Buffer.from('<xml/>')), (error) => error.statusCode === 400);
+  });
+});
+
+describe('handleEmailDeliveryWebhook', () => {
+  const createRes = () => ({
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  });
+
+  beforeEach(() => {
+    mock.restoreAll();
+    mock.method(console, 'error', () => {});
+    mock.method(EmailDeliveryService, 'ingestWebhook', async () => ({ received: 1 }));
+  });
+
+  it('ingests a signed raw body', async () => {
+    const res = createRes();
+
+    await handleEmailDeliveryWebhook({ query: { provider: 'sendgrid' }, headers: signSendgrid(bounce), body: bounce }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(EmailDeliveryService.ingestWebhook.mock.calls[0].arguments[1], JSON.parse(bounce));
+  });
+
+  it('ignores the old ?secret= query parameter', async () => {
+    const res = createRes();
+    const body = Buffer.from(JSON.stringify({ events: [] }));
+
+    await handleEmailDeliveryWebhook({ query: { provider: 'smtp', secret: 'relay-secret' }, headers: {}, body }, res);
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(EmailDeliveryService.ingestWebhook.mock.callCount(), 0);
+  });
+
+  it('refuses a body that was already parsed, since its signature cannot be checked', async () => {
+    const res = createRes();
+
+    await handleEmailDeliveryWebhook({ query: { provider: 'sendgrid' }, headers: signSendgrid(bounce), body: JSON.parse(bounce) }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(EmailDeliveryService.ingestWebhook.mock.callCount(), 0);
+  });
+});
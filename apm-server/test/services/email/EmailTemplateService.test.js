@@ -0,0 +1,179 @@
+// test/services/email/EmailTemplateService.test.js
+// Tenant template overrides may only read the data their file default is sent with
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load } = require('../../helpers/modules');
+const { createPrismaStub } = require('../../helpers/prisma');
+
+const db = { templates: [], versions: [] };
+
+const findTemplate = ({ organizationId, templateName }) =>
+  db.templates.find((template) => template.organizationId === organizationId && template.templateName === templateName) || null;
+
+const prisma = createPrismaStub({
+  organizationEmailTemplate: {
+    findUnique: async ({ where }) => findTemplate(where.organizationId_templateName),
+    create: async ({ data }) => {
+      const template = { id: `template-${db.templates.length + 1}`, isActive: true, ...data };
+      db.templates.push(template);
+      return template;
+    },
+    update: async ({ where, data }) => Object.assign(db.templates.find((template) => template.id === where.id), data),
+  },
+  organizationEmailTemplateVersion: {
+    create: async ({ data }) => {
+      db.versions.push(data);
+      return data;
+    },
+    findFirst: async ({ where }) => {
+      const template = findTemplate(where.template);
+      return db.versions.find((version) => version.templateId === template?.id && version.version === where.version) || null;
+    },
+  },
+  organization: {
+    findUnique: async () => ({ name: 'Alumni A' }),
+  },
+});
+
+stubModule('config/database', { prisma });
+
+const EmailTemplateService = load('services/email/EmailTemplateService');
+
+const rejects = (templateName, html, expected) => assert.throws(() => EmailTemplateService.validate(templateName, html), expected);
+
+describe('EmailTemplateService', () => {
+  beforeEach(() => {
+    db.templates = [];
+    db.versions = [];
+  });
+
+  describe('validate', () => {
+    it('accepts the variables the default template is sent with', () => {
+      const html = '<h1>{{eventTitle}}</h1><p>Hi {{userName}}, see you at {{eventVenue}}.</p>' +
+        '{{#if hasGuests}}{{#each guestDetails}}<li>{{name}} ({{../eventTitle}})</li>{{/each}}{{/if}}' +
+        '{{#each guestDetails as |guest|}}{{guest.email}}{{/each}}';
+
+      const analysis = EmailTemplateService.validate('registration-confirmation', html);
+
+      assert.deepEqual([...analysis.variables].sort(), [
+        'eventTitle', 'eventVenue', 'guestDetails', 'guestDetails.email', 'guestDetails.name', 'hasGuests', 'userName',
+      ]);
+    });
+
+    it('refuses a variable the send does not provide, listing the ones it does', () => {
+      rejects('ticket-closed', '<p>{{userName}}, your ticket {{ticketNumber}} cost {{totalAmount}}</p>', (error) => {
+        assert.equal(error.code, 'TEMPLATE_UNKNOWN_VARIABLES');
+        assert.deepEqual(error.details.unknownVariables, ['totalAmount']);
+        assert.ok(error.details.availableVariables.includes('satisfactionUrl'));
+        return true;
+      });
+    });
+
+    it('resolves variables inside #each against the list item', () => {
+      rejects('registration-confirmation', '{{#each attendees}}{{name}} {{../userName}}{{/each}}', (error) => {
+        assert.deepEqual(error.details.unknownVariables, ['attendees', 'attendees.name']);
+        return true;
+      });
+    });
+
+    it('refuses unknown helpers and partials', () => {
+      rejects('event-reminder', '{{formatDate eventDate}}', (error) => {
+        assert.equal(error.code, 'TEMPLATE_UNKNOWN_HELPER');
+        assert.deepEqual(error.details.unknownHelpers, ['formatDate']);
+        assert.ok(error.details.availableHelpers.includes('eq'));
+        return true;
+      });
+      rejects('event-reminder', '{{> footer}}', { code: 'TEMPLATE_UNSUPPORTED_SYNTAX' });
+    });
+
+    it('allows the registered eq helper', () => {
+      assert.doesNotThrow(() => EmailTemplateService.validate('event-reminder', '{{#if (eq eventMode "VIRTUAL")}}{{meetingLink}}{{/if}}'));
+    });
+
+    it('refuses broken, empty or oversized templates', () => {
+      rejects('event-reminder', '{{#if eventTitle}}open', { statusCode: 400, code: 'TEMPLATE_SYNTAX_ERROR' });
+      rejects('event-reminder', '   ', { code: 'TEMPLATE_HTML_REQUIRED' });
+      rejects('event-reminder', 'x'.repeat(200 * 1024 + 1), { code: 'TEMPLATE_TOO_LARGE' });
+    });
+  });
+
+  describe('saveTemplate', () => {
+    it('numbers each save as a new version and serves the newest', async () => {
+      await EmailTemplateService.saveTemplate('org-a', 'event-reminder', { html: '<p>v1 {{eventTitle}}</p>' }, 'admin-1');
+      const first = await EmailTemplateService.getCompiledOverride('org-a', 'event-reminder');
+      await EmailTemplateService.saveTemplate('org-a', 'event-reminder', { html: '<p>v2 {{eventTitle}}</p>', changeNote: '  Shorter  ' }, 'admin-1');
+      const second = await EmailTemplateService.getCompiledOverride('org-a', 'event-reminder');
+
+      assert.equal(db.templates[0].version, 2);
+      assert.deepEqual(db.versions.map(({ version, changeNote, createdBy }) => [version, changeNote, createdBy]), [
+        [1, null, 'admin-1'],
+        [2, 'Shorter', 'admin-1'],
+      ]);
+      assert.equal(first({ eventTitle: 'Reunion' }), '<p>v1 Reunion</p>');
+      assert.equal(second({ eventTitle: 'Reunion' }), '<p>v2 Reunion</p>');
+    });
+
+    it('restores an old version as the newest one', async () => {
+      await EmailTemplateService.saveTemplate('org-a', 'event-reminder', { html: '<p>v1</p>' }, 'admin-1');
+      await EmailTemplateService.saveTemplate('org-a', 'event-reminder', { html: '<p>v2</p>' }, 'admin-1');
+
+      await EmailTemplateService.restoreVersion('org-a', 'event-reminder', 1, 'admin-2');
+
+      assert.equal(db.templates[0].html, '<p>v1</p>');
+      assert.deepEqual(db.versions[2], {
+        templateId: 'template-1',
+        version: 3,
+        html: '<p>v1</p>',
+        changeNote: 'Restored version 1',
+        restoredFromVersion: 1,
+        createdBy: 'admin-2',
+      });
+    });
+
+    it('saves nothing that fails validation', async () => {
+      await assert.rejects(
+        EmailTemplateService.saveTemplate('org-a', 'event-reminder', { html: '{{password}}' }, 'admin-1'),
+        { code: 'TEMPLATE_UNKNOWN_VARIABLES' }
+      );
+      assert.deepEqual(db.templates, []);
+    });
+
+    it('refuses templates organizations may not override', async () => {
+      await assert.rejects(
+        EmailTemplateService.saveTemplate('org-a', 'subscription-renewal', { html: '<p>hi</p>' }, 'admin-1'),
+        { statusCode: 404, code: 'TEMPLATE_NOT_FOUND' }
+      );
+    });
+
+    it('goes back to the default on reset', async () => {
+      await EmailTemplateService.saveTemplate('org-a', 'event-reminder', { html: '<p>custom</p>' }, 'admin-1');
+      await EmailTemplateService.getCompiledOverride('org-a', 'event-reminder');
+
+      await EmailTemplateService.resetTemplate('org-a', 'event-reminder');
+
+      assert.equal(await EmailTemplateService.getCompiledOverride('org-a', 'event-reminder'), null);
+      await assert.rejects(EmailTemplateService.resetTemplate('org-a', 'event-reminder'), { code: 'TEMPLATE_NOT_CUSTOMIZED' });
+    });
+  });
+
+  describe('preview', () => {
+    it('fills a draft with placeholders shaped like the real data', async () => {
+      const { html, source, sampleData } = await EmailTemplateService.preview('org-a', 'registration-confirmation', {
+        html: '<p>{{userName}} at {{organizationName}}</p>{{#each guestDetails}}<li>{{name}}</li>{{/each}}',
+        data: { userName: 'Asha' },
+      });
+
+      assert.equal(source, 'draft');
+      assert.equal(html, '<p>Asha at Alumni A</p><li>[guestDetails.name]</li>');
+      assert.deepEqual(sampleData.guestDetails, [{ name: '[guestDetails.name]' }]);
+    });
+
+    it('renders the file default when nothing is customized', async () => {
+      const { html, source } = await EmailTemplateService.preview('org-a', 'ticket-closed');
+
+      assert.equal(source, 'default');
+      assert.match(html, /\[ticketNumber\]/);
+    });
+  });
+});
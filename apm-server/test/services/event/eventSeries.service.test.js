@@ -0,0 +1,187 @@
+// test/services/event/eventSeries.service.test.js
+// Occurrence generation fills in only the missing dates, each with its own copy of the template
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load } = require('../../helpers/modules');
+const { createPrismaStub } = require('../../helpers/prisma');
+
+const db = { series: null, events: [], seriesUpdates: [] };
+
+const prisma = createPrismaStub({
+  eventSeries: {
+    findUnique: async ({ where }) => (db.series?.id === where.id ? db.series : null),
+    update: async ({ where, data }) => {
+      db.seriesUpdates.push({ id: where.id, ...data });
+      return { ...db.series, ...data };
+    },
+  },
+  event: {
+    findMany: async ({ where }) => {
+      const times = new Set(where.occurrenceDate.in.map((date) => date.getTime()));
+      return db.events.filter((event) => event.seriesId === where.seriesId && times.has(event.occurrenceDate?.getTime()));
+    },
+    findUnique: async ({ where }) => db.events.find((event) => event.slug === where.slug) || null,
+    create: async ({ data }) => {
+      const event = { id: `event-${db.events.length + 1}`, ...data };
+      db.events.push(event);
+      return { id: event.id, title: event.title, eventDate: event.eventDate, status: event.status };
+    },
+  },
+});
+
+stubModule('config/database', { prisma });
+
+const { EventSeriesService } = load('services/event/eventSeries.service');
+
+// Thursday 1 Oct 2026, 09:00 UTC
+const NOW = Date.parse('2026-10-01T09:00:00.000Z');
+
+const template = {
+  id: 'template-1',
+  title: 'Chapter Meetup',
+  createdBy: 'admin-1',
+  startTime: '18:30',
+  endTime: '20:30',
+  currencyPricing: null,
+  sections: [{ sectionType: 'ABOUT', title: 'About', content: 'Monthly catch-up', orderIndex: 0, isVisible: true }],
+  form: null,
+  merchandise: [{ name: 'Mug', description: null, price: '250.00', currencyPrices: null, images: [], availableSizes: [], stockQuantity: 40, isActive: true, orderIndex: 0 }],
+};
+
+const seriesFields = (overrides = {}) => ({
+  id: 'series-1',
+  organizationId: 'org-a',
+  isActive: true,
+  frequency: 'WEEKLY',
+  interval: 1,
+  byWeekdays: [5],
+  byMonthDay: null,
+  weekOfMonth: null,
+  byMonth: null,
+  startDate: new Date('2026-09-04T18:30:00.000Z'),
+  endDate: null,
+  occurrenceCount: null,
+  excludedDates: [],
+  generateAheadDays: 21,
+  generatedUntil: null,
+  occurrenceStatus: 'PUBLISHED',
+  registrationOpensDaysBefore: 14,
+  registrationClosesHoursBefore: 2,
+  templateEvent: template,
+  ...overrides,
+});
+
+const createdDates = () => db.events
+  .filter((event) => event.seriesId)
+  .map((event) => event.occurrenceDate.toISOString().slice(0, 10));
+
+describe('EventSeriesService', () => {
+  beforeEach(() => {
+    mock.restoreAll();
+    mock.method(console, 'log', () => {});
+    mock.timers.enable({ apis: ['Date'], now: NOW });
+    db.series = seriesFields();
+    db.events = [];
+    db.seriesUpdates = [];
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  describe('registrationWindow', () => {
+    it('opens and closes registration relative to the occurrence', () => {
+      const window = EventSeriesService.registrationWindow(db.series, new Date('2026-10-02T18:30:00.000Z'));
+
+      assert.deepEqual(window, {
+        registrationStartDate: new Date('2026-09-18T18:30:00.000Z'),
+        registrationEndDate: new Date('2026-10-02T16:30:00.000Z'),
+      });
+    });
+
+    it('leaves registration unbounded when the series sets no window', () => {
+      const series = seriesFields({ registrationOpensDaysBefore: null, registrationClosesHoursBefore: null });
+
+      assert.deepEqual(EventSeriesService.registrationWindow(series, new Date('2026-10-02T18:30:00.000Z')), {
+        registrationStartDate: null,
+        registrationEndDate: null,
+      });
+    });
+  });
+
+  describe('generateOccurrences', () => {
+    it('creates every occurrence up to the horizon and records it', async () => {
+      const { created, generatedUntil } = await EventSeriesService.generateOccurrences('series-1');
+
+      assert.equal(created.length, 3);
+      assert.deepEqual(createdDates(), ['2026-10-02', '2026-10-09', '2026-10-16']);
+      assert.deepEqual(generatedUntil, new Date('2026-10-22T09:00:00.000Z'));
+      assert.deepEqual(db.seriesUpdates, [{ id: 'series-1', generatedUntil }]);
+    });
+
+    it('copies the template into each occurrence with its own stock', async () => {
+      await EventSeriesService.generateOccurrences('series-1');
+
+      const [first, second] = db.events;
+      assert.equal(first.slug, 'chapter-meetup-2026-10-02');
+      assert.equal(first.status, 'PUBLISHED');
+      assert.equal(first.organizationId, 'org-a');
+      assert.equal(first.createdBy, 'admin-1');
+      assert.deepEqual(first.registrationEndDate, new Date('2026-10-02T16:30:00.000Z'));
+      assert.equal(first.sections.create[0].content, 'Monthly catch-up');
+      assert.equal(first.merchandise.create[0].stockQuantity, 40);
+      assert.notEqual(first.merchandise.create, second.merchandise.create);
+      assert.equal(first.form, undefined);
+    });
+
+    it('skips dates that already have an occurrence', async () => {
+      db.events.push({ id: 'existing', seriesId: 'series-1', slug: 'chapter-meetup-2026-10-09', occurrenceDate: new Date('2026-10-09T18:30:00.000Z') });
+
+      const { created } = await EventSeriesService.generateOccurrences('series-1');
+
+      assert.equal(created.length, 2);
+      assert.deepEqual(createdDates(), ['2026-10-09', '2026-10-02', '2026-10-16']);
+    });
+
+    it('skips excluded dates', async () => {
+      db.series = seriesFields({ excludedDates: [new Date('2026-10-02T18:30:00.000Z')] });
+
+      await EventSeriesService.generateOccurrences('series-1');
+
+      assert.deepEqual(createdDates(), ['2026-10-09', '2026-10-16']);
+    });
+
+    it('gives a clashing slug a suffix', async () => {
+      db.events.push({ id: 'standalone', seriesId: null, slug: 'chapter-meetup-2026-10-02' });
+
+      await EventSeriesService.generateOccurrences('series-1');
+
+      assert.equal(db.events.find((event) => event.seriesId).slug, 'chapter-meetup-2026-10-02-1');
+    });
+
+    it('treats an occurrence created by a concurrent run as already there', async () => {
+      const create = prisma.event.create;
+      mock.method(prisma.event, 'create', async (args) => {
+        if (args.data.occurrenceDate.toISOString().startsWith('2026-10-09')) {
+          throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+        }
+        return create(args);
+      });
+
+      const { created } = await EventSeriesService.generateOccurrences('series-1');
+
+      assert.deepEqual(created.map((event) => event.eventDate.toISOString().slice(0, 10)), ['2026-10-02', '2026-10-16']);
+    });
+
+    it('generates nothing for a paused series', async () => {
+      db.series = seriesFields({ isActive: false, generatedUntil: new Date('2026-09-30T00:00:00.000Z') });
+
+      const result = await EventSeriesService.generateOccurrences('series-1');
+
+      assert.deepEqual(result, { created: [], generatedUntil: new Date('2026-09-30T00:00:00.000Z') });
+      assert.deepEqual(db.events, []);
+      assert.deepEqual(db.seriesUpdates, []);
+    });
+  });
+});
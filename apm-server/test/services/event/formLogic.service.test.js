@@ -0,0 +1,230 @@
+// test/services/event/formLogic.service.test.js
+// Registration forms ask, require and charge for a field only when its conditions hold
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('../../helpers/modules');
+
+const { FormLogicService } = load('services/event/formLogic.service');
+
+const field = (fieldName, overrides = {}) => ({
+  id: `field-${fieldName}`,
+  fieldName,
+  fieldLabel: fieldName,
+  fieldType: 'TEXT',
+  options: null,
+  isRequired: false,
+  orderIndex: 0,
+  validation: null,
+  pageIndex: 0,
+  visibleWhen: null,
+  requiredWhen: null,
+  feeAddOn: null,
+  ...overrides,
+});
+
+// Attending in person asks for a meal and a number of guests; guests are charged per head
+// and a vegetarian meal needs the allergy notes
+const form = [
+  field('attendance', { fieldType: 'RADIO', options: ['In person', 'Online'], isRequired: true }),
+  field('meal', {
+    fieldType: 'SELECT',
+    options: ['Veg', 'Non-veg', 'Jain'],
+    isRequired: true,
+    pageIndex: 1,
+    visibleWhen: { field: 'attendance', operator: 'equals', value: 'In person' },
+    feeAddOn: { type: 'OPTION', amounts: { 'Non-veg': 150, Jain: 50 } },
+  }),
+  field('allergies', {
+    pageIndex: 1,
+    visibleWhen: { field: 'meal', operator: 'answered' },
+    requiredWhen: { field: 'meal', operator: 'in', value: ['Veg', 'Jain'] },
+  }),
+  field('guests', {
+    fieldType: 'NUMBER',
+    pageIndex: 1,
+    visibleWhen: { field: 'attendance', operator: 'equals', value: 'In person' },
+    feeAddOn: { type: 'PER_UNIT', amount: 499.5, max: 4 },
+  }),
+];
+
+const answer = (fieldName, response) => ({ fieldId: `field-${fieldName}`, response });
+
+describe('FormLogicService', () => {
+  describe('evaluateCondition', () => {
+    const answers = { batch: 2012, interests: ['Mentoring', 'Sports'], city: 'Pune', note: null };
+    const answerOf = (name) => answers[name] ?? null;
+    const holds = (condition) => FormLogicService.evaluateCondition(condition, answerOf);
+
+    it('compares numbers numerically', () => {
+      assert.equal(holds({ field: 'batch', operator: 'greaterThanOrEqual', value: '2012' }), true);
+      assert.equal(holds({ field: 'batch', operator: 'lessThan', value: 2010 }), false);
+      assert.equal(holds({ field: 'city', operator: 'greaterThan', value: 1 }), false);
+    });
+
+    it('matches a ticked checkbox against equals and in', () => {
+      assert.equal(holds({ field: 'interests', operator: 'equals', value: 'Sports' }), true);
+      assert.equal(holds({ field: 'interests', operator: 'in', value: ['Music', 'Mentoring'] }), true);
+      assert.equal(holds({ field: 'interests', operator: 'notIn', value: ['Sports'] }), false);
+    });
+
+    it('treats an unanswered field as matching only the negative operators', () => {
+      assert.equal(holds({ field: 'note', operator: 'equals', value: '' }), false);
+      assert.equal(holds({ field: 'note', operator: 'notEquals', value: 'x' }), true);
+      assert.equal(holds({ field: 'note', operator: 'notAnswered' }), true);
+    });
+
+    it('combines conditions with all and any', () => {
+      assert.equal(holds({
+        all: [
+          { field: 'city', operator: 'equals', value: 'Pune' },
+          { any: [{ field: 'batch', operator: 'lessThan', value: 2000 }, { field: 'note', operator: 'notAnswered' }] },
+        ],
+      }), true);
+      assert.equal(holds({ any: [] }), false);
+      assert.equal(holds(null), true);
+    });
+  });
+
+  describe('evaluate', () => {
+    it('charges for the chosen meal and each guest', () => {
+      const result = FormLogicService.evaluate(form, [
+        answer('attendance', 'In person'),
+        answer('meal', 'Non-veg'),
+        answer('guests', '2'),
+      ]);
+
+      assert.equal(result.valid, true);
+      assert.deepEqual(result.addOns.map(({ description, amount }) => [description, amount]), [
+        ['meal: Non-veg', 150],
+        ['guests x2', 999],
+      ]);
+      assert.equal(result.addOnTotal, 1149);
+    });
+
+    it('requires a field only when its condition holds', () => {
+      const result = FormLogicService.evaluate(form, [answer('attendance', 'In person'), answer('meal', 'Jain')]);
+
+      assert.equal(result.valid, false);
+      assert.deepEqual(result.errors, [{ fieldId: 'field-allergies', fieldName: 'allergies', message: 'allergies is required' }]);
+    });
+
+    it('drops answers to hidden fields, and to fields that depend on them', () => {
+      const result = FormLogicService.evaluate(form, [
+        answer('attendance', 'Online'),
+        answer('meal', 'Non-veg'),
+        answer('allergies', 'Peanuts'),
+        answer('guests', '3'),
+      ]);
+
+      assert.equal(result.valid, true);
+      assert.deepEqual(result.responses, [{ fieldId: 'field-attendance', response: 'Online' }]);
+      assert.deepEqual(result.ignoredFieldIds, ['field-meal', 'field-allergies', 'field-guests']);
+      assert.deepEqual(result.visibleFieldIds, ['field-attendance']);
+      assert.equal(result.addOnTotal, 0);
+    });
+
+    it('reports errors for one page at a time', () => {
+      const firstPage = FormLogicService.evaluate(form, [answer('attendance', 'In person')], { pageIndex: 0 });
+      const secondPage = FormLogicService.evaluate(form, [answer('attendance', 'In person')], { pageIndex: 1 });
+
+      assert.equal(firstPage.valid, true);
+      assert.deepEqual(secondPage.errors.map((error) => error.fieldName), ['meal']);
+    });
+
+    it('refuses a fractional or excessive guest count', () => {
+      const fractional = FormLogicService.evaluate(form, [answer('attendance', 'In person'), answer('meal', 'Non-veg'), answer('guests', '1.5')]);
+      const tooMany = FormLogicService.evaluate(form, [answer('attendance', 'In person'), answer('meal', 'Non-veg'), answer('guests', '9')]);
+
+      assert.deepEqual(fractional.errors.map((error) => error.message), ['guests must be a whole number']);
+      assert.deepEqual(tooMany.errors.map((error) => error.message), ['guests must be at most 4']);
+      assert.deepEqual(tooMany.addOns.map((addOn) => addOn.fieldName), ['meal']);
+    });
+
+    it('refuses unknown fields, repeated answers and options not on the field', () => {
+      const result = FormLogicService.evaluate(form, [
+        answer('attendance', 'Hybrid'),
+        answer('attendance', 'Online'),
+        { fieldId: 'field-other-form', response: 'x' },
+      ]);
+
+      assert.deepEqual(result.errors.map((error) => error.message), [
+        'attendance was answered more than once',
+        'Response submitted for a field that is not on this form',
+        'attendance must be one of the provided options',
+      ]);
+    });
+
+    it('checks a checkbox answer and prices every ticked option', () => {
+      const extras = field('extras', {
+        fieldType: 'CHECKBOX',
+        options: ['T-shirt', 'Photo', 'Parking'],
+        feeAddOn: { type: 'OPTION', amounts: { 'T-shirt': 300, Photo: 100 } },
+      });
+
+      const ticked = FormLogicService.evaluate([extras], [answer('extras', '["T-shirt","Photo","Parking"]')]);
+      const invalid = FormLogicService.evaluate([extras], [answer('extras', '["Lanyard"]')]);
+      const malformed = FormLogicService.evaluate([extras], [answer('extras', 'T-shirt')]);
+
+      assert.deepEqual(ticked.addOns, [{ fieldId: 'field-extras', fieldName: 'extras', description: 'extras: T-shirt, Photo', amount: 400 }]);
+      assert.deepEqual(invalid.errors.map((error) => error.message), ['extras contains invalid options']);
+      assert.deepEqual(malformed.errors.map((error) => error.message), ['extras must be a valid selection']);
+    });
+  });
+
+  describe('validateDefinition', () => {
+    it('accepts the form above', () => {
+      assert.deepEqual(FormLogicService.validateDefinition(form, [{ title: 'You' }, { title: 'Logistics' }]), []);
+    });
+
+    it('refuses conditions on later pages, unknown fields and unknown options', () => {
+      const errors = FormLogicService.validateDefinition([
+        field('attendance', { fieldType: 'RADIO', options: ['In person', 'Online'] }),
+        field('city', { visibleWhen: { field: 'transport', operator: 'answered' } }),
+        field('transport', { pageIndex: 1, visibleWhen: { field: 'attendance', operator: 'equals', value: 'Hybrid' } }),
+        field('parking', { visibleWhen: { field: 'transport', operator: 'answered' } }),
+      ], [{ title: 'One' }, { title: 'Two' }]);
+
+      assert.deepEqual(errors.map((error) => `${error.fieldName}: ${error.message}`), [
+        'city: visibleWhen refers to "transport", which is on a later page',
+        'transport: visibleWhen uses "Hybrid", which is not an option of "attendance"',
+        'parking: visibleWhen refers to "transport", which is on a later page',
+      ]);
+    });
+
+    it('refuses a field on a page the form does not have', () => {
+      const errors = FormLogicService.validateDefinition([field('name', { pageIndex: 2 })], null);
+
+      assert.deepEqual(errors.map((error) => error.message), ['name is on page 3, but the form has 1 page(s)']);
+    });
+
+    it('finds a visibility loop', () => {
+      const errors = FormLogicService.validateDefinition([
+        field('a', { visibleWhen: { field: 'b', operator: 'answered' } }),
+        field('b', { visibleWhen: { field: 'c', operator: 'answered' } }),
+        field('c', { visibleWhen: { field: 'a', operator: 'answered' } }),
+      ]);
+
+      assert.deepEqual(errors, [{ fieldName: 'a', message: 'Visibility rules form a loop: a -> b -> c -> a' }]);
+    });
+
+    it('refuses an add-on that does not fit the field', () => {
+      const errors = FormLogicService.validateDefinition([
+        field('guests', { feeAddOn: { type: 'PER_UNIT', amount: 100 } }),
+        field('meal', { fieldType: 'SELECT', options: ['Veg'], feeAddOn: { type: 'OPTION', amounts: { Vegan: 10 } } }),
+      ]);
+
+      assert.deepEqual(errors.map((error) => error.message), [
+        'Per-unit add-ons are only available for NUMBER fields',
+        "Fee add-on prices options that don't exist: Vegan",
+      ]);
+    });
+  });
+
+  describe('dependentsOf', () => {
+    it('lists the fields whose rules mention a field', () => {
+      assert.deepEqual(FormLogicService.dependentsOf(form, 'meal').map(({ fieldName }) => fieldName), ['allergies']);
+      assert.deepEqual(FormLogicService.dependentsOf(form, 'attendance').map(({ fieldName }) => fieldName), ['meal', 'guests']);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+// test/services/event/seating.service.test.js
+// Auto-assignment keeps parties at one table and batches together, and never moves a locked seat
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load } = require('../../helpers/modules');
+const { createPrismaStub } = require('../../helpers/prisma');
+
+const db = { tables: [], registrations: [], seats: [], deleted: null, created: null };
+
+const prisma = createPrismaStub({
+  eventSeatingTable: {
+    findMany: async () => db.tables,
+  },
+  eventRegistration: {
+    findMany: async () => db.registrations,
+  },
+  eventSeatAssignment: {
+    findMany: async () => db.seats,
+    deleteMany: async ({ where }) => {
+      db.deleted = where.id.in;
+      return { count: where.id.in.length };
+    },
+    createMany: async ({ data }) => {
+      db.created = data;
+      return { count: data.length };
+    },
+  },
+});
+
+stubModule('config/database', { prisma });
+
+const { SeatingService } = load('services/event/seating.service');
+
+const table = (id, capacity, reservedBatches = []) => ({ id, name: id, capacity, reservedBatches, orderIndex: 0 });
+
+const registration = (id, batch, guests = 0) => ({
+  id,
+  mealPreference: 'VEG',
+  user: { id: `user-${id}`, fullName: `Alumnus ${id}`, batch },
+  guests: Array.from({ length: guests }, (_, index) => ({ id: `${id}-guest-${index + 1}`, name: `Guest ${index + 1}`, mealPreference: 'VEG' })),
+});
+
+const seat = (id, tableId, seatNumber, registrationId, overrides = {}) => ({
+  id, eventId: 'event-1', tableId, seatNumber, registrationId, guestId: null, isLocked: false, ...overrides,
+});
+
+// "table:seat registration[/guest]" for each seat created
+const placements = () => db.created.map((created) =>
+  `${created.tableId}:${created.seatNumber} ${created.guestId || created.registrationId}`);
+
+describe('SeatingService.autoAssign', () => {
+  beforeEach(() => {
+    db.tables = [];
+    db.registrations = [];
+    db.seats = [];
+    db.deleted = null;
+    db.created = null;
+  });
+
+  it('seats a party together and the rest of its batch alongside', async () => {
+    db.tables = [table('t-large', 6), table('t-small', 4)];
+    db.registrations = [registration('r1', 2012, 2), registration('r2', 2015, 1), registration('r3', 2012)];
+
+    const result = await SeatingService.autoAssign('event-1', { assignedBy: 'admin-1' });
+
+    // Batch 2012 (4 people) fills the table that fits it exactly; 2015 goes to the other one
+    assert.deepEqual(placements(), [
+      't-small:1 r1', 't-small:2 r1-guest-1', 't-small:3 r1-guest-2', 't-small:4 r3',
+      't-large:1 r2', 't-large:2 r2-guest-1',
+    ]);
+    assert.ok(db.created.every((created) => created.eventId === 'event-1' && created.assignedBy === 'admin-1'));
+    assert.equal(result.assigned, 6);
+    assert.deepEqual(result.split, []);
+    assert.deepEqual(result.unseated, []);
+    assert.deepEqual(result.registrationIds.sort(), ['r1', 'r2', 'r3']);
+  });
+
+  it('keeps other batches off a table reserved for one batch', async () => {
+    db.tables = [table('t-1995', 4, [1995]), table('t-open', 4)];
+    db.registrations = [registration('r1', 2012, 3), registration('r2', 1995, 1)];
+
+    await SeatingService.autoAssign('event-1');
+
+    assert.deepEqual(placements(), [
+      't-open:1 r1', 't-open:2 r1-guest-1', 't-open:3 r1-guest-2', 't-open:4 r1-guest-3',
+      't-1995:1 r2', 't-1995:2 r2-guest-1',
+    ]);
+  });
+
+  it('joins a batch at the table it already occupies', async () => {
+    db.tables = [table('t-1', 4), table('t-2', 4)];
+    db.registrations = [registration('r1', 2012), registration('r2', 2012)];
+    db.seats = [seat('s1', 't-2', 3, 'r1')];
+
+    const result = await SeatingService.autoAssign('event-1');
+
+    assert.deepEqual(placements(), ['t-2:1 r2']);
+    assert.equal(result.released, 0);
+    assert.deepEqual(db.deleted, []);
+  });
+
+  it('re-seats everyone on reset except locked seats, and frees seats of cancelled registrations', async () => {
+    db.tables = [table('t-1', 2), table('t-2', 2)];
+    db.registrations = [registration('r1', 2012), registration('r2', 2012)];
+    db.seats = [
+      seat('s-locked', 't-2', 2, 'r1', { isLocked: true }),
+      seat('s-auto', 't-1', 1, 'r2'),
+      seat('s-cancelled', 't-1', 2, 'r-cancelled'),
+    ];
+
+    const result = await SeatingService.autoAssign('event-1', { reset: true });
+
+    assert.deepEqual(db.deleted, ['s-auto', 's-cancelled']);
+    assert.deepEqual(placements(), ['t-2:1 r2']);
+    assert.equal(result.released, 2);
+    assert.deepEqual(result.registrationIds.sort(), ['r-cancelled', 'r2']);
+  });
+
+  it('splits a party no table can hold rather than leave it out', async () => {
+    db.tables = [table('t-1', 3), table('t-2', 3)];
+    db.registrations = [registration('r1', 2012, 4)];
+
+    const result = await SeatingService.autoAssign('event-1');
+
+    assert.equal(result.assigned, 5);
+    assert.deepEqual(result.split, [{ registrationId: 'r1', batch: 2012, size: 5 }]);
+    assert.deepEqual(new Set(db.created.map((created) => created.tableId)), new Set(['t-1', 't-2']));
+  });
+
+  it('reports who is left without a seat once every table is full', async () => {
+    db.tables = [table('t-1', 2)];
+    db.registrations = [registration('r1', 2012, 1), registration('r2', 2015)];
+
+    const result = await SeatingService.autoAssign('event-1');
+
+    assert.equal(result.assigned, 2);
+    assert.deepEqual(result.unseated.map((attendee) => attendee.registrationId), ['r2']);
+  });
+
+  it('refuses to run before any table exists', async () => {
+    db.registrations = [registration('r1', 2012)];
+
+    await assert.rejects(SeatingService.autoAssign('event-1'), { statusCode: 400, code: 'NO_SEATING_TABLES' });
+  });
+});
@@ -0,0 +1,79 @@
+// test/services/festival/FestivalSyncService.test.js
+// A synced festival lands in every organization's own calendar without touching their settings
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load } = require('../../helpers/modules');
+const { createPrismaStub } = require('../../helpers/prisma');
+
+const db = { organizations: [], festivals: [] };
+
+const prisma = createPrismaStub({
+  organization: {
+    findMany: async ({ where }) => db.organizations.filter((organization) => organization.isActive === where.isActive),
+  },
+  festival: {
+    findFirst: async ({ where }) => db.festivals.find((festival) => festival.organizationId === where.organizationId
+      && festival.name === where.name
+      && festival.date >= where.date.gte
+      && festival.date <= where.date.lte) || null,
+    create: async ({ data }) => {
+      const festival = { id: `festival-${db.festivals.length + 1}`, ...data };
+      db.festivals.push(festival);
+      return festival;
+    },
+    update: async ({ where, data }) => Object.assign(db.festivals.find((festival) => festival.id === where.id), data),
+  },
+});
+
+stubModule('config/database', { prisma });
+
+const FestivalSyncService = load('services/festival/FestivalSyncService');
+
+const diwali = {
+  name: 'Diwali',
+  description: 'Festival of lights',
+  date: new Date('2026-11-08'),
+  enableNotifications: true,
+};
+
+describe('FestivalSyncService.saveFestivalForOrganizations', () => {
+  beforeEach(() => {
+    db.organizations = [
+      { id: 'org-a', isActive: true },
+      { id: 'org-b', isActive: true },
+      { id: 'org-closed', isActive: false },
+    ];
+    db.festivals = [];
+  });
+
+  it("creates the festival in each active organization's calendar", async () => {
+    const result = await FestivalSyncService.saveFestivalForOrganizations(diwali, 2026);
+
+    assert.deepEqual(result, { created: 2, updated: 0 });
+    assert.deepEqual(db.festivals.map((festival) => festival.organizationId), ['org-a', 'org-b']);
+  });
+
+  it("updates each organization's copy and keeps its notification choice", async () => {
+    db.festivals.push(
+      { id: 'festival-a', organizationId: 'org-a', name: 'Diwali', date: new Date('2026-11-09'), enableNotifications: false },
+      { id: 'festival-b-last-year', organizationId: 'org-b', name: 'Diwali', date: new Date('2025-10-20'), enableNotifications: true }
+    );
+
+    const result = await FestivalSyncService.saveFestivalForOrganizations(diwali, 2026);
+
+    assert.deepEqual(result, { created: 1, updated: 1 });
+    const orgA = db.festivals.find((festival) => festival.id === 'festival-a');
+    assert.equal(orgA.date.toISOString(), diwali.date.toISOString());
+    assert.equal(orgA.enableNotifications, false);
+    assert.equal(db.festivals.find((festival) => festival.id === 'festival-b-last-year').date.getFullYear(), 2025);
+  });
+
+  it('keeps a single unscoped calendar when there are no organizations', async () => {
+    db.organizations = [];
+
+    await FestivalSyncService.saveFestivalForOrganizations(diwali, 2026);
+
+    assert.deepEqual(db.festivals.map((festival) => festival.organizationId), [null]);
+  });
+});
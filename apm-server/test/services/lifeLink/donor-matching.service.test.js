@@ -0,0 +1,183 @@
+// test/services/lifeLink/donor-matching.service.test.js
+// Donors are matched by real distance and availability, and broadcasts widen ring by ring
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load } = require('../../helpers/modules');
+const { createPrismaStub } = require('../../helpers/prisma');
+const { createRedisStub } = require('../../helpers/redis');
+
+const db = { donors: [], notifications: [], requisitionUpdates: [] };
+
+const within = (value, range) => value >= range.gte && value <= range.lte;
+
+const prisma = createPrismaStub({
+  user: {
+    // Just the where shape findNearestDonors uses
+    findMany: async ({ where }) => db.donors.filter((donor) => where.bloodGroup.in.includes(donor.bloodGroup)
+      && !(where.id?.notIn || []).includes(donor.id)
+      && (!where.organizationId || donor.organizationId === where.organizationId)
+      && donor.addresses.some((address) => within(address.latitude, where.addresses.some.latitude)
+        && within(address.longitude, where.addresses.some.longitude))),
+  },
+  donorNotification: {
+    findMany: async ({ where }) => db.notifications.filter((notification) => notification.requisitionId === where.requisitionId),
+  },
+  bloodRequisition: {
+    update: async ({ where, data }) => {
+      db.requisitionUpdates.push({ id: where.id, ...data });
+      return data;
+    },
+  },
+});
+
+stubModule('config/redis', createRedisStub());
+stubModule('config/database', { prisma });
+
+const config = load('config');
+const DonorMatchingService = load('services/lifeLink/donor-matching.service');
+const { NotificationService } = load('services/notification.service');
+const { JobQueueService } = load('services/queue/jobQueue.service');
+
+const DAY = 24 * 60 * 60 * 1000;
+const HOSPITAL = { latitude: 19.076, longitude: 72.8777 };
+
+const daysAgo = (days) => new Date(Date.now() - days * DAY);
+
+// Offsets north of the hospital: 0.01 degrees of latitude is about 1.1 km
+const donor = (id, northDegrees, overrides = {}) => ({
+  id,
+  fullName: id,
+  bloodGroup: 'O_POSITIVE',
+  organizationId: 'org-a',
+  lastBloodDonationDate: null,
+  totalBloodDonations: 3,
+  showPhone: false,
+  whatsappNumber: null,
+  addresses: [{ city: 'Mumbai', state: 'Maharashtra', addressType: 'CURRENT', latitude: HOSPITAL.latitude + northDegrees, longitude: HOSPITAL.longitude }],
+  ...overrides,
+});
+
+describe('DonorMatchingService', () => {
+  beforeEach(() => {
+    db.donors = [];
+    db.notifications = [];
+    db.requisitionUpdates = [];
+    mock.restoreAll();
+    mock.method(console, 'log', () => {});
+  });
+
+  describe('findNearestDonors', () => {
+    const search = (overrides = {}) => DonorMatchingService.findNearestDonors({
+      requiredBloodGroup: 'O_POSITIVE',
+      point: HOSPITAL,
+      radiusKm: 15,
+      tenantFilter: { organizationId: 'org-a' },
+      ...overrides,
+    });
+
+    it('drops donors inside the bounding box but beyond the radius', async () => {
+      db.donors = [
+        donor('inside', 0.02),
+        // Corner of the 5 km box: about 6 km away
+        donor('corner', 0.04, { addresses: [{ city: 'Mumbai', state: 'Maharashtra', latitude: HOSPITAL.latitude + 0.04, longitude: HOSPITAL.longitude + 0.04 }] }),
+      ];
+
+      assert.deepEqual((await search({ radiusKm: 5 })).map((match) => match.id), ['inside']);
+    });
+
+    it('measures from the nearest of a donor\'s addresses', async () => {
+      db.donors = [donor('two-homes', 0.5, {
+        addresses: [
+          { city: 'Pune', state: 'Maharashtra', latitude: 18.5204, longitude: 73.8567 },
+          { city: 'Mumbai', state: 'Maharashtra', latitude: HOSPITAL.latitude + 0.03, longitude: HOSPITAL.longitude },
+        ],
+      })];
+
+      const [match] = await search();
+
+      assert.equal(match.distanceKm, 3.3);
+      assert.equal(match.location, 'Mumbai, Maharashtra');
+    });
+
+    it('ranks a donor who can give now above a closer one still waiting', async () => {
+      db.donors = [
+        donor('near-waiting', 0.02, { lastBloodDonationDate: daysAgo(80) }),
+        donor('farther-ready', 0.1),
+      ];
+
+      const matches = await search({ neededBy: new Date(Date.now() + 20 * DAY) });
+
+      assert.deepEqual(matches.map((match) => match.id), ['farther-ready', 'near-waiting']);
+      assert.equal(matches[1].matchScore, Math.round((2.2 + 10 * config.lifeLink.eligibilityDayKm) * 10) / 10);
+    });
+
+    it('leaves out donors who cannot give by the time blood is needed', async () => {
+      db.donors = [donor('near-waiting', 0.02, { lastBloodDonationDate: daysAgo(30) }), donor('ready', 0.05)];
+
+      const matches = await search({ availableOnly: true, neededBy: new Date(Date.now() + 2 * DAY) });
+
+      assert.deepEqual(matches.map((match) => match.id), ['ready']);
+    });
+
+    it('only offers compatible blood groups', async () => {
+      db.donors = [donor('o-neg', 0.02, { bloodGroup: 'O_NEGATIVE' }), donor('a-pos', 0.02, { bloodGroup: 'A_POSITIVE' })];
+
+      assert.deepEqual((await search({ requiredBloodGroup: 'O_NEGATIVE' })).map((match) => match.id), ['o-neg']);
+    });
+  });
+
+  describe('broadcastRing', () => {
+    const requisition = {
+      id: 'req-1',
+      organizationId: 'org-a',
+      requesterId: 'requester',
+      requiredBloodGroup: 'O_POSITIVE',
+      urgencyLevel: 'HIGH',
+      requiredByDate: null,
+      latitude: HOSPITAL.latitude,
+      longitude: HOSPITAL.longitude,
+    };
+
+    beforeEach(() => {
+      mock.method(NotificationService, 'sendLifeLinkEmergencyNotification', async (req, donorIds) => ({ sent: donorIds.length }));
+      mock.method(JobQueueService, 'dispatch', async () => null);
+    });
+
+    it('widens past rings with nobody new to notify and schedules the next ring', async () => {
+      db.donors = [
+        donor('requester', 0.01),
+        donor('already-notified', 0.02),
+        donor('second-ring', 0.1),
+        donor('other-org', 0.03, { organizationId: 'org-b' }),
+      ];
+      db.notifications = [{ requisitionId: 'req-1', donorId: 'already-notified' }];
+
+      const result = await DonorMatchingService.broadcastRing(requisition, 0);
+
+      assert.deepEqual(
+        { ring: result.ring, radiusKm: result.radiusKm, notified: result.notified, exhausted: result.exhausted },
+        { ring: 1, radiusKm: config.lifeLink.radiusRingsKm[1], notified: 1, exhausted: false }
+      );
+      assert.deepEqual(NotificationService.sendLifeLinkEmergencyNotification.mock.calls[0].arguments[1], ['second-ring']);
+      assert.equal(db.requisitionUpdates[0].broadcastRing, 1);
+
+      const [jobName, data, options] = JobQueueService.dispatch.mock.calls[0].arguments;
+      assert.equal(jobName, 'lifelink.ring-widen');
+      assert.deepEqual(data, { requisitionId: 'req-1', ringIndex: 2, customMessage: null });
+      assert.equal(options.jobId, 'lifelink-ring:req-1:2');
+      const waitMinutes = (options.runAt.getTime() - Date.now()) / 60000;
+      assert.ok(Math.abs(waitMinutes - config.lifeLink.ringIntervalMinutes.HIGH) < 1);
+    });
+
+    it('records the outermost ring and stops once every ring is empty', async () => {
+      const result = await DonorMatchingService.broadcastRing(requisition, 0);
+
+      assert.equal(result.exhausted, true);
+      assert.equal(result.notified, 0);
+      assert.equal(NotificationService.sendLifeLinkEmergencyNotification.mock.callCount(), 0);
+      assert.equal(JobQueueService.dispatch.mock.callCount(), 0);
+      assert.equal(db.requisitionUpdates.at(-1).broadcastRing, config.lifeLink.radiusRingsKm.length - 1);
+    });
+  });
+});
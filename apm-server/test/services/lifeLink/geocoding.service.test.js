@@ -0,0 +1,90 @@
+// test/services/lifeLink/geocoding.service.test.js
+// Offline geocoding against the gazetteer: postal codes first, then the most specific place name
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load } = require('../../helpers/modules');
+const { createPrismaStub } = require('../../helpers/prisma');
+
+const db = { places: [] };
+
+const byPopulation = (a, b) => (b.population ?? -1) - (a.population ?? -1);
+
+const prisma = createPrismaStub({
+  geoPlace: {
+    findMany: async ({ where }) => db.places.filter((place) => place.normalizedName === where.normalizedName).sort(byPopulation),
+    findFirst: async ({ where }) => db.places.filter((place) => place.postalCode === where.postalCode).sort(byPopulation)[0] || null,
+  },
+});
+
+stubModule('config/database', { prisma });
+
+const GeocodingService = load('services/lifeLink/geocoding.service');
+
+const place = (id, name, state, latitude, longitude, extra = {}) => ({
+  id,
+  name,
+  normalizedName: GeocodingService.normalizePlaceName(name),
+  state,
+  latitude,
+  longitude,
+  postalCode: null,
+  population: null,
+  ...extra,
+});
+
+describe('GeocodingService', () => {
+  beforeEach(() => {
+    db.places = [
+      place('mumbai', 'Mumbai', 'Maharashtra', 19.076, 72.8777, { population: 12442373 }),
+      place('andheri', 'Andheri', 'Maharashtra', 19.1197, 72.8468, { postalCode: '400053' }),
+      place('aurangabad-mh', 'Aurangabad', 'Maharashtra', 19.8762, 75.3433, { population: 1175116 }),
+      place('aurangabad-br', 'Aurangabad', 'Bihar', 24.7521, 84.3742, { population: 102244 }),
+    ];
+  });
+
+  it('normalizes accents, case and punctuation in place names', () => {
+    assert.equal(GeocodingService.normalizePlaceName('  Bengaluru (Bangalore) '), 'bengaluru bangalore');
+    assert.equal(GeocodingService.normalizePlaceName('Thiruvananthapuram—Kerala'), 'thiruvananthapuram kerala');
+    assert.equal(GeocodingService.normalizePlaceName('São Tomé'), 'sao tome');
+  });
+
+  it('measures great-circle distance in km', () => {
+    const mumbai = { latitude: 19.076, longitude: 72.8777 };
+    const pune = { latitude: 18.5204, longitude: 73.8567 };
+
+    assert.equal(Math.round(GeocodingService.distanceKm(mumbai, pune)), 120);
+    assert.equal(GeocodingService.distanceKm(mumbai, mumbai), 0);
+  });
+
+  it('prefers a place in the given state over a bigger one elsewhere', async () => {
+    assert.equal((await GeocodingService.findPlace('aurangabad', 'Bihar')).id, 'aurangabad-br');
+    assert.equal((await GeocodingService.findPlace('Aurangabad')).id, 'aurangabad-mh');
+  });
+
+  it('geocodes an address by postal code before the city', async () => {
+    const match = await GeocodingService.geocodeAddress({ city: 'Mumbai', state: 'Maharashtra', postalCode: '400053' });
+
+    assert.deepEqual({ placeId: match.placeId, matchedOn: match.matchedOn }, { placeId: 'andheri', matchedOn: 'postalCode' });
+  });
+
+  it('geocodes free text from its most specific part', async () => {
+    const match = await GeocodingService.geocodeText('Ward 4, Andheri, Mumbai');
+
+    assert.deepEqual({ placeId: match.placeId, matchedOn: match.matchedOn }, { placeId: 'andheri', matchedOn: 'name' });
+  });
+
+  it('finds nothing for text the gazetteer does not know', async () => {
+    assert.equal(await GeocodingService.geocodeText('Somewhere, Nowhere'), null);
+    assert.equal(await GeocodingService.geocodeText(''), null);
+  });
+
+  it('clears stale coordinates when a changed address no longer matches', async () => {
+    assert.deepEqual(await GeocodingService.addressCoordinates({ city: 'Atlantis' }), {
+      latitude: null,
+      longitude: null,
+      geoSource: null,
+      geocodedAt: null,
+    });
+  });
+});
@@ -0,0 +1,241 @@
+// test/services/notificationPreference.service.test.js
+// Quiet hours hold back push, digests batch email, and urgent or mandatory messages skip both
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load } = require('../helpers/modules');
+const { createPrismaStub } = require('../helpers/prisma');
+const { createRedisStub } = require('../helpers/redis');
+
+const db = { preferences: [] };
+
+const prisma = createPrismaStub({
+  notificationPreference: {
+    upsert: async ({ where, create }) => {
+      let preference = db.preferences.find((candidate) => candidate.userId === where.userId);
+      if (!preference) {
+        preference = { id: `pref-${db.preferences.length + 1}`, ...defaults(), ...create };
+        db.preferences.push(preference);
+      }
+      return { ...preference };
+    },
+    update: async ({ where, data }) => {
+      const preference = db.preferences.find((candidate) => candidate.id === where.id || (where.userId && candidate.userId === where.userId));
+      return { ...Object.assign(preference, data) };
+    },
+    findUnique: async ({ where }) => {
+      const preference = db.preferences.find((candidate) => candidate.unsubscribeToken === where.unsubscribeToken);
+      return preference ? { ...preference } : null;
+    },
+  },
+});
+
+const redis = createRedisStub();
+stubModule('config/redis', redis);
+stubModule('config/database', { prisma });
+
+const { NotificationPreferenceService } = load('services/notificationPreference.service');
+
+// Monday 19 Oct 2026, 23:30 in Kolkata
+const NOW = Date.parse('2026-10-19T18:00:00.000Z');
+
+function defaults() {
+  return {
+    userId: 'user-1',
+    inAppEnabled: true,
+    emailEnabled: true,
+    pushEnabled: true,
+    typeSettings: null,
+    quietHoursEnabled: false,
+    quietHoursStart: null,
+    quietHoursEnd: null,
+    timezone: 'Asia/Kolkata',
+    digestFrequency: 'OFF',
+    digestLastSentAt: null,
+    emailUnsubscribedAt: null,
+    unsubscribeToken: 'unsubscribe-token',
+  };
+}
+
+const preference = (overrides = {}) => ({ id: 'pref-1', ...defaults(), ...overrides });
+
+const quietNights = (overrides = {}) => preference({ quietHoursEnabled: true, quietHoursStart: '22:00', quietHoursEnd: '07:00', ...overrides });
+
+describe('NotificationPreferenceService', () => {
+  beforeEach(() => {
+    mock.restoreAll();
+    mock.timers.enable({ apis: ['Date'], now: NOW });
+    db.preferences = [];
+    redis.store.clear();
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  describe('quietHoursEndAt', () => {
+    it("ends overnight quiet hours at the user's local morning", () => {
+      assert.deepEqual(NotificationPreferenceService.quietHoursEndAt(quietNights(), new Date(NOW)), new Date('2026-10-20T01:30:00.000Z'));
+    });
+
+    it('is null outside quiet hours', () => {
+      // 08:30 in Kolkata
+      assert.equal(NotificationPreferenceService.quietHoursEndAt(quietNights(), new Date('2026-10-20T03:00:00.000Z')), null);
+    });
+
+    it('reads the window in the user timezone', () => {
+      // 14:00 in New York is outside 22:00-07:00 there, though 23:30 in Kolkata
+      assert.equal(NotificationPreferenceService.quietHoursEndAt(quietNights({ timezone: 'America/New_York' }), new Date(NOW)), null);
+    });
+
+    it('handles a window within one day', () => {
+      const lunch = quietNights({ quietHoursStart: '13:00', quietHoursEnd: '14:00' });
+
+      // 13:15 in Kolkata
+      assert.deepEqual(NotificationPreferenceService.quietHoursEndAt(lunch, new Date('2026-10-19T07:45:20.000Z')), new Date('2026-10-19T08:30:00.000Z'));
+    });
+
+    it('is null when quiet hours are off', () => {
+      assert.equal(NotificationPreferenceService.quietHoursEndAt(quietNights({ quietHoursEnabled: false }), new Date(NOW)), null);
+    });
+  });
+
+  describe('planDelivery', () => {
+    const request = { type: 'EVENT_UPDATE', priority: 'NORMAL', channels: ['IN_APP', 'PUSH', 'EMAIL'] };
+
+    it('sends everything to a user who never saved preferences', () => {
+      assert.deepEqual(NotificationPreferenceService.planDelivery(null, request), { inApp: true, push: 'SEND', email: 'SEND', deferUntil: null });
+    });
+
+    it('defers push during quiet hours and batches email into the digest', () => {
+      assert.deepEqual(NotificationPreferenceService.planDelivery(quietNights({ digestFrequency: 'DAILY' }), request), {
+        inApp: true,
+        push: 'DEFER',
+        email: 'DIGEST',
+        deferUntil: new Date('2026-10-20T01:30:00.000Z'),
+      });
+    });
+
+    it('sends urgent notifications straight away', () => {
+      const plan = NotificationPreferenceService.planDelivery(quietNights({ digestFrequency: 'DAILY' }), { ...request, priority: 'HIGH' });
+
+      assert.equal(plan.push, 'SEND');
+      assert.equal(plan.email, 'SEND');
+    });
+
+    it('honours channel and per-type switches', () => {
+      const plan = NotificationPreferenceService.planDelivery(
+        preference({ pushEnabled: false, typeSettings: { EVENT_UPDATE: { IN_APP: false } } }),
+        request
+      );
+
+      assert.deepEqual(plan, { inApp: false, push: 'SKIP', email: 'SEND', deferUntil: null });
+    });
+
+    it('always delivers mandatory account messages, and never via digest', () => {
+      const plan = NotificationPreferenceService.planDelivery(
+        preference({ emailEnabled: false, emailUnsubscribedAt: new Date(), digestFrequency: 'WEEKLY' }),
+        { ...request, type: 'VERIFICATION_APPROVED' }
+      );
+
+      assert.equal(plan.email, 'SEND');
+    });
+
+    it('stops email after a one-click unsubscribe', () => {
+      const plan = NotificationPreferenceService.planDelivery(preference({ emailUnsubscribedAt: new Date() }), request);
+
+      assert.equal(plan.email, 'SKIP');
+    });
+  });
+
+  describe('isDigestDue', () => {
+    // Monday 08:15 in Kolkata
+    const digestHour = new Date('2026-10-19T02:45:00.000Z');
+    const daysBefore = (days) => new Date(digestHour.getTime() - days * 24 * 60 * 60 * 1000);
+
+    it('sends a daily digest at the digest hour, once a day', () => {
+      assert.equal(NotificationPreferenceService.isDigestDue(preference({ digestFrequency: 'DAILY', digestLastSentAt: daysBefore(1) }), digestHour), true);
+      assert.equal(NotificationPreferenceService.isDigestDue(preference({ digestFrequency: 'DAILY', digestLastSentAt: daysBefore(0.1) }), digestHour), false);
+      assert.equal(NotificationPreferenceService.isDigestDue(preference({ digestFrequency: 'DAILY' }), new Date('2026-10-19T03:30:00.000Z')), false);
+    });
+
+    it('sends a weekly digest on the weekly day only', () => {
+      const weekly = preference({ digestFrequency: 'WEEKLY', digestLastSentAt: daysBefore(7) });
+
+      assert.equal(NotificationPreferenceService.isDigestDue(weekly, digestHour), true);
+      assert.equal(NotificationPreferenceService.isDigestDue(weekly, new Date(digestHour.getTime() + 24 * 60 * 60 * 1000)), false);
+    });
+
+    it("uses the user's own timezone", () => {
+      const newYork = preference({ digestFrequency: 'DAILY', timezone: 'America/New_York' });
+
+      assert.equal(NotificationPreferenceService.isDigestDue(newYork, digestHour), false);
+      // 08:15 in New York
+      assert.equal(NotificationPreferenceService.isDigestDue(newYork, new Date('2026-10-19T12:15:00.000Z')), true);
+    });
+
+    it('flushes leftovers right away once digests are switched off', () => {
+      assert.equal(NotificationPreferenceService.isDigestDue(preference({ digestFrequency: 'OFF' }), new Date(NOW)), true);
+    });
+  });
+
+  describe('checkPush', () => {
+    it('holds a push back until quiet hours end', async () => {
+      db.preferences = [quietNights()];
+
+      assert.deepEqual(await NotificationPreferenceService.checkPush('user-1', 'EVENT_UPDATE', 'NORMAL'), {
+        allowed: false,
+        deferUntil: new Date('2026-10-20T01:30:00.000Z'),
+      });
+      assert.deepEqual(await NotificationPreferenceService.checkPush('user-1', 'LIFELINK_EMERGENCY', 'EMERGENCY'), { allowed: true, deferUntil: null });
+    });
+  });
+
+  describe('updatePreferences', () => {
+    it('refuses quiet hours without both times', async () => {
+      await assert.rejects(
+        NotificationPreferenceService.updatePreferences('user-1', { quietHours: { enabled: true, start: '22:00' } }),
+        { statusCode: 400, code: 'QUIET_HOURS_INCOMPLETE' }
+      );
+    });
+
+    it('re-subscribes to email when email is switched back on, keeping other type settings', async () => {
+      db.preferences = [preference({ emailEnabled: false, emailUnsubscribedAt: new Date(), typeSettings: { MENTION: { PUSH: false } } })];
+
+      const updated = await NotificationPreferenceService.updatePreferences('user-1', {
+        channels: { EMAIL: true },
+        types: { MENTION: { EMAIL: false } },
+      });
+
+      assert.equal(updated.emailEnabled, true);
+      assert.equal(updated.emailUnsubscribedAt, null);
+      assert.deepEqual(updated.typeSettings, { MENTION: { PUSH: false, EMAIL: false } });
+    });
+  });
+
+  describe('unsubscribe', () => {
+    it('turns off one type from a type-specific link', async () => {
+      db.preferences = [preference()];
+
+      const { type } = await NotificationPreferenceService.unsubscribe('unsubscribe-token', 'EVENT_REMINDER');
+
+      assert.equal(type, 'EVENT_REMINDER');
+      assert.equal(db.preferences[0].emailEnabled, true);
+      assert.deepEqual(db.preferences[0].typeSettings, { EVENT_REMINDER: { EMAIL: false } });
+    });
+
+    it('turns off all optional email from a general link', async () => {
+      db.preferences = [preference()];
+
+      const { type } = await NotificationPreferenceService.unsubscribe('unsubscribe-token', 'NOT_A_TYPE');
+
+      assert.equal(type, null);
+      assert.equal(db.preferences[0].emailEnabled, false);
+      assert.deepEqual(db.preferences[0].emailUnsubscribedAt, new Date(NOW));
+    });
+
+    it('refuses an unknown token', async () => {
+      await assert.rejects(NotificationPreferenceService.unsubscribe('stale-token'), { statusCode: 404, code: 'UNSUBSCRIBE_TOKEN_INVALID' });
+    });
+  });
+});
@@ -0,0 +1,131 @@
+// test/services/payment/CurrencyService.test.js
+// Payers are charged in their chosen currency at the rate in effect; reports stay in the base currency
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load } = require('../../helpers/modules');
+const { createPrismaStub } = require('../../helpers/prisma');
+
+const db = { organizations: new Map(), rates: [] };
+
+const prisma = createPrismaStub({
+  organization: {
+    findUnique: async ({ where }) => db.organizations.get(where.id) || null,
+  },
+  exchangeRate: {
+    // Just the query getExchangeRate makes: latest rate effective at or before `at`
+    findFirst: async ({ where }) => db.rates
+      .filter((rate) => rate.organizationId === where.organizationId
+        && rate.currency === where.currency
+        && rate.baseCurrency === where.baseCurrency
+        && rate.effectiveFrom <= where.effectiveFrom.lte)
+      .sort((a, b) => b.effectiveFrom - a.effectiveFrom)[0] || null,
+  },
+});
+
+stubModule('config/database', { prisma });
+
+const CurrencyService = load('services/payment/CurrencyService');
+
+describe('CurrencyService', () => {
+  beforeEach(() => {
+    db.organizations = new Map([
+      ['org-a', { id: 'org-a', baseCurrency: 'INR' }],
+      ['org-b', { id: 'org-b', baseCurrency: null }],
+    ]);
+    db.rates = [
+      { id: 'rate-old', organizationId: 'org-a', currency: 'USD', baseCurrency: 'INR', rate: '82.5000', effectiveFrom: new Date('2026-01-01') },
+      { id: 'rate-new', organizationId: 'org-a', currency: 'USD', baseCurrency: 'INR', rate: '83.2500', effectiveFrom: new Date('2026-06-01') },
+      { id: 'rate-future', organizationId: 'org-a', currency: 'USD', baseCurrency: 'INR', rate: '90.0000', effectiveFrom: new Date('2099-01-01') },
+      { id: 'rate-other-org', organizationId: 'org-b', currency: 'GBP', baseCurrency: 'INR', rate: '105.0000', effectiveFrom: new Date('2026-01-01') },
+    ];
+  });
+
+  describe('getExchangeRate', () => {
+    it('uses the latest rate already in effect', async () => {
+      const { rate, exchangeRateId } = await CurrencyService.getExchangeRate('org-a', 'USD', 'INR');
+
+      assert.equal(rate, 83.25);
+      assert.equal(exchangeRateId, 'rate-new');
+    });
+
+    it('uses the rate that was in effect at a past time', async () => {
+      const { exchangeRateId } = await CurrencyService.getExchangeRate('org-a', 'USD', 'INR', new Date('2026-03-15'));
+
+      assert.equal(exchangeRateId, 'rate-old');
+    });
+
+    it('needs no rate for the base currency itself', async () => {
+      assert.deepEqual(await CurrencyService.getExchangeRate('org-a', 'INR', 'INR'), {
+        rate: 1,
+        exchangeRateId: null,
+        effectiveFrom: null,
+      });
+    });
+
+    it("never borrows another organization's rate", async () => {
+      await assert.rejects(
+        CurrencyService.getExchangeRate('org-a', 'GBP', 'INR'),
+        /No exchange rate configured for GBP to INR/
+      );
+    });
+  });
+
+  describe('getPricingContext', () => {
+    it('defaults to the base currency', async () => {
+      assert.deepEqual(await CurrencyService.getPricingContext('org-a'), {
+        organizationId: 'org-a',
+        currency: 'INR',
+        baseCurrency: 'INR',
+        exchangeRate: 1,
+      });
+    });
+
+    it('falls back to the platform currency when the organization has none', async () => {
+      assert.equal((await CurrencyService.getPricingContext('org-b')).baseCurrency, 'INR');
+    });
+
+    it('accepts a lower-case currency choice', async () => {
+      const pricing = await CurrencyService.getPricingContext('org-a', 'usd');
+
+      assert.equal(pricing.currency, 'USD');
+      assert.equal(pricing.exchangeRate, 83.25);
+    });
+
+    it('refuses a currency the platform does not support', async () => {
+      await assert.rejects(CurrencyService.getPricingContext('org-a', 'JPY'), /Currency JPY not supported/);
+    });
+  });
+
+  describe('priceIn', () => {
+    const usd = { currency: 'USD', baseCurrency: 'INR', exchangeRate: 83.25 };
+
+    it('converts the base price and rounds to cents', () => {
+      // 1500 / 83.25 = 18.018...
+      assert.equal(CurrencyService.priceIn(usd, '1500.00'), 18.02);
+    });
+
+    it('prefers a price set for the currency over conversion', () => {
+      assert.equal(CurrencyService.priceIn(usd, '1500.00', '19.99'), 19.99);
+    });
+
+    it('keeps the base price when charging in the base currency', () => {
+      const inr = { currency: 'INR', baseCurrency: 'INR', exchangeRate: 1 };
+
+      assert.equal(CurrencyService.priceIn(inr, '1500.005', '99.00'), 1500.01);
+    });
+
+    it('treats a missing base price as free', () => {
+      assert.equal(CurrencyService.priceIn(usd, null), 0);
+    });
+  });
+
+  describe('toTransactionFields', () => {
+    it('records the base amount at the rate used, rounded to paise', () => {
+      assert.deepEqual(
+        CurrencyService.toTransactionFields({ currency: 'USD', baseCurrency: 'INR', exchangeRate: 83.25 }, 18.02),
+        { currency: 'USD', baseCurrency: 'INR', baseAmount: 1500.17, exchangeRate: 83.25 }
+      );
+    });
+  });
+});
@@ -0,0 +1,297 @@
+// test/services/payment/DiscountService.test.js
+// Promo code uses are held from payment start, so concurrent checkouts can't exceed the limits
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load } = require('../../helpers/modules');
+const { createPrismaStub } = require('../../helpers/prisma');
+const { createRedisStub } = require('../../helpers/redis');
+
+const db = { promoCodes: new Map(), redemptions: [], transactions: [] };
+
+// Interactive transactions run one at a time, like callers blocked on the promo code's
+// row lock, and roll back when they throw
+let queue = Promise.resolve();
+const serialized = (fn) => {
+  const run = queue.then(fn);
+  queue = run.catch(() => {});
+  return run;
+};
+
+const snapshot = () => ({
+  promoCodes: new Map([...db.promoCodes].map(([id, code]) => [id, { ...code }])),
+  redemptions: db.redemptions.map((redemption) => ({ ...redemption })),
+  transactions: [...db.transactions],
+});
+
+// Let the other checkout interleave between queries if nothing holds it back
+const yieldTurn = () => new Promise((resolve) => setImmediate(resolve));
+
+const matches = (row, where) => Object.entries(where).every(([key, value]) => row[key] === value);
+
+// Just the where shapes DiscountService uses: plain equality, OR, and lt against a value or field
+const matchesPromoCode = (code, where) =>
+  Object.entries(where).every(([key, value]) => {
+    if (key === 'OR') return value.some((branch) => matchesPromoCode(code, branch));
+    if (value && typeof value === 'object' && 'lt' in value) {
+      const bound = value.lt?.fieldRef ? code[value.lt.fieldRef] : value.lt;
+      return code[key] < bound;
+    }
+    return code[key] === value;
+  });
+
+const prisma = createPrismaStub({
+  promoCode: {
+    fields: { usageLimit: { fieldRef: 'usageLimit' } },
+    findFirst: async ({ where }) => [...db.promoCodes.values()].find((code) => matches(code, where)) || null,
+    findUnique: async ({ where }) => ({ ...db.promoCodes.get(where.id) }),
+    updateMany: async ({ where, data }) => {
+      const code = db.promoCodes.get(where.id);
+      await yieldTurn();
+      if (!code || !matchesPromoCode(code, where)) return { count: 0 };
+      code.usageCount += data.usageCount.increment;
+      return { count: 1 };
+    },
+    update: async ({ where, data }) => {
+      const code = db.promoCodes.get(where.id);
+      code.usageCount += data.usageCount.increment ?? -data.usageCount.decrement;
+      return { ...code };
+    },
+  },
+  promoCodeRedemption: {
+    findMany: async ({ where }) => {
+      await yieldTurn();
+      return db.redemptions.filter((redemption) => matches(redemption, where));
+    },
+    findUnique: async ({ where }) => db.redemptions.find((redemption) => matches(redemption, where)) || null,
+    create: async ({ data }) => {
+      const redemption = { id: `redemption-${db.redemptions.length + 1}`, ...data };
+      db.redemptions.push(redemption);
+      return redemption;
+    },
+    updateMany: async ({ where, data }) => {
+      const found = db.redemptions.filter((redemption) => matches(redemption, where));
+      found.forEach((redemption) => Object.assign(redemption, data));
+      return { count: found.length };
+    },
+    deleteMany: async ({ where }) => {
+      const before = db.redemptions.length;
+      db.redemptions = db.redemptions.filter((redemption) => !matches(redemption, where));
+      return { count: before - db.redemptions.length };
+    },
+  },
+  paymentTransaction: {
+    create: async ({ data }) => {
+      const transaction = { id: `txn-${db.transactions.length + 1}`, ...data };
+      db.transactions.push(transaction);
+      return transaction;
+    },
+    update: async ({ where, data }) => Object.assign(db.transactions.find((transaction) => transaction.id === where.id), data),
+  },
+  user: { findUnique: async () => null },
+});
+prisma.$transaction = (fn) => serialized(async () => {
+  const before = snapshot();
+  try {
+    return await fn(prisma);
+  } catch (error) {
+    Object.assign(db, before);
+    throw error;
+  }
+});
+
+stubModule('config/redis', createRedisStub());
+stubModule('config/database', { prisma });
+
+const DiscountService = load('services/payment/DiscountService');
+const PaymentService = load('services/payment/PaymentService');
+const PaymentProviderFactory = load('services/payment/PaymentProviderFactory');
+const { JobQueueService } = load('services/queue/jobQueue.service');
+
+const seedPromoCode = (overrides = {}) => {
+  db.promoCodes.set('promo-1', {
+    id: 'promo-1',
+    organizationId: 'org-a',
+    code: 'EARLY',
+    discountType: 'FLAT',
+    discountValue: '100',
+    maxDiscountAmount: null,
+    minOrderAmount: null,
+    scopes: ['EVENT'],
+    eventId: null,
+    usageLimit: 1,
+    perUserLimit: 1,
+    usageCount: 0,
+    validFrom: null,
+    validUntil: null,
+    isActive: true,
+    ...overrides,
+  });
+};
+
+const discount = { promoCodeId: 'promo-1', code: 'EARLY', amount: 100 };
+const pricing = { organizationId: 'org-a', currency: 'INR', baseCurrency: 'INR', exchangeRate: 1 };
+
+const startPayment = (userId) =>
+  prisma.$transaction(async (tx) => {
+    const transaction = await tx.paymentTransaction.create({
+      data: { userId, currency: 'INR', transactionNumber: `PT-${userId}`, breakdown: { discount } },
+    });
+    await DiscountService.reserveRedemption(tx, transaction);
+    return transaction;
+  });
+
+const usageCount = () => db.promoCodes.get('promo-1').usageCount;
+
+describe('DiscountService promo code reservations', () => {
+  beforeEach(() => {
+    db.promoCodes.clear();
+    db.redemptions = [];
+    db.transactions = [];
+    mock.restoreAll();
+    mock.method(console, 'log', () => {});
+  });
+
+  it('never reserves past usageLimit when checkouts start together', async () => {
+    seedPromoCode({ usageLimit: 2 });
+
+    const results = await Promise.allSettled(['user-1', 'user-2', 'user-3'].map(startPayment));
+
+    assert.equal(results.filter((result) => result.status === 'fulfilled').length, 2);
+    assert.match(results[2].reason.message, /usage limit reached/);
+    assert.equal(usageCount(), 2);
+    assert.deepEqual(db.redemptions.map((redemption) => redemption.status), ['RESERVED', 'RESERVED']);
+  });
+
+  it('holds perUserLimit across concurrent checkouts by the same payer', async () => {
+    seedPromoCode({ usageLimit: null, perUserLimit: 1 });
+
+    const results = await Promise.allSettled([startPayment('user-1'), startPayment('user-1')]);
+
+    assert.equal(results[0].status, 'fulfilled');
+    assert.match(results[1].reason.message, /held by a payment you started/);
+    assert.equal(usageCount(), 1);
+    assert.equal(db.redemptions.length, 1);
+    assert.equal(db.transactions.length, 1);
+  });
+
+  it('tells a payer with a pending reservation why the code is refused', async () => {
+    seedPromoCode({ usageLimit: null });
+    await startPayment('user-1');
+
+    await assert.rejects(
+      DiscountService.applyPromoCode('early', {
+        userId: 'user-1',
+        pricing,
+        amounts: { EVENT: 500 },
+      }),
+      /held by a payment you started/
+    );
+  });
+
+  it('gives the use back once, when the payment fails or expires', async () => {
+    seedPromoCode();
+    const transaction = await startPayment('user-1');
+
+    assert.equal(await DiscountService.releaseReservation(transaction.id), true);
+    assert.equal(await DiscountService.releaseReservation(transaction.id), false);
+
+    assert.equal(usageCount(), 0);
+    assert.equal(db.redemptions.length, 0);
+    await startPayment('user-2');
+    assert.equal(usageCount(), 1);
+  });
+
+  it('turns the reservation into a redemption without counting it twice', async () => {
+    seedPromoCode();
+    const transaction = await startPayment('user-1');
+
+    await prisma.$transaction((tx) => DiscountService.recordRedemption(tx, transaction));
+    await prisma.$transaction((tx) => DiscountService.recordRedemption(tx, transaction));
+
+    assert.equal(usageCount(), 1);
+    assert.deepEqual(db.redemptions.map((redemption) => redemption.status), ['REDEEMED']);
+    assert.equal(await DiscountService.releaseReservation(transaction.id), false);
+    assert.equal(usageCount(), 1);
+  });
+
+  it('still counts a payment that completes after its reservation lapsed', async () => {
+    seedPromoCode();
+    const transaction = await startPayment('user-1');
+    await DiscountService.releaseReservation(transaction.id);
+
+    await prisma.$transaction((tx) => DiscountService.recordRedemption(tx, transaction));
+
+    assert.equal(usageCount(), 1);
+    assert.deepEqual(db.redemptions.map((redemption) => redemption.status), ['REDEEMED']);
+  });
+});
+
+describe('PaymentService.initiatePayment with a promo code', () => {
+  let createOrder;
+
+  beforeEach(() => {
+    db.promoCodes.clear();
+    db.redemptions = [];
+    db.transactions = [];
+    mock.restoreAll();
+    for (const method of ['log', 'error']) {
+      mock.method(console, method, () => {});
+    }
+    createOrder = async () => ({ success: false });
+    mock.method(PaymentService, 'getPricingContextForUser', async () => pricing);
+    mock.method(PaymentService, 'calculateEventRegistrationTotal', async () => ({
+      breakdown: { total: 400, discount },
+      pricing,
+    }));
+    mock.method(PaymentProviderFactory, 'create', () => ({
+      generateTransactionNumber: () => 'PT-1',
+      createOrder: (...args) => createOrder(...args),
+    }));
+    mock.method(JobQueueService, 'dispatch', async () => ({}));
+  });
+
+  it('releases the reservation when the provider order cannot be created', async () => {
+    seedPromoCode();
+
+    await assert.rejects(
+      PaymentService.initiatePayment({ referenceType: 'EVENT_REGISTRATION', referenceId: 'reg-1', userId: 'user-1' }),
+      /Failed to create payment order/
+    );
+
+    assert.equal(db.transactions.length, 1);
+    assert.equal(usageCount(), 0);
+    assert.equal(db.redemptions.length, 0);
+  });
+
+  it('creates no transaction when the code ran out between quote and checkout', async () => {
+    seedPromoCode({ usageCount: 1 });
+
+    await assert.rejects(
+      PaymentService.initiatePayment({ referenceType: 'EVENT_REGISTRATION', referenceId: 'reg-1', userId: 'user-1' }),
+      /usage limit reached/
+    );
+
+    assert.equal(db.transactions.length, 0);
+  });
+
+  it('schedules the release for when the payment expires', async () => {
+    seedPromoCode();
+    const expiresAt = new Date(Date.now() + 30 * 60 * 1000);
+    createOrder = async () => ({ success: true, providerOrderId: 'order_1', providerOrderData: {}, expiresAt });
+    mock.method(PaymentService, 'logActivity', async () => {});
+    mock.method(PaymentProviderFactory, 'create', () => ({
+      generateTransactionNumber: () => 'PT-1',
+      createOrder: (...args) => createOrder(...args),
+      generatePaymentLink: async () => ({ checkoutOptions: {}, paymentLink: null }),
+    }));
+
+    await PaymentService.initiatePayment({ referenceType: 'EVENT_REGISTRATION', referenceId: 'reg-1', userId: 'user-1' });
+
+    const [name, data, options] = JobQueueService.dispatch.mock.calls[0].arguments;
+    assert.equal(name, 'payment.promo-reservation-expiry');
+    assert.deepEqual(data, { transactionId: 'txn-1' });
+    assert.equal(options.runAt, expiresAt);
+    assert.equal(db.redemptions[0].status, 'RESERVED');
+  });
+});
@@ -0,0 +1,184 @@
+// test/services/payment/PaymentService.eventPayment.test.js
+// Paid event registrations take their seat under the same event lock as free ones
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load } = require('../../helpers/modules');
+const { createPrismaStub } = require('../../helpers/prisma');
+const { createRedisStub } = require('../../helpers/redis');
+
+const db = { events: new Map(), registrations: [], locks: [], inTransaction: false };
+
+// Interactive transactions run one at a time, like callers blocked on the event row lock
+let queue = Promise.resolve();
+const serialized = (fn) => {
+  const run = queue.then(fn);
+  queue = run.catch(() => {});
+  return run;
+};
+
+const matches = (registration, where) =>
+  Object.entries(where).every(([key, value]) => registration[key] === value);
+
+const prisma = createPrismaStub({
+  event: {
+    findUnique: async ({ where }) => db.events.get(where.id) || null,
+  },
+  eventRegistration: {
+    count: async ({ where }) => db.registrations.filter((registration) => matches(registration, where)).length,
+    findFirst: async ({ where }) => db.registrations.find((registration) => matches(registration, where)) || null,
+    aggregate: async ({ where }) => {
+      const positions = db.registrations
+        .filter((registration) => matches(registration, where))
+        .map((registration) => registration.waitlistPosition);
+      return { _max: { waitlistPosition: positions.length ? Math.max(...positions) : null } };
+    },
+    create: async ({ data }) => {
+      // Let the other payment interleave here if nothing holds it back
+      await new Promise((resolve) => setImmediate(resolve));
+      const registration = { id: `reg-${db.registrations.length + 1}`, ...data };
+      db.registrations.push(registration);
+      return registration;
+    },
+    findUnique: async () => null,
+  },
+  user: { findUnique: async () => null },
+  paymentTransaction: { update: async ({ data }) => data },
+  paymentWebhook: { update: async () => ({}) },
+});
+prisma.$transaction = (fn) => serialized(async () => {
+  db.inTransaction = true;
+  try {
+    return await fn(prisma);
+  } finally {
+    db.inTransaction = false;
+  }
+});
+prisma.$queryRaw = async (strings, ...values) => {
+  db.locks.push({ sql: strings.join('?'), values, inTransaction: db.inTransaction });
+  return [];
+};
+
+stubModule('config/redis', createRedisStub());
+stubModule('config/database', { prisma });
+
+const PaymentService = load('services/payment/PaymentService');
+const DiscountService = load('services/payment/DiscountService');
+const { WaitlistService } = load('services/event/waitlist.service');
+const { JobQueueService } = load('services/queue/jobQueue.service');
+
+const seedEvent = (overrides = {}) => {
+  db.events.set('event-1', {
+    id: 'event-1',
+    title: 'Reunion',
+    status: 'REGISTRATION_OPEN',
+    maxCapacity: 1,
+    allowWaitlist: false,
+    ...overrides,
+  });
+};
+
+const eventPayment = (id, userId) => ({
+  id,
+  transactionNumber: `PT-${id}`,
+  amount: 500,
+  userId,
+  referenceType: 'EVENT_PAYMENT',
+  referenceId: 'event-1',
+  metadata: { eventId: 'event-1', registrationData: {} },
+});
+
+describe('PaymentService event payments', () => {
+  beforeEach(() => {
+    db.events.clear();
+    db.registrations.length = 0;
+    db.locks.length = 0;
+    mock.restoreAll();
+    mock.method(DiscountService, 'recordRedemption', async () => {});
+    mock.method(WaitlistService, 'notifyWaitlistUpdate', async () => {});
+    mock.method(JobQueueService, 'dispatch', async () => ({}));
+    for (const method of ['log', 'error']) {
+      mock.method(console, method, () => {});
+    }
+  });
+
+  it('confirms a paid registration while seats are free', async () => {
+    seedEvent();
+
+    await prisma.$transaction((tx) => PaymentService.updateRelatedRecords(tx, eventPayment('txn-1', 'user-1'), {}));
+
+    assert.equal(db.registrations[0].status, 'CONFIRMED');
+    assert.match(db.locks[0].sql, /FROM events WHERE id = \? FOR UPDATE/);
+    assert.deepEqual(db.locks[0].values, ['event-1']);
+  });
+
+  it('never confirms more paid registrations than the event holds', async () => {
+    seedEvent({ maxCapacity: 1 });
+
+    await Promise.all(
+      ['user-1', 'user-2'].map((userId, index) =>
+        prisma.$transaction((tx) => PaymentService.updateRelatedRecords(tx, eventPayment(`txn-${index}`, userId), {}))
+      )
+    );
+
+    assert.deepEqual(db.registrations.map((registration) => registration.status), ['CONFIRMED', 'WAITLIST']);
+    assert.equal(db.registrations[1].waitlistPosition, 1);
+    assert.equal(db.registrations[1].paymentStatus, 'COMPLETED');
+  });
+
+  it('queues a payer behind people already waiting and tells them after commit', async () => {
+    seedEvent({ maxCapacity: 2, allowWaitlist: true });
+    db.registrations.push(
+      { id: 'reg-a', eventId: 'event-1', status: 'CONFIRMED' },
+      { id: 'reg-b', eventId: 'event-1', status: 'WAITLIST', waitlistPosition: 4 }
+    );
+    const transaction = eventPayment('txn-1', 'user-1');
+
+    await prisma.$transaction((tx) => PaymentService.updateRelatedRecords(tx, transaction, {}));
+
+    const paid = db.registrations.at(-1);
+    assert.equal(paid.status, 'WAITLIST');
+    assert.equal(paid.waitlistPosition, 5);
+    // No check-in QR code until promotion
+    assert.deepEqual(transaction._postPaymentJobs.map((job) => job.name), ['payment.invoice']);
+    assert.equal(WaitlistService.notifyWaitlistUpdate.mock.callCount(), 0);
+
+    await PaymentService.dispatchPostPaymentJobs(transaction);
+
+    assert.deepEqual(
+      WaitlistService.notifyWaitlistUpdate.mock.calls.map((call) => call.arguments),
+      [[paid.id, 'JOINED']]
+    );
+  });
+
+  it('completes webhook payments inside one transaction with the seat lock', async () => {
+    seedEvent();
+    mock.method(PaymentService, 'findTransactionByProviderOrderId', async () => ({
+      ...eventPayment('txn-1', 'user-1'),
+      status: 'PENDING',
+      providerOrderData: {},
+    }));
+    mock.method(PaymentService, 'dispatchPostPaymentJobs', async () => {});
+    mock.method(PaymentService, 'publishPaymentStatus', async () => {});
+
+    await PaymentService.handleWebhookUpdate(
+      { action: 'payment_captured', data: { providerOrderId: 'order_1', providerPaymentId: 'pay_1' } },
+      'webhook-1',
+      'RAZORPAY'
+    );
+
+    assert.equal(db.registrations[0].status, 'CONFIRMED');
+    assert.equal(db.locks.length, 1);
+    assert.equal(db.locks[0].inTransaction, true);
+  });
+
+  it('refuses to start a payment while waitlisted people hold the free seats', async () => {
+    seedEvent({ maxCapacity: 2, allowWaitlist: true });
+    db.registrations.push({ id: 'reg-b', eventId: 'event-1', status: 'WAITLIST', waitlistPosition: 1 });
+
+    await assert.rejects(
+      PaymentService.calculateEventPaymentTotal('event-1', 'user-1'),
+      /Event is full - register without payment to join the waitlist/
+    );
+  });
+});
@@ -0,0 +1,158 @@
+// test/services/payment/PaymentService.verifyPayment.test.js
+// A verified provider payment may only complete the transaction it was created for
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load } = require('../../helpers/modules');
+const { createPrismaStub } = require('../../helpers/prisma');
+const { createRedisStub } = require('../../helpers/redis');
+
+const transactions = new Map();
+const updates = [];
+
+stubModule('config/redis', createRedisStub());
+stubModule('config/database', {
+  prisma: createPrismaStub({
+    paymentTransaction: {
+      findUnique: async ({ where }) => transactions.get(where.id) || null,
+      update: async ({ where, data }) => {
+        updates.push({ id: where.id, data });
+        return { ...transactions.get(where.id), ...data };
+      },
+    },
+  }),
+});
+
+const PaymentService = load('services/payment/PaymentService');
+const PaymentProviderFactory = load('services/payment/PaymentProviderFactory');
+const StripeProvider = load('services/payment/providers/StripeProvider');
+
+// Checkout sessions Stripe would return, keyed by id
+const sessions = {
+  cs_event_2500: { id: 'cs_event_2500', payment_status: 'paid', amount_total: 250000, currency: 'inr', payment_intent: 'pi_1' },
+  cs_cheap_100: { id: 'cs_cheap_100', payment_status: 'paid', amount_total: 10000, currency: 'inr', payment_intent: 'pi_2' },
+};
+
+const stripeProvider = () => {
+  const provider = new StripeProvider({
+    secretKey: 'sk_test_123',
+    webhookSecret: 'whsec_123',
+    options: { currency: 'INR', paymentMethodTypes: ['card'], metadata: {} },
+  });
+  provider.stripe = {
+    checkout: { sessions: { retrieve: async (id) => ({ ...sessions[id] }) } },
+  };
+  provider.logDebug = provider.logInfo = provider.logError = () => {};
+  return provider;
+};
+
+const pendingTransaction = (overrides = {}) => ({
+  id: 'txn-expensive',
+  transactionNumber: 'PT-1',
+  provider: 'STRIPE',
+  amount: '2500.00',
+  currency: 'INR',
+  status: 'PENDING',
+  userId: 'user-1',
+  referenceType: 'EVENT_PAYMENT',
+  referenceId: 'event-1',
+  providerOrderData: { orderId: 'cs_event_2500', paymentId: null, order: {} },
+  user: { fullName: 'Asha', email: 'asha@example.com' },
+  ...overrides,
+});
+
+describe('PaymentService.verifyPayment (Stripe)', () => {
+  beforeEach(() => {
+    transactions.clear();
+    updates.length = 0;
+    mock.restoreAll();
+    mock.method(PaymentProviderFactory, 'create', () => stripeProvider());
+    mock.method(PaymentService, 'updateRelatedRecords', async () => {});
+    mock.method(PaymentService, 'logActivity', async () => {});
+    mock.method(PaymentService, 'dispatchPostPaymentJobs', async () => {});
+    mock.method(PaymentService, 'publishPaymentStatus', async () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  it('completes the transaction with its own paid session', async () => {
+    transactions.set('txn-expensive', pendingTransaction());
+
+    const result = await PaymentService.verifyPayment({ transactionId: 'txn-expensive', session_id: 'cs_event_2500' });
+
+    assert.equal(result.success, true);
+    assert.equal(updates.length, 1);
+    assert.equal(updates[0].data.status, 'COMPLETED');
+  });
+
+  it("refuses another transaction's paid session", async () => {
+    transactions.set('txn-expensive', pendingTransaction());
+
+    await assert.rejects(
+      PaymentService.verifyPayment({ transactionId: 'txn-expensive', session_id: 'cs_cheap_100' }),
+      /does not belong to this transaction/
+    );
+    assert.equal(updates.length, 0);
+  });
+
+  it('refuses a session whose amount differs from the transaction', async () => {
+    transactions.set('txn-expensive', pendingTransaction({ amount: '3000.00' }));
+
+    await assert.rejects(
+      PaymentService.verifyPayment({ transactionId: 'txn-expensive', session_id: 'cs_event_2500' }),
+      /does not match the transaction/
+    );
+    assert.equal(updates.length, 0);
+  });
+
+  it('refuses a session paid in another currency', async () => {
+    transactions.set('txn-expensive', pendingTransaction({ currency: 'USD' }));
+
+    await assert.rejects(
+      PaymentService.verifyPayment({ transactionId: 'txn-expensive', session_id: 'cs_event_2500' }),
+      /does not match the transaction/
+    );
+    assert.equal(updates.length, 0);
+  });
+
+  it('refuses a transaction that never had a provider order', async () => {
+    transactions.set('txn-expensive', pendingTransaction({ providerOrderData: null }));
+
+    await assert.rejects(
+      PaymentService.verifyPayment({ transactionId: 'txn-expensive', session_id: 'cs_event_2500' }),
+      /does not belong to this transaction/
+    );
+  });
+});
+
+describe('PaymentService.verifyPayment (Razorpay test signatures)', () => {
+  beforeEach(() => {
+    transactions.clear();
+    updates.length = 0;
+    mock.restoreAll();
+    mock.method(console, 'error', () => {});
+  });
+
+  it('still checks the amount of a test-mode payment', async () => {
+    transactions.set('txn-expensive', pendingTransaction({
+      provider: 'RAZORPAY',
+      providerOrderData: { orderId: 'order_1', paymentId: null, order: {} },
+    }));
+    mock.method(PaymentProviderFactory, 'create', () => ({
+      verifyPayment: async () => ({
+        success: true,
+        verified: true,
+        providerOrderId: 'order_1',
+        providerPaymentId: 'pay_1',
+        amount: 27,
+        currency: 'INR',
+        testMode: true,
+      }),
+    }));
+
+    await assert.rejects(
+      PaymentService.verifyPayment({ transactionId: 'txn-expensive', razorpay_order_id: 'order_1' }),
+      /does not match the transaction/
+    );
+    assert.equal(updates.length, 0);
+  });
+});
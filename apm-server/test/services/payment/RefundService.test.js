@@ -0,0 +1,171 @@
+// test/services/payment/RefundService.test.js
+// Refunds stay inside the admin's organization and never exceed the captured amount
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load } = require('../../helpers/modules');
+const { createPrismaStub } = require('../../helpers/prisma');
+const { createRedisStub } = require('../../helpers/redis');
+
+const db = { transactions: new Map(), refunds: [], locks: [] };
+
+// Interactive transactions run one at a time, like callers blocked on a row lock
+let queue = Promise.resolve();
+const serialized = (fn) => {
+  const run = queue.then(fn);
+  queue = run.catch(() => {});
+  return run;
+};
+
+const prisma = createPrismaStub({
+  paymentTransaction: {
+    findUnique: async ({ where }) => {
+      const transaction = db.transactions.get(where.id);
+      return transaction && { ...transaction, refunds: db.refunds.filter((refund) => refund.transactionId === where.id) };
+    },
+  },
+  paymentRefund: {
+    create: async ({ data }) => {
+      // Let the other request interleave here if nothing holds it back
+      await new Promise((resolve) => setImmediate(resolve));
+      const refund = { id: `refund-${db.refunds.length + 1}`, status: 'PENDING', ...data };
+      db.refunds.push(refund);
+      return refund;
+    },
+    update: async ({ where, data }) => Object.assign(db.refunds.find((refund) => refund.id === where.id), data),
+    updateMany: async ({ where, data }) => {
+      const matched = db.refunds.filter((refund) => refund.id === where.id && refund.status === where.status);
+      matched.forEach((refund) => Object.assign(refund, data));
+      return { count: matched.length };
+    },
+    findUnique: async ({ where }) => db.refunds.find((refund) => refund.id === where.id),
+  },
+  activityLog: { create: async () => ({}) },
+});
+prisma.$transaction = (fn) => serialized(() => fn(prisma));
+prisma.$queryRaw = async (strings, ...values) => {
+  db.locks.push({ sql: strings.join('?'), values });
+  return [];
+};
+
+stubModule('config/redis', createRedisStub());
+stubModule('config/database', { prisma });
+
+const RefundService = load('services/payment/RefundService');
+const PaymentProviderFactory = load('services/payment/PaymentProviderFactory');
+
+const seedTransaction = (overrides = {}) => {
+  db.transactions.set('txn-1', {
+    id: 'txn-1',
+    amount: '100.00',
+    refundedAmount: '0',
+    currency: 'INR',
+    status: 'COMPLETED',
+    provider: 'RAZORPAY',
+    providerOrderData: { orderId: 'order_1', paymentId: 'pay_1' },
+    user: { organizationId: 'org-a' },
+    ...overrides,
+  });
+};
+
+describe('RefundService.initiateRefund', () => {
+  let providerRefunds;
+
+  const failProviderWith = (error) => {
+    mock.method(PaymentProviderFactory, 'create', () => ({
+      createRefund: async () => {
+        throw error;
+      },
+    }));
+  };
+
+  beforeEach(() => {
+    db.transactions.clear();
+    db.refunds.length = 0;
+    db.locks.length = 0;
+    providerRefunds = [];
+    mock.restoreAll();
+    mock.method(console, 'error', () => {});
+    mock.method(PaymentProviderFactory, 'create', () => ({
+      createRefund: async (request) => {
+        providerRefunds.push(request);
+        return { status: 'PENDING', providerRefundId: `rfnd_${providerRefunds.length}`, providerRefundData: {} };
+      },
+    }));
+  });
+
+  it("refuses another organization's transaction as not found", async () => {
+    seedTransaction({ user: { organizationId: 'org-b' } });
+
+    await assert.rejects(
+      RefundService.initiateRefund({ transactionId: 'txn-1', amount: 10, adminId: 'admin-a', organizationId: 'org-a' }),
+      /Transaction not found/
+    );
+    assert.equal(db.refunds.length, 0);
+    assert.equal(providerRefunds.length, 0);
+  });
+
+  it("lists another organization's refunds as not found", async () => {
+    seedTransaction({ user: { organizationId: 'org-b' } });
+
+    await assert.rejects(RefundService.getTransactionRefunds('txn-1', 'org-a'), /Transaction not found/);
+  });
+
+  it('refunds a transaction of the same organization', async () => {
+    seedTransaction();
+
+    const refund = await RefundService.initiateRefund({ transactionId: 'txn-1', amount: 40, adminId: 'admin-a', organizationId: 'org-a' });
+
+    assert.equal(refund.amount, 40);
+    assert.equal(refund.isFullRefund, false);
+    assert.equal(providerRefunds.length, 1);
+  });
+
+  it('locks the transaction row before checking the balance', async () => {
+    seedTransaction();
+
+    await RefundService.initiateRefund({ transactionId: 'txn-1', amount: 40, adminId: 'admin-a', organizationId: 'org-a' });
+
+    assert.match(db.locks[0].sql, /FROM payment_transactions WHERE id = \? FOR UPDATE/);
+    assert.deepEqual(db.locks[0].values, ['txn-1']);
+  });
+
+  it('never lets concurrent refunds exceed the captured amount', async () => {
+    seedTransaction();
+
+    const results = await Promise.allSettled([
+      RefundService.initiateRefund({ transactionId: 'txn-1', amount: 60, adminId: 'admin-a', organizationId: 'org-a' }),
+      RefundService.initiateRefund({ transactionId: 'txn-1', amount: 60, adminId: 'admin-a', organizationId: 'org-a' }),
+    ]);
+
+    assert.deepEqual(results.map((result) => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.match(results.find((result) => result.status === 'rejected').reason.message, /exceeds refundable balance of 40/);
+    assert.equal(db.refunds.length, 1);
+    assert.equal(providerRefunds.length, 1);
+  });
+
+  it('keeps the refund pending and the balance reserved when the provider does not answer', async () => {
+    seedTransaction();
+    failProviderWith(Object.assign(new Error('Razorpay refund failed: timeout of 30000ms exceeded'), { providerRejected: false }));
+
+    const refund = await RefundService.initiateRefund({ transactionId: 'txn-1', amount: 60, adminId: 'admin-a', organizationId: 'org-a' });
+
+    assert.equal(refund.status, 'PENDING');
+    await assert.rejects(
+      RefundService.initiateRefund({ transactionId: 'txn-1', amount: 60, adminId: 'admin-a', organizationId: 'org-a' }),
+      /exceeds refundable balance of 40/
+    );
+  });
+
+  it('fails the refund and frees the balance when the provider refuses it', async () => {
+    seedTransaction();
+    failProviderWith(Object.assign(new Error('Razorpay refund failed: amount exceeds captured'), { providerRejected: true }));
+
+    await assert.rejects(
+      RefundService.initiateRefund({ transactionId: 'txn-1', amount: 60, adminId: 'admin-a', organizationId: 'org-a' }),
+      /amount exceeds captured/
+    );
+    assert.equal(db.refunds[0].status, 'FAILED');
+    assert.equal(RefundService.getRefundableAmount({ ...db.transactions.get('txn-1'), refunds: db.refunds }), 100);
+  });
+});
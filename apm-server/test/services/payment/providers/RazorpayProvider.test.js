@@ -0,0 +1,99 @@
+// test/services/payment/providers/RazorpayProvider.test.js
+// Payment signatures against a fake Razorpay client; test signatures only where the config allows them.
+// Refund failures tell a refusal apart from an unknown outcome.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { load } = require('../../../helpers/modules');
+
+const RazorpayProvider = load('services/payment/providers/RazorpayProvider');
+
+const KEY_SECRET = 'rzp_secret_123';
+
+const createProvider = (overrides = {}) => {
+  const provider = new RazorpayProvider({
+    keyId: 'rzp_test_123',
+    keySecret: KEY_SECRET,
+    webhookSecret: 'rzp_webhook_123',
+    options: { currency: 'INR', payment_capture: 1, notes: {} },
+    ...overrides,
+  });
+  provider.razorpay = {
+    orders: { fetch: async (id) => ({ id, amount: 250000, currency: 'INR' }) },
+    payments: {
+      fetch: async (id) => ({ id, amount: 250000, currency: 'INR', status: 'captured', method: 'upi', created_at: 1_760_000_000 }),
+    },
+  };
+  provider.logDebug = provider.logInfo = provider.logError = () => {};
+  return provider;
+};
+
+const sign = (orderId, paymentId) =>
+  crypto.createHmac('sha256', KEY_SECRET).update(`${orderId}|${paymentId}`).digest('hex');
+
+const payment = (signature) => ({
+  razorpay_order_id: 'order_1',
+  razorpay_payment_id: 'pay_1',
+  razorpay_signature: signature,
+});
+
+describe('RazorpayProvider.verifyPayment', () => {
+  it('accepts a payment signed with the key secret', async () => {
+    const result = await createProvider().verifyPayment(payment(sign('order_1', 'pay_1')));
+
+    assert.equal(result.verified, true);
+    assert.equal(result.amount, 2500);
+    assert.equal(result.testMode, false);
+  });
+
+  it('rejects a payment signed for another order', async () => {
+    const result = await createProvider().verifyPayment(payment(sign('order_2', 'pay_1')));
+
+    assert.equal(result.verified, false);
+    assert.match(result.error, /signature verification failed/);
+  });
+
+  it('rejects test signatures unless the config allows them', async () => {
+    const result = await createProvider().verifyPayment(payment('test_signature_abc'));
+
+    assert.equal(result.verified, false);
+    assert.match(result.error, /signature verification failed/);
+  });
+
+  it("takes a test payment's amount from the real order, not a placeholder", async () => {
+    const result = await createProvider({ allowTestSignatures: true }).verifyPayment(payment('test_signature_abc'));
+
+    assert.equal(result.verified, true);
+    assert.equal(result.testMode, true);
+    assert.equal(result.amount, 2500);
+    assert.equal(result.currency, 'INR');
+  });
+});
+
+describe('RazorpayProvider.createRefund', () => {
+  const refundWith = (error) => {
+    const provider = createProvider();
+    provider.razorpay.payments.refund = async () => {
+      throw error;
+    };
+    return provider.createRefund({ providerPaymentId: 'pay_1', amount: 100, currency: 'INR', refundNumber: 'RF-1' });
+  };
+
+  it('marks a 4xx answer as a refusal', async () => {
+    await assert.rejects(
+      refundWith({ statusCode: 400, error: { code: 'BAD_REQUEST_ERROR', description: 'The refund amount is invalid' } }),
+      (error) => error.providerRejected === true && /The refund amount is invalid/.test(error.message)
+    );
+  });
+
+  for (const [label, error] of [
+    ['a timeout', Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' })],
+    ['a server error', { statusCode: 502, error: { description: 'Bad gateway' } }],
+    ['rate limiting', { statusCode: 429, error: { description: 'Too many requests' } }],
+  ]) {
+    it(`leaves the outcome unknown after ${label}`, async () => {
+      await assert.rejects(refundWith(error), (thrown) => thrown.providerRejected === false);
+    });
+  }
+});
@@ -0,0 +1,76 @@
+// test/services/payment/providers/StripeProvider.test.js
+// Checkout session creation against a fake Stripe client
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('../../../helpers/modules');
+
+const paymentConfig = load('config/payment');
+const StripeProvider = load('services/payment/providers/StripeProvider');
+
+const createProvider = (created) => {
+  const provider = new StripeProvider({
+    secretKey: 'sk_test_123',
+    webhookSecret: 'whsec_123',
+    options: { currency: 'INR', paymentMethodTypes: ['card'], metadata: {} },
+  });
+  provider.stripe = {
+    checkout: {
+      sessions: {
+        create: async (params) => {
+          created.push(params);
+          return { id: 'cs_1', status: 'open', amount_total: params.line_items[0].price_data.unit_amount, expires_at: params.expires_at };
+        },
+      },
+    },
+  };
+  provider.logDebug = provider.logInfo = provider.logError = () => {};
+  return provider;
+};
+
+const order = {
+  amount: 500,
+  currency: 'INR',
+  transactionId: 'txn-1',
+  transactionNumber: 'PT-1',
+  description: 'Annual meet',
+  referenceType: 'EVENT_PAYMENT',
+  referenceId: 'event-1',
+  userId: 'user-1',
+};
+
+describe('StripeProvider.createOrder', () => {
+  let created;
+  const configuredTimeout = paymentConfig.settings.paymentTimeout;
+
+  beforeEach(() => {
+    created = [];
+    paymentConfig.settings.paymentTimeout = configuredTimeout;
+  });
+
+  it('keeps the session expiry clear of Stripe\'s 30 minute minimum', async () => {
+    paymentConfig.settings.paymentTimeout = 30;
+    const before = Math.floor(Date.now() / 1000);
+
+    await createProvider(created).createOrder(order);
+
+    assert.ok(created[0].expires_at - before >= 31 * 60);
+  });
+
+  it('uses a configured timeout longer than the minimum as is', async () => {
+    paymentConfig.settings.paymentTimeout = 120;
+    const before = Math.floor(Date.now() / 1000);
+
+    const result = await createProvider(created).createOrder(order);
+
+    assert.ok(Math.abs(created[0].expires_at - (before + 120 * 60)) <= 1);
+    assert.equal(result.expiresAt.getTime(), created[0].expires_at * 1000);
+  });
+
+  it('charges the amount in minor units', async () => {
+    await createProvider(created).createOrder(order);
+
+    assert.equal(created[0].line_items[0].price_data.unit_amount, 50000);
+    assert.equal(created[0].line_items[0].price_data.currency, 'inr');
+  });
+});
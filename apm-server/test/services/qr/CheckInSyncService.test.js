@@ -0,0 +1,248 @@
+// test/services/qr/CheckInSyncService.test.js
+// Offline kits are signed, and scans uploaded later converge on one check-in per registration
+
+const crypto = require('crypto');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load } = require('../../helpers/modules');
+const { createPrismaStub } = require('../../helpers/prisma');
+const { createRedisStub } = require('../../helpers/redis');
+
+const db = { devices: [], qrs: [], scans: [], checkIns: [], activity: [] };
+
+const prisma = createPrismaStub({
+  eventCheckInDevice: {
+    upsert: async ({ where, update, create }) => {
+      const { deviceId } = where.eventId_deviceId;
+      let device = db.devices.find((candidate) => candidate.deviceId === deviceId);
+      if (device) {
+        Object.assign(device, update);
+      } else {
+        device = { id: `device-row-${db.devices.length + 1}`, ...create };
+        db.devices.push(device);
+      }
+      return device;
+    },
+    update: async ({ where, data }) => Object.assign(db.devices.find((device) => device.id === where.id), data),
+  },
+  registrationQR: {
+    findMany: async () => db.qrs.map((qr) => ({
+      ...qr,
+      registration: {
+        user: { fullName: 'Asha Menon', batch: 2012 },
+        guests: [{ id: 'guest-1', name: 'Ravi' }],
+        checkIns: [],
+      },
+    })),
+    findUnique: async ({ where }) => db.qrs.find((qr) => qr.qrCode === where.qrCode) || null,
+    update: async ({ where }) => db.qrs.find((qr) => qr.id === where.id),
+  },
+  eventCheckInScan: {
+    findUnique: async ({ where }) => {
+      const { deviceId, clientScanId } = where.deviceId_clientScanId;
+      return db.scans.find((scan) => scan.deviceId === deviceId && scan.clientScanId === clientScanId) || null;
+    },
+    create: async ({ data }) => {
+      const scan = { id: `scan-${db.scans.length + 1}`, reason: null, checkInId: null, ...data };
+      db.scans.push(scan);
+      return scan;
+    },
+  },
+  eventCheckIn: {
+    findFirst: async ({ where }) => {
+      const checkIn = db.checkIns.find((candidate) => candidate.registrationId === where.registrationId);
+      return checkIn && {
+        ...checkIn,
+        scans: db.scans.filter((scan) => scan.checkInId === checkIn.id).map(({ deviceId }) => ({ deviceId })),
+      };
+    },
+    create: async ({ data }) => {
+      const checkIn = { id: `checkin-${db.checkIns.length + 1}`, guestDetails: null, ...data };
+      db.checkIns.push(checkIn);
+      return checkIn;
+    },
+    update: async ({ where, data }) => Object.assign(db.checkIns.find((checkIn) => checkIn.id === where.id), data),
+    findMany: async () => [],
+  },
+  activityLog: {
+    create: async ({ data }) => {
+      db.activity.push(data);
+      return data;
+    },
+  },
+});
+
+stubModule('config/redis', createRedisStub());
+stubModule('config/database', { prisma });
+
+const config = load('config');
+const CheckInService = load('services/qr/CheckInService');
+const CheckInSyncService = load('services/qr/CheckInSyncService');
+
+const NOW = Date.parse('2026-10-19T12:00:00.000Z');
+const event = { id: 'event-1', title: 'Reunion', eventDate: new Date(NOW - 60 * 60 * 1000), venue: 'Main Hall', status: 'PUBLISHED' };
+
+const qr = (overrides = {}) => ({
+  id: 'qr-1',
+  qrCode: 'PASS-1',
+  isActive: true,
+  qrData: { summary: { totalGuests: 2 }, seating: [{ table: 'T1', seat: 3 }] },
+  registrationId: 'reg-1',
+  registration: { id: 'reg-1', eventId: 'event-1', status: 'CONFIRMED', userId: 'user-1' },
+  ...overrides,
+});
+
+const minutesAgo = (minutes) => new Date(NOW - minutes * 60 * 1000).toISOString();
+
+const scan = (clientScanId, overrides = {}) => ({
+  clientScanId,
+  qrCode: 'PASS-1',
+  scannedAt: minutesAgo(30),
+  guestsCheckedIn: 1,
+  ...overrides,
+});
+
+const sync = (deviceId, scans, extra = {}) =>
+  CheckInSyncService.syncScans(event, { deviceId, deviceTime: new Date(NOW).toISOString(), scans, ...extra }, 'staff-1');
+
+describe('CheckInSyncService', () => {
+  beforeEach(() => {
+    mock.restoreAll();
+    for (const method of ['log', 'error']) {
+      mock.method(console, method, () => {});
+    }
+    mock.method(CheckInService, 'invalidateEventCache', async () => {});
+    mock.method(CheckInService, 'publishLiveCount', async () => {});
+    mock.timers.enable({ apis: ['Date'], now: NOW });
+    db.devices = [];
+    db.qrs = [qr()];
+    db.scans = [];
+    db.checkIns = [];
+    db.activity = [];
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  describe('buildKit', () => {
+    it('signs a kit that carries pass hashes rather than the codes', async () => {
+      const { kit, signature } = await CheckInSyncService.buildKit(event, { deviceId: 'scanner-a', deviceName: 'Gate A' }, 'staff-1');
+
+      const expected = crypto.createHmac('sha256', config.checkIn.kitSigningSecret || '').update(JSON.stringify(kit)).digest('base64url');
+      assert.equal(signature, expected);
+      assert.equal(kit.expiresAt, '2026-10-20T12:00:00.000Z');
+      assert.equal(kit.passes[0].codeHash, crypto.createHash('sha256').update('PASS-1').digest('hex'));
+      assert.equal(kit.passes[0].maxGuests, 2);
+      assert.ok(!JSON.stringify(kit).includes('PASS-1'));
+      assert.equal(db.devices[0].kitIssuedAt.getTime(), NOW);
+    });
+
+    it('gives an edited kit a different signature', async () => {
+      const { kit, signature } = await CheckInSyncService.buildKit(event, { deviceId: 'scanner-a' }, 'staff-1');
+
+      kit.passes[0].maxGuests = 10;
+
+      assert.notEqual(CheckInSyncService.signKit(kit), signature);
+    });
+  });
+
+  describe('syncScans', () => {
+    it('checks in an offline scan at its corrected time, capping guests at the pass', async () => {
+      // The device clock runs 5 minutes slow
+      const { results, summary } = await sync('scanner-a', [scan('a-1', { guestsCheckedIn: 5 })], {
+        deviceTime: new Date(NOW - 5 * 60 * 1000).toISOString(),
+      });
+
+      assert.deepEqual(summary, { ACCEPTED: 1 });
+      assert.equal(results[0].checkInId, 'checkin-1');
+      const [checkIn] = db.checkIns;
+      assert.deepEqual(checkIn.checkedInAt, new Date(minutesAgo(25)));
+      assert.equal(checkIn.guestsCheckedIn, 2);
+      assert.equal(checkIn.checkInMethod, 'OFFLINE_SYNC');
+      assert.equal(checkIn.deviceId, 'scanner-a');
+      assert.equal(db.devices[0].clockOffsetMs, 5 * 60 * 1000);
+      assert.equal(db.activity[0].action, 'event_checkin');
+      assert.equal(CheckInService.publishLiveCount.mock.callCount(), 1);
+    });
+
+    it('answers a retried upload from the first result', async () => {
+      await sync('scanner-a', [scan('a-1')]);
+      const { results } = await sync('scanner-a', [scan('a-1')]);
+
+      assert.equal(results[0].result, 'ACCEPTED');
+      assert.equal(results[0].isRetry, true);
+      assert.equal(db.checkIns.length, 1);
+      assert.equal(db.scans.length, 1);
+    });
+
+    it('marks a second scan on the same device as a duplicate', async () => {
+      const { results } = await sync('scanner-a', [scan('a-2', { scannedAt: minutesAgo(10) }), scan('a-1')]);
+
+      assert.deepEqual(results.map(({ clientScanId, result }) => [clientScanId, result]), [['a-1', 'ACCEPTED'], ['a-2', 'DUPLICATE']]);
+    });
+
+    it('keeps the earliest scan across devices and the most guests', async () => {
+      await sync('scanner-a', [scan('a-1', { scannedAt: minutesAgo(20), guestsCheckedIn: 0 })]);
+      const { results } = await sync('scanner-b', [scan('b-1', { scannedAt: minutesAgo(40), guestsCheckedIn: 2 })]);
+
+      assert.equal(results[0].result, 'CONFLICT');
+      assert.equal(results[0].reason, 'Also checked in elsewhere; this earlier scan is now the check-in time');
+      assert.equal(db.checkIns.length, 1);
+      assert.deepEqual(db.checkIns[0].checkedInAt, new Date(minutesAgo(40)));
+      assert.equal(db.checkIns[0].deviceId, 'scanner-b');
+      assert.equal(db.checkIns[0].guestsCheckedIn, 2);
+      assert.equal(db.activity.length, 1);
+    });
+
+    it('leaves the check-in time alone for a later scan elsewhere', async () => {
+      await sync('scanner-a', [scan('a-1', { scannedAt: minutesAgo(40) })]);
+      const { results } = await sync('scanner-b', [scan('b-1', { scannedAt: minutesAgo(20) })]);
+
+      assert.equal(results[0].reason, 'Already checked in elsewhere; kept the earlier check-in');
+      assert.deepEqual(db.checkIns[0].checkedInAt, new Date(minutesAgo(40)));
+      assert.equal(db.checkIns[0].deviceId, 'scanner-a');
+    });
+
+    it('never dates a scan after the upload that carried it', async () => {
+      await sync('scanner-a', [scan('a-1', { scannedAt: new Date(NOW + 60 * 60 * 1000).toISOString() })]);
+
+      assert.deepEqual(db.checkIns[0].checkedInAt, new Date(NOW));
+    });
+
+    for (const [label, pass, scannedAt, reason] of [
+      ['a pass for another event', qr({ registration: { id: 'reg-1', eventId: 'event-2', status: 'CONFIRMED' } }), minutesAgo(30), 'Pass not valid for this event'],
+      ['a deactivated pass', qr({ isActive: false }), minutesAgo(30), 'Pass not valid for this event'],
+      ['a cancelled registration', qr({ registration: { id: 'reg-1', eventId: 'event-1', status: 'CANCELLED' } }), minutesAgo(30), 'Registration is cancelled'],
+      ['a scan before check-in opened', qr(), minutesAgo(4 * 60), 'Scanned outside the check-in window'],
+    ]) {
+      it(`rejects ${label}`, async () => {
+        db.qrs = [pass];
+
+        const { results } = await sync('scanner-a', [scan('a-1', { scannedAt })]);
+
+        assert.equal(results[0].result, 'REJECTED');
+        assert.equal(results[0].reason, reason);
+        assert.deepEqual(db.checkIns, []);
+      });
+    }
+
+    it('reports a scan that fails and carries on with the rest', async () => {
+      const create = prisma.eventCheckIn.create;
+      let failed = false;
+      mock.method(prisma.eventCheckIn, 'create', async (args) => {
+        if (!failed) {
+          failed = true;
+          throw new Error('connection reset');
+        }
+        return create(args);
+      });
+      db.qrs.push(qr({ id: 'qr-2', qrCode: 'PASS-2', registrationId: 'reg-2', registration: { id: 'reg-2', eventId: 'event-1', status: 'CONFIRMED', userId: 'user-2' } }));
+
+      const { results } = await sync('scanner-a', [scan('a-1'), scan('a-2', { qrCode: 'PASS-2', scannedAt: minutesAgo(10) })]);
+
+      assert.deepEqual(results.map(({ result }) => result), ['ERROR', 'ACCEPTED']);
+      assert.equal(db.scans.length, 1);
+    });
+  });
+});
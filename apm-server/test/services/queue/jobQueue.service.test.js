@@ -0,0 +1,224 @@
+// test/services/queue/jobQueue.service.test.js
+// A running job keeps its lock until the handler returns, so no second worker picks it up,
+// and a worker that lost the lock never records the job's outcome
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load } = require('../../helpers/modules');
+const { createRedisStub } = require('../../helpers/redis');
+
+const store = new Map();
+const active = new Map();
+const queued = new Map();
+
+// The queue's Lua commands and the few plain commands processJob uses
+const redis = {
+  ...createRedisStub().redis,
+  get: async (key) => (store.has(key) ? store.get(key) : null),
+  set: async (key, value) => {
+    store.set(key, value);
+    return 'OK';
+  },
+  zrem: async (key, member) => (active.delete(member) ? 1 : 0),
+  jobQueueExtendLock: async (key, jobId, lockedUntil, extendedUntil) => {
+    if (active.get(jobId) !== lockedUntil) return 0;
+    active.set(jobId, extendedUntil);
+    return 1;
+  },
+  jobQueueFinish: async (activeKey, jobKey, queueKey, jobId, lockedUntil, stored, ttlSeconds, score) => {
+    if (active.get(jobId) !== lockedUntil) return 0;
+    active.delete(jobId);
+    store.set(jobKey, stored);
+    if (score !== '') queued.set(jobId, { queueKey, score });
+    return 1;
+  },
+  multi: () => {
+    const chain = {
+      zrem: (key, member) => {
+        active.delete(member);
+        return chain;
+      },
+      set: (key, value) => {
+        store.set(key, value);
+        return chain;
+      },
+      zadd: () => chain,
+      exec: async () => [],
+    };
+    return chain;
+  },
+};
+
+stubModule('config/redis', { redis, CacheService: {}, CacheKeys: {} });
+
+const config = load('config');
+const { JobQueueService } = load('services/queue/jobQueue.service');
+
+const DEFAULT_LOCK_MS = config.jobQueue.lockTimeoutMs;
+
+// Settle the awaits inside a heartbeat that a timer tick just started
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+const claim = (name, jobId = 'job-1') => {
+  const lockedUntil = Date.now() + DEFAULT_LOCK_MS;
+  store.set(`jobqueue:job:${jobId}`, JSON.stringify({ id: jobId, name, data: {}, attempts: 0, maxAttempts: 3, backoffMs: 1000 }));
+  active.set(jobId, lockedUntil);
+  return lockedUntil;
+};
+
+// A handler that runs until the test lets it finish
+const controllableHandler = () => {
+  let finish;
+  const handler = mock.fn(() => new Promise((resolve) => {
+    finish = resolve;
+  }));
+  return { handler, finish: () => finish() };
+};
+
+describe('JobQueueService lock heartbeat', () => {
+  beforeEach(() => {
+    store.clear();
+    active.clear();
+    queued.clear();
+    mock.timers.enable({ apis: ['setInterval', 'Date'], now: 1_000_000 });
+    for (const method of ['log', 'warn', 'error']) {
+      mock.method(console, method, () => {});
+    }
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  it('keeps extending the lock while a handler runs past the lock timeout', async () => {
+    const { handler, finish } = controllableHandler();
+    JobQueueService.register('test.long', handler);
+    const lockedUntil = claim('test.long');
+
+    const running = JobQueueService.processJob('job-1', lockedUntil);
+    await flush();
+
+    for (let elapsed = 0; elapsed < DEFAULT_LOCK_MS * 3; elapsed += DEFAULT_LOCK_MS / 3) {
+      mock.timers.tick(DEFAULT_LOCK_MS / 3);
+      await flush();
+      assert.ok(active.get('job-1') > Date.now(), 'lock expired while the handler was running');
+    }
+
+    finish();
+    await running;
+
+    assert.equal(active.has('job-1'), false);
+    assert.ok(JSON.parse(store.get('jobqueue:job:job-1')).completedAt);
+  });
+
+  it("takes the handler's own lock timeout as soon as the job starts", async () => {
+    const { handler, finish } = controllableHandler();
+    JobQueueService.register('test.bulk', handler, { lockTimeoutMs: DEFAULT_LOCK_MS * 3 });
+    const lockedUntil = claim('test.bulk');
+
+    const running = JobQueueService.processJob('job-1', lockedUntil);
+    await flush();
+
+    assert.equal(active.get('job-1'), Date.now() + DEFAULT_LOCK_MS * 3);
+
+    finish();
+    await running;
+  });
+
+  it('stops renewing once the handler has finished', async () => {
+    const { handler, finish } = controllableHandler();
+    JobQueueService.register('test.short', handler);
+    const lockedUntil = claim('test.short');
+
+    const running = JobQueueService.processJob('job-1', lockedUntil);
+    await flush();
+    finish();
+    await running;
+
+    mock.timers.tick(DEFAULT_LOCK_MS);
+    await flush();
+
+    assert.equal(active.has('job-1'), false);
+    assert.equal(console.warn.mock.callCount(), 0);
+  });
+
+  it('leaves a lock alone once another worker has reclaimed the job', async () => {
+    const { handler, finish } = controllableHandler();
+    JobQueueService.register('test.reclaimed', handler);
+    const lockedUntil = claim('test.reclaimed');
+
+    const running = JobQueueService.processJob('job-1', lockedUntil);
+    await flush();
+
+    // Another worker requeued and claimed the job after a missed heartbeat
+    const otherLock = Date.now() + 5;
+    active.set('job-1', otherLock);
+    mock.timers.tick(DEFAULT_LOCK_MS / 3);
+    await flush();
+
+    assert.equal(active.get('job-1'), otherLock);
+    assert.match(console.warn.mock.calls[0].arguments[0], /lost its lock/);
+
+    finish();
+    await running;
+  });
+
+  it('drops the result of a job another worker has reclaimed', async () => {
+    const { handler, finish } = controllableHandler();
+    JobQueueService.register('test.reclaimed-complete', handler);
+    const lockedUntil = claim('test.reclaimed-complete');
+    const running = JobQueueService.processJob('job-1', lockedUntil);
+    await flush();
+    const claimedByOther = store.get('jobqueue:job:job-1');
+
+    // Another worker claimed the job after a missed heartbeat
+    const otherLock = Date.now() + DEFAULT_LOCK_MS + 5;
+    active.set('job-1', otherLock);
+    finish();
+    await running;
+
+    assert.equal(active.get('job-1'), otherLock);
+    assert.equal(store.get('jobqueue:job:job-1'), claimedByOther);
+    assert.equal(console.log.mock.calls.some((call) => /completed/.test(call.arguments[0])), false);
+  });
+
+  it('does not schedule a retry for a job another worker has reclaimed', async () => {
+    let fail;
+    JobQueueService.register('test.reclaimed-failure', () => new Promise((resolve, reject) => {
+      fail = reject;
+    }));
+    const lockedUntil = claim('test.reclaimed-failure');
+    const running = JobQueueService.processJob('job-1', lockedUntil);
+    await flush();
+
+    // Another worker claimed the job after a missed heartbeat
+    const otherLock = Date.now() + DEFAULT_LOCK_MS + 5;
+    active.set('job-1', otherLock);
+    fail(new Error('upstream timeout'));
+    await running;
+
+    assert.equal(active.get('job-1'), otherLock);
+    assert.equal(queued.size, 0);
+    assert.equal(JSON.parse(store.get('jobqueue:job:job-1')).lastError, undefined);
+  });
+
+  it('schedules a retry with the lock it renewed', async () => {
+    let fail;
+    JobQueueService.register('test.retry', () => new Promise((resolve, reject) => {
+      fail = reject;
+    }));
+    const lockedUntil = claim('test.retry');
+    const running = JobQueueService.processJob('job-1', lockedUntil);
+    await flush();
+    mock.timers.tick(DEFAULT_LOCK_MS / 3);
+    await flush();
+
+    fail(new Error('upstream timeout'));
+    await running;
+
+    assert.equal(active.has('job-1'), false);
+    assert.deepEqual(queued.get('job-1'), { queueKey: 'jobqueue:delayed', score: Date.now() + 1000 });
+    assert.equal(JSON.parse(store.get('jobqueue:job:job-1')).lastError, 'upstream timeout');
+  });
+});
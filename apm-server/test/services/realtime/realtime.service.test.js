@@ -0,0 +1,207 @@
+// test/services/realtime/realtime.service.test.js
+// Streams only carry topics the user may see, and only events meant for their organization and role
+
+const { EventEmitter } = require('events');
+const jwt = require('jsonwebtoken');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load } = require('../../helpers/modules');
+const { createPrismaStub } = require('../../helpers/prisma');
+const { createRedisStub } = require('../../helpers/redis');
+
+const db = {
+  users: new Map(),
+  tickets: new Map([['ticket-1', { userId: 'member-a', organizationId: 'org-a' }]]),
+  polls: new Map([['poll-1', { organizationId: 'org-a' }]]),
+  events: new Map([['event-1', { organizationId: 'org-a' }]]),
+};
+
+const byId = (table) => ({ findUnique: async ({ where }) => db[table].get(where.id) || null });
+
+const prisma = createPrismaStub({
+  user: byId('users'),
+  ticket: byId('tickets'),
+  poll: byId('polls'),
+  event: byId('events'),
+});
+
+const redisStub = createRedisStub();
+stubModule('config/redis', redisStub);
+stubModule('config/database', { prisma });
+
+const config = load('config');
+const SessionService = load('services/auth/session.service');
+const { RealtimeService, REALTIME_EVENTS } = load('services/realtime/realtime.service');
+
+const user = (id, overrides = {}) => ({ id, role: 'USER', isAdmin: false, organizationId: 'org-a', ...overrides });
+
+const member = user('member-a');
+const otherMember = user('member-b');
+const admin = user('admin-a', { role: 'SUPER_ADMIN', isAdmin: true });
+const foreignAdmin = user('admin-b', { role: 'SUPER_ADMIN', isAdmin: true, organizationId: 'org-b' });
+
+// Just enough of an Express request/response pair for an event stream
+const openStream = (streamUser, granted = []) => {
+  const req = new EventEmitter();
+  const res = {
+    chunks: [],
+    status() {
+      return this;
+    },
+    set() {
+      return this;
+    },
+    flushHeaders() {},
+    write(chunk) {
+      this.chunks.push(chunk);
+    },
+    end() {
+      this.ended = true;
+    },
+  };
+  RealtimeService.open(req, res, streamUser, { granted });
+  return { req, res, events: () => res.chunks.filter((chunk) => chunk.includes('event: ') && !chunk.includes(`event: ${REALTIME_EVENTS.READY}`)) };
+};
+
+describe('RealtimeService', () => {
+  beforeEach(() => {
+    mock.restoreAll();
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(async () => {
+    await RealtimeService.stop();
+  });
+
+  describe('authorizeTopics', () => {
+    const check = async (topicUser, topics) => RealtimeService.authorizeTopics(topicUser, topics);
+
+    it("lets a ticket's owner and their organization's admins follow it", async () => {
+      assert.deepEqual((await check(member, 'ticket:ticket-1')).granted, ['ticket:ticket-1']);
+      assert.deepEqual((await check(admin, 'ticket:ticket-1')).granted, ['ticket:ticket-1']);
+      assert.deepEqual((await check(otherMember, 'ticket:ticket-1')).denied, ['ticket:ticket-1']);
+      assert.deepEqual((await check(foreignAdmin, 'ticket:ticket-1')).denied, ['ticket:ticket-1']);
+    });
+
+    it('keeps poll results within the organization', async () => {
+      assert.deepEqual((await check(otherMember, 'poll:poll-1')).granted, ['poll:poll-1']);
+      assert.deepEqual((await check(user('member-c', { organizationId: 'org-b' }), 'poll:poll-1')).denied, ['poll:poll-1']);
+    });
+
+    it('shows the live check-in count to admins only', async () => {
+      assert.deepEqual(await check(member, 'checkin:event-1'), { granted: [], denied: ['checkin:event-1'] });
+      assert.deepEqual(await check(admin, 'checkin:event-1'), { granted: ['checkin:event-1'], denied: [] });
+      assert.deepEqual(await check(foreignAdmin, 'checkin:event-1'), { granted: [], denied: ['checkin:event-1'] });
+    });
+
+    it("denies missing ids, malformed topics and other users' topics", async () => {
+      assert.deepEqual(await check(admin, ' poll:missing, user:member-b,ticket:../x, poll:poll-1 ,poll:poll-1'), {
+        granted: ['poll:poll-1'],
+        denied: ['poll:missing', 'user:member-b', 'ticket:../x'],
+      });
+    });
+
+    it('limits the topics per stream', async () => {
+      const topics = Array.from({ length: config.realtime.maxTopicsPerConnection + 1 }, (_, index) => `poll:poll-${index}`).join(',');
+
+      await assert.rejects(check(member, topics), { statusCode: 400, code: 'REALTIME_TOO_MANY_TOPICS' });
+    });
+  });
+
+  describe('authenticate', () => {
+    beforeEach(() => {
+      db.users.set('member-a', { id: 'member-a', fullName: 'Asha', role: 'SUPER_ADMIN', isActive: true, organizationId: 'org-a' });
+      mock.method(SessionService, 'isSessionActive', async (sessionId) => sessionId === 'session-live');
+    });
+
+    it('accepts a stream ticket for a signed-in session', async () => {
+      const { ticket } = RealtimeService.issueTicket({ id: 'member-a', sessionId: 'session-live' });
+
+      const authenticated = await RealtimeService.authenticate(ticket);
+
+      assert.equal(authenticated.id, 'member-a');
+      assert.equal(authenticated.isAdmin, true);
+    });
+
+    it('refuses a ticket once its session is signed out', async () => {
+      const { ticket } = RealtimeService.issueTicket({ id: 'member-a', sessionId: 'session-ended' });
+
+      await assert.rejects(RealtimeService.authenticate(ticket), { statusCode: 401, code: 'SESSION_REVOKED' });
+    });
+
+    it('refuses an access token in place of a stream ticket', async () => {
+      const accessToken = jwt.sign({ userId: 'member-a', type: 'access' }, config.jwt.secret);
+
+      await assert.rejects(RealtimeService.authenticate(accessToken), { code: 'REALTIME_TICKET_INVALID' });
+      await assert.rejects(RealtimeService.authenticate('not-a-token'), { code: 'REALTIME_TICKET_INVALID' });
+    });
+
+    it('refuses a deactivated account', async () => {
+      db.users.get('member-a').isActive = false;
+      const { ticket } = RealtimeService.issueTicket({ id: 'member-a' });
+
+      await assert.rejects(RealtimeService.authenticate(ticket), { statusCode: 403, code: 'REALTIME_USER_INACTIVE' });
+    });
+  });
+
+  describe('delivery', () => {
+    beforeEach(() => {
+      // Publishing without Redis delivers on this instance
+      mock.method(redisStub.redis, 'publish', async () => {
+        throw new Error('Connection is closed');
+      });
+    });
+
+    it("subscribes every stream to its user's own topic", async () => {
+      const stream = openStream(member);
+      const other = openStream(otherMember);
+
+      await RealtimeService.publish(RealtimeService.userTopic('member-a'), REALTIME_EVENTS.NOTIFICATION_CREATED, { id: 'n-1' });
+
+      assert.equal(stream.events().length, 1);
+      assert.match(stream.events()[0], /event: notification\.created\ndata: \{"id":"n-1"\}\n\n$/);
+      assert.deepEqual(other.events(), []);
+    });
+
+    it('holds back admin-only events and events for another organization', async () => {
+      const topic = RealtimeService.ticketTopic('ticket-1');
+      const owner = openStream(member, [topic]);
+      const staff = openStream(admin, [topic]);
+      const foreign = openStream(foreignAdmin, [topic]);
+
+      await RealtimeService.publish(topic, REALTIME_EVENTS.TICKET_TYPING, { typing: true }, { adminsOnly: true, organizationId: 'org-a' });
+
+      assert.equal(owner.events().length, 0);
+      assert.equal(staff.events().length, 1);
+      assert.equal(foreign.events().length, 0);
+    });
+
+    it("doesn't echo an event back to the user who caused it", async () => {
+      const topic = RealtimeService.ticketTopic('ticket-1');
+      const owner = openStream(member, [topic]);
+      const staff = openStream(admin, [topic]);
+
+      await RealtimeService.publish(topic, REALTIME_EVENTS.TICKET_MESSAGE, { body: 'Hi' }, { excludeUserId: 'admin-a' });
+
+      assert.equal(owner.events().length, 1);
+      assert.equal(staff.events().length, 0);
+    });
+
+    it('stops writing to a stream once the client disconnects', async () => {
+      const stream = openStream(member);
+      stream.req.emit('close');
+
+      await RealtimeService.publish(RealtimeService.userTopic('member-a'), REALTIME_EVENTS.NOTIFICATION_READ, {});
+
+      assert.deepEqual(stream.events(), []);
+    });
+
+    it('limits open streams per account', () => {
+      for (let index = 0; index < config.realtime.maxConnectionsPerUser; index++) {
+        openStream(member);
+      }
+
+      assert.throws(() => openStream(member), { statusCode: 429, code: 'REALTIME_TOO_MANY_STREAMS' });
+    });
+  });
+});
@@ -0,0 +1,73 @@
+// test/services/storage/cloudflare-r2.service.test.js
+// Deleting by stored URL only ever removes a key under one of the drivers' public URLs
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load } = require('../../helpers/modules');
+const { createPrismaStub } = require('../../helpers/prisma');
+
+stubModule('config/database', { prisma: createPrismaStub({}) });
+
+const { CloudflareR2Service } = load('services/cloudflare-r2.service');
+const { R2StorageDriver, LocalStorageDriver } = load('services/storage');
+
+describe('CloudflareR2Service.deleteFileByUrl', () => {
+  let storage;
+  let deleted;
+
+  beforeEach(() => {
+    mock.restoreAll();
+    mock.method(console, 'error', () => {});
+    deleted = [];
+
+    storage = new CloudflareR2Service();
+    storage.drivers.set('R2', new R2StorageDriver({ publicUrl: 'https://files.example.org/uploads/' }));
+    storage.drivers.set('LOCAL', new LocalStorageDriver({
+      rootDir: '/nonexistent/storage',
+      publicUrl: 'https://api.example.org/api/storage/files',
+      signingSecret: 'local-signing-secret',
+    }));
+    for (const driver of storage.drivers.values()) {
+      mock.method(driver, 'delete', async (key) => {
+        deleted.push([driver.name, key]);
+      });
+    }
+  });
+
+  it('deletes the R2 key under the public URL', async () => {
+    const result = await storage.deleteFileByUrl('https://files.example.org/uploads/tenants/a/logos/logo.png');
+
+    assert.equal(result.key, 'tenants/a/logos/logo.png');
+    assert.deepEqual(deleted, [['R2', 'tenants/a/logos/logo.png']]);
+  });
+
+  it('deletes a signed local URL by its key, without the query', async () => {
+    const url = await storage.getDriver('LOCAL').getSignedUrl('tenants/a/bylaws/by laws.pdf');
+
+    await storage.deleteFileByUrl(url);
+
+    assert.match(url, /\?expires=\d+&signature=/);
+    assert.deepEqual(deleted, [['LOCAL', 'tenants/a/bylaws/by laws.pdf']]);
+  });
+
+  it('decodes an encoded key', async () => {
+    await storage.deleteFileByUrl('https://files.example.org/uploads/tenants/a/certificates/r%C3%A9sum%C3%A9%231.pdf');
+
+    assert.deepEqual(deleted, [['R2', 'tenants/a/certificates/résumé#1.pdf']]);
+  });
+
+  for (const [label, url] of [
+    ['a look-alike host', 'https://files.example.org.evil.test/uploads/tenants/a/logo.png'],
+    ['credentials posing as the host', 'https://files.example.org@evil.test/uploads/tenants/a/logo.png'],
+    ['a sibling path', 'https://files.example.org/uploads-private/tenants/a/logo.png'],
+    ['another scheme', 'http://files.example.org/uploads/tenants/a/logo.png'],
+    ['the public URL itself', 'https://files.example.org/uploads/'],
+    ['a malformed encoding', 'https://files.example.org/uploads/tenants/a/%E0%A4%A.png'],
+    ['a relative path', '/api/storage/files/tenants/a/logo.png'],
+  ]) {
+    it(`refuses ${label}`, async () => {
+      await assert.rejects(storage.deleteFileByUrl(url), /Failed to delete file: Invalid file URL/);
+      assert.deepEqual(deleted, []);
+    });
+  }
+});
@@ -0,0 +1,291 @@
+// test/services/ticket/ticketInboundEmail.service.test.js
+// An emailed reply only becomes a ticket message when it comes to a reply address
+// signed for its sender, from that sender, on a ticket they take part in
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { stubModule, load } = require('../../helpers/modules');
+const { createPrismaStub } = require('../../helpers/prisma');
+const { createRedisStub } = require('../../helpers/redis');
+
+const db = { tickets: new Map(), users: new Map(), messages: [] };
+
+const prisma = createPrismaStub({
+  ticket: {
+    findUnique: async ({ where }) => db.tickets.get(where.id) || null,
+  },
+  user: {
+    findUnique: async ({ where }) => db.users.get(where.id) || null,
+  },
+  ticketMessage: {
+    findUnique: async ({ where }) => db.messages.find((message) => message.emailMessageId === where.emailMessageId) || null,
+  },
+  ticketMessageAttachment: {
+    findMany: async () => [],
+  },
+});
+
+stubModule('config/redis', createRedisStub());
+stubModule('config/database', { prisma });
+
+const config = load('config');
+const TicketInboundEmailService = load('services/ticket/ticketInboundEmail.service');
+const TicketService = load('services/ticket/ticket.service');
+const TicketAuditService = load('services/ticket/ticketAudit.service');
+const TicketNotificationService = load('services/ticket/ticketNotification.service');
+const { receiveInboundEmail } = load('controllers/support/ticketInboundEmail.controller');
+
+// The fixtures' reply addresses are signed for ticket tkt1001 / user usr2002 with this secret
+const SIGNING_SECRET = 'inbound-test-secret';
+const REPLY_ADDRESS = 'reply+tkt1001.usr2002.1b1556fcba00a7814ecc@reply.example.org';
+
+Object.assign(config.inboundEmail, {
+  domain: 'reply.example.org',
+  localPart: 'reply',
+  signingSecret: SIGNING_SECRET,
+  webhookSecret: 'hook-secret',
+});
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, '../../fixtures/inbound-email', name));
+
+const seed = ({ ticket = {}, user = {} } = {}) => {
+  db.tickets.set('tkt1001', { id: 'tkt1001', userId: 'usr2002', status: 'OPEN', organizationId: 'org-a', ...ticket });
+  db.users.set('usr2002', { id: 'usr2002', email: 'Asha.Menon@example.com', role: 'USER', isActive: true, ...user });
+};
+
+const postedMessages = () => TicketService.addMessage.mock.calls.map((call) => call.arguments);
+
+describe('TicketInboundEmailService', () => {
+  beforeEach(() => {
+    db.tickets.clear();
+    db.users.clear();
+    db.messages = [];
+    mock.restoreAll();
+    for (const method of ['log', 'error']) {
+      mock.method(console, method, () => {});
+    }
+    mock.method(fs.promises, 'mkdir', async () => {});
+    mock.method(fs.promises, 'writeFile', async () => {});
+    mock.method(fs.promises, 'unlink', async () => {});
+    mock.method(TicketService, 'addMessage', async (ticketId, userId, message, attachments, options) => {
+      const created = { id: `msg-${db.messages.length + 1}`, ticketId, isFromAdmin: false, ...options };
+      db.messages.push(created);
+      return created;
+    });
+    mock.method(TicketAuditService, 'logAction', async () => {});
+    mock.method(TicketNotificationService, 'handleTicketLifecycleEvent', async () => {});
+  });
+
+  describe('reply addresses', () => {
+    it('builds the address the fixtures were sent to', () => {
+      assert.equal(TicketInboundEmailService.buildReplyAddress('tkt1001', 'usr2002'), REPLY_ADDRESS);
+      assert.deepEqual(TicketInboundEmailService.parseReplyAddress(REPLY_ADDRESS.toUpperCase()), {
+        ticketId: 'tkt1001',
+        userId: 'usr2002',
+      });
+    });
+
+    it('rejects a signature for another ticket, user or domain', () => {
+      const [, signature] = REPLY_ADDRESS.match(/\.([a-f0-9]+)@/);
+
+      assert.equal(TicketInboundEmailService.parseReplyAddress(`reply+tkt1002.usr2002.${signature}@reply.example.org`), null);
+      assert.equal(TicketInboundEmailService.parseReplyAddress(`reply+tkt1001.usr2003.${signature}@reply.example.org`), null);
+      assert.equal(TicketInboundEmailService.parseReplyAddress(REPLY_ADDRESS.replace('reply.example.org', 'example.org')), null);
+      assert.equal(TicketInboundEmailService.parseReplyAddress(REPLY_ADDRESS.replace('1b1556', '1b15')), null);
+    });
+
+    it('stops honouring addresses once the signing secret is rotated', () => {
+      config.inboundEmail.signingSecret = 'rotated-secret';
+      try {
+        assert.equal(TicketInboundEmailService.parseReplyAddress(REPLY_ADDRESS), null);
+      } finally {
+        config.inboundEmail.signingSecret = SIGNING_SECRET;
+      }
+    });
+  });
+
+  describe('processInboundEmail', () => {
+    it('posts only the typed part of a quoted-printable reply', async () => {
+      seed();
+
+      const result = await TicketInboundEmailService.processInboundEmail(fixture('quoted-printable-reply.eml'));
+
+      assert.equal(result.status, 'posted');
+      assert.deepEqual(postedMessages(), [[
+        'tkt1001',
+        'usr2002',
+        'Café booking is fine now, this line is long enough that the client wrapped it with a soft line break.',
+        [],
+        { emailMessageId: 'CAqp-1001@mail.example.com' },
+      ]]);
+      assert.equal(TicketAuditService.logAction.mock.calls[0].arguments[3].source, 'EMAIL');
+      assert.deepEqual(TicketNotificationService.handleTicketLifecycleEvent.mock.calls[0].arguments, [
+        'USER_REPLY',
+        'tkt1001',
+        { messageId: 'msg-1' },
+      ]);
+    });
+
+    it('keeps attached images, and skips signature logos and other file types', async () => {
+      seed();
+
+      const result = await TicketInboundEmailService.processInboundEmail(fixture('base64-attachments-reply.eml'));
+
+      assert.equal(result.status, 'posted');
+      assert.equal(result.attachments, 1);
+      assert.deepEqual(result.skippedAttachments, [{ filename: 'receipt.pdf', reason: 'type' }]);
+
+      const [, , text, saved] = postedMessages()[0];
+      assert.equal(text, 'Thanks, the refund reached my account today.\n\nAsha');
+      assert.equal(saved[0].originalName, 'bank statement.png');
+      assert.equal(saved[0].mimeType, 'image/png');
+      assert.match(saved[0].filename, /^bank_statement_\d+-\d+\.png$/);
+      assert.equal(fs.promises.writeFile.mock.calls[0].arguments[1].length, 70);
+    });
+
+    it('ignores a reply address with a forged signature', async () => {
+      seed();
+
+      const result = await TicketInboundEmailService.processInboundEmail(fixture('forged-reply-address.eml'));
+
+      assert.deepEqual(result, { status: 'ignored', reason: 'NO_VALID_REPLY_ADDRESS' });
+      assert.equal(TicketService.addMessage.mock.callCount(), 0);
+    });
+
+    it('ignores a genuine address used by someone other than its recipient', async () => {
+      seed({ user: { email: 'ravi@example.com' } });
+
+      const result = await TicketInboundEmailService.processInboundEmail(fixture('quoted-printable-reply.eml'));
+
+      assert.deepEqual(result, { status: 'ignored', reason: 'SENDER_MISMATCH' });
+    });
+
+    it('ignores replies to closed tickets and from deactivated users', async () => {
+      seed({ ticket: { status: 'CLOSED' } });
+      assert.equal((await TicketInboundEmailService.processInboundEmail(fixture('quoted-printable-reply.eml'))).reason, 'TICKET_CLOSED');
+
+      seed({ user: { isActive: false } });
+      assert.equal((await TicketInboundEmailService.processInboundEmail(fixture('quoted-printable-reply.eml'))).reason, 'USER_INACTIVE');
+
+      assert.equal(TicketService.addMessage.mock.callCount(), 0);
+    });
+
+    it('never posts an auto-reply', async () => {
+      seed();
+
+      const result = await TicketInboundEmailService.processInboundEmail(fixture('auto-reply.eml'));
+
+      assert.deepEqual(result, { status: 'ignored', reason: 'AUTO_REPLY' });
+    });
+
+    it('posts a redelivered email once', async () => {
+      seed();
+
+      await TicketInboundEmailService.processInboundEmail(fixture('quoted-printable-reply.eml'));
+      const again = await TicketInboundEmailService.processInboundEmail(fixture('quoted-printable-reply.eml'));
+
+      assert.deepEqual(again, { status: 'duplicate', ticketId: 'tkt1001', messageId: 'msg-1' });
+      assert.equal(TicketService.addMessage.mock.callCount(), 1);
+    });
+
+    it('removes saved files when a racing delivery wins the message', async () => {
+      seed();
+      TicketService.addMessage.mock.mockImplementation(async () => {
+        throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+      });
+
+      const result = await TicketInboundEmailService.processInboundEmail(fixture('base64-attachments-reply.eml'));
+
+      assert.deepEqual(result, { status: 'duplicate', ticketId: 'tkt1001' });
+      assert.equal(fs.promises.unlink.mock.callCount(), 1);
+    });
+  });
+});
+
+describe('receiveInboundEmail', () => {
+  const createRes = () => ({
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  });
+
+  const createReq = ({ headers = {}, query = {}, body }) => ({
+    headers,
+    query,
+    body,
+    get: (name) => headers[name.toLowerCase()],
+  });
+
+  beforeEach(() => {
+    mock.restoreAll();
+    mock.method(console, 'error', () => {});
+    mock.method(TicketInboundEmailService, 'processInboundEmail', async () => ({ status: 'posted', ticketId: 'tkt1001' }));
+  });
+
+  it('passes a raw MIME body through to the service', async () => {
+    const res = createRes();
+    const raw = fixture('quoted-printable-reply.eml');
+
+    await receiveInboundEmail(createReq({ headers: { 'x-inbound-email-secret': 'hook-secret' }, body: raw }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.message, 'Reply added to ticket');
+    assert.equal(TicketInboundEmailService.processInboundEmail.mock.calls[0].arguments[0], raw);
+  });
+
+  it('reads raw MIME from a provider form field', async () => {
+    const res = createRes();
+    const raw = fixture('base64-attachments-reply.eml').toString();
+
+    await receiveInboundEmail(createReq({ query: { secret: 'hook-secret' }, body: { 'body-mime': raw } }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(TicketInboundEmailService.processInboundEmail.mock.calls[0].arguments[0].toString(), raw);
+  });
+
+  it('rejects a wrong or missing webhook secret', async () => {
+    for (const req of [
+      createReq({ headers: { 'x-inbound-email-secret': 'hook-secrex' }, body: fixture('auto-reply.eml') }),
+      createReq({ body: fixture('auto-reply.eml') }),
+    ]) {
+      const res = createRes();
+      await receiveInboundEmail(req, res);
+      assert.equal(res.statusCode, 401);
+    }
+
+    assert.equal(TicketInboundEmailService.processInboundEmail.mock.callCount(), 0);
+  });
+
+  it('acknowledges mail it will not post so the provider stops retrying', async () => {
+    TicketInboundEmailService.processInboundEmail.mock.mockImplementation(async () => ({
+      status: 'ignored',
+      reason: 'NO_VALID_REPLY_ADDRESS',
+    }));
+    const res = createRes();
+
+    await receiveInboundEmail(
+      createReq({ headers: { 'x-inbound-email-secret': 'hook-secret' }, body: fixture('forged-reply-address.eml') }),
+      res
+    );
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.message, 'Email not posted');
+  });
+
+  it('refuses an empty body', async () => {
+    const res = createRes();
+
+    await receiveInboundEmail(createReq({ headers: { 'x-inbound-email-secret': 'hook-secret' }, body: Buffer.alloc(0) }), res);
+
+    assert.equal(res.statusCode, 400);
+  });
+});
@@ -0,0 +1,232 @@
+// test/services/ticket/ticketSla.service.test.js
+// SLA policy matching, breach timers and one-time escalation of tickets that missed a target
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load } = require('../../helpers/modules');
+const { createPrismaStub } = require('../../helpers/prisma');
+const { createRedisStub } = require('../../helpers/redis');
+
+const db = { policies: [], tickets: new Map() };
+
+// Let the other checker run interleave between queries if nothing holds it back
+const yieldTurn = () => new Promise((resolve) => setImmediate(resolve));
+
+const prisma = createPrismaStub({
+  ticketSlaPolicy: {
+    // Just the where shape findPolicy uses: organization, active, category or catch-all, priority or catch-all
+    findMany: async ({ where }) => db.policies.filter((policy) => policy.organizationId === where.organizationId
+      && policy.isActive === where.isActive
+      && [where.OR[0].categoryId, null].includes(policy.categoryId)
+      && [where.AND[0].OR[0].priority, null].includes(policy.priority)),
+  },
+  ticket: {
+    findUnique: async ({ where }) => {
+      await yieldTurn();
+      const ticket = db.tickets.get(where.id);
+      return ticket && { ...ticket, slaPolicy: db.policies.find((policy) => policy.id === ticket.slaPolicyId) || null };
+    },
+    updateMany: async ({ where, data }) => {
+      await yieldTurn();
+      const ticket = db.tickets.get(where.id);
+      const breachField = Object.keys(where).find((key) => key !== 'id');
+      if (!ticket || ticket[breachField] !== null) return { count: 0 };
+      const { escalationLevel, ...rest } = data;
+      Object.assign(ticket, rest, { escalationLevel: ticket.escalationLevel + escalationLevel.increment });
+      return { count: 1 };
+    },
+  },
+});
+
+stubModule('config/redis', createRedisStub());
+stubModule('config/database', { prisma });
+
+const TicketSlaService = load('services/ticket/ticketSla.service');
+const TicketAuditService = load('services/ticket/ticketAudit.service');
+const TicketNotificationService = load('services/ticket/ticketNotification.service');
+const { BREACH_TYPES } = TicketSlaService;
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2026-10-19T12:00:00.000Z');
+
+const policy = (overrides = {}) => ({
+  id: 'policy-catch-all',
+  organizationId: 'org-a',
+  categoryId: null,
+  priority: null,
+  firstResponseMinutes: 60,
+  resolutionMinutes: 24 * 60,
+  isActive: true,
+  bumpPriority: false,
+  escalateTo: null,
+  ...overrides,
+});
+
+describe('TicketSlaService', () => {
+  describe('findPolicy', () => {
+    beforeEach(() => {
+      db.policies = [
+        policy(),
+        policy({ id: 'policy-urgent', priority: 'URGENT' }),
+        policy({ id: 'policy-billing', categoryId: 'cat-billing' }),
+        policy({ id: 'policy-billing-urgent', categoryId: 'cat-billing', priority: 'URGENT' }),
+        policy({ id: 'policy-other-org', organizationId: 'org-b', categoryId: 'cat-billing', priority: 'URGENT' }),
+      ];
+    });
+
+    const find = (categoryId, priority) =>
+      TicketSlaService.findPolicy(prisma, { organizationId: 'org-a', categoryId, priority }).then((found) => found?.id);
+
+    it('prefers category and priority, then category, then priority, then the catch-all', async () => {
+      assert.equal(await find('cat-billing', 'URGENT'), 'policy-billing-urgent');
+      assert.equal(await find('cat-billing', 'LOW'), 'policy-billing');
+      assert.equal(await find('cat-events', 'URGENT'), 'policy-urgent');
+      assert.equal(await find('cat-events', 'LOW'), 'policy-catch-all');
+    });
+
+    it('ignores inactive policies', async () => {
+      db.policies = [policy({ isActive: false })];
+
+      assert.equal(await find('cat-events', 'LOW'), undefined);
+    });
+  });
+
+  describe('getSlaStatus', () => {
+    const createdAt = new Date(NOW.getTime() - 2 * HOUR);
+    const ticket = (overrides = {}) => ({
+      slaPolicyId: 'policy-catch-all',
+      status: 'OPEN',
+      createdAt,
+      ...TicketSlaService.computeDueDates(policy(), createdAt),
+      firstRespondedAt: null,
+      firstResponseBreachedAt: null,
+      resolvedAt: null,
+      resolutionBreachedAt: null,
+      escalationLevel: 0,
+      escalatedAt: null,
+      ...overrides,
+    });
+
+    it('counts due dates from when the ticket was created', () => {
+      const { firstResponseDueAt, resolutionDueAt } = ticket();
+
+      assert.equal(firstResponseDueAt.toISOString(), '2026-10-19T11:00:00.000Z');
+      assert.equal(resolutionDueAt.toISOString(), '2026-10-20T10:00:00.000Z');
+    });
+
+    it('reports an overdue first response as breached before the checker marks it', () => {
+      const sla = TicketSlaService.getSlaStatus(ticket(), NOW);
+
+      assert.equal(sla.firstResponse.state, 'BREACHED');
+      assert.equal(sla.firstResponse.remainingMinutes, -60);
+      assert.equal(sla.resolution.state, 'PENDING');
+      assert.equal(sla.resolution.remainingMinutes, 22 * 60);
+    });
+
+    it('reports targets met in time', () => {
+      const sla = TicketSlaService.getSlaStatus(ticket({
+        status: 'RESOLVED',
+        firstRespondedAt: new Date(createdAt.getTime() + 30 * 60 * 1000),
+        resolvedAt: new Date(NOW.getTime() - HOUR),
+      }), NOW);
+
+      assert.equal(sla.firstResponse.state, 'MET');
+      assert.equal(sla.resolution.state, 'MET');
+      assert.equal(sla.resolution.remainingMinutes, null);
+    });
+
+    it('keeps a resolution breach once recorded, even if resolved later', () => {
+      const sla = TicketSlaService.getSlaStatus(ticket({
+        status: 'CLOSED',
+        resolvedAt: new Date(NOW.getTime() - HOUR),
+        resolutionBreachedAt: new Date(NOW.getTime() - 3 * HOUR),
+      }), NOW);
+
+      assert.equal(sla.resolution.state, 'BREACHED');
+    });
+
+    it('has no timers for a ticket without a policy', () => {
+      assert.equal(TicketSlaService.getSlaStatus(ticket({ firstResponseDueAt: null, resolutionDueAt: null }), NOW), null);
+    });
+  });
+
+  describe('escalate', () => {
+    beforeEach(() => {
+      mock.restoreAll();
+      mock.method(console, 'log', () => {});
+      mock.method(TicketAuditService, 'logSystemAction', async () => {});
+      mock.method(TicketNotificationService, 'notifySlaBreach', async () => {});
+      db.policies = [policy({
+        bumpPriority: true,
+        escalateTo: { id: 'lead-1', fullName: 'Support Lead', isActive: true },
+      })];
+      db.tickets = new Map([['ticket-1', {
+        id: 'ticket-1',
+        ticketNumber: 'TKT-1001',
+        status: 'OPEN',
+        priority: 'HIGH',
+        slaPolicyId: 'policy-catch-all',
+        assignedToId: 'agent-1',
+        assignedTo: { id: 'agent-1', fullName: 'Agent One' },
+        firstResponseDueAt: new Date(NOW.getTime() - HOUR),
+        resolutionDueAt: new Date(NOW.getTime() + HOUR),
+        firstResponseBreachedAt: null,
+        resolutionBreachedAt: null,
+        escalationLevel: 0,
+      }]]);
+    });
+
+    it('marks the breach, raises the priority and hands the ticket to the escalation admin', async () => {
+      assert.equal(await TicketSlaService.escalate('ticket-1', BREACH_TYPES.FIRST_RESPONSE), true);
+
+      const ticket = db.tickets.get('ticket-1');
+      assert.ok(ticket.firstResponseBreachedAt instanceof Date);
+      assert.equal(ticket.priority, 'URGENT');
+      assert.equal(ticket.assignedToId, 'lead-1');
+      assert.equal(ticket.escalationLevel, 1);
+
+      const [, action, details] = TicketAuditService.logSystemAction.mock.calls[0].arguments;
+      assert.equal(action, 'SLA_ESCALATED');
+      assert.deepEqual(
+        { oldPriority: details.oldPriority, newPriority: details.newPriority, newAssignee: details.newAssignee },
+        { oldPriority: 'HIGH', newPriority: 'URGENT', newAssignee: 'Support Lead' }
+      );
+      assert.equal(TicketNotificationService.notifySlaBreach.mock.calls[0].arguments[1].previousAssigneeId, 'agent-1');
+    });
+
+    it('escalates a breach once when two checker runs race', async () => {
+      const results = await Promise.all([
+        TicketSlaService.escalate('ticket-1', BREACH_TYPES.FIRST_RESPONSE),
+        TicketSlaService.escalate('ticket-1', BREACH_TYPES.FIRST_RESPONSE),
+      ]);
+
+      assert.deepEqual(results.sort(), [false, true]);
+      assert.equal(db.tickets.get('ticket-1').escalationLevel, 1);
+      assert.equal(TicketNotificationService.notifySlaBreach.mock.callCount(), 1);
+    });
+
+    it('leaves closed tickets alone', async () => {
+      db.tickets.get('ticket-1').status = 'RESOLVED';
+
+      assert.equal(await TicketSlaService.escalate('ticket-1', BREACH_TYPES.RESOLUTION), false);
+      assert.equal(db.tickets.get('ticket-1').resolutionBreachedAt, null);
+    });
+
+    it('does not raise the priority past urgent', async () => {
+      db.tickets.get('ticket-1').priority = 'URGENT';
+
+      await TicketSlaService.escalate('ticket-1', BREACH_TYPES.RESOLUTION);
+
+      assert.equal(db.tickets.get('ticket-1').priority, 'URGENT');
+    });
+  });
+
+  describe('assertPolicyTargets', () => {
+    it('refuses a resolution target shorter than the first response target', async () => {
+      await assert.rejects(
+        TicketSlaService.assertPolicyTargets({ firstResponseMinutes: 120, resolutionMinutes: 60 }),
+        (error) => error.statusCode === 400 && /cannot be shorter/.test(error.message)
+      );
+    });
+  });
+});
@@ -0,0 +1,48 @@
+// test/utils/currency.util.test.js
+// Provider amounts are exact integers of the currency's minor unit, whatever floating point does
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('../helpers/modules');
+
+const {
+  isSupportedCurrency,
+  roundAmount,
+  toMinorUnits,
+  fromMinorUnits,
+  formatMoney,
+} = load('utils/currency.util');
+
+describe('currency.util', () => {
+  it('converts to minor units without floating point drift', () => {
+    // 19.99 * 100 is 1998.9999999999998 in floating point
+    assert.equal(toMinorUnits(19.99, 'USD'), 1999);
+    assert.equal(toMinorUnits('1150.10', 'INR'), 115010);
+    assert.equal(toMinorUnits(0.29, 'EUR'), 29);
+  });
+
+  it('converts minor units back to major units', () => {
+    assert.equal(fromMinorUnits(1999, 'usd'), 19.99);
+    assert.equal(fromMinorUnits(250000, 'INR'), 2500);
+  });
+
+  it('rounds to the smallest unit of the currency', () => {
+    assert.equal(roundAmount(10.005, 'GBP'), 10.01);
+    assert.equal(roundAmount(10.004, 'GBP'), 10);
+  });
+
+  it('formats amounts the way the currency is written', () => {
+    assert.equal(formatMoney(150000, 'INR'), '₹1,50,000.00');
+    assert.equal(formatMoney('25', 'USD'), '$25.00');
+  });
+
+  it('knows which currencies are supported, in any case', () => {
+    assert.equal(isSupportedCurrency('aed'), true);
+    assert.equal(isSupportedCurrency('JPY'), false);
+    assert.equal(isSupportedCurrency(null), false);
+  });
+
+  it('refuses to convert an unsupported currency', () => {
+    assert.throws(() => toMinorUnits(10, 'JPY'), /Currency JPY not supported/);
+  });
+});
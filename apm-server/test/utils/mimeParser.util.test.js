@@ -0,0 +1,143 @@
+// test/utils/mimeParser.util.test.js
+// Inbound replies are parsed from the raw MIME a mail provider forwards
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { load } = require('../helpers/modules');
+
+const {
+  parseMessage,
+  parseAddressList,
+  parseHeaderParams,
+  decodeEncodedWords,
+  decodeQuotedPrintable,
+} = load('utils/mimeParser.util');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, '../fixtures/inbound-email', name));
+
+describe('parseMessage', () => {
+  it('reads both alternatives of a quoted-printable reply', () => {
+    const email = parseMessage(fixture('quoted-printable-reply.eml'));
+
+    assert.match(email.text, /^Café booking is fine now, this line is long enough that the client wrapped it with a soft line break\.\n/);
+    assert.match(email.html, /^<div dir="ltr">Café booking is fine now<\/div>/);
+    assert.deepEqual(email.attachments, []);
+  });
+
+  it('decodes encoded-word headers and lower-cases addresses', () => {
+    const email = parseMessage(fixture('quoted-printable-reply.eml'));
+
+    assert.equal(email.subject, 'Re: [Ticket #1001] Refund – reunion');
+    assert.deepEqual(email.from, { name: 'Asha Ménon', address: 'asha.menon@example.com' });
+    assert.deepEqual(email.to, [{
+      name: 'Alumni Support',
+      address: 'reply+tkt1001.usr2002.1b1556fcba00a7814ecc@reply.example.org',
+    }]);
+    assert.equal(email.deliveredTo[0].address, email.to[0].address);
+  });
+
+  it('strips angle brackets from message ids and parses the date', () => {
+    const email = parseMessage(fixture('quoted-printable-reply.eml'));
+
+    assert.equal(email.messageId, 'CAqp-1001@mail.example.com');
+    assert.equal(email.inReplyTo, 'ticket-1001@example.org');
+    assert.deepEqual(email.references, ['ticket-1000@example.org', 'ticket-1001@example.org']);
+    assert.equal(email.date.toISOString(), '2026-10-06T04:45:00.000Z');
+  });
+
+  it('walks nested multiparts, decoding base64 bodies and attachments', () => {
+    const email = parseMessage(fixture('base64-attachments-reply.eml'));
+
+    assert.match(email.text, /^Thanks, the refund reached my account today\.\r\n/);
+    assert.equal(email.html, null);
+    assert.deepEqual(
+      email.attachments.map(({ filename, contentType, contentId, inline, size }) => ({ filename, contentType, contentId, inline, size })),
+      [
+        { filename: 'attachment', contentType: 'image/png', contentId: 'logo@mail.example.com', inline: true, size: 70 },
+        { filename: 'bank statement.png', contentType: 'image/png', contentId: null, inline: false, size: 70 },
+        { filename: 'receipt.pdf', contentType: 'application/pdf', contentId: null, inline: false, size: 13 },
+      ]
+    );
+    assert.equal(email.attachments[1].content.subarray(1, 4).toString(), 'PNG');
+    assert.equal(email.attachments[2].content.toString(), '%PDF-1.4 fake');
+  });
+
+  it('reads a single-part message and accepts a string', () => {
+    const email = parseMessage(fixture('forged-reply-address.eml').toString());
+
+    assert.equal(email.text, 'Please close this ticket.\n');
+    assert.deepEqual(email.cc, []);
+    assert.equal(email.inReplyTo, null);
+  });
+
+  it('leaves a forwarded message out of the reply text', () => {
+    const email = parseMessage([
+      'From: asha.menon@example.com',
+      'Content-Type: multipart/mixed; boundary="b"',
+      '',
+      '--b',
+      'Content-Type: text/plain',
+      '',
+      'See below',
+      '--b',
+      'Content-Type: message/rfc822',
+      '',
+      'From: someone@example.com',
+      '',
+      'Forwarded text',
+      '--b--',
+    ].join('\r\n'));
+
+    assert.equal(email.text, 'See below');
+    assert.deepEqual(email.attachments, []);
+  });
+
+  it('stops descending into multiparts nested too deeply', () => {
+    const depth = 12;
+    const lines = ['From: asha.menon@example.com'];
+    for (let level = 0; level < depth; level++) {
+      lines.push(`Content-Type: multipart/mixed; boundary="b${level}x"`, '', `--b${level}x`);
+    }
+    lines.push('Content-Type: text/plain', '', 'Too deep');
+    for (let level = depth - 1; level >= 0; level--) {
+      lines.push(`--b${level}x--`);
+    }
+
+    assert.equal(parseMessage(lines.join('\r\n')).text, null);
+  });
+});
+
+describe('header helpers', () => {
+  it('decodes Q and B encoded words and joins adjacent ones', () => {
+    assert.equal(decodeEncodedWords('=?UTF-8?Q?Caf=C3=A9_menu?='), 'Café menu');
+    assert.equal(decodeEncodedWords('=?utf-8?B?UmU6?= =?utf-8?B?IGhp?='), 'Re: hi');
+    assert.equal(decodeEncodedWords('=?iso-8859-1?Q?r=E9sum=E9?='), 'résumé');
+  });
+
+  it('falls back to UTF-8 for an unknown charset', () => {
+    assert.equal(decodeEncodedWords('=?x-unknown?Q?hello?='), 'hello');
+  });
+
+  it('decodes quoted-printable soft breaks and escapes', () => {
+    assert.equal(decodeQuotedPrintable('a=3Db=\r\nc =C3=A9').toString('utf8'), 'a=bc é');
+    assert.equal(decodeQuotedPrintable('50=').toString('utf8'), '50=');
+  });
+
+  it('reads structured header parameters, including RFC 2231 values', () => {
+    assert.deepEqual(parseHeaderParams('Multipart/Mixed; boundary="abc"; charset=utf-8'), {
+      value: 'multipart/mixed',
+      params: { boundary: 'abc', charset: 'utf-8' },
+    });
+    assert.equal(parseHeaderParams("attachment; filename*=utf-8''r%C3%A9sum%C3%A9.pdf").params.filename, 'résumé.pdf');
+    assert.equal(parseHeaderParams("attachment; filename*=utf-8''100%.pdf").params.filename, '100%.pdf');
+  });
+
+  it('splits address lists without breaking quoted display names', () => {
+    assert.deepEqual(parseAddressList(['"Menon, Asha" <Asha@Example.com>, ravi@example.com', 'not an address']), [
+      { name: 'Menon, Asha', address: 'asha@example.com' },
+      { name: null, address: 'ravi@example.com' },
+    ]);
+  });
+});
@@ -0,0 +1,154 @@
+// test/utils/recurrence.util.test.js
+// Recurrence rules expand to the same dates an RRULE calendar would show
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('../helpers/modules');
+
+const { expandRecurrence, describeRecurrence, nthWeekdayOfMonth } = load('utils/recurrence.util');
+
+const days = (dates) => dates.map((date) => date.toISOString().slice(0, 10));
+
+describe('expandRecurrence', () => {
+  it('repeats weekly on several weekdays, keeping the time of day', () => {
+    // Monday 5 Jan 2026, 18:30 UTC; Mondays and Thursdays
+    const dates = expandRecurrence({
+      frequency: 'WEEKLY',
+      byWeekdays: [4, 1],
+      startDate: '2026-01-05T18:30:00.000Z',
+      occurrenceCount: 4,
+    });
+
+    assert.deepEqual(days(dates), ['2026-01-05', '2026-01-08', '2026-01-12', '2026-01-15']);
+    assert.ok(dates.every((date) => date.getUTCHours() === 18 && date.getUTCMinutes() === 30));
+  });
+
+  it('skips the part of the first week before the start date', () => {
+    // Wednesday start; Mondays and Fridays
+    const dates = expandRecurrence({
+      frequency: 'WEEKLY',
+      byWeekdays: [1, 5],
+      startDate: '2026-01-07T10:00:00.000Z',
+      occurrenceCount: 3,
+    });
+
+    assert.deepEqual(days(dates), ['2026-01-09', '2026-01-12', '2026-01-16']);
+  });
+
+  it('repeats every other week', () => {
+    const dates = expandRecurrence({
+      frequency: 'WEEKLY',
+      interval: 2,
+      startDate: '2026-01-05T10:00:00.000Z',
+      endDate: '2026-02-03T00:00:00.000Z',
+    });
+
+    assert.deepEqual(days(dates), ['2026-01-05', '2026-01-19', '2026-02-02']);
+  });
+
+  it('skips months without the day rather than moving it', () => {
+    const dates = expandRecurrence({
+      frequency: 'MONTHLY',
+      startDate: '2026-01-31T09:00:00.000Z',
+      occurrenceCount: 4,
+    });
+
+    assert.deepEqual(days(dates), ['2026-01-31', '2026-03-31', '2026-05-31', '2026-07-31']);
+  });
+
+  it('takes the last day of every month', () => {
+    const dates = expandRecurrence({
+      frequency: 'MONTHLY',
+      byMonthDay: -1,
+      startDate: '2026-01-15T09:00:00.000Z',
+      occurrenceCount: 3,
+    });
+
+    assert.deepEqual(days(dates), ['2026-01-31', '2026-02-28', '2026-03-31']);
+  });
+
+  it('takes the nth or last weekday of the month', () => {
+    const secondSaturday = expandRecurrence({
+      frequency: 'MONTHLY',
+      weekOfMonth: 2,
+      byWeekdays: [6],
+      startDate: '2026-01-01T17:00:00.000Z',
+      occurrenceCount: 3,
+    });
+    const lastFriday = expandRecurrence({
+      frequency: 'MONTHLY',
+      weekOfMonth: -1,
+      byWeekdays: [5],
+      startDate: '2026-01-01T17:00:00.000Z',
+      occurrenceCount: 2,
+    });
+
+    assert.deepEqual(days(secondSaturday), ['2026-01-10', '2026-02-14', '2026-03-14']);
+    assert.deepEqual(days(lastFriday), ['2026-01-30', '2026-02-27']);
+  });
+
+  it('repeats yearly in a chosen month, crossing the year boundary', () => {
+    const dates = expandRecurrence({
+      frequency: 'YEARLY',
+      byMonth: 12,
+      byMonthDay: 20,
+      startDate: '2026-06-01T12:00:00.000Z',
+      occurrenceCount: 2,
+    });
+
+    assert.deepEqual(days(dates), ['2026-12-20', '2027-12-20']);
+  });
+
+  it('counts excluded dates towards the occurrence count', () => {
+    const dates = expandRecurrence({
+      frequency: 'DAILY',
+      startDate: '2026-03-01T08:00:00.000Z',
+      occurrenceCount: 3,
+      excludedDates: ['2026-03-02T08:00:00.000Z'],
+    });
+
+    assert.deepEqual(days(dates), ['2026-03-01', '2026-03-03']);
+  });
+
+  it('returns only dates inside the requested window', () => {
+    const dates = expandRecurrence(
+      { frequency: 'DAILY', startDate: '2026-03-01T08:00:00.000Z' },
+      { from: new Date('2026-03-10T00:00:00.000Z'), to: new Date('2026-03-12T23:59:59.000Z') }
+    );
+
+    assert.deepEqual(days(dates), ['2026-03-10', '2026-03-11', '2026-03-12']);
+  });
+
+  it('gives up on a rule that never matches', () => {
+    assert.deepEqual(expandRecurrence({
+      frequency: 'YEARLY',
+      byMonth: 2,
+      byMonthDay: 31,
+      startDate: '2026-01-01T00:00:00.000Z',
+    }), []);
+  });
+
+  it('refuses an unknown frequency', () => {
+    assert.throws(() => expandRecurrence({ frequency: 'HOURLY', startDate: '2026-01-01T00:00:00.000Z' }), /Unsupported recurrence frequency/);
+  });
+});
+
+describe('nthWeekdayOfMonth', () => {
+  it('has no fifth Monday in a month with four', () => {
+    // February 2026 starts on a Sunday
+    assert.equal(nthWeekdayOfMonth(2026, 1, 1, 4), 23);
+    assert.equal(nthWeekdayOfMonth(2026, 1, 1, 5), null);
+  });
+});
+
+describe('describeRecurrence', () => {
+  it('reads like a calendar would say it', () => {
+    assert.equal(describeRecurrence({ frequency: 'WEEKLY', byWeekdays: [1, 4], startDate: '2026-01-05T00:00:00.000Z' }), 'Every week on Monday, Thursday');
+    assert.equal(describeRecurrence({ frequency: 'MONTHLY', interval: 3, byMonthDay: -1, startDate: '2026-01-05T00:00:00.000Z' }), 'Every 3 months on the last day');
+    assert.equal(
+      describeRecurrence({ frequency: 'MONTHLY', weekOfMonth: 2, byWeekdays: [6], startDate: '2026-01-05T00:00:00.000Z' }),
+      'Every month on the second Saturday'
+    );
+    assert.equal(describeRecurrence({ frequency: 'YEARLY', byMonth: 8, startDate: '2026-01-15T00:00:00.000Z' }), 'Every year on day 15 of August');
+  });
+});